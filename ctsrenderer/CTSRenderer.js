@@ -1,10 +1,38 @@
-/**
- * @fileoverview Main export file.
- * @copyright 2025–present Catsgold
- * @license GPL-3.0-or-later
- * You must credit Catsgold (me) if you use or modify this code.
- */
-
-export * from './js/WGLRenderer.js';
-export * from './js/WGL2Renderer.js';
-export * from './js/WGPURenderer.js';
+/**
+ * @fileoverview Main export file.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+export * from './js/Renderer.js';
+export * from './js/WGLRenderer.js';
+export * from './js/WGL2Renderer.js';
+export * from './js/WGPURenderer.js';
+export * from './js/SWRenderer.js';
+export * from './js/RendererFactory.js';
+export * from './js/math/common.js';
+export * as vec2 from './js/math/vec2.js';
+export * as vec3 from './js/math/vec3.js';
+export * as vec4 from './js/math/vec4.js';
+export * as mat3 from './js/math/mat3.js';
+export * as mat4 from './js/math/mat4.js';
+export * as quat from './js/math/quat.js';
+export * from './js/math/Ray.js';
+export * from './js/math/Plane.js';
+export * from './js/math/AABB.js';
+export * from './js/math/Sphere.js';
+export * from './js/math/Frustum.js';
+export * from './js/RenderGraph.js';
+export * from './js/PostProcessing.js';
+export * from './js/Scene.js';
+export * from './js/Camera.js';
+export * from './js/Controls.js';
+export * from './js/Geometry.js';
+export * from './js/loaders/GLTFLoader.js';
+export * from './js/loaders/OBJLoader.js';
+export * from './js/loaders/KTX2Loader.js';
+export * from './js/Skybox.js';
+export * from './js/loaders/HDRLoader.js';
+export * from './js/ShaderPreprocessor.js';
+export * from './js/Std140.js';
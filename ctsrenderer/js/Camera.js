@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Perspective and orthographic cameras usable as scene cameras.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { DepthRange } from './math/common.js';
+import * as mat4 from './math/mat4.js';
+import * as quat from './math/quat.js';
+import { Node } from './Scene.js';
+
+/**
+ * Returns the clip-space depth range of a renderer backend: WebGL uses
+ * -1..1, WebGPU and the software renderer 0..1.
+ * @param {string} backend - Backend identifier (e.g. "webgl2").
+ * @returns {DepthRange} Depth range.
+ */
+export function depthRangeForBackend(backend) {
+  return backend === 'webgl' || backend === 'webgl2'
+    ? DepthRange.NEGATIVE_ONE_TO_ONE
+    : DepthRange.ZERO_TO_ONE;
+}
+
+/**
+ * Base camera: a scene node looking down its local -Z axis. The view matrix
+ * is the inverse of the world matrix. Attached to a renderer, the camera
+ * takes the backend's depth range and follows its "resize" events.
+ */
+export class Camera extends Node {
+  /**
+   * Creates a camera.
+   * @param {string} [name='camera'] - Node name.
+   */
+  constructor(name = 'camera') {
+    super(name);
+
+    /**
+     * Up direction used by lookAt().
+     * @type {Float32Array}
+     */
+    this.up = new Float32Array([0, 1, 0]);
+
+    /**
+     * Clip-space depth range of the projection.
+     * @type {DepthRange}
+     */
+    this.depthRange = DepthRange.ZERO_TO_ONE;
+
+    /**
+     * View matrix storage.
+     * @type {Float32Array}
+     * @private
+     */
+    this.viewMatrix_ = mat4.identity();
+
+    /**
+     * Projection matrix storage.
+     * @type {Float32Array}
+     * @protected
+     */
+    this.projectionMatrix_ = mat4.identity();
+
+    /**
+     * View-projection matrix storage.
+     * @type {Float32Array}
+     * @private
+     */
+    this.viewProjectionMatrix_ = mat4.identity();
+
+    /**
+     * Renderer the camera is attached to.
+     * @type {?Renderer}
+     * @private
+     */
+    this.renderer_ = null;
+
+    /**
+     * Resize listener registered on the renderer.
+     * @type {function({width: number, height: number}): void}
+     * @private
+     */
+    this.onResize_ = ({ width, height }) => this.setViewportSize(width, height);
+  }
+
+  /**
+   * World to view transform.
+   * @type {Float32Array}
+   */
+  get viewMatrix() {
+    return mat4.invert(this.getWorldMatrix(), this.viewMatrix_);
+  }
+
+  /**
+   * View to clip transform in the camera's depth range.
+   * @abstract
+   * @type {Float32Array}
+   */
+  get projectionMatrix() {
+    throw new Error('Getter "projectionMatrix" must be implemented.');
+  }
+
+  /**
+   * Projection * view.
+   * @type {Float32Array}
+   */
+  get viewProjectionMatrix() {
+    return mat4.multiply(
+      this.projectionMatrix,
+      this.viewMatrix,
+      this.viewProjectionMatrix_
+    );
+  }
+
+  /**
+   * Rotates the camera so it looks at a point. The point is in the parent's
+   * space (world space for cameras without a parent).
+   * @param {Vec3} target - Point to look at.
+   * @returns {Camera} This camera.
+   */
+  lookAt(target) {
+    const rotation = mat4.targetTo(this.position, target, this.up);
+    quat.fromMat4(rotation, this.rotation);
+    return this.markDirty();
+  }
+
+  /**
+   * Attaches the camera to a renderer: the projection takes the backend's
+   * depth range and the aspect follows the canvas size. A camera is
+   * attached to one renderer at a time.
+   * @param {Renderer} renderer - Renderer to follow.
+   * @returns {Camera} This camera.
+   */
+  attach(renderer) {
+    this.detach();
+    this.renderer_ = renderer;
+    this.depthRange = depthRangeForBackend(renderer.constructor.backend);
+    if (renderer.canvas) {
+      this.setViewportSize(renderer.canvas.width, renderer.canvas.height);
+    }
+    renderer.on('resize', this.onResize_);
+    return this;
+  }
+
+  /**
+   * Stops following the attached renderer, if any.
+   * @returns {Camera} This camera.
+   */
+  detach() {
+    if (this.renderer_) {
+      this.renderer_.off('resize', this.onResize_);
+      this.renderer_ = null;
+    }
+    return this;
+  }
+
+  /**
+   * Adapts the projection to a viewport size. Called on renderer resize.
+   * @abstract
+   * @param {number} width - Viewport width in pixels.
+   * @param {number} height - Viewport height in pixels.
+   */
+  setViewportSize(width, height) {
+    throw new Error('Method "setViewportSize()" must be implemented.');
+  }
+}
+
+/**
+ * Camera with a perspective projection.
+ */
+export class PerspectiveCamera extends Camera {
+  /**
+   * Creates a perspective camera.
+   * @param {Object} [options] - Camera options.
+   * @param {number} [options.fov=Math.PI / 4] - Vertical field of view in
+   *     radians.
+   * @param {number} [options.aspect=1] - Width / height.
+   * @param {number} [options.near=0.1] - Near plane distance.
+   * @param {number} [options.far=1000] - Far plane distance. May be
+   *     Infinity.
+   * @param {Renderer} [options.renderer] - Renderer to attach to.
+   * @param {string} [options.name='camera'] - Node name.
+   */
+  constructor(options = {}) {
+    super(options.name);
+
+    /**
+     * Vertical field of view in radians.
+     * @type {number}
+     */
+    this.fov = options.fov ?? Math.PI / 4;
+
+    /**
+     * Width / height.
+     * @type {number}
+     */
+    this.aspect = options.aspect ?? 1;
+
+    /**
+     * Near plane distance.
+     * @type {number}
+     */
+    this.near = options.near ?? 0.1;
+
+    /**
+     * Far plane distance.
+     * @type {number}
+     */
+    this.far = options.far ?? 1000;
+
+    if (options.renderer) {
+      this.attach(options.renderer);
+    }
+  }
+
+  /**
+   * View to clip transform in the camera's depth range.
+   * @override
+   * @type {Float32Array}
+   */
+  get projectionMatrix() {
+    return mat4.perspectiveWithDepthRange(
+      this.fov,
+      this.aspect,
+      this.near,
+      this.far,
+      this.depthRange,
+      this.projectionMatrix_
+    );
+  }
+
+  /**
+   * Sets the aspect from a viewport size.
+   * @override
+   * @param {number} width - Viewport width in pixels.
+   * @param {number} height - Viewport height in pixels.
+   */
+  setViewportSize(width, height) {
+    this.aspect = width / Math.max(1, height);
+  }
+}
+
+/**
+ * Camera with an orthographic projection. The view volume is centered on
+ * the camera and scaled down by zoom.
+ */
+export class OrthographicCamera extends Camera {
+  /**
+   * Creates an orthographic camera.
+   * @param {Object} [options] - Camera options.
+   * @param {number} [options.left=-1] - Left plane.
+   * @param {number} [options.right=1] - Right plane.
+   * @param {number} [options.bottom=-1] - Bottom plane.
+   * @param {number} [options.top=1] - Top plane.
+   * @param {number} [options.near=0.1] - Near plane distance.
+   * @param {number} [options.far=1000] - Far plane distance.
+   * @param {number} [options.zoom=1] - Zoom factor.
+   * @param {Renderer} [options.renderer] - Renderer to attach to.
+   * @param {string} [options.name='camera'] - Node name.
+   */
+  constructor(options = {}) {
+    super(options.name);
+
+    /**
+     * Left plane.
+     * @type {number}
+     */
+    this.left = options.left ?? -1;
+
+    /**
+     * Right plane.
+     * @type {number}
+     */
+    this.right = options.right ?? 1;
+
+    /**
+     * Bottom plane.
+     * @type {number}
+     */
+    this.bottom = options.bottom ?? -1;
+
+    /**
+     * Top plane.
+     * @type {number}
+     */
+    this.top = options.top ?? 1;
+
+    /**
+     * Near plane distance.
+     * @type {number}
+     */
+    this.near = options.near ?? 0.1;
+
+    /**
+     * Far plane distance.
+     * @type {number}
+     */
+    this.far = options.far ?? 1000;
+
+    /**
+     * Zoom factor. Values above 1 zoom in.
+     * @type {number}
+     */
+    this.zoom = options.zoom ?? 1;
+
+    if (options.renderer) {
+      this.attach(options.renderer);
+    }
+  }
+
+  /**
+   * View to clip transform in the camera's depth range.
+   * @override
+   * @type {Float32Array}
+   */
+  get projectionMatrix() {
+    const centerX = (this.left + this.right) / 2;
+    const centerY = (this.bottom + this.top) / 2;
+    const halfWidth = (this.right - this.left) / (2 * this.zoom);
+    const halfHeight = (this.top - this.bottom) / (2 * this.zoom);
+    return mat4.orthoWithDepthRange(
+      centerX - halfWidth,
+      centerX + halfWidth,
+      centerY - halfHeight,
+      centerY + halfHeight,
+      this.near,
+      this.far,
+      this.depthRange,
+      this.projectionMatrix_
+    );
+  }
+
+  /**
+   * Widens or narrows left/right around their center so the view keeps
+   * its height and matches the viewport aspect.
+   * @override
+   * @param {number} width - Viewport width in pixels.
+   * @param {number} height - Viewport height in pixels.
+   */
+  setViewportSize(width, height) {
+    const centerX = (this.left + this.right) / 2;
+    const halfWidth =
+      ((this.top - this.bottom) / 2) * (width / Math.max(1, height));
+    this.left = centerX - halfWidth;
+    this.right = centerX + halfWidth;
+  }
+}
@@ -0,0 +1,790 @@
+/**
+ * @fileoverview Camera controls driven by pointer, wheel, keyboard and touch
+ * input: orbiting around a target and free flight.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { clamp } from './math/common.js';
+import * as quat from './math/quat.js';
+import * as vec3 from './math/vec3.js';
+import { PerspectiveCamera } from './Camera.js';
+
+/**
+ * Active pointer position.
+ * @typedef {Object} PointerState
+ * @property {number} x - Client X.
+ * @property {number} y - Client Y.
+ */
+
+/**
+ * Base class for camera controls. Registers DOM listeners on the element
+ * (and keyboard listeners on its window) and removes them on destroy().
+ * Call update() once per frame.
+ */
+export class Controls {
+  /**
+   * Creates controls.
+   * @param {Camera} camera - Controlled camera.
+   * @param {HTMLElement} element - Element receiving pointer input,
+   *     usually the canvas.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.enableDamping=true] - Whether motion eases
+   *     out after input stops.
+   * @param {number} [options.dampingFactor=0.1] - Fraction of the pending
+   *     motion applied per update (0..1).
+   */
+  constructor(camera, element, options = {}) {
+    /**
+     * Controlled camera.
+     * @type {Camera}
+     */
+    this.camera = camera;
+
+    /**
+     * Element receiving pointer input.
+     * @type {HTMLElement}
+     */
+    this.element = element;
+
+    /**
+     * Whether input is handled.
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+    /**
+     * Whether motion eases out after input stops.
+     * @type {boolean}
+     */
+    this.enableDamping = options.enableDamping ?? true;
+
+    /**
+     * Fraction of the pending motion applied per update (0..1).
+     * @type {number}
+     */
+    this.dampingFactor = options.dampingFactor ?? 0.1;
+
+    /**
+     * Pointers currently pressed, by pointer id.
+     * @type {Map<number, PointerState>}
+     * @protected
+     */
+    this.pointers_ = new Map();
+
+    /**
+     * Registered DOM listeners, removed by destroy().
+     * @type {Array<{target: EventTarget, type: string, listener: Function}>}
+     * @private
+     */
+    this.listeners_ = [];
+
+    const keyTarget = element.ownerDocument?.defaultView || element;
+    this.listen_(element, 'pointerdown', event => this.onPointerDown_(event));
+    this.listen_(element, 'pointermove', event => this.onPointerMove_(event));
+    this.listen_(element, 'pointerup', event => this.onPointerUp_(event));
+    this.listen_(element, 'pointercancel', event => this.onPointerUp_(event));
+    this.listen_(element, 'wheel', event => this.onWheel_(event), {
+      passive: false,
+    });
+    this.listen_(element, 'contextmenu', event => event.preventDefault());
+    this.listen_(keyTarget, 'keydown', event => this.onKeyDown_(event));
+    this.listen_(keyTarget, 'keyup', event => this.onKeyUp_(event));
+    this.listen_(keyTarget, 'blur', () => this.onBlur_());
+
+    // Keep the browser from scrolling or zooming on touch drags
+    if (element.style) {
+      element.style.touchAction = 'none';
+    }
+  }
+
+  /**
+   * Applies pending input to the camera.
+   * @abstract
+   * @param {number} [deltaTime] - Seconds since the previous update.
+   * @returns {boolean} True if the camera moved.
+   */
+  update(deltaTime) {
+    throw new Error('Method "update()" must be implemented.');
+  }
+
+  /**
+   * Removes all DOM listeners.
+   */
+  destroy() {
+    this.listeners_.forEach(({ target, type, listener }) =>
+      target.removeEventListener(type, listener)
+    );
+    this.listeners_ = [];
+    this.pointers_.clear();
+  }
+
+  /**
+   * Adds a DOM listener that runs while the controls are enabled.
+   * @param {EventTarget} target - Event target.
+   * @param {string} type - Event type.
+   * @param {function(Event): void} handler - Handler.
+   * @param {AddEventListenerOptions} [options] - Listener options.
+   * @private
+   */
+  listen_(target, type, handler, options) {
+    const listener = event => {
+      if (this.enabled) {
+        handler(event);
+      }
+    };
+    target.addEventListener(type, listener, options);
+    this.listeners_.push({ target, type, listener });
+  }
+
+  /**
+   * Returns the element height used to convert pixels to angles.
+   * @returns {number} Height in CSS pixels.
+   * @protected
+   */
+  getElementHeight_() {
+    return this.element.clientHeight || this.element.height || 1;
+  }
+
+  /**
+   * Returns the distance between the first two pointers and their midpoint.
+   * @returns {{distance: number, x: number, y: number}} Pinch state.
+   * @protected
+   */
+  getPinch_() {
+    const [a, b] = this.pointers_.values();
+    return {
+      distance: Math.hypot(a.x - b.x, a.y - b.y),
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+    };
+  }
+
+  /**
+   * Handles pointerdown: tracks the pointer and captures it.
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onPointerDown_(event) {
+    this.element.setPointerCapture?.(event.pointerId);
+    this.pointers_.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+    });
+    this.onPointersChanged_(event);
+  }
+
+  /**
+   * Handles pointermove: forwards single-pointer drags and two-pointer
+   * pinches.
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onPointerMove_(event) {
+    const pointer = this.pointers_.get(event.pointerId);
+    if (!pointer) {
+      return;
+    }
+
+    if (this.pointers_.size === 1) {
+      const deltaX = event.clientX - pointer.x;
+      const deltaY = event.clientY - pointer.y;
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+      this.onDrag_(deltaX, deltaY, event);
+    } else {
+      const before = this.getPinch_();
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+      const after = this.getPinch_();
+      this.onPinch_(before, after);
+    }
+  }
+
+  /**
+   * Handles pointerup and pointercancel.
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onPointerUp_(event) {
+    this.element.releasePointerCapture?.(event.pointerId);
+    this.pointers_.delete(event.pointerId);
+    this.onPointersChanged_(event);
+  }
+
+  /**
+   * Called when a pointer is pressed or released.
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onPointersChanged_(event) {}
+
+  /**
+   * Called when a single pointer is dragged.
+   * @param {number} deltaX - Horizontal movement in pixels.
+   * @param {number} deltaY - Vertical movement in pixels.
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onDrag_(deltaX, deltaY, event) {}
+
+  /**
+   * Called when two pointers move.
+   * @param {{distance: number, x: number, y: number}} before - Previous
+   *     pinch state.
+   * @param {{distance: number, x: number, y: number}} after - Current
+   *     pinch state.
+   * @protected
+   */
+  onPinch_(before, after) {}
+
+  /**
+   * Handles wheel events.
+   * @param {WheelEvent} event - Event.
+   * @protected
+   */
+  onWheel_(event) {}
+
+  /**
+   * Handles keydown events.
+   * @param {KeyboardEvent} event - Event.
+   * @protected
+   */
+  onKeyDown_(event) {}
+
+  /**
+   * Handles keyup events.
+   * @param {KeyboardEvent} event - Event.
+   * @protected
+   */
+  onKeyUp_(event) {}
+
+  /**
+   * Handles the window losing focus.
+   * @protected
+   */
+  onBlur_() {}
+}
+
+/**
+ * Orbits the camera around a target: drag to rotate, right-drag or
+ * shift-drag to pan, wheel or pinch to zoom, arrow keys to pan. The world
+ * up axis is +Y.
+ */
+export class OrbitControls extends Controls {
+  /**
+   * Creates orbit controls.
+   * @param {Camera} camera - Controlled camera.
+   * @param {HTMLElement} element - Element receiving pointer input.
+   * @param {Object} [options] - Options, plus those of Controls.
+   * @param {Vec3} [options.target=[0, 0, 0]] - Point orbited around.
+   * @param {number} [options.rotateSpeed=1] - Rotation speed.
+   * @param {number} [options.zoomSpeed=1] - Zoom speed.
+   * @param {number} [options.panSpeed=1] - Pan speed.
+   * @param {number} [options.keyPanSpeed=7] - Pixels panned per key press.
+   * @param {number} [options.minDistance=0] - Minimum distance to the
+   *     target.
+   * @param {number} [options.maxDistance=Infinity] - Maximum distance to
+   *     the target.
+   * @param {number} [options.minPolarAngle=0] - Minimum angle from +Y in
+   *     radians.
+   * @param {number} [options.maxPolarAngle=Math.PI] - Maximum angle from +Y
+   *     in radians.
+   */
+  constructor(camera, element, options = {}) {
+    super(camera, element, options);
+
+    /**
+     * Point orbited around.
+     * @type {Float32Array}
+     */
+    this.target = new Float32Array(options.target || [0, 0, 0]);
+
+    /**
+     * Rotation speed.
+     * @type {number}
+     */
+    this.rotateSpeed = options.rotateSpeed ?? 1;
+
+    /**
+     * Zoom speed.
+     * @type {number}
+     */
+    this.zoomSpeed = options.zoomSpeed ?? 1;
+
+    /**
+     * Pan speed.
+     * @type {number}
+     */
+    this.panSpeed = options.panSpeed ?? 1;
+
+    /**
+     * Pixels panned per key press.
+     * @type {number}
+     */
+    this.keyPanSpeed = options.keyPanSpeed ?? 7;
+
+    /**
+     * Minimum distance to the target.
+     * @type {number}
+     */
+    this.minDistance = options.minDistance ?? 0;
+
+    /**
+     * Maximum distance to the target.
+     * @type {number}
+     */
+    this.maxDistance = options.maxDistance ?? Infinity;
+
+    /**
+     * Minimum angle from +Y in radians.
+     * @type {number}
+     */
+    this.minPolarAngle = options.minPolarAngle ?? 0;
+
+    /**
+     * Maximum angle from +Y in radians.
+     * @type {number}
+     */
+    this.maxPolarAngle = options.maxPolarAngle ?? Math.PI;
+
+    /**
+     * Pending azimuth change in radians.
+     * @type {number}
+     * @private
+     */
+    this.thetaDelta_ = 0;
+
+    /**
+     * Pending polar angle change in radians.
+     * @type {number}
+     * @private
+     */
+    this.phiDelta_ = 0;
+
+    /**
+     * Pending distance factor (below 1 moves closer).
+     * @type {number}
+     * @private
+     */
+    this.scale_ = 1;
+
+    /**
+     * Pending target translation in world units.
+     * @type {Float32Array}
+     * @private
+     */
+    this.panOffset_ = new Float32Array(3);
+
+    /**
+     * Whether the current single-pointer drag pans.
+     * @type {boolean}
+     * @private
+     */
+    this.panning_ = false;
+
+    this.update();
+  }
+
+  /**
+   * Applies pending rotation, zoom and pan, then points the camera at the
+   * target.
+   * @override
+   * @returns {boolean} True if the camera moved.
+   */
+  update() {
+    const factor = this.enableDamping ? this.dampingFactor : 1;
+    const position = this.camera.position;
+    const offset = vec3.subtract(position, this.target);
+    const radius = vec3.length(offset);
+
+    let theta = Math.atan2(offset[0], offset[2]);
+    let phi = radius > 0 ? Math.acos(clamp(offset[1] / radius, -1, 1)) : 0;
+    theta += this.thetaDelta_ * factor;
+    phi = clamp(
+      phi + this.phiDelta_ * factor,
+      Math.max(this.minPolarAngle, 1e-6),
+      Math.min(this.maxPolarAngle, Math.PI - 1e-6)
+    );
+    const distance = clamp(
+      radius * Math.pow(this.scale_, factor),
+      this.minDistance,
+      this.maxDistance
+    );
+    vec3.addScaled(this.target, this.panOffset_, factor, this.target);
+
+    const before = vec3.copy(position);
+    position[0] = this.target[0] + distance * Math.sin(phi) * Math.sin(theta);
+    position[1] = this.target[1] + distance * Math.cos(phi);
+    position[2] = this.target[2] + distance * Math.sin(phi) * Math.cos(theta);
+    this.camera.lookAt(this.target);
+
+    if (this.enableDamping) {
+      this.thetaDelta_ *= 1 - factor;
+      this.phiDelta_ *= 1 - factor;
+      this.scale_ = Math.pow(this.scale_, 1 - factor);
+      vec3.scale(this.panOffset_, 1 - factor, this.panOffset_);
+    } else {
+      this.thetaDelta_ = 0;
+      this.phiDelta_ = 0;
+      this.scale_ = 1;
+      this.panOffset_.fill(0);
+    }
+    return vec3.distanceSquared(before, position) > 1e-12;
+  }
+
+  /**
+   * Queues a zoom. For orthographic cameras the zoom factor changes
+   * instead of the distance.
+   * @param {number} scale - Distance factor (below 1 zooms in).
+   * @private
+   */
+  dolly_(scale) {
+    if (this.camera instanceof PerspectiveCamera || !('zoom' in this.camera)) {
+      this.scale_ *= scale;
+    } else {
+      this.camera.zoom /= scale;
+    }
+  }
+
+  /**
+   * Queues a pan by a screen-space movement.
+   * @param {number} deltaX - Horizontal movement in pixels.
+   * @param {number} deltaY - Vertical movement in pixels.
+   * @private
+   */
+  pan_(deltaX, deltaY) {
+    const camera = this.camera;
+    const height = this.getElementHeight_();
+    let unitsPerPixel;
+    if (camera instanceof PerspectiveCamera) {
+      const distance = vec3.distance(camera.position, this.target);
+      unitsPerPixel = (2 * distance * Math.tan(camera.fov / 2)) / height;
+    } else {
+      unitsPerPixel = (camera.top - camera.bottom) / camera.zoom / height;
+    }
+
+    // Move along the camera's right and up axes
+    const world = camera.getWorldMatrix();
+    const right = vec3.normalize([world[0], world[1], world[2]]);
+    const up = vec3.normalize([world[4], world[5], world[6]]);
+    const amount = unitsPerPixel * this.panSpeed;
+    vec3.addScaled(this.panOffset_, right, -deltaX * amount, this.panOffset_);
+    vec3.addScaled(this.panOffset_, up, deltaY * amount, this.panOffset_);
+  }
+
+  /**
+   * Chooses rotation or panning when the first pointer goes down.
+   * @override
+   * @param {PointerEvent} event - Event.
+   * @protected
+   */
+  onPointersChanged_(event) {
+    if (event.type === 'pointerdown' && this.pointers_.size === 1) {
+      this.panning_ = event.button === 2 || event.shiftKey;
+    }
+  }
+
+  /**
+   * Rotates or pans.
+   * @override
+   * @param {number} deltaX - Horizontal movement in pixels.
+   * @param {number} deltaY - Vertical movement in pixels.
+   * @protected
+   */
+  onDrag_(deltaX, deltaY) {
+    if (this.panning_) {
+      this.pan_(deltaX, deltaY);
+      return;
+    }
+    const anglePerPixel =
+      (2 * Math.PI * this.rotateSpeed) / this.getElementHeight_();
+    this.thetaDelta_ -= deltaX * anglePerPixel;
+    this.phiDelta_ -= deltaY * anglePerPixel;
+  }
+
+  /**
+   * Zooms by the pinch distance and pans by the midpoint movement.
+   * @override
+   * @param {{distance: number, x: number, y: number}} before - Previous
+   *     pinch state.
+   * @param {{distance: number, x: number, y: number}} after - Current
+   *     pinch state.
+   * @protected
+   */
+  onPinch_(before, after) {
+    if (before.distance > 0 && after.distance > 0) {
+      this.dolly_(Math.pow(before.distance / after.distance, this.zoomSpeed));
+    }
+    this.pan_(after.x - before.x, after.y - before.y);
+  }
+
+  /**
+   * Zooms.
+   * @override
+   * @param {WheelEvent} event - Event.
+   * @protected
+   */
+  onWheel_(event) {
+    event.preventDefault();
+    this.dolly_(Math.exp(event.deltaY * 0.001 * this.zoomSpeed));
+  }
+
+  /**
+   * Pans with the arrow keys.
+   * @override
+   * @param {KeyboardEvent} event - Event.
+   * @protected
+   */
+  onKeyDown_(event) {
+    const moves = {
+      ArrowUp: [0, this.keyPanSpeed],
+      ArrowDown: [0, -this.keyPanSpeed],
+      ArrowLeft: [this.keyPanSpeed, 0],
+      ArrowRight: [-this.keyPanSpeed, 0],
+    };
+    const move = moves[event.code];
+    if (move) {
+      event.preventDefault();
+      this.pan_(move[0], move[1]);
+    }
+  }
+}
+
+/**
+ * Key codes moving the fly camera, as [x, y, z] directions in camera space.
+ * @type {Object<string, number[]>}
+ */
+const FLY_KEYS = {
+  KeyW: [0, 0, -1],
+  ArrowUp: [0, 0, -1],
+  KeyS: [0, 0, 1],
+  ArrowDown: [0, 0, 1],
+  KeyA: [-1, 0, 0],
+  ArrowLeft: [-1, 0, 0],
+  KeyD: [1, 0, 0],
+  ArrowRight: [1, 0, 0],
+  KeyE: [0, 1, 0],
+  KeyQ: [0, -1, 0],
+};
+
+/**
+ * Free flight: WASD or arrow keys move, E/Q move up/down, shift speeds up,
+ * dragging looks around, wheel and pinch move forward and back. The
+ * camera keeps +Y as up.
+ */
+export class FlyControls extends Controls {
+  /**
+   * Creates fly controls. Yaw and pitch start from the camera's current
+   * orientation.
+   * @param {Camera} camera - Controlled camera.
+   * @param {HTMLElement} element - Element receiving pointer input.
+   * @param {Object} [options] - Options, plus those of Controls.
+   * @param {number} [options.moveSpeed=5] - Units per second.
+   * @param {number} [options.boostFactor=3] - Speed multiplier while shift
+   *     is held.
+   * @param {number} [options.lookSpeed=0.003] - Radians per dragged pixel.
+   */
+  constructor(camera, element, options = {}) {
+    super(camera, element, options);
+
+    /**
+     * Units per second.
+     * @type {number}
+     */
+    this.moveSpeed = options.moveSpeed ?? 5;
+
+    /**
+     * Speed multiplier while shift is held.
+     * @type {number}
+     */
+    this.boostFactor = options.boostFactor ?? 3;
+
+    /**
+     * Radians per dragged pixel.
+     * @type {number}
+     */
+    this.lookSpeed = options.lookSpeed ?? 0.003;
+
+    const forward = vec3.transformQuat([0, 0, -1], camera.rotation);
+
+    /**
+     * Rotation around +Y in radians.
+     * @type {number}
+     */
+    this.yaw = Math.atan2(-forward[0], -forward[2]);
+
+    /**
+     * Rotation above the horizon in radians.
+     * @type {number}
+     */
+    this.pitch = Math.asin(clamp(forward[1], -1, 1));
+
+    /**
+     * Pending yaw change in radians.
+     * @type {number}
+     * @private
+     */
+    this.yawDelta_ = 0;
+
+    /**
+     * Pending pitch change in radians.
+     * @type {number}
+     * @private
+     */
+    this.pitchDelta_ = 0;
+
+    /**
+     * Pending camera-space movement from wheel and pinch, in units.
+     * @type {number}
+     * @private
+     */
+    this.forwardDelta_ = 0;
+
+    /**
+     * Current camera-space velocity in units per second.
+     * @type {Float32Array}
+     * @private
+     */
+    this.velocity_ = new Float32Array(3);
+
+    /**
+     * Pressed key codes.
+     * @type {Set<string>}
+     * @private
+     */
+    this.keys_ = new Set();
+
+    /**
+     * Whether shift is held.
+     * @type {boolean}
+     * @private
+     */
+    this.boost_ = false;
+  }
+
+  /**
+   * Applies pending look and movement input.
+   * @override
+   * @param {number} deltaTime - Seconds since the previous update.
+   * @returns {boolean} True if the camera moved.
+   */
+  update(deltaTime) {
+    const factor = this.enableDamping ? this.dampingFactor : 1;
+    const camera = this.camera;
+
+    this.yaw += this.yawDelta_ * factor;
+    this.pitch = clamp(
+      this.pitch + this.pitchDelta_ * factor,
+      -Math.PI / 2 + 1e-3,
+      Math.PI / 2 - 1e-3
+    );
+    quat.fromEuler(this.pitch, this.yaw, 0, camera.rotation);
+
+    // Ease the velocity towards the one requested by the keys
+    const wanted = [0, 0, 0];
+    this.keys_.forEach(code => vec3.add(wanted, FLY_KEYS[code], wanted));
+    if (vec3.length(wanted) > 0) {
+      const speed = this.moveSpeed * (this.boost_ ? this.boostFactor : 1);
+      vec3.scale(vec3.normalize(wanted, wanted), speed, wanted);
+    }
+    vec3.lerp(this.velocity_, wanted, factor, this.velocity_);
+
+    const step = vec3.scale(this.velocity_, deltaTime);
+    step[2] -= this.forwardDelta_ * factor;
+    vec3.add(
+      camera.position,
+      vec3.transformQuat(step, camera.rotation),
+      camera.position
+    );
+    camera.markDirty();
+
+    const moved =
+      vec3.lengthSquared(step) > 1e-12 ||
+      Math.abs(this.yawDelta_) + Math.abs(this.pitchDelta_) > 1e-9;
+    if (this.enableDamping) {
+      this.yawDelta_ *= 1 - factor;
+      this.pitchDelta_ *= 1 - factor;
+      this.forwardDelta_ *= 1 - factor;
+    } else {
+      this.yawDelta_ = 0;
+      this.pitchDelta_ = 0;
+      this.forwardDelta_ = 0;
+    }
+    return moved;
+  }
+
+  /**
+   * Looks around.
+   * @override
+   * @param {number} deltaX - Horizontal movement in pixels.
+   * @param {number} deltaY - Vertical movement in pixels.
+   * @protected
+   */
+  onDrag_(deltaX, deltaY) {
+    this.yawDelta_ -= deltaX * this.lookSpeed;
+    this.pitchDelta_ -= deltaY * this.lookSpeed;
+  }
+
+  /**
+   * Moves forward when spreading the fingers, back when pinching.
+   * @override
+   * @param {{distance: number, x: number, y: number}} before - Previous
+   *     pinch state.
+   * @param {{distance: number, x: number, y: number}} after - Current
+   *     pinch state.
+   * @protected
+   */
+  onPinch_(before, after) {
+    this.forwardDelta_ +=
+      ((after.distance - before.distance) / this.getElementHeight_()) *
+      this.moveSpeed;
+  }
+
+  /**
+   * Moves forward or back.
+   * @override
+   * @param {WheelEvent} event - Event.
+   * @protected
+   */
+  onWheel_(event) {
+    event.preventDefault();
+    this.forwardDelta_ -= event.deltaY * 0.002 * this.moveSpeed;
+  }
+
+  /**
+   * Starts moving.
+   * @override
+   * @param {KeyboardEvent} event - Event.
+   * @protected
+   */
+  onKeyDown_(event) {
+    this.boost_ = event.shiftKey;
+    if (FLY_KEYS[event.code]) {
+      event.preventDefault();
+      this.keys_.add(event.code);
+    }
+  }
+
+  /**
+   * Stops moving.
+   * @override
+   * @param {KeyboardEvent} event - Event.
+   * @protected
+   */
+  onKeyUp_(event) {
+    this.boost_ = event.shiftKey;
+    this.keys_.delete(event.code);
+  }
+
+  /**
+   * Releases all keys so movement does not stick.
+   * @override
+   * @protected
+   */
+  onBlur_() {
+    this.keys_.clear();
+    this.boost_ = false;
+  }
+}
@@ -0,0 +1,986 @@
+/**
+ * @fileoverview Procedural geometry: box, plane, sphere, icosphere, cylinder,
+ * cone, torus and capsule meshes with interleaved vertex data.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { AABB } from './math/AABB.js';
+import { Sphere } from './math/Sphere.js';
+
+/**
+ * Floats per vertex: position (3), normal (3), uv (2), tangent (4).
+ * @type {number}
+ */
+const FLOATS_PER_VERTEX = 12;
+
+/**
+ * Interleaved vertex attributes: name, shader location, component count and
+ * float offset. Tangent w is the bitangent sign.
+ * @type {Array<{name: string, location: number, size: number, offset: number}>}
+ */
+const GEOMETRY_ATTRIBUTES = [
+  { name: 'a_position', location: 0, size: 3, offset: 0 },
+  { name: 'a_normal', location: 1, size: 3, offset: 3 },
+  { name: 'a_uv', location: 2, size: 2, offset: 6 },
+  { name: 'a_tangent', location: 3, size: 4, offset: 8 },
+];
+
+/**
+ * Indexed triangle mesh with interleaved float32 vertices. Triangles are
+ * counter-clockwise seen from the front and UV (0, 0) is the top-left of
+ * a texture.
+ */
+export class Geometry {
+  /**
+   * Bytes between consecutive vertices.
+   * @type {number}
+   */
+  static get VERTEX_STRIDE() {
+    return FLOATS_PER_VERTEX * 4;
+  }
+
+  /**
+   * Creates a geometry from interleaved vertex data.
+   * @param {Float32Array} vertices - Interleaved position, normal, uv and
+   *     tangent, 12 floats per vertex.
+   * @param {Uint16Array|Uint32Array} indices - Triangle indices.
+   * @param {string} [name='geometry'] - Default buffer name prefix.
+   */
+  constructor(vertices, indices, name = 'geometry') {
+    /**
+     * Interleaved vertex data.
+     * @type {Float32Array}
+     */
+    this.vertices = vertices;
+
+    /**
+     * Triangle indices.
+     * @type {Uint16Array|Uint32Array}
+     */
+    this.indices = indices;
+
+    /**
+     * Default buffer name prefix.
+     * @type {string}
+     */
+    this.name = name;
+  }
+
+  /**
+   * Number of vertices.
+   * @type {number}
+   */
+  get vertexCount() {
+    return this.vertices.length / FLOATS_PER_VERTEX;
+  }
+
+  /**
+   * Number of indices.
+   * @type {number}
+   */
+  get indexCount() {
+    return this.indices.length;
+  }
+
+  /**
+   * Returns the vertex buffer layout for pipeline configs. Attributes are
+   * named, so the layout works for WGPURenderer and WGLRenderer pipelines.
+   * @returns {GPUVertexBufferLayout} Layout with a_position, a_normal, a_uv
+   *     and a_tangent at locations 0 to 3.
+   */
+  getVertexBufferLayout() {
+    return {
+      arrayStride: Geometry.VERTEX_STRIDE,
+      attributes: GEOMETRY_ATTRIBUTES.map(attribute => ({
+        name: attribute.name,
+        shaderLocation: attribute.location,
+        offset: attribute.offset * 4,
+        format: `float32x${attribute.size}`,
+      })),
+    };
+  }
+
+  /**
+   * Returns the attribute configuration for
+   * WGLRenderer.setupVertexAttributes().
+   * @returns {Object<string, {size: number, stride: number, offset: number}>}
+   *     Float attributes by name.
+   */
+  getAttributeConfig() {
+    const config = {};
+    GEOMETRY_ATTRIBUTES.forEach(attribute => {
+      config[attribute.name] = {
+        size: attribute.size,
+        stride: Geometry.VERTEX_STRIDE,
+        offset: attribute.offset * 4,
+      };
+    });
+    return config;
+  }
+
+  /**
+   * Creates the vertex and index buffers ("<name>.vertices" and
+   * "<name>.indices") on a renderer.
+   * @param {Renderer} renderer - Renderer to upload to.
+   * @param {string} [name=this.name] - Buffer name prefix.
+   * @returns {SceneGeometry} Draw parameters for the buffers, usable as a
+   *     Mesh geometry or drawMesh() call.
+   */
+  upload(renderer, name = this.name) {
+    renderer.createVertexBuffer(`${name}.vertices`, this.vertices);
+    renderer.createIndexBuffer(`${name}.indices`, this.indices);
+    return {
+      vertexBuffers: { 0: `${name}.vertices` },
+      indexBuffer: `${name}.indices`,
+      indexCount: this.indexCount,
+      vertexCount: this.vertexCount,
+    };
+  }
+
+  /**
+   * Destroys the buffers created by upload().
+   * @param {Renderer} renderer - Renderer the geometry was uploaded to.
+   * @param {string} [name=this.name] - Buffer name prefix.
+   */
+  destroy(renderer, name = this.name) {
+    renderer.destroyBuffer(`${name}.vertices`);
+    renderer.destroyBuffer(`${name}.indices`);
+  }
+
+  /**
+   * Computes the bounding box of the positions.
+   * @returns {AABB} New box.
+   */
+  getBoundingBox() {
+    return new AABB().setFromPoints(this.vertices, FLOATS_PER_VERTEX);
+  }
+
+  /**
+   * Computes a bounding sphere of the positions.
+   * @returns {Sphere} New sphere.
+   */
+  getBoundingSphere() {
+    return new Sphere().setFromPoints(this.vertices, FLOATS_PER_VERTEX);
+  }
+}
+
+/**
+ * Accumulates the vertices and triangles of a procedural shape.
+ */
+class GeometryBuilder {
+  /**
+   * Creates an empty builder.
+   */
+  constructor() {
+    /** @type {number[]} */
+    this.positions = [];
+    /** @type {number[]} */
+    this.normals = [];
+    /** @type {number[]} */
+    this.uvs = [];
+    /** @type {number[]} */
+    this.indices = [];
+  }
+
+  /**
+   * Number of vertices added so far.
+   * @type {number}
+   */
+  get vertexCount() {
+    return this.positions.length / 3;
+  }
+
+  /**
+   * Adds a vertex.
+   * @param {number[]} position - Position.
+   * @param {number[]} normal - Unit normal.
+   * @param {number} u - Texture U.
+   * @param {number} v - Texture V (0 at the top).
+   * @returns {number} Vertex index.
+   */
+  addVertex(position, normal, u, v) {
+    this.positions.push(position[0], position[1], position[2]);
+    this.normals.push(normal[0], normal[1], normal[2]);
+    this.uvs.push(u, v);
+    return this.vertexCount - 1;
+  }
+
+  /**
+   * Adds a triangle.
+   * @param {number} a - First vertex index.
+   * @param {number} b - Second vertex index.
+   * @param {number} c - Third vertex index.
+   */
+  addTriangle(a, b, c) {
+    this.indices.push(a, b, c);
+  }
+
+  /**
+   * Adds a flat grid of quads spanned from a corner by two edges. U runs
+   * along the first edge and V along the second.
+   * @param {number[]} origin - Corner at UV (0, 0).
+   * @param {number[]} uEdge - Edge to UV (1, 0).
+   * @param {number[]} vEdge - Edge to UV (0, 1).
+   * @param {number[]} normal - Face normal.
+   * @param {number} uSegments - Quads along U.
+   * @param {number} vSegments - Quads along V.
+   */
+  addGrid(origin, uEdge, vEdge, normal, uSegments, vSegments) {
+    const first = this.vertexCount;
+    for (let j = 0; j <= vSegments; j++) {
+      for (let i = 0; i <= uSegments; i++) {
+        const s = i / uSegments;
+        const t = j / vSegments;
+        this.addVertex(
+          [0, 1, 2].map(
+            axis => origin[axis] + uEdge[axis] * s + vEdge[axis] * t
+          ),
+          normal,
+          s,
+          t
+        );
+      }
+    }
+
+    // Wind the quads counter-clockwise around the normal
+    const cross = [
+      uEdge[1] * vEdge[2] - uEdge[2] * vEdge[1],
+      uEdge[2] * vEdge[0] - uEdge[0] * vEdge[2],
+      uEdge[0] * vEdge[1] - uEdge[1] * vEdge[0],
+    ];
+    const flip =
+      cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] < 0;
+    const row = uSegments + 1;
+    for (let j = 0; j < vSegments; j++) {
+      for (let i = 0; i < uSegments; i++) {
+        const a = first + j * row + i;
+        const b = a + 1;
+        const c = a + row + 1;
+        const d = a + row;
+        if (flip) {
+          this.addTriangle(a, c, b);
+          this.addTriangle(a, d, c);
+        } else {
+          this.addTriangle(a, b, c);
+          this.addTriangle(a, c, d);
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a grid of (columns + 1) x (rows + 1) vertices wrapped around the Y
+   * axis, as produced by surfaces of revolution. Quads touching a
+   * zero-radius row (a pole) collapse to one triangle.
+   * @param {number} columns - Segments around the axis.
+   * @param {number} rows - Segments from top to bottom.
+   * @param {function(number, number): {position: number[], normal: number[], u: number, v: number}} vertexAt
+   *     Vertex at a column and row.
+   */
+  addRevolution(columns, rows, vertexAt) {
+    const first = this.vertexCount;
+    const poles = [];
+    for (let j = 0; j <= rows; j++) {
+      let radius = 0;
+      for (let i = 0; i <= columns; i++) {
+        const { position, normal, u, v } = vertexAt(i, j);
+        radius = Math.max(radius, Math.hypot(position[0], position[2]));
+        this.addVertex(position, normal, u, v);
+      }
+      poles.push(radius < 1e-9);
+    }
+
+    const row = columns + 1;
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < columns; i++) {
+        const a = first + j * row + i;
+        const b = a + row;
+        const c = b + 1;
+        const d = a + 1;
+        if (!poles[j]) {
+          this.addTriangle(a, b, d);
+        }
+        if (!poles[j + 1]) {
+          this.addTriangle(b, c, d);
+        }
+      }
+    }
+  }
+
+  /**
+   * Builds the geometry, deriving tangents from the UVs.
+   * @param {string} name - Geometry name.
+   * @returns {Geometry} Built geometry.
+   */
+  build(name) {
+    return createGeometry(
+      {
+        positions: this.positions,
+        normals: this.normals,
+        uvs: this.uvs,
+        indices: this.indices,
+      },
+      name
+    );
+  }
+}
+
+/**
+ * Creates a geometry from separate attribute arrays, e.g. decoded from a
+ * model file. Missing normals are averaged from the faces, missing UVs are
+ * zero and missing tangents are derived from the UVs. The index type is the
+ * smallest that fits the vertex count.
+ * @param {Object} attributes - Vertex attributes.
+ * @param {ArrayLike<number>} attributes.positions - Positions, 3 per vertex.
+ * @param {ArrayLike<number>} [attributes.normals] - Unit normals, 3 per
+ *     vertex.
+ * @param {ArrayLike<number>} [attributes.uvs] - UVs, 2 per vertex.
+ * @param {ArrayLike<number>} [attributes.tangents] - Tangents, 4 per vertex
+ *     (w is the bitangent sign).
+ * @param {ArrayLike<number>} [attributes.indices] - Triangle indices.
+ *     Defaults to one triangle per three vertices.
+ * @param {string} [name='geometry'] - Geometry name.
+ * @returns {Geometry} New geometry.
+ */
+export function createGeometry(attributes, name = 'geometry') {
+  const { positions } = attributes;
+  const count = positions.length / 3;
+  const indices =
+    attributes.indices || Array.from({ length: count }, (_, i) => i);
+  const normals = attributes.normals || computeNormals(positions, indices);
+  const uvs = attributes.uvs || new Float32Array(count * 2);
+  const tangents =
+    attributes.tangents || computeTangents(positions, normals, uvs, indices);
+
+  const vertices = new Float32Array(count * FLOATS_PER_VERTEX);
+  for (let i = 0; i < count; i++) {
+    const out = i * FLOATS_PER_VERTEX;
+    for (let k = 0; k < 3; k++) {
+      vertices[out + k] = positions[i * 3 + k];
+      vertices[out + 3 + k] = normals[i * 3 + k];
+    }
+    vertices[out + 6] = uvs[i * 2];
+    vertices[out + 7] = uvs[i * 2 + 1];
+    for (let k = 0; k < 4; k++) {
+      vertices[out + 8 + k] = tangents[i * 4 + k];
+    }
+  }
+
+  const IndexArray = count > 0xffff ? Uint32Array : Uint16Array;
+  return new Geometry(vertices, IndexArray.from(indices), name);
+}
+
+/**
+ * Computes smooth vertex normals by summing the area-weighted normals of the
+ * faces around each vertex.
+ * @param {ArrayLike<number>} positions - Positions, 3 per vertex.
+ * @param {ArrayLike<number>} indices - Triangle indices.
+ * @returns {Float32Array} Unit normals, 3 per vertex.
+ */
+export function computeNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+  for (let k = 0; k + 2 < indices.length; k += 3) {
+    const a = indices[k] * 3;
+    const b = indices[k + 1] * 3;
+    const c = indices[k + 2] * 3;
+    const e1x = positions[b] - positions[a];
+    const e1y = positions[b + 1] - positions[a + 1];
+    const e1z = positions[b + 2] - positions[a + 2];
+    const e2x = positions[c] - positions[a];
+    const e2y = positions[c + 1] - positions[a + 1];
+    const e2z = positions[c + 2] - positions[a + 2];
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    for (const vertex of [a, b, c]) {
+      normals[vertex] += nx;
+      normals[vertex + 1] += ny;
+      normals[vertex + 2] += nz;
+    }
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+    if (length > 0) {
+      normals[i] /= length;
+      normals[i + 1] /= length;
+      normals[i + 2] /= length;
+    } else {
+      normals[i + 1] = 1;
+    }
+  }
+  return normals;
+}
+
+/**
+ * Computes per-vertex tangents from the UV directions of the surrounding
+ * triangles (Lengyel's method), orthogonalized against the normals.
+ * Vertices without usable UVs get an arbitrary perpendicular tangent.
+ * @param {ArrayLike<number>} positions - Positions, 3 per vertex.
+ * @param {ArrayLike<number>} normals - Unit normals, 3 per vertex.
+ * @param {ArrayLike<number>} uvs - UVs, 2 per vertex.
+ * @param {ArrayLike<number>} indices - Triangle indices.
+ * @returns {Float32Array} Tangents, 4 per vertex; w is the sign that makes
+ *     cross(normal, tangent) * w point towards increasing V.
+ */
+export function computeTangents(positions, normals, uvs, indices) {
+  const count = positions.length / 3;
+  const tangentSums = new Float64Array(count * 3);
+  const bitangentSums = new Float64Array(count * 3);
+
+  for (let k = 0; k + 2 < indices.length; k += 3) {
+    const a = indices[k];
+    const b = indices[k + 1];
+    const c = indices[k + 2];
+    const du1 = uvs[b * 2] - uvs[a * 2];
+    const dv1 = uvs[b * 2 + 1] - uvs[a * 2 + 1];
+    const du2 = uvs[c * 2] - uvs[a * 2];
+    const dv2 = uvs[c * 2 + 1] - uvs[a * 2 + 1];
+    const det = du1 * dv2 - du2 * dv1;
+    if (Math.abs(det) < 1e-12) {
+      continue;
+    }
+    const r = 1 / det;
+    for (let axis = 0; axis < 3; axis++) {
+      const e1 = positions[b * 3 + axis] - positions[a * 3 + axis];
+      const e2 = positions[c * 3 + axis] - positions[a * 3 + axis];
+      const tangent = (e1 * dv2 - e2 * dv1) * r;
+      const bitangent = (e2 * du1 - e1 * du2) * r;
+      for (const vertex of [a, b, c]) {
+        tangentSums[vertex * 3 + axis] += tangent;
+        bitangentSums[vertex * 3 + axis] += bitangent;
+      }
+    }
+  }
+
+  const tangents = new Float32Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    const nx = normals[i * 3];
+    const ny = normals[i * 3 + 1];
+    const nz = normals[i * 3 + 2];
+
+    // Gram-Schmidt against the normal; fall back to any perpendicular
+    let tx = tangentSums[i * 3];
+    let ty = tangentSums[i * 3 + 1];
+    let tz = tangentSums[i * 3 + 2];
+    let d = nx * tx + ny * ty + nz * tz;
+    tx -= nx * d;
+    ty -= ny * d;
+    tz -= nz * d;
+    let length = Math.hypot(tx, ty, tz);
+    if (length < 1e-9) {
+      [tx, ty, tz] = Math.abs(nx) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+      d = nx * tx + ny * ty + nz * tz;
+      tx -= nx * d;
+      ty -= ny * d;
+      tz -= nz * d;
+      length = Math.hypot(tx, ty, tz);
+    }
+    tx /= length;
+    ty /= length;
+    tz /= length;
+
+    // Handedness: whether cross(n, t) points along the UV bitangent
+    const handedness =
+      (ny * tz - nz * ty) * bitangentSums[i * 3] +
+      (nz * tx - nx * tz) * bitangentSums[i * 3 + 1] +
+      (nx * ty - ny * tx) * bitangentSums[i * 3 + 2];
+    tangents.set([tx, ty, tz, handedness < 0 ? -1 : 1], i * 4);
+  }
+  return tangents;
+}
+
+/**
+ * Creates a box centered on the origin. Each face has its own vertices so
+ * edges stay sharp.
+ * @param {Object} [options] - Box options.
+ * @param {number} [options.width=1] - Size along X.
+ * @param {number} [options.height=1] - Size along Y.
+ * @param {number} [options.depth=1] - Size along Z.
+ * @param {number} [options.widthSegments=1] - Quads along X.
+ * @param {number} [options.heightSegments=1] - Quads along Y.
+ * @param {number} [options.depthSegments=1] - Quads along Z.
+ * @param {string} [options.name='box'] - Geometry name.
+ * @returns {Geometry} Box geometry.
+ */
+export function createBox(options = {}) {
+  const {
+    width = 1,
+    height = 1,
+    depth = 1,
+    widthSegments = 1,
+    heightSegments = 1,
+    depthSegments = 1,
+  } = options;
+  const x = width / 2;
+  const y = height / 2;
+  const z = depth / 2;
+  const builder = new GeometryBuilder();
+
+  // Faces seen from outside: U to the right, V down
+  builder.addGrid(
+    [-x, y, z],
+    [width, 0, 0],
+    [0, -height, 0],
+    [0, 0, 1],
+    widthSegments,
+    heightSegments
+  );
+  builder.addGrid(
+    [x, y, -z],
+    [-width, 0, 0],
+    [0, -height, 0],
+    [0, 0, -1],
+    widthSegments,
+    heightSegments
+  );
+  builder.addGrid(
+    [x, y, z],
+    [0, 0, -depth],
+    [0, -height, 0],
+    [1, 0, 0],
+    depthSegments,
+    heightSegments
+  );
+  builder.addGrid(
+    [-x, y, -z],
+    [0, 0, depth],
+    [0, -height, 0],
+    [-1, 0, 0],
+    depthSegments,
+    heightSegments
+  );
+  builder.addGrid(
+    [-x, y, -z],
+    [width, 0, 0],
+    [0, 0, depth],
+    [0, 1, 0],
+    widthSegments,
+    depthSegments
+  );
+  builder.addGrid(
+    [-x, -y, z],
+    [width, 0, 0],
+    [0, 0, -depth],
+    [0, -1, 0],
+    widthSegments,
+    depthSegments
+  );
+
+  return builder.build(options.name || 'box');
+}
+
+/**
+ * Creates a plane in the XZ plane facing +Y, centered on the origin.
+ * @param {Object} [options] - Plane options.
+ * @param {number} [options.width=1] - Size along X.
+ * @param {number} [options.depth=1] - Size along Z.
+ * @param {number} [options.widthSegments=1] - Quads along X.
+ * @param {number} [options.depthSegments=1] - Quads along Z.
+ * @param {string} [options.name='plane'] - Geometry name.
+ * @returns {Geometry} Plane geometry.
+ */
+export function createPlane(options = {}) {
+  const {
+    width = 1,
+    depth = 1,
+    widthSegments = 1,
+    depthSegments = 1,
+  } = options;
+  const builder = new GeometryBuilder();
+  builder.addGrid(
+    [-width / 2, 0, -depth / 2],
+    [width, 0, 0],
+    [0, 0, depth],
+    [0, 1, 0],
+    widthSegments,
+    depthSegments
+  );
+  return builder.build(options.name || 'plane');
+}
+
+/**
+ * Creates a UV sphere centered on the origin. U wraps around +Y starting
+ * at -X, V runs from the north pole (0) to the south pole (1).
+ * @param {Object} [options] - Sphere options.
+ * @param {number} [options.radius=0.5] - Radius.
+ * @param {number} [options.widthSegments=32] - Segments around Y.
+ * @param {number} [options.heightSegments=16] - Segments from pole to
+ *     pole.
+ * @param {string} [options.name='sphere'] - Geometry name.
+ * @returns {Geometry} Sphere geometry.
+ */
+export function createSphere(options = {}) {
+  const { radius = 0.5, widthSegments = 32, heightSegments = 16 } = options;
+  const builder = new GeometryBuilder();
+  builder.addRevolution(widthSegments, heightSegments, (i, j) => {
+    const u = i / widthSegments;
+    const v = j / heightSegments;
+    const normal = sphereDirection(u * 2 * Math.PI, v * Math.PI);
+    return {
+      position: normal.map(value => value * radius),
+      normal,
+      u,
+      v,
+    };
+  });
+  return builder.build(options.name || 'sphere');
+}
+
+/**
+ * Returns the unit vector at an azimuth around +Y (0 at -X, growing
+ * towards +Z) and a polar angle from +Y.
+ * @param {number} theta - Azimuth in radians.
+ * @param {number} phi - Polar angle in radians.
+ * @returns {number[]} Unit vector.
+ */
+function sphereDirection(theta, phi) {
+  const sinPhi = Math.sin(phi);
+  return [-Math.cos(theta) * sinPhi, Math.cos(phi), Math.sin(theta) * sinPhi];
+}
+
+/**
+ * Creates a geodesic sphere by subdividing an icosahedron, with evenly
+ * sized triangles. UVs use the same mapping as createSphere(); vertices on
+ * the U seam and at the poles are duplicated so UVs do not wrap.
+ * @param {Object} [options] - Icosphere options.
+ * @param {number} [options.radius=0.5] - Radius.
+ * @param {number} [options.detail=2] - Subdivision levels. Each level
+ *     splits every triangle into four.
+ * @param {string} [options.name='icosphere'] - Geometry name.
+ * @returns {Geometry} Icosphere geometry.
+ */
+export function createIcosphere(options = {}) {
+  const { radius = 0.5, detail = 2 } = options;
+  const t = (1 + Math.sqrt(5)) / 2;
+  const points = [
+    [-1, t, 0],
+    [1, t, 0],
+    [-1, -t, 0],
+    [1, -t, 0],
+    [0, -1, t],
+    [0, 1, t],
+    [0, -1, -t],
+    [0, 1, -t],
+    [t, 0, -1],
+    [t, 0, 1],
+    [-t, 0, -1],
+    [-t, 0, 1],
+  ].map(normalize);
+  let faces = [
+    [0, 11, 5],
+    [0, 5, 1],
+    [0, 1, 7],
+    [0, 7, 10],
+    [0, 10, 11],
+    [1, 5, 9],
+    [5, 11, 4],
+    [11, 10, 2],
+    [10, 7, 6],
+    [7, 1, 8],
+    [3, 9, 4],
+    [3, 4, 2],
+    [3, 2, 6],
+    [3, 6, 8],
+    [3, 8, 9],
+    [4, 9, 5],
+    [2, 4, 11],
+    [6, 2, 10],
+    [8, 6, 7],
+    [9, 8, 1],
+  ];
+
+  for (let level = 0; level < detail; level++) {
+    const midpoints = new Map();
+    const midpoint = (a, b) => {
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      if (!midpoints.has(key)) {
+        midpoints.set(key, points.length);
+        points.push(
+          normalize(points[a].map((value, axis) => value + points[b][axis]))
+        );
+      }
+      return midpoints.get(key);
+    };
+    faces = faces.flatMap(([a, b, c]) => {
+      const ab = midpoint(a, b);
+      const bc = midpoint(b, c);
+      const ca = midpoint(c, a);
+      return [
+        [a, ab, ca],
+        [b, bc, ab],
+        [c, ca, bc],
+        [ab, bc, ca],
+      ];
+    });
+  }
+
+  // Share vertices only when both the point and its UV match
+  const builder = new GeometryBuilder();
+  const vertexIds = new Map();
+  faces.forEach(face => {
+    const uvs = face.map(index => {
+      const [x, y, z] = points[index];
+      return [
+        (Math.atan2(z, -x) / (2 * Math.PI) + 1) % 1,
+        Math.acos(Math.max(-1, Math.min(1, y))) / Math.PI,
+      ];
+    });
+    const us = uvs.map(([u]) => u);
+    if (Math.max(...us) - Math.min(...us) > 0.5) {
+      uvs.forEach(uv => {
+        if (uv[0] < 0.5) uv[0] += 1;
+      });
+    }
+    face.forEach((index, k) => {
+      if (Math.abs(points[index][1]) > 1 - 1e-9) {
+        const others = uvs.filter((uv, m) => m !== k);
+        uvs[k][0] = (others[0][0] + others[1][0]) / 2;
+      }
+    });
+
+    const ids = face.map((index, k) => {
+      const [u, v] = uvs[k];
+      const key = `${index},${u.toFixed(6)}`;
+      if (!vertexIds.has(key)) {
+        const normal = points[index];
+        vertexIds.set(
+          key,
+          builder.addVertex(
+            normal.map(value => value * radius),
+            normal,
+            u,
+            v
+          )
+        );
+      }
+      return vertexIds.get(key);
+    });
+    builder.addTriangle(ids[0], ids[1], ids[2]);
+  });
+
+  return builder.build(options.name || 'icosphere');
+}
+
+/**
+ * Returns a vector scaled to unit length.
+ * @param {number[]} v - Vector.
+ * @returns {number[]} Unit vector.
+ */
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return v.map(value => value / length);
+}
+
+/**
+ * Creates a cylinder (or truncated cone) along Y, centered on the origin.
+ * @param {Object} [options] - Cylinder options.
+ * @param {number} [options.radiusTop=0.5] - Radius at the top.
+ * @param {number} [options.radiusBottom=0.5] - Radius at the bottom.
+ * @param {number} [options.height=1] - Height.
+ * @param {number} [options.radialSegments=32] - Segments around Y.
+ * @param {number} [options.heightSegments=1] - Segments along Y.
+ * @param {boolean} [options.openEnded=false] - Whether to omit the caps.
+ * @param {string} [options.name='cylinder'] - Geometry name.
+ * @returns {Geometry} Cylinder geometry.
+ */
+export function createCylinder(options = {}) {
+  const {
+    radiusTop = 0.5,
+    radiusBottom = 0.5,
+    height = 1,
+    radialSegments = 32,
+    heightSegments = 1,
+    openEnded = false,
+  } = options;
+  const builder = new GeometryBuilder();
+  addCylinder(builder, {
+    radiusTop,
+    radiusBottom,
+    height,
+    radialSegments,
+    heightSegments,
+    openEnded,
+  });
+  return builder.build(options.name || 'cylinder');
+}
+
+/**
+ * Creates a cone along Y with its apex at the top, centered on the origin.
+ * @param {Object} [options] - Cone options.
+ * @param {number} [options.radius=0.5] - Base radius.
+ * @param {number} [options.height=1] - Height.
+ * @param {number} [options.radialSegments=32] - Segments around Y.
+ * @param {number} [options.heightSegments=1] - Segments along Y.
+ * @param {boolean} [options.openEnded=false] - Whether to omit the base.
+ * @param {string} [options.name='cone'] - Geometry name.
+ * @returns {Geometry} Cone geometry.
+ */
+export function createCone(options = {}) {
+  return createCylinder({
+    ...options,
+    radiusTop: 0,
+    radiusBottom: options.radius ?? 0.5,
+    name: options.name || 'cone',
+  });
+}
+
+/**
+ * Adds the side and caps of a cylinder to a builder.
+ * @param {GeometryBuilder} builder - Target builder.
+ * @param {Object} options - Options of createCylinder(), all set.
+ */
+function addCylinder(builder, options) {
+  const {
+    radiusTop,
+    radiusBottom,
+    height,
+    radialSegments,
+    heightSegments,
+    openEnded,
+  } = options;
+  const halfHeight = height / 2;
+  const slope = (radiusBottom - radiusTop) / height;
+
+  builder.addRevolution(radialSegments, heightSegments, (i, j) => {
+    const u = i / radialSegments;
+    const v = j / heightSegments;
+    const theta = u * 2 * Math.PI;
+    const radius = radiusTop + (radiusBottom - radiusTop) * v;
+    const [x, , z] = sphereDirection(theta, Math.PI / 2);
+    return {
+      position: [radius * x, halfHeight - v * height, radius * z],
+      normal: normalize([x, slope, z]),
+      u,
+      v,
+    };
+  });
+
+  if (openEnded) {
+    return;
+  }
+
+  // Caps: one center vertex per segment keeps the UVs of each wedge apart
+  [
+    [radiusTop, halfHeight, 1],
+    [radiusBottom, -halfHeight, -1],
+  ].forEach(([radius, y, sign]) => {
+    if (radius <= 0) {
+      return;
+    }
+    const normal = [0, sign, 0];
+    for (let i = 0; i < radialSegments; i++) {
+      const center = builder.addVertex([0, y, 0], normal, 0.5, 0.5);
+      const [a, b] = [i, i + 1].map(k => {
+        const [x, , z] = sphereDirection(
+          (k / radialSegments) * 2 * Math.PI,
+          Math.PI / 2
+        );
+        return builder.addVertex(
+          [radius * x, y, radius * z],
+          normal,
+          0.5 + x / 2,
+          0.5 + (sign * z) / 2
+        );
+      });
+      if (sign > 0) {
+        builder.addTriangle(center, a, b);
+      } else {
+        builder.addTriangle(center, b, a);
+      }
+    }
+  });
+}
+
+/**
+ * Creates a torus around the Y axis, centered on the origin.
+ * @param {Object} [options] - Torus options.
+ * @param {number} [options.radius=0.5] - Distance from the center to the
+ *     middle of the tube.
+ * @param {number} [options.tube=0.2] - Tube radius.
+ * @param {number} [options.radialSegments=16] - Segments around the tube.
+ * @param {number} [options.tubularSegments=48] - Segments around Y.
+ * @param {string} [options.name='torus'] - Geometry name.
+ * @returns {Geometry} Torus geometry.
+ */
+export function createTorus(options = {}) {
+  const {
+    radius = 0.5,
+    tube = 0.2,
+    radialSegments = 16,
+    tubularSegments = 48,
+  } = options;
+  const builder = new GeometryBuilder();
+  builder.addRevolution(tubularSegments, radialSegments, (i, j) => {
+    const u = i / tubularSegments;
+    const v = j / radialSegments;
+    const [x, , z] = sphereDirection(u * 2 * Math.PI, Math.PI / 2);
+
+    // Tube angle 0 at the top, going over the outside first
+    const tubeAngle = v * 2 * Math.PI;
+    const out = Math.sin(tubeAngle);
+    const up = Math.cos(tubeAngle);
+    return {
+      position: [
+        x * (radius + tube * out),
+        tube * up,
+        z * (radius + tube * out),
+      ],
+      normal: [x * out, up, z * out],
+      u,
+      v,
+    };
+  });
+  return builder.build(options.name || 'torus');
+}
+
+/**
+ * Creates a capsule along Y: a cylinder with hemispherical ends, centered
+ * on the origin. V is proportional to the distance along the surface.
+ * @param {Object} [options] - Capsule options.
+ * @param {number} [options.radius=0.25] - Radius.
+ * @param {number} [options.height=0.5] - Length of the cylindrical part.
+ * @param {number} [options.capSegments=8] - Segments per hemisphere from
+ *     pole to equator.
+ * @param {number} [options.radialSegments=32] - Segments around Y.
+ * @param {string} [options.name='capsule'] - Geometry name.
+ * @returns {Geometry} Capsule geometry.
+ */
+export function createCapsule(options = {}) {
+  const {
+    radius = 0.25,
+    height = 0.5,
+    capSegments = 8,
+    radialSegments = 32,
+  } = options;
+  const halfHeight = height / 2;
+  const arc = (Math.PI / 2) * radius;
+  const totalLength = 2 * arc + height;
+  const rows = 2 * capSegments + 1;
+
+  const builder = new GeometryBuilder();
+  builder.addRevolution(radialSegments, rows, (i, j) => {
+    const u = i / radialSegments;
+    // Rows 0..capSegments: top hemisphere, then the bottom one
+    const top = j <= capSegments;
+    const phi = top
+      ? (j / capSegments) * (Math.PI / 2)
+      : Math.PI / 2 + ((j - capSegments - 1) / capSegments) * (Math.PI / 2);
+    const normal = sphereDirection(u * 2 * Math.PI, phi);
+    const distance = top
+      ? (j / capSegments) * arc
+      : arc + height + ((j - capSegments - 1) / capSegments) * arc;
+    return {
+      position: [
+        normal[0] * radius,
+        normal[1] * radius + (top ? halfHeight : -halfHeight),
+        normal[2] * radius,
+      ],
+      normal,
+      u,
+      v: distance / totalLength,
+    };
+  });
+  return builder.build(options.name || 'capsule');
+}
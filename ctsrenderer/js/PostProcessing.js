@@ -0,0 +1,1219 @@
+/**
+ * @fileoverview Post-processing effect chain for WebGPU and WebGL2 renderers.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { BufferUsage } from './Renderer.js';
+
+/**
+ * Texture source of an effect pass: 'input' (the result of the previous
+ * effect), the name of a target declared by the effect's getTargets(), or
+ * an external texture created with createTexture().
+ * @typedef {(string|{texture: string})} PostTextureSource
+ */
+
+/**
+ * Full-screen pass of an effect.
+ *
+ * Shaders define `effect(uv)` returning the output color. WGSL shaders get
+ * `params` (uniform struct), `postSampler` and one texture_2d<f32> per entry
+ * of `textures`; GLSL ES 3.00 shaders get `params` and one sampler2D per
+ * entry. `params.resolution` holds the inputTexture size as
+ * (width, height, 1 / width, 1 / height); every uniform of the effect and
+ * the pass is a member of `params` as well.
+ * @typedef {Object} PostEffectPass
+ * @property {string} name - Pass name, unique within the effect.
+ * @property {string} wgsl - WGSL source defining `fn effect(uv: vec2f) -> vec4f`.
+ * @property {string} glsl - GLSL source defining `vec4 effect(vec2 uv)`.
+ * @property {Object<string, PostTextureSource>} textures - Texture sources by
+ *     shader variable name. Should contain inputTexture.
+ * @property {string} output - 'output' or a target of the effect.
+ * @property {Object<string, (number|number[])>} [uniforms] - Uniforms with
+ *     fixed values for this pass.
+ */
+
+/**
+ * Intermediate render target of an effect.
+ * @typedef {Object} PostEffectTarget
+ * @property {number} [scale=1] - Size relative to the canvas.
+ * @property {TextureFormat} [format] - Texture format. Defaults to the
+ *     format of the post-processing stack.
+ */
+
+/**
+ * Resources of one effect pass.
+ * @typedef {Object} PostPassResources
+ * @property {string} pipeline - Pipeline name.
+ * @property {string[]} uniformNames - Uniform names in `params` order.
+ * @property {?string} uniformBuffer - Uniform buffer name (WebGPU).
+ * @property {?string} layout - Bind group layout name (WebGPU).
+ * @property {string} source - Fragment shader source.
+ */
+
+/**
+ * WGSL vertex stage shared by all passes. Draws the full-screen triangle.
+ * @type {string}
+ */
+const POST_VERTEX_WGSL = `struct PostVertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) uv: vec2f,
+}
+
+@vertex
+fn vs_main(@location(0) position: vec2f) -> PostVertexOutput {
+  var output: PostVertexOutput;
+  output.position = vec4f(position, 0.0, 1.0);
+  output.uv = vec2f(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+  return output;
+}
+`;
+
+/**
+ * GLSL vertex shader shared by all passes. Draws the full-screen triangle.
+ * @type {string}
+ */
+const POST_VERTEX_GLSL = `#version 300 es
+in vec2 a_position;
+out vec2 v_uv;
+
+void main() {
+  v_uv = a_position * 0.5 + 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+/**
+ * Separable gaussian blur along params.direction (9 taps).
+ * @type {{wgsl: string, glsl: string}}
+ */
+const BLUR_SHADER = {
+  wgsl: `fn effect(uv: vec2f) -> vec4f {
+  var weights = array<f32, 5>(0.2270270270, 0.1945945946, 0.1216216216, 0.0540540541, 0.0162162162);
+  let offset = params.direction * params.resolution.zw * params.radius;
+  var color = textureSampleLevel(inputTexture, postSampler, uv, 0.0) * weights[0];
+  for (var i = 1; i < 5; i++) {
+    let step = offset * f32(i);
+    color += textureSampleLevel(inputTexture, postSampler, uv + step, 0.0) * weights[i];
+    color += textureSampleLevel(inputTexture, postSampler, uv - step, 0.0) * weights[i];
+  }
+  return color;
+}
+`,
+  glsl: `const float WEIGHTS[5] = float[5](0.2270270270, 0.1945945946, 0.1216216216, 0.0540540541, 0.0162162162);
+
+vec4 effect(vec2 uv) {
+  vec2 offset = params.direction * params.resolution.zw * params.radius;
+  vec4 color = texture(inputTexture, uv) * WEIGHTS[0];
+  for (int i = 1; i < 5; i++) {
+    vec2 step = offset * float(i);
+    color += texture(inputTexture, uv + step) * WEIGHTS[i];
+    color += texture(inputTexture, uv - step) * WEIGHTS[i];
+  }
+  return color;
+}
+`,
+};
+
+/**
+ * Base class of post-processing effects. An effect is one or more
+ * full-screen passes reading the previous result ('input') and finally
+ * writing 'output'.
+ */
+export class PostEffect {
+  /**
+   * Creates an effect.
+   * @param {string} name - Effect name, unique within a stack.
+   * @param {Object<string, (number|number[])>} [uniforms] - Uniforms and
+   *     their initial values. Their types (float or vector) are fixed by
+   *     these values.
+   */
+  constructor(name, uniforms = {}) {
+    /**
+     * Effect name.
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * Whether the effect runs.
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+    /**
+     * Uniform values.
+     * @type {Object<string, (number|number[])>}
+     */
+    this.uniforms = { ...uniforms };
+  }
+
+  /**
+   * Sets a uniform value.
+   * @param {string} name - Uniform name.
+   * @param {number|number[]} value - Uniform value.
+   * @throws {Error} If the effect has no such uniform.
+   */
+  setUniform(name, value) {
+    if (!(name in this.uniforms)) {
+      throw new Error(`Effect "${this.name}" has no uniform "${name}".`);
+    }
+    this.uniforms[name] = value;
+  }
+
+  /**
+   * Returns the intermediate render targets the passes use.
+   * @returns {Object<string, PostEffectTarget>} Targets by name.
+   */
+  getTargets() {
+    return {};
+  }
+
+  /**
+   * Returns the passes of the effect in execution order.
+   * @abstract
+   * @returns {Array<PostEffectPass>} Passes.
+   */
+  getPasses() {
+    throw new Error('Method "getPasses()" must be implemented.');
+  }
+}
+
+/**
+ * Single-pass effect from custom shaders. The shaders define `effect(uv)`
+ * as described for PostEffectPass and may sample inputTexture plus the
+ * extra textures given here.
+ */
+export class ShaderEffect extends PostEffect {
+  /**
+   * Creates a custom shader effect.
+   * @param {string} name - Effect name.
+   * @param {Object} config - Effect configuration.
+   * @param {string} [config.wgsl] - WGSL source (needed on WebGPU).
+   * @param {string} [config.glsl] - GLSL ES 3.00 source (needed on WebGL2).
+   * @param {Object<string, (number|number[])>} [config.uniforms] - Uniforms.
+   * @param {Object<string, string>} [config.textures] - External texture
+   *     names by shader variable name.
+   */
+  constructor(name, config) {
+    super(name, config.uniforms);
+
+    /**
+     * Effect shaders.
+     * @type {{wgsl: string, glsl: string}}
+     * @private
+     */
+    this.shaders_ = { wgsl: config.wgsl || '', glsl: config.glsl || '' };
+
+    /**
+     * External textures by shader variable name.
+     * @type {Object<string, string>}
+     * @private
+     */
+    this.textures_ = config.textures || {};
+  }
+
+  /** @override */
+  getPasses() {
+    const textures = { inputTexture: 'input' };
+    Object.entries(this.textures_).forEach(([variable, texture]) => {
+      textures[variable] = { texture };
+    });
+
+    return [
+      {
+        name: 'main',
+        wgsl: this.shaders_.wgsl,
+        glsl: this.shaders_.glsl,
+        textures,
+        output: 'output',
+      },
+    ];
+  }
+}
+
+/**
+ * Tone mapping operators.
+ * @enum {number}
+ */
+export const ToneMappingMode = {
+  REINHARD: 0,
+  ACES: 1,
+};
+
+/**
+ * Maps HDR colors to display range with exposure and gamma correction.
+ */
+export class ToneMappingEffect extends ShaderEffect {
+  /**
+   * Creates a tone mapping effect.
+   * @param {Object} [options] - Effect options.
+   * @param {ToneMappingMode} [options.mode=ToneMappingMode.ACES] - Operator.
+   * @param {number} [options.exposure=1.0] - Exposure multiplier.
+   * @param {number} [options.gamma=2.2] - Display gamma.
+   */
+  constructor(options = {}) {
+    super('toneMapping', {
+      uniforms: {
+        mode: options.mode ?? ToneMappingMode.ACES,
+        exposure: options.exposure ?? 1.0,
+        gamma: options.gamma ?? 2.2,
+      },
+      wgsl: `fn acesFilm(x: vec3f) -> vec3f {
+  return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), vec3f(0.0), vec3f(1.0));
+}
+
+fn effect(uv: vec2f) -> vec4f {
+  let color = textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+  var mapped = color.rgb * params.exposure;
+  if (params.mode < 0.5) {
+    mapped = mapped / (mapped + vec3f(1.0));
+  } else {
+    mapped = acesFilm(mapped);
+  }
+  return vec4f(pow(mapped, vec3f(1.0 / params.gamma)), color.a);
+}
+`,
+      glsl: `vec3 acesFilm(vec3 x) {
+  return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+
+vec4 effect(vec2 uv) {
+  vec4 color = texture(inputTexture, uv);
+  vec3 mapped = color.rgb * params.exposure;
+  if (params.mode < 0.5) {
+    mapped = mapped / (mapped + 1.0);
+  } else {
+    mapped = acesFilm(mapped);
+  }
+  return vec4(pow(mapped, vec3(1.0 / params.gamma)), color.a);
+}
+`,
+    });
+  }
+}
+
+/**
+ * Fast approximate anti-aliasing. Run it after tone mapping, on colors in
+ * display range.
+ */
+export class FXAAEffect extends ShaderEffect {
+  /**
+   * Creates an FXAA effect.
+   * @param {Object} [options] - Effect options.
+   * @param {number} [options.spanMax=8.0] - Longest blur span in texels.
+   * @param {number} [options.reduceMul=0.125] - Blur reduction by luma.
+   * @param {number} [options.reduceMin=0.0078125] - Smallest blur reduction.
+   */
+  constructor(options = {}) {
+    super('fxaa', {
+      uniforms: {
+        spanMax: options.spanMax ?? 8.0,
+        reduceMul: options.reduceMul ?? 1.0 / 8.0,
+        reduceMin: options.reduceMin ?? 1.0 / 128.0,
+      },
+      wgsl: `fn sampleColor(uv: vec2f) -> vec4f {
+  return textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+}
+
+fn effect(uv: vec2f) -> vec4f {
+  let texel = params.resolution.zw;
+  let weights = vec3f(0.299, 0.587, 0.114);
+  let center = sampleColor(uv);
+  let lumaNW = dot(sampleColor(uv + vec2f(-1.0, -1.0) * texel).rgb, weights);
+  let lumaNE = dot(sampleColor(uv + vec2f(1.0, -1.0) * texel).rgb, weights);
+  let lumaSW = dot(sampleColor(uv + vec2f(-1.0, 1.0) * texel).rgb, weights);
+  let lumaSE = dot(sampleColor(uv + vec2f(1.0, 1.0) * texel).rgb, weights);
+  let lumaM = dot(center.rgb, weights);
+  let lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+  let lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+  var dir = vec2f(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+  let dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * params.reduceMul, params.reduceMin);
+  let rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+  dir = clamp(dir * rcpDirMin, vec2f(-params.spanMax), vec2f(params.spanMax)) * texel;
+
+  let colorA = 0.5 * (sampleColor(uv + dir * (1.0 / 3.0 - 0.5)).rgb + sampleColor(uv + dir * (2.0 / 3.0 - 0.5)).rgb);
+  let colorB = colorA * 0.5 + 0.25 * (sampleColor(uv - dir * 0.5).rgb + sampleColor(uv + dir * 0.5).rgb);
+  let lumaB = dot(colorB, weights);
+  return vec4f(select(colorB, colorA, lumaB < lumaMin || lumaB > lumaMax), center.a);
+}
+`,
+      glsl: `vec4 effect(vec2 uv) {
+  vec2 texel = params.resolution.zw;
+  vec3 weights = vec3(0.299, 0.587, 0.114);
+  vec4 center = texture(inputTexture, uv);
+  float lumaNW = dot(texture(inputTexture, uv + vec2(-1.0, -1.0) * texel).rgb, weights);
+  float lumaNE = dot(texture(inputTexture, uv + vec2(1.0, -1.0) * texel).rgb, weights);
+  float lumaSW = dot(texture(inputTexture, uv + vec2(-1.0, 1.0) * texel).rgb, weights);
+  float lumaSE = dot(texture(inputTexture, uv + vec2(1.0, 1.0) * texel).rgb, weights);
+  float lumaM = dot(center.rgb, weights);
+  float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+  float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+  vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+  float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * params.reduceMul, params.reduceMin);
+  float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+  dir = clamp(dir * rcpDirMin, vec2(-params.spanMax), vec2(params.spanMax)) * texel;
+
+  vec3 colorA = 0.5 * (texture(inputTexture, uv + dir * (1.0 / 3.0 - 0.5)).rgb + texture(inputTexture, uv + dir * (2.0 / 3.0 - 0.5)).rgb);
+  vec3 colorB = colorA * 0.5 + 0.25 * (texture(inputTexture, uv - dir * 0.5).rgb + texture(inputTexture, uv + dir * 0.5).rgb);
+  float lumaB = dot(colorB, weights);
+  return vec4((lumaB < lumaMin || lumaB > lumaMax) ? colorA : colorB, center.a);
+}
+`,
+    });
+  }
+}
+
+/**
+ * Darkens the image towards its corners.
+ */
+export class VignetteEffect extends ShaderEffect {
+  /**
+   * Creates a vignette effect.
+   * @param {Object} [options] - Effect options.
+   * @param {number} [options.intensity=0.5] - Darkening at the corners (0-1).
+   * @param {number} [options.radius=0.75] - Distance from the center where
+   *     darkening ends.
+   * @param {number} [options.softness=0.45] - Width of the transition.
+   */
+  constructor(options = {}) {
+    super('vignette', {
+      uniforms: {
+        intensity: options.intensity ?? 0.5,
+        radius: options.radius ?? 0.75,
+        softness: options.softness ?? 0.45,
+      },
+      wgsl: `fn effect(uv: vec2f) -> vec4f {
+  let color = textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+  let vignette = 1.0 - smoothstep(params.radius - params.softness, params.radius, distance(uv, vec2f(0.5)));
+  return vec4f(color.rgb * mix(1.0, vignette, params.intensity), color.a);
+}
+`,
+      glsl: `vec4 effect(vec2 uv) {
+  vec4 color = texture(inputTexture, uv);
+  float vignette = 1.0 - smoothstep(params.radius - params.softness, params.radius, distance(uv, vec2(0.5)));
+  return vec4(color.rgb * mix(1.0, vignette, params.intensity), color.a);
+}
+`,
+    });
+  }
+}
+
+/**
+ * Color grading with a lookup table. The LUT is a 2D texture of size*size
+ * by size texels: one size*size slice per blue value laid out left to
+ * right, red increasing to the right and green downwards within a slice.
+ */
+export class ColorGradingEffect extends ShaderEffect {
+  /**
+   * Creates a color grading effect.
+   * @param {Object} options - Effect options.
+   * @param {string} options.lut - Name of the LUT texture.
+   * @param {number} [options.size=16] - LUT size (entries per channel).
+   * @param {number} [options.intensity=1.0] - Blend between original and
+   *     graded color (0-1).
+   */
+  constructor(options) {
+    super('colorGrading', {
+      uniforms: {
+        size: options.size ?? 16,
+        intensity: options.intensity ?? 1.0,
+      },
+      textures: { lutTexture: options.lut },
+      wgsl: `fn sampleLut(color: vec3f) -> vec3f {
+  let size = params.size;
+  let c = clamp(color, vec3f(0.0), vec3f(1.0));
+  let blue = c.b * (size - 1.0);
+  let slice0 = floor(blue);
+  let slice1 = min(slice0 + 1.0, size - 1.0);
+  let texel = (c.rg * (size - 1.0) + 0.5) / vec2f(size * size, size);
+  let graded0 = textureSampleLevel(lutTexture, postSampler, vec2f(texel.x + slice0 / size, texel.y), 0.0).rgb;
+  let graded1 = textureSampleLevel(lutTexture, postSampler, vec2f(texel.x + slice1 / size, texel.y), 0.0).rgb;
+  return mix(graded0, graded1, blue - slice0);
+}
+
+fn effect(uv: vec2f) -> vec4f {
+  let color = textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+  return vec4f(mix(color.rgb, sampleLut(color.rgb), params.intensity), color.a);
+}
+`,
+      glsl: `vec3 sampleLut(vec3 color) {
+  float size = params.size;
+  vec3 c = clamp(color, 0.0, 1.0);
+  float blue = c.b * (size - 1.0);
+  float slice0 = floor(blue);
+  float slice1 = min(slice0 + 1.0, size - 1.0);
+  vec2 texel = (c.rg * (size - 1.0) + 0.5) / vec2(size * size, size);
+  vec3 graded0 = texture(lutTexture, vec2(texel.x + slice0 / size, texel.y)).rgb;
+  vec3 graded1 = texture(lutTexture, vec2(texel.x + slice1 / size, texel.y)).rgb;
+  return mix(graded0, graded1, blue - slice0);
+}
+
+vec4 effect(vec2 uv) {
+  vec4 color = texture(inputTexture, uv);
+  return vec4(mix(color.rgb, sampleLut(color.rgb), params.intensity), color.a);
+}
+`,
+    });
+  }
+}
+
+/**
+ * Separable gaussian blur, optionally at reduced resolution.
+ */
+export class GaussianBlurEffect extends PostEffect {
+  /**
+   * Creates a gaussian blur effect.
+   * @param {Object} [options] - Effect options.
+   * @param {number} [options.radius=1.0] - Spacing of the taps in texels.
+   * @param {number} [options.scale=1.0] - Resolution of the blur relative to
+   *     the canvas.
+   */
+  constructor(options = {}) {
+    super('gaussianBlur', { radius: options.radius ?? 1.0 });
+
+    /**
+     * Blur resolution scale.
+     * @type {number}
+     * @private
+     */
+    this.scale_ = options.scale ?? 1.0;
+  }
+
+  /** @override */
+  getTargets() {
+    return { horizontal: { scale: this.scale_ } };
+  }
+
+  /** @override */
+  getPasses() {
+    return [
+      {
+        name: 'horizontal',
+        ...BLUR_SHADER,
+        textures: { inputTexture: 'input' },
+        output: 'horizontal',
+        uniforms: { direction: [1, 0] },
+      },
+      {
+        name: 'vertical',
+        ...BLUR_SHADER,
+        textures: { inputTexture: 'horizontal' },
+        output: 'output',
+        uniforms: { direction: [0, 1] },
+      },
+    ];
+  }
+}
+
+/**
+ * Bloom: bright parts are extracted, blurred at half resolution and added
+ * back onto the image. Run it before tone mapping.
+ */
+export class BloomEffect extends PostEffect {
+  /**
+   * Creates a bloom effect.
+   * @param {Object} [options] - Effect options.
+   * @param {number} [options.threshold=1.0] - Brightness where bloom starts.
+   * @param {number} [options.intensity=0.8] - Strength of the added glow.
+   * @param {number} [options.radius=1.0] - Spacing of the blur taps in texels.
+   * @param {number} [options.scale=0.5] - Resolution of the blur relative
+   *     to the canvas.
+   */
+  constructor(options = {}) {
+    super('bloom', {
+      threshold: options.threshold ?? 1.0,
+      intensity: options.intensity ?? 0.8,
+      radius: options.radius ?? 1.0,
+    });
+
+    /**
+     * Blur resolution scale.
+     * @type {number}
+     * @private
+     */
+    this.scale_ = options.scale ?? 0.5;
+  }
+
+  /** @override */
+  getTargets() {
+    return {
+      bright: { scale: this.scale_ },
+      blurred: { scale: this.scale_ },
+    };
+  }
+
+  /** @override */
+  getPasses() {
+    return [
+      {
+        name: 'bright',
+        wgsl: `fn effect(uv: vec2f) -> vec4f {
+  let color = textureSampleLevel(inputTexture, postSampler, uv, 0.0).rgb;
+  let brightness = max(color.r, max(color.g, color.b));
+  let contribution = max(brightness - params.threshold, 0.0) / max(brightness, 0.0001);
+  return vec4f(color * contribution, 1.0);
+}
+`,
+        glsl: `vec4 effect(vec2 uv) {
+  vec3 color = texture(inputTexture, uv).rgb;
+  float brightness = max(color.r, max(color.g, color.b));
+  float contribution = max(brightness - params.threshold, 0.0) / max(brightness, 0.0001);
+  return vec4(color * contribution, 1.0);
+}
+`,
+        textures: { inputTexture: 'input' },
+        output: 'bright',
+      },
+      {
+        name: 'horizontal',
+        ...BLUR_SHADER,
+        textures: { inputTexture: 'bright' },
+        output: 'blurred',
+        uniforms: { direction: [1, 0] },
+      },
+      {
+        name: 'vertical',
+        ...BLUR_SHADER,
+        textures: { inputTexture: 'blurred' },
+        output: 'bright',
+        uniforms: { direction: [0, 1] },
+      },
+      {
+        name: 'composite',
+        wgsl: `fn effect(uv: vec2f) -> vec4f {
+  let color = textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+  let bloom = textureSampleLevel(bloomTexture, postSampler, uv, 0.0).rgb;
+  return vec4f(color.rgb + bloom * params.intensity, color.a);
+}
+`,
+        glsl: `vec4 effect(vec2 uv) {
+  vec4 color = texture(inputTexture, uv);
+  vec3 bloom = texture(bloomTexture, uv).rgb;
+  return vec4(color.rgb + bloom * params.intensity, color.a);
+}
+`,
+        textures: { inputTexture: 'input', bloomTexture: 'bright' },
+        output: 'output',
+      },
+    ];
+  }
+}
+
+/**
+ * Post-processing stack. The scene is rendered into an offscreen target,
+ * then the enabled effects run in order as full-screen passes, ping-ponging
+ * between two internal targets, and the last one writes to the canvas.
+ * Internal targets follow the canvas size on the renderer "resize" event.
+ *
+ * Needs WGPURenderer (WGSL effects) or WGL2Renderer (GLSL ES 3.00 effects).
+ */
+export class PostProcessing {
+  /**
+   * Creates a post-processing stack.
+   * @param {Renderer} renderer - Initialized WGPURenderer or WGL2Renderer.
+   * @param {Object} [options] - Stack options.
+   * @param {string} [options.name='postProcessing'] - Prefix of the
+   *     resources created by the stack.
+   * @param {TextureFormat} [options.format='rgba16float'] - Format of the
+   *     scene and intermediate targets (WebGL2 needs EXT_color_buffer_float
+   *     to render to float formats).
+   * @param {?PortableDepthStencilAttachment} [options.depthStencil] - Depth
+   *     attachment of the scene target (null for none).
+   * @param {number} [options.sampleCount=1] - Sample count of the scene target.
+   * @param {boolean} [options.submit=true] - Whether render() submits the frame.
+   * @throws {Error} If the renderer backend is not supported.
+   */
+  constructor(renderer, options = {}) {
+    const backend = renderer.constructor.backend;
+    if (backend !== 'webgpu' && backend !== 'webgl2') {
+      throw new Error(
+        `PostProcessing needs a WebGPU or WebGL2 renderer, got "${backend}".`
+      );
+    }
+
+    /**
+     * Renderer the stack draws with.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Whether the renderer uses WebGPU (WGSL) rather than WebGL2 (GLSL).
+     * @type {boolean}
+     * @private
+     */
+    this.isWebGPU_ = backend === 'webgpu';
+
+    /**
+     * Resource name prefix.
+     * @type {string}
+     * @private
+     */
+    this.name_ = options.name || 'postProcessing';
+
+    /**
+     * Format of the scene and intermediate targets.
+     * @type {TextureFormat}
+     * @private
+     */
+    this.format_ = options.format || 'rgba16float';
+
+    /**
+     * Depth attachment of the scene target.
+     * @type {?PortableDepthStencilAttachment}
+     * @private
+     */
+    this.depthStencil_ =
+      options.depthStencil !== undefined ? options.depthStencil : {};
+
+    /**
+     * Sample count of the scene target.
+     * @type {number}
+     * @private
+     */
+    this.sampleCount_ = options.sampleCount || 1;
+
+    /**
+     * Whether render() submits the frame.
+     * @type {boolean}
+     * @private
+     */
+    this.submit_ = options.submit !== false;
+
+    /**
+     * Effects in execution order.
+     * @type {Array<PostEffect>}
+     * @private
+     */
+    this.effects_ = [];
+
+    /**
+     * Sizes of the render targets created by the stack.
+     * @type {Map<string, {width: number, height: number}>}
+     * @private
+     */
+    this.targets_ = new Map();
+
+    /**
+     * Resources per effect pass.
+     * @type {Map<string, PostPassResources>}
+     * @private
+     */
+    this.passes_ = new Map();
+
+    /**
+     * Bind group names per pass and texture binding (WebGPU).
+     * @type {Set<string>}
+     * @private
+     */
+    this.bindGroups_ = new Set();
+
+    /**
+     * Effect copying the scene to the canvas when no effect is enabled.
+     * @type {PostEffect}
+     * @private
+     */
+    this.copyEffect_ = new ShaderEffect('copy', {
+      wgsl: `fn effect(uv: vec2f) -> vec4f {
+  return textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+}
+`,
+      glsl: `vec4 effect(vec2 uv) {
+  return texture(inputTexture, uv);
+}
+`,
+    });
+
+    /**
+     * Full-screen triangle vertex buffer name.
+     * @type {string}
+     * @private
+     */
+    this.vertexBuffer_ = `${this.name_}.triangle`;
+    this.renderer.createBuffer({
+      name: this.vertexBuffer_,
+      usage: BufferUsage.VERTEX,
+      data: new Float32Array([-1, -1, 3, -1, -1, 3]),
+    });
+
+    /**
+     * Linear clamping sampler name.
+     * @type {string}
+     * @private
+     */
+    this.sampler_ = `${this.name_}.sampler`;
+    this.renderer.createSampler({
+      name: this.sampler_,
+      magFilter: 'linear',
+      minFilter: 'linear',
+    });
+
+    /**
+     * Resize listener registered on the renderer.
+     * @type {function(): void}
+     * @private
+     */
+    this.onResize_ = () => this.destroyTargets_();
+    this.renderer.on('resize', this.onResize_);
+  }
+
+  /**
+   * Appends an effect to the chain.
+   * @param {PostEffect} effect - Effect to add.
+   * @returns {PostEffect} The added effect.
+   * @throws {Error} If an effect with the same name was added before.
+   */
+  addEffect(effect) {
+    if (this.getEffect(effect.name)) {
+      throw new Error(`Effect "${effect.name}" already added.`);
+    }
+    this.effects_.push(effect);
+    return effect;
+  }
+
+  /**
+   * Removes an effect from the chain.
+   * @param {string} name - Effect name.
+   */
+  removeEffect(name) {
+    this.effects_ = this.effects_.filter(effect => effect.name !== name);
+  }
+
+  /**
+   * Returns an effect of the chain.
+   * @param {string} name - Effect name.
+   * @returns {?PostEffect} Effect or null.
+   */
+  getEffect(name) {
+    return this.effects_.find(effect => effect.name === name) || null;
+  }
+
+  /**
+   * Returns the render target the scene is drawn into. Use it to draw the
+   * scene in your own passes before calling render() without a callback.
+   * @returns {string} Render target name.
+   */
+  getSceneTarget() {
+    return this.ensureTarget_('scene', {
+      format: this.format_,
+      depthStencil: this.depthStencil_ || undefined,
+      sampleCount: this.sampleCount_,
+    });
+  }
+
+  /**
+   * Renders a frame: draws the scene into the scene target (when drawScene
+   * is given), runs the enabled effects and writes the result to the
+   * canvas or the given target.
+   * @param {?function(Renderer): void} [drawScene] - Draws the scene. Called
+   *     inside a pass on the scene target.
+   * @param {Object} [options] - Render options.
+   * @param {number[]} [options.clearColor] - Clear color of the scene pass.
+   * @param {?string} [options.target=null] - Render target receiving the
+   *     result, null for the canvas.
+   */
+  render(drawScene = null, options = {}) {
+    const scene = this.getSceneTarget();
+
+    if (drawScene) {
+      this.renderer.beginPass({
+        label: `${this.name_} scene`,
+        target: scene,
+        clearColor: options.clearColor,
+      });
+      try {
+        drawScene(this.renderer);
+      } finally {
+        this.renderer.endPass();
+      }
+    }
+
+    let effects = this.effects_.filter(effect => effect.enabled);
+    if (effects.length === 0) {
+      effects = [this.copyEffect_];
+    }
+
+    const finalTarget = options.target ?? null;
+    let input = scene;
+    effects.forEach((effect, index) => {
+      const output =
+        index === effects.length - 1
+          ? finalTarget
+          : this.ensureTarget_(`ping${index % 2}`, { format: this.format_ });
+
+      effect.getPasses().forEach(pass => {
+        const passOutput =
+          pass.output === 'output'
+            ? output
+            : this.getEffectTarget_(effect, pass.output);
+        this.runPass_(effect, pass, input, passOutput);
+      });
+      input = output;
+    });
+
+    if (this.submit_) {
+      this.renderer.submit();
+    }
+  }
+
+  /**
+   * Returns a render target of the stack, creating it at canvas size times
+   * scale if needed.
+   * @param {string} key - Target key.
+   * @param {Object} config - Render target configuration without name and size.
+   * @param {number} [scale=1] - Size relative to the canvas.
+   * @returns {string} Render target name.
+   * @private
+   */
+  ensureTarget_(key, config, scale = 1) {
+    const name = `${this.name_}.${key}`;
+    if (!this.targets_.has(name)) {
+      const { canvas } = this.renderer;
+      const width = Math.max(1, Math.floor(canvas.width * scale));
+      const height = Math.max(1, Math.floor(canvas.height * scale));
+      this.renderer.createRenderTarget({ name, width, height, ...config });
+      this.targets_.set(name, { width, height });
+    }
+    return name;
+  }
+
+  /**
+   * Returns an intermediate target declared by an effect.
+   * @param {PostEffect} effect - Effect.
+   * @param {string} targetName - Target name in the effect.
+   * @returns {string} Render target name.
+   * @throws {Error} If the effect does not declare the target.
+   * @private
+   */
+  getEffectTarget_(effect, targetName) {
+    const target = effect.getTargets()[targetName];
+    if (!target) {
+      throw new Error(`Effect "${effect.name}" has no target "${targetName}".`);
+    }
+    return this.ensureTarget_(
+      `${effect.name}.${targetName}`,
+      { format: target.format || this.format_ },
+      target.scale ?? 1
+    );
+  }
+
+  /**
+   * Runs one full-screen pass of an effect.
+   * @param {PostEffect} effect - Effect.
+   * @param {PostEffectPass} pass - Pass.
+   * @param {string} input - Render target holding the effect input.
+   * @param {?string} output - Render target to write, null for the canvas.
+   * @private
+   */
+  runPass_(effect, pass, input, output) {
+    const resources = this.getPassResources_(effect, pass);
+
+    // Render targets sampled by the pass, or external textures
+    const textures = Object.entries(pass.textures).map(([variable, source]) => {
+      if (typeof source === 'object') {
+        return { variable, texture: source.texture, target: null };
+      }
+      const target =
+        source === 'input' ? input : this.getEffectTarget_(effect, source);
+      return { variable, texture: null, target };
+    });
+
+    const inputSource = textures.find(
+      ({ variable }) => variable === 'inputTexture'
+    );
+    const size =
+      (inputSource && this.targets_.get(inputSource.target)) ||
+      this.renderer.canvas;
+    const values = {
+      resolution: new Float32Array([
+        size.width,
+        size.height,
+        1 / size.width,
+        1 / size.height,
+      ]),
+      ...effect.uniforms,
+      ...(pass.uniforms || {}),
+    };
+
+    this.renderer.beginPass({
+      label: `${this.name_} ${effect.name}.${pass.name}`,
+      target: output,
+      clearColor: [0, 0, 0, 0],
+    });
+    try {
+      this.renderer.setPipeline(resources.pipeline);
+      if (this.isWebGPU_) {
+        this.drawWGPU_(resources, textures, values);
+      } else {
+        this.drawWGL2_(resources, textures, values);
+      }
+    } finally {
+      this.renderer.endPass();
+    }
+  }
+
+  /**
+   * Uploads the uniforms and draws a pass with WGPURenderer.
+   * @param {PostPassResources} resources - Pass resources.
+   * @param {Array<{variable: string, texture: ?string, target: ?string}>} textures - Bound textures.
+   * @param {Object<string, (number|number[]|Float32Array)>} values - Uniform values.
+   * @private
+   */
+  drawWGPU_(resources, textures, values) {
+    const data = new Float32Array(4 * resources.uniformNames.length);
+    resources.uniformNames.forEach((name, index) => {
+      const value = values[name];
+      data.set(typeof value === 'number' ? [value] : value, index * 4);
+    });
+    this.renderer.updateBuffer(resources.uniformBuffer, data);
+
+    // Bind groups depend on the bound texture views, which only change
+    // when targets are recreated
+    const bindGroup = `${resources.pipeline}|${textures
+      .map(({ texture, target }) => texture || target)
+      .join('|')}`;
+    if (!this.bindGroups_.has(bindGroup)) {
+      this.renderer.createBindGroup({
+        name: bindGroup,
+        layout: resources.layout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: this.renderer.getBuffer(resources.uniformBuffer),
+            },
+          },
+          { binding: 1, resource: this.renderer.getSampler(this.sampler_) },
+          ...textures.map(({ texture, target }, index) => ({
+            binding: 2 + index,
+            resource: texture
+              ? this.renderer.getTextureView(texture)
+              : this.renderer.getRenderTargetView(target),
+          })),
+        ],
+      });
+      this.bindGroups_.add(bindGroup);
+    }
+
+    this.renderer.drawMesh({
+      vertexBuffers: [this.vertexBuffer_],
+      vertexCount: 3,
+      bindGroups: { 0: bindGroup },
+    });
+  }
+
+  /**
+   * Sets the uniforms and textures and draws a pass with WGL2Renderer.
+   * @param {PostPassResources} resources - Pass resources.
+   * @param {Array<{variable: string, texture: ?string, target: ?string}>} textures - Bound textures.
+   * @param {Object<string, (number|number[]|Float32Array)>} values - Uniform values.
+   * @private
+   */
+  drawWGL2_(resources, textures, values) {
+    // Uniforms the shader does not use are optimized out and would warn
+    resources.uniformNames
+      .filter(name => resources.source.includes(`params.${name}`))
+      .forEach(name => {
+        this.renderer.setUniform(
+          resources.pipeline,
+          `params.${name}`,
+          values[name]
+        );
+      });
+
+    textures.forEach(({ variable, texture, target }, unit) => {
+      this.renderer.setActiveTexture(unit);
+      this.renderer.bindTexture(
+        texture || this.renderer.getRenderTargetTexture(target),
+        undefined,
+        this.sampler_
+      );
+      this.renderer.setUniform(
+        resources.pipeline,
+        variable,
+        new Int32Array([unit])
+      );
+    });
+
+    this.renderer.drawMesh({
+      vertexBuffers: [this.vertexBuffer_],
+      vertexCount: 3,
+    });
+  }
+
+  /**
+   * Returns the pipeline and buffers of an effect pass, creating them on
+   * first use. The `params` struct is generated from the uniform values:
+   * resolution first, then the effect and pass uniforms, each in its own
+   * 16-byte slot.
+   * @param {PostEffect} effect - Effect.
+   * @param {PostEffectPass} pass - Pass.
+   * @returns {PostPassResources} Pass resources.
+   * @private
+   */
+  getPassResources_(effect, pass) {
+    const pipeline = `${this.name_}.${effect.name}.${pass.name}`;
+    if (this.passes_.has(pipeline)) {
+      return this.passes_.get(pipeline);
+    }
+
+    const uniforms = { ...effect.uniforms, ...(pass.uniforms || {}) };
+    const uniformNames = ['resolution', ...Object.keys(uniforms)];
+    const components = name =>
+      name === 'resolution'
+        ? 4
+        : typeof uniforms[name] === 'number'
+        ? 1
+        : uniforms[name].length;
+    const variables = Object.keys(pass.textures);
+    const vertexBuffers = [
+      {
+        arrayStride: 8,
+        attributes: [
+          {
+            format: 'float32x2',
+            offset: 0,
+            shaderLocation: 0,
+            name: 'a_position',
+          },
+        ],
+      },
+    ];
+
+    let source;
+    const resources = {
+      pipeline,
+      uniformNames,
+      uniformBuffer: null,
+      layout: null,
+    };
+
+    if (this.isWebGPU_) {
+      const types = ['f32', 'vec2f', 'vec3f', 'vec4f'];
+      source = [
+        'struct PostParams {',
+        ...uniformNames.map(
+          name => `  @align(16) ${name}: ${types[components(name) - 1]},`
+        ),
+        '}',
+        '',
+        '@group(0) @binding(0) var<uniform> params: PostParams;',
+        '@group(0) @binding(1) var postSampler: sampler;',
+        ...variables.map(
+          (variable, index) =>
+            `@group(0) @binding(${2 + index}) var ${variable}: texture_2d<f32>;`
+        ),
+        '',
+        pass.wgsl,
+        '@fragment',
+        'fn fs_main(input: PostVertexOutput) -> @location(0) vec4f {',
+        '  return effect(input.uv);',
+        '}',
+        '',
+      ].join('\n');
+
+      resources.uniformBuffer = `${pipeline}.params`;
+      this.renderer.createBuffer({
+        name: resources.uniformBuffer,
+        usage: BufferUsage.UNIFORM,
+        data: new Float32Array(4 * uniformNames.length),
+      });
+
+      resources.layout = `${pipeline}.layout`;
+      const layout = this.renderer.createBindGroupLayout(resources.layout, [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: 'uniform' },
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.FRAGMENT,
+          sampler: { type: 'filtering' },
+        },
+        ...variables.map((variable, index) => ({
+          binding: 2 + index,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: 'float' },
+        })),
+      ]);
+
+      this.renderer.createPipeline(pipeline, {
+        shaders: { vertex: POST_VERTEX_WGSL, fragment: source },
+        vertexBuffers,
+        bindGroupLayouts: [layout],
+        primitive: { topology: 'triangle-list', cullMode: 'none' },
+        blend: null,
+        depthStencil: null,
+      });
+    } else {
+      const types = ['float', 'vec2', 'vec3', 'vec4'];
+      source = [
+        '#version 300 es',
+        'precision highp float;',
+        '',
+        'struct PostParams {',
+        ...uniformNames.map(
+          name => `  ${types[components(name) - 1]} ${name};`
+        ),
+        '};',
+        '',
+        'uniform PostParams params;',
+        ...variables.map(variable => `uniform sampler2D ${variable};`),
+        'in vec2 v_uv;',
+        'out vec4 fragColor;',
+        '',
+        pass.glsl,
+        'void main() {',
+        '  fragColor = effect(v_uv);',
+        '}',
+        '',
+      ].join('\n');
+
+      this.renderer.createPipeline(pipeline, {
+        shaders: { vertex: POST_VERTEX_GLSL, fragment: source },
+        vertexBuffers,
+        primitive: { topology: 'triangle-list', cullMode: 'none' },
+        blend: null,
+        depthStencil: null,
+      });
+    }
+
+    resources.source = source;
+    this.passes_.set(pipeline, resources);
+    return resources;
+  }
+
+  /**
+   * Destroys the render targets of the stack; they are recreated at the
+   * current canvas size when next used.
+   * @private
+   */
+  destroyTargets_() {
+    this.targets_.forEach((size, name) => {
+      this.renderer.destroyRenderTarget(name);
+    });
+    this.targets_.clear();
+    this.bindGroups_.clear();
+  }
+
+  /**
+   * Destroys all resources of the stack and stops listening for resizes.
+   */
+  destroy() {
+    this.renderer.off('resize', this.onResize_);
+    this.destroyTargets_();
+    this.passes_.forEach(resources => {
+      this.renderer.destroyPipeline(resources.pipeline);
+      if (resources.uniformBuffer) {
+        this.renderer.destroyBuffer(resources.uniformBuffer);
+      }
+    });
+    this.passes_.clear();
+    this.renderer.destroyBuffer(this.vertexBuffer_);
+  }
+}
@@ -0,0 +1,561 @@
+/**
+ * @fileoverview Declarative render graph on top of the renderer pass API.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Transient render target description. Sizes default to the canvas size
+ * times `scale` and follow it when the renderer is resized.
+ * @typedef {Object} GraphRenderTargetConfig
+ * @property {number} [width] - Fixed width.
+ * @property {number} [height] - Fixed height.
+ * @property {number} [scale=1] - Size relative to the canvas when width and
+ *     height are not given.
+ * @property {TextureFormat} [format='rgba8unorm'] - Format of the single color attachment.
+ * @property {PortableColorAttachment[]} [colorAttachments] - Color attachments.
+ * @property {PortableDepthStencilAttachment} [depthStencil] - Depth/stencil attachment.
+ * @property {number} [sampleCount=1] - Sample count.
+ */
+
+/**
+ * Render graph pass configuration. A pass renders into the one resource it
+ * writes and samples the resources it reads.
+ * @typedef {Object} GraphPassConfig
+ * @property {string[]} [reads] - Resources sampled by the pass.
+ * @property {string[]} writes - Resource rendered into (exactly one).
+ * @property {function(GraphPassContext): void} execute - Records the draws
+ *     of the pass. Called between beginPass() and endPass().
+ * @property {boolean} [sideEffects=false] - Keeps the pass even if nothing
+ *     reads what it writes.
+ * @property {LoadOp} [loadOp='clear'] - Color load operation.
+ * @property {StoreOp} [storeOp='store'] - Color store operation.
+ * @property {number[]} [clearColor] - Clear color [r, g, b, a].
+ * @property {LoadOp} [depthLoadOp] - Depth load operation.
+ * @property {StoreOp} [depthStoreOp='store'] - Depth store operation.
+ * @property {number} [clearDepth=1.0] - Depth clear value.
+ */
+
+/**
+ * Context handed to a pass when it executes.
+ * @typedef {Object} GraphPassContext
+ * @property {Renderer} renderer - Renderer the graph draws with.
+ * @property {string} pass - Pass name.
+ * @property {function(string): ?string} getTarget - Returns the renderer
+ *     render target name of a resource (null for the canvas).
+ * @property {function(string, number=): *} getTexture - Returns color
+ *     attachment N of a resource as the renderer exposes it for sampling
+ *     (GPUTextureView on WebGPU, texture name on WebGL).
+ */
+
+/**
+ * Compiled frame.
+ * @typedef {Object} CompiledGraph
+ * @property {string[]} order - Pass names in execution order.
+ * @property {string[]} culled - Passes left out because nothing uses them.
+ * @property {Map<string, ?string>} targets - Render target name per resource.
+ */
+
+/**
+ * Resource record.
+ * @typedef {Object} GraphResource
+ * @property {boolean} imported - Whether the resource is owned outside the graph.
+ * @property {?string} target - Render target name of an imported resource.
+ * @property {?GraphRenderTargetConfig} config - Transient resource description.
+ */
+
+/**
+ * Physical render target owned by the graph.
+ * @typedef {Object} PooledTarget
+ * @property {string} name - Render target name.
+ * @property {string} key - Description key; only equal keys alias.
+ * @property {boolean} used - Whether the current plan uses the target.
+ */
+
+/**
+ * Render graph (frame graph). Passes declare the resources they read and
+ * write; the graph orders them, culls passes whose output is never used,
+ * allocates transient render targets (reusing one target for resources
+ * whose lifetimes do not overlap) and reallocates them on resize.
+ *
+ * Works with any renderer implementing render targets and the pass API
+ * (WGPURenderer, WGLRenderer, WGL2Renderer).
+ */
+export class RenderGraph {
+  /**
+   * Name of the imported resource standing for the canvas.
+   * @type {string}
+   */
+  static get BACKBUFFER() {
+    return 'backbuffer';
+  }
+
+  /**
+   * Creates a render graph.
+   * @param {Renderer} renderer - Initialized renderer.
+   * @param {Object} [options] - Graph options.
+   * @param {string} [options.name='renderGraph'] - Prefix of the render
+   *     target names created by the graph.
+   * @param {boolean} [options.submit=true] - Whether execute() submits the frame.
+   */
+  constructor(renderer, options = {}) {
+    /**
+     * Renderer the graph draws with.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Render target name prefix.
+     * @type {string}
+     * @private
+     */
+    this.name_ = options.name || 'renderGraph';
+
+    /**
+     * Whether execute() submits the frame.
+     * @type {boolean}
+     * @private
+     */
+    this.submit_ = options.submit !== false;
+
+    /**
+     * Passes in declaration order.
+     * @type {Map<string, GraphPassConfig>}
+     * @private
+     */
+    this.passes_ = new Map();
+
+    /**
+     * Declared resources.
+     * @type {Map<string, GraphResource>}
+     * @private
+     */
+    this.resources_ = new Map([
+      [RenderGraph.BACKBUFFER, { imported: true, target: null, config: null }],
+    ]);
+
+    /**
+     * Physical render targets.
+     * @type {Array<PooledTarget>}
+     * @private
+     */
+    this.pool_ = [];
+
+    /**
+     * Number of render targets created so far (for unique names).
+     * @type {number}
+     * @private
+     */
+    this.targetCount_ = 0;
+
+    /**
+     * Current compiled frame, null when it has to be compiled again.
+     * @type {?CompiledGraph}
+     * @private
+     */
+    this.compiled_ = null;
+
+    /**
+     * Resize listener registered on the renderer.
+     * @type {function(): void}
+     * @private
+     */
+    this.onResize_ = () => this.resize_();
+    this.renderer.on('resize', this.onResize_);
+  }
+
+  /**
+   * Declares a transient render target. The graph creates it when a pass
+   * uses it and may share the underlying target with other resources.
+   * @param {string} name - Resource name.
+   * @param {GraphRenderTargetConfig} [config] - Render target description.
+   * @throws {Error} If the resource already exists.
+   */
+  addRenderTarget(name, config = {}) {
+    this.addResource_(name, { imported: false, target: null, config });
+  }
+
+  /**
+   * Declares a render target owned outside the graph. Passes writing it are
+   * never culled.
+   * @param {string} name - Resource name.
+   * @param {?string} target - Render target name or null for the canvas.
+   * @throws {Error} If the resource already exists.
+   */
+  importRenderTarget(name, target) {
+    this.addResource_(name, { imported: true, target, config: null });
+  }
+
+  /**
+   * Adds a resource record.
+   * @param {string} name - Resource name.
+   * @param {GraphResource} resource - Resource record.
+   * @throws {Error} If the resource already exists.
+   * @private
+   */
+  addResource_(name, resource) {
+    if (this.resources_.has(name)) {
+      throw new Error(`Render graph resource "${name}" already exists.`);
+    }
+    this.resources_.set(name, resource);
+    this.compiled_ = null;
+  }
+
+  /**
+   * Adds a pass.
+   * @param {string} name - Pass name.
+   * @param {GraphPassConfig} config - Pass configuration.
+   * @throws {Error} If the pass already exists or does not write exactly
+   *     one resource.
+   */
+  addPass(name, config) {
+    if (this.passes_.has(name)) {
+      throw new Error(`Render graph pass "${name}" already exists.`);
+    }
+    if (!config.writes || config.writes.length !== 1) {
+      throw new Error(
+        `Render graph pass "${name}" must write exactly one resource.`
+      );
+    }
+    if ((config.reads || []).includes(config.writes[0])) {
+      throw new Error(
+        `Render graph pass "${name}" cannot read the resource it writes.`
+      );
+    }
+
+    this.passes_.set(name, { reads: [], ...config });
+    this.compiled_ = null;
+  }
+
+  /**
+   * Removes a pass.
+   * @param {string} name - Pass name.
+   */
+  removePass(name) {
+    if (this.passes_.delete(name)) {
+      this.compiled_ = null;
+    }
+  }
+
+  /**
+   * Orders and culls the passes and assigns render targets to resources.
+   * Called by execute() whenever the graph changed.
+   * @returns {CompiledGraph} Compiled frame.
+   * @throws {Error} If a resource is unknown, read without being written,
+   *     or the passes depend on each other in a cycle.
+   */
+  compile() {
+    if (this.compiled_) {
+      return this.compiled_;
+    }
+
+    const writers = new Map();
+    this.passes_.forEach((pass, name) => {
+      [...pass.reads, ...pass.writes].forEach(resource => {
+        if (!this.resources_.has(resource)) {
+          throw new Error(
+            `Render graph pass "${name}" uses unknown resource "${resource}".`
+          );
+        }
+      });
+      const resource = pass.writes[0];
+      if (!writers.has(resource)) {
+        writers.set(resource, []);
+      }
+      writers.get(resource).push(name);
+    });
+
+    const needed = this.findNeededPasses_(writers);
+    const order = this.sortPasses_(needed, writers);
+    const targets = this.allocateTargets_(order);
+
+    this.compiled_ = {
+      order,
+      culled: [...this.passes_.keys()].filter(name => !needed.has(name)),
+      targets,
+    };
+    return this.compiled_;
+  }
+
+  /**
+   * Finds the passes contributing to an imported resource or having side
+   * effects, walking from those passes back through what they read.
+   * @param {Map<string, string[]>} writers - Writing passes per resource.
+   * @returns {Set<string>} Names of passes to execute.
+   * @throws {Error} If a needed pass reads a resource nothing writes.
+   * @private
+   */
+  findNeededPasses_(writers) {
+    const needed = new Set();
+    const stack = [];
+
+    this.passes_.forEach((pass, name) => {
+      if (pass.sideEffects || this.resources_.get(pass.writes[0]).imported) {
+        stack.push(name);
+      }
+    });
+
+    while (stack.length) {
+      const name = stack.pop();
+      if (needed.has(name)) {
+        continue;
+      }
+      needed.add(name);
+
+      this.passes_.get(name).reads.forEach(resource => {
+        const resourceWriters = writers.get(resource);
+        if (!resourceWriters) {
+          if (this.resources_.get(resource).imported) {
+            return;
+          }
+          throw new Error(
+            `Render graph pass "${name}" reads "${resource}", which no pass writes.`
+          );
+        }
+        stack.push(...resourceWriters);
+      });
+    }
+
+    return needed;
+  }
+
+  /**
+   * Orders passes so every pass runs after the passes writing what it
+   * reads. Passes writing the same resource keep their declaration order,
+   * as do independent passes.
+   * @param {Set<string>} needed - Passes to order.
+   * @param {Map<string, string[]>} writers - Writing passes per resource.
+   * @returns {string[]} Pass names in execution order.
+   * @throws {Error} If the passes depend on each other in a cycle.
+   * @private
+   */
+  sortPasses_(needed, writers) {
+    const names = [...this.passes_.keys()].filter(name => needed.has(name));
+    const dependencies = new Map(names.map(name => [name, new Set()]));
+
+    names.forEach(name => {
+      const pass = this.passes_.get(name);
+      pass.reads.forEach(resource => {
+        (writers.get(resource) || [])
+          .filter(writer => needed.has(writer))
+          .forEach(writer => dependencies.get(name).add(writer));
+      });
+
+      const sameTarget = writers.get(pass.writes[0]);
+      sameTarget
+        .slice(0, sameTarget.indexOf(name))
+        .filter(writer => needed.has(writer))
+        .forEach(writer => dependencies.get(name).add(writer));
+    });
+
+    const order = [];
+    const done = new Set();
+    while (order.length < names.length) {
+      const next = names.find(
+        name =>
+          !done.has(name) &&
+          [...dependencies.get(name)].every(dependency => done.has(dependency))
+      );
+      if (!next) {
+        const remaining = names.filter(name => !done.has(name));
+        throw new Error(
+          `Render graph passes depend on each other in a cycle: ${remaining.join(
+            ', '
+          )}.`
+        );
+      }
+      order.push(next);
+      done.add(next);
+    }
+
+    return order;
+  }
+
+  /**
+   * Assigns render targets to the transient resources used by the ordered
+   * passes. A resource lives from its first to its last use; resources with
+   * the same description and disjoint lifetimes share one render target.
+   * Targets of the previous plan are reused, unused ones destroyed.
+   * @param {string[]} order - Pass names in execution order.
+   * @returns {Map<string, ?string>} Render target name per resource.
+   * @private
+   */
+  allocateTargets_(order) {
+    const targets = new Map();
+    const lastUse = new Map();
+    const firstUse = new Map();
+
+    order.forEach((name, index) => {
+      const pass = this.passes_.get(name);
+      [...pass.reads, ...pass.writes].forEach(resource => {
+        if (!firstUse.has(resource)) {
+          firstUse.set(resource, index);
+        }
+        lastUse.set(resource, index);
+      });
+    });
+
+    this.resources_.forEach((resource, name) => {
+      if (resource.imported) {
+        targets.set(name, resource.target);
+      }
+    });
+
+    this.pool_.forEach(entry => {
+      entry.used = false;
+    });
+    const free = [...this.pool_];
+
+    order.forEach((passName, index) => {
+      firstUse.forEach((first, name) => {
+        const resource = this.resources_.get(name);
+        if (first !== index || resource.imported) {
+          return;
+        }
+
+        const config = this.resolveConfig_(resource.config);
+        const key = JSON.stringify(config);
+        const freeIndex = free.findIndex(entry => entry.key === key);
+        let entry;
+        if (freeIndex >= 0) {
+          entry = free.splice(freeIndex, 1)[0];
+        } else {
+          entry = {
+            name: `${this.name_}.target${this.targetCount_++}`,
+            key,
+            used: false,
+          };
+          this.renderer.createRenderTarget({ name: entry.name, ...config });
+          this.pool_.push(entry);
+        }
+        entry.used = true;
+        targets.set(name, entry.name);
+      });
+
+      // Targets whose resources end here can be reused by later passes
+      lastUse.forEach((last, name) => {
+        if (last === index && !this.resources_.get(name).imported) {
+          free.push(this.pool_.find(entry => entry.name === targets.get(name)));
+        }
+      });
+    });
+
+    this.pool_ = this.pool_.filter(entry => {
+      if (!entry.used) {
+        this.renderer.destroyRenderTarget(entry.name);
+      }
+      return entry.used;
+    });
+
+    return targets;
+  }
+
+  /**
+   * Resolves a transient resource description to a render target
+   * configuration for the current canvas size.
+   * @param {GraphRenderTargetConfig} config - Resource description.
+   * @returns {Object} Render target configuration without a name.
+   * @private
+   */
+  resolveConfig_(config) {
+    const scale = config.scale ?? 1;
+    const { canvas } = this.renderer;
+    return {
+      width: config.width ?? Math.max(1, Math.floor(canvas.width * scale)),
+      height: config.height ?? Math.max(1, Math.floor(canvas.height * scale)),
+      format: config.format || 'rgba8unorm',
+      colorAttachments: config.colorAttachments,
+      depthStencil: config.depthStencil,
+      sampleCount: config.sampleCount || 1,
+    };
+  }
+
+  /**
+   * Executes the passes in order, each in its own render pass, and submits
+   * the frame unless the graph was created with submit: false.
+   * @throws {Error} If the graph cannot be compiled.
+   */
+  execute() {
+    const { order, targets } = this.compile();
+
+    const getTarget = resource => {
+      if (!targets.has(resource)) {
+        throw new Error(
+          `Render graph resource "${resource}" is not available.`
+        );
+      }
+      return targets.get(resource);
+    };
+    const getTexture = (resource, index = 0) => {
+      const target = getTarget(resource);
+      return typeof this.renderer.getRenderTargetView === 'function'
+        ? this.renderer.getRenderTargetView(target, index)
+        : this.renderer.getRenderTargetTexture(target, index);
+    };
+
+    order.forEach(name => {
+      const pass = this.passes_.get(name);
+      this.renderer.beginPass({
+        label: name,
+        target: getTarget(pass.writes[0]),
+        loadOp: pass.loadOp,
+        storeOp: pass.storeOp,
+        clearColor: pass.clearColor,
+        depthLoadOp: pass.depthLoadOp,
+        depthStoreOp: pass.depthStoreOp,
+        clearDepth: pass.clearDepth,
+      });
+      try {
+        pass.execute({
+          renderer: this.renderer,
+          pass: name,
+          getTarget,
+          getTexture,
+        });
+      } finally {
+        this.renderer.endPass();
+      }
+    });
+
+    if (this.submit_) {
+      this.renderer.submit();
+    }
+  }
+
+  /**
+   * Destroys the render targets sized from the canvas so the next execute()
+   * recreates them at the new size. Fixed-size targets are kept.
+   * @private
+   */
+  resize_() {
+    this.compiled_ = null;
+
+    const keys = new Set();
+    this.resources_.forEach(resource => {
+      if (!resource.imported) {
+        keys.add(JSON.stringify(this.resolveConfig_(resource.config)));
+      }
+    });
+
+    this.pool_ = this.pool_.filter(entry => {
+      if (!keys.has(entry.key)) {
+        this.renderer.destroyRenderTarget(entry.name);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Destroys the render targets created by the graph and stops listening
+   * for resizes.
+   */
+  destroy() {
+    this.renderer.off('resize', this.onResize_);
+    this.pool_.forEach(entry => this.renderer.destroyRenderTarget(entry.name));
+    this.pool_ = [];
+    this.compiled_ = null;
+  }
+}
@@ -1,95 +1,1046 @@
-/**
- * @fileoverview Abstract base class for all CTS renderers.
- * @copyright 2025–present Catsgold
- * @license GPL-3.0-or-later
- * You must credit Catsgold (me) if you use or modify this code.
- */
-
-/**
- * Abstract base class for all CTS renderers.
- * Defines a common interface that all concrete renderers must implement.
- */
-export class Renderer {
-  /**
-   * Creates a Renderer instance.
-   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
-   * @throws {Error} When trying to create an instance of an abstract class.
-   */
-  constructor(canvas) {
-    if (new.target === Renderer) {
-      throw new Error(
-        'Renderer is an abstract class and cannot be instantiated directly.'
-      );
-    }
-
-    /**
-     * Canvas element associated with the renderer.
-     * @type {HTMLCanvasElement}
-     * @protected
-     */
-    this.canvas = canvas;
-
-    /**
-     * Rendering context (WebGL, WebGL2, WebGPU, etc.).
-     * @type {?}
-     * @protected
-     */
-    this.context = null;
-
-    /**
-     * Flag indicating whether the renderer is initialized.
-     * @type {boolean}
-     * @protected
-     */
-    this.isInitialized = false;
-  }
-
-  /**
-   * Initializes the renderer.
-   * @abstract
-   * @returns {Promise<boolean>} A Promise that resolves to true upon successful initialization.
-   * @throws {Error} If initialization failed.
-   */
-  async initialize() {
-    throw new Error('Method "initialize()" must be implemented.');
-  }
-
-  /**
-   * Sets the size of the rendering viewport.
-   * @abstract
-   * @param {number} width - Width in pixels.
-   * @param {number} height - Height in pixels.
-   */
-  setSize(width, height) {
-    throw new Error('Method "setSize()" must be implemented.');
-  }
-
-  /**
-   * Sets the current clearColor.
-   * @abstract
-   * @param {number} r - Red cleaning color component (0-1).
-   * @param {number} g - Green cleaning color component (0-1).
-   * @param {number} b - Blue cleaning color component (0-1).
-   * @param {number} a - Alpha cleaning color component (0-1).
-   */
-  setClearColor(r, g, b, a) {
-    throw new Error('Method "setClearColor()" must be implemented.');
-  }
-
-  /**
-   * Renders a frame. Must be implemented in derived classes.
-   * @abstract
-   */
-  render() {
-    throw new Error('Method "render()" must be implemented.');
-  }
-
-  /**
-   * Checks if the given renderer type is supported in the current environment.
-   * @abstract
-   * @returns {boolean} True if supported, false otherwise.
-   */
-  static isSupported() {
-    throw new Error('Method "isSupported()" must be implemented.');
-  }
-}
+/**
+ * @fileoverview Abstract base class for all CTS renderers.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { toHalfFloat } from './math/common.js';
+import { ShaderPreprocessor } from './ShaderPreprocessor.js';
+
+/**
+ * Portable buffer usages.
+ * @enum {string}
+ */
+export const BufferUsage = Object.freeze({
+  VERTEX: 'vertex',
+  INDEX: 'index',
+  UNIFORM: 'uniform',
+});
+
+/**
+ * Portable texture formats. Values match WebGPU texture format names.
+ * @enum {string}
+ */
+export const TextureFormat = Object.freeze({
+  R8: 'r8unorm',
+  RG8: 'rg8unorm',
+  RGBA8: 'rgba8unorm',
+  RGBA8_SRGB: 'rgba8unorm-srgb',
+  RGBA16F: 'rgba16float',
+  RGBA32F: 'rgba32float',
+  DEPTH16: 'depth16unorm',
+  DEPTH24_STENCIL8: 'depth24plus-stencil8',
+  DEPTH32F: 'depth32float',
+});
+
+/**
+ * ASTC block sizes, in the order of the Vulkan and WebGL format constants.
+ * @type {Array<string>}
+ */
+const ASTC_BLOCK_SIZES = [
+  '4x4',
+  '5x4',
+  '5x5',
+  '6x5',
+  '6x6',
+  '8x5',
+  '8x6',
+  '8x8',
+  '10x5',
+  '10x6',
+  '10x8',
+  '10x10',
+  '12x10',
+  '12x12',
+];
+
+/**
+ * Half float texture formats, whose data may be given as a Float32Array.
+ * @type {Set<string>}
+ */
+const HALF_FLOAT_FORMATS = new Set(['r16float', 'rg16float', 'rgba16float']);
+
+/**
+ * Portable block-compressed texture formats (WebGPU format names). Upload
+ * them with createTexture({format, levels}) when supportsTextureFormat()
+ * allows it.
+ * @type {ReadonlyArray<string>}
+ */
+export const COMPRESSED_TEXTURE_FORMATS = Object.freeze([
+  'bc1-rgba-unorm',
+  'bc1-rgba-unorm-srgb',
+  'bc2-rgba-unorm',
+  'bc2-rgba-unorm-srgb',
+  'bc3-rgba-unorm',
+  'bc3-rgba-unorm-srgb',
+  'bc4-r-unorm',
+  'bc4-r-snorm',
+  'bc5-rg-unorm',
+  'bc5-rg-snorm',
+  'bc6h-rgb-ufloat',
+  'bc6h-rgb-float',
+  'bc7-rgba-unorm',
+  'bc7-rgba-unorm-srgb',
+  'etc2-rgb8unorm',
+  'etc2-rgb8unorm-srgb',
+  'etc2-rgb8a1unorm',
+  'etc2-rgb8a1unorm-srgb',
+  'etc2-rgba8unorm',
+  'etc2-rgba8unorm-srgb',
+  'eac-r11unorm',
+  'eac-r11snorm',
+  'eac-rg11unorm',
+  'eac-rg11snorm',
+  ...ASTC_BLOCK_SIZES.flatMap(size => [
+    `astc-${size}-unorm`,
+    `astc-${size}-unorm-srgb`,
+  ]),
+]);
+
+/**
+ * Block layout of a compressed texture format.
+ * @typedef {Object} CompressedFormatInfo
+ * @property {('bc'|'etc2'|'astc')} family - Compression family.
+ * @property {string} feature - WebGPU feature enabling the family.
+ * @property {number} blockWidth - Block width in texels.
+ * @property {number} blockHeight - Block height in texels.
+ * @property {number} blockSize - Bytes per block.
+ */
+
+/**
+ * Returns the block layout of a compressed texture format.
+ * @param {string} format - Texture format.
+ * @returns {?CompressedFormatInfo} Block layout, or null for uncompressed
+ *     formats.
+ */
+export function getCompressedFormatInfo(format) {
+  if (!COMPRESSED_TEXTURE_FORMATS.includes(format)) {
+    return null;
+  }
+  if (format.startsWith('astc-')) {
+    const [blockWidth, blockHeight] = format.split('-')[1].split('x');
+    return {
+      family: 'astc',
+      feature: 'texture-compression-astc',
+      blockWidth: Number(blockWidth),
+      blockHeight: Number(blockHeight),
+      blockSize: 16,
+    };
+  }
+  // BC1, BC4, ETC2 RGB/RGB-A1 and EAC R11 use 8-byte blocks
+  const small = /^(bc1|bc4|etc2-rgb8|eac-r11)/.test(format);
+  const family = format.startsWith('bc') ? 'bc' : 'etc2';
+  return {
+    family,
+    feature: `texture-compression-${family}`,
+    blockWidth: 4,
+    blockHeight: 4,
+    blockSize: small ? 8 : 16,
+  };
+}
+
+/**
+ * Portable vertex attribute formats. Values match WebGPU vertex format names.
+ * @enum {string}
+ */
+export const VertexFormat = Object.freeze({
+  FLOAT32: 'float32',
+  FLOAT32X2: 'float32x2',
+  FLOAT32X3: 'float32x3',
+  FLOAT32X4: 'float32x4',
+  UNORM8X4: 'unorm8x4',
+  UINT8X4: 'uint8x4',
+  UINT16X2: 'uint16x2',
+  UINT16X4: 'uint16x4',
+});
+
+/**
+ * Portable primitive topologies. Values match WebGPU topology names.
+ * @enum {string}
+ */
+export const PrimitiveTopology = Object.freeze({
+  POINTS: 'point-list',
+  LINES: 'line-list',
+  LINE_STRIP: 'line-strip',
+  TRIANGLES: 'triangle-list',
+  TRIANGLE_STRIP: 'triangle-strip',
+});
+
+/**
+ * Portable face culling modes. Values match WebGPU cull mode names.
+ * @enum {string}
+ */
+export const CullMode = Object.freeze({
+  NONE: 'none',
+  FRONT: 'front',
+  BACK: 'back',
+});
+
+/**
+ * Portable depth compare functions. Values match WebGPU compare function names.
+ * @enum {string}
+ */
+export const CompareFunction = Object.freeze({
+  NEVER: 'never',
+  LESS: 'less',
+  EQUAL: 'equal',
+  LESS_EQUAL: 'less-equal',
+  GREATER: 'greater',
+  NOT_EQUAL: 'not-equal',
+  GREATER_EQUAL: 'greater-equal',
+  ALWAYS: 'always',
+});
+
+/**
+ * Portable sampler filter modes. Values match WebGPU filter mode names.
+ * @enum {string}
+ */
+export const FilterMode = Object.freeze({
+  NEAREST: 'nearest',
+  LINEAR: 'linear',
+});
+
+/**
+ * Portable sampler address modes. Values match WebGPU address mode names.
+ * @enum {string}
+ */
+export const AddressMode = Object.freeze({
+  CLAMP_TO_EDGE: 'clamp-to-edge',
+  REPEAT: 'repeat',
+  MIRROR_REPEAT: 'mirror-repeat',
+});
+
+/**
+ * Portable blend factors. Values match WebGPU blend factor names.
+ * @enum {string}
+ */
+export const BlendFactor = Object.freeze({
+  ZERO: 'zero',
+  ONE: 'one',
+  SRC: 'src',
+  ONE_MINUS_SRC: 'one-minus-src',
+  SRC_ALPHA: 'src-alpha',
+  ONE_MINUS_SRC_ALPHA: 'one-minus-src-alpha',
+  DST: 'dst',
+  ONE_MINUS_DST: 'one-minus-dst',
+  DST_ALPHA: 'dst-alpha',
+  ONE_MINUS_DST_ALPHA: 'one-minus-dst-alpha',
+  SRC_ALPHA_SATURATED: 'src-alpha-saturated',
+  CONSTANT: 'constant',
+  ONE_MINUS_CONSTANT: 'one-minus-constant',
+});
+
+/**
+ * Portable blend operations. Values match WebGPU blend operation names.
+ * @enum {string}
+ */
+export const BlendOperation = Object.freeze({
+  ADD: 'add',
+  SUBTRACT: 'subtract',
+  REVERSE_SUBTRACT: 'reverse-subtract',
+  MIN: 'min',
+  MAX: 'max',
+});
+
+/**
+ * Render pass load operations. Values match WebGPU load op names.
+ * @enum {string}
+ */
+export const LoadOp = Object.freeze({
+  CLEAR: 'clear',
+  LOAD: 'load',
+});
+
+/**
+ * Render pass store operations. Values match WebGPU store op names.
+ * @enum {string}
+ */
+export const StoreOp = Object.freeze({
+  STORE: 'store',
+  DISCARD: 'discard',
+});
+
+/**
+ * Portable buffer configuration.
+ * @typedef {Object} PortableBufferConfig
+ * @property {string} name - Buffer name.
+ * @property {ArrayBuffer|ArrayBufferView} data - Buffer data.
+ * @property {BufferUsage} usage - Buffer usage.
+ * @property {boolean} [dynamic=false] - Whether the buffer is updated often.
+ */
+
+/**
+ * Portable texture configuration.
+ * @typedef {Object} PortableTextureConfig
+ * @property {string} name - Texture name.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {TextureFormat} [format] - Texture format. Defaults to
+ *     'rgba32float' for Float32Array data, otherwise 'rgba8unorm'.
+ * @property {ArrayBufferView} [data] - Initial texture data. Half float
+ *     formats take half float bits (Uint16Array) or a Float32Array, which
+ *     is converted.
+ * @property {TextureSource} [source] - Initial texture image, instead of
+ *     data. width and height default to the image size.
+ * @property {boolean} [flipY=false] - Whether uploads are flipped
+ *     vertically.
+ * @property {boolean} [premultiplyAlpha=false] - Whether uploads multiply
+ *     the color channels by alpha.
+ * @property {boolean} [mipmaps=false] - Whether to allocate and generate
+ *     the full mip chain. Regenerated on every updateTexture(). Ignored by
+ *     SWRenderer.
+ * @property {Array<ArrayBufferView>} [levels] - Data of each mip level,
+ *     level 0 first, instead of data. Required for compressed formats,
+ *     whose blocks are uploaded as is. Not supported for cube textures.
+ * @property {('2d'|'cube')} [dimension='2d'] - Texture dimension. Cube
+ *     textures have six square faces and are sampled by direction; they are
+ *     not supported by SWRenderer.
+ * @property {Array<(ArrayBufferView|TextureSource)>} [faces] - Initial
+ *     faces of a cube texture, in +X, -X, +Y, -Y, +Z, -Z order, instead of
+ *     data or source. width and height default to the size of image faces.
+ */
+
+/**
+ * Configuration of Renderer#createCubeTextureFromEquirect().
+ * @typedef {Object} EquirectCubeConfig
+ * @property {string} name - Name of the cube texture to create.
+ * @property {string} equirect - Name of the equirectangular panorama
+ *     texture (2:1, +Y up).
+ * @property {number} [size] - Face size. Defaults to a quarter of the
+ *     panorama width.
+ * @property {TextureFormat} [format='rgba8unorm'] - Cube texture format.
+ *     Must be renderable; use a float format to keep HDR panoramas.
+ * @property {boolean} [mipmaps=false] - Whether to generate mipmaps.
+ */
+
+/**
+ * Image sources accepted by createTexture(), updateTexture() and
+ * loadTexture().
+ * @typedef {ImageBitmap|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|OffscreenCanvas|ImageData} TextureSource
+ */
+
+/**
+ * Options of Renderer#loadTexture().
+ * @typedef {Object} LoadTextureOptions
+ * @property {string} [name] - Texture name. Defaults to the URL, or a
+ *     unique "texture<N>" for other sources.
+ * @property {TextureFormat} [format] - Texture format. Defaults to
+ *     'rgba8unorm-srgb' with srgb, else 'rgba8unorm'.
+ * @property {boolean} [srgb=false] - Whether the image holds sRGB colors
+ *     (albedo, emissive), decoded to linear when sampled.
+ * @property {boolean} [flipY=false] - Whether to flip the image vertically.
+ * @property {boolean} [premultiplyAlpha=false] - Whether to multiply the
+ *     color channels by alpha.
+ * @property {boolean} [mipmaps=false] - Whether to generate mipmaps.
+ */
+
+/**
+ * Portable sampler configuration.
+ * @typedef {Object} PortableSamplerConfig
+ * @property {string} name - Sampler name.
+ * @property {AddressMode} [addressModeU='clamp-to-edge'] - U address mode.
+ * @property {AddressMode} [addressModeV='clamp-to-edge'] - V address mode.
+ * @property {AddressMode} [addressModeW='clamp-to-edge'] - W address mode.
+ *     Not supported by WGLRenderer (WebGL1).
+ * @property {FilterMode} [magFilter='linear'] - Magnification filter.
+ * @property {FilterMode} [minFilter='linear'] - Minification filter.
+ * @property {FilterMode} [mipmapFilter='nearest'] - Filter between mip
+ *     levels. Only applies to textures with mipmaps.
+ * @property {number} [lodMinClamp=0] - Minimum level of detail. Not
+ *     supported by WGLRenderer (WebGL1).
+ * @property {number} [lodMaxClamp=32] - Maximum level of detail. Not
+ *     supported by WGLRenderer (WebGL1).
+ */
+
+/**
+ * Portable render target color attachment.
+ * @typedef {Object} PortableColorAttachment
+ * @property {TextureFormat} [format='rgba8unorm'] - Attachment format.
+ */
+
+/**
+ * Portable render target depth/stencil attachment. The attachment has the
+ * sample count of the target it belongs to and is used whenever that target
+ * is drawn into; targets without one are drawn without depth.
+ * @typedef {Object} PortableDepthStencilAttachment
+ * @property {TextureFormat} [format='depth24plus-stencil8'] - Attachment format.
+ * @property {('texture'|'renderbuffer')} [storage='texture'] - Storage kind.
+ *     Textures can be sampled afterwards, renderbuffers cannot. Multisampled
+ *     attachments are renderbuffers in WebGL.
+ */
+
+/**
+ * Portable render target configuration. A target has one color attachment
+ * of `format`, or one per entry of `colorAttachments`; fragment output N is
+ * written to attachment N.
+ * @typedef {Object} PortableRenderTargetConfig
+ * @property {string} name - Render target name.
+ * @property {number} width - Render target width.
+ * @property {number} height - Render target height.
+ * @property {TextureFormat} [format='rgba8unorm'] - Format of the single color attachment.
+ * @property {PortableColorAttachment[]} [colorAttachments] - Color attachments.
+ * @property {PortableDepthStencilAttachment} [depthStencil] - Depth/stencil attachment.
+ * @property {number} [sampleCount=1] - Sample count.
+ */
+
+/**
+ * Portable vertex attribute.
+ * @typedef {Object} PortableVertexAttribute
+ * @property {VertexFormat} format - Attribute format.
+ * @property {number} offset - Offset in bytes.
+ * @property {number} shaderLocation - Attribute location.
+ * @property {string} [name] - Attribute name in the shader (required by WebGL).
+ */
+
+/**
+ * Portable vertex buffer layout.
+ * @typedef {Object} PortableVertexBufferLayout
+ * @property {number} arrayStride - Byte stride between consecutive vertices.
+ * @property {string} [stepMode='vertex'] - 'vertex' or 'instance'.
+ * @property {Array<PortableVertexAttribute>} attributes - Vertex attributes.
+ */
+
+/**
+ * Portable pipeline configuration.
+ * @typedef {Object} PortablePipelineConfig
+ * @property {{vertex: string, fragment: string}} shaders - Shader code for the backend.
+ *     Run through the renderer's ShaderPreprocessor (#include of chunks
+ *     from registerShaderChunk(), #define, #if).
+ * @property {Object<string, (string|number|boolean)>} [defines] - Macros of
+ *     the shader variant.
+ * @property {Array<string>} [features] - Feature flags of the shader
+ *     variant, each defined as 1.
+ * @property {Array<PortableVertexBufferLayout>} vertexBuffers - Vertex buffer layouts.
+ * @property {{topology: PrimitiveTopology, cullMode: CullMode, frontFace: string}} [primitive] - Primitive state.
+ * @property {?{depthWriteEnabled: boolean, depthCompare: CompareFunction}} [depthStencil] - Depth state (null disables depth testing).
+ * @property {?PortableBlendState} [blend] - Blend state (null disables blending).
+ */
+
+/**
+ * Portable blend component.
+ * @typedef {Object} PortableBlendComponent
+ * @property {BlendFactor} [srcFactor='one'] - Source factor.
+ * @property {BlendFactor} [dstFactor='zero'] - Destination factor.
+ * @property {BlendOperation} [operation='add'] - Blend operation.
+ */
+
+/**
+ * Portable blend state (same shape as GPUBlendState).
+ * @typedef {Object} PortableBlendState
+ * @property {PortableBlendComponent} color - Color blending.
+ * @property {PortableBlendComponent} alpha - Alpha blending.
+ */
+
+/**
+ * Portable draw call.
+ * @typedef {Object} MeshDrawCall
+ * @property {Object<number, string>|Array<string>} vertexBuffers - Vertex buffer names per slot.
+ * @property {string} [indexBuffer] - Index buffer name.
+ * @property {number} [indexCount] - Number of indices to draw.
+ * @property {number} [vertexCount] - Number of vertices to draw.
+ * @property {number} [instanceCount=1] - Number of instances to draw.
+ * @property {number} [firstIndex=0] - First index to draw.
+ * @property {number} [firstVertex=0] - First vertex to draw.
+ * @property {Object<number, string>} [bindGroups] - Bind group names per index (WebGPU only).
+ */
+
+/**
+ * Render pass options.
+ * @typedef {Object} PassOptions
+ * @property {string} [label] - Pass label for debugging.
+ * @property {?string} [target] - Render target name. Defaults to the current
+ *     render target (the canvas when none is set).
+ * @property {LoadOp} [loadOp='clear'] - Color load operation.
+ * @property {StoreOp} [storeOp='store'] - Color store operation.
+ * @property {number[]} [clearColor] - Clear color [r, g, b, a]. Defaults to
+ *     the renderer clear color.
+ * @property {LoadOp} [depthLoadOp] - Depth load operation. Defaults to loadOp.
+ * @property {StoreOp} [depthStoreOp='store'] - Depth store operation.
+ * @property {number} [clearDepth=1.0] - Depth clear value.
+ */
+
+/**
+ * Next default loadTexture() name suffix.
+ * @type {number}
+ */
+let nextTextureId = 1;
+
+/**
+ * Fetches a resource as a Blob, reporting download progress.
+ * @param {string} url - Resource URL.
+ * @param {function(number, number): void} onProgress - Called with the
+ *     bytes loaded so far and the total (0 if unknown).
+ * @returns {Promise<Blob>} Resource contents.
+ * @throws {Error} If the request fails.
+ */
+async function fetchBlob(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load "${url}": ${response.status} ${response.statusText}`
+    );
+  }
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) {
+    const blob = await response.blob();
+    onProgress(blob.size, total || blob.size);
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total);
+  }
+  return new Blob(chunks, {
+    type: response.headers.get('Content-Type') || '',
+  });
+}
+
+/**
+ * Waits until an image or video element has pixels to upload.
+ * @param {TextureSource} source - Image source.
+ * @returns {Promise<void>} Resolves when the source is ready.
+ * @throws {Error} If the element fails to load.
+ */
+async function whenSourceReady(source) {
+  if (typeof HTMLImageElement !== 'undefined') {
+    if (source instanceof HTMLImageElement) {
+      await source.decode();
+      return;
+    }
+  }
+  if (typeof HTMLVideoElement !== 'undefined') {
+    // HAVE_CURRENT_DATA: the current frame is available
+    if (source instanceof HTMLVideoElement && source.readyState < 2) {
+      await new Promise((resolve, reject) => {
+        source.addEventListener('loadeddata', resolve, { once: true });
+        source.addEventListener(
+          'error',
+          () => reject(new Error(`Failed to load video "${source.src}".`)),
+          { once: true }
+        );
+      });
+    }
+  }
+}
+
+/**
+ * Returns the pixel size of an image source.
+ * @param {TextureSource} source - Image source.
+ * @returns {{width: number, height: number}} Size in pixels.
+ */
+export function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height,
+  };
+}
+
+/**
+ * Abstract base class for all CTS renderers.
+ * Defines a common interface that all concrete renderers must implement.
+ */
+export class Renderer {
+  /**
+   * Creates a Renderer instance.
+   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
+   * @throws {Error} When trying to create an instance of an abstract class.
+   */
+  constructor(canvas) {
+    if (new.target === Renderer) {
+      throw new Error(
+        'Renderer is an abstract class and cannot be instantiated directly.'
+      );
+    }
+
+    /**
+     * Canvas element associated with the renderer.
+     * @type {HTMLCanvasElement}
+     * @protected
+     */
+    this.canvas = canvas;
+
+    /**
+     * Rendering context (WebGL, WebGL2, WebGPU, etc.).
+     * @type {?}
+     * @protected
+     */
+    this.context = null;
+
+    /**
+     * Flag indicating whether the renderer is initialized.
+     * @type {boolean}
+     * @protected
+     */
+    this.isInitialized = false;
+
+    /**
+     * Preprocessor of pipeline shaders, holding the shader chunk library.
+     * @type {ShaderPreprocessor}
+     * @protected
+     */
+    this.shaderPreprocessor_ = new ShaderPreprocessor();
+  }
+
+  /**
+   * Registers a shader chunk that pipeline shaders can #include, replacing
+   * a chunk of the same name. Pipelines created before keep their code.
+   * @param {string} name - Chunk name, as written in #include <name>.
+   * @param {string} source - Chunk source.
+   */
+  registerShaderChunk(name, source) {
+    this.shaderPreprocessor_.registerChunk(name, source);
+  }
+
+  /**
+   * Initializes the renderer.
+   * @abstract
+   * @returns {Promise<boolean>} A Promise that resolves to true upon successful initialization.
+   * @throws {Error} If initialization failed.
+   */
+  async initialize() {
+    throw new Error('Method "initialize()" must be implemented.');
+  }
+
+  /**
+   * Sets the size of the rendering viewport.
+   * @abstract
+   * @param {number} width - Width in pixels.
+   * @param {number} height - Height in pixels.
+   */
+  setSize(width, height) {
+    throw new Error('Method "setSize()" must be implemented.');
+  }
+
+  /**
+   * Sets the current clearColor.
+   * @abstract
+   * @param {number} r - Red cleaning color component (0-1).
+   * @param {number} g - Green cleaning color component (0-1).
+   * @param {number} b - Blue cleaning color component (0-1).
+   * @param {number} a - Alpha cleaning color component (0-1).
+   */
+  setClearColor(r, g, b, a) {
+    throw new Error('Method "setClearColor()" must be implemented.');
+  }
+
+  /**
+   * Renders a frame. Must be implemented in derived classes.
+   * @abstract
+   */
+  render() {
+    throw new Error('Method "render()" must be implemented.');
+  }
+
+  /**
+   * Creates a buffer.
+   * @abstract
+   * @param {PortableBufferConfig} config - Buffer configuration.
+   * @returns {*} Backend buffer object.
+   */
+  createBuffer(config) {
+    throw new Error('Method "createBuffer()" must be implemented.');
+  }
+
+  /**
+   * Creates a vertex buffer.
+   * @abstract
+   * @param {string} name - Buffer name.
+   * @param {ArrayBufferView} vertices - Vertex data.
+   * @returns {*} Backend buffer object.
+   */
+  createVertexBuffer(name, vertices) {
+    throw new Error('Method "createVertexBuffer()" must be implemented.');
+  }
+
+  /**
+   * Creates an index buffer. The index format is taken from the array type.
+   * @abstract
+   * @param {string} name - Buffer name.
+   * @param {Uint16Array|Uint32Array} indices - Index data.
+   * @returns {*} Backend buffer object.
+   */
+  createIndexBuffer(name, indices) {
+    throw new Error('Method "createIndexBuffer()" must be implemented.');
+  }
+
+  /**
+   * Updates buffer data.
+   * @abstract
+   * @param {string} name - Buffer name.
+   * @param {ArrayBuffer|ArrayBufferView} data - New data.
+   * @param {number} [offset=0] - Offset in bytes.
+   */
+  updateBuffer(name, data, offset = 0) {
+    throw new Error('Method "updateBuffer()" must be implemented.');
+  }
+
+  /**
+   * Destroys a buffer.
+   * @abstract
+   * @param {string} name - Buffer name.
+   */
+  destroyBuffer(name) {
+    throw new Error('Method "destroyBuffer()" must be implemented.');
+  }
+
+  /**
+   * Creates a texture.
+   * @abstract
+   * @param {PortableTextureConfig} config - Texture configuration.
+   * @returns {*} Backend texture object.
+   */
+  createTexture(config) {
+    throw new Error('Method "createTexture()" must be implemented.');
+  }
+
+  /**
+   * Replaces the contents of a texture.
+   * @abstract
+   * @param {string} name - Texture name.
+   * @param {ArrayBufferView|TextureSource|Array<(ArrayBufferView|TextureSource)>} data
+   *     Texel data, or an image uploaded with the texture's flipY and
+   *     premultiplyAlpha settings (e.g. the next video frame). Cube textures
+   *     take an array of their six faces.
+   * @param {number} [width] - New width. Resizes the texture if changed.
+   * @param {number} [height] - New height. Resizes the texture if changed.
+   */
+  updateTexture(name, data, width, height) {
+    throw new Error('Method "updateTexture()" must be implemented.');
+  }
+
+  /**
+   * Creates a cube texture from an equirectangular panorama texture,
+   * converting it on the GPU.
+   * @abstract
+   * @param {EquirectCubeConfig} config - Cube texture configuration.
+   * @returns {*} Backend texture object.
+   */
+  createCubeTextureFromEquirect(config) {
+    throw new Error(
+      'Method "createCubeTextureFromEquirect()" must be implemented.'
+    );
+  }
+
+  /**
+   * Checks whether textures of a format can be created. Uncompressed
+   * formats are always accepted; compressed ones depend on the device.
+   * @param {string} format - Texture format.
+   * @returns {boolean} True if createTexture() accepts the format.
+   */
+  supportsTextureFormat(format) {
+    return !getCompressedFormatInfo(format);
+  }
+
+  /**
+   * Returns the compressed texture formats the device can sample.
+   * @returns {Array<string>} Supported entries of COMPRESSED_TEXTURE_FORMATS.
+   */
+  getSupportedCompressedFormats() {
+    return COMPRESSED_TEXTURE_FORMATS.filter(format =>
+      this.supportsTextureFormat(format)
+    );
+  }
+
+  /**
+   * Throws if a texture format cannot be created, reporting the compressed
+   * formats that can.
+   * @param {string} format - Texture format.
+   * @throws {Error} With supportedFormats set to
+   *     getSupportedCompressedFormats(), if the format is unsupported.
+   * @protected
+   */
+  assertTextureFormatSupported_(format) {
+    if (this.supportsTextureFormat(format)) {
+      return;
+    }
+    const info = getCompressedFormatInfo(format);
+    const supportedFormats = this.getSupportedCompressedFormats();
+    if (!info) {
+      const error = new Error(
+        `Texture format "${format}" is not supported by ${this.constructor.name}.`
+      );
+      error.supportedFormats = supportedFormats;
+      throw error;
+    }
+    const families = [
+      ...new Set(
+        supportedFormats.map(
+          supported => getCompressedFormatInfo(supported).family
+        )
+      ),
+    ];
+    const error = new Error(
+      `Texture format "${format}" is not supported by ${
+        this.constructor.name
+      } (needs ${info.family.toUpperCase()} compression).` +
+        ` Supported compression: ${families.join(', ') || 'none'}.`
+    );
+    error.supportedFormats = supportedFormats;
+    throw error;
+  }
+
+  /**
+   * Returns texel data in the array type uploads of a format expect: half
+   * float formats given a Float32Array are converted to half float bits.
+   * Other data is returned as is.
+   * @param {string} format - Texture format.
+   * @param {?(ArrayBufferView|TextureSource)} data - Texel data or image.
+   * @returns {?(ArrayBufferView|TextureSource)} Data to upload.
+   * @protected
+   */
+  toTextureData_(format, data) {
+    if (!(data instanceof Float32Array) || !HALF_FLOAT_FORMATS.has(format)) {
+      return data;
+    }
+    const half = new Uint16Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      half[i] = toHalfFloat(data[i]);
+    }
+    return half;
+  }
+
+  /**
+   * Loads an image into a new texture. URLs are fetched and Blobs decoded
+   * with createImageBitmap(); elements are awaited until they have pixels.
+   * Emits 'textureLoadProgress' ({name, url, loaded, total}) while
+   * downloading, then 'textureLoaded' ({name, width, height}) or
+   * 'textureLoadError' ({name, error}).
+   * @param {string|Blob|TextureSource} source - Image URL, file or source.
+   * @param {LoadTextureOptions} [options] - Load options.
+   * @returns {Promise<string>} Texture name.
+   * @throws {Error} If the image cannot be loaded or decoded.
+   */
+  async loadTexture(source, options = {}) {
+    const name =
+      options.name ||
+      (typeof source === 'string' ? source : `texture${nextTextureId++}`);
+
+    try {
+      let image = source;
+      if (typeof source === 'string') {
+        image = await fetchBlob(source, (loaded, total) =>
+          this.emit('textureLoadProgress', { name, url: source, loaded, total })
+        );
+      }
+      if (image instanceof Blob) {
+        // Orientation and premultiplication are applied during the upload
+        image = await createImageBitmap(image, {
+          colorSpaceConversion: 'none',
+          premultiplyAlpha: 'none',
+        });
+      } else {
+        await whenSourceReady(image);
+      }
+
+      const { width, height } = getSourceSize(image);
+      this.createTexture({
+        name,
+        width,
+        height,
+        format:
+          options.format || (options.srgb ? 'rgba8unorm-srgb' : 'rgba8unorm'),
+        source: image,
+        flipY: !!options.flipY,
+        premultiplyAlpha: !!options.premultiplyAlpha,
+        mipmaps: !!options.mipmaps,
+      });
+      this.emit('textureLoaded', { name, width, height });
+      return name;
+    } catch (error) {
+      this.emit('textureLoadError', { name, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Destroys a texture.
+   * @abstract
+   * @param {string} name - Texture name.
+   */
+  destroyTexture(name) {
+    throw new Error('Method "destroyTexture()" must be implemented.');
+  }
+
+  /**
+   * Creates a sampler.
+   * @abstract
+   * @param {PortableSamplerConfig} config - Sampler configuration.
+   * @returns {*} Backend sampler object.
+   */
+  createSampler(config) {
+    throw new Error('Method "createSampler()" must be implemented.');
+  }
+
+  /**
+   * Creates a render target.
+   * @abstract
+   * @param {PortableRenderTargetConfig} config - Render target configuration.
+   * @returns {*} Backend render target object.
+   */
+  createRenderTarget(config) {
+    throw new Error('Method "createRenderTarget()" must be implemented.');
+  }
+
+  /**
+   * Sets the render target drawn to by later passes.
+   * @abstract
+   * @param {?string} name - Render target name or null for the canvas.
+   */
+  setRenderTarget(name) {
+    throw new Error('Method "setRenderTarget()" must be implemented.');
+  }
+
+  /**
+   * Destroys a render target and its attachments.
+   * @abstract
+   * @param {string} name - Render target name.
+   */
+  destroyRenderTarget(name) {
+    throw new Error('Method "destroyRenderTarget()" must be implemented.');
+  }
+
+  /**
+   * Creates a pipeline (a program plus its vertex layout and render state).
+   * @abstract
+   * @param {string} name - Pipeline name.
+   * @param {PortablePipelineConfig} config - Pipeline configuration.
+   * @returns {*} Backend pipeline object.
+   */
+  createPipeline(name, config) {
+    throw new Error('Method "createPipeline()" must be implemented.');
+  }
+
+  /**
+   * Sets the current pipeline for drawing.
+   * @abstract
+   * @param {string} name - Pipeline name.
+   */
+  setPipeline(name) {
+    throw new Error('Method "setPipeline()" must be implemented.');
+  }
+
+  /**
+   * Destroys a pipeline.
+   * @abstract
+   * @param {string} name - Pipeline name.
+   */
+  destroyPipeline(name) {
+    throw new Error('Method "destroyPipeline()" must be implemented.');
+  }
+
+  /**
+   * Draws a mesh with the current pipeline.
+   * @abstract
+   * @param {MeshDrawCall} drawCall - Draw call configuration.
+   */
+  drawMesh(drawCall) {
+    throw new Error('Method "drawMesh()" must be implemented.');
+  }
+
+  /**
+   * Begins a render pass. Meshes drawn with drawMesh() until endPass() are
+   * recorded into this pass.
+   * @abstract
+   * @param {PassOptions} [options] - Pass options.
+   */
+  beginPass(options) {
+    throw new Error('Method "beginPass()" must be implemented.');
+  }
+
+  /**
+   * Ends the current render pass.
+   * @abstract
+   */
+  endPass() {
+    throw new Error('Method "endPass()" must be implemented.');
+  }
+
+  /**
+   * Submits all passes recorded since the last submit.
+   * @abstract
+   */
+  submit() {
+    throw new Error('Method "submit()" must be implemented.');
+  }
+
+  /**
+   * Renders a scene graph in one pass: opaque meshes grouped by pipeline,
+   * then the scene skybox, then transparent meshes back to front. Each mesh gets the scene
+   * uniforms model, view, projection and normalMatrix; see
+   * drawSceneMesh_() of the renderer for how they reach the shader.
+   * @param {Scene} scene - Scene to render.
+   * @param {SceneCamera} camera - Camera to render it from.
+   * @param {Object} [options] - Render options.
+   * @param {?string} [options.target] - Render target name. Defaults to the
+   *     current render target.
+   * @param {LoadOp} [options.loadOp='clear'] - Color load operation.
+   * @param {boolean} [options.submit=true] - Whether to submit the frame.
+   *     Several scene passes, each with its own camera, can share a submit.
+   */
+  renderScene(scene, camera, options = {}) {
+    const meshes = scene.getRenderList(camera);
+
+    this.beginPass({
+      label: scene.name,
+      target: options.target,
+      loadOp: options.loadOp,
+      clearColor: scene.background || undefined,
+    });
+    try {
+      let pipeline = null;
+      let skyboxPending = !!scene.skybox;
+      meshes.forEach(mesh => {
+        if (skyboxPending && mesh.material.transparent) {
+          scene.skybox.draw(camera);
+          skyboxPending = false;
+          pipeline = null;
+        }
+        if (mesh.material.pipeline !== pipeline) {
+          pipeline = mesh.material.pipeline;
+          this.setPipeline(pipeline);
+        }
+        this.drawSceneMesh_(mesh, camera);
+      });
+      if (skyboxPending) {
+        scene.skybox.draw(camera);
+      }
+    } finally {
+      this.endPass();
+    }
+
+    if (options.submit !== false) {
+      this.submit();
+    }
+  }
+
+  /**
+   * Uploads the scene uniforms of a mesh and draws it with the current
+   * pipeline. Called by renderScene() inside the scene pass.
+   * @abstract
+   * @protected
+   * @param {Mesh} mesh - Mesh to draw.
+   * @param {SceneCamera} camera - Scene camera.
+   */
+  drawSceneMesh_(mesh, camera) {
+    throw new Error('Method "drawSceneMesh_()" must be implemented.');
+  }
+
+  /**
+   * Checks if the given renderer type is supported in the current environment.
+   * @abstract
+   * @returns {boolean} True if supported, false otherwise.
+   */
+  static isSupported() {
+    throw new Error('Method "isSupported()" must be implemented.');
+  }
+}
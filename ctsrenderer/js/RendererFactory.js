@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Automatic backend selection with graceful fallback.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { WGPURenderer } from './WGPURenderer.js';
+import { WGL2Renderer } from './WGL2Renderer.js';
+import { WGLRenderer, HTMLWGLUnsupportedMessage } from './WGLRenderer.js';
+import { SWRenderer } from './SWRenderer.js';
+
+/**
+ * Event listener callback.
+ * @callback EventCallback
+ * @param {*} data - Event data.
+ */
+
+/**
+ * Renderer factory options.
+ * @typedef {Object} CreateRendererOptions
+ * @property {string[]} [prefer] - Backends to try first, in order. Backends
+ *     not listed here are still tried afterwards in the default order.
+ * @property {string[]} [forbid] - Backends that must never be chosen.
+ * @property {Object} [rendererOptions] - Options passed to the renderer constructor.
+ * @property {Object<string, EventCallback>} [listeners] - Event listeners
+ *     registered on every candidate before initialize() is called, so the
+ *     "initialized" event reports the chosen backend. "error" listeners only
+ *     receive the errors of candidates that failed if no backend initializes.
+ */
+
+/**
+ * Skipped backend report.
+ * @typedef {Object} SkippedBackend
+ * @property {string} backend - Backend identifier.
+ * @property {string} reason - 'forbidden', 'unsupported' or 'failed'.
+ * @property {Error} [error] - Error thrown by isSupported() or initialize().
+ */
+
+/**
+ * Renderer factory result.
+ * @typedef {Object} CreateRendererResult
+ * @property {Renderer} renderer - Initialized renderer.
+ * @property {string} backend - Identifier of the chosen backend.
+ * @property {Array<SkippedBackend>} skipped - Backends tried before the chosen one.
+ */
+
+/**
+ * Renderer classes in default fallback order, keyed by backend identifier.
+ * @type {Map<string, Function>}
+ */
+export const RendererBackends = new Map([
+  [WGPURenderer.backend, WGPURenderer],
+  [WGL2Renderer.backend, WGL2Renderer],
+  [WGLRenderer.backend, WGLRenderer],
+  [SWRenderer.backend, SWRenderer],
+]);
+
+/**
+ * Creates the best renderer available in the current environment.
+ * Tries WGPURenderer, then WGL2Renderer, then WGLRenderer, then SWRenderer
+ * (or the order given in options.prefer) and returns the first one that
+ * initializes. Candidates that fail to initialize are destroyed.
+ *
+ * A canvas has one context type for its lifetime: once WebGPU got its
+ * context from getContext('webgpu'), a WebGL fallback cannot get one from
+ * the same canvas, even if WebGPU failed afterwards (e.g. no adapter or
+ * device). Forbid 'webgpu' or pass a fresh canvas when that matters.
+ * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
+ * @param {CreateRendererOptions} [options] - Factory options.
+ * @returns {Promise<CreateRendererResult>} Chosen renderer and skip report.
+ * @throws {Error} If a preferred or forbidden backend is unknown, or no
+ *     backend could be initialized. In the latter case the error has a
+ *     "skipped" property with the report for every backend.
+ */
+export async function createRenderer(canvas, options = {}) {
+  const prefer = options.prefer || [];
+  const forbid = new Set(options.forbid || []);
+
+  [...prefer, ...forbid].forEach(backend => {
+    if (!RendererBackends.has(backend)) {
+      throw new Error(`Unknown renderer backend "${backend}".`);
+    }
+  });
+
+  const order = [...new Set([...prefer, ...RendererBackends.keys()])];
+  const skipped = [];
+  const { error: onError, ...listeners } = options.listeners || {};
+  const errors = [];
+  const recordError = error => errors.push(error);
+
+  for (const backend of order) {
+    if (forbid.has(backend)) {
+      skipped.push({ backend, reason: 'forbidden' });
+      continue;
+    }
+
+    const RendererClass = RendererBackends.get(backend);
+
+    let supported = false;
+    try {
+      supported = RendererClass.isSupported();
+    } catch (error) {
+      skipped.push({ backend, reason: 'unsupported', error });
+      continue;
+    }
+
+    if (!supported) {
+      skipped.push({ backend, reason: 'unsupported' });
+      continue;
+    }
+
+    const renderer = new RendererClass(canvas, options.rendererOptions);
+    Object.entries(listeners).forEach(([event, callback]) => {
+      renderer.on(event, callback);
+    });
+    renderer.on('error', recordError);
+
+    try {
+      await renderer.initialize();
+    } catch (error) {
+      Object.entries(listeners).forEach(([event, callback]) => {
+        renderer.off(event, callback);
+      });
+      renderer.destroy();
+      skipped.push({ backend, reason: 'failed', error });
+      continue;
+    }
+
+    renderer.off('error', recordError);
+    if (onError) {
+      renderer.on('error', onError);
+    }
+    return { renderer, backend, skipped };
+  }
+
+  if (onError) {
+    errors.forEach(error => onError(error));
+  }
+
+  const error = new Error(
+    `No renderer backend available (${skipped
+      .map(({ backend, reason }) => `${backend}: ${reason}`)
+      .join(', ')}).`
+  );
+  error.skipped = skipped;
+  throw error;
+}
+
+/** Returns HTML template for the unsupported message
+ *
+ * Insert into the DOM when createRenderer() failed.
+ *
+ * @param {Array<SkippedBackend>} skipped - Skip report from createRenderer().
+ * @param {string} [msg] - Additional message
+ * @returns {string}
+ */
+export function HTMLRendererUnsupportedMessage(skipped, msg = '') {
+  const report = skipped
+    .map(
+      ({ backend, reason, error }) =>
+        `${backend}: ${reason}${error ? ` (${error.message})` : ''}`
+    )
+    .join('<br>');
+
+  return HTMLWGLUnsupportedMessage(`${msg}<br>${report}`);
+}
@@ -0,0 +1,1544 @@
+/**
+ * @fileoverview CPU software rasterizer based renderer implementation.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { Renderer, BufferUsage, getSourceSize } from './Renderer.js';
+import { fromHalfFloat } from './math/common.js';
+
+/**
+ * Vertex shader function.
+ * Receives attribute values keyed by attribute name (or shader location when
+ * the attribute has no name), plus instanceIndex, and returns the clip-space
+ * position and the varyings to interpolate. Clip-space depth uses the WebGPU
+ * 0..1 range.
+ * @callback SWVertexShader
+ * @param {Object<string, number[]>} attributes - Attribute values.
+ * @param {Object} uniforms - Draw call uniforms.
+ * @returns {{position: number[], varyings: number[]}} Vertex shader output.
+ */
+
+/**
+ * Fragment shader function.
+ * Returns the RGBA color (0-1 for 8-bit targets) or null to discard.
+ * @callback SWFragmentShader
+ * @param {number[]} varyings - Interpolated varyings.
+ * @param {Object} uniforms - Draw call uniforms.
+ * @param {SWSampleFunction} sample - Texture sampling function.
+ * @returns {?number[]} Fragment color.
+ */
+
+/**
+ * Texture sampling function passed to fragment shaders.
+ * @callback SWSampleFunction
+ * @param {string} textureName - Texture name.
+ * @param {number} u - Horizontal texture coordinate.
+ * @param {number} v - Vertical texture coordinate.
+ * @param {string} [samplerName] - Sampler name (linear clamp if omitted).
+ * @returns {number[]} RGBA color.
+ */
+
+/**
+ * Pipeline configuration for the software renderer.
+ * @typedef {Object} SWPipelineConfig
+ * @property {{vertex: SWVertexShader, fragment: SWFragmentShader}} shaders - JS shader functions.
+ * @property {Array<PortableVertexBufferLayout>} vertexBuffers - Vertex buffer layouts.
+ * @property {GPUPrimitiveState} [primitive] - Primitive state (topology, cullMode, frontFace).
+ * @property {GPUDepthStencilState} [depthStencil] - Depth state (depthWriteEnabled, depthCompare).
+ * @property {GPUBlendState} [blend] - Blend state.
+ */
+
+/**
+ * Event listener callback.
+ * @callback EventCallback
+ * @param {*} data - Event data.
+ */
+
+/**
+ * Buffer metadata for resource management.
+ * @typedef {Object} BufferMetadata
+ * @property {Uint8Array} data - Buffer contents.
+ * @property {DataView} view - Data view over the buffer contents.
+ * @property {number} size - Buffer size in bytes.
+ * @property {BufferUsage} usage - Buffer usage.
+ * @property {string} [indexFormat] - Index format for index buffers.
+ */
+
+/**
+ * Texture metadata for resource management.
+ * @typedef {Object} TextureMetadata
+ * @property {Uint8ClampedArray|Float32Array} data - Texel data (RGBA).
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {string} format - Texture format.
+ * @property {boolean} flipY - Whether uploads are flipped vertically.
+ * @property {boolean} premultiplyAlpha - Whether uploads multiply the
+ *     color channels by alpha.
+ */
+
+/**
+ * Component count, component byte size and reader of each supported vertex format.
+ * @type {Object<string, {components: number, size: number, read: function(DataView, number): number}>}
+ */
+const SW_VERTEX_FORMATS = {
+  float32: { components: 1, size: 4, read: (v, o) => v.getFloat32(o, true) },
+  float32x2: { components: 2, size: 4, read: (v, o) => v.getFloat32(o, true) },
+  float32x3: { components: 3, size: 4, read: (v, o) => v.getFloat32(o, true) },
+  float32x4: { components: 4, size: 4, read: (v, o) => v.getFloat32(o, true) },
+  unorm8x4: { components: 4, size: 1, read: (v, o) => v.getUint8(o) / 255 },
+  uint8x4: { components: 4, size: 1, read: (v, o) => v.getUint8(o) },
+  uint16x2: { components: 2, size: 2, read: (v, o) => v.getUint16(o, true) },
+  uint16x4: { components: 4, size: 2, read: (v, o) => v.getUint16(o, true) },
+};
+
+/**
+ * Depth compare functions.
+ * @type {Object<string, function(number, number): boolean>}
+ */
+const SW_COMPARE_FUNCTIONS = {
+  never: () => false,
+  less: (a, b) => a < b,
+  equal: (a, b) => a === b,
+  'less-equal': (a, b) => a <= b,
+  greater: (a, b) => a > b,
+  'not-equal': (a, b) => a !== b,
+  'greater-equal': (a, b) => a >= b,
+  always: () => true,
+};
+
+/**
+ * Returns the blend factor for one channel.
+ * @param {string} factor - WebGPU blend factor name.
+ * @param {number} src - Source channel value.
+ * @param {number} dst - Destination channel value.
+ * @param {number} srcAlpha - Source alpha.
+ * @param {number} dstAlpha - Destination alpha.
+ * @returns {number} Blend factor.
+ */
+function blendFactor(factor, src, dst, srcAlpha, dstAlpha) {
+  switch (factor) {
+    case 'zero':
+      return 0;
+    case 'one':
+      return 1;
+    case 'src':
+      return src;
+    case 'one-minus-src':
+      return 1 - src;
+    case 'src-alpha':
+      return srcAlpha;
+    case 'one-minus-src-alpha':
+      return 1 - srcAlpha;
+    case 'dst':
+      return dst;
+    case 'one-minus-dst':
+      return 1 - dst;
+    case 'dst-alpha':
+      return dstAlpha;
+    case 'one-minus-dst-alpha':
+      return 1 - dstAlpha;
+    default:
+      throw new Error(`Unknown blend factor "${factor}".`);
+  }
+}
+
+/**
+ * Blends one channel.
+ * @param {GPUBlendComponent} component - Blend component.
+ * @param {number} src - Source channel value.
+ * @param {number} dst - Destination channel value.
+ * @param {number} srcAlpha - Source alpha.
+ * @param {number} dstAlpha - Destination alpha.
+ * @returns {number} Blended channel value.
+ */
+function blendChannel(component, src, dst, srcAlpha, dstAlpha) {
+  const operation = component.operation || 'add';
+  if (operation === 'min') return Math.min(src, dst);
+  if (operation === 'max') return Math.max(src, dst);
+
+  const s =
+    src *
+    blendFactor(component.srcFactor || 'one', src, dst, srcAlpha, dstAlpha);
+  const d =
+    dst *
+    blendFactor(component.dstFactor || 'zero', src, dst, srcAlpha, dstAlpha);
+
+  if (operation === 'subtract') return s - d;
+  if (operation === 'reverse-subtract') return d - s;
+  return s + d;
+}
+
+/**
+ * Prepares the edge function of a triangle edge in screen space (y down),
+ * signed so it is positive inside the triangle. The edge is always evaluated
+ * from the same endpoint, so triangles sharing it get exactly opposite values
+ * and the top-left rule gives each pixel center on it to one triangle only.
+ * @param {{x: number, y: number}} a - Edge start.
+ * @param {{x: number, y: number}} b - Edge end.
+ * @param {number} orientation - 1 if the triangle has a positive screen
+ *     area, -1 otherwise.
+ * @returns {{x: number, y: number, dx: number, dy: number, sign: number,
+ *     topLeft: boolean}} Edge setup.
+ */
+function setupEdge(a, b, orientation) {
+  const swap = a.x > b.x || (a.x === b.x && a.y > b.y);
+  const [start, end] = swap ? [b, a] : [a, b];
+  const sign = swap ? -orientation : orientation;
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  return {
+    x: start.x,
+    y: start.y,
+    dx,
+    dy,
+    sign,
+    // Top edges are horizontal with the inside below, left edges have the
+    // inside to their right
+    topLeft: dy === 0 ? dx * sign > 0 : dy * sign < 0,
+  };
+}
+
+/**
+ * Evaluates a prepared edge function at a point.
+ * @param {{x: number, y: number, dx: number, dy: number, sign: number}} edge
+ *     - Edge from setupEdge().
+ * @param {number} px - Point x.
+ * @param {number} py - Point y.
+ * @returns {number} Edge value, positive inside the triangle.
+ */
+function edgeValue(edge, px, py) {
+  return edge.sign * (edge.dx * (py - edge.y) - edge.dy * (px - edge.x));
+}
+
+/**
+ * Reads the RGBA8 pixels of an image source through a 2D canvas.
+ * @param {TextureSource} source - Image source.
+ * @param {number} width - Width to read.
+ * @param {number} height - Height to read.
+ * @returns {Uint8ClampedArray} Pixels, rows top to bottom.
+ * @throws {Error} If no 2D canvas is available.
+ */
+function readSourcePixels(source, width, height) {
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+    return source.data;
+  }
+
+  let canvas;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width, height);
+  } else if (typeof document !== 'undefined') {
+    canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+  } else {
+    throw new Error('Reading image sources requires a 2D canvas.');
+  }
+  const context = canvas.getContext('2d');
+  context.drawImage(source, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Renderer that rasterizes triangles on the CPU.
+ * Works with a 2D canvas or fully headless (canvas set to null).
+ * @extends Renderer
+ */
+export class SWRenderer extends Renderer {
+  /**
+   * Creates an instance of SWRenderer.
+   * @param {?HTMLCanvasElement} canvas - Canvas element to present to, or null for headless rendering.
+   * @param {Object} [options] - Renderer options.
+   * @param {number} [options.width=300] - Framebuffer width when headless.
+   * @param {number} [options.height=150] - Framebuffer height when headless.
+   */
+  constructor(canvas, options = {}) {
+    super(canvas);
+
+    /**
+     * 2D canvas context used to present frames (null when headless).
+     * @type {?CanvasRenderingContext2D}
+     * @private
+     */
+    this.context = null;
+
+    /**
+     * Renderer options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = { ...options };
+
+    /**
+     * Framebuffer width.
+     * @type {number}
+     * @private
+     */
+    this.width_ = canvas ? canvas.width : options.width || 300;
+
+    /**
+     * Framebuffer height.
+     * @type {number}
+     * @private
+     */
+    this.height_ = canvas ? canvas.height : options.height || 150;
+
+    /**
+     * Color buffer (RGBA8).
+     * @type {?Uint8ClampedArray}
+     * @private
+     */
+    this.colorBuffer_ = null;
+
+    /**
+     * Depth buffer (0..1).
+     * @type {?Float32Array}
+     * @private
+     */
+    this.depthBuffer_ = null;
+
+    /**
+     * Image data wrapping the color buffer for presenting.
+     * @type {?ImageData}
+     * @private
+     */
+    this.imageData_ = null;
+
+    /**
+     * Buffers with metadata.
+     * @type {Map<string, BufferMetadata>}
+     * @private
+     */
+    this.buffers_ = new Map();
+
+    /**
+     * Textures with metadata.
+     * @type {Map<string, TextureMetadata>}
+     * @private
+     */
+    this.textures_ = new Map();
+
+    /**
+     * Samplers.
+     * @type {Map<string, PortableSamplerConfig>}
+     * @private
+     */
+    this.samplers_ = new Map();
+
+    /**
+     * Pipelines.
+     * @type {Map<string, SWPipelineConfig>}
+     * @private
+     */
+    this.pipelines_ = new Map();
+
+    /**
+     * Current pipeline name.
+     * @type {?string}
+     * @private
+     */
+    this.currentPipeline_ = null;
+
+    /**
+     * Current clear color.
+     * @type {number[]}
+     * @private
+     */
+    this.clearColor_ = [0.1, 0.1, 0.1, 1.0];
+
+    /**
+     * Current clear depth.
+     * @type {number}
+     * @private
+     */
+    this.clearDepth_ = 1.0;
+
+    /**
+     * Event listeners.
+     * @type {Map<string, Set<EventCallback>>}
+     * @private
+     */
+    this.eventListeners_ = new Map();
+
+    /**
+     * Frame count.
+     * @type {number}
+     * @private
+     */
+    this.frameCount_ = 0;
+
+    /**
+     * Start time for statistics.
+     * @type {number}
+     * @private
+     */
+    this.startTime_ = performance.now();
+
+    /**
+     * Texture sampling function passed to fragment shaders.
+     * @type {SWSampleFunction}
+     * @private
+     */
+    this.sample_ = (textureName, u, v, samplerName) =>
+      this.sampleTexture(textureName, u, v, samplerName);
+
+    /**
+     * Currently open render pass.
+     * @type {?{label: string, drawCount: number}}
+     * @private
+     */
+    this.currentPass_ = null;
+
+    /**
+     * Passes ended since the last submit.
+     * @type {number}
+     * @private
+     */
+    this.passCount_ = 0;
+  }
+
+  /**
+   * Initializes the software renderer.
+   * @override
+   * @returns {Promise<boolean>} Promise that resolves to true on successful initialization.
+   * @throws {Error} If the 2D canvas context cannot be created.
+   */
+  async initialize() {
+    try {
+      if (this.canvas) {
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) {
+          throw new Error('Failed to get 2D canvas context.');
+        }
+      }
+
+      this.allocateFramebuffer_(this.width_, this.height_);
+      this.clear();
+
+      this.isInitialized = true;
+      this.emit('initialized', {
+        backend: SWRenderer.backend,
+        width: this.width_,
+        height: this.height_,
+        headless: !this.canvas,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize SWRenderer:', error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Allocates color and depth buffers.
+   * @param {number} width - Width in pixels.
+   * @param {number} height - Height in pixels.
+   * @private
+   */
+  allocateFramebuffer_(width, height) {
+    this.width_ = width;
+    this.height_ = height;
+    this.colorBuffer_ = new Uint8ClampedArray(width * height * 4);
+    this.depthBuffer_ = new Float32Array(width * height);
+    this.imageData_ =
+      this.context && typeof ImageData !== 'undefined'
+        ? new ImageData(this.colorBuffer_, width, height)
+        : null;
+  }
+
+  /**
+   * Creates a buffer.
+   * @override
+   * @param {PortableBufferConfig} config - Buffer configuration.
+   * @returns {Uint8Array} Buffer contents.
+   * @throws {Error} If renderer not initialized or config invalid.
+   */
+  createBuffer(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    if (!config.data) {
+      throw new Error('Buffer data is required.');
+    }
+
+    const source =
+      config.data instanceof ArrayBuffer
+        ? new Uint8Array(config.data)
+        : new Uint8Array(
+            config.data.buffer,
+            config.data.byteOffset,
+            config.data.byteLength
+          );
+    const data = new Uint8Array(source);
+
+    const metadata = {
+      data,
+      view: new DataView(data.buffer),
+      size: data.byteLength,
+      usage: config.usage,
+    };
+
+    if (config.usage === BufferUsage.INDEX) {
+      metadata.indexFormat =
+        config.data instanceof Uint32Array ? 'uint32' : 'uint16';
+    }
+
+    this.buffers_.set(config.name, metadata);
+    this.emit('bufferCreated', {
+      name: config.name,
+      size: data.byteLength,
+      usage: config.usage,
+    });
+
+    return data;
+  }
+
+  /**
+   * Helper method to create vertex buffers.
+   * @override
+   * @param {string} name - Buffer name.
+   * @param {ArrayBufferView} vertices - Vertex data.
+   * @returns {Uint8Array} Buffer contents.
+   */
+  createVertexBuffer(name, vertices) {
+    return this.createBuffer({
+      name,
+      data: vertices,
+      usage: BufferUsage.VERTEX,
+    });
+  }
+
+  /**
+   * Helper method to create index buffers.
+   * @override
+   * @param {string} name - Buffer name.
+   * @param {Uint16Array|Uint32Array} indices - Index data.
+   * @returns {Uint8Array} Buffer contents.
+   */
+  createIndexBuffer(name, indices) {
+    return this.createBuffer({
+      name,
+      data: indices,
+      usage: BufferUsage.INDEX,
+    });
+  }
+
+  /**
+   * Updates buffer data.
+   * @override
+   * @param {string} name - Buffer name.
+   * @param {ArrayBuffer|ArrayBufferView} data - New data.
+   * @param {number} [offset=0] - Offset in bytes.
+   */
+  updateBuffer(name, data, offset = 0) {
+    const bufferMetadata = this.buffers_.get(name);
+    if (!bufferMetadata) {
+      throw new Error(`Buffer "${name}" not found.`);
+    }
+
+    const bytes =
+      data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+    if (offset + bytes.byteLength > bufferMetadata.size) {
+      throw new Error(`Buffer "${name}" too small for update.`);
+    }
+
+    bufferMetadata.data.set(bytes, offset);
+    this.emit('bufferUpdated', { name, offset, size: bytes.byteLength });
+  }
+
+  /**
+   * Destroys a buffer and removes it from management.
+   * @override
+   * @param {string} name - Buffer name.
+   */
+  destroyBuffer(name) {
+    if (this.buffers_.delete(name)) {
+      this.emit('bufferDestroyed', { name });
+    }
+  }
+
+  /**
+   * Creates a texture. 8-bit formats are stored as Uint8ClampedArray, float
+   * formats as Float32Array; all textures have four channels. Only level 0
+   * of config.levels is kept, and compressed formats and cube textures are
+   * not supported.
+   * @override
+   * @param {PortableTextureConfig} config - Texture configuration.
+   * @returns {Uint8ClampedArray|Float32Array} Texel data.
+   * @throws {Error} If renderer not initialized or the texture is a cube.
+   */
+  createTexture(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+    if (config.dimension === 'cube') {
+      throw new Error('SWRenderer does not support cube textures.');
+    }
+
+    const data = config.levels ? config.levels[0] : config.data;
+    const format =
+      config.format ||
+      (data instanceof Float32Array ? 'rgba32float' : 'rgba8unorm');
+    this.assertTextureFormatSupported_(format);
+    const isFloat = format === 'rgba16float' || format === 'rgba32float';
+    const { width, height } = config.source
+      ? getSourceSize(config.source)
+      : config;
+    const size = width * height * 4;
+
+    const metadata = {
+      data: isFloat ? new Float32Array(size) : new Uint8ClampedArray(size),
+      width,
+      height,
+      format,
+      flipY: !!config.flipY,
+      premultiplyAlpha: !!config.premultiplyAlpha,
+    };
+
+    this.textures_.set(config.name, metadata);
+
+    if (data || config.source) {
+      this.updateTexture(config.name, data || config.source);
+    }
+
+    this.emit('textureCreated', {
+      name: config.name,
+      width,
+      height,
+    });
+
+    return metadata.data;
+  }
+
+  /**
+   * Updates texture data, applying the texture's flipY and
+   * premultiplyAlpha settings. Images are read through a 2D canvas and
+   * scaled to 0..1 for float textures.
+   * @override
+   * @param {string} name - Texture name.
+   * @param {ArrayBufferView|TextureSource} data - RGBA texel data or image.
+   *     Float textures also take half float bits as a Uint16Array.
+   * @param {number} [width] - New width. Resizes the texture if changed.
+   * @param {number} [height] - New height. Resizes the texture if changed.
+   */
+  updateTexture(name, data, width, height) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+
+    if (
+      width &&
+      height &&
+      (width !== textureMetadata.width || height !== textureMetadata.height)
+    ) {
+      textureMetadata.width = width;
+      textureMetadata.height = height;
+      textureMetadata.data = new textureMetadata.data.constructor(
+        width * height * 4
+      );
+    }
+
+    const texels = textureMetadata.data;
+    const isImage = !ArrayBuffer.isView(data);
+    if (isImage) {
+      data = readSourcePixels(
+        data,
+        textureMetadata.width,
+        textureMetadata.height
+      );
+    }
+    if (texels instanceof Float32Array && data instanceof Uint16Array) {
+      // Half float bits
+      data = Float32Array.from(data, fromHalfFloat);
+    }
+    const scale = isImage && texels instanceof Float32Array ? 1 / 255 : 1;
+
+    if (
+      !textureMetadata.flipY &&
+      !textureMetadata.premultiplyAlpha &&
+      scale === 1
+    ) {
+      texels.set(data);
+    } else {
+      this.copyTexels_(textureMetadata, data, scale);
+    }
+
+    this.emit('textureUpdated', {
+      name,
+      width: textureMetadata.width,
+      height: textureMetadata.height,
+    });
+  }
+
+  /**
+   * Copies RGBA texels into a texture, flipping rows and premultiplying
+   * alpha as configured.
+   * @param {TextureMetadata} textureMetadata - Destination texture.
+   * @param {ArrayLike<number>} data - Source texels.
+   * @param {number} scale - Factor applied to the source values.
+   * @private
+   */
+  copyTexels_(textureMetadata, data, scale) {
+    const texels = textureMetadata.data;
+    const max = texels instanceof Float32Array ? 1 : 255;
+    const rowLength = textureMetadata.width * 4;
+    for (let y = 0; y < textureMetadata.height; y++) {
+      const sourceRow = textureMetadata.flipY
+        ? textureMetadata.height - 1 - y
+        : y;
+      for (let x = 0; x < rowLength; x += 4) {
+        const src = sourceRow * rowLength + x;
+        const dst = y * rowLength + x;
+        const alpha = textureMetadata.premultiplyAlpha
+          ? (data[src + 3] * scale) / max
+          : 1;
+        texels[dst] = data[src] * scale * alpha;
+        texels[dst + 1] = data[src + 1] * scale * alpha;
+        texels[dst + 2] = data[src + 2] * scale * alpha;
+        texels[dst + 3] = data[src + 3] * scale;
+      }
+    }
+  }
+
+  /**
+   * Destroys a texture and removes it from management.
+   * @override
+   * @param {string} name - Texture name.
+   */
+  destroyTexture(name) {
+    if (this.textures_.delete(name)) {
+      this.emit('textureDestroyed', { name });
+    }
+  }
+
+  /**
+   * Creates a sampler.
+   * @override
+   * @param {PortableSamplerConfig} config - Sampler configuration.
+   * @returns {PortableSamplerConfig} Sampler configuration with defaults.
+   */
+  createSampler(config) {
+    const sampler = {
+      addressModeU: 'clamp-to-edge',
+      addressModeV: 'clamp-to-edge',
+      magFilter: 'linear',
+      minFilter: 'linear',
+      ...config,
+    };
+
+    this.samplers_.set(config.name, sampler);
+    this.emit('samplerCreated', { name: config.name });
+
+    return sampler;
+  }
+
+  /**
+   * Samples a texture. Used by fragment shaders through their sample argument.
+   * @param {string} textureName - Texture name.
+   * @param {number} u - Horizontal texture coordinate.
+   * @param {number} v - Vertical texture coordinate.
+   * @param {string} [samplerName] - Sampler name (linear clamp if omitted).
+   * @returns {number[]} RGBA color (0-1 for 8-bit textures).
+   */
+  sampleTexture(textureName, u, v, samplerName) {
+    const texture = this.textures_.get(textureName);
+    if (!texture) {
+      throw new Error(`Texture "${textureName}" not found.`);
+    }
+
+    const sampler = samplerName ? this.samplers_.get(samplerName) : null;
+    const addressModeU = sampler ? sampler.addressModeU : 'clamp-to-edge';
+    const addressModeV = sampler ? sampler.addressModeV : 'clamp-to-edge';
+    const filter = sampler ? sampler.magFilter : 'linear';
+
+    const { width, height, data } = texture;
+    const scale = data instanceof Uint8ClampedArray ? 1 / 255 : 1;
+
+    const wrap = (coord, size, mode) => {
+      if (mode === 'repeat') {
+        return ((coord % size) + size) % size;
+      }
+      if (mode === 'mirror-repeat') {
+        const period = size * 2;
+        const c = ((coord % period) + period) % period;
+        return c < size ? c : period - 1 - c;
+      }
+      return Math.min(size - 1, Math.max(0, coord));
+    };
+
+    const fetch = (x, y, out, weight) => {
+      const i =
+        (wrap(y, height, addressModeV) * width + wrap(x, width, addressModeU)) *
+        4;
+      out[0] += data[i] * scale * weight;
+      out[1] += data[i + 1] * scale * weight;
+      out[2] += data[i + 2] * scale * weight;
+      out[3] += data[i + 3] * scale * weight;
+    };
+
+    const color = [0, 0, 0, 0];
+    const x = u * width - 0.5;
+    const y = v * height - 0.5;
+
+    if (filter === 'nearest') {
+      fetch(Math.round(x), Math.round(y), color, 1);
+      return color;
+    }
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    fetch(x0, y0, color, (1 - fx) * (1 - fy));
+    fetch(x0 + 1, y0, color, fx * (1 - fy));
+    fetch(x0, y0 + 1, color, (1 - fx) * fy);
+    fetch(x0 + 1, y0 + 1, color, fx * fy);
+
+    return color;
+  }
+
+  /**
+   * Creates a pipeline with JS function shaders.
+   * @override
+   * @param {string} name - Pipeline name.
+   * @param {SWPipelineConfig} config - Pipeline configuration.
+   * @returns {SWPipelineConfig} Pipeline configuration.
+   * @throws {Error} If the shaders are not functions or topology is unsupported.
+   */
+  createPipeline(name, config) {
+    if (
+      typeof config.shaders.vertex !== 'function' ||
+      typeof config.shaders.fragment !== 'function'
+    ) {
+      throw new Error('SWRenderer shaders must be JS functions.');
+    }
+
+    const topology = config.primitive?.topology || 'triangle-list';
+    if (topology !== 'triangle-list' && topology !== 'triangle-strip') {
+      throw new Error(`Topology "${topology}" is not supported by SWRenderer.`);
+    }
+
+    const pipeline = {
+      shaders: config.shaders,
+      vertexBuffers: config.vertexBuffers || [],
+      primitive: {
+        topology,
+        cullMode: 'none',
+        frontFace: 'ccw',
+        ...config.primitive,
+      },
+      depthStencil: config.depthStencil || null,
+      blend: config.blend || null,
+    };
+
+    this.pipelines_.set(name, pipeline);
+    this.emit('pipelineCreated', { name, config });
+
+    return pipeline;
+  }
+
+  /**
+   * Sets the current pipeline for drawing.
+   * @override
+   * @param {string} name - Pipeline name.
+   */
+  setPipeline(name) {
+    if (!this.pipelines_.has(name)) {
+      throw new Error(`Pipeline "${name}" not found.`);
+    }
+    this.currentPipeline_ = name;
+    this.emit('pipelineSet', { name });
+  }
+
+  /**
+   * Destroys a pipeline and removes it from management.
+   * @override
+   * @param {string} name - Pipeline name.
+   */
+  destroyPipeline(name) {
+    this.pipelines_.delete(name);
+    if (this.currentPipeline_ === name) {
+      this.currentPipeline_ = null;
+    }
+    this.emit('pipelineDestroyed', { name });
+  }
+
+  /**
+   * Cube textures are not supported.
+   * @override
+   * @param {EquirectCubeConfig} config - Cube texture configuration.
+   * @throws {Error} Always.
+   */
+  createCubeTextureFromEquirect(config) {
+    throw new Error('SWRenderer does not support cube textures.');
+  }
+
+  /**
+   * Render targets are not supported; the renderer only draws to its canvas.
+   * @override
+   * @param {PortableRenderTargetConfig} config - Render target configuration.
+   * @throws {Error} Always.
+   */
+  createRenderTarget(config) {
+    throw new Error('SWRenderer does not support render targets.');
+  }
+
+  /**
+   * Sets the render target. Only the canvas (null) is supported.
+   * @override
+   * @param {?string} name - Render target name or null for the canvas.
+   * @throws {Error} If a render target name is given.
+   */
+  setRenderTarget(name) {
+    if (name) {
+      throw new Error('SWRenderer does not support render targets.');
+    }
+  }
+
+  /**
+   * Render targets are not supported, so there is nothing to destroy.
+   * @override
+   * @param {string} name - Render target name.
+   */
+  destroyRenderTarget(name) {}
+
+  /**
+   * Sets the current clear color.
+   * @override
+   * @param {number} r - Red component (0-1).
+   * @param {number} g - Green component (0-1).
+   * @param {number} b - Blue component (0-1).
+   * @param {number} a - Alpha component (0-1).
+   */
+  setClearColor(r, g, b, a) {
+    this.clearColor_ = [r, g, b, a];
+  }
+
+  /**
+   * Clears the color and depth buffers.
+   * @param {number} [r] - Red component of clear color (0-1).
+   * @param {number} [g] - Green component of clear color (0-1).
+   * @param {number} [b] - Blue component of clear color (0-1).
+   * @param {number} [a] - Alpha component of clear color (0-1).
+   */
+  clear(r, g, b, a) {
+    if (r !== undefined) {
+      this.setClearColor(r, g, b, a);
+    }
+
+    this.fillColor_(this.clearColor_);
+    this.depthBuffer_.fill(this.clearDepth_);
+  }
+
+  /**
+   * Fills the color buffer with one color.
+   * @param {number[]} color - Color [r, g, b, a] (0-1).
+   * @private
+   */
+  fillColor_(color) {
+    const [r, g, b, a = 1.0] = color;
+    const [cr, cg, cb, ca] = [r, g, b, a].map(c => c * 255);
+    for (let i = 0; i < this.colorBuffer_.length; i += 4) {
+      this.colorBuffer_[i] = cr;
+      this.colorBuffer_[i + 1] = cg;
+      this.colorBuffer_[i + 2] = cb;
+      this.colorBuffer_[i + 3] = ca;
+    }
+  }
+
+  /**
+   * Begins a render pass, clearing the buffers according to the load
+   * operations. Draws are rasterized immediately.
+   * @override
+   * @param {PassOptions} [options] - Pass options.
+   * @throws {Error} If a pass is already open or a render target is given.
+   */
+  beginPass(options = {}) {
+    if (this.currentPass_) {
+      throw new Error(
+        `Render pass "${this.currentPass_.label}" is still open. Call endPass() first.`
+      );
+    }
+
+    if (options.target) {
+      throw new Error('SWRenderer does not support render targets.');
+    }
+
+    const label = options.label || `Render pass ${this.passCount_}`;
+    const loadOp = options.loadOp || 'clear';
+
+    if (loadOp === 'clear') {
+      this.fillColor_(options.clearColor || this.clearColor_);
+    }
+    if ((options.depthLoadOp || loadOp) === 'clear') {
+      this.depthBuffer_.fill(options.clearDepth ?? this.clearDepth_);
+    }
+
+    this.currentPass_ = { label, drawCount: 0 };
+    this.emit('passBegan', { label, target: null });
+  }
+
+  /**
+   * Ends the current render pass.
+   * @override
+   * @throws {Error} If no render pass is open.
+   */
+  endPass() {
+    if (!this.currentPass_) {
+      throw new Error('No render pass open. Call beginPass() first.');
+    }
+
+    const { label, drawCount } = this.currentPass_;
+    this.currentPass_ = null;
+    this.passCount_++;
+
+    this.emit('passEnded', { label, drawCount });
+  }
+
+  /**
+   * Ends the open pass and presents the frame.
+   * @override
+   */
+  submit() {
+    if (this.currentPass_) {
+      this.endPass();
+    }
+
+    this.passCount_ = 0;
+    this.render();
+  }
+
+  /**
+   * Reads the attributes of one vertex.
+   * @param {SWPipelineConfig} pipeline - Current pipeline.
+   * @param {Array<?BufferMetadata>} buffers - Vertex buffers per slot.
+   * @param {number} vertex - Vertex index.
+   * @param {number} instance - Instance index.
+   * @returns {Object<string, number[]>} Attribute values.
+   * @private
+   */
+  readAttributes_(pipeline, buffers, vertex, instance) {
+    const attributes = {};
+
+    pipeline.vertexBuffers.forEach((layout, slot) => {
+      const buffer = buffers[slot];
+      if (!buffer) {
+        return;
+      }
+
+      const index = layout.stepMode === 'instance' ? instance : vertex;
+      const base = index * layout.arrayStride;
+
+      layout.attributes.forEach(attribute => {
+        const format = SW_VERTEX_FORMATS[attribute.format];
+        if (!format) {
+          throw new Error(
+            `Vertex format "${attribute.format}" is not supported by SWRenderer.`
+          );
+        }
+
+        const value = new Array(format.components);
+        for (let c = 0; c < format.components; c++) {
+          value[c] = format.read(
+            buffer.view,
+            base + (attribute.offset || 0) + c * format.size
+          );
+        }
+        attributes[attribute.name ?? attribute.shaderLocation] = value;
+      });
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Draws a mesh with the current pipeline.
+   * @override
+   * @param {MeshDrawCall & {uniforms: Object}} drawCall - Draw call
+   *     configuration; uniforms are passed to the shader functions.
+   */
+  drawMesh(drawCall) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return;
+    }
+
+    if (!this.currentPipeline_) {
+      throw new Error('No pipeline set. Call setPipeline() first.');
+    }
+
+    const pipeline = this.pipelines_.get(this.currentPipeline_);
+    const uniforms = drawCall.uniforms || {};
+    const buffers = [];
+    Object.entries(drawCall.vertexBuffers || {}).forEach(
+      ([slot, bufferName]) => {
+        buffers[slot] = this.buffers_.get(bufferName) || null;
+      }
+    );
+
+    // Resolve the vertex index list
+    let indices;
+    if (drawCall.indexBuffer && this.buffers_.has(drawCall.indexBuffer)) {
+      const indexBuffer = this.buffers_.get(drawCall.indexBuffer);
+      const first = drawCall.firstIndex || 0;
+      const count = drawCall.indexCount || 0;
+      indices =
+        indexBuffer.indexFormat === 'uint32'
+          ? new Uint32Array(indexBuffer.data.buffer, first * 4, count)
+          : new Uint16Array(indexBuffer.data.buffer, first * 2, count);
+    } else {
+      const first = drawCall.firstVertex || 0;
+      indices = Array.from(
+        { length: drawCall.vertexCount || 0 },
+        (_, i) => first + i
+      );
+    }
+
+    const instanceCount = drawCall.instanceCount || 1;
+
+    for (let instance = 0; instance < instanceCount; instance++) {
+      const cache = new Map();
+      const shade = vertex => {
+        if (!cache.has(vertex)) {
+          const attributes = this.readAttributes_(
+            pipeline,
+            buffers,
+            vertex,
+            instance
+          );
+          attributes.instanceIndex = [instance];
+          cache.set(vertex, pipeline.shaders.vertex(attributes, uniforms));
+        }
+        return cache.get(vertex);
+      };
+
+      if (pipeline.primitive.topology === 'triangle-strip') {
+        for (let i = 0; i + 2 < indices.length; i++) {
+          const a = shade(indices[i]);
+          const b = shade(indices[i + 1]);
+          const c = shade(indices[i + 2]);
+          // Every other strip triangle has reversed winding
+          if (i % 2 === 0) {
+            this.drawTriangle_(pipeline, uniforms, a, b, c);
+          } else {
+            this.drawTriangle_(pipeline, uniforms, b, a, c);
+          }
+        }
+      } else {
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+          this.drawTriangle_(
+            pipeline,
+            uniforms,
+            shade(indices[i]),
+            shade(indices[i + 1]),
+            shade(indices[i + 2])
+          );
+        }
+      }
+    }
+
+    if (this.currentPass_) {
+      this.currentPass_.drawCount++;
+    }
+
+    this.emit('draw', { drawCall });
+  }
+
+  /**
+   * Draws a scene mesh. The scene uniforms model, view, projection and
+   * normalMatrix are passed to the shader functions together with the
+   * material uniforms.
+   * @override
+   * @protected
+   * @param {Mesh} mesh - Mesh to draw.
+   * @param {SceneCamera} camera - Scene camera.
+   */
+  drawSceneMesh_(mesh, camera) {
+    this.drawMesh({
+      ...mesh.geometry,
+      uniforms: {
+        ...mesh.material.uniforms,
+        model: mesh.getWorldMatrix(),
+        view: camera.viewMatrix,
+        projection: camera.projectionMatrix,
+        normalMatrix: mesh.getNormalMatrix(),
+      },
+    });
+  }
+
+  /**
+   * Clips a triangle against the near plane (z >= 0) and rasterizes the result.
+   * @param {SWPipelineConfig} pipeline - Current pipeline.
+   * @param {Object} uniforms - Draw call uniforms.
+   * @param {Object} a - First vertex shader output.
+   * @param {Object} b - Second vertex shader output.
+   * @param {Object} c - Third vertex shader output.
+   * @private
+   */
+  drawTriangle_(pipeline, uniforms, a, b, c) {
+    const input = [a, b, c];
+    const clipped = [];
+
+    for (let i = 0; i < 3; i++) {
+      const current = input[i];
+      const next = input[(i + 1) % 3];
+      const dc = current.position[2];
+      const dn = next.position[2];
+
+      if (dc >= 0) {
+        clipped.push(current);
+      }
+      if (dc >= 0 !== dn >= 0) {
+        const t = dc / (dc - dn);
+        const lerp = (x, y) => x.map((v, k) => v + (y[k] - v) * t);
+        clipped.push({
+          position: lerp(current.position, next.position),
+          varyings: lerp(current.varyings || [], next.varyings || []),
+        });
+      }
+    }
+
+    for (let i = 1; i + 1 < clipped.length; i++) {
+      this.rasterizeTriangle_(
+        pipeline,
+        uniforms,
+        clipped[0],
+        clipped[i],
+        clipped[i + 1]
+      );
+    }
+  }
+
+  /**
+   * Rasterizes a clipped triangle.
+   * @param {SWPipelineConfig} pipeline - Current pipeline.
+   * @param {Object} uniforms - Draw call uniforms.
+   * @param {Object} a - First vertex shader output.
+   * @param {Object} b - Second vertex shader output.
+   * @param {Object} c - Third vertex shader output.
+   * @private
+   */
+  rasterizeTriangle_(pipeline, uniforms, a, b, c) {
+    const width = this.width_;
+    const height = this.height_;
+
+    // Perspective divide and viewport transform (NDC y up, screen y down)
+    const project = vertex => {
+      const [x, y, z, w] = vertex.position;
+      const invW = 1 / w;
+      return {
+        ndcX: x * invW,
+        ndcY: y * invW,
+        x: (x * invW * 0.5 + 0.5) * width,
+        y: (0.5 - y * invW * 0.5) * height,
+        z: z * invW,
+        invW,
+        varyings: vertex.varyings || [],
+      };
+    };
+
+    const v0 = project(a);
+    const v1 = project(b);
+    const v2 = project(c);
+
+    // Facing is determined in NDC where counter-clockwise is positive
+    const facingArea =
+      (v1.ndcX - v0.ndcX) * (v2.ndcY - v0.ndcY) -
+      (v2.ndcX - v0.ndcX) * (v1.ndcY - v0.ndcY);
+    if (facingArea === 0) {
+      return;
+    }
+
+    const isFront =
+      pipeline.primitive.frontFace === 'cw' ? facingArea < 0 : facingArea > 0;
+    const { cullMode } = pipeline.primitive;
+    if (
+      (cullMode === 'back' && !isFront) ||
+      (cullMode === 'front' && isFront)
+    ) {
+      return;
+    }
+
+    const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+    const maxX = Math.min(width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+    const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+    const maxY = Math.min(height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+    const area = (v1.x - v0.x) * (v2.y - v0.y) - (v2.x - v0.x) * (v1.y - v0.y);
+    const invArea = 1 / Math.abs(area);
+    const orientation = area > 0 ? 1 : -1;
+    const edges = [
+      setupEdge(v1, v2, orientation),
+      setupEdge(v2, v0, orientation),
+      setupEdge(v0, v1, orientation),
+    ];
+
+    const depthState = pipeline.depthStencil;
+    const depthCompare = depthState
+      ? SW_COMPARE_FUNCTIONS[depthState.depthCompare || 'less']
+      : null;
+    const depthWrite = depthState
+      ? depthState.depthWriteEnabled !== false
+      : false;
+
+    const varyingCount = Math.max(
+      v0.varyings.length,
+      v1.varyings.length,
+      v2.varyings.length
+    );
+    const varyings = new Array(varyingCount);
+
+    for (let y = minY; y <= maxY; y++) {
+      const py = y + 0.5;
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+
+        const e0 = edgeValue(edges[0], px, py);
+        const e1 = edgeValue(edges[1], px, py);
+        const e2 = edgeValue(edges[2], px, py);
+        // Pixel centers on an edge belong to the triangle only if the edge
+        // is a top or left edge
+        if (
+          !(e0 > 0 || (e0 === 0 && edges[0].topLeft)) ||
+          !(e1 > 0 || (e1 === 0 && edges[1].topLeft)) ||
+          !(e2 > 0 || (e2 === 0 && edges[2].topLeft))
+        ) {
+          continue;
+        }
+
+        const w0 = e0 * invArea;
+        const w1 = e1 * invArea;
+        const w2 = e2 * invArea;
+
+        const z = w0 * v0.z + w1 * v1.z + w2 * v2.z;
+        if (z < 0 || z > 1) {
+          continue;
+        }
+
+        const pixel = y * width + x;
+        if (depthCompare && !depthCompare(z, this.depthBuffer_[pixel])) {
+          continue;
+        }
+
+        // Perspective-correct varying interpolation
+        const p0 = w0 * v0.invW;
+        const p1 = w1 * v1.invW;
+        const p2 = w2 * v2.invW;
+        const invSum = 1 / (p0 + p1 + p2);
+        for (let k = 0; k < varyingCount; k++) {
+          varyings[k] =
+            ((v0.varyings[k] || 0) * p0 +
+              (v1.varyings[k] || 0) * p1 +
+              (v2.varyings[k] || 0) * p2) *
+            invSum;
+        }
+
+        const color = pipeline.shaders.fragment(
+          varyings,
+          uniforms,
+          this.sample_
+        );
+        if (!color) {
+          continue;
+        }
+
+        if (depthWrite) {
+          this.depthBuffer_[pixel] = z;
+        }
+
+        this.writePixel_(pixel * 4, color, pipeline.blend);
+      }
+    }
+  }
+
+  /**
+   * Writes a fragment color into the color buffer, blending if enabled.
+   * @param {number} offset - Byte offset of the pixel.
+   * @param {number[]} color - RGBA fragment color (0-1).
+   * @param {?GPUBlendState} blend - Blend state.
+   * @private
+   */
+  writePixel_(offset, color, blend) {
+    const buffer = this.colorBuffer_;
+    const alpha = color[3] === undefined ? 1 : color[3];
+
+    if (!blend) {
+      buffer[offset] = color[0] * 255;
+      buffer[offset + 1] = color[1] * 255;
+      buffer[offset + 2] = color[2] * 255;
+      buffer[offset + 3] = alpha * 255;
+      return;
+    }
+
+    const dstAlpha = buffer[offset + 3] / 255;
+    for (let k = 0; k < 3; k++) {
+      buffer[offset + k] =
+        blendChannel(
+          blend.color || {},
+          color[k],
+          buffer[offset + k] / 255,
+          alpha,
+          dstAlpha
+        ) * 255;
+    }
+    buffer[offset + 3] =
+      blendChannel(blend.alpha || {}, alpha, dstAlpha, alpha, dstAlpha) * 255;
+  }
+
+  /**
+   * Returns a copy of the color buffer (RGBA8, rows top to bottom).
+   * @returns {Uint8ClampedArray} Pixel data.
+   */
+  readPixels() {
+    return new Uint8ClampedArray(this.colorBuffer_);
+  }
+
+  /**
+   * Sets the size of the framebuffer.
+   * @override
+   * @param {number} width - Width in pixels.
+   * @param {number} height - Height in pixels.
+   */
+  setSize(width, height) {
+    const actualWidth = Math.max(1, width);
+    const actualHeight = Math.max(1, height);
+
+    if (this.canvas) {
+      this.canvas.width = actualWidth;
+      this.canvas.height = actualHeight;
+    }
+
+    this.allocateFramebuffer_(actualWidth, actualHeight);
+    this.clear();
+
+    this.emit('resize', { width: actualWidth, height: actualHeight });
+  }
+
+  /**
+   * Presents the color buffer to the canvas (no-op when headless).
+   * @override
+   */
+  render() {
+    if (this.context && this.imageData_) {
+      this.context.putImageData(this.imageData_, 0, 0);
+    }
+
+    this.frameCount_++;
+    this.emit('frameRendered', { frameCount: this.frameCount_ });
+  }
+
+  /**
+   * Destroys all resources and cleans up the renderer.
+   */
+  destroy() {
+    this.buffers_.clear();
+    this.textures_.clear();
+    this.samplers_.clear();
+    this.pipelines_.clear();
+
+    this.colorBuffer_ = null;
+    this.depthBuffer_ = null;
+    this.imageData_ = null;
+    this.currentPass_ = null;
+    this.passCount_ = 0;
+    this.context = null;
+    this.isInitialized = false;
+
+    this.emit('destroyed');
+  }
+
+  /**
+   * Gets renderer statistics.
+   * @returns {Object} Statistics object.
+   */
+  getStats() {
+    const now = performance.now();
+    const elapsed = (now - this.startTime_) / 1000;
+    const fps = this.frameCount_ / elapsed;
+
+    return {
+      frameCount: this.frameCount_,
+      fps: fps,
+      buffers: this.buffers_.size,
+      textures: this.textures_.size,
+      pipelines: this.pipelines_.size,
+      samplers: this.samplers_.size,
+    };
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  on(event, callback) {
+    if (!this.eventListeners_.has(event)) {
+      this.eventListeners_.set(event, new Set());
+    }
+    this.eventListeners_.get(event).add(callback);
+  }
+
+  /**
+   * Removes an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  off(event, callback) {
+    this.eventListeners_.get(event)?.delete(callback);
+  }
+
+  /**
+   * Emits an event.
+   * @param {string} event - Event name.
+   * @param {*} [data] - Event data.
+   * @private
+   */
+  emit(event, data) {
+    this.eventListeners_.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Backend identifier reported by createRenderer() and the "initialized" event.
+   * @type {string}
+   */
+  static get backend() {
+    return 'software';
+  }
+
+  /**
+   * The software renderer works everywhere.
+   * @override
+   * @returns {boolean} Always true.
+   */
+  static isSupported() {
+    return true;
+  }
+
+  getBuffer(name) {
+    const metadata = this.buffers_.get(name);
+    return metadata ? metadata.data : null;
+  }
+
+  getTexture(name) {
+    const metadata = this.textures_.get(name);
+    return metadata ? metadata.data : null;
+  }
+
+  getSampler(name) {
+    return this.samplers_.get(name) || null;
+  }
+}
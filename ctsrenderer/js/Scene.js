@@ -0,0 +1,478 @@
+/**
+ * @fileoverview Scene graph: nodes with hierarchical transforms, meshes and scenes.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import * as mat3 from './math/mat3.js';
+import * as mat4 from './math/mat4.js';
+import * as quat from './math/quat.js';
+
+/**
+ * Geometry of a mesh: the buffer part of a draw call. Buffers are created
+ * with the renderer that draws the scene.
+ * @typedef {Object} SceneGeometry
+ * @property {Object<number, string>|Array<string>} vertexBuffers - Vertex buffer names per slot.
+ * @property {string} [indexBuffer] - Index buffer name.
+ * @property {number} [indexCount] - Number of indices to draw.
+ * @property {number} [vertexCount] - Number of vertices to draw.
+ * @property {number} [firstIndex=0] - First index to draw.
+ * @property {number} [firstVertex=0] - First vertex to draw.
+ * @property {number} [instanceCount=1] - Number of instances to draw.
+ */
+
+/**
+ * Material of a mesh: the pipeline it is drawn with and its resources.
+ * @typedef {Object} SceneMaterial
+ * @property {string} pipeline - Pipeline name.
+ * @property {Object<string, *>} [uniforms] - Uniform values by name
+ *     (WebGL and software renderers).
+ * @property {Object<number, string>} [bindGroups] - Bind group names per
+ *     index (WebGPU only). Group 0 is reserved for the scene uniforms.
+ * @property {boolean} [transparent=false] - Whether the mesh is drawn after
+ *     the opaque ones, sorted back to front.
+ */
+
+/**
+ * Camera used to render a scene. Matrices are column-major and the
+ * projection must match the depth range of the renderer's backend.
+ * @typedef {Object} SceneCamera
+ * @property {Float32Array} viewMatrix - World to view transform.
+ * @property {Float32Array} projectionMatrix - View to clip transform.
+ */
+
+/**
+ * Next node id.
+ * @type {number}
+ */
+let nextNodeId = 1;
+
+/**
+ * Scene graph node with a local transform (translation, rotation, scale)
+ * relative to its parent. World matrices are computed on demand and cached;
+ * changing a transform marks the node and its descendants dirty.
+ */
+export class Node {
+  /**
+   * Creates a node.
+   * @param {string} [name=''] - Node name.
+   */
+  constructor(name = '') {
+    /**
+     * Unique node id.
+     * @type {number}
+     */
+    this.id = nextNodeId++;
+
+    /**
+     * Node name.
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * Parent node.
+     * @type {?Node}
+     */
+    this.parent = null;
+
+    /**
+     * Child nodes.
+     * @type {Array<Node>}
+     */
+    this.children = [];
+
+    /**
+     * Whether the node and its descendants are drawn.
+     * @type {boolean}
+     */
+    this.visible = true;
+
+    /**
+     * Local translation. Call markDirty() after changing it in place.
+     * @type {Float32Array}
+     */
+    this.position = new Float32Array([0, 0, 0]);
+
+    /**
+     * Local rotation quaternion (x, y, z, w). Call markDirty() after
+     * changing it in place.
+     * @type {Float32Array}
+     */
+    this.rotation = new Float32Array([0, 0, 0, 1]);
+
+    /**
+     * Local scale. Call markDirty() after changing it in place.
+     * @type {Float32Array}
+     */
+    this.scale = new Float32Array([1, 1, 1]);
+
+    /**
+     * Cached local matrix.
+     * @type {Float32Array}
+     * @private
+     */
+    this.localMatrix_ = new Float32Array(16);
+
+    /**
+     * Cached world matrix.
+     * @type {Float32Array}
+     * @private
+     */
+    this.worldMatrix_ = new Float32Array(16);
+
+    /**
+     * Whether the local matrix must be recomposed.
+     * @type {boolean}
+     * @private
+     */
+    this.localDirty_ = true;
+
+    /**
+     * Whether the world matrix must be recomputed. When set on a node, it is
+     * set on all its descendants too.
+     * @type {boolean}
+     * @private
+     */
+    this.worldDirty_ = true;
+  }
+
+  /**
+   * Sets the local translation.
+   * @param {number} x - X translation.
+   * @param {number} y - Y translation.
+   * @param {number} z - Z translation.
+   * @returns {Node} This node.
+   */
+  setPosition(x, y, z) {
+    this.position[0] = x;
+    this.position[1] = y;
+    this.position[2] = z;
+    return this.markDirty();
+  }
+
+  /**
+   * Sets the local rotation quaternion.
+   * @param {number} x - X component.
+   * @param {number} y - Y component.
+   * @param {number} z - Z component.
+   * @param {number} w - W component.
+   * @returns {Node} This node.
+   */
+  setRotation(x, y, z, w) {
+    this.rotation[0] = x;
+    this.rotation[1] = y;
+    this.rotation[2] = z;
+    this.rotation[3] = w;
+    return this.markDirty();
+  }
+
+  /**
+   * Sets the local rotation from Euler angles, applied in X, Y, Z order.
+   * @param {number} x - Rotation around X in radians.
+   * @param {number} y - Rotation around Y in radians.
+   * @param {number} z - Rotation around Z in radians.
+   * @returns {Node} This node.
+   */
+  setRotationFromEuler(x, y, z) {
+    quat.fromEuler(x, y, z, this.rotation);
+    return this.markDirty();
+  }
+
+  /**
+   * Sets the local scale.
+   * @param {number} x - X scale.
+   * @param {number} [y=x] - Y scale.
+   * @param {number} [z=x] - Z scale.
+   * @returns {Node} This node.
+   */
+  setScale(x, y = x, z = x) {
+    this.scale[0] = x;
+    this.scale[1] = y;
+    this.scale[2] = z;
+    return this.markDirty();
+  }
+
+  /**
+   * Marks the local transform as changed. Needed after editing position,
+   * rotation or scale in place; the setters call it.
+   * @returns {Node} This node.
+   */
+  markDirty() {
+    this.localDirty_ = true;
+    this.markWorldDirty_();
+    return this;
+  }
+
+  /**
+   * Marks the world matrix of this node and its descendants as changed.
+   * Subtrees already dirty are skipped.
+   * @protected
+   */
+  markWorldDirty_() {
+    if (this.worldDirty_) {
+      return;
+    }
+    this.worldDirty_ = true;
+    this.children.forEach(child => child.markWorldDirty_());
+  }
+
+  /**
+   * Returns the local matrix (T * R * S).
+   * @returns {Float32Array} Local matrix. Do not modify.
+   */
+  getLocalMatrix() {
+    if (this.localDirty_) {
+      mat4.fromRotationTranslationScale(
+        this.rotation,
+        this.position,
+        this.scale,
+        this.localMatrix_
+      );
+      this.localDirty_ = false;
+    }
+    return this.localMatrix_;
+  }
+
+  /**
+   * Returns the world matrix (parent world matrix * local matrix),
+   * recomputing it and its ancestors' if dirty.
+   * @returns {Float32Array} World matrix. Do not modify.
+   */
+  getWorldMatrix() {
+    if (this.worldDirty_) {
+      if (this.parent) {
+        mat4.multiply(
+          this.parent.getWorldMatrix(),
+          this.getLocalMatrix(),
+          this.worldMatrix_
+        );
+      } else {
+        this.worldMatrix_.set(this.getLocalMatrix());
+      }
+      this.worldDirty_ = false;
+    }
+    return this.worldMatrix_;
+  }
+
+  /**
+   * Returns the world-space position of the node.
+   * @param {Float32Array|number[]} [out] - Receiving vector.
+   * @returns {Float32Array|number[]} World position.
+   */
+  getWorldPosition(out = new Float32Array(3)) {
+    const world = this.getWorldMatrix();
+    out[0] = world[12];
+    out[1] = world[13];
+    out[2] = world[14];
+    return out;
+  }
+
+  /**
+   * Adds a child node, removing it from its previous parent.
+   * @param {Node} child - Node to add.
+   * @returns {Node} The added child.
+   * @throws {Error} If the child is this node or one of its ancestors.
+   */
+  add(child) {
+    for (let node = this; node; node = node.parent) {
+      if (node === child) {
+        throw new Error(
+          `Node "${child.name}" cannot be added to its own subtree.`
+        );
+      }
+    }
+
+    if (child.parent) {
+      child.parent.remove(child);
+    }
+    child.parent = this;
+    this.children.push(child);
+    child.markWorldDirty_();
+    return child;
+  }
+
+  /**
+   * Removes a child node.
+   * @param {Node} child - Node to remove.
+   * @returns {Node} The removed child.
+   */
+  remove(child) {
+    const index = this.children.indexOf(child);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      child.parent = null;
+      child.markWorldDirty_();
+    }
+    return child;
+  }
+
+  /**
+   * Calls a function for this node and all its descendants, depth first.
+   * @param {function(Node): void} callback - Function to call.
+   */
+  traverse(callback) {
+    callback(this);
+    this.children.forEach(child => child.traverse(callback));
+  }
+
+  /**
+   * Calls a function for this node and its descendants, skipping invisible
+   * nodes and their subtrees.
+   * @param {function(Node): void} callback - Function to call.
+   */
+  traverseVisible(callback) {
+    if (!this.visible) {
+      return;
+    }
+    callback(this);
+    this.children.forEach(child => child.traverseVisible(callback));
+  }
+
+  /**
+   * Finds the first node with a name in this subtree.
+   * @param {string} name - Node name.
+   * @returns {?Node} Node or null.
+   */
+  findByName(name) {
+    if (this.name === name) {
+      return this;
+    }
+    for (const child of this.children) {
+      const node = child.findByName(name);
+      if (node) {
+        return node;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Node drawn with a geometry and a material.
+ */
+export class Mesh extends Node {
+  /**
+   * Creates a mesh.
+   * @param {SceneGeometry} geometry - Geometry to draw.
+   * @param {SceneMaterial} material - Material to draw it with.
+   * @param {string} [name=''] - Node name.
+   */
+  constructor(geometry, material, name = '') {
+    super(name);
+
+    /**
+     * Geometry to draw.
+     * @type {SceneGeometry}
+     */
+    this.geometry = geometry;
+
+    /**
+     * Material to draw the geometry with.
+     * @type {SceneMaterial}
+     */
+    this.material = material;
+
+    /**
+     * Cached normal matrix.
+     * @type {Float32Array}
+     * @private
+     */
+    this.normalMatrix_ = new Float32Array(9);
+
+    /**
+     * Whether the normal matrix must be recomputed.
+     * @type {boolean}
+     * @private
+     */
+    this.normalDirty_ = true;
+  }
+
+  /** @override */
+  markWorldDirty_() {
+    this.normalDirty_ = true;
+    super.markWorldDirty_();
+  }
+
+  /**
+   * Returns the normal matrix: the inverse transpose of the upper 3x3 of the
+   * world matrix.
+   * @returns {Float32Array} 3x3 normal matrix. Do not modify.
+   */
+  getNormalMatrix() {
+    const world = this.getWorldMatrix();
+    if (this.normalDirty_) {
+      mat3.normalFromMat4(world, this.normalMatrix_);
+      this.normalDirty_ = false;
+    }
+    return this.normalMatrix_;
+  }
+}
+
+/**
+ * Root node of a scene graph.
+ */
+export class Scene extends Node {
+  /**
+   * Creates a scene.
+   * @param {string} [name='scene'] - Scene name.
+   */
+  constructor(name = 'scene') {
+    super(name);
+
+    /**
+     * Clear color of the scene pass [r, g, b, a]. Null uses the renderer
+     * clear color.
+     * @type {?number[]}
+     */
+    this.background = null;
+
+    /**
+     * Skybox drawn behind the meshes, after the opaque ones. Null draws
+     * only the background color.
+     * @type {?Skybox}
+     */
+    this.skybox = null;
+  }
+
+  /**
+   * Returns the visible meshes in draw order: opaque meshes grouped by
+   * pipeline, then transparent meshes from back to front.
+   * @param {SceneCamera} camera - Camera the scene is viewed from.
+   * @returns {Array<Mesh>} Meshes to draw.
+   */
+  getRenderList(camera) {
+    const opaque = [];
+    const transparent = [];
+    this.traverseVisible(node => {
+      if (node instanceof Mesh) {
+        (node.material.transparent ? transparent : opaque).push(node);
+      }
+    });
+
+    // Stable sort keeps the scene order within a pipeline
+    opaque.sort((a, b) =>
+      a.material.pipeline < b.material.pipeline
+        ? -1
+        : a.material.pipeline > b.material.pipeline
+        ? 1
+        : 0
+    );
+
+    // View-space z grows towards the camera, so the farthest comes first
+    const view = camera.viewMatrix;
+    const depth = mesh => {
+      const world = mesh.getWorldMatrix();
+      return (
+        view[2] * world[12] +
+        view[6] * world[13] +
+        view[10] * world[14] +
+        view[14]
+      );
+    };
+    transparent.sort((a, b) => depth(a) - depth(b));
+
+    return opaque.concat(transparent);
+  }
+}
@@ -0,0 +1,700 @@
+/**
+ * @fileoverview Shader preprocessor shared by GLSL and WGSL: #include from
+ * a chunk library, object-like and function-like #define macros, conditional
+ * compilation and feature flags, with line maps back to the original chunks.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Shader language of a source, which decides the predefined macros.
+ * @enum {string}
+ */
+export const ShaderLanguage = Object.freeze({
+  /** GLSL ES: GL_ES and __VERSION__ (from #version) are predefined. */
+  GLSL: 'glsl',
+  /** WGSL: nothing is predefined. */
+  WGSL: 'wgsl',
+});
+
+/**
+ * Function-like macro.
+ * @typedef {Object} FunctionMacro
+ * @property {Array<string>} params - Parameter names.
+ * @property {string} body - Replacement text.
+ */
+
+/**
+ * Preprocessor options of a shader source.
+ * @typedef {Object} ShaderPreprocessOptions
+ * @property {string} [name='shader'] - Source name used in line maps and
+ *     errors.
+ * @property {Object<string, (string|number|boolean)>} [defines] - Macros
+ *     defined before the source. true defines the macro as 1; false leaves
+ *     it undefined.
+ * @property {Array<string>} [features] - Feature flags, each defined as 1.
+ * @property {ShaderLanguage} [language] - Source language. Defaults to GLSL
+ *     if the source starts with #version (after comments), otherwise WGSL.
+ * @property {string} [program] - Program or pipeline the source belongs to.
+ *     Results are cached under it until evict(program); without a program
+ *     they are not cached.
+ */
+
+/**
+ * Location of an output line in the original sources.
+ * @typedef {Object} ShaderSourceLocation
+ * @property {string} source - Chunk name, or the name of the main source.
+ * @property {number} line - 1-based line in that source.
+ */
+
+/**
+ * Preprocessed shader.
+ * @typedef {Object} ProcessedShader
+ * @property {string} code - Code to compile.
+ * @property {Array<ShaderSourceLocation>} lineMap - Origin of each output
+ *     line (index 0 is line 1).
+ * @property {string} key - Variant key of the defines and features.
+ */
+
+/**
+ * Binary operators of #if expressions by precedence, loosest first. Maps,
+ * so identifiers such as "constructor" are never taken for operators.
+ * @type {Array<Map<string, function(number, number): number>>}
+ */
+const BINARY_OPERATORS = [
+  [['||', (a, b) => +(a || b)]],
+  [['&&', (a, b) => +(a && b)]],
+  [['|', (a, b) => a | b]],
+  [['^', (a, b) => a ^ b]],
+  [['&', (a, b) => a & b]],
+  [
+    ['==', (a, b) => +(a === b)],
+    ['!=', (a, b) => +(a !== b)],
+  ],
+  [
+    ['<', (a, b) => +(a < b)],
+    ['>', (a, b) => +(a > b)],
+    ['<=', (a, b) => +(a <= b)],
+    ['>=', (a, b) => +(a >= b)],
+  ],
+  [
+    ['<<', (a, b) => a << b],
+    ['>>', (a, b) => a >> b],
+  ],
+  [
+    ['+', (a, b) => a + b],
+    ['-', (a, b) => a - b],
+  ],
+  [
+    ['*', (a, b) => a * b],
+    ['/', (a, b) => Math.trunc(a / b)],
+    ['%', (a, b) => a % b],
+  ],
+].map(operators => new Map(operators));
+
+/**
+ * Tokens of #if expressions.
+ * @type {RegExp}
+ */
+const EXPRESSION_TOKEN =
+  /\s*(0x[0-9a-f]+|\d+(?:\.\d*)?|[A-Za-z_]\w*|\|\||&&|==|!=|<=|>=|<<|>>|[-+*/%<>()!~&|^])/iy;
+
+/**
+ * Splits a source into lines with each comment replaced by a space.
+ * @param {string} source - Source text.
+ * @returns {Array<{text: string, continued: boolean}>} Lines without
+ *     comments, and whether each starts inside a block comment.
+ */
+function stripComments(source) {
+  const comment = /\/\/|\/\*/g;
+  let inBlock = false;
+  return source.split(/\r?\n/).map(line => {
+    const continued = inBlock;
+    let text = '';
+    let position = 0;
+    while (position < line.length) {
+      if (inBlock) {
+        const end = line.indexOf('*/', position);
+        position = end === -1 ? line.length : end + 2;
+        inBlock = end === -1;
+        text += inBlock ? '' : ' ';
+        continue;
+      }
+      comment.lastIndex = position;
+      const match = comment.exec(line);
+      text += line.slice(position, match ? match.index : line.length);
+      position = match ? comment.lastIndex : line.length;
+      if (match && match[0] === '//') {
+        text += ' ';
+        break;
+      }
+      inBlock = Boolean(match);
+    }
+    return { text, continued };
+  });
+}
+
+/**
+ * Reads the arguments of a function-like macro call.
+ * @param {string} text - Text containing the call.
+ * @param {number} start - Index just after the macro name.
+ * @returns {?{args: Array<string>, end: number}} Trimmed arguments and the
+ *     index after the closing parenthesis, or null if no complete argument
+ *     list follows.
+ */
+function readMacroArguments(text, start) {
+  let position = start;
+  while (/\s/.test(text[position] || '')) {
+    position++;
+  }
+  if (text[position] !== '(') {
+    return null;
+  }
+
+  const args = [];
+  let depth = 0;
+  let argumentStart = position + 1;
+  for (; position < text.length; position++) {
+    const char = text[position];
+    if (char === '(') {
+      depth++;
+    } else if (char === ')' || (char === ',' && depth === 1)) {
+      if (char === ')' && --depth > 0) {
+        continue;
+      }
+      args.push(text.slice(argumentStart, position).trim());
+      argumentStart = position + 1;
+      if (char === ')') {
+        return { args, end: position + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the variant key of a set of defines and feature flags: the same
+ * key for the same macros, whatever their order.
+ * @param {Object<string, (string|number|boolean)>} [defines] - Defines.
+ * @param {Array<string>} [features] - Feature flags.
+ * @returns {string} Variant key, empty without macros.
+ */
+export function getShaderVariantKey(defines = {}, features = []) {
+  return Object.entries(toMacros(defines, features))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => (value === '1' ? name : `${name}=${value}`))
+    .join(';');
+}
+
+/**
+ * Turns defines and feature flags into macro values.
+ * @param {Object<string, (string|number|boolean)>} defines - Defines.
+ * @param {Array<string>} features - Feature flags.
+ * @returns {Object<string, string>} Macro values by name.
+ */
+function toMacros(defines, features) {
+  const macros = Object.create(null);
+  Object.entries(defines).forEach(([name, value]) => {
+    if (value === false || value === undefined || value === null) {
+      return;
+    }
+    macros[name] = value === true ? '1' : String(value);
+  });
+  features.forEach(name => {
+    macros[name] = '1';
+  });
+  return macros;
+}
+
+/**
+ * Preprocesses GLSL and WGSL shader sources. Supports #include of
+ * registered chunks (each chunk is included once per source, so stages
+ * concatenated into one WGSL module can include the same chunk), object-like
+ * and function-like #define/#undef (without the # and ## operators),
+ * #ifdef/#ifndef/#if/#elif/#else/#endif with defined() and C integer
+ * operators, and #error. Comments are ignored in directives. Other
+ * directives (#version, #extension, #pragma, ...) are passed through, and
+ * #version sets __VERSION__ in GLSL. Macros are expanded in the code, since
+ * WGSL has no preprocessor of its own.
+ *
+ * GLSL extension macros (GL_OES_*, ...) are not known here; guard optional
+ * code with feature flags instead.
+ */
+export class ShaderPreprocessor {
+  /**
+   * Creates a preprocessor with an empty chunk library.
+   */
+  constructor() {
+    /**
+     * Chunk sources by name.
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.chunks_ = new Map();
+
+    /**
+     * Processed shaders by program, then by variant key and source.
+     * Programs are dropped by evict(), and all of them when chunks change.
+     * @type {Map<string, Map<string, ProcessedShader>>}
+     * @private
+     */
+    this.cache_ = new Map();
+  }
+
+  /**
+   * Registers a chunk for #include, replacing a chunk of the same name.
+   * @param {string} name - Chunk name, as written in #include <name>.
+   * @param {string} source - Chunk source.
+   * @throws {Error} If the source is not a string.
+   */
+  registerChunk(name, source) {
+    if (typeof source !== 'string') {
+      throw new Error(`Shader chunk "${name}" must be a string.`);
+    }
+    this.chunks_.set(name, source);
+    this.cache_.clear();
+  }
+
+  /**
+   * Checks whether a chunk is registered.
+   * @param {string} name - Chunk name.
+   * @returns {boolean} True if registered.
+   */
+  hasChunk(name) {
+    return this.chunks_.has(name);
+  }
+
+  /**
+   * Removes a chunk.
+   * @param {string} name - Chunk name.
+   */
+  removeChunk(name) {
+    if (this.chunks_.delete(name)) {
+      this.cache_.clear();
+    }
+  }
+
+  /**
+   * Drops the cached results of a program, once it is destroyed.
+   * @param {string} program - Program or pipeline name, as passed to
+   *     process().
+   */
+  evict(program) {
+    this.cache_.delete(program);
+  }
+
+  /**
+   * Preprocesses a shader source for one variant. Results of a program are
+   * cached per source and variant key.
+   * @param {string|Array<{name: string, source: string}>} source - Shader
+   *     source, or named parts processed as one source (such as the stages
+   *     of a WGSL module); macros and included chunks carry over between
+   *     parts.
+   * @param {ShaderPreprocessOptions} [options] - Preprocessor options.
+   * @returns {ProcessedShader} Processed shader.
+   * @throws {Error} On unknown chunks, include cycles, malformed or
+   *     unterminated conditionals and #error, with the source name and line.
+   */
+  process(source, options = {}) {
+    const parts =
+      typeof source === 'string'
+        ? [{ name: options.name || 'shader', source }]
+        : source;
+    const key = getShaderVariantKey(options.defines, options.features);
+    const first = stripComments(parts[0].source).find(line => line.text.trim());
+    const version = first && /^\s*#\s*version\s+(\d+)/.exec(first.text);
+    const language =
+      options.language || (version ? ShaderLanguage.GLSL : ShaderLanguage.WGSL);
+    const cacheKey = [language, key, JSON.stringify(parts)].join('\n');
+    const cache =
+      options.program === undefined ? null : this.cache_.get(options.program);
+    const cached = cache && cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const macros = new Map();
+    if (language === ShaderLanguage.GLSL) {
+      // Sources without #version are GLSL ES 1.00
+      macros.set('GL_ES', '1');
+      macros.set('__VERSION__', version ? version[1] : '100');
+    }
+    Object.entries(
+      toMacros(options.defines || {}, options.features || [])
+    ).forEach(([macro, value]) => macros.set(macro, value));
+
+    const state = {
+      language,
+      macros,
+      included: new Set(),
+      lines: [],
+      lineMap: [],
+    };
+    parts.forEach(part =>
+      this.processSource_(part.source, part.name, state, [part.name])
+    );
+
+    const result = {
+      code: state.lines.join('\n'),
+      lineMap: state.lineMap,
+      key,
+    };
+    if (options.program !== undefined) {
+      if (!cache) {
+        this.cache_.set(options.program, new Map([[cacheKey, result]]));
+      } else {
+        cache.set(cacheKey, result);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Processes the lines of a source or chunk into the output.
+   * @param {string} source - Source text.
+   * @param {string} name - Source name.
+   * @param {Object} state - Language, macros, included chunks and output.
+   * @param {Array<string>} stack - Sources being included, for cycles.
+   * @throws {Error} On preprocessing errors.
+   * @private
+   */
+  processSource_(source, name, state, stack) {
+    // Each entry: whether the branch is active, whether a branch was taken,
+    // whether the enclosing block is active, and whether #else was seen
+    const conditions = [];
+    const isActive = () =>
+      conditions.length === 0 || conditions[conditions.length - 1].active;
+    const fail = (line, message) => {
+      throw new Error(`${name}:${line}: ${message}`);
+    };
+
+    // Directives are read without comments; code lines keep theirs, except
+    // the end of a block comment opened on a directive line
+    const stripped = stripComments(source);
+    let directiveComment = false;
+    source.split(/\r?\n/).forEach((text, index) => {
+      const line = index + 1;
+      const { text: code, continued } = stripped[index];
+      const directive = /^\s*#\s*(\w+)\s*(.*?)\s*$/.exec(code);
+      const fromDirective = continued && directiveComment;
+      directiveComment = fromDirective || Boolean(directive);
+
+      if (!directive) {
+        if (isActive()) {
+          state.lines.push(
+            this.expandMacros_(
+              fromDirective ? code : text,
+              state.macros,
+              message => fail(line, message)
+            )
+          );
+          state.lineMap.push({ source: name, line });
+        }
+        return;
+      }
+
+      const [, keyword, rest] = directive;
+      switch (keyword) {
+        case 'ifdef':
+        case 'ifndef':
+        case 'if': {
+          const parentActive = isActive();
+          let value = false;
+          if (parentActive) {
+            value =
+              keyword === 'if'
+                ? this.evaluate_(rest, state.macros, message =>
+                    fail(line, message)
+                  )
+                : state.macros.has(rest) === (keyword === 'ifdef');
+          }
+          conditions.push({
+            active: parentActive && value,
+            taken: value,
+            parentActive,
+            sawElse: false,
+          });
+          return;
+        }
+        case 'elif': {
+          const condition = conditions[conditions.length - 1];
+          if (!condition || condition.sawElse) {
+            fail(line, '#elif without #if.');
+          }
+          const value =
+            condition.parentActive &&
+            !condition.taken &&
+            this.evaluate_(rest, state.macros, message => fail(line, message));
+          condition.active = value;
+          condition.taken = condition.taken || value;
+          return;
+        }
+        case 'else': {
+          const condition = conditions[conditions.length - 1];
+          if (!condition || condition.sawElse) {
+            fail(line, '#else without #if.');
+          }
+          condition.active = condition.parentActive && !condition.taken;
+          condition.taken = true;
+          condition.sawElse = true;
+          return;
+        }
+        case 'endif':
+          if (!conditions.pop()) {
+            fail(line, '#endif without #if.');
+          }
+          return;
+        default:
+          break;
+      }
+
+      if (!isActive()) {
+        return;
+      }
+
+      switch (keyword) {
+        case 'define': {
+          // A parenthesis right after the name makes a function-like macro
+          const macro = /^([A-Za-z_]\w*)(?:\(([^)]*)\))?\s*(.*)$/.exec(rest);
+          const params =
+            macro && macro[2] !== undefined
+              ? macro[2].split(',').map(param => param.trim())
+              : null;
+          if (
+            !macro ||
+            (params &&
+              !(params.length === 1 && params[0] === '') &&
+              !params.every(param => /^[A-Za-z_]\w*$/.test(param)))
+          ) {
+            fail(line, `Malformed #define "${rest}".`);
+          }
+          state.macros.set(
+            macro[1],
+            params
+              ? { params: params[0] === '' ? [] : params, body: macro[3] }
+              : macro[3]
+          );
+          return;
+        }
+        case 'undef':
+          state.macros.delete(rest);
+          return;
+        case 'include': {
+          const include = /^(?:<([^>]+)>|"([^"]+)")$/.exec(rest);
+          if (!include) {
+            fail(line, `Malformed #include "${rest}".`);
+          }
+          const chunk = include[1] || include[2];
+          if (stack.includes(chunk)) {
+            fail(line, `Include cycle: ${[...stack, chunk].join(' -> ')}.`);
+          }
+          if (!this.chunks_.has(chunk)) {
+            fail(line, `Shader chunk "${chunk}" is not registered.`);
+          }
+          if (!state.included.has(chunk)) {
+            state.included.add(chunk);
+            this.processSource_(this.chunks_.get(chunk), chunk, state, [
+              ...stack,
+              chunk,
+            ]);
+          }
+          return;
+        }
+        case 'error':
+          fail(line, `#error ${rest}`);
+          return;
+        case 'version':
+          if (state.language === ShaderLanguage.GLSL && /^\d+/.test(rest)) {
+            state.macros.set('__VERSION__', /^\d+/.exec(rest)[0]);
+          }
+          state.lines.push(text);
+          state.lineMap.push({ source: name, line });
+          return;
+        default:
+          state.lines.push(text);
+          state.lineMap.push({ source: name, line });
+      }
+    });
+
+    if (conditions.length > 0) {
+      throw new Error(`${name}: Unterminated #if.`);
+    }
+  }
+
+  /**
+   * Expands the macros of a code line, including macros in macro values and
+   * arguments. Function-like macro names without an argument list on the
+   * same line are left alone.
+   * @param {string} text - Code line.
+   * @param {Map<string, (string|FunctionMacro)>} macros - Defined macros.
+   * @param {function(string): void} fail - Throws a located error.
+   * @param {Set<string>} [expanding] - Macros being expanded, which are
+   *     left alone to stop recursion.
+   * @returns {string} Expanded line.
+   * @throws {Error} If a macro call has the wrong number of arguments.
+   * @private
+   */
+  expandMacros_(text, macros, fail, expanding = new Set()) {
+    if (macros.size === 0) {
+      return text;
+    }
+
+    const identifier = /[A-Za-z_]\w*/g;
+    let result = '';
+    let position = 0;
+    let match;
+    while ((match = identifier.exec(text))) {
+      const name = match[0];
+      const macro = macros.get(name);
+      result += text.slice(position, match.index);
+      position = identifier.lastIndex;
+      if (macro === undefined || expanding.has(name)) {
+        result += name;
+        continue;
+      }
+
+      let body = macro;
+      if (typeof macro !== 'string') {
+        const call = readMacroArguments(text, position);
+        if (!call) {
+          result += name;
+          continue;
+        }
+        const args =
+          macro.params.length === 0 && call.args.length === 1 && !call.args[0]
+            ? []
+            : call.args;
+        if (args.length !== macro.params.length) {
+          fail(
+            `Macro "${name}" takes ${macro.params.length} arguments, got ${args.length}.`
+          );
+        }
+        const values = args.map(arg =>
+          this.expandMacros_(arg, macros, fail, expanding)
+        );
+        body = macro.body.replace(/[A-Za-z_]\w*/g, word => {
+          const index = macro.params.indexOf(word);
+          return index === -1 ? word : values[index];
+        });
+        position = identifier.lastIndex = call.end;
+      }
+
+      expanding.add(name);
+      result += this.expandMacros_(body, macros, fail, expanding);
+      expanding.delete(name);
+    }
+    return result + text.slice(position);
+  }
+
+  /**
+   * Evaluates an #if expression with C integer semantics. Undefined
+   * identifiers are 0.
+   * @param {string} expression - Expression text.
+   * @param {Map<string, (string|FunctionMacro)>} macros - Defined macros.
+   * @param {function(string): void} fail - Throws a located error.
+   * @returns {boolean} Whether the expression is non-zero.
+   * @private
+   */
+  evaluate_(expression, macros, fail) {
+    // Resolve defined() first, so its operand is not expanded
+    const resolved = expression.replace(
+      /\bdefined\s*(?:\(\s*([A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))/g,
+      (match, wrapped, bare) => (macros.has(wrapped || bare) ? '1' : '0')
+    );
+    const text = this.expandMacros_(resolved, macros, fail).trim();
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while (EXPRESSION_TOKEN.lastIndex < text.length) {
+      const start = EXPRESSION_TOKEN.lastIndex;
+      const match = EXPRESSION_TOKEN.exec(text);
+      if (!match) {
+        fail(`Unexpected "${text.slice(start).trim()}" in #if ${expression}.`);
+      }
+      tokens.push(match[1]);
+    }
+    if (tokens.length === 0) {
+      fail('#if needs an expression.');
+    }
+
+    let position = 0;
+    const parseUnary = () => {
+      const token = tokens[position++];
+      switch (token) {
+        case '(': {
+          const value = parseBinary(0);
+          if (tokens[position++] !== ')') {
+            fail(`Missing ")" in #if ${expression}.`);
+          }
+          return value;
+        }
+        case '!':
+          return +!parseUnary();
+        case '~':
+          return ~parseUnary();
+        case '-':
+          return -parseUnary();
+        case '+':
+          return +parseUnary();
+        case undefined:
+          return fail(`Incomplete #if ${expression}.`);
+        default:
+          if (/^[A-Za-z_]/.test(token)) {
+            return 0;
+          }
+          if (/^\d+\./.test(token)) {
+            return fail(`#if ${expression} uses non-integer "${token}".`);
+          }
+          if (!/^(0x[0-9a-f]+|\d+)$/i.test(token)) {
+            return fail(`Unexpected "${token}" in #if ${expression}.`);
+          }
+          return Number(token);
+      }
+    };
+    const parseBinary = level => {
+      if (level === BINARY_OPERATORS.length) {
+        return parseUnary();
+      }
+      let value = parseBinary(level + 1);
+      while (BINARY_OPERATORS[level].has(tokens[position])) {
+        const token = tokens[position++];
+        const operand = parseBinary(level + 1);
+        if ((token === '/' || token === '%') && operand === 0) {
+          fail(`Division by zero in #if ${expression}.`);
+        }
+        value = BINARY_OPERATORS[level].get(token)(value, operand);
+      }
+      return value;
+    };
+
+    const value = parseBinary(0);
+    if (position !== tokens.length) {
+      fail(`Unexpected "${tokens[position]}" in #if ${expression}.`);
+    }
+    return value !== 0;
+  }
+
+  /**
+   * Returns the origin of an output line.
+   * @param {ProcessedShader} shader - Processed shader.
+   * @param {number} line - 1-based output line.
+   * @returns {?ShaderSourceLocation} Origin, or null if out of range.
+   */
+  static mapLine(shader, line) {
+    return shader.lineMap[line - 1] || null;
+  }
+
+  /**
+   * Rewrites the "0:LINE" locations of a GLSL info log to chunk names and
+   * lines.
+   * @param {string} log - Info log.
+   * @param {ProcessedShader} shader - Processed shader the log is about.
+   * @returns {string} Log with original locations.
+   */
+  static mapInfoLog(log, shader) {
+    return String(log).replace(/\b0:(\d+)\b/g, (match, line) => {
+      const location = ShaderPreprocessor.mapLine(shader, Number(line));
+      return location ? `${location.source}:${location.line}` : match;
+    });
+  }
+}
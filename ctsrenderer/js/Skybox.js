@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Skybox drawing a cube texture behind the scene, for WebGPU
+ * and WebGL2 renderers.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { BufferUsage } from './Renderer.js';
+import * as mat4 from './math/mat4.js';
+
+/**
+ * WGSL skybox shader. Draws the full-screen triangle on the far plane and
+ * samples the cube texture in the world direction of each pixel.
+ * @type {string}
+ */
+const SKYBOX_WGSL = `struct SkyboxParams {
+  inverseViewProjection: mat4x4f,
+  intensity: f32,
+}
+
+@group(0) @binding(0) var<uniform> params: SkyboxParams;
+@group(0) @binding(1) var skyboxSampler: sampler;
+@group(0) @binding(2) var skyboxTexture: texture_cube<f32>;
+
+struct SkyboxVertexOutput {
+  @builtin(position) position: vec4f,
+  @location(0) clip: vec2f,
+}
+
+@vertex
+fn vs_main(@location(0) position: vec2f) -> SkyboxVertexOutput {
+  var output: SkyboxVertexOutput;
+  // z = w is the far plane in both depth ranges
+  output.position = vec4f(position, 1.0, 1.0);
+  output.clip = position;
+  return output;
+}
+
+@fragment
+fn fs_main(input: SkyboxVertexOutput) -> @location(0) vec4f {
+  let world = params.inverseViewProjection * vec4f(input.clip, 1.0, 1.0);
+  let color = textureSample(skyboxTexture, skyboxSampler, world.xyz / world.w);
+  return vec4f(color.rgb * params.intensity, color.a);
+}
+`;
+
+/**
+ * GLSL ES 3.00 skybox shaders, matching SKYBOX_WGSL.
+ * @type {{vertex: string, fragment: string}}
+ */
+const SKYBOX_GLSL = {
+  vertex: `#version 300 es
+in vec2 a_position;
+out vec2 v_clip;
+
+void main() {
+  // z = w is the far plane
+  v_clip = a_position;
+  gl_Position = vec4(a_position, 1.0, 1.0);
+}
+`,
+  fragment: `#version 300 es
+precision highp float;
+
+uniform mat4 u_inverseViewProjection;
+uniform float u_intensity;
+uniform samplerCube u_skybox;
+in vec2 v_clip;
+out vec4 fragColor;
+
+void main() {
+  vec4 world = u_inverseViewProjection * vec4(v_clip, 1.0, 1.0);
+  vec4 color = texture(u_skybox, world.xyz / world.w);
+  fragColor = vec4(color.rgb * u_intensity, color.a);
+}
+`,
+};
+
+/**
+ * Draws a cube texture as the background of a scene. The skybox is drawn
+ * on the far plane without writing depth, so it can be drawn after the
+ * opaque meshes of a pass and only fills the pixels they left empty.
+ * Assign it to Scene#skybox to have renderScene() do this.
+ */
+export class Skybox {
+  /**
+   * Creates a skybox.
+   * @param {Renderer} renderer - Initialized WGPURenderer or WGL2Renderer.
+   * @param {Object} options - Skybox options.
+   * @param {string} options.texture - Cube texture name (see
+   *     createTexture({dimension: 'cube'}) and
+   *     createCubeTextureFromEquirect()).
+   * @param {string} [options.name='skybox'] - Prefix of the resources
+   *     created by the skybox.
+   * @param {string} [options.sampler] - Sampler name. Defaults to a
+   *     trilinear sampler created by the skybox.
+   * @param {number} [options.intensity=1] - Color multiplier.
+   * @throws {Error} If the renderer backend is not supported or no texture
+   *     is given.
+   */
+  constructor(renderer, options = {}) {
+    const backend = renderer.constructor.backend;
+    if (backend !== 'webgpu' && backend !== 'webgl2') {
+      throw new Error(
+        `Skybox needs a WebGPU or WebGL2 renderer, got "${backend}".`
+      );
+    }
+    if (!options.texture) {
+      throw new Error('Skybox needs a cube texture.');
+    }
+
+    /**
+     * Renderer the skybox draws with.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Cube texture name.
+     * @type {string}
+     */
+    this.texture = options.texture;
+
+    /**
+     * Color multiplier, e.g. the exposure of HDR skies.
+     * @type {number}
+     */
+    this.intensity = options.intensity ?? 1;
+
+    /**
+     * Whether the renderer uses WebGPU (WGSL) rather than WebGL2 (GLSL).
+     * @type {boolean}
+     * @private
+     */
+    this.isWebGPU_ = backend === 'webgpu';
+
+    /**
+     * Pipeline name, also the resource name prefix.
+     * @type {string}
+     * @private
+     */
+    this.pipeline_ = options.name || 'skybox';
+
+    /**
+     * Full-screen triangle vertex buffer name.
+     * @type {string}
+     * @private
+     */
+    this.vertexBuffer_ = `${this.pipeline_}.triangle`;
+    this.renderer.createBuffer({
+      name: this.vertexBuffer_,
+      usage: BufferUsage.VERTEX,
+      data: new Float32Array([-1, -1, 3, -1, -1, 3]),
+    });
+
+    /**
+     * Sampler name.
+     * @type {string}
+     * @private
+     */
+    this.sampler_ = options.sampler || `${this.pipeline_}.sampler`;
+    if (!options.sampler) {
+      this.renderer.createSampler({
+        name: this.sampler_,
+        magFilter: 'linear',
+        minFilter: 'linear',
+        mipmapFilter: 'linear',
+      });
+    }
+
+    /**
+     * Rotation part of the camera view.
+     * @type {Float32Array}
+     * @private
+     */
+    this.rotation_ = mat4.create();
+
+    /**
+     * Inverse of projection * rotation, mapping clip space to directions.
+     * @type {Float32Array}
+     * @private
+     */
+    this.inverseViewProjection_ = mat4.create();
+
+    /**
+     * Uniform buffer name (WebGPU).
+     * @type {?string}
+     * @private
+     */
+    this.uniformBuffer_ = null;
+
+    /**
+     * Bind group layout name (WebGPU).
+     * @type {?string}
+     * @private
+     */
+    this.layout_ = null;
+
+    /**
+     * Texture view of the current bind group (WebGPU). The bind group is
+     * recreated when the texture or its view changes.
+     * @type {?GPUTextureView}
+     * @private
+     */
+    this.bindGroupView_ = null;
+
+    const vertexBuffers = [
+      {
+        arrayStride: 8,
+        attributes: [
+          {
+            format: 'float32x2',
+            offset: 0,
+            shaderLocation: 0,
+            name: 'a_position',
+          },
+        ],
+      },
+    ];
+    const depthStencil = {
+      depthWriteEnabled: false,
+      depthCompare: 'less-equal',
+    };
+
+    if (this.isWebGPU_) {
+      this.uniformBuffer_ = `${this.pipeline_}.params`;
+      this.renderer.createBuffer({
+        name: this.uniformBuffer_,
+        usage: BufferUsage.UNIFORM,
+        data: new Float32Array(20),
+      });
+
+      this.layout_ = `${this.pipeline_}.layout`;
+      const layout = this.renderer.createBindGroupLayout(this.layout_, [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: 'uniform' },
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.FRAGMENT,
+          sampler: { type: 'filtering' },
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: 'float', viewDimension: 'cube' },
+        },
+      ]);
+
+      this.renderer.createPipeline(this.pipeline_, {
+        shaders: { vertex: SKYBOX_WGSL, fragment: '' },
+        vertexBuffers,
+        bindGroupLayouts: [layout],
+        primitive: { topology: 'triangle-list', cullMode: 'none' },
+        blend: null,
+        depthStencil,
+      });
+    } else {
+      this.renderer.createPipeline(this.pipeline_, {
+        shaders: SKYBOX_GLSL,
+        vertexBuffers,
+        primitive: { topology: 'triangle-list', cullMode: 'none' },
+        blend: null,
+        depthStencil,
+      });
+    }
+  }
+
+  /**
+   * Draws the skybox into the open pass. Only the camera rotation is used,
+   * so the sky stays infinitely far away. Leaves the skybox pipeline set.
+   * @param {SceneCamera} camera - Camera the scene is viewed from.
+   */
+  draw(camera) {
+    mat4.copy(camera.viewMatrix, this.rotation_);
+    this.rotation_[12] = 0;
+    this.rotation_[13] = 0;
+    this.rotation_[14] = 0;
+    mat4.multiply(
+      camera.projectionMatrix,
+      this.rotation_,
+      this.inverseViewProjection_
+    );
+    mat4.invert(this.inverseViewProjection_, this.inverseViewProjection_);
+
+    this.renderer.setPipeline(this.pipeline_);
+    if (this.isWebGPU_) {
+      this.drawWGPU_();
+    } else {
+      this.drawWGL2_();
+    }
+  }
+
+  /**
+   * Uploads the uniforms and draws with WGPURenderer.
+   * @private
+   */
+  drawWGPU_() {
+    const params = new Float32Array(20);
+    params.set(this.inverseViewProjection_);
+    params[16] = this.intensity;
+    this.renderer.updateBuffer(this.uniformBuffer_, params);
+
+    const bindGroup = `${this.pipeline_}.bindGroup`;
+    const view = this.renderer.getTextureView(this.texture);
+    if (!view) {
+      throw new Error(`Texture "${this.texture}" not found.`);
+    }
+    if (view !== this.bindGroupView_) {
+      this.renderer.createBindGroup({
+        name: bindGroup,
+        layout: this.layout_,
+        entries: [
+          {
+            binding: 0,
+            resource: { buffer: this.renderer.getBuffer(this.uniformBuffer_) },
+          },
+          { binding: 1, resource: this.renderer.getSampler(this.sampler_) },
+          { binding: 2, resource: view },
+        ],
+      });
+      this.bindGroupView_ = view;
+    }
+
+    this.renderer.drawMesh({
+      vertexBuffers: [this.vertexBuffer_],
+      vertexCount: 3,
+      bindGroups: { 0: bindGroup },
+    });
+  }
+
+  /**
+   * Sets the uniforms and texture and draws with WGL2Renderer.
+   * @private
+   */
+  drawWGL2_() {
+    this.renderer.setUniform(
+      this.pipeline_,
+      'u_inverseViewProjection',
+      this.inverseViewProjection_
+    );
+    this.renderer.setUniform(this.pipeline_, 'u_intensity', this.intensity);
+    this.renderer.setActiveTexture(0);
+    this.renderer.bindTexture(this.texture, undefined, this.sampler_);
+    this.renderer.setUniform(this.pipeline_, 'u_skybox', new Int32Array([0]));
+
+    this.renderer.drawMesh({
+      vertexBuffers: [this.vertexBuffer_],
+      vertexCount: 3,
+    });
+  }
+
+  /**
+   * Destroys the resources of the skybox. The cube texture is kept.
+   */
+  destroy() {
+    this.renderer.destroyPipeline(this.pipeline_);
+    this.renderer.destroyBuffer(this.vertexBuffer_);
+    if (this.uniformBuffer_) {
+      this.renderer.destroyBuffer(this.uniformBuffer_);
+    }
+    this.bindGroupView_ = null;
+  }
+}
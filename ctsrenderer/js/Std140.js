@@ -0,0 +1,316 @@
+/**
+ * @fileoverview std140 uniform block layout. Computes the member offsets of
+ * a uniform block declaration and packs JS values into correctly padded
+ * buffers for WebGL2 uniform buffer objects.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * GLSL types allowed in std140 blocks, with their scalar kind, column count
+ * and components per column.
+ * @type {Object<string, {kind: string, columns: number, rows: number}>}
+ */
+const STD140_TYPES = {
+  float: { kind: 'float', columns: 1, rows: 1 },
+  vec2: { kind: 'float', columns: 1, rows: 2 },
+  vec3: { kind: 'float', columns: 1, rows: 3 },
+  vec4: { kind: 'float', columns: 1, rows: 4 },
+  int: { kind: 'int', columns: 1, rows: 1 },
+  ivec2: { kind: 'int', columns: 1, rows: 2 },
+  ivec3: { kind: 'int', columns: 1, rows: 3 },
+  ivec4: { kind: 'int', columns: 1, rows: 4 },
+  uint: { kind: 'uint', columns: 1, rows: 1 },
+  uvec2: { kind: 'uint', columns: 1, rows: 2 },
+  uvec3: { kind: 'uint', columns: 1, rows: 3 },
+  uvec4: { kind: 'uint', columns: 1, rows: 4 },
+  bool: { kind: 'bool', columns: 1, rows: 1 },
+  bvec2: { kind: 'bool', columns: 1, rows: 2 },
+  bvec3: { kind: 'bool', columns: 1, rows: 3 },
+  bvec4: { kind: 'bool', columns: 1, rows: 4 },
+  mat2: { kind: 'float', columns: 2, rows: 2 },
+  mat3: { kind: 'float', columns: 3, rows: 3 },
+  mat4: { kind: 'float', columns: 4, rows: 4 },
+  mat2x2: { kind: 'float', columns: 2, rows: 2 },
+  mat2x3: { kind: 'float', columns: 2, rows: 3 },
+  mat2x4: { kind: 'float', columns: 2, rows: 4 },
+  mat3x2: { kind: 'float', columns: 3, rows: 2 },
+  mat3x3: { kind: 'float', columns: 3, rows: 3 },
+  mat3x4: { kind: 'float', columns: 3, rows: 4 },
+  mat4x2: { kind: 'float', columns: 4, rows: 2 },
+  mat4x3: { kind: 'float', columns: 4, rows: 3 },
+  mat4x4: { kind: 'float', columns: 4, rows: 4 },
+};
+
+/**
+ * Layout schema of a uniform block or struct: member types by name, in
+ * declaration order. A type is a GLSL type name, optionally with an array
+ * length ('vec3', 'mat4[2]'), a nested schema for a struct, or
+ * [schema, length] for an array of structs.
+ * @typedef {Object<string, (string|Object|Array)>} Std140Schema
+ */
+
+/**
+ * Member of a std140 layout with a basic (non-struct) type. Struct members
+ * are listed with their full names, e.g. "lights[1].color".
+ * @typedef {Object} Std140Field
+ * @property {string} name - Full member name.
+ * @property {string} type - GLSL type.
+ * @property {number} offset - Byte offset in the block.
+ * @property {number} count - Array length, 1 for non-arrays.
+ * @property {number} stride - Byte stride between array elements.
+ * @property {number} matrixStride - Byte stride between matrix columns.
+ */
+
+/**
+ * Rounds an offset up to a multiple of an alignment.
+ * @param {number} offset - Offset in bytes.
+ * @param {number} alignment - Alignment in bytes.
+ * @returns {number} Aligned offset.
+ */
+function alignTo(offset, alignment) {
+  return Math.ceil(offset / alignment) * alignment;
+}
+
+/**
+ * Returns whether a value is a plain object, i.e. a struct value or schema.
+ * @param {*} value - Value.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !ArrayBuffer.isView(value)
+  );
+}
+
+/**
+ * Lays out the members of a struct schema, appending their fields.
+ * Structs are aligned to 16 bytes and padded to a multiple of 16 bytes.
+ * @param {Std140Schema} schema - Struct schema.
+ * @param {number} base - Byte offset of the struct.
+ * @param {string} prefix - Name prefix of the members.
+ * @param {Array<Std140Field>} fields - Receives the fields.
+ * @returns {number} Struct size in bytes.
+ * @throws {Error} If a member type is not supported.
+ */
+function layoutStruct(schema, base, prefix, fields) {
+  let offset = 0;
+
+  Object.entries(schema).forEach(([member, declaration]) => {
+    const name = prefix + member;
+
+    if (isPlainObject(declaration) || Array.isArray(declaration)) {
+      const [struct, count] = Array.isArray(declaration)
+        ? declaration
+        : [declaration, 0];
+      if (
+        !isPlainObject(struct) ||
+        (Array.isArray(declaration) && !(count > 0))
+      ) {
+        throw new Error(
+          `std140 member "${name}" needs a struct schema or [schema, length].`
+        );
+      }
+      offset = alignTo(offset, 16);
+      for (let i = 0; i < Math.max(count, 1); i++) {
+        const elementName = count ? `${name}[${i}]` : name;
+        offset += layoutStruct(
+          struct,
+          base + offset,
+          `${elementName}.`,
+          fields
+        );
+      }
+      return;
+    }
+
+    const match = /^(\w+)(?:\[(\d+)\])?$/.exec(String(declaration));
+    const type = match && STD140_TYPES[match[1]];
+    if (!type) {
+      throw new Error(
+        `std140 member "${name}" has unsupported type "${declaration}".`
+      );
+    }
+    const count = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+    if (count === 0) {
+      throw new Error(`std140 member "${name}" has an empty array.`);
+    }
+
+    // Matrices are arrays of column vectors; array elements and matrix
+    // columns are aligned to vec4
+    const isArray = match[2] !== undefined;
+    const columnSize = type.rows * 4;
+    let alignment;
+    let stride;
+    if (type.columns > 1 || isArray) {
+      alignment = 16;
+      stride = type.columns * 16;
+    } else {
+      alignment = type.rows === 1 ? 4 : type.rows === 2 ? 8 : 16;
+      stride = columnSize;
+    }
+
+    offset = alignTo(offset, alignment);
+    fields.push({
+      name,
+      type: match[1],
+      offset: base + offset,
+      count,
+      stride,
+      matrixStride: type.columns > 1 ? 16 : 0,
+    });
+    offset += isArray ? stride * count : stride;
+  });
+
+  return alignTo(offset, 16);
+}
+
+/**
+ * std140 layout of a uniform block, as used by WebGL2 uniform buffer
+ * objects declared `layout(std140) uniform Block { ... };`. Members are
+ * aligned to their base alignment (4 bytes for scalars, 8 for two-component
+ * vectors, 16 for three- and four-component vectors), array elements and
+ * matrix columns to 16 bytes, and structs to 16 bytes with their size padded
+ * to a multiple of 16.
+ */
+export class Std140Layout {
+  /**
+   * Creates a layout.
+   * @param {Std140Schema} schema - Block members, in declaration order.
+   * @throws {Error} If a member type is not supported.
+   */
+  constructor(schema) {
+    /**
+     * Block members with basic types, in declaration order.
+     * @type {Array<Std140Field>}
+     */
+    this.fields = [];
+
+    /**
+     * Block size in bytes, padded to a multiple of 16.
+     * @type {number}
+     */
+    this.size = layoutStruct(schema, 0, '', this.fields);
+
+    /**
+     * Fields by full name.
+     * @type {Map<string, Std140Field>}
+     * @private
+     */
+    this.fieldsByName_ = new Map(this.fields.map(field => [field.name, field]));
+  }
+
+  /**
+   * Returns a field by its full name.
+   * @param {string} name - Field name, e.g. "lights[1].color".
+   * @returns {?Std140Field} Field, or null if the block has none.
+   */
+  getField(name) {
+    return this.fieldsByName_.get(name) || null;
+  }
+
+  /**
+   * Packs values into block data. Values are given like uniform values:
+   * numbers, booleans, arrays (nested ones holding one element each) and
+   * typed arrays, column-major matrices, objects for structs and arrays of
+   * objects for struct arrays. Members without a value keep their current
+   * bytes, so a target can be updated partially.
+   * @param {Object<string, *>} values - Values by member name.
+   * @param {ArrayBuffer} [target] - Buffer to pack into. Defaults to a new
+   *     zeroed buffer.
+   * @returns {ArrayBuffer} Block data.
+   * @throws {Error} If a member does not exist, a value does not match its
+   *     type or the target is too small.
+   */
+  pack(values, target = new ArrayBuffer(this.size)) {
+    if (target.byteLength < this.size) {
+      throw new Error(
+        `std140 block needs ${this.size} bytes, target has ${target.byteLength}.`
+      );
+    }
+    const view = new DataView(target);
+
+    const packMembers = (prefix, members) => {
+      Object.entries(members).forEach(([member, value]) => {
+        const name = prefix + member;
+        const field = this.fieldsByName_.get(name);
+        if (field) {
+          this.packField_(view, field, value);
+        } else if (isPlainObject(value)) {
+          packMembers(`${name}.`, value);
+        } else if (Array.isArray(value) && value.every(isPlainObject)) {
+          value.forEach((element, index) => {
+            packMembers(`${name}[${index}].`, element);
+          });
+        } else {
+          throw new Error(`std140 block has no member "${name}".`);
+        }
+      });
+    };
+    packMembers('', values);
+
+    return target;
+  }
+
+  /**
+   * Writes the value of one field.
+   * @param {DataView} view - Block data.
+   * @param {Std140Field} field - Field.
+   * @param {*} value - Field value.
+   * @throws {Error} If the value does not match the field type.
+   * @private
+   */
+  packField_(view, field, value) {
+    const type = STD140_TYPES[field.type];
+    const elementSize = type.columns * type.rows;
+
+    let data;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      data = [Number(value)];
+    } else if (ArrayBuffer.isView(value)) {
+      data = value;
+    } else if (Array.isArray(value)) {
+      data = value.flatMap(item =>
+        ArrayBuffer.isView(item) ? Array.from(item) : item
+      );
+    } else {
+      data = [];
+    }
+    if (
+      data.length === 0 ||
+      data.length % elementSize !== 0 ||
+      data.length / elementSize > field.count
+    ) {
+      const declared =
+        field.count > 1 ? `${field.type}[${field.count}]` : field.type;
+      throw new Error(
+        `std140 member "${field.name}" has type ${declared}, got ${data.length} values.`
+      );
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      const element = Math.floor(i / elementSize);
+      const column = Math.floor((i % elementSize) / type.rows);
+      const row = i % type.rows;
+      const offset =
+        field.offset + element * field.stride + column * 16 + row * 4;
+      switch (type.kind) {
+        case 'float':
+          view.setFloat32(offset, data[i], true);
+          break;
+        case 'int':
+          view.setInt32(offset, data[i], true);
+          break;
+        case 'uint':
+          view.setUint32(offset, data[i], true);
+          break;
+        default:
+          view.setUint32(offset, data[i] ? 1 : 0, true);
+      }
+    }
+  }
+}
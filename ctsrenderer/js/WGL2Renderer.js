@@ -1,120 +1,824 @@
-/**
- * @fileoverview WebGL2 API based renderer implementation.
- * @copyright 2025–present Catsgold
- * @license GPL-3.0-or-later
- * You must credit Catsgold (me) if you use or modify this code.
- */
-
-import { WGLRenderer } from './WGLRenderer.js';
-
-/**
- * Renderer using WebGL2 API.
- * @extends WGLRenderer
- */
-export class WGL2Renderer extends WGLRenderer {
-  /**
-   * Creates an instance of WGL2Renderer.
-   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
-   * @param {Object} [options] - Renderer options.
-   */
-  constructor(canvas, options = {}) {
-    super(canvas, options);
-
-    /**
-     * Vertex array objects.
-     * @type {Map<string, WebGLVertexArrayObject>}
-     * @private
-     */
-    this.VAOs_ = new Map();
-
-    /**
-     * Current vertex array object.
-     * @type {?string}
-     * @private
-     */
-    this.currentVAO_ = null;
-  }
-
-  /**
-   * Initializes WebGL2 renderer.
-   * @override
-   * @returns {Promise<boolean>} Resolves to true if successful.
-   */
-  async initialize() {
-    if (!WGL2Renderer.isSupported()) {
-      throw new Error('WebGL2 is not supported in this browser.');
-    }
-
-    try {
-      this.context = this.canvas.getContext('webgl2', this.options_);
-      if (!this.context) {
-        throw new Error('Failed to get WebGL2 context.');
-      }
-
-      this.GL = this.context;
-
-      // Set initial state (blend, depth, cull, clear color)
-      this.setClearColor(...this.clearColor_);
-      this.setDepthTest(this.depthTestEnabled_);
-      this.setBlendState(this.blendEnabled_);
-      this.setCullFace(this.cullFaceEnabled_, this.cullFaceMode_);
-
-      this.isInitialized = true;
-      this.emit('initialized', { gl: this.context, options: this.options_ });
-
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize WGL2Renderer:', error);
-      this.emit('error', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Creates a vertex array object (VAO).
-   * @param {string} name - Name of VAO.
-   * @returns {WebGLVertexArrayObject} Created VAO.
-   */
-  createVAO(name) {
-    if (!this.isInitialized) throw new Error('Renderer not initialized.');
-    const vao = this.context.createVertexArray();
-    this.VAOs_.set(name, vao);
-    return vao;
-  }
-
-  /**
-   * Binds a VAO.
-   * @param {?string} name - VAO name, or null to unbind.
-   */
-  bindVAO(name) {
-    if (name && !this.VAOs_.has(name)) {
-      throw new Error(`VAO "${name}" not found.`);
-    }
-    this.context.bindVertexArray(name ? this.VAOs_.get(name) : null);
-    this.currentVAO_ = name || null;
-  }
-
-  /**
-   * Overrides draw to automatically use VAO if set.
-   * @param {Object} drawCall - Draw call configuration.
-   */
-  draw(drawCall) {
-    if (this.currentVAO_) {
-      this.context.bindVertexArray(this.VAOs_.get(this.currentVAO_));
-    }
-    super.draw(drawCall);
-    if (this.currentVAO_) {
-      this.context.bindVertexArray(null);
-    }
-  }
-
-  /**
-   * Checks if WebGL2 is supported in the current environment.
-   * @returns {boolean}
-   */
-  static isSupported() {
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl2');
-    return gl !== null && gl instanceof WebGL2RenderingContext;
-  }
-}
+/**
+ * @fileoverview WebGL2 API based renderer implementation.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { BufferUsage } from './Renderer.js';
+import { Std140Layout } from './Std140.js';
+import { WGLRenderer } from './WGLRenderer.js';
+
+/**
+ * WebGL2 texture formats for portable texture formats.
+ * @type {Object<string, {internalFormat: string, format: string, type: string}>}
+ */
+const GL2_TEXTURE_FORMATS = {
+  r8unorm: { internalFormat: 'R8', format: 'RED', type: 'UNSIGNED_BYTE' },
+  rg8unorm: { internalFormat: 'RG8', format: 'RG', type: 'UNSIGNED_BYTE' },
+  rgba8unorm: {
+    internalFormat: 'RGBA8',
+    format: 'RGBA',
+    type: 'UNSIGNED_BYTE',
+  },
+  'rgba8unorm-srgb': {
+    internalFormat: 'SRGB8_ALPHA8',
+    format: 'RGBA',
+    type: 'UNSIGNED_BYTE',
+  },
+  rgba16float: {
+    internalFormat: 'RGBA16F',
+    format: 'RGBA',
+    type: 'HALF_FLOAT',
+  },
+  rgba32float: { internalFormat: 'RGBA32F', format: 'RGBA', type: 'FLOAT' },
+  depth16unorm: {
+    internalFormat: 'DEPTH_COMPONENT16',
+    format: 'DEPTH_COMPONENT',
+    type: 'UNSIGNED_SHORT',
+  },
+  'depth24plus-stencil8': {
+    internalFormat: 'DEPTH24_STENCIL8',
+    format: 'DEPTH_STENCIL',
+    type: 'UNSIGNED_INT_24_8',
+  },
+  depth32float: {
+    internalFormat: 'DEPTH_COMPONENT32F',
+    format: 'DEPTH_COMPONENT',
+    type: 'FLOAT',
+  },
+};
+
+/**
+ * Extensions float texture formats need in WebGL2, where float textures
+ * are core and half floats are filterable.
+ * @type {Object<string, {texture: ?string, linear: ?string}>}
+ */
+const GL2_FLOAT_TEXTURE_EXTENSIONS = {
+  rgba16float: { texture: null, linear: null },
+  rgba32float: { texture: null, linear: 'OES_texture_float_linear' },
+};
+
+/**
+ * WebGL2 renderbuffer formats for portable texture formats.
+ * @type {Object<string, string>}
+ */
+const GL2_RENDERBUFFER_FORMATS = {
+  r8unorm: 'R8',
+  rg8unorm: 'RG8',
+  rgba8unorm: 'RGBA8',
+  'rgba8unorm-srgb': 'SRGB8_ALPHA8',
+  rgba16float: 'RGBA16F',
+  rgba32float: 'RGBA32F',
+  depth16unorm: 'DEPTH_COMPONENT16',
+  depth24plus: 'DEPTH_COMPONENT24',
+  'depth24plus-stencil8': 'DEPTH24_STENCIL8',
+  depth32float: 'DEPTH_COMPONENT32F',
+  'depth32float-stencil8': 'DEPTH32F_STENCIL8',
+  stencil8: 'STENCIL_INDEX8',
+};
+
+/**
+ * GLSL types of active attributes and uniforms that only WebGL2 has, by
+ * WebGL2 type constant name (see GL_UNIFORM_TYPES of WGLRenderer).
+ * @type {Object<string, {type: string, components: number, kind: string, columns: (number|undefined)}>}
+ */
+const GL2_UNIFORM_TYPES = {
+  UNSIGNED_INT: { type: 'uint', components: 1, kind: 'uint' },
+  UNSIGNED_INT_VEC2: { type: 'uvec2', components: 2, kind: 'uint' },
+  UNSIGNED_INT_VEC3: { type: 'uvec3', components: 3, kind: 'uint' },
+  UNSIGNED_INT_VEC4: { type: 'uvec4', components: 4, kind: 'uint' },
+  FLOAT_MAT2x3: { type: 'mat2x3', components: 6, kind: 'float', columns: 2 },
+  FLOAT_MAT2x4: { type: 'mat2x4', components: 8, kind: 'float', columns: 2 },
+  FLOAT_MAT3x2: { type: 'mat3x2', components: 6, kind: 'float', columns: 3 },
+  FLOAT_MAT3x4: { type: 'mat3x4', components: 12, kind: 'float', columns: 3 },
+  FLOAT_MAT4x2: { type: 'mat4x2', components: 8, kind: 'float', columns: 4 },
+  FLOAT_MAT4x3: { type: 'mat4x3', components: 12, kind: 'float', columns: 4 },
+  SAMPLER_3D: { type: 'sampler3D', components: 1, kind: 'sampler' },
+  SAMPLER_2D_SHADOW: {
+    type: 'sampler2DShadow',
+    components: 1,
+    kind: 'sampler',
+  },
+  SAMPLER_2D_ARRAY: { type: 'sampler2DArray', components: 1, kind: 'sampler' },
+  SAMPLER_2D_ARRAY_SHADOW: {
+    type: 'sampler2DArrayShadow',
+    components: 1,
+    kind: 'sampler',
+  },
+  SAMPLER_CUBE_SHADOW: {
+    type: 'samplerCubeShadow',
+    components: 1,
+    kind: 'sampler',
+  },
+  INT_SAMPLER_2D: { type: 'isampler2D', components: 1, kind: 'sampler' },
+  INT_SAMPLER_3D: { type: 'isampler3D', components: 1, kind: 'sampler' },
+  INT_SAMPLER_CUBE: { type: 'isamplerCube', components: 1, kind: 'sampler' },
+  INT_SAMPLER_2D_ARRAY: {
+    type: 'isampler2DArray',
+    components: 1,
+    kind: 'sampler',
+  },
+  UNSIGNED_INT_SAMPLER_2D: {
+    type: 'usampler2D',
+    components: 1,
+    kind: 'sampler',
+  },
+  UNSIGNED_INT_SAMPLER_3D: {
+    type: 'usampler3D',
+    components: 1,
+    kind: 'sampler',
+  },
+  UNSIGNED_INT_SAMPLER_CUBE: {
+    type: 'usamplerCube',
+    components: 1,
+    kind: 'sampler',
+  },
+  UNSIGNED_INT_SAMPLER_2D_ARRAY: {
+    type: 'usampler2DArray',
+    components: 1,
+    kind: 'sampler',
+  },
+};
+
+/**
+ * Renderer using WebGL2 API.
+ * @extends WGLRenderer
+ */
+export class WGL2Renderer extends WGLRenderer {
+  /**
+   * Creates an instance of WGL2Renderer.
+   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
+   * @param {Object} [options] - Renderer options.
+   * @param {WebGL2RenderingContext} [options.context] - Context to use instead
+   *     of creating one from the canvas (e.g. a mock context in tests).
+   */
+  constructor(canvas, options = {}) {
+    super(canvas, options);
+
+    /**
+     * Vertex array objects.
+     * @type {Map<string, WebGLVertexArrayObject>}
+     * @private
+     */
+    this.VAOs_ = new Map();
+
+    /**
+     * Current vertex array object.
+     * @type {?string}
+     * @private
+     */
+    this.currentVAO_ = null;
+
+    /**
+     * Uniform buffer binding points by uniform block name. Blocks of the
+     * same name share a binding point in all programs.
+     * @type {Map<string, number>}
+     * @private
+     */
+    this.uniformBlockBindings_ = new Map();
+
+    /**
+     * Uniform block names by binding point, for the binding points set on
+     * single programs with setUniformBlockBinding(). They are not handed
+     * out to other block names.
+     * @type {Map<number, string>}
+     * @private
+     */
+    this.reservedUniformBlockBindings_ = new Map();
+
+    /**
+     * Uniform buffers bound to binding points, by binding point.
+     * @type {Map<number, string>}
+     * @private
+     */
+    this.uniformBufferBindings_ = new Map();
+  }
+
+  /**
+   * Initializes WebGL2 renderer.
+   * @override
+   * @returns {Promise<boolean>} Resolves to true if successful.
+   */
+  async initialize() {
+    if (!this.injectedContext_ && !WGL2Renderer.isSupported()) {
+      throw new Error('WebGL2 is not supported in this browser.');
+    }
+
+    try {
+      this.context =
+        this.injectedContext_ ||
+        this.canvas.getContext('webgl2', this.options_);
+      if (!this.context) {
+        throw new Error('Failed to get WebGL2 context.');
+      }
+
+      this.GL = this.context;
+
+      // Set initial state (blend, depth, cull, clear color)
+      this.setClearColor(...this.clearColor_);
+      this.setDepthTest(this.depthTestEnabled_);
+      this.setBlendState(this.blendEnabled_);
+      this.setCullFace(this.cullFaceEnabled_, this.cullFaceMode_);
+
+      this.isInitialized = true;
+      this.emit('initialized', {
+        backend: WGL2Renderer.backend,
+        gl: this.context,
+        options: this.options_,
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize WGL2Renderer:', error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a vertex array object (VAO).
+   * @param {string} name - Name of VAO.
+   * @returns {WebGLVertexArrayObject} Created VAO.
+   */
+  createVAO(name) {
+    if (!this.isInitialized) throw new Error('Renderer not initialized.');
+    const vao = this.context.createVertexArray();
+    this.VAOs_.set(name, vao);
+    return vao;
+  }
+
+  /**
+   * Binds a VAO.
+   * @param {?string} name - VAO name, or null to unbind.
+   */
+  bindVAO(name) {
+    if (name && !this.VAOs_.has(name)) {
+      throw new Error(`VAO "${name}" not found.`);
+    }
+    this.context.bindVertexArray(name ? this.VAOs_.get(name) : null);
+    this.currentVAO_ = name || null;
+  }
+
+  /**
+   * Creates a uniform buffer object holding a std140 uniform block.
+   * @param {Object} config - Uniform buffer configuration.
+   * @param {string} config.name - Buffer name.
+   * @param {Std140Layout|Std140Schema} config.layout - Block layout, or the
+   *     schema to create it from.
+   * @param {Object<string, *>} [config.values] - Initial member values, see
+   *     Std140Layout#pack().
+   * @param {string|number} [config.binding] - Uniform block name or binding
+   *     point to bind the buffer to, see bindUniformBuffer().
+   * @returns {WebGLBuffer} Created buffer.
+   * @throws {Error} If the renderer is not initialized or the layout or
+   *     values are invalid.
+   */
+  createUniformBuffer(config) {
+    const layout =
+      config.layout instanceof Std140Layout
+        ? config.layout
+        : new Std140Layout(config.layout);
+    const data = layout.pack(config.values || {});
+
+    const buffer = this.createBuffer({
+      name: config.name,
+      data,
+      usage: BufferUsage.UNIFORM,
+      dynamic: true,
+    });
+    const metadata = this.buffers_.get(config.name);
+    metadata.layout = layout;
+    metadata.data = data;
+
+    if (config.binding !== undefined) {
+      this.bindUniformBuffer(config.name, config.binding);
+    }
+    return buffer;
+  }
+
+  /**
+   * Updates members of a uniform buffer created by createUniformBuffer();
+   * members without a value keep their contents.
+   * @param {string} name - Buffer name.
+   * @param {Object<string, *>} values - Member values, see
+   *     Std140Layout#pack().
+   * @throws {Error} If the buffer is not a uniform buffer or a value does
+   *     not match its member.
+   */
+  updateUniformBuffer(name, values) {
+    const metadata = this.buffers_.get(name);
+    if (!metadata || !metadata.layout) {
+      throw new Error(`Uniform buffer "${name}" not found.`);
+    }
+    metadata.layout.pack(values, metadata.data);
+    this.updateBuffer(name, metadata.data);
+  }
+
+  /**
+   * Binds a uniform buffer to a binding point. Binding to a uniform block
+   * name uses the binding point of that block, which every program
+   * declaring the block reads, e.g. per-frame camera and light data.
+   * @param {string} name - Buffer name.
+   * @param {string|number} binding - Uniform block name or binding point.
+   * @param {number} [offset=0] - Byte offset of the block data, a multiple
+   *     of UNIFORM_BUFFER_OFFSET_ALIGNMENT.
+   * @param {number} [size] - Byte size of the block data. Defaults to the
+   *     rest of the buffer.
+   * @throws {Error} If the buffer does not exist or the binding point is out
+   *     of range.
+   */
+  bindUniformBuffer(name, binding, offset = 0, size) {
+    const metadata = this.buffers_.get(name);
+    if (!metadata) {
+      throw new Error(`Buffer "${name}" not found.`);
+    }
+    const index =
+      typeof binding === 'string'
+        ? this.getUniformBlockBinding(binding)
+        : binding;
+    this.assertUniformBufferBinding_(index);
+
+    const gl = this.context;
+    if (offset === 0 && size === undefined) {
+      gl.bindBufferBase(gl.UNIFORM_BUFFER, index, metadata.buffer);
+    } else {
+      gl.bindBufferRange(
+        gl.UNIFORM_BUFFER,
+        index,
+        metadata.buffer,
+        offset,
+        size ?? metadata.size - offset
+      );
+    }
+    this.uniformBufferBindings_.set(index, name);
+  }
+
+  /**
+   * Returns the binding point of a uniform block name, allocating the
+   * lowest free one on first use. Programs linked afterwards bind their
+   * blocks of this name to it.
+   * @param {string} blockName - Uniform block name.
+   * @returns {number} Binding point.
+   * @throws {Error} If all binding points are in use.
+   */
+  getUniformBlockBinding(blockName) {
+    if (!this.uniformBlockBindings_.has(blockName)) {
+      const used = new Set([
+        ...this.uniformBlockBindings_.values(),
+        ...this.reservedUniformBlockBindings_.keys(),
+      ]);
+      let binding = 0;
+      while (used.has(binding)) {
+        binding++;
+      }
+      this.assertUniformBufferBinding_(binding);
+      this.uniformBlockBindings_.set(blockName, binding);
+    }
+    return this.uniformBlockBindings_.get(blockName);
+  }
+
+  /**
+   * Binds a uniform block of one program to a binding point, overriding the
+   * shared binding point of its name. The binding point is reserved for
+   * blocks of this name, so it is not allocated to other names later.
+   * @param {string} programName - Program (or pipeline) name.
+   * @param {string} blockName - Uniform block name.
+   * @param {number} binding - Binding point.
+   * @throws {Error} If the program or block does not exist, or the binding
+   *     point is out of range or used by a block of another name.
+   */
+  setUniformBlockBinding(programName, blockName, binding) {
+    const metadata = this.programs_.get(programName);
+    if (!metadata) {
+      throw new Error(`Program "${programName}" not found.`);
+    }
+    const block = metadata.uniformBlocks[blockName];
+    if (!block) {
+      throw new Error(
+        `Uniform block "${blockName}" not found in program "${programName}".`
+      );
+    }
+    this.assertUniformBufferBinding_(binding);
+    const owner =
+      this.reservedUniformBlockBindings_.get(binding) ??
+      [...this.uniformBlockBindings_].find(
+        ([, point]) => point === binding
+      )?.[0];
+    if (owner !== undefined && owner !== blockName) {
+      throw new Error(
+        `Uniform buffer binding ${binding} is used by uniform block "${owner}".`
+      );
+    }
+    this.reservedUniformBlockBindings_.set(binding, blockName);
+    this.context.uniformBlockBinding(metadata.program, block.index, binding);
+    block.binding = binding;
+  }
+
+  /**
+   * Returns the name of the uniform buffer bound to a binding point.
+   * @param {number} binding - Binding point.
+   * @returns {?string} Buffer name, or null if none is bound.
+   */
+  getUniformBufferBinding(binding) {
+    return this.uniformBufferBindings_.get(binding) ?? null;
+  }
+
+  /**
+   * Destroys a buffer, unbinding it from uniform buffer binding points.
+   * @override
+   * @param {string} name - Buffer name.
+   */
+  destroyBuffer(name) {
+    this.uniformBufferBindings_.forEach((buffer, binding) => {
+      if (buffer === name) {
+        this.uniformBufferBindings_.delete(binding);
+      }
+    });
+    super.destroyBuffer(name);
+  }
+
+  /**
+   * Destroys the renderer and its uniform buffer bindings.
+   * @override
+   */
+  destroy() {
+    super.destroy();
+    this.uniformBlockBindings_.clear();
+    this.reservedUniformBlockBindings_.clear();
+    this.uniformBufferBindings_.clear();
+  }
+
+  /**
+   * Checks that a uniform buffer binding point exists.
+   * @param {number} binding - Binding point.
+   * @throws {Error} If the binding point is out of range.
+   * @private
+   */
+  assertUniformBufferBinding_(binding) {
+    const max = this.context.getParameter(
+      this.context.MAX_UNIFORM_BUFFER_BINDINGS
+    );
+    if (!Number.isInteger(binding) || binding < 0 || binding >= max) {
+      throw new Error(
+        `Uniform buffer binding ${binding} is out of range (0-${max - 1}).`
+      );
+    }
+  }
+
+  /**
+   * Overrides draw to automatically use VAO if set.
+   * @param {Object} drawCall - Draw call configuration.
+   */
+  draw(drawCall) {
+    if (this.currentVAO_) {
+      this.context.bindVertexArray(this.VAOs_.get(this.currentVAO_));
+    }
+    super.draw(drawCall);
+    if (this.currentVAO_) {
+      this.context.bindVertexArray(null);
+    }
+  }
+
+  /**
+   * Enumerates the active attributes and uniforms of a linked program, and
+   * its uniform blocks with their bindings, sizes and members. Each block is
+   * bound to the shared binding point of its name (see
+   * getUniformBlockBinding()).
+   * @override
+   * @param {WebGLProgram} program - Linked program.
+   * @returns {{attributes: Object<string, ActiveAttribute>, uniforms: Object<string, ActiveUniform>, uniformBlocks: Object<string, ActiveUniformBlock>}}
+   *     Program reflection.
+   * @protected
+   */
+  reflectProgram_(program) {
+    const reflection = super.reflectProgram_(program);
+    const gl = this.context;
+
+    const blockCount = gl.getProgramParameter(
+      program,
+      gl.ACTIVE_UNIFORM_BLOCKS
+    );
+    for (let index = 0; index < blockCount; index++) {
+      const name = gl.getActiveUniformBlockName(program, index);
+      const memberIndices =
+        gl.getActiveUniformBlockParameter(
+          program,
+          index,
+          gl.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES
+        ) || [];
+      const uniforms = Array.from(memberIndices, memberIndex => {
+        const info = gl.getActiveUniform(program, memberIndex);
+        return info.name.endsWith('[0]') ? info.name.slice(0, -3) : info.name;
+      });
+
+      const binding = this.getUniformBlockBinding(name);
+      gl.uniformBlockBinding(program, index, binding);
+
+      reflection.uniformBlocks[name] = {
+        name,
+        index,
+        binding,
+        size: gl.getActiveUniformBlockParameter(
+          program,
+          index,
+          gl.UNIFORM_BLOCK_DATA_SIZE
+        ),
+        uniforms,
+      };
+    }
+
+    return reflection;
+  }
+
+  /**
+   * Resolves a WebGL2 attribute or uniform type constant, including the
+   * WebGL1 types.
+   * @override
+   * @param {number} type - Type constant, e.g. FLOAT_MAT3x4.
+   * @param {Object} [table] - Type table to resolve against.
+   * @returns {?{type: string, components: number, kind: string, columns: (number|undefined)}}
+   *     Type description, or null if unknown.
+   * @private
+   */
+  resolveUniformType_(type, table = GL2_UNIFORM_TYPES) {
+    return (
+      super.resolveUniformType_(type, table) || super.resolveUniformType_(type)
+    );
+  }
+
+  /**
+   * Sets matrix uniform data, letting WebGL2 transpose row-major data.
+   * @override
+   * @param {WebGLUniformLocation} location - Uniform location.
+   * @param {Float32Array} data - Matrices.
+   * @param {{type: string, components: number, columns: number}} type -
+   *     Matrix type.
+   * @param {boolean} transpose - Whether the data is row-major.
+   * @private
+   */
+  uniformMatrix_(location, data, type, transpose) {
+    this.context[`uniformMatrix${type.type.slice(3)}fv`](
+      location,
+      transpose,
+      data
+    );
+  }
+
+  /**
+   * Resolves a portable buffer usage into a WebGL2 buffer target and usage
+   * hint. Uniform buffers are core in WebGL2.
+   * @override
+   * @param {BufferUsage} usage - Portable buffer usage.
+   * @param {boolean} [dynamic=false] - Whether the buffer is updated often.
+   * @returns {{type: number, usage: number}} WebGL buffer target and hint.
+   * @throws {Error} If the usage is not supported.
+   * @private
+   */
+  resolveBufferUsage_(usage, dynamic = false) {
+    if (usage === BufferUsage.UNIFORM) {
+      return {
+        type: this.context.UNIFORM_BUFFER,
+        usage: dynamic ? this.context.DYNAMIC_DRAW : this.context.STATIC_DRAW,
+      };
+    }
+    return super.resolveBufferUsage_(usage, dynamic);
+  }
+
+  /**
+   * Resolves a portable texture format into WebGL2 sized texture formats.
+   * @override
+   * @param {TextureFormat} format - Portable texture format.
+   * @param {Object} [table] - Format table to resolve against.
+   * @returns {{internalFormat: number, format: number, type: number}} WebGL formats.
+   * @private
+   */
+  resolveTextureFormat_(format, table = GL2_TEXTURE_FORMATS) {
+    return super.resolveTextureFormat_(format, table);
+  }
+
+  /**
+   * Returns the extensions a float texture format needs in WebGL2.
+   * @override
+   * @param {string} format - Portable texture format.
+   * @param {Object} [table] - Extension table to look in.
+   * @returns {?{texture: ?string, linear: ?string}} Extensions, or null if
+   *     the format is not a float format.
+   * @private
+   */
+  resolveFloatTextureExtensions_(format, table = GL2_FLOAT_TEXTURE_EXTENSIONS) {
+    return super.resolveFloatTextureExtensions_(format, table);
+  }
+
+  /**
+   * Resolves a portable format into a WebGL2 sized renderbuffer format.
+   * @override
+   * @param {string} format - Portable format.
+   * @param {Object<string, string>} [table] - Format table to use.
+   * @returns {number} GL internal format.
+   * @private
+   */
+  resolveRenderbufferFormat_(format, table = GL2_RENDERBUFFER_FORMATS) {
+    return super.resolveRenderbufferFormat_(format, table);
+  }
+
+  /**
+   * WebGL2 mipmaps textures of any size.
+   * @override
+   * @returns {boolean} False.
+   * @protected
+   */
+  requiresPowerOfTwoMipmaps_() {
+    return false;
+  }
+
+  /**
+   * Returns the largest supported renderbuffer sample count.
+   * @override
+   * @returns {number} MAX_SAMPLES of the context.
+   * @private
+   */
+  getMaxSamples_() {
+    return this.context.getParameter(this.context.MAX_SAMPLES);
+  }
+
+  /**
+   * Allocates storage for the bound renderbuffer, multisampled if requested.
+   * @override
+   * @param {number} internalFormat - GL internal format.
+   * @param {number} width - Renderbuffer width.
+   * @param {number} height - Renderbuffer height.
+   * @param {number} sampleCount - Sample count.
+   * @private
+   */
+  renderbufferStorage_(internalFormat, width, height, sampleCount) {
+    const gl = this.context;
+    if (sampleCount > 1) {
+      gl.renderbufferStorageMultisample(
+        gl.RENDERBUFFER,
+        sampleCount,
+        internalFormat,
+        width,
+        height
+      );
+    } else {
+      gl.renderbufferStorage(gl.RENDERBUFFER, internalFormat, width, height);
+    }
+  }
+
+  /**
+   * Resolves a multisampled render target into its color textures by
+   * blitting each color attachment into the resolve framebuffer.
+   * @override
+   * @param {RenderTargetMetadata} metadata - Render target metadata.
+   * @private
+   */
+  resolveRenderTarget_(metadata) {
+    const gl = this.context;
+    const source = this.framebuffers_.get(metadata.framebuffer);
+    const destination = this.framebuffers_.get(metadata.resolveFramebuffer);
+    const { width, height } = metadata;
+
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, source.framebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, destination.framebuffer);
+
+    // Blits copy the read buffer into every draw buffer, so each attachment
+    // is resolved on its own
+    metadata.colorTextures.forEach((textureName, index) => {
+      const attachment = gl.COLOR_ATTACHMENT0 + index;
+      const drawBuffers = new Array(index + 1).fill(gl.NONE);
+      drawBuffers[index] = attachment;
+
+      gl.readBuffer(attachment);
+      gl.drawBuffers(drawBuffers);
+      gl.blitFramebuffer(
+        0,
+        0,
+        width,
+        height,
+        0,
+        0,
+        width,
+        height,
+        gl.COLOR_BUFFER_BIT,
+        gl.NEAREST
+      );
+    });
+
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.drawBuffers(destination.drawBuffers);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, source.framebuffer);
+  }
+
+  /**
+   * Resolves the WebGL2 index type for index data (32-bit indices are core).
+   * @override
+   * @param {ArrayBuffer|ArrayBufferView} data - Index data.
+   * @returns {number} GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT or GL.UNSIGNED_INT.
+   * @private
+   */
+  resolveIndexType_(data) {
+    if (data instanceof Uint32Array) {
+      return this.context.UNSIGNED_INT;
+    }
+    return super.resolveIndexType_(data);
+  }
+
+  /**
+   * Sets the instancing divisor of a vertex attribute (core in WebGL2).
+   * @override
+   * @param {number} location - Attribute location.
+   * @param {number} divisor - 0 for per-vertex, 1 for per-instance data.
+   * @private
+   */
+  setAttributeDivisor_(location, divisor) {
+    this.context.vertexAttribDivisor(location, divisor);
+  }
+
+  /**
+   * Draws indexed primitives, instanced if needed (core in WebGL2).
+   * @override
+   * @param {number} mode - Primitive mode.
+   * @param {number} count - Index count.
+   * @param {number} type - Index type.
+   * @param {number} offset - Byte offset into the index buffer.
+   * @param {number} instanceCount - Instance count.
+   * @private
+   */
+  drawElements_(mode, count, type, offset, instanceCount) {
+    this.context.drawElementsInstanced(
+      mode,
+      count,
+      type,
+      offset,
+      instanceCount
+    );
+  }
+
+  /**
+   * Draws non-indexed primitives, instanced if needed (core in WebGL2).
+   * @override
+   * @param {number} mode - Primitive mode.
+   * @param {number} first - First vertex.
+   * @param {number} count - Vertex count.
+   * @param {number} instanceCount - Instance count.
+   * @private
+   */
+  drawArrays_(mode, first, count, instanceCount) {
+    this.context.drawArraysInstanced(mode, first, count, instanceCount);
+  }
+
+  /**
+   * Discards the contents of the bound framebuffer (storeOp 'discard').
+   * @override
+   * @param {?string} target - Framebuffer name or null for the canvas.
+   * @private
+   */
+  invalidateFramebuffer_(target) {
+    const gl = this.context;
+    const metadata = target ? this.framebuffers_.get(target) : null;
+    let attachments = [gl.COLOR, gl.DEPTH, gl.STENCIL];
+    if (metadata) {
+      const colorAttachments = metadata.drawBuffers.filter(
+        attachment => attachment !== gl.NONE
+      );
+      attachments = [
+        ...(colorAttachments.length
+          ? colorAttachments
+          : [gl.COLOR_ATTACHMENT0]),
+        gl.DEPTH_STENCIL_ATTACHMENT,
+      ];
+    }
+    gl.invalidateFramebuffer(gl.FRAMEBUFFER, attachments);
+  }
+
+  /**
+   * Selects the color attachments of the bound framebuffer that fragment
+   * outputs are written to. Core in WebGL2.
+   * @override
+   * @param {number[]} drawBuffers - Attachment points per fragment output.
+   * @private
+   */
+  setDrawBuffers_(drawBuffers) {
+    this.context.drawBuffers(drawBuffers);
+  }
+
+  /**
+   * Backend identifier reported by createRenderer() and the "initialized" event.
+   * @override
+   * @type {string}
+   */
+  static get backend() {
+    return 'webgl2';
+  }
+
+  /**
+   * Checks if WebGL2 is supported in the current environment.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2');
+    return gl !== null && gl instanceof WebGL2RenderingContext;
+  }
+}
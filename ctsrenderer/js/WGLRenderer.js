@@ -1,1096 +1,3887 @@
-/**
- * @fileoverview WebGL API based renderer implementation.
- * @copyright 2025–present Catsgold
- * @license GPL-3.0-or-later
- * You must credit Catsgold (me) if you use or modify this code.
- */
-
-import { Renderer } from './Renderer.js';
-
-/**
- * Shader configuration object.
- * @typedef {Object} ShaderConfig
- * @property {string} vertex - Vertex shader code.
- * @property {string} fragment - Fragment shader code.
- */
-
-/**
- * Buffer configuration object.
- * @typedef {Object} BufferConfig
- * @property {string} name - Buffer name.
- * @property {ArrayBuffer|ArrayBufferView} data - Buffer data.
- * @property {number} usage - Buffer usage flags (contextSTATIC_DRAW, contextDYNAMIC_DRAW, etc.).
- * @property {number} [type] - Buffer type (contextARRAY_BUFFER, contextELEMENT_ARRAY_BUFFER).
- */
-
-/**
- * Program configuration object.
- * @typedef {Object} ProgramConfig
- * @property {ShaderConfig} shaders - Shader configuration.
- * @property {Object} attributes - Vertex attributes configuration.
- * @property {Object} uniforms - Uniforms configuration.
- */
-
-/**
- * Texture configuration object.
- * @typedef {Object} TextureConfig
- * @property {string} name - Texture name.
- * @property {number} width - Texture width.
- * @property {number} height - Texture height.
- * @property {ArrayBufferView} data - Texture data.
- * @property {number} [format=contextRGBA] - Texture format.
- * @property {number} [internalFormat=contextRGBA] - Texture internal format.
- * @property {number} [type=contextUNSIGNED_BYTE] - Texture data type.
- * @property {Object} [parameters] - Texture parameters.
- */
-
-/**
- * Vertex attribute configuration.
- * @typedef {Object} AttributeConfig
- * @property {number} size - Number of components per attribute.
- * @property {number} type - Data type (contextFLOAT, etc.).
- * @property {boolean} normalized - Whether data is normalized.
- * @property {number} stride - Byte stride between consecutive attributes.
- * @property {number} offset - Offset in bytes.
- */
-
-/**
- * Event listener callback.
- * @callback EventCallback
- * @param {*} data - Event data.
- */
-
-/**
- * Buffer metadata for resource management.
- * @typedef {Object} BufferMetadata
- * @property {WebGLBuffer} buffer - The WebGL buffer.
- * @property {number} size - Buffer size in bytes.
- * @property {number} usage - Buffer usage flags.
- * @property {number} type - Buffer type.
- */
-
-/**
- * Texture metadata for resource management.
- * @typedef {Object} TextureMetadata
- * @property {WebGLTexture} texture - The WebGL texture.
- * @property {number} width - Texture width.
- * @property {number} height - Texture height.
- * @property {number} format - Texture format.
- * @property {number} internalFormat - Texture internal format.
- */
-
-/**
- * Program metadata for resource management.
- * @typedef {Object} ProgramMetadata
- * @property {WebGLProgram} program - The WebGL program.
- * @property {WebGLShader} vertexShader - Vertex shader.
- * @property {WebGLShader} fragmentShader - Fragment shader.
- * @property {Object} attributes - Attribute locations.
- * @property {Object} uniforms - Uniform locations.
- */
-
-/**
- * Renderer using WebGL1 API for graphics rendering.
- * @extends Renderer
- */
-export class WGLRenderer extends Renderer {
-  /**
-   * Creates an instance of WGLRenderer.
-   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
-   * @param {Object} [options] - Renderer options.
-   */
-  constructor(canvas, options = {}) {
-    super(canvas);
-
-    /**
-     * WebGL context.
-     * @type {?WebGLRenderingContext}
-     * @private
-     */
-    this.context = null;
-
-    /**
-     * Renderer options.
-     * @type {Object}
-     * @private
-     */
-    this.options_ = {
-      alpha: options.alpha !== false,
-      depth: options.depth !== false,
-      stencil: options.stencil || false,
-      antialias: options.antialias !== false,
-      premultipliedAlpha: options.premultipliedAlpha || false,
-      preserveDrawingBuffer: options.preserveDrawingBuffer || false,
-      ...options,
-    };
-
-    /**
-     * Shader programs.
-     * @type {Map<string, ProgramMetadata>}
-     * @private
-     */
-    this.programs_ = new Map();
-
-    /**
-     * GPU buffers with metadata.
-     * @type {Map<string, BufferMetadata>}
-     * @private
-     */
-    this.buffers_ = new Map();
-
-    /**
-     * Textures with metadata.
-     * @type {Map<string, TextureMetadata>}
-     * @private
-     */
-    this.textures_ = new Map();
-
-    /**
-     * Framebuffers.
-     * @type {Map<string, WebGLFramebuffer>}
-     * @private
-     */
-    this.framebuffers_ = new Map();
-
-    /**
-     * Renderbuffers.
-     * @type {Map<string, WebGLRenderbuffer>}
-     * @private
-     */
-    this.renderbuffers_ = new Map();
-
-    /**
-     * Current program name.
-     * @type {?string}
-     * @private
-     */
-    this.currentProgram_ = null;
-
-    /**
-     * Current clear color.
-     * @type {number[]}
-     * @private
-     */
-    this.clearColor_ = [0.1, 0.1, 0.1, 1.0];
-
-    /**
-     * Event listeners.
-     * @type {Map<string, Set<EventCallback>>}
-     * @private
-     */
-    this.eventListeners_ = new Map();
-
-    /**
-     * Frame count.
-     * @type {number}
-     * @private
-     */
-    this.frameCount_ = 0;
-
-    /**
-     * Start time for statistics.
-     * @type {number}
-     * @private
-     */
-    this.startTime_ = performance.now();
-
-    /**
-     * Current framebuffer.
-     * @type {?string}
-     * @private
-     */
-    this.currentFramebuffer_ = null;
-
-    /**
-     * Blend state enabled.
-     * @type {boolean}
-     * @private
-     */
-    this.blendEnabled_ = false;
-
-    /**
-     * Depth test state enabled.
-     * @type {boolean}
-     * @private
-     */
-    this.depthTestEnabled_ = false;
-
-    /**
-     * Cull face state enabled.
-     * @type {boolean}
-     * @private
-     */
-    this.cullFaceEnabled_ = false;
-
-    /**
-     * Current cull face mode.
-     * @type {number}
-     * @private
-     */
-    this.cullFaceMode_ = 0x0405; // GL.BACK
-
-    /**
-     * Current depth function.
-     * @type {number}
-     * @private
-     */
-    this.depthFunc_ = 0x0201; // GL.LESS
-
-    /**
-     * Current blend function.
-     * @type {Object}
-     * @private
-     */
-    this.blendFunc_ = {
-      src: 0x0302, // GL.SRC_ALPHA
-      dst: 0x0303, // GL.ONE_MINUS_SRC_ALPHA
-    };
-  }
-
-  /**
-   * Initializes WebGL renderer.
-   * @override
-   * @returns {Promise<boolean>} Promise that resolves to true on successful initialization.
-   * @throws {Error} If WebGL is not supported or initialization fails.
-   */
-  async initialize() {
-    if (!WGLRenderer.isSupported()) {
-      throw new Error('WebGL is not supported in this browser.');
-    }
-
-    try {
-      // Get WebGL context
-      this.context =
-        this.canvas.getContext('webgl', this.options_) ||
-        this.canvas.getContext('experimental-webgl', this.options_);
-
-      if (!this.context) {
-        throw new Error('Failed to get WebGL context.');
-      }
-
-      // Set initial state
-      this.setClearColor(...this.clearColor_);
-      this.setDepthTest(this.depthTestEnabled_);
-      this.setBlendState(this.blendEnabled_);
-      this.setCullFace(this.cullFaceEnabled_, this.cullFaceMode_);
-
-      this.isInitialized = true;
-      this.emit('initialized', { gl: this.context, options: this.options_ });
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize WGLRenderer:', error);
-      this.emit('error', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Compiles a shader.
-   * @param {number} type - Shader type (GL.VERTEX_SHADER or GL.FRAGMENT_SHADER).
-   * @param {string} source - Shader source code.
-   * @returns {WebGLShader} Compiled shader.
-   * @private
-   */
-  compileShader_(type, source) {
-    const shader = this.context.createShader(type);
-    this.context.shaderSource(shader, source);
-    this.context.compileShader(shader);
-
-    if (!this.context.getShaderParameter(shader, this.context.COMPILE_STATUS)) {
-      const info = this.context.getShaderInfoLog(shader);
-      this.context.deleteShader(shader);
-      throw new Error(`Shader compilation failed: ${info}`);
-    }
-
-    return shader;
-  }
-
-  /**
-   * Creates a shader program.
-   * @param {string} name - Program name.
-   * @param {ShaderConfig} shaders - Shader configuration.
-   * @returns {WebGLProgram} Created program.
-   * @throws {Error} If renderer not initialized.
-   */
-  createProgram(name, shaders) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    try {
-      const vertexShader = this.compileShader_(
-        this.context.VERTEX_SHADER,
-        shaders.vertex
-      );
-      const fragmentShader = this.compileShader_(
-        this.context.FRAGMENT_SHADER,
-        shaders.fragment
-      );
-
-      const program = this.context.createProgram();
-      this.context.attachShader(program, vertexShader);
-      this.context.attachShader(program, fragmentShader);
-      this.context.linkProgram(program);
-
-      if (
-        !this.context.getProgramParameter(program, this.context.LINK_STATUS)
-      ) {
-        const info = this.context.getProgramInfoLog(program);
-        throw new Error(`Program linking failed: ${info}`);
-      }
-
-      // Get attribute and uniform locations
-      const attributes = {};
-      const uniforms = {};
-
-      // Store program metadata
-      const metadata = {
-        program,
-        vertexShader,
-        fragmentShader,
-        attributes,
-        uniforms,
-      };
-
-      this.programs_.set(name, metadata);
-
-      this.emit('programCreated', { name });
-      return program;
-    } catch (error) {
-      console.error(`Failed to create program "${name}":`, error);
-      this.emit('error', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Sets up vertex attributes for a program.
-   * @param {string} programName - Program name.
-   * @param {Object} attributesConfig - Attributes configuration.
-   */
-  setupVertexAttributes(programName, attributesConfig) {
-    const programMetadata = this.programs_.get(programName);
-    if (!programMetadata) {
-      throw new Error(`Program "${programName}" not found.`);
-    }
-
-    this.useProgram(programName);
-
-    Object.entries(attributesConfig).forEach(([name, config]) => {
-      const location = this.context.getAttribLocation(
-        programMetadata.program,
-        name
-      );
-      if (location === -1) {
-        console.warn(
-          `Attribute "${name}" not found in program "${programName}"`
-        );
-        return;
-      }
-
-      programMetadata.attributes[name] = {
-        location,
-        size: config.size || 3,
-        type: config.type || this.context.FLOAT,
-        normalized: config.normalized || false,
-        stride: config.stride || 0,
-        offset: config.offset || 0,
-      };
-    });
-
-    this.emit('vertexAttributesSetup', {
-      programName,
-      attributes: attributesConfig,
-    });
-  }
-
-  /**
-   * Sets uniform value.
-   * @param {string} programName - Program name.
-   * @param {string} uniformName - Uniform name.
-   * @param {*} value - Uniform value.
-   */
-  setUniform(programName, uniformName, value) {
-    const programMetadata = this.programs_.get(programName);
-    if (!programMetadata) {
-      throw new Error(`Program "${programName}" not found.`);
-    }
-
-    this.useProgram(programName);
-
-    let location = programMetadata.uniforms[uniformName];
-    if (location === undefined) {
-      location = this.context.getUniformLocation(
-        programMetadata.program,
-        uniformName
-      );
-      if (!location) {
-        console.warn(
-          `Uniform "${uniformName}" not found in program "${programName}"`
-        );
-        return;
-      }
-      programMetadata.uniforms[uniformName] = location;
-    }
-
-    if (value instanceof Float32Array) {
-      switch (value.length) {
-        case 4:
-          this.context.uniform4fv(location, value);
-          break;
-        case 3:
-          this.context.uniform3fv(location, value);
-          break;
-        case 2:
-          this.context.uniform2fv(location, value);
-          break;
-        case 1:
-          this.context.uniform1fv(location, value);
-          break;
-        case 16:
-          this.context.uniformMatrix4fv(location, false, value);
-          break;
-        case 9:
-          this.context.uniformMatrix3fv(location, false, value);
-          break;
-        default:
-          this.context.uniform1fv(location, value);
-      }
-    } else if (typeof value === 'number') {
-      this.context.uniform1f(location, value);
-    } else if (Array.isArray(value)) {
-      switch (value.length) {
-        case 4:
-          this.context.uniform4f(location, ...value);
-          break;
-        case 3:
-          this.context.uniform3f(location, ...value);
-          break;
-        case 2:
-          this.context.uniform2f(location, ...value);
-          break;
-        case 1:
-          this.context.uniform1f(location, value[0]);
-          break;
-        default:
-          this.context.uniform1fv(location, new Float32Array(value));
-      }
-    }
-  }
-
-  /**
-   * Creates a GPU buffer.
-   * @param {BufferConfig} config - Buffer configuration.
-   * @returns {WebGLBuffer} Created buffer.
-   * @throws {Error} If renderer not initialized.
-   */
-  createBuffer(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const buffer = this.context.createBuffer();
-    if (!buffer) {
-      throw new Error('Failed to create buffer.');
-    }
-
-    const type = config.type || this.context.ARRAY_BUFFER;
-    const usage = config.usage || this.context.STATIC_DRAW;
-
-    this.context.bindBuffer(type, buffer);
-    this.context.bufferData(type, config.data, usage);
-
-    const metadata = {
-      buffer,
-      size: config.data.byteLength,
-      usage,
-      type,
-    };
-
-    this.buffers_.set(config.name, metadata);
-    this.context.bindBuffer(type, null);
-
-    this.emit('bufferCreated', {
-      name: config.name,
-      size: config.data.byteLength,
-      usage,
-      type,
-    });
-
-    return buffer;
-  }
-
-  /**
-   * Updates buffer data.
-   * @param {string} name - Buffer name.
-   * @param {ArrayBuffer|ArrayBufferView} data - New data.
-   * @param {number} [offset=0] - Offset in bytes.
-   */
-  updateBuffer(name, data, offset = 0) {
-    const bufferMetadata = this.buffers_.get(name);
-    if (!bufferMetadata) {
-      throw new Error(`Buffer "${name}" not found.`);
-    }
-
-    this.context.bindBuffer(bufferMetadata.type, bufferMetadata.buffer);
-
-    if (offset === 0 && data.byteLength === bufferMetadata.size) {
-      this.context.bufferData(bufferMetadata.type, data, bufferMetadata.usage);
-    } else {
-      this.context.bufferSubData(bufferMetadata.type, offset, data);
-    }
-
-    this.context.bindBuffer(bufferMetadata.type, null);
-
-    this.emit('bufferUpdated', { name, offset, size: data.byteLength });
-  }
-
-  /**
-   * Creates a texture.
-   * @param {TextureConfig} config - Texture configuration.
-   * @returns {WebGLTexture} Created texture.
-   * @throws {Error} If renderer not initialized.
-   */
-  createTexture(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const texture = this.context.createTexture();
-    if (!texture) {
-      throw new Error('Failed to create texture.');
-    }
-
-    const format = config.format || this.context.RGBA;
-    const internalFormat = config.internalFormat || this.context.RGBA;
-    const type = config.type || this.context.UNSIGNED_BYTE;
-
-    this.context.bindTexture(this.context.TEXTURE_2D, texture);
-
-    // Set texture parameters
-    if (config.parameters) {
-      Object.entries(config.parameters).forEach(([pname, pvalue]) => {
-        const param = this.context[pname];
-        if (param !== undefined) {
-          this.context.texParameteri(this.context.TEXTURE_2D, param, pvalue);
-        }
-      });
-    } else {
-      // Default parameters
-      this.context.texParameteri(
-        this.context.TEXTURE_2D,
-        this.context.TEXTURE_MIN_FILTER,
-        this.context.LINEAR
-      );
-      this.context.texParameteri(
-        this.context.TEXTURE_2D,
-        this.context.TEXTURE_MAG_FILTER,
-        this.context.LINEAR
-      );
-      this.context.texParameteri(
-        this.context.TEXTURE_2D,
-        this.context.TEXTURE_WRAP_S,
-        this.context.CLAMP_TO_EDGE
-      );
-      this.context.texParameteri(
-        this.context.TEXTURE_2D,
-        this.context.TEXTURE_WRAP_T,
-        this.context.CLAMP_TO_EDGE
-      );
-    }
-
-    this.context.texImage2D(
-      this.context.TEXTURE_2D,
-      0,
-      internalFormat,
-      config.width,
-      config.height,
-      0,
-      format,
-      type,
-      config.data
-    );
-
-    const metadata = {
-      texture,
-      width: config.width,
-      height: config.height,
-      format,
-      internalFormat,
-    };
-
-    this.textures_.set(config.name, metadata);
-    this.context.bindTexture(this.context.TEXTURE_2D, null);
-
-    this.emit('textureCreated', {
-      name: config.name,
-      width: config.width,
-      height: config.height,
-    });
-
-    return texture;
-  }
-
-  /**
-   * Creates a framebuffer.
-   * @param {string} name - Framebuffer name.
-   * @param {Object} attachments - Framebuffer attachments.
-   * @returns {WebGLFramebuffer} Created framebuffer.
-   */
-  createFramebuffer(name, attachments) {
-    const framebuffer = this.context.createFramebuffer();
-    if (!framebuffer) {
-      throw new Error('Failed to create framebuffer.');
-    }
-
-    this.context.bindFramebuffer(this.context.FRAMEBUFFER, framebuffer);
-
-    Object.entries(attachments).forEach(([attachmentPoint, attachmentName]) => {
-      const textureMetadata = this.textures_.get(attachmentName);
-      if (textureMetadata) {
-        const attachment = this.context[attachmentPoint];
-        this.context.framebufferTexture2D(
-          this.context.FRAMEBUFFER,
-          attachment,
-          this.context.TEXTURE_2D,
-          textureMetadata.texture,
-          0
-        );
-      }
-    });
-
-    // Check framebuffer status
-    const status = this.context.checkFramebufferStatus(
-      this.context.FRAMEBUFFER
-    );
-    if (status !== this.context.FRAMEBUFFER_COMPLETE) {
-      this.context.bindFramebuffer(this.context.FRAMEBUFFER, null);
-      throw new Error(`Framebuffer incomplete: ${status}`);
-    }
-
-    this.framebuffers_.set(name, framebuffer);
-    this.context.bindFramebuffer(this.context.FRAMEBUFFER, null);
-
-    this.emit('framebufferCreated', { name });
-    return framebuffer;
-  }
-
-  /**
-   * Sets the current clear color.
-   * @override
-   * @param {number} r - Red component (0-1).
-   * @param {number} g - Green component (0-1).
-   * @param {number} b - Blue component (0-1).
-   * @param {number} a - Alpha component (0-1).
-   */
-  setClearColor(r, g, b, a) {
-    this.clearColor_ = [r, g, b, a];
-    this.context.clearColor(r, g, b, a);
-  }
-
-  /**
-   * Clears the rendering buffers.
-   * @override
-   * @param {number} r - Red component of clear color (0-1).
-   * @param {number} g - Green component of clear color (0-1).
-   * @param {number} b - Blue component of clear color (0-1).
-   * @param {number} a - Alpha component of clear color (0-1).
-   */
-  clear(r, g, b, a) {
-    this.setClearColor(r, g, b, a);
-    let mask = this.context.COLOR_BUFFER_BIT;
-
-    if (this.options_.depth) {
-      mask |= this.context.DEPTH_BUFFER_BIT;
-    }
-    if (this.options_.stencil) {
-      mask |= this.context.STENCIL_BUFFER_BIT;
-    }
-
-    this.context.clear(mask);
-  }
-
-  /**
-   * Sets blend state.
-   * @param {boolean} enabled - Whether blending is enabled.
-   * @param {Object} [func] - Blend function configuration.
-   */
-  setBlendState(enabled, func = this.blendFunc_) {
-    this.blendEnabled_ = enabled;
-
-    if (enabled) {
-      this.context.enable(this.context.BLEND);
-      this.context.blendFunc(
-        func.src || this.context.SRC_ALPHA,
-        func.dst || this.context.ONE_MINUS_SRC_ALPHA
-      );
-    } else {
-      this.context.disable(this.context.BLEND);
-    }
-  }
-
-  /**
-   * Sets depth test state.
-   * @param {boolean} enabled - Whether depth testing is enabled.
-   * @param {number} [func=GL.LESS] - Depth function.
-   */
-  setDepthTest(enabled, func = this.context.LESS) {
-    this.depthTestEnabled_ = enabled;
-    this.depthFunc_ = func;
-
-    if (enabled) {
-      this.context.enable(this.context.DEPTH_TEST);
-      this.context.depthFunc(func);
-    } else {
-      this.context.disable(this.context.DEPTH_TEST);
-    }
-  }
-
-  /**
-   * Sets face culling.
-   * @param {boolean} enabled - Whether face culling is enabled.
-   * @param {number} [mode=GL.BACK] - Which face to cull.
-   */
-  setCullFace(enabled, mode = this.context.BACK) {
-    this.cullFaceEnabled_ = enabled;
-    this.cullFaceMode_ = mode;
-
-    if (enabled) {
-      this.context.enable(this.context.CULL_FACE);
-      this.context.cullFace(mode);
-    } else {
-      this.context.disable(this.context.CULL_FACE);
-    }
-  }
-
-  /**
-   * Sets the current program for rendering.
-   * @param {string} name - Program name.
-   */
-  useProgram(name) {
-    const programMetadata = this.programs_.get(name);
-    if (!programMetadata) {
-      throw new Error(`Program "${name}" not found.`);
-    }
-
-    if (this.currentProgram_ !== name) {
-      this.context.useProgram(programMetadata.program);
-      this.currentProgram_ = name;
-      this.emit('programSet', { name });
-    }
-  }
-
-  /**
-   * Sets the current framebuffer.
-   * @param {?string} name - Framebuffer name or null for default.
-   */
-  setFramebuffer(name) {
-    if (name && !this.framebuffers_.has(name)) {
-      throw new Error(`Framebuffer "${name}" not found.`);
-    }
-
-    const framebuffer = name ? this.framebuffers_.get(name) : null;
-    this.context.bindFramebuffer(this.context.FRAMEBUFFER, framebuffer);
-    this.currentFramebuffer_ = name;
-  }
-
-  /**
-   * Sets the active texture unit.
-   * @param {number} unit - Texture unit index.
-   */
-  setActiveTexture(unit) {
-    this.context.activeTexture(this.context.TEXTURE0 + unit);
-  }
-
-  /**
-   * Binds a texture.
-   * @param {string} name - Texture name.
-   * @param {number} [target=GL.TEXTURE_2D] - Texture target.
-   */
-  bindTexture(name, target = this.context.TEXTURE_2D) {
-    const textureMetadata = this.textures_.get(name);
-    if (!textureMetadata) {
-      throw new Error(`Texture "${name}" not found.`);
-    }
-    this.context.bindTexture(target, textureMetadata.texture);
-  }
-
-  /**
-   * Draws primitives.
-   * @param {Object} drawCall - Draw call configuration.
-   */
-  draw(drawCall) {
-    if (!this.isInitialized) {
-      console.warn('Renderer not initialized. Call initialize() first.');
-      return;
-    }
-
-    if (!this.currentProgram_) {
-      throw new Error('No program set. Call useProgram() first.');
-    }
-
-    const {
-      mode = this.context.TRIANGLES,
-      count,
-      indices,
-      offset = 0,
-      type = this.context.UNSIGNED_SHORT,
-    } = drawCall;
-
-    // Set up vertex attributes
-    if (drawCall.attributes) {
-      Object.entries(drawCall.attributes).forEach(
-        ([bufferName, attributes]) => {
-          const bufferMetadata = this.buffers_.get(bufferName);
-          if (bufferMetadata) {
-            this.context.bindBuffer(
-              this.context.ARRAY_BUFFER,
-              bufferMetadata.buffer
-            );
-
-            attributes.forEach(attr => {
-              this.context.enableVertexAttribArray(attr.location);
-              this.context.vertexAttribPointer(
-                attr.location,
-                attr.size,
-                attr.type || this.context.FLOAT,
-                attr.normalized || false,
-                attr.stride || 0,
-                attr.offset || 0
-              );
-            });
-          }
-        }
-      );
-    }
-
-    // Draw call
-    if (indices) {
-      const bufferMetadata = this.buffers_.get(indices);
-      if (bufferMetadata) {
-        this.context.bindBuffer(
-          this.context.ELEMENT_ARRAY_BUFFER,
-          bufferMetadata.buffer
-        );
-        this.context.drawElements(mode, count, type, offset);
-      }
-    } else if (count) {
-      this.context.drawArrays(mode, offset, count);
-    }
-
-    this.emit('draw', { drawCall });
-  }
-
-  /**
-   * Sets the size of the rendering viewport.
-   * @override
-   * @param {number} width - Width in pixels.
-   * @param {number} height - Height in pixels.
-   */
-  setSize(width, height) {
-    const actualWidth = Math.max(1, width);
-    const actualHeight = Math.max(1, height);
-
-    this.canvas.width = actualWidth;
-    this.canvas.height = actualHeight;
-
-    this.context.viewport(0, 0, actualWidth, actualHeight);
-
-    this.emit('resize', { width: actualWidth, height: actualHeight });
-  }
-
-  /**
-   * Renders a frame.
-   * @override
-   */
-  render() {
-    this.frameCount_++;
-    this.emit('frameRendered', { frameCount: this.frameCount_ });
-  }
-
-  /**
-   * Destroys all resources and cleans up the renderer.
-   * @override
-   */
-  destroy() {
-    // Clean up programs
-    this.programs_.forEach(metadata => {
-      this.context.deleteProgram(metadata.program);
-      this.context.deleteShader(metadata.vertexShader);
-      this.context.deleteShader(metadata.fragmentShader);
-    });
-    this.programs_.clear();
-
-    // Clean up buffers
-    this.buffers_.forEach(metadata => {
-      this.context.deleteBuffer(metadata.buffer);
-    });
-    this.buffers_.clear();
-
-    // Clean up textures
-    this.textures_.forEach(metadata => {
-      this.context.deleteTexture(metadata.texture);
-    });
-    this.textures_.clear();
-
-    // Clean up framebuffers
-    this.framebuffers_.forEach(framebuffer => {
-      this.context.deleteFramebuffer(framebuffer);
-    });
-    this.framebuffers_.clear();
-
-    this.context = null;
-    this.isInitialized = false;
-
-    this.emit('destroyed');
-  }
-
-  /**
-   * Gets renderer statistics.
-   * @returns {Object} Statistics object.
-   */
-  getStats() {
-    const now = performance.now();
-    const elapsed = (now - this.startTime_) / 1000;
-    const fps = this.frameCount_ / elapsed;
-
-    return {
-      frameCount: this.frameCount_,
-      fps: fps,
-      buffers: this.buffers_.size,
-      textures: this.textures_.size,
-      programs: this.programs_.size,
-      framebuffers: this.framebuffers_.size,
-    };
-  }
-
-  /**
-   * Registers an event listener.
-   * @param {string} event - Event name.
-   * @param {EventCallback} callback - Callback function.
-   */
-  on(event, callback) {
-    if (!this.eventListeners_.has(event)) {
-      this.eventListeners_.set(event, new Set());
-    }
-    this.eventListeners_.get(event).add(callback);
-  }
-
-  /**
-   * Removes an event listener.
-   * @param {string} event - Event name.
-   * @param {EventCallback} callback - Callback function.
-   */
-  off(event, callback) {
-    this.eventListeners_.get(event)?.delete(callback);
-  }
-
-  /**
-   * Emits an event.
-   * @param {string} event - Event name.
-   * @param {*} [data] - Event data.
-   * @private
-   */
-  emit(event, data) {
-    this.eventListeners_.get(event)?.forEach(callback => {
-      try {
-        callback(data);
-      } catch (error) {
-        console.error(`Error in event listener for ${event}:`, error);
-      }
-    });
-  }
-
-  /**
-   * Checks if WebGL is supported in the current environment.
-   * @override
-   * @returns {boolean} True if WebGL is supported, otherwise false.
-   */
-  static isSupported() {
-    const canvas = document.createElement('canvas');
-    const gl =
-      canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-    return gl !== null && gl instanceof WebGLRenderingContext;
-  }
-
-  // Helper methods
-  createVertexBuffer(name, vertices, usage = this.context.STATIC_DRAW) {
-    return this.createBuffer({
-      name,
-      data: vertices,
-      usage,
-      type: this.context.ARRAY_BUFFER,
-    });
-  }
-
-  createIndexBuffer(name, indices, usage = this.context.STATIC_DRAW) {
-    return this.createBuffer({
-      name,
-      data: indices,
-      usage,
-      type: this.context.ELEMENT_ARRAY_BUFFER,
-    });
-  }
-
-  getBuffer(name) {
-    const metadata = this.buffers_.get(name);
-    return metadata ? metadata.buffer : null;
-  }
-
-  getProgram(name) {
-    const metadata = this.programs_.get(name);
-    return metadata ? metadata.program : null;
-  }
-
-  getTexture(name) {
-    const metadata = this.textures_.get(name);
-    return metadata ? metadata.texture : null;
-  }
-
-  getFramebuffer(name) {
-    return this.framebuffers_.get(name) || null;
-  }
-}
-
-/** Returns HTML template for the error message
- * @param {Error} error - Caught error
- * @returns {string}
- */
-export function HTMLWGLErrorMessage(error) {
-  return `
-        <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
-            <h2>WebGL Error</h2>
-            <p>Rendering code may be broken or unsupported.</p>
-            <p style="color: #ff6b6b; margin-top: 20px;">Error: ${error.message}</p>
-            <div style="margin-top: 30px;">
-                <a href="https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext"
-                   target="_blank"
-                   style="color: #4ecdc4; text-decoration: none;">
-                   Learn more about WebGL
-                </a>
-            </div>
-        </div>
-    `;
-}
-
-/** Returns HTML template for unsupported message
- * @param {string} msg - Additional message
- * @returns {string}
- */
-export function HTMLWGLUnsupportedMessage(msg = '') {
-  return `
-        <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
-            <h2>WebGL Not Supported</h2>
-            <p>Your browser does not support WebGL or it's disabled.</p>
-            <p>Please use a modern browser with WebGL support.</p>
-            <p style="color: #6d6d6dff; margin-top: 20px;">Developer's note: ${msg}</p>
-            <div style="margin-top: 30px;">
-                <a href="https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext"
-                   target="_blank"
-                   style="color: #4ecdc4; text-decoration: none;">
-                   Learn more about WebGL
-                </a>
-            </div>
-        </div>
-    `;
-}
+/**
+ * @fileoverview WebGL API based renderer implementation.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import {
+  Renderer,
+  BufferUsage,
+  COMPRESSED_TEXTURE_FORMATS,
+  getSourceSize,
+} from './Renderer.js';
+import { ShaderLanguage, ShaderPreprocessor } from './ShaderPreprocessor.js';
+
+/**
+ * WebGL constant names for portable primitive topologies.
+ * @type {Object<string, string>}
+ */
+const GL_TOPOLOGIES = {
+  'point-list': 'POINTS',
+  'line-list': 'LINES',
+  'line-strip': 'LINE_STRIP',
+  'triangle-list': 'TRIANGLES',
+  'triangle-strip': 'TRIANGLE_STRIP',
+};
+
+/**
+ * WebGL constant names for portable compare functions.
+ * @type {Object<string, string>}
+ */
+const GL_COMPARE_FUNCTIONS = {
+  never: 'NEVER',
+  less: 'LESS',
+  equal: 'EQUAL',
+  'less-equal': 'LEQUAL',
+  greater: 'GREATER',
+  'not-equal': 'NOTEQUAL',
+  'greater-equal': 'GEQUAL',
+  always: 'ALWAYS',
+};
+
+/**
+ * WebGL constant names for portable blend factors.
+ * @type {Object<string, string>}
+ */
+const GL_BLEND_FACTORS = {
+  zero: 'ZERO',
+  one: 'ONE',
+  src: 'SRC_COLOR',
+  'one-minus-src': 'ONE_MINUS_SRC_COLOR',
+  'src-alpha': 'SRC_ALPHA',
+  'one-minus-src-alpha': 'ONE_MINUS_SRC_ALPHA',
+  dst: 'DST_COLOR',
+  'one-minus-dst': 'ONE_MINUS_DST_COLOR',
+  'dst-alpha': 'DST_ALPHA',
+  'one-minus-dst-alpha': 'ONE_MINUS_DST_ALPHA',
+  'src-alpha-saturated': 'SRC_ALPHA_SATURATE',
+  constant: 'CONSTANT_COLOR',
+  'one-minus-constant': 'ONE_MINUS_CONSTANT_COLOR',
+};
+
+/**
+ * WebGL constant names for portable blend operations. MIN and MAX need
+ * EXT_blend_minmax in WebGL1.
+ * @type {Object<string, string>}
+ */
+const GL_BLEND_OPERATIONS = {
+  add: 'FUNC_ADD',
+  subtract: 'FUNC_SUBTRACT',
+  'reverse-subtract': 'FUNC_REVERSE_SUBTRACT',
+  min: 'MIN',
+  max: 'MAX',
+};
+
+/**
+ * WebGL constant names for portable sampler address modes.
+ * @type {Object<string, string>}
+ */
+const GL_ADDRESS_MODES = {
+  'clamp-to-edge': 'CLAMP_TO_EDGE',
+  repeat: 'REPEAT',
+  'mirror-repeat': 'MIRRORED_REPEAT',
+};
+
+/**
+ * WebGL constant names for portable sampler filter modes.
+ * @type {Object<string, string>}
+ */
+const GL_FILTER_MODES = {
+  nearest: 'NEAREST',
+  linear: 'LINEAR',
+};
+
+/**
+ * WebGL constant names for minification filters by portable minFilter and
+ * mipmapFilter.
+ * @type {Object<string, Object<string, string>>}
+ */
+const GL_MIPMAP_FILTERS = {
+  nearest: {
+    nearest: 'NEAREST_MIPMAP_NEAREST',
+    linear: 'NEAREST_MIPMAP_LINEAR',
+  },
+  linear: { nearest: 'LINEAR_MIPMAP_NEAREST', linear: 'LINEAR_MIPMAP_LINEAR' },
+};
+
+/**
+ * Sampler parameters set with texParameterf() instead of texParameteri().
+ * @type {Set<string>}
+ */
+const GL_FLOAT_TEXTURE_PARAMETERS = new Set([
+  'TEXTURE_MIN_LOD',
+  'TEXTURE_MAX_LOD',
+]);
+
+/**
+ * Checks whether a size is a power of two.
+ * @param {number} value - Size in pixels.
+ * @returns {boolean} True for 1, 2, 4, 8, ...
+ */
+function isPowerOfTwo(value) {
+  return value > 0 && (value & (value - 1)) === 0;
+}
+
+/**
+ * Returns whether a uniform value sets a struct (a plain object) or an array
+ * of structs (an array of plain objects).
+ * @param {*} value - Uniform value.
+ * @returns {boolean} True for struct values.
+ */
+function isStructValue(value) {
+  const isPlainObject = item =>
+    item !== null &&
+    typeof item === 'object' &&
+    !Array.isArray(item) &&
+    !ArrayBuffer.isView(item);
+  return (
+    isPlainObject(value) ||
+    (Array.isArray(value) && value.length > 0 && value.every(isPlainObject))
+  );
+}
+
+/**
+ * Transposes consecutive row-major matrices to column-major order.
+ * @param {ArrayLike<number>} data - Row-major matrices.
+ * @param {number} columns - Columns per matrix.
+ * @param {number} rows - Rows per matrix.
+ * @returns {Float32Array} Column-major matrices.
+ */
+function transposeMatrices(data, columns, rows) {
+  const result = new Float32Array(data.length);
+  const size = columns * rows;
+  for (let start = 0; start < data.length; start += size) {
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        result[start + column * rows + row] =
+          data[start + row * columns + column];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Scales texture contents up to the next power-of-two size, for WebGL1
+ * mipmapping. Images are drawn into a canvas, RGBA8 data is resampled
+ * bilinearly.
+ * @param {?(ArrayBufferView|TextureSource)} data - Texel data, image or
+ *     null.
+ * @param {number} width - Current width.
+ * @param {number} height - Current height.
+ * @returns {?{data: ?(ArrayBufferView|TextureSource), width: number, height: number}}
+ *     Scaled contents, or null if the data cannot be scaled.
+ */
+function resizeToPowerOfTwo(data, width, height) {
+  const targetWidth = 2 ** Math.ceil(Math.log2(width));
+  const targetHeight = 2 ** Math.ceil(Math.log2(height));
+  const result = { data: null, width: targetWidth, height: targetHeight };
+
+  if (!data) {
+    return result;
+  }
+
+  if (!ArrayBuffer.isView(data)) {
+    const canvas =
+      typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(targetWidth, targetHeight)
+        : Object.assign(document.createElement('canvas'), {
+            width: targetWidth,
+            height: targetHeight,
+          });
+    canvas.getContext('2d').drawImage(data, 0, 0, targetWidth, targetHeight);
+    result.data = canvas;
+    return result;
+  }
+
+  if (
+    !(data instanceof Uint8Array || data instanceof Uint8ClampedArray) ||
+    data.length !== width * height * 4
+  ) {
+    return null;
+  }
+
+  const pixels = new Uint8Array(targetWidth * targetHeight * 4);
+  for (let y = 0; y < targetHeight; y++) {
+    const sy = Math.max(0, ((y + 0.5) * height) / targetHeight - 0.5);
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fy = sy - y0;
+    for (let x = 0; x < targetWidth; x++) {
+      const sx = Math.max(0, ((x + 0.5) * width) / targetWidth - 0.5);
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const fx = sx - x0;
+      for (let c = 0; c < 4; c++) {
+        const top =
+          data[(y0 * width + x0) * 4 + c] * (1 - fx) +
+          data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom =
+          data[(y1 * width + x0) * 4 + c] * (1 - fx) +
+          data[(y1 * width + x1) * 4 + c] * fx;
+        pixels[(y * targetWidth + x) * 4 + c] = Math.round(
+          top * (1 - fy) + bottom * fy
+        );
+      }
+    }
+  }
+  result.data = pixels;
+  return result;
+}
+
+/**
+ * WebGL attribute pointer settings for portable vertex formats.
+ * @type {Object<string, {size: number, type: string, normalized: boolean}>}
+ */
+const GL_VERTEX_FORMATS = {
+  float32: { size: 1, type: 'FLOAT', normalized: false },
+  float32x2: { size: 2, type: 'FLOAT', normalized: false },
+  float32x3: { size: 3, type: 'FLOAT', normalized: false },
+  float32x4: { size: 4, type: 'FLOAT', normalized: false },
+  unorm8x4: { size: 4, type: 'UNSIGNED_BYTE', normalized: true },
+  uint8x4: { size: 4, type: 'UNSIGNED_BYTE', normalized: false },
+  uint16x2: { size: 2, type: 'UNSIGNED_SHORT', normalized: false },
+  uint16x4: { size: 4, type: 'UNSIGNED_SHORT', normalized: false },
+};
+
+/**
+ * GLSL types of active attributes and uniforms by WebGL type constant name,
+ * with their component count, scalar kind ('float', 'int', 'uint', 'bool'
+ * or 'sampler') and, for matrices, column count.
+ * @type {Object<string, {type: string, components: number, kind: string, columns: (number|undefined)}>}
+ */
+const GL_UNIFORM_TYPES = {
+  FLOAT: { type: 'float', components: 1, kind: 'float' },
+  FLOAT_VEC2: { type: 'vec2', components: 2, kind: 'float' },
+  FLOAT_VEC3: { type: 'vec3', components: 3, kind: 'float' },
+  FLOAT_VEC4: { type: 'vec4', components: 4, kind: 'float' },
+  INT: { type: 'int', components: 1, kind: 'int' },
+  INT_VEC2: { type: 'ivec2', components: 2, kind: 'int' },
+  INT_VEC3: { type: 'ivec3', components: 3, kind: 'int' },
+  INT_VEC4: { type: 'ivec4', components: 4, kind: 'int' },
+  BOOL: { type: 'bool', components: 1, kind: 'bool' },
+  BOOL_VEC2: { type: 'bvec2', components: 2, kind: 'bool' },
+  BOOL_VEC3: { type: 'bvec3', components: 3, kind: 'bool' },
+  BOOL_VEC4: { type: 'bvec4', components: 4, kind: 'bool' },
+  FLOAT_MAT2: { type: 'mat2', components: 4, kind: 'float', columns: 2 },
+  FLOAT_MAT3: { type: 'mat3', components: 9, kind: 'float', columns: 3 },
+  FLOAT_MAT4: { type: 'mat4', components: 16, kind: 'float', columns: 4 },
+  SAMPLER_2D: { type: 'sampler2D', components: 1, kind: 'sampler' },
+  SAMPLER_CUBE: { type: 'samplerCube', components: 1, kind: 'sampler' },
+};
+
+/**
+ * WebGL1 texture formats for portable texture formats.
+ * Strings are context constant names, numbers are extension constants.
+ * @type {Object<string, {internalFormat: (string|number), format: (string|number), type: (string|number)}>}
+ */
+const GL_TEXTURE_FORMATS = {
+  r8unorm: {
+    internalFormat: 'LUMINANCE',
+    format: 'LUMINANCE',
+    type: 'UNSIGNED_BYTE',
+  },
+  rg8unorm: {
+    internalFormat: 'LUMINANCE_ALPHA',
+    format: 'LUMINANCE_ALPHA',
+    type: 'UNSIGNED_BYTE',
+  },
+  rgba8unorm: { internalFormat: 'RGBA', format: 'RGBA', type: 'UNSIGNED_BYTE' },
+  'rgba8unorm-srgb': {
+    internalFormat: 0x8c42, // EXT_sRGB SRGB_ALPHA_EXT
+    format: 0x8c42,
+    type: 'UNSIGNED_BYTE',
+  },
+  rgba16float: {
+    internalFormat: 'RGBA',
+    format: 'RGBA',
+    type: 0x8d61, // OES_texture_half_float HALF_FLOAT_OES
+  },
+  rgba32float: { internalFormat: 'RGBA', format: 'RGBA', type: 'FLOAT' },
+  depth16unorm: {
+    internalFormat: 'DEPTH_COMPONENT',
+    format: 'DEPTH_COMPONENT',
+    type: 'UNSIGNED_SHORT',
+  },
+  'depth24plus-stencil8': {
+    internalFormat: 'DEPTH_STENCIL',
+    format: 'DEPTH_STENCIL',
+    type: 0x84fa, // WEBGL_depth_texture UNSIGNED_INT_24_8_WEBGL
+  },
+};
+
+/**
+ * Extensions float texture formats need in WebGL1: texture to create them
+ * (enabled by getExtension()) and linear to filter them linearly.
+ * @type {Object<string, {texture: ?string, linear: ?string}>}
+ */
+const GL_FLOAT_TEXTURE_EXTENSIONS = {
+  rgba16float: {
+    texture: 'OES_texture_half_float',
+    linear: 'OES_texture_half_float_linear',
+  },
+  rgba32float: {
+    texture: 'OES_texture_float',
+    linear: 'OES_texture_float_linear',
+  },
+};
+
+/**
+ * WebGL1 renderbuffer formats for portable texture formats. WebGL1 only has
+ * depth/stencil renderbuffers worth using.
+ * @type {Object<string, string>}
+ */
+const GL_RENDERBUFFER_FORMATS = {
+  depth16unorm: 'DEPTH_COMPONENT16',
+  'depth24plus-stencil8': 'DEPTH_STENCIL',
+  stencil8: 'STENCIL_INDEX8',
+};
+
+/**
+ * Extensions and internal formats of portable compressed texture formats.
+ * The ASTC constants follow COMPRESSED_TEXTURE_FORMATS order, unorm at
+ * 0x93b0 and sRGB at 0x93d0.
+ * @type {Object<string, {extension: string, internalFormat: number}>}
+ */
+const GL_COMPRESSED_FORMATS = {
+  'bc1-rgba-unorm': {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    internalFormat: 0x83f1,
+  },
+  'bc2-rgba-unorm': {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    internalFormat: 0x83f2,
+  },
+  'bc3-rgba-unorm': {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    internalFormat: 0x83f3,
+  },
+  'bc1-rgba-unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_s3tc_srgb',
+    internalFormat: 0x8c4d,
+  },
+  'bc2-rgba-unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_s3tc_srgb',
+    internalFormat: 0x8c4e,
+  },
+  'bc3-rgba-unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_s3tc_srgb',
+    internalFormat: 0x8c4f,
+  },
+  'bc4-r-unorm': {
+    extension: 'EXT_texture_compression_rgtc',
+    internalFormat: 0x8dbb,
+  },
+  'bc4-r-snorm': {
+    extension: 'EXT_texture_compression_rgtc',
+    internalFormat: 0x8dbc,
+  },
+  'bc5-rg-unorm': {
+    extension: 'EXT_texture_compression_rgtc',
+    internalFormat: 0x8dbd,
+  },
+  'bc5-rg-snorm': {
+    extension: 'EXT_texture_compression_rgtc',
+    internalFormat: 0x8dbe,
+  },
+  'bc6h-rgb-float': {
+    extension: 'EXT_texture_compression_bptc',
+    internalFormat: 0x8e8e,
+  },
+  'bc6h-rgb-ufloat': {
+    extension: 'EXT_texture_compression_bptc',
+    internalFormat: 0x8e8f,
+  },
+  'bc7-rgba-unorm': {
+    extension: 'EXT_texture_compression_bptc',
+    internalFormat: 0x8e8c,
+  },
+  'bc7-rgba-unorm-srgb': {
+    extension: 'EXT_texture_compression_bptc',
+    internalFormat: 0x8e8d,
+  },
+  'eac-r11unorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9270,
+  },
+  'eac-r11snorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9271,
+  },
+  'eac-rg11unorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9272,
+  },
+  'eac-rg11snorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9273,
+  },
+  'etc2-rgb8unorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9274,
+  },
+  'etc2-rgb8unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9275,
+  },
+  'etc2-rgb8a1unorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9276,
+  },
+  'etc2-rgb8a1unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9277,
+  },
+  'etc2-rgba8unorm': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9278,
+  },
+  'etc2-rgba8unorm-srgb': {
+    extension: 'WEBGL_compressed_texture_etc',
+    internalFormat: 0x9279,
+  },
+  ...Object.fromEntries(
+    COMPRESSED_TEXTURE_FORMATS.filter(format => format.startsWith('astc-')).map(
+      (format, i) => [
+        format,
+        {
+          extension: 'WEBGL_compressed_texture_astc',
+          internalFormat: (i % 2 ? 0x93d0 : 0x93b0) + (i >> 1),
+        },
+      ]
+    )
+  ),
+};
+
+/**
+ * Equirectangular to cube face conversion (GLSL ES 1.00, so WebGL1 and
+ * WebGL2 share it). Draws the full-screen triangle into face u_face and
+ * samples the direction of each texel, +Y up and the -Z center of the
+ * panorama at u = 0.25.
+ * @type {{vertex: string, fragment: string}}
+ */
+const EQUIRECT_TO_CUBE_SHADER = {
+  vertex: `attribute vec2 a_position;
+varying vec2 v_st;
+
+void main() {
+  // Face coordinates in -1..1; framebuffer rows grow with y, like t
+  v_st = a_position;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`,
+  fragment: `precision highp float;
+
+uniform sampler2D u_equirect;
+uniform float u_face;
+varying vec2 v_st;
+
+const float PI = 3.14159265359;
+
+void main() {
+  vec2 st = v_st;
+  vec3 direction;
+  if (u_face < 0.5) {
+    direction = vec3(1.0, -st.y, -st.x);
+  } else if (u_face < 1.5) {
+    direction = vec3(-1.0, -st.y, st.x);
+  } else if (u_face < 2.5) {
+    direction = vec3(st.x, 1.0, st.y);
+  } else if (u_face < 3.5) {
+    direction = vec3(st.x, -1.0, -st.y);
+  } else if (u_face < 4.5) {
+    direction = vec3(st.x, -st.y, 1.0);
+  } else {
+    direction = vec3(-st.x, -st.y, -1.0);
+  }
+  direction = normalize(direction);
+  vec2 uv = vec2(
+    atan(direction.z, direction.x) / (2.0 * PI) + 0.5,
+    acos(clamp(direction.y, -1.0, 1.0)) / PI
+  );
+  gl_FragColor = texture2D(u_equirect, uv);
+}
+`,
+};
+
+/**
+ * Shader configuration object.
+ * @typedef {Object} ShaderConfig
+ * @property {string} vertex - Vertex shader code.
+ * @property {string} fragment - Fragment shader code.
+ * @property {Object<string, (string|number|boolean)>} [defines] - Macros
+ *     of the shader variant.
+ * @property {Array<string>} [features] - Feature flags of the shader
+ *     variant, each defined as 1.
+ */
+
+/**
+ * Buffer configuration object.
+ * @typedef {Object} BufferConfig
+ * @property {string} name - Buffer name.
+ * @property {ArrayBuffer|ArrayBufferView} data - Buffer data.
+ * @property {number} usage - Buffer usage flags (contextSTATIC_DRAW, contextDYNAMIC_DRAW, etc.).
+ * @property {number} [type] - Buffer type (contextARRAY_BUFFER, contextELEMENT_ARRAY_BUFFER).
+ */
+
+/**
+ * Program configuration object.
+ * @typedef {Object} ProgramConfig
+ * @property {ShaderConfig} shaders - Shader configuration.
+ * @property {Object} attributes - Vertex attributes configuration.
+ * @property {Object} uniforms - Uniforms configuration.
+ */
+
+/**
+ * Texture configuration object.
+ * @typedef {Object} TextureConfig
+ * @property {string} name - Texture name.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {ArrayBufferView} data - Texture data.
+ * @property {TextureSource} [source] - Texture image, uploaded with the
+ *     image overload of texImage2D(). width and height default to its size.
+ * @property {boolean} [flipY=false] - Whether uploads are flipped
+ *     vertically (UNPACK_FLIP_Y_WEBGL).
+ * @property {boolean} [premultiplyAlpha=false] - Whether uploads multiply
+ *     the color channels by alpha (UNPACK_PREMULTIPLY_ALPHA_WEBGL).
+ * @property {boolean} [mipmaps=false] - Whether to generate mipmaps after
+ *     every upload. WebGL1 scales non-power-of-two textures up first.
+ * @property {('2d'|'cube')} [dimension='2d'] - TEXTURE_2D or
+ *     TEXTURE_CUBE_MAP. Cube textures have six square faces.
+ * @property {Array<(ArrayBufferView|TextureSource)>} [faces] - Initial
+ *     cube faces in +X, -X, +Y, -Y, +Z, -Z order.
+ * @property {Array<ArrayBufferView>} [levels] - Data of each mip level,
+ *     level 0 first. Required for compressed formats, which need their
+ *     WEBGL_compressed_texture_* or EXT_texture_compression_* extension.
+ * @property {(TextureFormat|number)} [format] - Portable texture format, or
+ *     a GL format used with internalFormat and type. Defaults to
+ *     'rgba32float' for Float32Array data, otherwise contextRGBA. Float
+ *     formats need OES_texture_float/OES_texture_half_float on WebGL1 and
+ *     use nearest filtering without their *_linear extension.
+ * @property {number} [internalFormat=contextRGBA] - Texture internal format.
+ * @property {number} [type=contextUNSIGNED_BYTE] - Texture data type.
+ * @property {Object} [parameters] - Texture parameters.
+ */
+
+/**
+ * Vertex attribute configuration.
+ * @typedef {Object} AttributeConfig
+ * @property {number} size - Number of components per attribute.
+ * @property {number} type - Data type (contextFLOAT, etc.).
+ * @property {boolean} normalized - Whether data is normalized.
+ * @property {number} stride - Byte stride between consecutive attributes.
+ * @property {number} offset - Offset in bytes.
+ */
+
+/**
+ * Event listener callback.
+ * @callback EventCallback
+ * @param {*} data - Event data.
+ */
+
+/**
+ * Buffer metadata for resource management.
+ * @typedef {Object} BufferMetadata
+ * @property {WebGLBuffer} buffer - The WebGL buffer.
+ * @property {number} size - Buffer size in bytes.
+ * @property {number} usage - Buffer usage flags.
+ * @property {number} type - Buffer type.
+ * @property {number} [indexType] - Index type for index buffers (GL.UNSIGNED_SHORT, etc.).
+ */
+
+/**
+ * Texture metadata for resource management.
+ * @typedef {Object} TextureMetadata
+ * @property {WebGLTexture} texture - The WebGL texture.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {number} format - Texture format.
+ * @property {number} internalFormat - Texture internal format.
+ * @property {number} type - Texture data type.
+ */
+
+/**
+ * Framebuffer metadata for resource management.
+ * @typedef {Object} FramebufferMetadata
+ * @property {WebGLFramebuffer} framebuffer - The WebGL framebuffer.
+ * @property {number} width - Framebuffer width.
+ * @property {number} height - Framebuffer height.
+ * @property {number[]} drawBuffers - Color attachment points in draw order.
+ * @property {?OwnedDepthStencil} depthStencil - Depth/stencil attachment
+ *     allocated with the framebuffer.
+ */
+
+/**
+ * Depth/stencil attachment allocated by createFramebuffer().
+ * @typedef {Object} OwnedDepthStencil
+ * @property {string} name - Texture or renderbuffer name.
+ * @property {('texture'|'renderbuffer')} storage - Attachment storage.
+ * @property {string} format - Portable depth/stencil format.
+ */
+
+/**
+ * Framebuffer options.
+ * @typedef {Object} FramebufferOptions
+ * @property {PortableDepthStencilAttachment} [depthStencil] - Depth/stencil
+ *     attachment to allocate (named "<name>.depth").
+ * @property {number} [sampleCount=1] - Sample count of the depth/stencil
+ *     attachment.
+ */
+
+/**
+ * Renderbuffer configuration.
+ * @typedef {Object} RenderbufferConfig
+ * @property {number} width - Renderbuffer width.
+ * @property {number} height - Renderbuffer height.
+ * @property {string} format - Portable format.
+ * @property {number} [sampleCount=1] - Sample count.
+ */
+
+/**
+ * Renderbuffer metadata for resource management.
+ * @typedef {Object} RenderbufferMetadata
+ * @property {WebGLRenderbuffer} renderbuffer - The WebGL renderbuffer.
+ * @property {number} width - Renderbuffer width.
+ * @property {number} height - Renderbuffer height.
+ * @property {string} format - Portable format.
+ * @property {number} sampleCount - Sample count.
+ */
+
+/**
+ * Render target metadata for resource management.
+ * @typedef {Object} RenderTargetMetadata
+ * @property {string} framebuffer - Framebuffer name.
+ * @property {?string} resolveFramebuffer - Name of the framebuffer holding
+ *     the color textures a multisampled target resolves into.
+ * @property {number} width - Render target width.
+ * @property {number} height - Render target height.
+ * @property {string[]} colorTextures - Color texture names per attachment.
+ * @property {string[]} colorRenderbuffers - Multisampled color renderbuffer
+ *     names per attachment (empty when not multisampled).
+ * @property {string[]} formats - Portable color formats per attachment.
+ * @property {?string} depthTexture - Depth texture name.
+ * @property {?string} depthStencilFormat - Portable depth/stencil format.
+ * @property {number} sampleCount - Sample count.
+ */
+
+/**
+ * Pipeline metadata for resource management.
+ * @typedef {Object} PipelineMetadata
+ * @property {string} program - Program name.
+ * @property {Array<Object>} vertexBuffers - Portable vertex buffer layouts.
+ * @property {number} mode - Primitive mode (GL.TRIANGLES, etc.).
+ * @property {Object} primitive - Portable primitive state.
+ * @property {?Object} depthStencil - Portable depth state.
+ * @property {?Object} [blend] - Portable blend state. Undefined leaves the
+ *     setBlendState() state untouched.
+ */
+
+/**
+ * Program metadata for resource management.
+ * @typedef {Object} ProgramMetadata
+ * @property {WebGLProgram} program - The WebGL program.
+ * @property {WebGLShader} vertexShader - Vertex shader.
+ * @property {WebGLShader} fragmentShader - Fragment shader.
+ * @property {Object<string, ActiveAttribute>} attributes - Active
+ *     attributes by name.
+ * @property {Object<string, ActiveUniform>} uniforms - Active uniforms by
+ *     name, without the "[0]" suffix of arrays.
+ * @property {Object<string, ActiveUniformBlock>} uniformBlocks - Active
+ *     uniform blocks by name (WebGL2).
+ * @property {Object<string, ?ActiveUniform>} uniformElements - Array
+ *     elements such as "u_lights[2]" looked up so far, null if inactive.
+ * @property {Map<number, {texture: string, sampler: (string|undefined)}>}
+ *     textureBindings - Textures and samplers set on the sampler uniforms by
+ *     texture unit, rebound when the program draws.
+ */
+
+/**
+ * Active attribute of a linked program.
+ * @typedef {Object} ActiveAttribute
+ * @property {string} name - Attribute name.
+ * @property {number} location - Attribute location.
+ * @property {number} type - WebGL type constant, e.g. FLOAT_VEC3.
+ * @property {?string} glslType - GLSL type, e.g. 'vec3'.
+ * @property {number} size - Array length, 1 for non-arrays.
+ * @property {number} locations - Number of consecutive locations taken
+ *     (matrix columns times array length).
+ */
+
+/**
+ * Active uniform of a linked program.
+ * @typedef {Object} ActiveUniform
+ * @property {string} name - Uniform name, without the "[0]" suffix of arrays.
+ * @property {WebGLUniformLocation} location - Location of the first element.
+ * @property {number} type - WebGL type constant, e.g. FLOAT_MAT4.
+ * @property {?string} glslType - GLSL type, e.g. 'mat4'.
+ * @property {number} size - Array length (elements from this one on for
+ *     array elements), 1 for non-arrays.
+ * @property {boolean} isArray - Whether the uniform is an array.
+ * @property {?number} unit - First texture unit of sampler uniforms,
+ *     allocated in declaration order when the program is linked.
+ */
+
+/**
+ * Active uniform block of a linked WebGL2 program.
+ * @typedef {Object} ActiveUniformBlock
+ * @property {string} name - Block name.
+ * @property {number} index - Block index.
+ * @property {number} binding - Uniform buffer binding point.
+ * @property {?number} size - Minimum buffer size in bytes.
+ * @property {Array<string>} uniforms - Names of the block members.
+ */
+
+/**
+ * Renderer using WebGL1 API for graphics rendering.
+ * @extends Renderer
+ */
+export class WGLRenderer extends Renderer {
+  /**
+   * Creates an instance of WGLRenderer.
+   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
+   * @param {Object} [options] - Renderer options.
+   * @param {WebGLRenderingContext} [options.context] - Context to use instead
+   *     of creating one from the canvas (e.g. a mock context in tests).
+   */
+  constructor(canvas, { context = null, ...options } = {}) {
+    super(canvas);
+
+    /**
+     * Injected rendering context.
+     * @type {?WebGLRenderingContext}
+     * @private
+     */
+    this.injectedContext_ = context;
+
+    /**
+     * WebGL context.
+     * @type {?WebGLRenderingContext}
+     * @private
+     */
+    this.context = null;
+
+    /**
+     * Renderer options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = {
+      alpha: options.alpha !== false,
+      depth: options.depth !== false,
+      stencil: options.stencil || false,
+      antialias: options.antialias !== false,
+      premultipliedAlpha: options.premultipliedAlpha || false,
+      preserveDrawingBuffer: options.preserveDrawingBuffer || false,
+      ...options,
+    };
+
+    /**
+     * Shader programs.
+     * @type {Map<string, ProgramMetadata>}
+     * @private
+     */
+    this.programs_ = new Map();
+
+    /**
+     * Compiled shaders by stage and preprocessed code, shared by programs
+     * of the same shader variant.
+     * @type {Map<string, {shader: WebGLShader, refCount: number}>}
+     * @private
+     */
+    this.shaderCache_ = new Map();
+
+    /**
+     * GPU buffers with metadata.
+     * @type {Map<string, BufferMetadata>}
+     * @private
+     */
+    this.buffers_ = new Map();
+
+    /**
+     * Textures with metadata.
+     * @type {Map<string, TextureMetadata>}
+     * @private
+     */
+    this.textures_ = new Map();
+
+    /**
+     * Framebuffers with metadata.
+     * @type {Map<string, FramebufferMetadata>}
+     * @private
+     */
+    this.framebuffers_ = new Map();
+
+    /**
+     * Render targets with metadata.
+     * @type {Map<string, RenderTargetMetadata>}
+     * @private
+     */
+    this.renderTargets_ = new Map();
+
+    /**
+     * Current render target.
+     * @type {?string}
+     * @private
+     */
+    this.currentRenderTarget_ = null;
+
+    /**
+     * Renderbuffers with metadata.
+     * @type {Map<string, RenderbufferMetadata>}
+     * @private
+     */
+    this.renderbuffers_ = new Map();
+
+    /**
+     * Pipelines (programs with vertex layout and render state).
+     * @type {Map<string, PipelineMetadata>}
+     * @private
+     */
+    this.pipelines_ = new Map();
+
+    /**
+     * Samplers as texture parameter sets.
+     * @type {Map<string, Object<string, number>>}
+     * @private
+     */
+    this.samplers_ = new Map();
+
+    /**
+     * Current pipeline name.
+     * @type {?string}
+     * @private
+     */
+    this.currentPipeline_ = null;
+
+    /**
+     * Vertex attribute locations enabled by drawMesh().
+     * @type {Set<number>}
+     * @private
+     */
+    this.enabledAttributes_ = new Set();
+
+    /**
+     * Current program name.
+     * @type {?string}
+     * @private
+     */
+    this.currentProgram_ = null;
+
+    /**
+     * Current clear color.
+     * @type {number[]}
+     * @private
+     */
+    this.clearColor_ = [0.1, 0.1, 0.1, 1.0];
+
+    /**
+     * Event listeners.
+     * @type {Map<string, Set<EventCallback>>}
+     * @private
+     */
+    this.eventListeners_ = new Map();
+
+    /**
+     * Frame count.
+     * @type {number}
+     * @private
+     */
+    this.frameCount_ = 0;
+
+    /**
+     * Start time for statistics.
+     * @type {number}
+     * @private
+     */
+    this.startTime_ = performance.now();
+
+    /**
+     * Current framebuffer.
+     * @type {?string}
+     * @private
+     */
+    this.currentFramebuffer_ = null;
+
+    /**
+     * Blend state enabled.
+     * @type {boolean}
+     * @private
+     */
+    this.blendEnabled_ = false;
+
+    /**
+     * Depth test state enabled.
+     * @type {boolean}
+     * @private
+     */
+    this.depthTestEnabled_ = false;
+
+    /**
+     * Cull face state enabled.
+     * @type {boolean}
+     * @private
+     */
+    this.cullFaceEnabled_ = false;
+
+    /**
+     * Current cull face mode.
+     * @type {number}
+     * @private
+     */
+    this.cullFaceMode_ = 0x0405; // GL.BACK
+
+    /**
+     * Current depth function.
+     * @type {number}
+     * @private
+     */
+    this.depthFunc_ = 0x0201; // GL.LESS
+
+    /**
+     * Current blend function.
+     * @type {Object}
+     * @private
+     */
+    this.blendFunc_ = {
+      src: 0x0302, // GL.SRC_ALPHA
+      dst: 0x0303, // GL.ONE_MINUS_SRC_ALPHA
+    };
+
+    /**
+     * Currently open render pass.
+     * @type {?{label: string, target: ?string, previousFramebuffer: ?string, storeOp: string, drawCount: number}}
+     * @private
+     */
+    this.currentPass_ = null;
+
+    /**
+     * Passes ended since the last submit.
+     * @type {number}
+     * @private
+     */
+    this.passCount_ = 0;
+  }
+
+  /**
+   * Initializes WebGL renderer.
+   * @override
+   * @returns {Promise<boolean>} Promise that resolves to true on successful initialization.
+   * @throws {Error} If WebGL is not supported or initialization fails.
+   */
+  async initialize() {
+    if (!this.injectedContext_ && !WGLRenderer.isSupported()) {
+      throw new Error('WebGL is not supported in this browser.');
+    }
+
+    try {
+      // Get WebGL context
+      this.context =
+        this.injectedContext_ ||
+        this.canvas.getContext('webgl', this.options_) ||
+        this.canvas.getContext('experimental-webgl', this.options_);
+
+      if (!this.context) {
+        throw new Error('Failed to get WebGL context.');
+      }
+
+      // Set initial state
+      this.setClearColor(...this.clearColor_);
+      this.setDepthTest(this.depthTestEnabled_);
+      this.setBlendState(this.blendEnabled_);
+      this.setCullFace(this.cullFaceEnabled_, this.cullFaceMode_);
+
+      this.isInitialized = true;
+      this.emit('initialized', {
+        backend: WGLRenderer.backend,
+        gl: this.context,
+        options: this.options_,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize WGLRenderer:', error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compiles a shader, or reuses the compiled shader of the same stage and
+   * code. Compile errors are reported at their original chunk lines.
+   * @param {number} type - Shader type (GL.VERTEX_SHADER or GL.FRAGMENT_SHADER).
+   * @param {ProcessedShader} source - Preprocessed shader source.
+   * @returns {WebGLShader} Compiled shader.
+   * @private
+   */
+  compileShader_(type, source) {
+    const key = `${type}\n${source.code}`;
+    const cached = this.shaderCache_.get(key);
+    if (cached) {
+      cached.refCount++;
+      return cached.shader;
+    }
+
+    const shader = this.context.createShader(type);
+    this.context.shaderSource(shader, source.code);
+    this.context.compileShader(shader);
+
+    if (!this.context.getShaderParameter(shader, this.context.COMPILE_STATUS)) {
+      const info = this.context.getShaderInfoLog(shader);
+      this.context.deleteShader(shader);
+      throw new Error(
+        `Shader compilation failed: ${ShaderPreprocessor.mapInfoLog(
+          info,
+          source
+        )}`
+      );
+    }
+
+    this.shaderCache_.set(key, { shader, refCount: 1 });
+    return shader;
+  }
+
+  /**
+   * Releases a shader from compileShader_(), deleting it when no program
+   * uses it anymore.
+   * @param {WebGLShader} shader - Compiled shader.
+   * @private
+   */
+  releaseShader_(shader) {
+    for (const [key, entry] of this.shaderCache_) {
+      if (entry.shader === shader) {
+        if (--entry.refCount === 0) {
+          this.context.deleteShader(shader);
+          this.shaderCache_.delete(key);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Creates a shader program. The shaders are run through the shader
+   * preprocessor with the variant's defines and features; programs of the
+   * same variant share their compiled shaders but are linked separately,
+   * so their uniforms stay independent.
+   * @param {string} name - Program name.
+   * @param {ShaderConfig} shaders - Shader configuration.
+   * @param {Object<string, number>} [attributeLocations] - Attribute locations to bind before linking.
+   * @returns {WebGLProgram} Created program.
+   * @throws {Error} If renderer not initialized, or preprocessing,
+   *     compilation or linking fails.
+   */
+  createProgram(name, shaders, attributeLocations = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    try {
+      const options = {
+        defines: shaders.defines,
+        features: shaders.features,
+        language: ShaderLanguage.GLSL,
+        program: name,
+      };
+      const vertexShader = this.compileShader_(
+        this.context.VERTEX_SHADER,
+        this.shaderPreprocessor_.process(shaders.vertex, {
+          ...options,
+          name: `${name}.vertex`,
+        })
+      );
+      const fragmentShader = this.compileShader_(
+        this.context.FRAGMENT_SHADER,
+        this.shaderPreprocessor_.process(shaders.fragment, {
+          ...options,
+          name: `${name}.fragment`,
+        })
+      );
+
+      const program = this.context.createProgram();
+      this.context.attachShader(program, vertexShader);
+      this.context.attachShader(program, fragmentShader);
+
+      Object.entries(attributeLocations).forEach(([attribute, location]) => {
+        this.context.bindAttribLocation(program, location, attribute);
+      });
+
+      this.context.linkProgram(program);
+
+      if (
+        !this.context.getProgramParameter(program, this.context.LINK_STATUS)
+      ) {
+        const info = this.context.getProgramInfoLog(program);
+        this.context.deleteProgram(program);
+        this.releaseShader_(vertexShader);
+        this.releaseShader_(fragmentShader);
+        throw new Error(`Program linking failed: ${info}`);
+      }
+
+      const { attributes, uniforms, uniformBlocks } =
+        this.reflectProgram_(program);
+
+      // Store program metadata
+      const metadata = {
+        program,
+        vertexShader,
+        fragmentShader,
+        attributes,
+        uniforms,
+        uniformBlocks,
+        uniformElements: {},
+        textureBindings: new Map(),
+      };
+
+      this.programs_.set(name, metadata);
+
+      this.emit('programCreated', { name });
+      return program;
+    } catch (error) {
+      console.error(`Failed to create program "${name}":`, error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enumerates the active attributes, uniforms and uniform blocks of a
+   * linked program.
+   * @param {WebGLProgram} program - Linked program.
+   * @returns {{attributes: Object<string, ActiveAttribute>, uniforms: Object<string, ActiveUniform>, uniformBlocks: Object<string, ActiveUniformBlock>}}
+   *     Program reflection.
+   * @protected
+   */
+  reflectProgram_(program) {
+    const gl = this.context;
+
+    const attributes = {};
+    const attributeCount = gl.getProgramParameter(
+      program,
+      gl.ACTIVE_ATTRIBUTES
+    );
+    for (let index = 0; index < attributeCount; index++) {
+      const info = gl.getActiveAttrib(program, index);
+      // Some drivers report built-ins such as gl_VertexID
+      if (!info || info.name.startsWith('gl_')) {
+        continue;
+      }
+      const type = this.resolveUniformType_(info.type);
+      attributes[info.name] = {
+        name: info.name,
+        location: gl.getAttribLocation(program, info.name),
+        type: info.type,
+        glslType: type ? type.type : null,
+        size: info.size,
+        locations: ((type && type.columns) || 1) * info.size,
+      };
+    }
+
+    const uniforms = {};
+    let nextUnit = 0;
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let index = 0; index < uniformCount; index++) {
+      const info = gl.getActiveUniform(program, index);
+      if (!info || info.name.startsWith('gl_')) {
+        continue;
+      }
+      // Members of uniform blocks have no location
+      const location = gl.getUniformLocation(program, info.name);
+      if (location === null) {
+        continue;
+      }
+      const isArray = info.name.endsWith('[0]');
+      const name = isArray ? info.name.slice(0, -3) : info.name;
+      const type = this.resolveUniformType_(info.type);
+      const isSampler = !!type && type.kind === 'sampler';
+      uniforms[name] = {
+        name,
+        location,
+        type: info.type,
+        glslType: type ? type.type : null,
+        size: info.size,
+        isArray,
+        unit: isSampler ? nextUnit : null,
+      };
+      if (isSampler) {
+        nextUnit += info.size;
+      }
+    }
+
+    return { attributes, uniforms, uniformBlocks: {} };
+  }
+
+  /**
+   * Resolves a WebGL attribute or uniform type constant.
+   * @param {number} type - Type constant, e.g. FLOAT_VEC3.
+   * @param {Object} [table] - Type table to resolve against.
+   * @returns {?{type: string, components: number, kind: string, columns: (number|undefined)}}
+   *     Type description, or null if unknown.
+   * @private
+   */
+  resolveUniformType_(type, table = GL_UNIFORM_TYPES) {
+    const name = Object.keys(table).find(key => this.context[key] === type);
+    return name ? table[name] : null;
+  }
+
+  /**
+   * Returns the active attributes, uniforms and uniform blocks of a program.
+   * @param {string} name - Program (or pipeline) name.
+   * @returns {?{attributes: Object<string, ActiveAttribute>, uniforms: Object<string, ActiveUniform>, uniformBlocks: Object<string, ActiveUniformBlock>}}
+   *     Program reflection, or null if the program does not exist.
+   */
+  getProgramReflection(name) {
+    const metadata = this.programs_.get(name);
+    if (!metadata) {
+      return null;
+    }
+    const { attributes, uniforms, uniformBlocks } = metadata;
+    return { attributes, uniforms, uniformBlocks };
+  }
+
+  /**
+   * Sets up vertex attributes for a program.
+   * @param {string} programName - Program name.
+   * @param {Object} attributesConfig - Attributes configuration.
+   */
+  setupVertexAttributes(programName, attributesConfig) {
+    const programMetadata = this.programs_.get(programName);
+    if (!programMetadata) {
+      throw new Error(`Program "${programName}" not found.`);
+    }
+
+    this.useProgram(programName);
+
+    Object.entries(attributesConfig).forEach(([name, config]) => {
+      const location = this.context.getAttribLocation(
+        programMetadata.program,
+        name
+      );
+      if (location === -1) {
+        console.warn(
+          `Attribute "${name}" not found in program "${programName}"`
+        );
+        return;
+      }
+
+      programMetadata.attributes[name] = {
+        ...programMetadata.attributes[name],
+        location,
+        pointer: {
+          size: config.size || 3,
+          type: config.type || this.context.FLOAT,
+          normalized: config.normalized || false,
+          stride: config.stride || 0,
+          offset: config.offset || 0,
+        },
+      };
+    });
+
+    this.emit('vertexAttributesSetup', {
+      programName,
+      attributes: attributesConfig,
+    });
+  }
+
+  /**
+   * Creates a pipeline from a portable pipeline configuration.
+   * Attribute names in the vertex layouts are bound to their shader locations.
+   * The columns of matrix attributes repeat the attribute name; the name is
+   * bound to the first column.
+   * @override
+   * @param {string} name - Pipeline name (also used as program name).
+   * @param {PortablePipelineConfig} config - Pipeline configuration.
+   * @returns {WebGLProgram} Created program.
+   * @throws {Error} If a vertex attribute has no name.
+   */
+  createPipeline(name, config) {
+    const attributeLocations = {};
+    (config.vertexBuffers || []).forEach(layout => {
+      layout.attributes.forEach(attribute => {
+        if (!attribute.name) {
+          throw new Error(
+            `Vertex attribute at location ${attribute.shaderLocation} of pipeline "${name}" needs a name in WebGL.`
+          );
+        }
+        attributeLocations[attribute.name] = Math.min(
+          attribute.shaderLocation,
+          attributeLocations[attribute.name] ?? Infinity
+        );
+      });
+    });
+
+    const program = this.createProgram(
+      name,
+      {
+        ...config.shaders,
+        defines: config.defines ?? config.shaders.defines,
+        features: config.features ?? config.shaders.features,
+      },
+      attributeLocations
+    );
+
+    const primitive = config.primitive || {};
+    const topology = primitive.topology || 'triangle-list';
+
+    this.pipelines_.set(name, {
+      program: name,
+      vertexBuffers: config.vertexBuffers || [],
+      mode: this.context[GL_TOPOLOGIES[topology]],
+      primitive,
+      depthStencil: config.depthStencil || null,
+      blend: config.blend,
+    });
+
+    this.emit('pipelineCreated', { name, config });
+    return program;
+  }
+
+  /**
+   * Sets the current pipeline and applies its render state.
+   * @override
+   * @param {string} name - Pipeline name.
+   */
+  setPipeline(name) {
+    const pipelineMetadata = this.pipelines_.get(name);
+    if (!pipelineMetadata) {
+      throw new Error(`Pipeline "${name}" not found.`);
+    }
+
+    this.useProgram(pipelineMetadata.program);
+
+    const { primitive, depthStencil, blend } = pipelineMetadata;
+
+    if (blend) {
+      this.applyBlendState_(blend);
+    } else if (blend === null) {
+      this.setBlendState(false);
+    }
+
+    if (depthStencil) {
+      this.setDepthTest(
+        true,
+        this.context[GL_COMPARE_FUNCTIONS[depthStencil.depthCompare || 'less']]
+      );
+      this.context.depthMask(depthStencil.depthWriteEnabled !== false);
+    } else {
+      this.setDepthTest(false);
+    }
+
+    const cullMode = primitive.cullMode || 'none';
+    this.setCullFace(
+      cullMode !== 'none',
+      cullMode === 'front' ? this.context.FRONT : this.context.BACK
+    );
+    this.context.frontFace(
+      primitive.frontFace === 'cw' ? this.context.CW : this.context.CCW
+    );
+
+    this.currentPipeline_ = name;
+    this.emit('pipelineSet', { name });
+  }
+
+  /**
+   * Enables blending with a portable blend state.
+   * @param {PortableBlendState} blend - Blend state.
+   * @private
+   */
+  applyBlendState_(blend) {
+    const color = blend.color || {};
+    const alpha = blend.alpha || {};
+
+    this.blendEnabled_ = true;
+    this.context.enable(this.context.BLEND);
+    this.context.blendFuncSeparate(
+      this.resolveBlendFactor_(color.srcFactor || 'one'),
+      this.resolveBlendFactor_(color.dstFactor || 'zero'),
+      this.resolveBlendFactor_(alpha.srcFactor || 'one'),
+      this.resolveBlendFactor_(alpha.dstFactor || 'zero')
+    );
+    this.context.blendEquationSeparate(
+      this.resolveBlendOperation_(color.operation || 'add'),
+      this.resolveBlendOperation_(alpha.operation || 'add')
+    );
+  }
+
+  /**
+   * Resolves a portable blend factor to a GL constant.
+   * @param {BlendFactor} factor - Blend factor.
+   * @returns {number} GL blend factor.
+   * @throws {Error} If the factor is unknown.
+   * @private
+   */
+  resolveBlendFactor_(factor) {
+    const value = this.context[GL_BLEND_FACTORS[factor]];
+    if (value === undefined) {
+      throw new Error(`Blend factor "${factor}" is not supported by WebGL.`);
+    }
+    return value;
+  }
+
+  /**
+   * Resolves a portable blend operation to a GL constant.
+   * @param {BlendOperation} operation - Blend operation.
+   * @returns {number} GL blend equation.
+   * @throws {Error} If the operation is not supported.
+   * @private
+   */
+  resolveBlendOperation_(operation) {
+    const name = GL_BLEND_OPERATIONS[operation];
+    let value = this.context[name];
+    if (value === undefined && (operation === 'min' || operation === 'max')) {
+      const extension = this.context.getExtension('EXT_blend_minmax');
+      value = extension ? extension[`${name}_EXT`] : undefined;
+    }
+    if (value === undefined) {
+      throw new Error(
+        `Blend operation "${operation}" is not supported by this context.`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Destroys a pipeline and its program.
+   * @override
+   * @param {string} name - Pipeline name.
+   */
+  destroyPipeline(name) {
+    const pipelineMetadata = this.pipelines_.get(name);
+    if (!pipelineMetadata) {
+      return;
+    }
+
+    const programMetadata = this.programs_.get(pipelineMetadata.program);
+    if (programMetadata) {
+      this.context.deleteProgram(programMetadata.program);
+      this.releaseShader_(programMetadata.vertexShader);
+      this.releaseShader_(programMetadata.fragmentShader);
+      this.programs_.delete(pipelineMetadata.program);
+    }
+    this.shaderPreprocessor_.evict(pipelineMetadata.program);
+
+    if (this.currentProgram_ === pipelineMetadata.program) {
+      this.currentProgram_ = null;
+    }
+    if (this.currentPipeline_ === name) {
+      this.currentPipeline_ = null;
+    }
+
+    this.pipelines_.delete(name);
+    this.emit('pipelineDestroyed', { name });
+  }
+
+  /**
+   * Sets a uniform value, converted to the reflected type of the uniform:
+   * float, vector and matrix uniforms take numbers, arrays (nested ones
+   * holding one element each) and typed arrays, with column-major matrices
+   * unless options.transpose is set; int, uint and bool uniforms take
+   * numbers, booleans and arrays; sampler uniforms take a texture name,
+   * {texture, sampler} or an array of them, bound to texture units the
+   * program allocates per sampler (and rebinds when it draws), or explicit
+   * texture units. Arrays can be set from an element on ("u_lights[2]"),
+   * struct members by dotted names ("u_light.color") or all at once from an
+   * object, and arrays of structs from an array of objects.
+   * @param {string} programName - Program name.
+   * @param {string} uniformName - Uniform name.
+   * @param {*} value - Uniform value.
+   * @param {Object} [options] - Setter options.
+   * @param {boolean} [options.transpose=false] - Whether matrices are given
+   *     row-major.
+   * @throws {Error} If the program does not exist or the value does not
+   *     match the uniform type.
+   */
+  setUniform(programName, uniformName, value, options = {}) {
+    const programMetadata = this.programs_.get(programName);
+    if (!programMetadata) {
+      throw new Error(`Program "${programName}" not found.`);
+    }
+
+    this.useProgram(programName);
+
+    const uniform = this.findUniform_(programMetadata, uniformName);
+    if (!uniform && isStructValue(value)) {
+      Object.entries(value).forEach(([key, member]) => {
+        this.setUniform(
+          programName,
+          Array.isArray(value)
+            ? `${uniformName}[${key}]`
+            : `${uniformName}.${key}`,
+          member,
+          options
+        );
+      });
+      return;
+    }
+    if (!uniform) {
+      console.warn(
+        `Uniform "${uniformName}" not found in program "${programName}"`
+      );
+      return;
+    }
+
+    const type = this.resolveUniformType_(uniform.type);
+    if (!type) {
+      throw new Error(
+        `Uniform "${uniform.name}" of program "${programName}" has an unsupported type.`
+      );
+    }
+
+    if (type.kind === 'sampler') {
+      this.setSamplerUniform_(
+        programName,
+        programMetadata,
+        uniform,
+        type,
+        value
+      );
+      return;
+    }
+
+    const data = this.toUniformData_(programName, uniform, type, value);
+    if (type.columns) {
+      this.uniformMatrix_(uniform.location, data, type, !!options.transpose);
+      return;
+    }
+    const suffix =
+      type.kind === 'float' ? 'f' : type.kind === 'uint' ? 'ui' : 'i';
+    this.context[`uniform${type.components}${suffix}v`](uniform.location, data);
+  }
+
+  /**
+   * Sets several uniforms of a program, see setUniform(). Uniforms the
+   * program does not use, e.g. because the compiler optimized them out, are
+   * skipped.
+   * @param {string} programName - Program name.
+   * @param {Object<string, *>} values - Uniform values by name; objects
+   *     and arrays of objects set structs.
+   * @param {Object} [options] - Setter options, see setUniform().
+   * @throws {Error} If the program does not exist or a value does not match
+   *     its uniform type.
+   */
+  setUniforms(programName, values, options = {}) {
+    const programMetadata = this.programs_.get(programName);
+    if (!programMetadata) {
+      throw new Error(`Program "${programName}" not found.`);
+    }
+
+    const setValue = (name, value) => {
+      if (this.findUniform_(programMetadata, name)) {
+        this.setUniform(programName, name, value, options);
+      } else if (isStructValue(value)) {
+        Object.entries(value).forEach(([key, member]) => {
+          setValue(
+            Array.isArray(value) ? `${name}[${key}]` : `${name}.${key}`,
+            member
+          );
+        });
+      }
+    };
+    Object.entries(values).forEach(([name, value]) => setValue(name, value));
+  }
+
+  /**
+   * Creates a GPU buffer.
+   * @param {BufferConfig} config - Buffer configuration.
+   * @returns {WebGLBuffer} Created buffer.
+   * @throws {Error} If renderer not initialized.
+   */
+  createBuffer(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const buffer = this.context.createBuffer();
+    if (!buffer) {
+      throw new Error('Failed to create buffer.');
+    }
+
+    const { type, usage } =
+      typeof config.usage === 'string'
+        ? this.resolveBufferUsage_(config.usage, config.dynamic)
+        : {
+            type: config.type || this.context.ARRAY_BUFFER,
+            usage: config.usage || this.context.STATIC_DRAW,
+          };
+
+    this.context.bindBuffer(type, buffer);
+    this.context.bufferData(type, config.data, usage);
+
+    const metadata = {
+      buffer,
+      size: config.data.byteLength,
+      usage,
+      type,
+    };
+
+    if (type === this.context.ELEMENT_ARRAY_BUFFER) {
+      metadata.indexType = this.resolveIndexType_(config.data);
+    }
+
+    this.buffers_.set(config.name, metadata);
+    this.context.bindBuffer(type, null);
+
+    this.emit('bufferCreated', {
+      name: config.name,
+      size: config.data.byteLength,
+      usage,
+      type,
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Resolves a portable buffer usage into a WebGL buffer type and usage hint.
+   * @param {BufferUsage} usage - Portable buffer usage.
+   * @param {boolean} [dynamic=false] - Whether the buffer is updated often.
+   * @returns {{type: number, usage: number}} WebGL buffer type and usage.
+   * @throws {Error} If the usage is not supported by this backend.
+   * @private
+   */
+  resolveBufferUsage_(usage, dynamic = false) {
+    const hint = dynamic ? this.context.DYNAMIC_DRAW : this.context.STATIC_DRAW;
+
+    switch (usage) {
+      case BufferUsage.VERTEX:
+        return { type: this.context.ARRAY_BUFFER, usage: hint };
+      case BufferUsage.INDEX:
+        return { type: this.context.ELEMENT_ARRAY_BUFFER, usage: hint };
+      default:
+        throw new Error(`Buffer usage "${usage}" is not supported by WebGL.`);
+    }
+  }
+
+  /**
+   * Resolves the WebGL index type for index data.
+   * @param {ArrayBuffer|ArrayBufferView} data - Index data.
+   * @returns {number} GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT or GL.UNSIGNED_INT.
+   * @throws {Error} If 32-bit indices are not supported.
+   * @private
+   */
+  resolveIndexType_(data) {
+    if (data instanceof Uint8Array) {
+      return this.context.UNSIGNED_BYTE;
+    }
+    if (data instanceof Uint32Array) {
+      if (!this.context.getExtension('OES_element_index_uint')) {
+        throw new Error(
+          '32-bit indices are not supported (OES_element_index_uint).'
+        );
+      }
+      return this.context.UNSIGNED_INT;
+    }
+    return this.context.UNSIGNED_SHORT;
+  }
+
+  /**
+   * Destroys a buffer and removes it from management.
+   * @override
+   * @param {string} name - Buffer name.
+   */
+  destroyBuffer(name) {
+    const bufferMetadata = this.buffers_.get(name);
+    if (bufferMetadata) {
+      this.context.deleteBuffer(bufferMetadata.buffer);
+      this.buffers_.delete(name);
+      this.emit('bufferDestroyed', { name });
+    }
+  }
+
+  /**
+   * Updates buffer data.
+   * @param {string} name - Buffer name.
+   * @param {ArrayBuffer|ArrayBufferView} data - New data.
+   * @param {number} [offset=0] - Offset in bytes.
+   */
+  updateBuffer(name, data, offset = 0) {
+    const bufferMetadata = this.buffers_.get(name);
+    if (!bufferMetadata) {
+      throw new Error(`Buffer "${name}" not found.`);
+    }
+
+    this.context.bindBuffer(bufferMetadata.type, bufferMetadata.buffer);
+
+    if (offset === 0 && data.byteLength === bufferMetadata.size) {
+      this.context.bufferData(bufferMetadata.type, data, bufferMetadata.usage);
+    } else {
+      this.context.bufferSubData(bufferMetadata.type, offset, data);
+    }
+
+    this.context.bindBuffer(bufferMetadata.type, null);
+
+    this.emit('bufferUpdated', { name, offset, size: data.byteLength });
+  }
+
+  /**
+   * Creates a texture.
+   * @param {TextureConfig} config - Texture configuration.
+   * @returns {WebGLTexture} Created texture.
+   * @throws {Error} If renderer not initialized.
+   */
+  createTexture(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const cube = config.dimension === 'cube';
+    if (cube && config.levels) {
+      throw new Error(
+        `Cube texture "${config.name}" cannot be created from levels.`
+      );
+    }
+    if (cube && config.faces && config.faces.length !== 6) {
+      throw new Error(`Cube texture "${config.name}" needs six faces.`);
+    }
+    const initialData = cube ? config.faces && config.faces[0] : config.data;
+    const portableFormat =
+      config.format ??
+      (initialData instanceof Float32Array ? 'rgba32float' : undefined);
+    if (typeof portableFormat === 'string') {
+      this.assertTextureFormatSupported_(portableFormat);
+    }
+    const compressed = GL_COMPRESSED_FORMATS[portableFormat];
+    const filterable = this.isTextureFormatFilterable_(portableFormat);
+
+    const texture = this.context.createTexture();
+    if (!texture) {
+      throw new Error('Failed to create texture.');
+    }
+    const target = cube
+      ? this.context.TEXTURE_CUBE_MAP
+      : this.context.TEXTURE_2D;
+    const levelCount = config.levels ? config.levels.length : 1;
+    const mipmaps = config.levels ? levelCount > 1 : !!config.mipmaps;
+
+    const { format, internalFormat, type } = compressed
+      ? { internalFormat: compressed.internalFormat }
+      : typeof portableFormat === 'string'
+      ? this.resolveTextureFormat_(portableFormat)
+      : {
+          format: config.format || this.context.RGBA,
+          internalFormat: config.internalFormat || this.context.RGBA,
+          type: config.type || this.context.UNSIGNED_BYTE,
+        };
+
+    this.context.bindTexture(target, texture);
+
+    // Set texture parameters
+    if (config.parameters) {
+      Object.entries(config.parameters).forEach(([pname, pvalue]) => {
+        const param = this.context[pname];
+        if (param !== undefined) {
+          this.context.texParameteri(target, param, pvalue);
+        }
+      });
+    } else {
+      // Default parameters, nearest for float formats without linear filtering
+      const filter = filterable ? this.context.LINEAR : this.context.NEAREST;
+      this.context.texParameteri(
+        target,
+        this.context.TEXTURE_MIN_FILTER,
+        mipmaps
+          ? filterable
+            ? this.context.LINEAR_MIPMAP_LINEAR
+            : this.context.NEAREST_MIPMAP_NEAREST
+          : filter
+      );
+      this.context.texParameteri(
+        target,
+        this.context.TEXTURE_MAG_FILTER,
+        filter
+      );
+      this.context.texParameteri(
+        target,
+        this.context.TEXTURE_WRAP_S,
+        this.context.CLAMP_TO_EDGE
+      );
+      this.context.texParameteri(
+        target,
+        this.context.TEXTURE_WRAP_T,
+        this.context.CLAMP_TO_EDGE
+      );
+    }
+
+    const image = cube ? config.faces && config.faces[0] : config.source;
+    const size =
+      image && !ArrayBuffer.isView(image) ? getSourceSize(image) : config;
+    const metadata = {
+      texture,
+      target,
+      width: config.width || size.width,
+      height: config.height || size.height,
+      format,
+      internalFormat,
+      type,
+      portableFormat:
+        typeof portableFormat === 'string' ? portableFormat : null,
+      flipY: !!config.flipY,
+      premultiplyAlpha: !!config.premultiplyAlpha,
+      mipmaps,
+      compressed: !!compressed,
+      filterable,
+    };
+
+    if (cube && metadata.width !== metadata.height) {
+      this.context.bindTexture(target, null);
+      this.context.deleteTexture(texture);
+      throw new Error(
+        `Cube texture "${config.name}" faces must be square, got ${metadata.width}x${metadata.height}.`
+      );
+    }
+
+    if (config.levels) {
+      this.uploadLevels_(metadata, config.levels);
+    } else if (cube) {
+      this.uploadTexture_(metadata, config.faces || null);
+    } else {
+      this.uploadTexture_(metadata, config.source || config.data || null);
+    }
+
+    this.textures_.set(config.name, metadata);
+    this.context.bindTexture(target, null);
+
+    this.emit('textureCreated', {
+      name: config.name,
+      width: metadata.width,
+      height: metadata.height,
+    });
+
+    return texture;
+  }
+
+  /**
+   * Replaces the contents of a texture, resizing it if width and height
+   * differ from its size.
+   * @override
+   * @param {string} name - Texture name.
+   * @param {ArrayBufferView|TextureSource|Array<(ArrayBufferView|TextureSource)>} data
+   *     Texel data or image, or the six faces of a cube texture.
+   * @param {number} [width] - New width. Defaults to the image size, or
+   *     the current width for data.
+   * @param {number} [height] - New height. Defaults to the image size, or
+   *     the current height for data.
+   * @throws {Error} If the texture does not exist or is compressed, or a
+   *     cube texture does not get six faces.
+   */
+  updateTexture(name, data, width, height) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+    if (textureMetadata.compressed) {
+      throw new Error(
+        `Compressed texture "${name}" cannot be updated; recreate it with createTexture({levels}).`
+      );
+    }
+
+    const { target } = textureMetadata;
+    let image = data;
+    if (target === this.context.TEXTURE_CUBE_MAP) {
+      if (!Array.isArray(data) || data.length !== 6) {
+        throw new Error(`Cube texture "${name}" needs six faces.`);
+      }
+      image = data[0];
+    }
+
+    const size = ArrayBuffer.isView(image)
+      ? textureMetadata
+      : getSourceSize(image);
+    textureMetadata.width = width || size.width;
+    textureMetadata.height = height || size.height;
+
+    this.context.bindTexture(target, textureMetadata.texture);
+    this.uploadTexture_(textureMetadata, data);
+    this.context.bindTexture(target, null);
+
+    this.emit('textureUpdated', {
+      name,
+      width: textureMetadata.width,
+      height: textureMetadata.height,
+    });
+  }
+
+  /**
+   * Regenerates the mip levels of a texture from level 0. Called after
+   * every upload of textures created with mipmaps.
+   * @param {string} name - Texture name.
+   * @throws {Error} If the texture does not exist.
+   */
+  generateMipmaps(name) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+
+    const { target } = textureMetadata;
+    this.context.bindTexture(target, textureMetadata.texture);
+    this.context.generateMipmap(target);
+    this.context.bindTexture(target, null);
+  }
+
+  /**
+   * Creates a cube texture from an equirectangular panorama by rendering
+   * each face. The panorama is sampled with its own texture parameters.
+   * @override
+   * @param {EquirectCubeConfig} config - Cube texture configuration.
+   * @returns {WebGLTexture} Created cube texture.
+   * @throws {Error} If the panorama does not exist or the format is not
+   *     renderable.
+   */
+  createCubeTextureFromEquirect(config) {
+    const equirect = this.textures_.get(config.equirect);
+    if (!equirect) {
+      throw new Error(`Texture "${config.equirect}" not found.`);
+    }
+
+    const size = config.size || Math.max(1, equirect.width >> 2);
+    const texture = this.createTexture({
+      name: config.name,
+      dimension: 'cube',
+      width: size,
+      height: size,
+      format: config.format || 'rgba8unorm',
+      mipmaps: config.mipmaps,
+    });
+    // WebGL1 may have grown the faces to a power of two
+    const cube = this.textures_.get(config.name);
+
+    const pipeline = this.getEquirectPipeline_();
+    const previousPipeline = this.currentPipeline_;
+    const framebuffer = this.context.createFramebuffer();
+    this.context.bindFramebuffer(this.context.FRAMEBUFFER, framebuffer);
+    this.context.viewport(0, 0, cube.width, cube.height);
+
+    this.setPipeline(pipeline);
+    this.setActiveTexture(0);
+    this.context.bindTexture(this.context.TEXTURE_2D, equirect.texture);
+    this.setUniform(pipeline, 'u_equirect', new Int32Array([0]));
+
+    for (let face = 0; face < 6; face++) {
+      this.context.framebufferTexture2D(
+        this.context.FRAMEBUFFER,
+        this.context.COLOR_ATTACHMENT0,
+        this.context.TEXTURE_CUBE_MAP_POSITIVE_X + face,
+        texture,
+        0
+      );
+      if (
+        face === 0 &&
+        this.context.checkFramebufferStatus(this.context.FRAMEBUFFER) !==
+          this.context.FRAMEBUFFER_COMPLETE
+      ) {
+        this.context.deleteFramebuffer(framebuffer);
+        this.setFramebuffer(this.currentFramebuffer_);
+        this.destroyTexture(config.name);
+        throw new Error(
+          `Cube texture "${config.name}" format is not renderable.`
+        );
+      }
+      this.setUniform(pipeline, 'u_face', face);
+      this.drawMesh({
+        vertexBuffers: [`${pipeline}.triangle`],
+        vertexCount: 3,
+      });
+    }
+
+    this.context.deleteFramebuffer(framebuffer);
+    this.setFramebuffer(this.currentFramebuffer_);
+    if (previousPipeline) {
+      this.setPipeline(previousPipeline);
+    }
+    if (cube.mipmaps) {
+      this.generateMipmaps(config.name);
+    }
+
+    return texture;
+  }
+
+  /**
+   * Returns the equirectangular conversion pipeline, creating it and its
+   * full-screen triangle on first use.
+   * @returns {string} Pipeline name.
+   * @private
+   */
+  getEquirectPipeline_() {
+    const name = 'equirectToCube';
+    if (!this.pipelines_.has(name)) {
+      this.createBuffer({
+        name: `${name}.triangle`,
+        usage: BufferUsage.VERTEX,
+        data: new Float32Array([-1, -1, 3, -1, -1, 3]),
+      });
+      this.createPipeline(name, {
+        shaders: EQUIRECT_TO_CUBE_SHADER,
+        vertexBuffers: [
+          {
+            arrayStride: 8,
+            attributes: [
+              {
+                format: 'float32x2',
+                offset: 0,
+                shaderLocation: 0,
+                name: 'a_position',
+              },
+            ],
+          },
+        ],
+        primitive: { topology: 'triangle-list', cullMode: 'none' },
+        blend: null,
+        depthStencil: null,
+      });
+    }
+    return name;
+  }
+
+  /**
+   * Checks whether textures of a format can be created. Compressed formats
+   * need their extension, which this enables.
+   * @override
+   * @param {string} format - Texture format.
+   * @returns {boolean} True if createTexture() accepts the format.
+   */
+  supportsTextureFormat(format) {
+    const compressed = GL_COMPRESSED_FORMATS[format];
+    if (compressed) {
+      return !!this.context?.getExtension(compressed.extension);
+    }
+    const extensions = this.resolveFloatTextureExtensions_(format);
+    if (extensions && extensions.texture) {
+      return !!this.context?.getExtension(extensions.texture);
+    }
+    return super.supportsTextureFormat(format);
+  }
+
+  /**
+   * Returns the extensions a float texture format needs.
+   * @param {string} format - Portable texture format.
+   * @param {Object} [table] - Extension table to look in.
+   * @returns {?{texture: ?string, linear: ?string}} Extensions, or null if
+   *     the format is not a float format.
+   * @private
+   */
+  resolveFloatTextureExtensions_(format, table = GL_FLOAT_TEXTURE_EXTENSIONS) {
+    return table[format] || null;
+  }
+
+  /**
+   * Checks whether textures of a format can be filtered linearly. Float
+   * formats may need an extension for it; without it, they are sampled with
+   * nearest filtering.
+   * @param {?(string|number)} format - Portable texture format, or a GL
+   *     format (always filterable).
+   * @returns {boolean} True if linear filtering works.
+   * @private
+   */
+  isTextureFormatFilterable_(format) {
+    const extensions = this.resolveFloatTextureExtensions_(format);
+    return (
+      !extensions ||
+      !extensions.linear ||
+      !!this.context.getExtension(extensions.linear)
+    );
+  }
+
+  /**
+   * Whether generateMipmap() needs power-of-two sizes (WebGL1).
+   * @returns {boolean} True for WebGL1.
+   * @protected
+   */
+  requiresPowerOfTwoMipmaps_() {
+    return true;
+  }
+
+  /**
+   * Uploads level 0 of the bound texture with texImage2D(), using the
+   * image overload for image sources, then generates mipmaps if the texture
+   * has them. Cube textures upload each face. Applies the texture's flipY
+   * and premultiplyAlpha unpack settings and restores the defaults
+   * afterwards.
+   * @param {Object} metadata - Texture metadata.
+   * @param {?(ArrayBufferView|TextureSource|Array<?(ArrayBufferView|TextureSource)>)} data
+   *     Texel data, image or null for uninitialized storage; for cube
+   *     textures, the six faces or null.
+   * @private
+   */
+  uploadTexture_(metadata, data) {
+    const cube = metadata.target === this.context.TEXTURE_CUBE_MAP;
+    let faces = (cube ? data || new Array(6).fill(null) : [data]).map(face =>
+      this.toTextureData_(metadata.portableFormat, face)
+    );
+
+    if (
+      metadata.mipmaps &&
+      this.requiresPowerOfTwoMipmaps_() &&
+      !(isPowerOfTwo(metadata.width) && isPowerOfTwo(metadata.height))
+    ) {
+      const resized = faces.map(face =>
+        resizeToPowerOfTwo(face, metadata.width, metadata.height)
+      );
+      if (resized.every(Boolean)) {
+        faces = resized.map(face => face.data);
+        metadata.width = resized[0].width;
+        metadata.height = resized[0].height;
+      } else {
+        console.warn(
+          'WebGL1 cannot mipmap non-power-of-two textures of this format; mipmaps disabled.'
+        );
+        metadata.mipmaps = false;
+        this.context.texParameteri(
+          metadata.target,
+          this.context.TEXTURE_MIN_FILTER,
+          this.context.LINEAR
+        );
+      }
+    }
+
+    const { internalFormat, format, type } = metadata;
+    this.context.pixelStorei(this.context.UNPACK_FLIP_Y_WEBGL, metadata.flipY);
+    this.context.pixelStorei(
+      this.context.UNPACK_PREMULTIPLY_ALPHA_WEBGL,
+      metadata.premultiplyAlpha
+    );
+    faces.forEach((face, index) => {
+      const target = cube
+        ? this.context.TEXTURE_CUBE_MAP_POSITIVE_X + index
+        : this.context.TEXTURE_2D;
+      if (face && !ArrayBuffer.isView(face)) {
+        // Images are uploaded as stored, without browser color conversion
+        this.context.pixelStorei(
+          this.context.UNPACK_COLORSPACE_CONVERSION_WEBGL,
+          this.context.NONE
+        );
+        this.context.texImage2D(target, 0, internalFormat, format, type, face);
+        this.context.pixelStorei(
+          this.context.UNPACK_COLORSPACE_CONVERSION_WEBGL,
+          this.context.BROWSER_DEFAULT_WEBGL
+        );
+      } else {
+        this.context.texImage2D(
+          target,
+          0,
+          internalFormat,
+          metadata.width,
+          metadata.height,
+          0,
+          format,
+          type,
+          face
+        );
+      }
+    });
+    this.context.pixelStorei(this.context.UNPACK_FLIP_Y_WEBGL, false);
+    this.context.pixelStorei(
+      this.context.UNPACK_PREMULTIPLY_ALPHA_WEBGL,
+      false
+    );
+
+    if (metadata.mipmaps) {
+      this.context.generateMipmap(metadata.target);
+    }
+  }
+
+  /**
+   * Uploads every mip level of the bound TEXTURE_2D from data, with
+   * compressedTexImage2D() for compressed textures. Without
+   * TEXTURE_MAX_LEVEL (WebGL1) a partial mip chain would leave the texture
+   * incomplete, so it is sampled without mipmaps instead.
+   * @param {Object} metadata - Texture metadata.
+   * @param {Array<ArrayBufferView>} levels - Data of each level.
+   * @private
+   */
+  uploadLevels_(metadata, levels) {
+    levels.forEach((data, level) => {
+      const width = Math.max(1, metadata.width >> level);
+      const height = Math.max(1, metadata.height >> level);
+      if (metadata.compressed) {
+        this.context.compressedTexImage2D(
+          this.context.TEXTURE_2D,
+          level,
+          metadata.internalFormat,
+          width,
+          height,
+          0,
+          data
+        );
+      } else {
+        this.context.texImage2D(
+          this.context.TEXTURE_2D,
+          level,
+          metadata.internalFormat,
+          width,
+          height,
+          0,
+          metadata.format,
+          metadata.type,
+          this.toTextureData_(metadata.portableFormat, data)
+        );
+      }
+    });
+
+    if (this.context.TEXTURE_MAX_LEVEL !== undefined) {
+      this.context.texParameteri(
+        this.context.TEXTURE_2D,
+        this.context.TEXTURE_MAX_LEVEL,
+        levels.length - 1
+      );
+    } else {
+      const fullChain =
+        Math.floor(Math.log2(Math.max(metadata.width, metadata.height))) + 1;
+      if (levels.length > 1 && levels.length < fullChain) {
+        metadata.mipmaps = false;
+        this.context.texParameteri(
+          this.context.TEXTURE_2D,
+          this.context.TEXTURE_MIN_FILTER,
+          this.context.LINEAR
+        );
+      }
+    }
+  }
+
+  /**
+   * Resolves a portable texture format into WebGL texture formats.
+   * @param {TextureFormat} format - Portable texture format.
+   * @param {Object} [table] - Format table to resolve against.
+   * @returns {{internalFormat: number, format: number, type: number}} WebGL formats.
+   * @throws {Error} If the format is not supported by this backend.
+   * @private
+   */
+  resolveTextureFormat_(format, table = GL_TEXTURE_FORMATS) {
+    const entry = table[format];
+    if (!entry) {
+      throw new Error(`Texture format "${format}" is not supported.`);
+    }
+
+    const resolve = value =>
+      typeof value === 'number' ? value : this.context[value];
+
+    return {
+      internalFormat: resolve(entry.internalFormat),
+      format: resolve(entry.format),
+      type: resolve(entry.type),
+    };
+  }
+
+  /**
+   * Destroys a texture and removes it from management.
+   * @override
+   * @param {string} name - Texture name.
+   */
+  destroyTexture(name) {
+    const textureMetadata = this.textures_.get(name);
+    if (textureMetadata) {
+      this.context.deleteTexture(textureMetadata.texture);
+      this.textures_.delete(name);
+      this.emit('textureDestroyed', { name });
+    }
+  }
+
+  /**
+   * Creates a sampler. WebGL1 keeps sampler state on textures, so the sampler
+   * is a parameter set applied by bindTexture(). The minification filter
+   * includes the mipmap filter; bindTexture() drops it for textures without
+   * mipmaps, which would otherwise be incomplete.
+   * @override
+   * @param {PortableSamplerConfig} config - Sampler configuration.
+   * @returns {Object<string, number>} Texture parameters of the sampler.
+   */
+  createSampler(config) {
+    const minFilter = config.minFilter || 'linear';
+    const parameters = {
+      TEXTURE_WRAP_S:
+        this.context[GL_ADDRESS_MODES[config.addressModeU || 'clamp-to-edge']],
+      TEXTURE_WRAP_T:
+        this.context[GL_ADDRESS_MODES[config.addressModeV || 'clamp-to-edge']],
+      TEXTURE_MAG_FILTER:
+        this.context[GL_FILTER_MODES[config.magFilter || 'linear']],
+      TEXTURE_MIN_FILTER:
+        this.context[
+          GL_MIPMAP_FILTERS[minFilter][config.mipmapFilter || 'nearest']
+        ],
+    };
+
+    // WebGL1 has no third address mode or LOD clamps
+    if (this.context.TEXTURE_WRAP_R !== undefined) {
+      parameters.TEXTURE_WRAP_R =
+        this.context[GL_ADDRESS_MODES[config.addressModeW || 'clamp-to-edge']];
+    }
+    if (this.context.TEXTURE_MIN_LOD !== undefined) {
+      parameters.TEXTURE_MIN_LOD = config.lodMinClamp ?? 0;
+      parameters.TEXTURE_MAX_LOD = config.lodMaxClamp ?? 32;
+    }
+
+    this.samplers_.set(config.name, parameters);
+    this.emit('samplerCreated', { name: config.name });
+
+    return parameters;
+  }
+
+  /**
+   * Creates a framebuffer. Several color attachments (COLOR_ATTACHMENT0..n)
+   * are drawn to in attachment order, using WEBGL_draw_buffers in WebGL1.
+   * Attachments name textures or renderbuffers. A depth/stencil attachment
+   * requested in the options is allocated with the framebuffer, sized like
+   * its first attachment, and destroyed with it.
+   * @param {string} name - Framebuffer name.
+   * @param {Object<string, string>} attachments - Texture or renderbuffer
+   *     names by attachment point (e.g. { COLOR_ATTACHMENT0: 'albedo',
+   *     COLOR_ATTACHMENT1: 'normal' }).
+   * @param {FramebufferOptions} [options] - Framebuffer options.
+   * @returns {WebGLFramebuffer} Created framebuffer.
+   * @throws {Error} If the framebuffer is incomplete, an attachment point
+   *     is not supported or an attachment does not exist.
+   */
+  createFramebuffer(name, attachments, options = {}) {
+    const entries = Object.entries(attachments).map(
+      ([attachmentPoint, attachmentName]) => {
+        const metadata =
+          this.textures_.get(attachmentName) ||
+          this.renderbuffers_.get(attachmentName);
+        if (!metadata) {
+          throw new Error(
+            `Framebuffer attachment "${attachmentName}" not found.`
+          );
+        }
+        return {
+          attachmentPoint,
+          attachment: this.resolveAttachmentPoint_(attachmentPoint),
+          metadata,
+        };
+      }
+    );
+
+    const width = entries.length
+      ? entries[0].metadata.width
+      : this.canvas.width;
+    const height = entries.length
+      ? entries[0].metadata.height
+      : this.canvas.height;
+
+    let depthStencil = null;
+    if (options.depthStencil) {
+      depthStencil = this.createDepthStencilAttachment_(
+        `${name}.depth`,
+        width,
+        height,
+        options.depthStencil,
+        options.sampleCount || 1
+      );
+      const format = depthStencil.format;
+      const attachmentPoint = !format.includes('stencil')
+        ? 'DEPTH_ATTACHMENT'
+        : format.startsWith('depth')
+        ? 'DEPTH_STENCIL_ATTACHMENT'
+        : 'STENCIL_ATTACHMENT';
+      entries.push({
+        attachmentPoint,
+        attachment: this.context[attachmentPoint],
+        metadata:
+          depthStencil.storage === 'texture'
+            ? this.textures_.get(depthStencil.name)
+            : this.renderbuffers_.get(depthStencil.name),
+      });
+    }
+
+    const framebuffer = this.context.createFramebuffer();
+    if (!framebuffer) {
+      this.destroyDepthStencilAttachment_(depthStencil);
+      throw new Error('Failed to create framebuffer.');
+    }
+
+    this.context.bindFramebuffer(this.context.FRAMEBUFFER, framebuffer);
+
+    const drawBuffers = [];
+    entries.forEach(({ attachmentPoint, attachment, metadata }) => {
+      if (metadata.renderbuffer) {
+        this.context.framebufferRenderbuffer(
+          this.context.FRAMEBUFFER,
+          attachment,
+          this.context.RENDERBUFFER,
+          metadata.renderbuffer
+        );
+      } else {
+        this.context.framebufferTexture2D(
+          this.context.FRAMEBUFFER,
+          attachment,
+          this.context.TEXTURE_2D,
+          metadata.texture,
+          0
+        );
+      }
+
+      if (attachmentPoint.startsWith('COLOR_ATTACHMENT')) {
+        drawBuffers[parseInt(attachmentPoint.slice(16))] = attachment;
+      }
+    });
+
+    // Unused attachment points in between must be listed as NONE
+    for (let i = 0; i < drawBuffers.length; i++) {
+      if (drawBuffers[i] === undefined) {
+        drawBuffers[i] = this.context.NONE;
+      }
+    }
+    if (drawBuffers.length > 1) {
+      this.setDrawBuffers_(drawBuffers);
+    }
+
+    // Check framebuffer status
+    const status = this.context.checkFramebufferStatus(
+      this.context.FRAMEBUFFER
+    );
+    if (status !== this.context.FRAMEBUFFER_COMPLETE) {
+      this.context.bindFramebuffer(this.context.FRAMEBUFFER, null);
+      this.context.deleteFramebuffer(framebuffer);
+      this.destroyDepthStencilAttachment_(depthStencil);
+      this.restoreFramebuffer_();
+      throw new Error(`Framebuffer incomplete: ${status}`);
+    }
+
+    this.framebuffers_.set(name, {
+      framebuffer,
+      width,
+      height,
+      drawBuffers,
+      depthStencil,
+    });
+    this.restoreFramebuffer_();
+
+    this.emit('framebufferCreated', { name });
+    return framebuffer;
+  }
+
+  /**
+   * Allocates a depth/stencil attachment as a texture or renderbuffer.
+   * Multisampled attachments are always renderbuffers, since WebGL has no
+   * multisampled textures.
+   * @param {string} name - Attachment name.
+   * @param {number} width - Attachment width.
+   * @param {number} height - Attachment height.
+   * @param {PortableDepthStencilAttachment} config - Attachment configuration.
+   * @param {number} sampleCount - Sample count.
+   * @returns {OwnedDepthStencil} Allocated attachment.
+   * @throws {Error} If a multisampled depth texture is requested.
+   * @private
+   */
+  createDepthStencilAttachment_(name, width, height, config, sampleCount) {
+    const format = config.format || 'depth24plus-stencil8';
+    const storage =
+      config.storage || (sampleCount > 1 ? 'renderbuffer' : 'texture');
+
+    if (storage === 'texture') {
+      if (sampleCount > 1) {
+        throw new Error(
+          'Multisampled depth/stencil attachments must be renderbuffers in WebGL.'
+        );
+      }
+      this.createTexture({
+        name,
+        width,
+        height,
+        format,
+        parameters: {
+          TEXTURE_MIN_FILTER: this.context.NEAREST,
+          TEXTURE_MAG_FILTER: this.context.NEAREST,
+          TEXTURE_WRAP_S: this.context.CLAMP_TO_EDGE,
+          TEXTURE_WRAP_T: this.context.CLAMP_TO_EDGE,
+        },
+      });
+    } else {
+      this.createRenderbuffer(name, { width, height, format, sampleCount });
+    }
+
+    return { name, storage, format };
+  }
+
+  /**
+   * Destroys a depth/stencil attachment allocated by createFramebuffer().
+   * @param {?OwnedDepthStencil} depthStencil - Attachment to destroy.
+   * @private
+   */
+  destroyDepthStencilAttachment_(depthStencil) {
+    if (!depthStencil) {
+      return;
+    }
+    if (depthStencil.storage === 'texture') {
+      this.destroyTexture(depthStencil.name);
+    } else {
+      this.destroyRenderbuffer(depthStencil.name);
+    }
+  }
+
+  /**
+   * Creates a renderbuffer.
+   * @param {string} name - Renderbuffer name.
+   * @param {RenderbufferConfig} config - Renderbuffer configuration.
+   * @returns {WebGLRenderbuffer} Created renderbuffer.
+   * @throws {Error} If the format or sample count is not supported.
+   */
+  createRenderbuffer(name, config) {
+    const internalFormat = this.resolveRenderbufferFormat_(config.format);
+    const sampleCount = config.sampleCount || 1;
+
+    const renderbuffer = this.context.createRenderbuffer();
+    if (!renderbuffer) {
+      throw new Error('Failed to create renderbuffer.');
+    }
+
+    this.context.bindRenderbuffer(this.context.RENDERBUFFER, renderbuffer);
+    try {
+      this.renderbufferStorage_(
+        internalFormat,
+        config.width,
+        config.height,
+        sampleCount
+      );
+    } catch (error) {
+      this.context.deleteRenderbuffer(renderbuffer);
+      throw error;
+    } finally {
+      this.context.bindRenderbuffer(this.context.RENDERBUFFER, null);
+    }
+
+    this.renderbuffers_.set(name, {
+      renderbuffer,
+      width: config.width,
+      height: config.height,
+      format: config.format,
+      sampleCount,
+    });
+
+    this.emit('renderbufferCreated', { name });
+    return renderbuffer;
+  }
+
+  /**
+   * Resolves a portable format to a renderbuffer internal format.
+   * @param {string} format - Portable format.
+   * @param {Object<string, string>} [table] - Format table to use.
+   * @returns {number} GL internal format.
+   * @throws {Error} If the format is not supported.
+   * @private
+   */
+  resolveRenderbufferFormat_(format, table = GL_RENDERBUFFER_FORMATS) {
+    if (!table[format]) {
+      throw new Error(`Renderbuffer format "${format}" is not supported.`);
+    }
+    return this.context[table[format]];
+  }
+
+  /**
+   * Returns the largest supported renderbuffer sample count.
+   * @returns {number} 1, since WebGL1 has no multisampled renderbuffers.
+   * @private
+   */
+  getMaxSamples_() {
+    return 1;
+  }
+
+  /**
+   * Allocates storage for the bound renderbuffer.
+   * @param {number} internalFormat - GL internal format.
+   * @param {number} width - Renderbuffer width.
+   * @param {number} height - Renderbuffer height.
+   * @param {number} sampleCount - Sample count.
+   * @throws {Error} If sampleCount is greater than 1 (needs WebGL2).
+   * @private
+   */
+  renderbufferStorage_(internalFormat, width, height, sampleCount) {
+    if (sampleCount > 1) {
+      throw new Error('Multisampled renderbuffers need WebGL2.');
+    }
+    this.context.renderbufferStorage(
+      this.context.RENDERBUFFER,
+      internalFormat,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Destroys a renderbuffer.
+   * @param {string} name - Renderbuffer name.
+   */
+  destroyRenderbuffer(name) {
+    const metadata = this.renderbuffers_.get(name);
+    if (metadata) {
+      this.context.deleteRenderbuffer(metadata.renderbuffer);
+      this.renderbuffers_.delete(name);
+      this.emit('renderbufferDestroyed', { name });
+    }
+  }
+
+  /**
+   * Resolves an attachment point name to a GL constant, falling back to the
+   * WEBGL_draw_buffers constants for COLOR_ATTACHMENT1 and above in WebGL1.
+   * @param {string} attachmentPoint - Attachment point name.
+   * @returns {number} GL attachment point.
+   * @throws {Error} If the attachment point is not supported.
+   * @private
+   */
+  resolveAttachmentPoint_(attachmentPoint) {
+    let attachment = this.context[attachmentPoint];
+    if (attachment === undefined) {
+      const extension = this.context.getExtension('WEBGL_draw_buffers');
+      attachment = extension
+        ? extension[`${attachmentPoint}_WEBGL`]
+        : undefined;
+    }
+    if (attachment === undefined) {
+      throw new Error(
+        `Framebuffer attachment "${attachmentPoint}" is not supported (multiple color attachments need WEBGL_draw_buffers).`
+      );
+    }
+    return attachment;
+  }
+
+  /**
+   * Selects the color attachments of the bound framebuffer that fragment
+   * outputs are written to.
+   * @param {number[]} drawBuffers - Attachment points per fragment output.
+   * @throws {Error} If WEBGL_draw_buffers is not available.
+   * @private
+   */
+  setDrawBuffers_(drawBuffers) {
+    const extension = this.context.getExtension('WEBGL_draw_buffers');
+    if (!extension) {
+      throw new Error('Multiple color attachments need WEBGL_draw_buffers.');
+    }
+    extension.drawBuffersWEBGL(drawBuffers);
+  }
+
+  /**
+   * Binds the current framebuffer again after creating a framebuffer.
+   * @private
+   */
+  restoreFramebuffer_() {
+    const metadata = this.currentFramebuffer_
+      ? this.framebuffers_.get(this.currentFramebuffer_)
+      : null;
+    this.context.bindFramebuffer(
+      this.context.FRAMEBUFFER,
+      metadata ? metadata.framebuffer : null
+    );
+  }
+
+  /**
+   * Destroys a framebuffer with the depth/stencil attachment allocated for
+   * it. Other attached textures and renderbuffers are kept.
+   * @param {string} name - Framebuffer name.
+   */
+  destroyFramebuffer(name) {
+    const metadata = this.framebuffers_.get(name);
+    if (!metadata) {
+      return;
+    }
+
+    if (this.currentFramebuffer_ === name) {
+      this.setFramebuffer(null);
+    }
+    this.context.deleteFramebuffer(metadata.framebuffer);
+    this.destroyDepthStencilAttachment_(metadata.depthStencil);
+    this.framebuffers_.delete(name);
+
+    this.emit('framebufferDestroyed', { name });
+  }
+
+  /**
+   * Creates a render target: one texture per color attachment
+   * (named "<name>.color<i>"), an optional depth/stencil attachment
+   * ("<name>.depth") and a framebuffer with the render target name.
+   * Multisampled targets draw into renderbuffers ("<name>.color<i>.msaa")
+   * that are resolved into the color textures when a pass ends.
+   * @override
+   * @param {PortableRenderTargetConfig} config - Render target configuration.
+   * @returns {WebGLFramebuffer} Created framebuffer.
+   * @throws {Error} If renderer not initialized or the configuration is not
+   *     supported.
+   */
+  createRenderTarget(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const sampleCount = config.sampleCount || 1;
+    const maxSamples = this.getMaxSamples_();
+    if (sampleCount > maxSamples) {
+      throw new Error(
+        `Render target sample count ${sampleCount} is not supported (max ${maxSamples}).`
+      );
+    }
+
+    const formats = config.colorAttachments
+      ? config.colorAttachments.map(
+          attachment => attachment.format || 'rgba8unorm'
+        )
+      : [config.format || 'rgba8unorm'];
+
+    const created = [];
+    const colorTextures = [];
+    const colorRenderbuffers = [];
+    const attachments = {};
+    const resolveAttachments = {};
+    let framebuffer;
+
+    try {
+      formats.forEach((format, index) => {
+        const textureName = `${config.name}.color${index}`;
+        this.createTexture({
+          name: textureName,
+          width: config.width,
+          height: config.height,
+          format,
+        });
+        created.push(() => this.destroyTexture(textureName));
+        colorTextures.push(textureName);
+        resolveAttachments[`COLOR_ATTACHMENT${index}`] = textureName;
+
+        if (sampleCount > 1) {
+          const renderbufferName = `${textureName}.msaa`;
+          this.createRenderbuffer(renderbufferName, {
+            width: config.width,
+            height: config.height,
+            format,
+            sampleCount,
+          });
+          created.push(() => this.destroyRenderbuffer(renderbufferName));
+          colorRenderbuffers.push(renderbufferName);
+          attachments[`COLOR_ATTACHMENT${index}`] = renderbufferName;
+        } else {
+          attachments[`COLOR_ATTACHMENT${index}`] = textureName;
+        }
+      });
+
+      framebuffer = this.createFramebuffer(config.name, attachments, {
+        depthStencil: config.depthStencil,
+        sampleCount,
+      });
+      created.push(() => this.destroyFramebuffer(config.name));
+
+      if (sampleCount > 1) {
+        this.createFramebuffer(`${config.name}.resolve`, resolveAttachments);
+      }
+    } catch (error) {
+      created.reverse().forEach(destroy => destroy());
+      throw error;
+    }
+
+    const depthStencil = this.framebuffers_.get(config.name).depthStencil;
+    this.renderTargets_.set(config.name, {
+      framebuffer: config.name,
+      resolveFramebuffer: sampleCount > 1 ? `${config.name}.resolve` : null,
+      width: config.width,
+      height: config.height,
+      colorTextures,
+      colorRenderbuffers,
+      formats,
+      depthTexture:
+        depthStencil && depthStencil.storage === 'texture'
+          ? depthStencil.name
+          : null,
+      depthStencilFormat: depthStencil ? depthStencil.format : null,
+      sampleCount,
+    });
+
+    this.emit('renderTargetCreated', {
+      name: config.name,
+      width: config.width,
+      height: config.height,
+    });
+
+    return framebuffer;
+  }
+
+  /**
+   * Sets the current render target.
+   * @override
+   * @param {?string} name - Render target name or null for the canvas.
+   */
+  setRenderTarget(name) {
+    if (name && !this.renderTargets_.has(name)) {
+      throw new Error(`Render target "${name}" not found.`);
+    }
+
+    this.setFramebuffer(
+      name ? this.renderTargets_.get(name).framebuffer : null
+    );
+    this.currentRenderTarget_ = name;
+  }
+
+  /**
+   * Destroys a render target with its framebuffers and attachments.
+   * @override
+   * @param {string} name - Render target name.
+   */
+  destroyRenderTarget(name) {
+    const metadata = this.renderTargets_.get(name);
+    if (!metadata) {
+      return;
+    }
+
+    if (this.currentRenderTarget_ === name) {
+      this.currentRenderTarget_ = null;
+    }
+    this.destroyFramebuffer(metadata.framebuffer);
+    if (metadata.resolveFramebuffer) {
+      this.destroyFramebuffer(metadata.resolveFramebuffer);
+    }
+    metadata.colorTextures.forEach(textureName =>
+      this.destroyTexture(textureName)
+    );
+    metadata.colorRenderbuffers.forEach(renderbufferName =>
+      this.destroyRenderbuffer(renderbufferName)
+    );
+    this.renderTargets_.delete(name);
+
+    this.emit('renderTargetDestroyed', { name });
+  }
+
+  /**
+   * Sets the current clear color.
+   * @override
+   * @param {number} r - Red component (0-1).
+   * @param {number} g - Green component (0-1).
+   * @param {number} b - Blue component (0-1).
+   * @param {number} a - Alpha component (0-1).
+   */
+  setClearColor(r, g, b, a) {
+    this.clearColor_ = [r, g, b, a];
+    this.context.clearColor(r, g, b, a);
+  }
+
+  /**
+   * Clears the rendering buffers.
+   * @override
+   * @param {number} r - Red component of clear color (0-1).
+   * @param {number} g - Green component of clear color (0-1).
+   * @param {number} b - Blue component of clear color (0-1).
+   * @param {number} a - Alpha component of clear color (0-1).
+   */
+  clear(r, g, b, a) {
+    this.setClearColor(r, g, b, a);
+    let mask = this.context.COLOR_BUFFER_BIT;
+
+    if (this.options_.depth) {
+      mask |= this.context.DEPTH_BUFFER_BIT;
+    }
+    if (this.options_.stencil) {
+      mask |= this.context.STENCIL_BUFFER_BIT;
+    }
+
+    this.context.clear(mask);
+  }
+
+  /**
+   * Sets blend state.
+   * @param {boolean} enabled - Whether blending is enabled.
+   * @param {Object} [func] - Blend function configuration.
+   */
+  setBlendState(enabled, func = this.blendFunc_) {
+    this.blendEnabled_ = enabled;
+
+    if (enabled) {
+      this.context.enable(this.context.BLEND);
+      this.context.blendFunc(
+        func.src || this.context.SRC_ALPHA,
+        func.dst || this.context.ONE_MINUS_SRC_ALPHA
+      );
+    } else {
+      this.context.disable(this.context.BLEND);
+    }
+  }
+
+  /**
+   * Sets depth test state.
+   * @param {boolean} enabled - Whether depth testing is enabled.
+   * @param {number} [func=GL.LESS] - Depth function.
+   */
+  setDepthTest(enabled, func = this.context.LESS) {
+    this.depthTestEnabled_ = enabled;
+    this.depthFunc_ = func;
+
+    if (enabled) {
+      this.context.enable(this.context.DEPTH_TEST);
+      this.context.depthFunc(func);
+    } else {
+      this.context.disable(this.context.DEPTH_TEST);
+    }
+  }
+
+  /**
+   * Sets face culling.
+   * @param {boolean} enabled - Whether face culling is enabled.
+   * @param {number} [mode=GL.BACK] - Which face to cull.
+   */
+  setCullFace(enabled, mode = this.context.BACK) {
+    this.cullFaceEnabled_ = enabled;
+    this.cullFaceMode_ = mode;
+
+    if (enabled) {
+      this.context.enable(this.context.CULL_FACE);
+      this.context.cullFace(mode);
+    } else {
+      this.context.disable(this.context.CULL_FACE);
+    }
+  }
+
+  /**
+   * Sets the current program for rendering.
+   * @param {string} name - Program name.
+   */
+  useProgram(name) {
+    const programMetadata = this.programs_.get(name);
+    if (!programMetadata) {
+      throw new Error(`Program "${name}" not found.`);
+    }
+
+    if (this.currentProgram_ !== name) {
+      this.context.useProgram(programMetadata.program);
+      this.currentProgram_ = name;
+      this.emit('programSet', { name });
+    }
+  }
+
+  /**
+   * Sets the current framebuffer.
+   * @param {?string} name - Framebuffer name or null for default.
+   */
+  setFramebuffer(name) {
+    if (name && !this.framebuffers_.has(name)) {
+      throw new Error(`Framebuffer "${name}" not found.`);
+    }
+
+    const metadata = name ? this.framebuffers_.get(name) : null;
+    this.context.bindFramebuffer(
+      this.context.FRAMEBUFFER,
+      metadata ? metadata.framebuffer : null
+    );
+    this.context.viewport(
+      0,
+      0,
+      metadata ? metadata.width : this.canvas.width,
+      metadata ? metadata.height : this.canvas.height
+    );
+    this.currentFramebuffer_ = name;
+  }
+
+  /**
+   * Sets the active texture unit.
+   * @param {number} unit - Texture unit index.
+   */
+  setActiveTexture(unit) {
+    this.context.activeTexture(this.context.TEXTURE0 + unit);
+  }
+
+  /**
+   * Binds a texture.
+   * @param {string} name - Texture name.
+   * @param {number} [target] - Texture target. Defaults to the texture's
+   *     own, GL.TEXTURE_CUBE_MAP for cube textures and GL.TEXTURE_2D
+   *     otherwise.
+   * @param {string} [samplerName] - Sampler whose parameters are applied to the texture.
+   */
+  bindTexture(name, target, samplerName) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+    target = target ?? textureMetadata.target;
+    this.context.bindTexture(target, textureMetadata.texture);
+
+    if (samplerName) {
+      const parameters = this.samplers_.get(samplerName);
+      if (!parameters) {
+        throw new Error(`Sampler "${samplerName}" not found.`);
+      }
+      Object.entries(parameters).forEach(([pname, pvalue]) => {
+        if (GL_FLOAT_TEXTURE_PARAMETERS.has(pname)) {
+          this.context.texParameterf(target, this.context[pname], pvalue);
+          return;
+        }
+        if (
+          !textureMetadata.filterable &&
+          (pname === 'TEXTURE_MIN_FILTER' || pname === 'TEXTURE_MAG_FILTER')
+        ) {
+          // Float formats without linear filtering only allow nearest
+          pvalue =
+            pvalue === this.context.NEAREST || pvalue === this.context.LINEAR
+              ? this.context.NEAREST
+              : this.context.NEAREST_MIPMAP_NEAREST;
+        }
+        if (pname === 'TEXTURE_MIN_FILTER' && !textureMetadata.mipmaps) {
+          if (
+            pvalue === this.context.NEAREST_MIPMAP_NEAREST ||
+            pvalue === this.context.NEAREST_MIPMAP_LINEAR
+          ) {
+            pvalue = this.context.NEAREST;
+          } else if (pvalue !== this.context.NEAREST) {
+            pvalue = this.context.LINEAR;
+          }
+        }
+        this.context.texParameteri(target, this.context[pname], pvalue);
+      });
+    }
+  }
+
+  /**
+   * Draws primitives.
+   * @param {Object} drawCall - Draw call configuration.
+   */
+  draw(drawCall) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return;
+    }
+
+    if (!this.currentProgram_) {
+      throw new Error('No program set. Call useProgram() first.');
+    }
+
+    const {
+      mode = this.context.TRIANGLES,
+      count,
+      indices,
+      offset = 0,
+      type = this.context.UNSIGNED_SHORT,
+    } = drawCall;
+
+    // Set up vertex attributes
+    if (drawCall.attributes) {
+      Object.entries(drawCall.attributes).forEach(
+        ([bufferName, attributes]) => {
+          const bufferMetadata = this.buffers_.get(bufferName);
+          if (bufferMetadata) {
+            this.context.bindBuffer(
+              this.context.ARRAY_BUFFER,
+              bufferMetadata.buffer
+            );
+
+            attributes.forEach(attr => {
+              this.context.enableVertexAttribArray(attr.location);
+              this.context.vertexAttribPointer(
+                attr.location,
+                attr.size,
+                attr.type || this.context.FLOAT,
+                attr.normalized || false,
+                attr.stride || 0,
+                attr.offset || 0
+              );
+            });
+          }
+        }
+      );
+    }
+
+    this.bindProgramTextures_(this.currentProgram_);
+
+    // Draw call
+    if (indices) {
+      const bufferMetadata = this.buffers_.get(indices);
+      if (bufferMetadata) {
+        this.context.bindBuffer(
+          this.context.ELEMENT_ARRAY_BUFFER,
+          bufferMetadata.buffer
+        );
+        this.context.drawElements(mode, count, type, offset);
+      }
+    } else if (count) {
+      this.context.drawArrays(mode, offset, count);
+    }
+
+    this.emit('draw', { drawCall });
+  }
+
+  /**
+   * Draws a mesh with the current pipeline.
+   * @override
+   * @param {MeshDrawCall} drawCall - Draw call configuration.
+   */
+  drawMesh(drawCall) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return;
+    }
+
+    if (!this.currentPipeline_) {
+      throw new Error('No pipeline set. Call setPipeline() first.');
+    }
+
+    const pipelineMetadata = this.pipelines_.get(this.currentPipeline_);
+    const usedLocations = new Set();
+
+    Object.entries(drawCall.vertexBuffers || {}).forEach(
+      ([slot, bufferName]) => {
+        const layout = pipelineMetadata.vertexBuffers[slot];
+        const bufferMetadata = this.buffers_.get(bufferName);
+        if (!layout || !bufferMetadata) {
+          return;
+        }
+
+        this.context.bindBuffer(
+          this.context.ARRAY_BUFFER,
+          bufferMetadata.buffer
+        );
+
+        layout.attributes.forEach(attribute => {
+          const format = GL_VERTEX_FORMATS[attribute.format];
+          if (!format) {
+            throw new Error(
+              `Vertex format "${attribute.format}" is not supported by WebGL.`
+            );
+          }
+
+          this.context.enableVertexAttribArray(attribute.shaderLocation);
+          this.context.vertexAttribPointer(
+            attribute.shaderLocation,
+            format.size,
+            this.context[format.type],
+            format.normalized,
+            layout.arrayStride,
+            attribute.offset || 0
+          );
+          this.setAttributeDivisor_(
+            attribute.shaderLocation,
+            layout.stepMode === 'instance' ? 1 : 0
+          );
+          usedLocations.add(attribute.shaderLocation);
+        });
+      }
+    );
+
+    // Disable attributes left enabled by previous pipelines
+    this.enabledAttributes_.forEach(location => {
+      if (!usedLocations.has(location)) {
+        this.context.disableVertexAttribArray(location);
+      }
+    });
+    this.enabledAttributes_ = usedLocations;
+    this.assertAttributesBound_(pipelineMetadata.program, usedLocations);
+    this.bindProgramTextures_(pipelineMetadata.program);
+
+    const instanceCount = drawCall.instanceCount || 1;
+
+    if (drawCall.indexBuffer && this.buffers_.has(drawCall.indexBuffer)) {
+      const bufferMetadata = this.buffers_.get(drawCall.indexBuffer);
+      const indexType = bufferMetadata.indexType || this.context.UNSIGNED_SHORT;
+      const indexSize =
+        indexType === this.context.UNSIGNED_INT
+          ? 4
+          : indexType === this.context.UNSIGNED_BYTE
+          ? 1
+          : 2;
+
+      this.context.bindBuffer(
+        this.context.ELEMENT_ARRAY_BUFFER,
+        bufferMetadata.buffer
+      );
+      this.drawElements_(
+        pipelineMetadata.mode,
+        drawCall.indexCount || 0,
+        indexType,
+        (drawCall.firstIndex || 0) * indexSize,
+        instanceCount
+      );
+    } else if (drawCall.vertexCount) {
+      this.drawArrays_(
+        pipelineMetadata.mode,
+        drawCall.firstVertex || 0,
+        drawCall.vertexCount,
+        instanceCount
+      );
+    }
+
+    if (this.currentPass_) {
+      this.currentPass_.drawCount++;
+    }
+
+    this.emit('draw', { drawCall });
+  }
+
+  /**
+   * Checks that every active attribute of a program is fed by a vertex
+   * buffer, including all columns of matrix attributes.
+   * @param {string} programName - Program name.
+   * @param {Set<number>} locations - Attribute locations with buffers.
+   * @throws {Error} If an active attribute has no vertex buffer.
+   * @private
+   */
+  assertAttributesBound_(programName, locations) {
+    const { attributes } = this.programs_.get(programName);
+    Object.values(attributes).forEach(attribute => {
+      for (let i = 0; i < attribute.locations; i++) {
+        if (!locations.has(attribute.location + i)) {
+          throw new Error(
+            `Attribute "${attribute.name}" of program "${programName}" has no vertex buffer bound.`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Sets the instancing divisor of a vertex attribute.
+   * @param {number} location - Attribute location.
+   * @param {number} divisor - 0 for per-vertex, 1 for per-instance data.
+   * @private
+   */
+  setAttributeDivisor_(location, divisor) {
+    const extension = this.context.getExtension('ANGLE_instanced_arrays');
+    if (extension) {
+      extension.vertexAttribDivisorANGLE(location, divisor);
+    } else if (divisor !== 0) {
+      throw new Error('Instancing is not supported (ANGLE_instanced_arrays).');
+    }
+  }
+
+  /**
+   * Draws indexed primitives, instanced if needed.
+   * @param {number} mode - Primitive mode.
+   * @param {number} count - Index count.
+   * @param {number} type - Index type.
+   * @param {number} offset - Byte offset into the index buffer.
+   * @param {number} instanceCount - Instance count.
+   * @private
+   */
+  drawElements_(mode, count, type, offset, instanceCount) {
+    if (instanceCount === 1) {
+      this.context.drawElements(mode, count, type, offset);
+      return;
+    }
+
+    const extension = this.context.getExtension('ANGLE_instanced_arrays');
+    if (!extension) {
+      throw new Error('Instancing is not supported (ANGLE_instanced_arrays).');
+    }
+    extension.drawElementsInstancedANGLE(
+      mode,
+      count,
+      type,
+      offset,
+      instanceCount
+    );
+  }
+
+  /**
+   * Draws non-indexed primitives, instanced if needed.
+   * @param {number} mode - Primitive mode.
+   * @param {number} first - First vertex.
+   * @param {number} count - Vertex count.
+   * @param {number} instanceCount - Instance count.
+   * @private
+   */
+  drawArrays_(mode, first, count, instanceCount) {
+    if (instanceCount === 1) {
+      this.context.drawArrays(mode, first, count);
+      return;
+    }
+
+    const extension = this.context.getExtension('ANGLE_instanced_arrays');
+    if (!extension) {
+      throw new Error('Instancing is not supported (ANGLE_instanced_arrays).');
+    }
+    extension.drawArraysInstancedANGLE(mode, first, count, instanceCount);
+  }
+
+  /**
+   * Sets the size of the rendering viewport.
+   * @override
+   * @param {number} width - Width in pixels.
+   * @param {number} height - Height in pixels.
+   */
+  setSize(width, height) {
+    const actualWidth = Math.max(1, width);
+    const actualHeight = Math.max(1, height);
+
+    this.canvas.width = actualWidth;
+    this.canvas.height = actualHeight;
+
+    if (!this.currentFramebuffer_) {
+      this.context.viewport(0, 0, actualWidth, actualHeight);
+    }
+
+    this.emit('resize', { width: actualWidth, height: actualHeight });
+  }
+
+  /**
+   * Begins a render pass: binds the target framebuffer and clears it
+   * according to the load operations.
+   * @override
+   * @param {PassOptions} [options] - Pass options. The target is a
+   *     framebuffer name.
+   * @throws {Error} If a pass is already open.
+   */
+  beginPass(options = {}) {
+    if (this.currentPass_) {
+      throw new Error(
+        `Render pass "${this.currentPass_.label}" is still open. Call endPass() first.`
+      );
+    }
+
+    const label = options.label || `Render pass ${this.passCount_}`;
+    const target =
+      options.target !== undefined ? options.target : this.currentFramebuffer_;
+    const previousFramebuffer = this.currentFramebuffer_;
+    this.setFramebuffer(target);
+
+    const loadOp = options.loadOp || 'clear';
+    const depthLoadOp = options.depthLoadOp || loadOp;
+    let mask = 0;
+
+    if (loadOp === 'clear') {
+      const [r, g, b, a] = options.clearColor || this.clearColor_;
+      this.context.clearColor(r, g, b, a ?? 1.0);
+      this.context.colorMask(true, true, true, true);
+      mask |= this.context.COLOR_BUFFER_BIT;
+    }
+    if (depthLoadOp === 'clear') {
+      // Depth writes may have been disabled by the last pipeline
+      this.context.clearDepth(options.clearDepth ?? 1.0);
+      this.context.depthMask(true);
+      mask |= this.context.DEPTH_BUFFER_BIT | this.context.STENCIL_BUFFER_BIT;
+    }
+    if (mask) {
+      this.context.clear(mask);
+    }
+
+    this.currentPass_ = {
+      label,
+      target,
+      previousFramebuffer,
+      storeOp: options.storeOp || 'store',
+      drawCount: 0,
+    };
+
+    this.emit('passBegan', { label, target });
+  }
+
+  /**
+   * Ends the current render pass and restores the framebuffer bound before it.
+   * @override
+   * @throws {Error} If no render pass is open.
+   */
+  endPass() {
+    if (!this.currentPass_) {
+      throw new Error('No render pass open. Call beginPass() first.');
+    }
+
+    const { label, target, previousFramebuffer, storeOp, drawCount } =
+      this.currentPass_;
+    const rtMetadata = target ? this.renderTargets_.get(target) : null;
+    if (rtMetadata && rtMetadata.resolveFramebuffer) {
+      this.resolveRenderTarget_(rtMetadata);
+    }
+    if (storeOp === 'discard') {
+      this.invalidateFramebuffer_(target);
+    }
+
+    this.currentPass_ = null;
+    this.passCount_++;
+    this.setFramebuffer(previousFramebuffer);
+
+    this.emit('passEnded', { label, drawCount });
+  }
+
+  /**
+   * Resolves a multisampled render target into its color textures.
+   * WebGL1 cannot create multisampled render targets, so there is nothing
+   * to do here.
+   * @param {RenderTargetMetadata} metadata - Render target metadata.
+   * @private
+   */
+  resolveRenderTarget_(metadata) {}
+
+  /**
+   * Discards the contents of the bound framebuffer. WebGL has no way to do
+   * this, so storeOp 'discard' is only a hint here.
+   * @param {?string} target - Framebuffer name or null for the canvas.
+   * @private
+   */
+  invalidateFramebuffer_(target) {}
+
+  /**
+   * Ends the open pass and counts the frame. WebGL executes commands
+   * immediately, so there is nothing to submit.
+   * @override
+   */
+  submit() {
+    if (this.currentPass_) {
+      this.endPass();
+    }
+
+    const passCount = this.passCount_;
+    this.passCount_ = 0;
+    this.frameCount_++;
+    this.emit('frameRendered', { frameCount: this.frameCount_, passCount });
+  }
+
+  /**
+   * Draws a scene mesh. The scene uniforms are set as u_model, u_view,
+   * u_projection (mat4) and u_normalMatrix (mat3), followed by the material
+   * uniforms; uniforms the program does not declare are skipped.
+   * @override
+   * @protected
+   * @param {Mesh} mesh - Mesh to draw.
+   * @param {SceneCamera} camera - Scene camera.
+   */
+  drawSceneMesh_(mesh, camera) {
+    const { program } = this.pipelines_.get(mesh.material.pipeline);
+    const uniforms = {
+      u_model: mesh.getWorldMatrix(),
+      u_view: camera.viewMatrix,
+      u_projection: camera.projectionMatrix,
+      u_normalMatrix: mesh.getNormalMatrix(),
+      ...mesh.material.uniforms,
+    };
+
+    this.setUniforms(program, uniforms);
+
+    this.drawMesh(mesh.geometry);
+  }
+
+  /**
+   * Looks up an active uniform, or an element of an active uniform array
+   * ("u_lights[2]"). Element lookups are cached, including misses.
+   * @param {ProgramMetadata} programMetadata - Program metadata.
+   * @param {string} uniformName - Uniform name.
+   * @returns {?ActiveUniform} Uniform, or null if not active.
+   * @private
+   */
+  findUniform_(programMetadata, uniformName) {
+    const uniform = programMetadata.uniforms[uniformName];
+    if (uniform) {
+      return uniform;
+    }
+    if (uniformName in programMetadata.uniformElements) {
+      return programMetadata.uniformElements[uniformName];
+    }
+
+    let element = null;
+    const match = /^(.*)\[(\d+)\]$/.exec(uniformName);
+    const array = match && programMetadata.uniforms[match[1]];
+    const index = match ? parseInt(match[2], 10) : 0;
+    if (array && array.isArray && index < array.size) {
+      const location = this.context.getUniformLocation(
+        programMetadata.program,
+        uniformName
+      );
+      if (location) {
+        element = {
+          ...array,
+          name: uniformName,
+          location,
+          size: array.size - index,
+          unit: array.unit === null ? null : array.unit + index,
+        };
+      }
+    }
+    programMetadata.uniformElements[uniformName] = element;
+    return element;
+  }
+
+  /**
+   * Converts a uniform value to the typed array of its uniform setter,
+   * checking it against the reflected type: the value must hold whole
+   * elements of the type, no more than the array has, and integer uniforms
+   * need whole numbers.
+   * @param {string} programName - Program name, for messages.
+   * @param {ActiveUniform} uniform - Uniform.
+   * @param {{type: string, components: number, kind: string}} type - Uniform
+   *     type.
+   * @param {*} value - Number, boolean, (nested) array or typed array.
+   * @returns {Float32Array|Int32Array|Uint32Array} Uniform data.
+   * @throws {Error} If the value does not match.
+   * @private
+   */
+  toUniformData_(programName, uniform, type, value) {
+    const declared = uniform.isArray
+      ? `${type.type}[${uniform.size}]`
+      : type.type;
+    const fail = reason => {
+      throw new Error(
+        `Uniform "${uniform.name}" of program "${programName}" has type ${declared}, ${reason}.`
+      );
+    };
+
+    let values;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      values = [Number(value)];
+    } else if (ArrayBuffer.isView(value)) {
+      values = value;
+    } else if (Array.isArray(value)) {
+      // Nested arrays and typed arrays hold one element each
+      values = value.flatMap(item =>
+        ArrayBuffer.isView(item) ? Array.from(item) : item
+      );
+    } else {
+      fail(`got ${value === null ? 'null' : typeof value}`);
+    }
+
+    const count = values.length;
+    if (
+      count === 0 ||
+      count % type.components !== 0 ||
+      count / type.components > uniform.size
+    ) {
+      fail(`got ${count} values`);
+    }
+
+    switch (type.kind) {
+      case 'float':
+        return values instanceof Float32Array
+          ? values
+          : Float32Array.from(values, Number);
+      case 'bool':
+        return Int32Array.from(values, item => (item ? 1 : 0));
+      default:
+        if (!Array.prototype.every.call(values, Number.isInteger)) {
+          fail('got non-integer values');
+        }
+        if (type.kind === 'uint') {
+          if (Array.prototype.some.call(values, item => item < 0)) {
+            fail('got negative values');
+          }
+          return values instanceof Uint32Array
+            ? values
+            : Uint32Array.from(values);
+        }
+        return values instanceof Int32Array ? values : Int32Array.from(values);
+    }
+  }
+
+  /**
+   * Sets a sampler uniform, either to explicit texture units or by binding
+   * textures to the units allocated to the sampler.
+   * @param {string} programName - Program name, for messages.
+   * @param {ProgramMetadata} programMetadata - Program metadata.
+   * @param {ActiveUniform} uniform - Sampler uniform.
+   * @param {{type: string, components: number, kind: string}} type - Uniform
+   *     type.
+   * @param {*} value - Texture name, {texture, sampler}, texture unit, or an
+   *     array of them.
+   * @throws {Error} If the value does not match or a texture or sampler is
+   *     not found.
+   * @private
+   */
+  setSamplerUniform_(programName, programMetadata, uniform, type, value) {
+    const items = Array.isArray(value) ? value : [value];
+    const isUnits =
+      ArrayBuffer.isView(value) ||
+      items.every(item => typeof item === 'number');
+    const { textureBindings } = programMetadata;
+
+    if (isUnits) {
+      // Explicit units replace the automatic texture bindings
+      for (let i = 0; i < uniform.size; i++) {
+        textureBindings.delete(uniform.unit + i);
+      }
+      this.context.uniform1iv(
+        uniform.location,
+        this.toUniformData_(programName, uniform, type, value)
+      );
+      return;
+    }
+
+    if (items.length > uniform.size) {
+      throw new Error(
+        `Uniform "${uniform.name}" of program "${programName}" has ${uniform.size} samplers, got ${items.length} textures.`
+      );
+    }
+    const units = new Int32Array(items.length);
+    items.forEach((item, i) => {
+      const binding = typeof item === 'string' ? { texture: item } : item;
+      if (!binding || typeof binding.texture !== 'string') {
+        throw new Error(
+          `Uniform "${uniform.name}" of program "${programName}" needs texture names or units.`
+        );
+      }
+      units[i] = uniform.unit + i;
+      this.setActiveTexture(units[i]);
+      this.bindTexture(binding.texture, undefined, binding.sampler);
+      textureBindings.set(units[i], {
+        texture: binding.texture,
+        sampler: binding.sampler,
+      });
+    });
+    this.context.uniform1iv(uniform.location, units);
+  }
+
+  /**
+   * Binds the textures set on the sampler uniforms of a program to their
+   * texture units, which other programs may have used since. Samplers are
+   * applied again, since they are texture parameters another program may
+   * have changed.
+   * @param {string} programName - Program name.
+   * @private
+   */
+  bindProgramTextures_(programName) {
+    const { textureBindings } = this.programs_.get(programName);
+    textureBindings.forEach(({ texture, sampler }, unit) => {
+      this.setActiveTexture(unit);
+      this.bindTexture(texture, undefined, sampler);
+    });
+  }
+
+  /**
+   * Sets matrix uniform data. WebGL1 cannot transpose, so row-major data is
+   * transposed here.
+   * @param {WebGLUniformLocation} location - Uniform location.
+   * @param {Float32Array} data - Matrices.
+   * @param {{type: string, components: number, columns: number}} type -
+   *     Matrix type.
+   * @param {boolean} transpose - Whether the data is row-major.
+   * @private
+   */
+  uniformMatrix_(location, data, type, transpose) {
+    const values = transpose
+      ? transposeMatrices(data, type.columns, type.components / type.columns)
+      : data;
+    this.context[`uniformMatrix${type.type.slice(3)}fv`](
+      location,
+      false,
+      values
+    );
+  }
+
+  /**
+   * Renders a frame.
+   * @override
+   */
+  render() {
+    this.frameCount_++;
+    this.emit('frameRendered', { frameCount: this.frameCount_ });
+  }
+
+  /**
+   * Destroys all resources and cleans up the renderer.
+   * @override
+   */
+  destroy() {
+    // Clean up programs
+    this.programs_.forEach((metadata, name) => {
+      this.context.deleteProgram(metadata.program);
+      this.shaderPreprocessor_.evict(name);
+    });
+    this.programs_.clear();
+    this.shaderCache_.forEach(({ shader }) => {
+      this.context.deleteShader(shader);
+    });
+    this.shaderCache_.clear();
+
+    // Clean up buffers
+    this.buffers_.forEach(metadata => {
+      this.context.deleteBuffer(metadata.buffer);
+    });
+    this.buffers_.clear();
+
+    // Clean up textures
+    this.textures_.forEach(metadata => {
+      this.context.deleteTexture(metadata.texture);
+    });
+    this.textures_.clear();
+
+    // Clean up framebuffers
+    this.framebuffers_.forEach(metadata => {
+      this.context.deleteFramebuffer(metadata.framebuffer);
+    });
+    this.framebuffers_.clear();
+    this.renderTargets_.clear();
+    this.currentRenderTarget_ = null;
+
+    // Clean up renderbuffers
+    this.renderbuffers_.forEach(metadata => {
+      this.context.deleteRenderbuffer(metadata.renderbuffer);
+    });
+    this.renderbuffers_.clear();
+
+    this.pipelines_.clear();
+    this.samplers_.clear();
+
+    this.currentPass_ = null;
+    this.passCount_ = 0;
+
+    this.context = null;
+    this.isInitialized = false;
+
+    this.emit('destroyed');
+  }
+
+  /**
+   * Gets renderer statistics.
+   * @returns {Object} Statistics object.
+   */
+  getStats() {
+    const now = performance.now();
+    const elapsed = (now - this.startTime_) / 1000;
+    const fps = this.frameCount_ / elapsed;
+
+    return {
+      frameCount: this.frameCount_,
+      fps: fps,
+      buffers: this.buffers_.size,
+      textures: this.textures_.size,
+      programs: this.programs_.size,
+      pipelines: this.pipelines_.size,
+      samplers: this.samplers_.size,
+      framebuffers: this.framebuffers_.size,
+      renderbuffers: this.renderbuffers_.size,
+      renderTargets: this.renderTargets_.size,
+    };
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  on(event, callback) {
+    if (!this.eventListeners_.has(event)) {
+      this.eventListeners_.set(event, new Set());
+    }
+    this.eventListeners_.get(event).add(callback);
+  }
+
+  /**
+   * Removes an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  off(event, callback) {
+    this.eventListeners_.get(event)?.delete(callback);
+  }
+
+  /**
+   * Emits an event.
+   * @param {string} event - Event name.
+   * @param {*} [data] - Event data.
+   * @private
+   */
+  emit(event, data) {
+    this.eventListeners_.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Backend identifier reported by createRenderer() and the "initialized" event.
+   * @type {string}
+   */
+  static get backend() {
+    return 'webgl';
+  }
+
+  /**
+   * Checks if WebGL is supported in the current environment.
+   * @override
+   * @returns {boolean} True if WebGL is supported, otherwise false.
+   */
+  static isSupported() {
+    const canvas = document.createElement('canvas');
+    const gl =
+      canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    return gl !== null && gl instanceof WebGLRenderingContext;
+  }
+
+  // Helper methods
+  createVertexBuffer(name, vertices, usage = this.context.STATIC_DRAW) {
+    return this.createBuffer({
+      name,
+      data: vertices,
+      usage,
+      type: this.context.ARRAY_BUFFER,
+    });
+  }
+
+  createIndexBuffer(name, indices, usage = this.context.STATIC_DRAW) {
+    return this.createBuffer({
+      name,
+      data: indices,
+      usage,
+      type: this.context.ELEMENT_ARRAY_BUFFER,
+    });
+  }
+
+  getBuffer(name) {
+    const metadata = this.buffers_.get(name);
+    return metadata ? metadata.buffer : null;
+  }
+
+  getProgram(name) {
+    const metadata = this.programs_.get(name);
+    return metadata ? metadata.program : null;
+  }
+
+  getTexture(name) {
+    const metadata = this.textures_.get(name);
+    return metadata ? metadata.texture : null;
+  }
+
+  getFramebuffer(name) {
+    const metadata = this.framebuffers_.get(name);
+    return metadata ? metadata.framebuffer : null;
+  }
+
+  getRenderTargetTexture(name, index = 0) {
+    const metadata = this.renderTargets_.get(name);
+    return metadata ? metadata.colorTextures[index] || null : null;
+  }
+
+  getRenderbuffer(name) {
+    const metadata = this.renderbuffers_.get(name);
+    return metadata ? metadata.renderbuffer : null;
+  }
+
+  getRenderTargetDepthTexture(name) {
+    const metadata = this.renderTargets_.get(name);
+    return metadata ? metadata.depthTexture : null;
+  }
+
+  getRenderTargetMetadata(name) {
+    return this.renderTargets_.get(name) || null;
+  }
+}
+
+/** Returns HTML template for the error message
+ * @param {Error} error - Caught error
+ * @returns {string}
+ */
+export function HTMLWGLErrorMessage(error) {
+  return `
+        <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
+            <h2>WebGL Error</h2>
+            <p>Rendering code may be broken or unsupported.</p>
+            <p style="color: #ff6b6b; margin-top: 20px;">Error: ${error.message}</p>
+            <div style="margin-top: 30px;">
+                <a href="https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext"
+                   target="_blank"
+                   style="color: #4ecdc4; text-decoration: none;">
+                   Learn more about WebGL
+                </a>
+            </div>
+        </div>
+    `;
+}
+
+/** Returns HTML template for unsupported message
+ * @param {string} msg - Additional message
+ * @returns {string}
+ */
+export function HTMLWGLUnsupportedMessage(msg = '') {
+  return `
+        <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
+            <h2>WebGL Not Supported</h2>
+            <p>Your browser does not support WebGL or it's disabled.</p>
+            <p>Please use a modern browser with WebGL support.</p>
+            <p style="color: #6d6d6dff; margin-top: 20px;">Developer's note: ${msg}</p>
+            <div style="margin-top: 30px;">
+                <a href="https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext"
+                   target="_blank"
+                   style="color: #4ecdc4; text-decoration: none;">
+                   Learn more about WebGL
+                </a>
+            </div>
+        </div>
+    `;
+}
@@ -1,1514 +1,3006 @@
-/**
- * @fileoverview WebGPU API based renderer implementation.
- * @copyright 2025–present Catsgold
- * @license GPL-3.0-or-later
- * You must credit Catsgold (me) if you use or modify this code.
- */
-
-import { Renderer } from './Renderer.js';
-
-/**
- * Shader configuration object.
- * @typedef {Object} ShaderConfig
- * @property {string} vertex - Vertex shader code.
- * @property {string} fragment - Fragment shader code.
- */
-
-/**
- * Buffer configuration object.
- * @typedef {Object} BufferConfig
- * @property {string} name - Buffer name.
- * @property {ArrayBuffer|ArrayBufferView} data - Buffer data.
- * @property {GPUBufferUsage} usage - Buffer usage flags.
- * @property {GPUIndexFormat} [indexFormat] - Index format for index buffers.
- */
-
-/**
- * Pipeline configuration object.
- * @typedef {Object} PipelineConfig
- * @property {ShaderConfig} shaders - Shader configuration.
- * @property {Array<GPUVertexBufferLayout>} vertexBuffers - Vertex buffer layouts.
- * @property {GPUPrimitiveState} [primitive] - Primitive state configuration.
- * @property {GPUDepthStencilState} [depthStencil] - Depth stencil state.
- * @property {GPUBindGroupLayout[]} [bindGroupLayouts] - Explicit bind group layouts.
- */
-
-/**
- * Bind group entry configuration.
- * @typedef {Object} BindGroupEntry
- * @property {number} binding - Binding point.
- * @property {GPUBuffer|GPUTextureView|GPUSampler} resource - Resource to bind.
- * @property {number} [size] - Size for buffer binding (if applicable).
- */
-
-/**
- * Bind group configuration.
- * @typedef {Object} BindGroupConfig
- * @property {string} name - Bind group name.
- * @property {Array<BindGroupEntry>} entries - Bind group entries.
- */
-
-/**
- * Texture configuration.
- * @typedef {Object} TextureConfig
- * @property {string} name - Texture name.
- * @property {number} width - Texture width.
- * @property {number} height - Texture height.
- * @property {GPUTextureFormat} [format='rgba8unorm'] - Texture format.
- * @property {GPUTextureUsage} [usage=GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST] - Texture usage.
- */
-
-/**
- * Sampler configuration.
- * @typedef {Object} SamplerConfig
- * @property {string} name - Sampler name.
- * @property {GPUAddressMode} [addressModeU='clamp-to-edge'] - U address mode.
- * @property {GPUAddressMode} [addressModeV='clamp-to-edge'] - V address mode.
- * @property {GPUAddressMode} [addressModeW='clamp-to-edge'] - W address mode.
- * @property {GPUFilterMode} [magFilter='linear'] - Magnification filter.
- * @property {GPUFilterMode} [minFilter='linear'] - Minification filter.
- */
-
-/**
- * Render target configuration.
- * @typedef {Object} RenderTargetConfig
- * @property {string} name - Render target name.
- * @property {number} width - Render target width.
- * @property {number} height - Render target height.
- * @property {GPUTextureFormat} [format='rgba8unorm'] - Texture format.
- * @property {number} [sampleCount=1] - Sample count for MSAA.
- */
-
-/**
- * Event listener callback.
- * @callback EventCallback
- * @param {*} data - Event data.
- */
-
-/**
- * Buffer metadata for better resource management.
- * @typedef {Object} BufferMetadata
- * @property {GPUBuffer} buffer - The GPU buffer.
- * @property {number} size - Buffer size in bytes.
- * @property {GPUBufferUsage} usage - Buffer usage flags.
- * @property {GPUIndexFormat} [indexFormat] - Index format for index buffers.
- */
-
-/**
- * Texture metadata for better resource management.
- * @typedef {Object} TextureMetadata
- * @property {GPUTexture} texture - The GPU texture.
- * @property {GPUTextureView} view - The texture view.
- * @property {number} width - Texture width.
- * @property {number} height - Texture height.
- * @property {GPUTextureFormat} format - Texture format.
- * @property {GPUTextureUsage} usage - Texture usage.
- */
-
-/**
- * Renderer using WebGPU API.
- * @extends Renderer
- */
-export class WGPURenderer extends Renderer {
-  /**
-   * Creates an instance of WGPURenderer.
-   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
-   */
-  constructor(canvas) {
-    super(canvas);
-
-    /**
-     * GPU device.
-     * @type {?GPUDevice}
-     * @private
-     */
-    this.device_ = null;
-
-    /**
-     * WebGPU context.
-     * @type {?GPUCanvasContext}
-     * @private
-     */
-    this.context_ = null;
-
-    /**
-     * Texture format for rendering.
-     * @type {?GPUTextureFormat}
-     * @private
-     */
-    this.format_ = null;
-
-    /**
-     * Render pipelines.
-     * @type {Map<string, GPURenderPipeline>}
-     * @private
-     */
-    this.pipelines_ = new Map();
-
-    /**
-     * Compute pipelines.
-     * @type {Map<string, GPUComputePipeline>}
-     * @private
-     */
-    this.computePipelines_ = new Map();
-
-    /**
-     * GPU buffers with metadata.
-     * @type {Map<string, BufferMetadata>}
-     * @private
-     */
-    this.buffers_ = new Map();
-
-    /**
-     * Textures with metadata.
-     * @type {Map<string, TextureMetadata>}
-     * @private
-     */
-    this.textures_ = new Map();
-
-    /**
-     * Samplers.
-     * @type {Map<string, GPUSampler>}
-     * @private
-     */
-    this.samplers_ = new Map();
-
-    /**
-     * Bind groups.
-     * @type {Map<string, GPUBindGroup>}
-     * @private
-     */
-    this.bindGroups_ = new Map();
-
-    /**
-     * Render targets with metadata.
-     * @type {Map<string, TextureMetadata>}
-     * @private
-     */
-    this.renderTargets_ = new Map();
-
-    /**
-     * Current pipeline name.
-     * @type {?string}
-     * @private
-     */
-    this.currentPipeline_ = null;
-
-    /**
-     * Current clear color.
-     * @type {GPUColor}
-     * @private
-     */
-    this.clearColor_ = { r: 0.1, g: 0.1, b: 0.1, a: 1.0 };
-
-    /**
-     * Current clear depth.
-     * @type {number}
-     * @private
-     */
-    this.clearDepth_ = 1.0;
-
-    /**
-     * Current clear stencil.
-     * @type {number}
-     * @private
-     */
-    this.clearStencil_ = 0;
-
-    /**
-     * Event listeners.
-     * @type {Map<string, Set<EventCallback>>}
-     * @private
-     */
-    this.eventListeners_ = new Map();
-
-    /**
-     * Shader modules cache.
-     * @type {Map<string, GPUShaderModule>}
-     * @private
-     */
-    this.shaderModules_ = new Map();
-
-    /**
-     * Frame count.
-     * @type {number}
-     * @private
-     */
-    this.frameCount_ = 0;
-
-    /**
-     * Start time for statistics.
-     * @type {number}
-     * @private
-     */
-    this.startTime_ = performance.now();
-
-    /**
-     * Current render target.
-     * @type {?string}
-     * @private
-     */
-    this.currentRenderTarget_ = null;
-
-    /**
-     * Bind group layouts.
-     * @type {Map<string, GPUBindGroupLayout>}
-     * @private
-     */
-    this.bindGroupLayouts_ = new Map();
-
-    /**
-     * Current vertex buffers.
-     * @type {Object<number, {buffer: GPUBuffer, offset: number}>}
-     * @private
-     */
-    this.currentVertexBuffers_ = {};
-
-    /**
-     * Current bind groups.
-     * @type {Object<number, GPUBindGroup>}
-     * @private
-     */
-    this.currentBindGroups_ = {};
-
-    /**
-     * Blend state configuration.
-     * @type {?GPUBlendState}
-     * @private
-     */
-    this.blendState_ = null;
-
-    /**
-     * Depth stencil state configuration.
-     * @type {?GPUDepthStencilState}
-     * @private
-     */
-    this.depthStencilState_ = null;
-
-    /**
-     * Depth stencil texture metadata.
-     * @type {?TextureMetadata}
-     * @private
-     */
-    this.depthStencilTexture_ = null;
-
-    /**
-     * MSAA sample count.
-     * @type {number}
-     * @private
-     */
-    this.msaaSampleCount_ = 1;
-
-    /**
-     * MSAA texture metadata.
-     * @type {?TextureMetadata}
-     * @private
-     */
-    this.msaaTexture_ = null;
-
-    /**
-     * Blend state enabled.
-     * @type {boolean}
-     * @private
-     */
-    this.blendEnabled_ = false;
-
-    /**
-     * Depth state enabled.
-     * @type {boolean}
-     * @private
-     */
-    this.depthEnabled_ = false;
-
-    /**
-     * Current cull mode.
-     * @type {GPUCullMode}
-     * @private
-     */
-    this.cullMode_ = 'none';
-  }
-
-  /**
-   * Initializes WebGPU renderer.
-   * @override
-   * @returns {Promise<boolean>} Promise that resolves to true on successful initialization.
-   * @throws {Error} If WebGPU is not supported or initialization fails.
-   */
-  async initialize() {
-    if (!WGPURenderer.isSupported()) {
-      throw new Error('WebGPU is not supported in this browser.');
-    }
-
-    try {
-      // Get adapter and device
-      const adapter = await navigator.gpu.requestAdapter();
-      if (!adapter) {
-        throw new Error('Failed to get GPU adapter.');
-      }
-
-      this.device_ = await adapter.requestDevice();
-      if (!this.device_) {
-        throw new Error('Failed to get GPU device.');
-      }
-
-      // Configure canvas context
-      this.context_ = this.canvas.getContext('webgpu');
-      if (!this.context_) {
-        throw new Error('Failed to get WebGPU context.');
-      }
-
-      this.format_ = navigator.gpu.getPreferredCanvasFormat();
-      this.context_.configure({
-        device: this.device_,
-        format: this.format_,
-        alphaMode: 'premultiplied',
-      });
-
-      this.isInitialized = true;
-      this.emit('initialized', { device: this.device_, format: this.format_ });
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize WGPURenderer:', error);
-      this.emit('error', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Destroys a buffer and removes it from management.
-   * @param {string} name - Buffer name.
-   */
-  destroyBuffer(name) {
-    const bufferMetadata = this.buffers_.get(name);
-    if (bufferMetadata) {
-      bufferMetadata.buffer.destroy();
-      this.buffers_.delete(name);
-      this.emit('bufferDestroyed', { name });
-    }
-  }
-
-  /**
-   * Destroys a pipeline and removes it from management.
-   * @param {string} name - Pipeline name.
-   */
-  destroyPipeline(name) {
-    this.pipelines_.delete(name);
-    this.emit('pipelineDestroyed', { name });
-  }
-
-  /**
-   * Destroys a texture and removes it from management.
-   * @param {string} name - Texture name.
-   */
-  destroyTexture(name) {
-    const textureMetadata = this.textures_.get(name);
-    if (textureMetadata) {
-      textureMetadata.texture.destroy();
-      this.textures_.delete(name);
-      this.emit('textureDestroyed', { name });
-    }
-  }
-
-  /**
-   * Destroys all resources and cleans up the renderer.
-   */
-  destroy() {
-    // Destroy all buffers
-    this.buffers_.forEach((metadata, name) => {
-      metadata.buffer.destroy();
-      this.emit('bufferDestroyed', { name });
-    });
-    this.buffers_.clear();
-
-    // Destroy all textures
-    this.textures_.forEach((metadata, name) => {
-      metadata.texture.destroy();
-      this.emit('textureDestroyed', { name });
-    });
-    this.textures_.clear();
-
-    // Destroy render targets
-    this.renderTargets_.forEach((metadata, name) => {
-      metadata.texture.destroy();
-      this.emit('renderTargetDestroyed', { name });
-    });
-    this.renderTargets_.clear();
-
-    // Clear other collections
-    this.pipelines_.clear();
-    this.computePipelines_.clear();
-    this.samplers_.clear();
-    this.bindGroups_.clear();
-    this.shaderModules_.clear();
-
-    this.device_ = null;
-    this.context_ = null;
-    this.isInitialized = false;
-
-    this.emit('destroyed');
-  }
-
-  /**
-   * Updates buffer data with optimized approach.
-   * @param {string} name - Buffer name.
-   * @param {ArrayBuffer|ArrayBufferView} data - New data.
-   * @param {number} [offset=0] - Offset in bytes.
-   * @throws {Error} If buffer not found or renderer not initialized.
-   */
-  updateBuffer(name, data, offset = 0) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const bufferMetadata = this.buffers_.get(name);
-    if (!bufferMetadata) {
-      throw new Error(`Buffer "${name}" not found.`);
-    }
-
-    const dataToWrite = data instanceof ArrayBuffer ? data : data.buffer;
-
-    // Check if buffer size is sufficient
-    if (offset + dataToWrite.byteLength > bufferMetadata.size) {
-      console.warn(
-        `Buffer "${name}" too small for update. Consider recreating.`
-      );
-    }
-
-    this.device_.queue.writeBuffer(bufferMetadata.buffer, offset, dataToWrite);
-
-    this.emit('bufferUpdated', { name, offset, size: dataToWrite.byteLength });
-  }
-
-  /**
-   * Updates texture data with smart resizing.
-   * @param {string} name - Texture name.
-   * @param {ArrayBufferView} data - Texture data.
-   * @param {number} [width] - New texture width (optional).
-   * @param {number} [height] - New texture height (optional).
-   */
-  updateTexture(name, data, width, height) {
-    const textureMetadata = this.textures_.get(name);
-    if (!textureMetadata) {
-      throw new Error(`Texture "${name}" not found.`);
-    }
-
-    // Check if resize is needed
-    const needsResize =
-      width &&
-      height &&
-      (width !== textureMetadata.width || height !== textureMetadata.height);
-
-    if (needsResize) {
-      // Only recreate if size actually changed
-      this.destroyTexture(name);
-      this.createTexture({
-        name,
-        width,
-        height,
-        format: textureMetadata.format,
-        usage: textureMetadata.usage,
-      });
-      // Get updated metadata after recreation
-      const newMetadata = this.textures_.get(name);
-      textureMetadata.texture = newMetadata.texture;
-      textureMetadata.view = newMetadata.view;
-      textureMetadata.width = width;
-      textureMetadata.height = height;
-    }
-
-    const targetWidth = width || textureMetadata.width;
-    const targetHeight = height || textureMetadata.height;
-    const textureSize = [targetWidth, targetHeight, 1];
-
-    this.device_.queue.writeTexture(
-      { texture: textureMetadata.texture },
-      data,
-      { bytesPerRow: targetWidth * 4 },
-      textureSize
-    );
-
-    this.emit('textureUpdated', {
-      name,
-      width: targetWidth,
-      height: targetHeight,
-    });
-  }
-
-  /**
-   * Creates a bind group layout.
-   * @param {string} name - Layout name.
-   * @param {Array<GPUBindGroupLayoutEntry>} entries - Layout entries.
-   * @returns {GPUBindGroupLayout} Bind group layout.
-   */
-  createBindGroupLayout(name, entries) {
-    const layout = this.device_.createBindGroupLayout({
-      label: name,
-      entries,
-    });
-
-    this.bindGroupLayouts_.set(name, layout);
-    return layout;
-  }
-
-  /**
-   * Creates a bind group.
-   * @param {BindGroupConfig} config - Bind group configuration.
-   * @returns {GPUBindGroup} Created bind group.
-   * @throws {Error} If renderer not initialized or pipeline not set.
-   */
-  createBindGroup(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    if (!this.currentPipeline_) {
-      throw new Error('No pipeline set. Call setPipeline() first.');
-    }
-
-    const pipeline = this.pipelines_.get(this.currentPipeline_);
-    const bindGroup = this.device_.createBindGroup({
-      layout: pipeline.getBindGroupLayout(0),
-      entries: config.entries,
-    });
-
-    this.bindGroups_.set(config.name, bindGroup);
-    this.emit('bindGroupCreated', { name: config.name });
-
-    return bindGroup;
-  }
-
-  /**
-   * Sets the current bind group for rendering.
-   * @param {string} bindGroupName - Bind group name.
-   * @param {number} [index=0] - Bind group index.
-   */
-  setBindGroup(bindGroupName, index = 0) {
-    const bindGroup = this.bindGroups_.get(bindGroupName);
-    if (!bindGroup) {
-      throw new Error(`Bind group "${bindGroupName}" not found.`);
-    }
-
-    if (!this.currentBindGroups_) {
-      this.currentBindGroups_ = {};
-    }
-
-    this.currentBindGroups_[index] = bindGroup;
-  }
-
-  /**
-   * Creates a texture with metadata tracking.
-   * @param {TextureConfig} config - Texture configuration.
-   * @returns {GPUTexture} Created texture.
-   * @throws {Error} If renderer not initialized.
-   */
-  createTexture(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const format = config.format || 'rgba8unorm';
-    const usage =
-      config.usage ||
-      GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST;
-
-    const texture = this.device_.createTexture({
-      label: config.name,
-      size: [config.width, config.height, 1],
-      format,
-      usage,
-    });
-
-    const view = texture.createView();
-
-    const metadata = {
-      texture,
-      view,
-      width: config.width,
-      height: config.height,
-      format,
-      usage,
-    };
-
-    this.textures_.set(config.name, metadata);
-
-    this.emit('textureCreated', {
-      name: config.name,
-      width: config.width,
-      height: config.height,
-    });
-    return texture;
-  }
-
-  /**
-   * Creates depth stencil texture with metadata.
-   * @private
-   */
-  createDepthStencilTexture() {
-    const format = 'depth24plus-stencil8';
-    const usage = GPUTextureUsage.RENDER_ATTACHMENT;
-
-    const texture = this.device_.createTexture({
-      size: [this.canvas.width, this.canvas.height, 1],
-      format,
-      usage,
-      sampleCount: this.msaaSampleCount_,
-    });
-
-    const view = texture.createView();
-
-    this.depthStencilTexture_ = {
-      texture,
-      view,
-      width: this.canvas.width,
-      height: this.canvas.height,
-      format,
-      usage,
-    };
-  }
-
-  /**
-   * Creates MSAA texture.
-   * @private
-   */
-  createMSAATexture() {
-    if (this.msaaSampleCount_ <= 1) {
-      return;
-    }
-
-    // Destroy existing MSAA texture if it exists
-    if (this.msaaTexture_) {
-      this.msaaTexture_.texture.destroy();
-    }
-
-    const format = this.format_;
-    const usage = GPUTextureUsage.RENDER_ATTACHMENT;
-
-    const texture = this.device_.createTexture({
-      size: [this.canvas.width, this.canvas.height, 1],
-      format,
-      usage,
-      sampleCount: this.msaaSampleCount_,
-    });
-
-    const view = texture.createView();
-
-    this.msaaTexture_ = {
-      texture,
-      view,
-      width: this.canvas.width,
-      height: this.canvas.height,
-      format,
-      usage,
-      sampleCount: this.msaaSampleCount_,
-    };
-  }
-
-  /**
-   * Creates a sampler.
-   * @param {SamplerConfig} config - Sampler configuration.
-   * @returns {GPUSampler} Created sampler.
-   * @throws {Error} If renderer not initialized.
-   */
-  createSampler(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const sampler = this.device_.createSampler({
-      label: config.name,
-      addressModeU: config.addressModeU || 'clamp-to-edge',
-      addressModeV: config.addressModeV || 'clamp-to-edge',
-      addressModeW: config.addressModeW || 'clamp-to-edge',
-      magFilter: config.magFilter || 'linear',
-      minFilter: config.minFilter || 'linear',
-    });
-
-    this.samplers_.set(config.name, sampler);
-    this.emit('samplerCreated', { name: config.name });
-
-    return sampler;
-  }
-
-  /**
-   * Creates a GPU buffer with enhanced metadata tracking.
-   * @param {BufferConfig} config - Buffer configuration.
-   * @returns {GPUBuffer} Created buffer.
-   * @throws {Error} If renderer not initialized or config invalid.
-   */
-  createBuffer(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized. Call initialize() first.');
-    }
-
-    if (!config.name) {
-      throw new Error('Buffer name is required.');
-    }
-
-    if (!config.data) {
-      throw new Error('Buffer data is required.');
-    }
-
-    if (!config.usage) {
-      throw new Error('Buffer usage flags are required.');
-    }
-
-    const buffer = this.device_.createBuffer({
-      label: config.name,
-      size: config.data.byteLength,
-      usage: config.usage,
-      mappedAtCreation: true,
-    });
-
-    const arrayBuffer =
-      config.data instanceof ArrayBuffer
-        ? new Uint8Array(buffer.getMappedRange())
-        : new config.data.constructor(buffer.getMappedRange());
-
-    arrayBuffer.set(
-      config.data instanceof ArrayBuffer
-        ? new Uint8Array(config.data)
-        : config.data
-    );
-
-    buffer.unmap();
-
-    // Store metadata including explicit index format
-    const metadata = {
-      buffer,
-      size: config.data.byteLength,
-      usage: config.usage,
-      indexFormat: config.indexFormat, // Explicitly store format instead of guessing
-    };
-
-    this.buffers_.set(config.name, metadata);
-
-    this.emit('bufferCreated', {
-      name: config.name,
-      size: config.data.byteLength,
-      usage: config.usage,
-    });
-
-    return buffer;
-  }
-
-  /**
-   * Creates a render target with metadata tracking.
-   * @param {RenderTargetConfig} config - Render target configuration.
-   * @returns {GPUTexture} Created render target.
-   * @throws {Error} If renderer not initialized.
-   */
-  createRenderTarget(config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const format = config.format || 'rgba8unorm';
-    const usage =
-      GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING;
-
-    const texture = this.device_.createTexture({
-      label: config.name,
-      size: [config.width, config.height, 1],
-      format,
-      usage,
-      sampleCount: config.sampleCount || 1,
-    });
-
-    const view = texture.createView();
-
-    const metadata = {
-      texture,
-      view,
-      width: config.width,
-      height: config.height,
-      format,
-      usage,
-      sampleCount: config.sampleCount || 1,
-    };
-
-    this.renderTargets_.set(config.name, metadata);
-
-    this.emit('renderTargetCreated', {
-      name: config.name,
-      width: config.width,
-      height: config.height,
-    });
-
-    return texture;
-  }
-
-  /**
-   * Sets the current render target.
-   * @param {?string} name - Render target name or null for default canvas.
-   */
-  setRenderTarget(name) {
-    if (name && !this.renderTargets_.has(name)) {
-      throw new Error(`Render target "${name}" not found.`);
-    }
-    this.currentRenderTarget_ = name;
-  }
-
-  /**
-   * Sets blend state.
-   * @param {boolean} enabled - Whether blending is enabled.
-   * @param {GPUBlendState} [config] - Blend configuration.
-   */
-  setBlendState(enabled, config = {}) {
-    this.blendEnabled_ = enabled;
-    this.blendState_ = {
-      color: {
-        srcFactor: config.srcFactor || 'src-alpha',
-        dstFactor: config.dstFactor || 'one-minus-src-alpha',
-        operation: config.colorOperation || 'add',
-      },
-      alpha: {
-        srcFactor: config.alphaSrcFactor || 'one',
-        dstFactor: config.alphaDstFactor || 'one-minus-src-alpha',
-        operation: config.alphaOperation || 'add',
-      },
-    };
-  }
-
-  /**
-   * Sets depth state.
-   * @param {boolean} enabled - Whether depth testing is enabled.
-   * @param {Object} [config] - Depth stencil configuration.
-   * @param {GPUCompareFunction} [config.compare='less'] - Depth compare function.
-   * @param {boolean} [config.depthWriteEnabled=true] - Whether depth writing is enabled.
-   */
-  setDepthState(enabled, config = {}) {
-    this.depthEnabled_ = enabled;
-    this.depthStencilState_ = {
-      depthWriteEnabled: config.depthWriteEnabled !== false,
-      depthCompare: config.compare || 'less',
-      format: 'depth24plus-stencil8',
-    };
-
-    // Create depth texture if needed
-    if (enabled && !this.depthStencilTexture_) {
-      this.createDepthStencilTexture();
-    }
-  }
-
-  /**
-   * Sets cull mode.
-   * @param {GPUCullMode} mode - Cull mode.
-   */
-  setCullMode(mode) {
-    this.cullMode_ = mode;
-  }
-
-  /**
-   * Gets or creates a shader module.
-   * @param {string} code - Shader code.
-   * @returns {GPUShaderModule} Shader module.
-   * @private
-   */
-  getShaderModule_(code) {
-    if (!this.shaderModules_.has(code)) {
-      const module = this.device_.createShaderModule({
-        code,
-        label: `Cached shader module`,
-      });
-      this.shaderModules_.set(code, module);
-    }
-    return this.shaderModules_.get(code);
-  }
-
-  /**
-   * Registers an event listener.
-   * @param {string} event - Event name.
-   * @param {EventCallback} callback - Callback function.
-   */
-  on(event, callback) {
-    if (!this.eventListeners_.has(event)) {
-      this.eventListeners_.set(event, new Set());
-    }
-    this.eventListeners_.get(event).add(callback);
-  }
-
-  /**
-   * Removes an event listener.
-   * @param {string} event - Event name.
-   * @param {EventCallback} callback - Callback function.
-   */
-  off(event, callback) {
-    this.eventListeners_.get(event)?.delete(callback);
-  }
-
-  /**
-   * Emits an event.
-   * @param {string} event - Event name.
-   * @param {*} [data] - Event data.
-   * @private
-   */
-  emit(event, data) {
-    this.eventListeners_.get(event)?.forEach(callback => {
-      try {
-        callback(data);
-      } catch (error) {
-        console.error(`Error in event listener for ${event}:`, error);
-      }
-    });
-  }
-
-  /**
-   * Begins a new frame for statistics.
-   */
-  beginFrame() {
-    this.frameCount_++;
-  }
-
-  /**
-   * Gets renderer statistics.
-   * @returns {Object} Statistics object.
-   */
-  getStats() {
-    const now = performance.now();
-    const elapsed = (now - this.startTime_) / 1000;
-    const fps = this.frameCount_ / elapsed;
-
-    return {
-      frameCount: this.frameCount_,
-      fps: fps,
-      buffers: this.buffers_.size,
-      textures: this.textures_.size,
-      pipelines: this.pipelines_.size,
-      renderTargets: this.renderTargets_.size,
-      bindGroups: this.bindGroups_.size,
-      samplers: this.samplers_.size,
-    };
-  }
-
-  /**
-   * Sets vertex buffer for rendering.
-   * @param {number} slot - Vertex buffer slot.
-   * @param {string} bufferName - Buffer name.
-   * @param {number} [offset=0] - Buffer offset.
-   */
-  setVertexBuffer(slot, bufferName, offset = 0) {
-    if (!this.currentVertexBuffers_) {
-      this.currentVertexBuffers_ = {};
-    }
-
-    const bufferMetadata = this.buffers_.get(bufferName);
-    if (bufferMetadata) {
-      this.currentVertexBuffers_[slot] = {
-        buffer: bufferMetadata.buffer,
-        offset,
-      };
-    } else {
-      console.warn(`Vertex buffer "${bufferName}" not found.`);
-    }
-  }
-
-  /**
-   * Creates a compute pipeline.
-   * @param {string} name - Pipeline name.
-   * @param {string} computeShader - Compute shader code.
-   * @returns {GPUComputePipeline} Compute pipeline.
-   * @throws {Error} If renderer not initialized.
-   */
-  createComputePipeline(name, computeShader) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized.');
-    }
-
-    const shaderModule = this.getShaderModule_(computeShader);
-    const pipeline = this.device_.createComputePipeline({
-      label: name,
-      layout: 'auto',
-      compute: {
-        module: shaderModule,
-        entryPoint: 'main',
-      },
-    });
-
-    this.computePipelines_.set(name, pipeline);
-    this.emit('computePipelineCreated', { name });
-
-    return pipeline;
-  }
-
-  /**
-   * Dispatches a compute shader.
-   * @param {string} pipelineName - Compute pipeline name.
-   * @param {Object} config - Dispatch configuration.
-   * @param {number} config.workgroupCountX - X workgroup count.
-   * @param {number} [config.workgroupCountY=1] - Y workgroup count.
-   * @param {number} [config.workgroupCountZ=1] - Z workgroup count.
-   * @param {Object} [config.bindGroups] - Bind groups to set.
-   */
-  dispatchCompute(pipelineName, config) {
-    const pipeline = this.computePipelines_.get(pipelineName);
-    if (!pipeline) {
-      throw new Error(`Compute pipeline "${pipelineName}" not found.`);
-    }
-
-    const encoder = this.device_.createCommandEncoder();
-    const pass = encoder.beginComputePass();
-
-    pass.setPipeline(pipeline);
-
-    // Set bind groups if provided
-    if (config.bindGroups) {
-      Object.entries(config.bindGroups).forEach(([index, bindGroupName]) => {
-        const bindGroup = this.bindGroups_.get(bindGroupName);
-        if (bindGroup) {
-          pass.setBindGroup(parseInt(index), bindGroup);
-        }
-      });
-    }
-
-    pass.dispatchWorkgroups(
-      config.workgroupCountX,
-      config.workgroupCountY || 1,
-      config.workgroupCountZ || 1
-    );
-
-    pass.end();
-    this.device_.queue.submit([encoder.finish()]);
-
-    this.emit('computeDispatched', {
-      pipelineName,
-      workgroupCountX: config.workgroupCountX,
-      workgroupCountY: config.workgroupCountY,
-      workgroupCountZ: config.workgroupCountZ,
-    });
-  }
-
-  /**
-   * Unified pipeline creation method that handles both auto and explicit layouts.
-   * This replaces both createPipeline and createPipelineWithLayout to eliminate duplication.
-   * @param {string} name - Pipeline name.
-   * @param {PipelineConfig} config - Pipeline configuration.
-   * @returns {GPURenderPipeline} Created pipeline.
-   * @throws {Error} If renderer is not initialized.
-   */
-  createPipeline(name, config) {
-    if (!this.isInitialized) {
-      throw new Error('Renderer not initialized. Call initialize() first.');
-    }
-
-    const shaderCode = `${config.shaders.vertex}\n${config.shaders.fragment}`;
-    const shaderModule = this.getShaderModule_(shaderCode);
-
-    // Determine layout: explicit or auto
-    const layout = config.bindGroupLayouts
-      ? this.device_.createPipelineLayout({
-          bindGroupLayouts: config.bindGroupLayouts,
-        })
-      : 'auto';
-
-    const pipelineDescriptor = {
-      label: `${name} pipeline`,
-      layout,
-      vertex: {
-        module: shaderModule,
-        entryPoint: 'vs_main',
-        buffers: config.vertexBuffers,
-      },
-      fragment: {
-        module: shaderModule,
-        entryPoint: 'fs_main',
-        targets: [
-          {
-            format: this.format_,
-            blend: this.blendEnabled_ ? this.blendState_ : undefined,
-          },
-        ],
-      },
-      primitive: {
-        topology: config.primitive?.topology || 'triangle-list',
-        cullMode: this.cullMode_,
-        ...config.primitive,
-      },
-      depthStencil: this.depthEnabled_
-        ? config.depthStencil || this.depthStencilState_
-        : undefined,
-      multisample: {
-        count: this.msaaSampleCount_,
-      },
-    };
-
-    const pipeline = this.device_.createRenderPipeline(pipelineDescriptor);
-    this.pipelines_.set(name, pipeline);
-
-    this.emit('pipelineCreated', {
-      name,
-      config,
-      hasExplicitLayout: !!config.bindGroupLayouts,
-    });
-    return pipeline;
-  }
-
-  /**
-   * Sets the current clearColor.
-   * @override
-   * @param {number} r - Red cleaning color component (0-1).
-   * @param {number} g - Green cleaning color component (0-1).
-   * @param {number} b - Blue cleaning color component (0-1).
-   * @param {number} a - Alpha cleaning color component (0-1).
-   */
-  setClearColor(r, g, b, a) {
-    this.clearColor_ = { r, g, b, a };
-  }
-
-  /**
-   * Sets the current pipeline for rendering.
-   * @param {string} name - Pipeline name.
-   */
-  setPipeline(name) {
-    if (this.pipelines_.has(name)) {
-      this.currentPipeline_ = name;
-      this.emit('pipelineSet', { name });
-    }
-  }
-
-  /**
-   * Enables or disables MSAA.
-   * @param {boolean} enabled - If true then enable MSAA, else disable.
-   * @returns {boolean} True if MSAA was successfully enabled, false otherwise.
-   */
-  setMSAA(enabled) {
-    if (!this.isInitialized) {
-      console.warn('Renderer not initialized. Call initialize() first.');
-      return false;
-    }
-
-    this.msaaSampleCount_ = enabled ? 4 : 1;
-
-    // Recreate MSAA texture if needed (sample count > 1)
-    if (this.msaaSampleCount_ > 1) {
-      this.createMSAATexture();
-    } else if (this.msaaTexture_) {
-      // Clean up MSAA texture if disabling MSAA
-      this.msaaTexture_.texture.destroy();
-      this.msaaTexture_ = null;
-    }
-
-    this.emit('msaaChanged', { samples: this.msaaSampleCount_ });
-    return true;
-  }
-
-  /**
-   * Render method.
-   * @param {Object} drawCall - Draw call configuration.
-   */
-  render(drawCall = {}) {
-    this.beginFrame();
-
-    if (!this.isInitialized) {
-      console.warn('Renderer not initialized. Call initialize() first.');
-      return;
-    }
-
-    if (!this.currentPipeline_) {
-      throw new Error('No pipeline set. Call setPipeline() first.');
-    }
-
-    const encoder = this.device_.createCommandEncoder({
-      label: `Frame ${this.frameCount_} command encoder`,
-    });
-
-    const renderPassDescriptor = {
-      label: 'Render pass',
-      colorAttachments: [
-        {
-          view: this.currentRenderTarget_
-            ? this.renderTargets_.get(this.currentRenderTarget_).view
-            : this.msaaSampleCount_ > 1
-            ? this.msaaTexture_.view
-            : this.context_.getCurrentTexture().createView(),
-          resolveTarget:
-            this.msaaSampleCount_ > 1 && !this.currentRenderTarget_
-              ? this.context_.getCurrentTexture().createView()
-              : undefined,
-          clearValue: this.clearColor_,
-          loadOp: 'clear',
-          storeOp: this.msaaSampleCount_ > 1 ? 'discard' : 'store',
-        },
-      ],
-    };
-
-    if (this.currentRenderTarget_ && this.msaaSampleCount_ > 1) {
-      const rtMetadata = this.renderTargets_.get(this.currentRenderTarget_);
-      if (rtMetadata.sampleCount > 1) {
-        // Render target has its own MSAA, no resolve needed here
-        renderPassDescriptor.colorAttachments[0].resolveTarget = undefined;
-      }
-    }
-
-    // Add depth/stencil attachment if enabled
-    if (this.depthEnabled_ && this.depthStencilTexture_) {
-      renderPassDescriptor.depthStencilAttachment = {
-        view: this.depthStencilTexture_.view,
-        depthClearValue: this.clearDepth_,
-        depthLoadOp: 'clear',
-        depthStoreOp: 'store',
-        stencilClearValue: this.clearStencil_,
-        stencilLoadOp: 'clear',
-        stencilStoreOp: 'store',
-      };
-    }
-
-    const pass = encoder.beginRenderPass(renderPassDescriptor);
-    const pipeline = this.pipelines_.get(this.currentPipeline_);
-
-    pass.setPipeline(pipeline);
-
-    // Set vertex buffers
-    if (drawCall.vertexBuffers) {
-      Object.entries(drawCall.vertexBuffers).forEach(([slot, bufferName]) => {
-        const bufferMetadata = this.buffers_.get(bufferName);
-        if (bufferMetadata) {
-          pass.setVertexBuffer(parseInt(slot), bufferMetadata.buffer);
-        }
-      });
-    }
-
-    // Set bind groups
-    if (drawCall.bindGroups) {
-      Object.entries(drawCall.bindGroups).forEach(([index, bindGroupName]) => {
-        const bindGroup = this.bindGroups_.get(bindGroupName);
-        if (bindGroup) {
-          pass.setBindGroup(parseInt(index), bindGroup);
-        }
-      });
-    }
-
-    // Draw call
-    if (drawCall.indexBuffer && this.buffers_.has(drawCall.indexBuffer)) {
-      const bufferMetadata = this.buffers_.get(drawCall.indexBuffer);
-      pass.setIndexBuffer(
-        bufferMetadata.buffer,
-        bufferMetadata.indexFormat || 'uint16' // Use stored format or default
-      );
-      pass.drawIndexed(
-        drawCall.indexCount || 0,
-        drawCall.instanceCount || 1,
-        drawCall.firstIndex || 0,
-        drawCall.baseVertex || 0,
-        drawCall.firstInstance || 0
-      );
-    } else if (drawCall.vertexCount) {
-      pass.draw(
-        drawCall.vertexCount,
-        drawCall.instanceCount || 1,
-        drawCall.firstVertex || 0,
-        drawCall.firstInstance || 0
-      );
-    }
-
-    pass.end();
-    this.device_.queue.submit([encoder.finish()]);
-
-    this.emit('frameRendered', { frameCount: this.frameCount_, drawCall });
-  }
-
-  /**
-   * Sets the size of the rendering viewport.
-   * @override
-   * @param {number} width - Width in pixels.
-   * @param {number} height - Height in pixels.
-   */
-  setSize(width, height) {
-    if (!this.isInitialized) {
-      console.warn('Renderer not initialized. Call initialize() first.');
-      return;
-    }
-
-    const actualWidth = Math.max(1, width);
-    const actualHeight = Math.max(1, height);
-
-    // Reconfigure WebGPU context with new size
-    if (this.context_) {
-      this.context_.configure({
-        device: this.device_,
-        format: this.format_,
-        alphaMode: 'premultiplied',
-        size: [actualWidth, actualHeight],
-      });
-    }
-
-    // Recreate MSAA texture if it exists
-    if (this.msaaSampleCount_ > 1) {
-      this.createMSAATexture();
-    }
-
-    // Recreate depth texture if it exists
-    if (this.depthStencilTexture_) {
-      this.depthStencilTexture_.texture.destroy();
-      this.createDepthStencilTexture();
-    }
-
-    this.emit('resize', { width: actualWidth, height: actualHeight });
-  }
-
-  /**
-   * Checks if WebGPU is supported in the current environment.
-   * @override
-   * @returns {boolean} True if WebGPU is supported, otherwise false.
-   */
-  static isSupported() {
-    return (
-      typeof navigator !== 'undefined' &&
-      navigator.gpu !== undefined &&
-      typeof GPUAdapter !== 'undefined' &&
-      typeof GPUDevice !== 'undefined'
-    );
-  }
-
-  // Enhanced getters that return metadata or buffers as appropriate
-  getBuffer(name) {
-    const metadata = this.buffers_.get(name);
-    return metadata ? metadata.buffer : null;
-  }
-
-  getBufferMetadata(name) {
-    return this.buffers_.get(name) || null;
-  }
-
-  getPipeline(name) {
-    return this.pipelines_.get(name) || null;
-  }
-
-  getTexture(name) {
-    const metadata = this.textures_.get(name);
-    return metadata ? metadata.texture : null;
-  }
-
-  getTextureView(name) {
-    const metadata = this.textures_.get(name);
-    return metadata ? metadata.view : null;
-  }
-
-  getTextureMetadata(name) {
-    return this.textures_.get(name) || null;
-  }
-
-  getSampler(name) {
-    return this.samplers_.get(name) || null;
-  }
-
-  getMSAASampleCount() {
-    return this.msaaSampleCount_;
-  }
-
-  getBindGroup(name) {
-    return this.bindGroups_.get(name) || null;
-  }
-
-  getRenderTarget(name) {
-    const metadata = this.renderTargets_.get(name);
-    return metadata ? metadata.texture : null;
-  }
-
-  getRenderTargetView(name) {
-    const metadata = this.renderTargets_.get(name);
-    return metadata ? metadata.view : null;
-  }
-
-  getRenderTargetMetadata(name) {
-    return this.renderTargets_.get(name) || null;
-  }
-
-  getIndexFormat(bufferName) {
-    const metadata = this.buffers_.get(bufferName);
-    return metadata?.indexFormat || 'uint16';
-  }
-
-  /**
-   * Helper method to create index buffers with explicit format.
-   * @param {string} name - Buffer name.
-   * @param {Uint16Array|Uint32Array} indices - Index data.
-   * @returns {GPUBuffer} Created index buffer.
-   */
-  createIndexBuffer(name, indices) {
-    const indexFormat = indices instanceof Uint32Array ? 'uint32' : 'uint16';
-
-    return this.createBuffer({
-      name,
-      data: indices,
-      usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
-      indexFormat, // Explicitly store the format
-    });
-  }
-
-  /**
-   * Helper method to create vertex buffers.
-   * @param {string} name - Buffer name.
-   * @param {Float32Array} vertices - Vertex data.
-   * @returns {GPUBuffer} Created vertex buffer.
-   */
-  createVertexBuffer(name, vertices) {
-    return this.createBuffer({
-      name,
-      data: vertices,
-      usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-    });
-  }
-
-  /**
-   * Helper method to create uniform buffers.
-   * @param {string} name - Buffer name.
-   * @param {ArrayBufferView} data - Uniform data.
-   * @returns {GPUBuffer} Created uniform buffer.
-   */
-  createUniformBuffer(name, data) {
-    return this.createBuffer({
-      name,
-      data,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-  }
-}
-
-/** Returns HTML template for the error message
- *
- * Insert into the DOM when catched the error
- *
- * @param {string} error - Catched error
- * @returns {string}
- */
-export function HTMLWGPUErrorMessage(error) {
-  return `
-    <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
-      <h2>WebGPU Error</h2>
-      <p>Probably rendering code is broken.</p>
-      <p style="color: #ff6b6b; margin-top: 20px;">Error info for developers: ${error.message}</p>
-      <div style="margin-top: 30px;">
-        <a href="https://developer.chrome.com/docs/web-platform/webgpu"
-           target="_blank"
-           style="color: #4ecdc4; text-decoration: none;">
-           Learn more about WebGPU
-        </a>
-      </div>
-    </div>
-  `;
-}
-
-/** Returns HTML template for the error message
- *
- * Insert into the DOM when isSupported() failed.
- *
- * @param {string} error - Catched error
- * @returns {string}
- */
-export function HTMLWGPUUnsupportedMessage(msg) {
-  return `
-    <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
-      <h2>WebGPU Not Supported</h2>
-      <p>Your browser does not support WebGPU or it's disabled.</p>
-      <p>Please use Chrome 113+ or Firefox 141+ with WebGPU enabled.</p>
-      <p style="color: #6d6d6dff; margin-top: 20px;">Developer's note: ${msg}</p>
-      <div style="margin-top: 30px;">
-        <a href="https://developer.chrome.com/docs/web-platform/webgpu"
-          target="_blank"
-          style="color: #4ecdc4; text-decoration: none;">
-          Learn more about WebGPU
-        </a>
-      </div>
-    </div>
-  `;
-}
+/**
+ * @fileoverview WebGPU API based renderer implementation.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import {
+  Renderer,
+  BufferUsage,
+  getCompressedFormatInfo,
+  getSourceSize,
+} from './Renderer.js';
+import { ShaderLanguage, ShaderPreprocessor } from './ShaderPreprocessor.js';
+
+/**
+ * Shader configuration object.
+ * @typedef {Object} ShaderConfig
+ * @property {string} vertex - Vertex shader code.
+ * @property {string} fragment - Fragment shader code.
+ * @property {Object<string, (string|number|boolean)>} [defines] - Macros
+ *     of the shader variant.
+ * @property {Array<string>} [features] - Feature flags of the shader
+ *     variant, each defined as 1.
+ */
+
+/**
+ * Buffer configuration object.
+ * @typedef {Object} BufferConfig
+ * @property {string} name - Buffer name.
+ * @property {ArrayBuffer|ArrayBufferView} data - Buffer data.
+ * @property {GPUBufferUsage} usage - Buffer usage flags.
+ * @property {GPUIndexFormat} [indexFormat] - Index format for index buffers.
+ */
+
+/**
+ * Pipeline configuration object.
+ * @typedef {Object} PipelineConfig
+ * @property {ShaderConfig} shaders - Shader configuration. The vertex and
+ *     fragment code is preprocessed as one module.
+ * @property {Object<string, (string|number|boolean)>} [defines] - Macros of
+ *     the shader variant, overriding shaders.defines.
+ * @property {Array<string>} [features] - Feature flags of the shader
+ *     variant, overriding shaders.features.
+ * @property {Array<GPUVertexBufferLayout>} vertexBuffers - Vertex buffer layouts.
+ * @property {GPUPrimitiveState} [primitive] - Primitive state configuration.
+ *     cullMode defaults to the setCullMode() value.
+ * @property {?GPUDepthStencilState} [depthStencil] - Depth stencil state
+ *     (format is taken from the render pass). null disables depth testing;
+ *     omitted means the setDepthState() default.
+ * @property {?GPUBlendState} [blend] - Blend state of the color targets.
+ *     null disables blending; omitted means the setBlendState() default.
+ * @property {GPUBindGroupLayout[]} [bindGroupLayouts] - Explicit bind group
+ *     layouts. Pipelines with the "auto" layout get new bind group layouts for
+ *     every variant, so bind groups created for one variant (see
+ *     createBindGroup()) are not compatible with another; use explicit layouts
+ *     when a pipeline is drawn into targets with different formats or sample
+ *     counts.
+ */
+
+/**
+ * Render pipeline record. The GPU pipelines are variants built on demand
+ * for the attachment formats and sample count of the pass they are used in.
+ * @typedef {Object} PipelineRecord
+ * @property {GPUShaderModule} module - Shader module.
+ * @property {GPUPipelineLayout|string} layout - Pipeline layout or "auto".
+ * @property {Array<GPUVertexBufferLayout>} vertexBuffers - Vertex buffer layouts.
+ * @property {GPUPrimitiveState} primitive - Primitive state.
+ * @property {?GPUBlendState} blend - Blend state.
+ * @property {?GPUDepthStencilState} depthStencil - Depth stencil state without format.
+ * @property {string} stateKey - Cache key of shader, layout and state.
+ */
+
+/**
+ * Attachment formats of a render pass.
+ * @typedef {Object} TargetFormats
+ * @property {GPUTextureFormat[]} colorFormats - Color attachment formats.
+ * @property {GPUTextureFormat} [depthStencilFormat] - Depth attachment format.
+ * @property {number} sampleCount - Sample count.
+ */
+
+/**
+ * Bind group entry configuration.
+ * @typedef {Object} BindGroupEntry
+ * @property {number} binding - Binding point.
+ * @property {GPUBuffer|GPUTextureView|GPUSampler} resource - Resource to bind.
+ * @property {number} [size] - Size for buffer binding (if applicable).
+ */
+
+/**
+ * Bind group configuration.
+ * @typedef {Object} BindGroupConfig
+ * @property {string} name - Bind group name.
+ * @property {Array<BindGroupEntry>} entries - Bind group entries.
+ * @property {string} [layout] - Bind group layout name. Defaults to the
+ *     "auto" layout of the pipeline the group is drawn with; such groups are
+ *     recreated for each pipeline variant and group index they are used with.
+ */
+
+/**
+ * Texture configuration.
+ * @typedef {Object} TextureConfig
+ * @property {string} name - Texture name.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {GPUTextureFormat} [format] - Texture format. Defaults to
+ *     'rgba32float' for Float32Array data, otherwise 'rgba8unorm'.
+ * @property {GPUTextureUsage} [usage=GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST] - Texture usage.
+ * @property {ArrayBufferView} [data] - Initial texture data.
+ * @property {TextureSource} [source] - Initial texture image, copied with
+ *     copyExternalImageToTexture(). width and height default to its size.
+ *     Only textures created from an image accept image updates.
+ * @property {boolean} [flipY=false] - Whether image uploads are flipped
+ *     vertically.
+ * @property {boolean} [premultiplyAlpha=false] - Whether image uploads
+ *     multiply the color channels by alpha.
+ * @property {boolean} [mipmaps=false] - Whether to allocate the full mip
+ *     chain and regenerate it after every update. The format must be
+ *     renderable.
+ * @property {Array<ArrayBufferView>} [levels] - Data of each mip level,
+ *     level 0 first. Required for compressed formats, which need the
+ *     matching texture-compression-* device feature.
+ * @property {('2d'|'cube')} [dimension='2d'] - Texture dimension. Cube
+ *     textures have six square array layers and a 'cube' default view.
+ * @property {Array<(ArrayBufferView|TextureSource)>} [faces] - Initial
+ *     cube faces in +X, -X, +Y, -Y, +Z, -Z order.
+ */
+
+/**
+ * Sampler configuration.
+ * @typedef {Object} SamplerConfig
+ * @property {string} name - Sampler name.
+ * @property {GPUAddressMode} [addressModeU='clamp-to-edge'] - U address mode.
+ * @property {GPUAddressMode} [addressModeV='clamp-to-edge'] - V address mode.
+ * @property {GPUAddressMode} [addressModeW='clamp-to-edge'] - W address mode.
+ * @property {GPUFilterMode} [magFilter='linear'] - Magnification filter.
+ * @property {GPUFilterMode} [minFilter='linear'] - Minification filter.
+ * @property {GPUMipmapFilterMode} [mipmapFilter='nearest'] - Filter between
+ *     mip levels.
+ * @property {number} [lodMinClamp=0] - Minimum level of detail.
+ * @property {number} [lodMaxClamp=32] - Maximum level of detail.
+ */
+
+/**
+ * Render target configuration. A target has one color attachment of
+ * `format`, or one per entry of `colorAttachments`.
+ * @typedef {Object} RenderTargetConfig
+ * @property {string} name - Render target name.
+ * @property {number} width - Render target width.
+ * @property {number} height - Render target height.
+ * @property {GPUTextureFormat} [format='rgba8unorm'] - Texture format.
+ * @property {Array<{format: GPUTextureFormat}>} [colorAttachments] - Color attachments.
+ * @property {{format: GPUTextureFormat, storage: ('texture'|'renderbuffer')}} [depthStencil] -
+ *     Depth/stencil attachment. 'renderbuffer' storage cannot be sampled.
+ * @property {number} [sampleCount=1] - Sample count for MSAA.
+ */
+
+/**
+ * Render target attachment.
+ * @typedef {Object} RenderTargetAttachment
+ * @property {GPUTexture} texture - Attachment texture.
+ * @property {GPUTextureView} view - Attachment view.
+ * @property {GPUTextureFormat} format - Attachment format.
+ * @property {?GPUTexture} resolveTexture - Single-sampled texture a
+ *     multisampled color attachment resolves into.
+ * @property {?GPUTextureView} resolveView - Resolve texture view.
+ */
+
+/**
+ * Render target metadata. `texture`, `view` and `format` describe color
+ * attachment 0.
+ * @typedef {Object} RenderTargetMetadata
+ * @property {GPUTexture} texture - Texture of color attachment 0.
+ * @property {GPUTextureView} view - View of color attachment 0.
+ * @property {number} width - Render target width.
+ * @property {number} height - Render target height.
+ * @property {GPUTextureFormat} format - Format of color attachment 0.
+ * @property {GPUTextureUsage} usage - Color texture usage.
+ * @property {number} sampleCount - Sample count.
+ * @property {RenderTargetAttachment[]} colorAttachments - Color attachments.
+ * @property {?RenderTargetAttachment} depthStencil - Depth/stencil attachment.
+ */
+
+/**
+ * Open render pass state.
+ * @typedef {Object} ActivePass
+ * @property {GPURenderPassEncoder} encoder - Render pass encoder.
+ * @property {string} label - Pass label.
+ * @property {?string} target - Render target name or null for the canvas.
+ * @property {TargetFormats} formats - Attachment formats of the pass.
+ * @property {?GPURenderPipeline} pipeline - Pipeline bound in the pass.
+ * @property {Object<number, {buffer: GPUBuffer, offset: number}>} vertexBuffers - Vertex buffers bound in the pass.
+ * @property {Object<number, GPUBindGroup>} bindGroups - Bind groups bound in the pass.
+ * @property {?{buffer: GPUBuffer, format: GPUIndexFormat}} indexBuffer - Index buffer bound in the pass.
+ * @property {number} drawCount - Draws recorded in the pass.
+ */
+
+/**
+ * Event listener callback.
+ * @callback EventCallback
+ * @param {*} data - Event data.
+ */
+
+/**
+ * Buffer metadata for better resource management.
+ * @typedef {Object} BufferMetadata
+ * @property {GPUBuffer} buffer - The GPU buffer.
+ * @property {number} size - Buffer size in bytes.
+ * @property {GPUBufferUsage} usage - Buffer usage flags.
+ * @property {GPUIndexFormat} [indexFormat] - Index format for index buffers.
+ */
+
+/**
+ * Texture metadata for better resource management.
+ * @typedef {Object} TextureMetadata
+ * @property {GPUTexture} texture - The GPU texture.
+ * @property {GPUTextureView} view - The texture view.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {GPUTextureFormat} format - Texture format.
+ * @property {GPUTextureUsage} usage - Texture usage.
+ */
+
+/**
+ * Resources renderScene() keeps per mesh.
+ * @typedef {Object} SceneMeshResources
+ * @property {Array<{buffer: string, bindGroup: string}>} slots - Scene
+ *     uniform buffers and their bind groups, one per draw of the mesh in a
+ *     submission.
+ * @property {number} frame - Frame the slots were last used in.
+ * @property {number} used - Slots used in that frame.
+ */
+
+/**
+ * Size in bytes of the scene uniforms: model, view and projection mat4x4f,
+ * then normalMatrix mat3x3f with padded columns.
+ * @type {number}
+ */
+const SCENE_UNIFORMS_SIZE = 240;
+
+/**
+ * Bytes per texel of the uncompressed color formats, for writeTexture()
+ * row pitches.
+ * @type {Object<string, number>}
+ */
+const TEXEL_SIZES = {
+  r8unorm: 1,
+  r8snorm: 1,
+  r8uint: 1,
+  r8sint: 1,
+  rg8unorm: 2,
+  r16float: 2,
+  r16uint: 2,
+  r16sint: 2,
+  rgba8unorm: 4,
+  'rgba8unorm-srgb': 4,
+  bgra8unorm: 4,
+  'bgra8unorm-srgb': 4,
+  rgba8snorm: 4,
+  rgba8uint: 4,
+  rgba8sint: 4,
+  rg16float: 4,
+  r32float: 4,
+  r32uint: 4,
+  r32sint: 4,
+  rgb10a2unorm: 4,
+  rg11b10ufloat: 4,
+  rgb9e5ufloat: 4,
+  rgba16float: 8,
+  rg32float: 8,
+  rgba32float: 16,
+};
+
+/**
+ * Texture compression features requested from the adapter when available.
+ * @type {Array<GPUFeatureName>}
+ */
+const COMPRESSION_FEATURES = [
+  'texture-compression-bc',
+  'texture-compression-etc2',
+  'texture-compression-astc',
+];
+
+/**
+ * Mip level downsampler: a fullscreen triangle averaging 2x2 texels of the
+ * previous level. textureLoad() works for unfilterable formats too.
+ * @type {string}
+ */
+const MIPMAP_SHADER = `
+  @group(0) @binding(0) var source: texture_2d<f32>;
+
+  @vertex
+  fn vs_main(@builtin(vertex_index) index: u32) -> @builtin(position) vec4<f32> {
+    let uv = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+    return vec4<f32>(uv * 2.0 - 1.0, 0.0, 1.0);
+  }
+
+  @fragment
+  fn fs_main(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+    let maxCoord = vec2<i32>(textureDimensions(source)) - 1;
+    let base = vec2<i32>(position.xy) * 2;
+    var sum = vec4<f32>(0.0);
+    for (var y = 0; y < 2; y++) {
+      for (var x = 0; x < 2; x++) {
+        sum += textureLoad(source, min(base + vec2<i32>(x, y), maxCoord), 0);
+      }
+    }
+    return sum * 0.25;
+  }
+`;
+
+/**
+ * Equirectangular to cube face conversion. Each instance draws the
+ * full-screen triangle into the face given by its instance index and
+ * samples the direction of each texel, +Y up and the -Z center of the
+ * panorama at u = 0.25.
+ * @type {string}
+ */
+const EQUIRECT_TO_CUBE_SHADER = `
+  @group(0) @binding(0) var equirect: texture_2d<f32>;
+  @group(0) @binding(1) var equirectSampler: sampler;
+
+  const PI = 3.14159265359;
+
+  struct FaceVertex {
+    @builtin(position) position: vec4<f32>,
+    @location(0) st: vec2<f32>,
+    @location(1) @interpolate(flat) face: u32,
+  }
+
+  @vertex
+  fn vs_main(
+    @builtin(vertex_index) index: u32,
+    @builtin(instance_index) face: u32
+  ) -> FaceVertex {
+    let uv = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+    let position = uv * 2.0 - 1.0;
+    var output: FaceVertex;
+    output.position = vec4<f32>(position, 0.0, 1.0);
+    // Face coordinates in -1..1, t growing with the texel row
+    output.st = vec2<f32>(position.x, -position.y);
+    output.face = face;
+    return output;
+  }
+
+  @fragment
+  fn fs_main(input: FaceVertex) -> @location(0) vec4<f32> {
+    let s = input.st.x;
+    let t = input.st.y;
+    var directions = array<vec3<f32>, 6>(
+      vec3<f32>(1.0, -t, -s),
+      vec3<f32>(-1.0, -t, s),
+      vec3<f32>(s, 1.0, t),
+      vec3<f32>(s, -1.0, -t),
+      vec3<f32>(s, -t, 1.0),
+      vec3<f32>(-s, -t, -1.0)
+    );
+    let direction = normalize(directions[input.face]);
+    let uv = vec2<f32>(
+      atan2(direction.z, direction.x) / (2.0 * PI) + 0.5,
+      acos(clamp(direction.y, -1.0, 1.0)) / PI
+    );
+    return textureSampleLevel(equirect, equirectSampler, uv, 0.0);
+  }
+`;
+
+/**
+ * Renderer using WebGPU API.
+ * @extends Renderer
+ */
+export class WGPURenderer extends Renderer {
+  /**
+   * Creates an instance of WGPURenderer.
+   * @param {HTMLCanvasElement} canvas - Canvas element for rendering.
+   * @param {Object} [options] - Renderer options. The objects below replace
+   *     the ones normally taken from navigator.gpu and the canvas (e.g. mock
+   *     objects in tests).
+   * @param {GPU} [options.gpu] - GPU object to request the adapter from.
+   * @param {GPUDevice} [options.device] - Device to use instead of requesting one.
+   * @param {GPUCanvasContext} [options.context] - Canvas context to configure.
+   * @param {GPUTextureFormat} [options.format] - Canvas texture format.
+   */
+  constructor(canvas, options = {}) {
+    super(canvas);
+
+    /**
+     * Renderer options.
+     * @type {Object}
+     * @private
+     */
+    this.options_ = { ...options };
+
+    /**
+     * GPU device.
+     * @type {?GPUDevice}
+     * @private
+     */
+    this.device_ = null;
+
+    /**
+     * WebGPU context.
+     * @type {?GPUCanvasContext}
+     * @private
+     */
+    this.context_ = null;
+
+    /**
+     * Texture format for rendering.
+     * @type {?GPUTextureFormat}
+     * @private
+     */
+    this.format_ = null;
+
+    /**
+     * Render pipeline records.
+     * @type {Map<string, PipelineRecord>}
+     * @private
+     */
+    this.pipelines_ = new Map();
+
+    /**
+     * Render pipeline variants by cache key.
+     * @type {Map<string, GPURenderPipeline>}
+     * @private
+     */
+    this.pipelineCache_ = new Map();
+
+    /**
+     * Pipeline layouts by bind group layout ids.
+     * @type {Map<string, GPUPipelineLayout>}
+     * @private
+     */
+    this.pipelineLayouts_ = new Map();
+
+    /**
+     * Ids of GPU objects used in cache keys.
+     * @type {WeakMap<Object, number>}
+     * @private
+     */
+    this.objectIds_ = new WeakMap();
+
+    /**
+     * Next object id.
+     * @type {number}
+     * @private
+     */
+    this.nextObjectId_ = 1;
+
+    /**
+     * Compute pipelines.
+     * @type {Map<string, GPUComputePipeline>}
+     * @private
+     */
+    this.computePipelines_ = new Map();
+
+    /**
+     * GPU buffers with metadata.
+     * @type {Map<string, BufferMetadata>}
+     * @private
+     */
+    this.buffers_ = new Map();
+
+    /**
+     * Textures with metadata.
+     * @type {Map<string, TextureMetadata>}
+     * @private
+     */
+    this.textures_ = new Map();
+
+    /**
+     * Samplers.
+     * @type {Map<string, GPUSampler>}
+     * @private
+     */
+    this.samplers_ = new Map();
+
+    /**
+     * Bind groups.
+     * @type {Map<string, GPUBindGroup>}
+     * @private
+     */
+    this.bindGroups_ = new Map();
+
+    /**
+     * Entries of bind groups created without a layout, and their copies per
+     * pipeline variant and group index, keyed by the bind group createBindGroup()
+     * returned.
+     * @type {WeakMap<GPUBindGroup, {entries: Array<BindGroupEntry>, variants: Map<string, GPUBindGroup>}>}
+     * @private
+     */
+    this.autoBindGroups_ = new WeakMap();
+
+    /**
+     * Scene uniform buffers and bind groups per mesh id (renderScene()).
+     * @type {Map<number, SceneMeshResources>}
+     * @private
+     */
+    this.sceneMeshes_ = new Map();
+
+    /**
+     * Render targets with metadata.
+     * @type {Map<string, TextureMetadata>}
+     * @private
+     */
+    this.renderTargets_ = new Map();
+
+    /**
+     * Current pipeline name.
+     * @type {?string}
+     * @private
+     */
+    this.currentPipeline_ = null;
+
+    /**
+     * Current clear color.
+     * @type {GPUColor}
+     * @private
+     */
+    this.clearColor_ = { r: 0.1, g: 0.1, b: 0.1, a: 1.0 };
+
+    /**
+     * Current clear depth.
+     * @type {number}
+     * @private
+     */
+    this.clearDepth_ = 1.0;
+
+    /**
+     * Current clear stencil.
+     * @type {number}
+     * @private
+     */
+    this.clearStencil_ = 0;
+
+    /**
+     * Event listeners.
+     * @type {Map<string, Set<EventCallback>>}
+     * @private
+     */
+    this.eventListeners_ = new Map();
+
+    /**
+     * Shader modules cache.
+     * @type {Map<string, GPUShaderModule>}
+     * @private
+     */
+    this.shaderModules_ = new Map();
+
+    /**
+     * Mip level downsampling pipelines by texture format.
+     * @type {Map<string, GPURenderPipeline>}
+     * @private
+     */
+    this.mipmapPipelines_ = new Map();
+
+    /**
+     * Equirectangular conversion pipelines by cube format and whether the
+     * panorama is filterable.
+     * @type {Map<string, GPURenderPipeline>}
+     * @private
+     */
+    this.equirectPipelines_ = new Map();
+
+    /**
+     * Frame count.
+     * @type {number}
+     * @private
+     */
+    this.frameCount_ = 0;
+
+    /**
+     * Start time for statistics.
+     * @type {number}
+     * @private
+     */
+    this.startTime_ = performance.now();
+
+    /**
+     * Current render target.
+     * @type {?string}
+     * @private
+     */
+    this.currentRenderTarget_ = null;
+
+    /**
+     * Bind group layouts.
+     * @type {Map<string, GPUBindGroupLayout>}
+     * @private
+     */
+    this.bindGroupLayouts_ = new Map();
+
+    /**
+     * Current vertex buffers.
+     * @type {Object<number, {buffer: GPUBuffer, offset: number}>}
+     * @private
+     */
+    this.currentVertexBuffers_ = {};
+
+    /**
+     * Current bind groups.
+     * @type {Object<number, GPUBindGroup>}
+     * @private
+     */
+    this.currentBindGroups_ = {};
+
+    /**
+     * Blend state configuration.
+     * @type {?GPUBlendState}
+     * @private
+     */
+    this.blendState_ = null;
+
+    /**
+     * Depth stencil state configuration.
+     * @type {?GPUDepthStencilState}
+     * @private
+     */
+    this.depthStencilState_ = null;
+
+    /**
+     * Depth stencil texture metadata.
+     * @type {?TextureMetadata}
+     * @private
+     */
+    this.depthStencilTexture_ = null;
+
+    /**
+     * MSAA sample count.
+     * @type {number}
+     * @private
+     */
+    this.msaaSampleCount_ = 1;
+
+    /**
+     * MSAA texture metadata.
+     * @type {?TextureMetadata}
+     * @private
+     */
+    this.msaaTexture_ = null;
+
+    /**
+     * Blend state enabled.
+     * @type {boolean}
+     * @private
+     */
+    this.blendEnabled_ = false;
+
+    /**
+     * Depth state enabled.
+     * @type {boolean}
+     * @private
+     */
+    this.depthEnabled_ = false;
+
+    /**
+     * Current cull mode.
+     * @type {GPUCullMode}
+     * @private
+     */
+    this.cullMode_ = 'none';
+
+    /**
+     * Command encoder of the passes recorded since the last submit.
+     * @type {?GPUCommandEncoder}
+     * @private
+     */
+    this.commandEncoder_ = null;
+
+    /**
+     * Currently open render pass.
+     * @type {?ActivePass}
+     * @private
+     */
+    this.currentPass_ = null;
+
+    /**
+     * Passes ended since the last submit.
+     * @type {number}
+     * @private
+     */
+    this.passCount_ = 0;
+  }
+
+  /**
+   * Initializes WebGPU renderer.
+   * @override
+   * @returns {Promise<boolean>} Promise that resolves to true on successful initialization.
+   * @throws {Error} If WebGPU is not supported or initialization fails.
+   */
+  async initialize() {
+    const injected = this.options_.gpu || this.options_.device;
+    if (!injected && !WGPURenderer.isSupported()) {
+      throw new Error('WebGPU is not supported in this browser.');
+    }
+
+    try {
+      const gpu = this.options_.gpu || globalThis.navigator?.gpu;
+
+      // Get adapter and device
+      this.device_ = this.options_.device || null;
+      if (!this.device_) {
+        const adapter = await gpu.requestAdapter();
+        if (!adapter) {
+          throw new Error('Failed to get GPU adapter.');
+        }
+
+        this.device_ = await adapter.requestDevice({
+          requiredFeatures: COMPRESSION_FEATURES.filter(feature =>
+            adapter.features.has(feature)
+          ),
+        });
+        if (!this.device_) {
+          throw new Error('Failed to get GPU device.');
+        }
+      }
+
+      // Configure canvas context
+      this.context_ = this.options_.context || this.canvas.getContext('webgpu');
+      if (!this.context_) {
+        throw new Error('Failed to get WebGPU context.');
+      }
+
+      this.format_ =
+        this.options_.format ||
+        (gpu ? gpu.getPreferredCanvasFormat() : 'bgra8unorm');
+      this.context_.configure({
+        device: this.device_,
+        format: this.format_,
+        alphaMode: 'premultiplied',
+      });
+
+      this.isInitialized = true;
+      this.emit('initialized', {
+        backend: WGPURenderer.backend,
+        device: this.device_,
+        format: this.format_,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize WGPURenderer:', error);
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Destroys a buffer and removes it from management.
+   * @param {string} name - Buffer name.
+   */
+  destroyBuffer(name) {
+    const bufferMetadata = this.buffers_.get(name);
+    if (bufferMetadata) {
+      bufferMetadata.buffer.destroy();
+      this.buffers_.delete(name);
+      this.emit('bufferDestroyed', { name });
+    }
+  }
+
+  /**
+   * Destroys a pipeline and removes it from management.
+   * @param {string} name - Pipeline name.
+   */
+  destroyPipeline(name) {
+    const record = this.pipelines_.get(name);
+    if (!record) {
+      return;
+    }
+
+    this.pipelines_.delete(name);
+    this.shaderPreprocessor_.evict(name);
+    if (this.currentPipeline_ === name) {
+      this.currentPipeline_ = null;
+    }
+
+    // Drop the variants unless another pipeline has the same state
+    const shared = [...this.pipelines_.values()].some(
+      other => other.stateKey === record.stateKey
+    );
+    if (!shared) {
+      [...this.pipelineCache_.keys()]
+        .filter(key => key.startsWith(`${record.stateKey}|`))
+        .forEach(key => this.pipelineCache_.delete(key));
+    }
+
+    this.emit('pipelineDestroyed', { name });
+  }
+
+  /**
+   * Destroys a texture and removes it from management.
+   * @param {string} name - Texture name.
+   */
+  destroyTexture(name) {
+    const textureMetadata = this.textures_.get(name);
+    if (textureMetadata) {
+      textureMetadata.texture.destroy();
+      this.textures_.delete(name);
+      this.emit('textureDestroyed', { name });
+    }
+  }
+
+  /**
+   * Destroys all resources and cleans up the renderer.
+   */
+  destroy() {
+    // Destroy all buffers
+    this.buffers_.forEach((metadata, name) => {
+      metadata.buffer.destroy();
+      this.emit('bufferDestroyed', { name });
+    });
+    this.buffers_.clear();
+
+    // Destroy all textures
+    this.textures_.forEach((metadata, name) => {
+      metadata.texture.destroy();
+      this.emit('textureDestroyed', { name });
+    });
+    this.textures_.clear();
+
+    // Destroy render targets
+    this.renderTargets_.forEach((metadata, name) => {
+      this.destroyRenderTargetTextures_(metadata);
+      this.emit('renderTargetDestroyed', { name });
+    });
+    this.renderTargets_.clear();
+
+    // Clear other collections
+    [...this.pipelines_.keys(), ...this.computePipelines_.keys()].forEach(
+      name => this.shaderPreprocessor_.evict(name)
+    );
+    this.pipelines_.clear();
+    this.pipelineCache_.clear();
+    this.pipelineLayouts_.clear();
+    this.computePipelines_.clear();
+    this.samplers_.clear();
+    this.bindGroups_.clear();
+    this.sceneMeshes_.clear();
+    this.shaderModules_.clear();
+    this.mipmapPipelines_.clear();
+    this.equirectPipelines_.clear();
+
+    // Drop unsubmitted passes
+    this.currentPass_ = null;
+    this.commandEncoder_ = null;
+    this.passCount_ = 0;
+
+    this.device_ = null;
+    this.context_ = null;
+    this.isInitialized = false;
+
+    this.emit('destroyed');
+  }
+
+  /**
+   * Updates buffer data with optimized approach.
+   * @param {string} name - Buffer name.
+   * @param {ArrayBuffer|ArrayBufferView} data - New data.
+   * @param {number} [offset=0] - Offset in bytes.
+   * @throws {Error} If buffer not found or renderer not initialized.
+   */
+  updateBuffer(name, data, offset = 0) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const bufferMetadata = this.buffers_.get(name);
+    if (!bufferMetadata) {
+      throw new Error(`Buffer "${name}" not found.`);
+    }
+
+    const dataToWrite = data instanceof ArrayBuffer ? data : data.buffer;
+
+    // Check if buffer size is sufficient
+    if (offset + dataToWrite.byteLength > bufferMetadata.size) {
+      console.warn(
+        `Buffer "${name}" too small for update. Consider recreating.`
+      );
+    }
+
+    this.device_.queue.writeBuffer(bufferMetadata.buffer, offset, dataToWrite);
+
+    this.emit('bufferUpdated', { name, offset, size: dataToWrite.byteLength });
+  }
+
+  /**
+   * Updates texture data with smart resizing. Images are copied with
+   * copyExternalImageToTexture() using the texture's flipY and
+   * premultiplyAlpha settings.
+   * @override
+   * @param {string} name - Texture name.
+   * @param {ArrayBufferView|TextureSource|Array<(ArrayBufferView|TextureSource)>} data
+   *     Texture data or image, or the six faces of a cube texture.
+   * @param {number} [width] - New texture width (optional).
+   * @param {number} [height] - New texture height (optional).
+   */
+  updateTexture(name, data, width, height) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+    if (getCompressedFormatInfo(textureMetadata.format)) {
+      throw new Error(
+        `Compressed texture "${name}" cannot be updated; recreate it with createTexture({levels}).`
+      );
+    }
+    const cube = textureMetadata.layerCount === 6;
+    if (cube && (!Array.isArray(data) || data.length !== 6)) {
+      throw new Error(`Cube texture "${name}" needs six faces.`);
+    }
+
+    // Check if resize is needed
+    const needsResize =
+      width &&
+      height &&
+      (width !== textureMetadata.width || height !== textureMetadata.height);
+
+    if (needsResize) {
+      // Only recreate if size actually changed
+      this.destroyTexture(name);
+      this.createTexture({
+        name,
+        width,
+        height,
+        format: textureMetadata.format,
+        usage: textureMetadata.usage,
+        flipY: textureMetadata.flipY,
+        premultiplyAlpha: textureMetadata.premultiplyAlpha,
+        mipmaps: textureMetadata.mipLevelCount > 1,
+        dimension: cube ? 'cube' : '2d',
+      });
+      // Get updated metadata after recreation
+      const newMetadata = this.textures_.get(name);
+      textureMetadata.texture = newMetadata.texture;
+      textureMetadata.view = newMetadata.view;
+      textureMetadata.width = width;
+      textureMetadata.height = height;
+      textureMetadata.mipLevelCount = newMetadata.mipLevelCount;
+    }
+
+    const targetWidth = width || textureMetadata.width;
+    const targetHeight = height || textureMetadata.height;
+    const textureSize = [targetWidth, targetHeight, 1];
+
+    (cube ? data : [data]).forEach((layerData, layer) => {
+      const origin = { x: 0, y: 0, z: layer };
+      if (ArrayBuffer.isView(layerData) || layerData instanceof ArrayBuffer) {
+        const texelSize = TEXEL_SIZES[textureMetadata.format];
+        if (!texelSize) {
+          throw new Error(
+            `Texture format "${textureMetadata.format}" cannot be written from data.`
+          );
+        }
+        this.device_.queue.writeTexture(
+          { texture: textureMetadata.texture, origin },
+          this.toTextureData_(textureMetadata.format, layerData),
+          { bytesPerRow: targetWidth * texelSize },
+          textureSize
+        );
+      } else {
+        this.device_.queue.copyExternalImageToTexture(
+          { source: layerData, flipY: textureMetadata.flipY },
+          {
+            texture: textureMetadata.texture,
+            origin,
+            premultipliedAlpha: textureMetadata.premultiplyAlpha,
+          },
+          textureSize
+        );
+      }
+    });
+
+    if (textureMetadata.mipLevelCount > 1) {
+      this.generateMipmaps(name);
+    }
+
+    this.emit('textureUpdated', {
+      name,
+      width: targetWidth,
+      height: targetHeight,
+    });
+  }
+
+  /**
+   * Creates a bind group layout.
+   * @param {string} name - Layout name.
+   * @param {Array<GPUBindGroupLayoutEntry>} entries - Layout entries.
+   * @returns {GPUBindGroupLayout} Bind group layout.
+   */
+  createBindGroupLayout(name, entries) {
+    const layout = this.device_.createBindGroupLayout({
+      label: name,
+      entries,
+    });
+
+    this.bindGroupLayouts_.set(name, layout);
+    return layout;
+  }
+
+  /**
+   * Creates a bind group.
+   * @param {BindGroupConfig} config - Bind group configuration.
+   * @returns {GPUBindGroup} Created bind group.
+   * @throws {Error} If renderer not initialized or pipeline not set.
+   */
+  createBindGroup(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    if (!this.currentPipeline_) {
+      throw new Error('No pipeline set. Call setPipeline() first.');
+    }
+
+    let bindGroup;
+    if (config.layout) {
+      const layout = this.bindGroupLayouts_.get(config.layout);
+      if (!layout) {
+        throw new Error(`Bind group layout "${config.layout}" not found.`);
+      }
+      bindGroup = this.device_.createBindGroup({
+        layout,
+        entries: config.entries,
+      });
+    } else {
+      // An "auto" layout only fits the pipeline it came from, so the group
+      // is recreated for the variant it is drawn with (getBindGroupVariant_())
+      const pipeline = this.getPipeline(this.currentPipeline_);
+      bindGroup = this.device_.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: config.entries,
+      });
+      this.autoBindGroups_.set(bindGroup, {
+        entries: config.entries,
+        variants: new Map([[`${this.objectId_(pipeline)}/0`, bindGroup]]),
+      });
+    }
+
+    this.bindGroups_.set(config.name, bindGroup);
+    this.emit('bindGroupCreated', { name: config.name });
+
+    return bindGroup;
+  }
+
+  /**
+   * Sets the current bind group for rendering.
+   * @param {string} bindGroupName - Bind group name.
+   * @param {number} [index=0] - Bind group index.
+   */
+  setBindGroup(bindGroupName, index = 0) {
+    const bindGroup = this.bindGroups_.get(bindGroupName);
+    if (!bindGroup) {
+      throw new Error(`Bind group "${bindGroupName}" not found.`);
+    }
+
+    if (!this.currentBindGroups_) {
+      this.currentBindGroups_ = {};
+    }
+
+    this.currentBindGroups_[index] = bindGroup;
+  }
+
+  /**
+   * Creates a texture with metadata tracking.
+   * @param {TextureConfig} config - Texture configuration.
+   * @returns {GPUTexture} Created texture.
+   * @throws {Error} If renderer not initialized.
+   */
+  createTexture(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const cube = config.dimension === 'cube';
+    if (cube && config.levels) {
+      throw new Error(
+        `Cube texture "${config.name}" cannot be created from levels.`
+      );
+    }
+    if (cube && config.faces && config.faces.length !== 6) {
+      throw new Error(`Cube texture "${config.name}" needs six faces.`);
+    }
+    const initialData = cube ? config.faces && config.faces[0] : config.data;
+    const format =
+      config.format ||
+      (initialData instanceof Float32Array ? 'rgba32float' : 'rgba8unorm');
+    this.assertTextureFormatSupported_(format);
+    const image = cube ? config.faces && config.faces[0] : config.source;
+    const fromImage = !!image && !ArrayBuffer.isView(image);
+
+    // Image copies and mip generation need RENDER_ATTACHMENT, which not
+    // every format allows
+    const usage =
+      config.usage ||
+      GPUTextureUsage.TEXTURE_BINDING |
+        GPUTextureUsage.COPY_DST |
+        (fromImage || (config.mipmaps && !config.levels)
+          ? GPUTextureUsage.RENDER_ATTACHMENT
+          : 0);
+    const size = fromImage ? getSourceSize(image) : config;
+    const width = config.width || size.width;
+    const height = config.height || size.height;
+    if (cube && width !== height) {
+      throw new Error(
+        `Cube texture "${config.name}" faces must be square, got ${width}x${height}.`
+      );
+    }
+    const block = getCompressedFormatInfo(format);
+    if (
+      block &&
+      (width % block.blockWidth !== 0 || height % block.blockHeight !== 0)
+    ) {
+      throw new Error(
+        `Texture "${config.name}" size ${width}x${height} is not a multiple of the ${format} block size.`
+      );
+    }
+
+    let mipLevelCount = 1;
+    if (config.levels) {
+      mipLevelCount = config.levels.length;
+    } else if (config.mipmaps) {
+      mipLevelCount = Math.floor(Math.log2(Math.max(width, height))) + 1;
+    }
+
+    const layerCount = cube ? 6 : 1;
+    const texture = this.device_.createTexture({
+      label: config.name,
+      size: [width, height, layerCount],
+      format,
+      usage,
+      mipLevelCount,
+    });
+
+    const view = texture.createView(cube ? { dimension: 'cube' } : {});
+
+    const metadata = {
+      texture,
+      view,
+      width,
+      height,
+      format,
+      usage,
+      mipLevelCount,
+      layerCount,
+      flipY: !!config.flipY,
+      premultiplyAlpha: !!config.premultiplyAlpha,
+    };
+
+    this.textures_.set(config.name, metadata);
+
+    if (config.levels) {
+      config.levels.forEach((data, level) =>
+        this.writeTextureLevel_(metadata, data, level)
+      );
+    } else if (cube ? config.faces : config.data || config.source) {
+      this.updateTexture(
+        config.name,
+        cube ? config.faces : config.data || config.source
+      );
+    }
+
+    this.emit('textureCreated', {
+      name: config.name,
+      width,
+      height,
+    });
+    return texture;
+  }
+
+  /**
+   * Writes one mip level of a texture from data. Compressed levels are
+   * written in whole blocks.
+   * @param {Object} metadata - Texture metadata.
+   * @param {ArrayBufferView} data - Level data.
+   * @param {number} level - Mip level.
+   * @private
+   */
+  writeTextureLevel_(metadata, data, level) {
+    const width = Math.max(1, metadata.width >> level);
+    const height = Math.max(1, metadata.height >> level);
+    const block = getCompressedFormatInfo(metadata.format);
+
+    if (block) {
+      const blocksWide = Math.ceil(width / block.blockWidth);
+      const blocksHigh = Math.ceil(height / block.blockHeight);
+      this.device_.queue.writeTexture(
+        { texture: metadata.texture, mipLevel: level },
+        data,
+        {
+          bytesPerRow: blocksWide * block.blockSize,
+          rowsPerImage: blocksHigh,
+        },
+        [blocksWide * block.blockWidth, blocksHigh * block.blockHeight, 1]
+      );
+      return;
+    }
+
+    this.device_.queue.writeTexture(
+      { texture: metadata.texture, mipLevel: level },
+      this.toTextureData_(metadata.format, data),
+      { bytesPerRow: width * TEXEL_SIZES[metadata.format] },
+      [width, height, 1]
+    );
+  }
+
+  /**
+   * Checks whether textures of a format can be created. Compressed formats
+   * need their texture-compression-* feature, which initialize() requests
+   * when the adapter offers it.
+   * @override
+   * @param {string} format - Texture format.
+   * @returns {boolean} True if createTexture() accepts the format.
+   */
+  supportsTextureFormat(format) {
+    const block = getCompressedFormatInfo(format);
+    return !block || !!this.device_?.features.has(block.feature);
+  }
+
+  /**
+   * Regenerates mip levels 1 and up of a texture from level 0, each level
+   * averaging 2x2 texels of the previous one. Called by updateTexture() for
+   * textures created with mipmaps.
+   * @param {string} name - Texture name.
+   * @throws {Error} If the texture does not exist.
+   */
+  generateMipmaps(name) {
+    const textureMetadata = this.textures_.get(name);
+    if (!textureMetadata) {
+      throw new Error(`Texture "${name}" not found.`);
+    }
+
+    const { texture, format, mipLevelCount, layerCount } = textureMetadata;
+    const pipeline = this.getMipmapPipeline_(format);
+    const encoder = this.device_.createCommandEncoder({
+      label: `${name} mipmaps`,
+    });
+    // Single-layer views, so cube faces are downsampled one at a time
+    const levelView = (level, layer) =>
+      texture.createView({
+        dimension: '2d',
+        baseMipLevel: level,
+        mipLevelCount: 1,
+        baseArrayLayer: layer,
+        arrayLayerCount: 1,
+      });
+
+    for (let layer = 0; layer < layerCount; layer++) {
+      for (let level = 1; level < mipLevelCount; level++) {
+        const bindGroup = this.device_.createBindGroup({
+          layout: pipeline.getBindGroupLayout(0),
+          entries: [{ binding: 0, resource: levelView(level - 1, layer) }],
+        });
+        const pass = encoder.beginRenderPass({
+          label: `${name} mip ${level}`,
+          colorAttachments: [
+            {
+              view: levelView(level, layer),
+              loadOp: 'clear',
+              storeOp: 'store',
+            },
+          ],
+        });
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.draw(3);
+        pass.end();
+      }
+    }
+
+    this.device_.queue.submit([encoder.finish()]);
+  }
+
+  /**
+   * Creates a cube texture from an equirectangular panorama by rendering
+   * each face. rgba32float panoramas are not filterable and are sampled
+   * with the nearest texel.
+   * @override
+   * @param {EquirectCubeConfig} config - Cube texture configuration.
+   * @returns {GPUTexture} Created cube texture.
+   * @throws {Error} If the panorama does not exist.
+   */
+  createCubeTextureFromEquirect(config) {
+    const equirect = this.textures_.get(config.equirect);
+    if (!equirect) {
+      throw new Error(`Texture "${config.equirect}" not found.`);
+    }
+
+    const size = config.size || Math.max(1, equirect.width >> 2);
+    const texture = this.createTexture({
+      name: config.name,
+      dimension: 'cube',
+      width: size,
+      height: size,
+      format: config.format || 'rgba8unorm',
+      usage:
+        GPUTextureUsage.TEXTURE_BINDING |
+        GPUTextureUsage.COPY_DST |
+        GPUTextureUsage.RENDER_ATTACHMENT,
+      mipmaps: config.mipmaps,
+    });
+
+    const filterable = equirect.format !== 'rgba32float';
+    const filter = filterable ? 'linear' : 'nearest';
+    const pipeline = this.getEquirectPipeline_(texture.format, filterable);
+    const bindGroup = this.device_.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: equirect.view },
+        {
+          binding: 1,
+          resource: this.device_.createSampler({
+            addressModeU: 'repeat',
+            magFilter: filter,
+            minFilter: filter,
+          }),
+        },
+      ],
+    });
+
+    const encoder = this.device_.createCommandEncoder({
+      label: `${config.name} equirect`,
+    });
+    for (let face = 0; face < 6; face++) {
+      const pass = encoder.beginRenderPass({
+        label: `${config.name} face ${face}`,
+        colorAttachments: [
+          {
+            view: texture.createView({
+              dimension: '2d',
+              baseMipLevel: 0,
+              mipLevelCount: 1,
+              baseArrayLayer: face,
+              arrayLayerCount: 1,
+            }),
+            loadOp: 'clear',
+            storeOp: 'store',
+          },
+        ],
+      });
+      pass.setPipeline(pipeline);
+      pass.setBindGroup(0, bindGroup);
+      pass.draw(3, 1, 0, face);
+      pass.end();
+    }
+    this.device_.queue.submit([encoder.finish()]);
+
+    if (texture.mipLevelCount > 1) {
+      this.generateMipmaps(config.name);
+    }
+    return texture;
+  }
+
+  /**
+   * Returns the equirectangular conversion pipeline for a cube format,
+   * creating it once.
+   * @param {GPUTextureFormat} format - Cube texture format.
+   * @param {boolean} filterable - Whether the panorama can be filtered.
+   * @returns {GPURenderPipeline} Pipeline.
+   * @private
+   */
+  getEquirectPipeline_(format, filterable) {
+    const key = `${format}|${filterable}`;
+    if (!this.equirectPipelines_.has(key)) {
+      const module = this.getShaderModule_(EQUIRECT_TO_CUBE_SHADER);
+      const bindGroupLayout = this.device_.createBindGroupLayout({
+        label: 'equirect',
+        entries: [
+          {
+            binding: 0,
+            visibility: GPUShaderStage.FRAGMENT,
+            texture: {
+              sampleType: filterable ? 'float' : 'unfilterable-float',
+            },
+          },
+          {
+            binding: 1,
+            visibility: GPUShaderStage.FRAGMENT,
+            sampler: { type: filterable ? 'filtering' : 'non-filtering' },
+          },
+        ],
+      });
+      this.equirectPipelines_.set(
+        key,
+        this.device_.createRenderPipeline({
+          label: `equirect ${format}`,
+          layout: this.device_.createPipelineLayout({
+            bindGroupLayouts: [bindGroupLayout],
+          }),
+          vertex: { module, entryPoint: 'vs_main' },
+          fragment: { module, entryPoint: 'fs_main', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+        })
+      );
+    }
+    return this.equirectPipelines_.get(key);
+  }
+
+  /**
+   * Returns the mip downsampling pipeline for a format, creating it once.
+   * @param {GPUTextureFormat} format - Texture format.
+   * @returns {GPURenderPipeline} Pipeline.
+   * @private
+   */
+  getMipmapPipeline_(format) {
+    if (!this.mipmapPipelines_.has(format)) {
+      const module = this.getShaderModule_(MIPMAP_SHADER);
+      const bindGroupLayout = this.device_.createBindGroupLayout({
+        label: 'mipmap',
+        entries: [
+          {
+            binding: 0,
+            visibility: GPUShaderStage.FRAGMENT,
+            texture: { sampleType: 'unfilterable-float' },
+          },
+        ],
+      });
+      this.mipmapPipelines_.set(
+        format,
+        this.device_.createRenderPipeline({
+          label: `mipmap ${format}`,
+          layout: this.device_.createPipelineLayout({
+            bindGroupLayouts: [bindGroupLayout],
+          }),
+          vertex: { module, entryPoint: 'vs_main' },
+          fragment: { module, entryPoint: 'fs_main', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+        })
+      );
+    }
+    return this.mipmapPipelines_.get(format);
+  }
+
+  /**
+   * Creates depth stencil texture with metadata.
+   * @private
+   */
+  createDepthStencilTexture() {
+    const format = 'depth24plus-stencil8';
+    const usage = GPUTextureUsage.RENDER_ATTACHMENT;
+
+    const texture = this.device_.createTexture({
+      size: [this.canvas.width, this.canvas.height, 1],
+      format,
+      usage,
+      sampleCount: this.msaaSampleCount_,
+    });
+
+    const view = texture.createView();
+
+    this.depthStencilTexture_ = {
+      texture,
+      view,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      format,
+      usage,
+    };
+  }
+
+  /**
+   * Creates MSAA texture.
+   * @private
+   */
+  createMSAATexture() {
+    if (this.msaaSampleCount_ <= 1) {
+      return;
+    }
+
+    // Destroy existing MSAA texture if it exists
+    if (this.msaaTexture_) {
+      this.msaaTexture_.texture.destroy();
+    }
+
+    const format = this.format_;
+    const usage = GPUTextureUsage.RENDER_ATTACHMENT;
+
+    const texture = this.device_.createTexture({
+      size: [this.canvas.width, this.canvas.height, 1],
+      format,
+      usage,
+      sampleCount: this.msaaSampleCount_,
+    });
+
+    const view = texture.createView();
+
+    this.msaaTexture_ = {
+      texture,
+      view,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      format,
+      usage,
+      sampleCount: this.msaaSampleCount_,
+    };
+  }
+
+  /**
+   * Creates a sampler.
+   * @param {SamplerConfig} config - Sampler configuration.
+   * @returns {GPUSampler} Created sampler.
+   * @throws {Error} If renderer not initialized.
+   */
+  createSampler(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const sampler = this.device_.createSampler({
+      label: config.name,
+      addressModeU: config.addressModeU || 'clamp-to-edge',
+      addressModeV: config.addressModeV || 'clamp-to-edge',
+      addressModeW: config.addressModeW || 'clamp-to-edge',
+      magFilter: config.magFilter || 'linear',
+      minFilter: config.minFilter || 'linear',
+      mipmapFilter: config.mipmapFilter || 'nearest',
+      lodMinClamp: config.lodMinClamp ?? 0,
+      lodMaxClamp: config.lodMaxClamp ?? 32,
+    });
+
+    this.samplers_.set(config.name, sampler);
+    this.emit('samplerCreated', { name: config.name });
+
+    return sampler;
+  }
+
+  /**
+   * Creates a GPU buffer with enhanced metadata tracking.
+   * @param {BufferConfig} config - Buffer configuration.
+   * @returns {GPUBuffer} Created buffer.
+   * @throws {Error} If renderer not initialized or config invalid.
+   */
+  createBuffer(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized. Call initialize() first.');
+    }
+
+    if (!config.name) {
+      throw new Error('Buffer name is required.');
+    }
+
+    if (!config.data) {
+      throw new Error('Buffer data is required.');
+    }
+
+    if (!config.usage) {
+      throw new Error('Buffer usage flags are required.');
+    }
+
+    const usage =
+      typeof config.usage === 'string'
+        ? this.resolveBufferUsage_(config.usage)
+        : config.usage;
+
+    const indexFormat =
+      config.indexFormat ||
+      (config.usage === BufferUsage.INDEX
+        ? config.data instanceof Uint32Array
+          ? 'uint32'
+          : 'uint16'
+        : undefined);
+
+    // Mapped buffers must be a multiple of 4 bytes in size
+    const buffer = this.device_.createBuffer({
+      label: config.name,
+      size: Math.ceil(config.data.byteLength / 4) * 4,
+      usage,
+      mappedAtCreation: true,
+    });
+
+    const arrayBuffer =
+      config.data instanceof ArrayBuffer
+        ? new Uint8Array(buffer.getMappedRange())
+        : new config.data.constructor(buffer.getMappedRange());
+
+    arrayBuffer.set(
+      config.data instanceof ArrayBuffer
+        ? new Uint8Array(config.data)
+        : config.data
+    );
+
+    buffer.unmap();
+
+    // Store metadata including explicit index format
+    const metadata = {
+      buffer,
+      size: config.data.byteLength,
+      usage,
+      indexFormat, // Explicitly store format instead of guessing
+    };
+
+    this.buffers_.set(config.name, metadata);
+
+    this.emit('bufferCreated', {
+      name: config.name,
+      size: config.data.byteLength,
+      usage,
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Resolves a portable buffer usage into WebGPU buffer usage flags.
+   * @param {BufferUsage} usage - Portable buffer usage.
+   * @returns {GPUBufferUsageFlags} Buffer usage flags.
+   * @throws {Error} If the usage is unknown.
+   * @private
+   */
+  resolveBufferUsage_(usage) {
+    switch (usage) {
+      case BufferUsage.VERTEX:
+        return GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST;
+      case BufferUsage.INDEX:
+        return GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST;
+      case BufferUsage.UNIFORM:
+        return GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST;
+      default:
+        throw new Error(`Unknown buffer usage "${usage}".`);
+    }
+  }
+
+  /**
+   * Creates a render target with metadata tracking. Multisampled color
+   * attachments get a resolve texture that passes resolve into.
+   * @override
+   * @param {RenderTargetConfig} config - Render target configuration.
+   * @returns {GPUTexture} Texture of color attachment 0.
+   * @throws {Error} If renderer not initialized or there are more color
+   *     attachments than the device supports.
+   */
+  createRenderTarget(config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const formats = config.colorAttachments
+      ? config.colorAttachments.map(
+          attachment => attachment.format || 'rgba8unorm'
+        )
+      : [config.format || 'rgba8unorm'];
+    const maxColorAttachments = this.device_.limits?.maxColorAttachments ?? 8;
+    if (formats.length > maxColorAttachments) {
+      throw new Error(
+        `Render target "${config.name}" has ${formats.length} color attachments, the device supports ${maxColorAttachments}.`
+      );
+    }
+
+    const sampleCount = config.sampleCount || 1;
+    const usage =
+      GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING;
+    const size = [config.width, config.height, 1];
+
+    const colorAttachments = formats.map((format, index) => {
+      const texture = this.device_.createTexture({
+        label: `${config.name} color ${index}`,
+        size,
+        format,
+        usage: sampleCount > 1 ? GPUTextureUsage.RENDER_ATTACHMENT : usage,
+        sampleCount,
+      });
+      const resolveTexture =
+        sampleCount > 1
+          ? this.device_.createTexture({
+              label: `${config.name} color ${index} resolve`,
+              size,
+              format,
+              usage,
+            })
+          : null;
+
+      return {
+        texture,
+        view: texture.createView(),
+        format,
+        resolveTexture,
+        resolveView: resolveTexture ? resolveTexture.createView() : null,
+      };
+    });
+
+    // The depth/stencil attachment always matches the color sample count
+    let depthStencil = null;
+    if (config.depthStencil) {
+      const format = config.depthStencil.format || 'depth24plus-stencil8';
+      const sampled =
+        config.depthStencil.storage !== 'renderbuffer' && sampleCount === 1;
+      const texture = this.device_.createTexture({
+        label: `${config.name} depth`,
+        size,
+        format,
+        usage: sampled ? usage : GPUTextureUsage.RENDER_ATTACHMENT,
+        sampleCount,
+      });
+      depthStencil = {
+        texture,
+        view: texture.createView(),
+        format,
+        resolveTexture: null,
+        resolveView: null,
+      };
+    }
+
+    const metadata = {
+      texture: colorAttachments[0].texture,
+      view: colorAttachments[0].view,
+      width: config.width,
+      height: config.height,
+      format: formats[0],
+      usage,
+      sampleCount,
+      colorAttachments,
+      depthStencil,
+    };
+
+    this.renderTargets_.set(config.name, metadata);
+
+    this.emit('renderTargetCreated', {
+      name: config.name,
+      width: config.width,
+      height: config.height,
+    });
+
+    return metadata.texture;
+  }
+
+  /**
+   * Sets the current render target.
+   * @override
+   * @param {?string} name - Render target name or null for default canvas.
+   */
+  setRenderTarget(name) {
+    if (name && !this.renderTargets_.has(name)) {
+      throw new Error(`Render target "${name}" not found.`);
+    }
+    this.currentRenderTarget_ = name;
+  }
+
+  /**
+   * Destroys a render target and its attachment textures.
+   * @override
+   * @param {string} name - Render target name.
+   */
+  destroyRenderTarget(name) {
+    const metadata = this.renderTargets_.get(name);
+    if (!metadata) {
+      return;
+    }
+
+    this.destroyRenderTargetTextures_(metadata);
+    this.renderTargets_.delete(name);
+    if (this.currentRenderTarget_ === name) {
+      this.currentRenderTarget_ = null;
+    }
+
+    this.emit('renderTargetDestroyed', { name });
+  }
+
+  /**
+   * Destroys the textures of all attachments of a render target.
+   * @param {RenderTargetMetadata} metadata - Render target metadata.
+   * @private
+   */
+  destroyRenderTargetTextures_(metadata) {
+    const attachments = metadata.depthStencil
+      ? [...metadata.colorAttachments, metadata.depthStencil]
+      : metadata.colorAttachments;
+    attachments.forEach(attachment => {
+      attachment.texture.destroy();
+      if (attachment.resolveTexture) {
+        attachment.resolveTexture.destroy();
+      }
+    });
+  }
+
+  /**
+   * Sets the default blend state of pipelines created afterwards.
+   * Existing pipelines keep their state.
+   * @param {boolean} enabled - Whether blending is enabled.
+   * @param {GPUBlendState} [config] - Blend configuration.
+   */
+  setBlendState(enabled, config = {}) {
+    this.blendEnabled_ = enabled;
+    this.blendState_ = {
+      color: {
+        srcFactor: config.srcFactor || 'src-alpha',
+        dstFactor: config.dstFactor || 'one-minus-src-alpha',
+        operation: config.colorOperation || 'add',
+      },
+      alpha: {
+        srcFactor: config.alphaSrcFactor || 'one',
+        dstFactor: config.alphaDstFactor || 'one-minus-src-alpha',
+        operation: config.alphaOperation || 'add',
+      },
+    };
+  }
+
+  /**
+   * Sets the default depth state of pipelines created afterwards and whether
+   * passes get a depth attachment. Existing pipelines keep their state.
+   * @param {boolean} enabled - Whether depth testing is enabled.
+   * @param {Object} [config] - Depth stencil configuration.
+   * @param {GPUCompareFunction} [config.compare='less'] - Depth compare function.
+   * @param {boolean} [config.depthWriteEnabled=true] - Whether depth writing is enabled.
+   */
+  setDepthState(enabled, config = {}) {
+    this.depthEnabled_ = enabled;
+    this.depthStencilState_ = {
+      depthWriteEnabled: config.depthWriteEnabled !== false,
+      depthCompare: config.compare || 'less',
+      format: 'depth24plus-stencil8',
+    };
+
+    // Create depth texture if needed
+    if (enabled && !this.depthStencilTexture_) {
+      this.createDepthStencilTexture();
+    }
+  }
+
+  /**
+   * Sets the default cull mode of pipelines created afterwards.
+   * Existing pipelines keep their state.
+   * @param {GPUCullMode} mode - Cull mode.
+   */
+  setCullMode(mode) {
+    this.cullMode_ = mode;
+  }
+
+  /**
+   * Gets or creates a shader module. Modules are cached by code, so each
+   * shader variant is compiled once.
+   * @param {string} code - Shader code.
+   * @param {?ProcessedShader} [shader] - Preprocessed shader the code comes
+   *     from. Compilation errors are then reported with the chunk and line
+   *     of the original source, through console.error and the 'error' event.
+   * @returns {GPUShaderModule} Shader module.
+   * @private
+   */
+  getShaderModule_(code, shader = null) {
+    if (!this.shaderModules_.has(code)) {
+      const module = this.device_.createShaderModule({
+        code,
+        label: shader?.key
+          ? `Cached shader module (${shader.key})`
+          : `Cached shader module`,
+      });
+      this.shaderModules_.set(code, module);
+      if (shader && module.getCompilationInfo) {
+        // Compilation info is unavailable once the device is lost
+        this.reportShaderErrors_(module, shader).catch(() => {});
+      }
+    }
+    return this.shaderModules_.get(code);
+  }
+
+  /**
+   * Reports the compilation errors of a preprocessed shader module at their
+   * original source locations.
+   * @param {GPUShaderModule} module - Shader module.
+   * @param {ProcessedShader} shader - Preprocessed shader of the module.
+   * @returns {Promise<void>} Resolves when the errors are reported.
+   * @private
+   */
+  async reportShaderErrors_(module, shader) {
+    const info = await module.getCompilationInfo();
+    info.messages
+      .filter(message => message.type === 'error')
+      .forEach(message => {
+        const location = ShaderPreprocessor.mapLine(shader, message.lineNum);
+        const where = location
+          ? `${location.source}:${location.line}:${message.linePos}`
+          : `${message.lineNum}:${message.linePos}`;
+        const error = new Error(`${where}: ${message.message}`);
+        console.error(`Shader compilation error: ${error.message}`);
+        this.emit('error', error);
+      });
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  on(event, callback) {
+    if (!this.eventListeners_.has(event)) {
+      this.eventListeners_.set(event, new Set());
+    }
+    this.eventListeners_.get(event).add(callback);
+  }
+
+  /**
+   * Removes an event listener.
+   * @param {string} event - Event name.
+   * @param {EventCallback} callback - Callback function.
+   */
+  off(event, callback) {
+    this.eventListeners_.get(event)?.delete(callback);
+  }
+
+  /**
+   * Emits an event.
+   * @param {string} event - Event name.
+   * @param {*} [data] - Event data.
+   * @private
+   */
+  emit(event, data) {
+    this.eventListeners_.get(event)?.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Begins a new frame for statistics.
+   */
+  beginFrame() {
+    this.frameCount_++;
+  }
+
+  /**
+   * Gets renderer statistics.
+   * @returns {Object} Statistics object.
+   */
+  getStats() {
+    const now = performance.now();
+    const elapsed = (now - this.startTime_) / 1000;
+    const fps = this.frameCount_ / elapsed;
+
+    return {
+      frameCount: this.frameCount_,
+      fps: fps,
+      buffers: this.buffers_.size,
+      textures: this.textures_.size,
+      pipelines: this.pipelines_.size,
+      pipelineVariants: this.pipelineCache_.size,
+      renderTargets: this.renderTargets_.size,
+      bindGroups: this.bindGroups_.size,
+      samplers: this.samplers_.size,
+    };
+  }
+
+  /**
+   * Sets vertex buffer for rendering.
+   * @param {number} slot - Vertex buffer slot.
+   * @param {string} bufferName - Buffer name.
+   * @param {number} [offset=0] - Buffer offset.
+   */
+  setVertexBuffer(slot, bufferName, offset = 0) {
+    if (!this.currentVertexBuffers_) {
+      this.currentVertexBuffers_ = {};
+    }
+
+    const bufferMetadata = this.buffers_.get(bufferName);
+    if (bufferMetadata) {
+      this.currentVertexBuffers_[slot] = {
+        buffer: bufferMetadata.buffer,
+        offset,
+      };
+    } else {
+      console.warn(`Vertex buffer "${bufferName}" not found.`);
+    }
+  }
+
+  /**
+   * Creates a compute pipeline.
+   * @param {string} name - Pipeline name.
+   * @param {string} computeShader - Compute shader code, run through the
+   *     shader preprocessor.
+   * @param {Object} [options] - Shader variant options.
+   * @param {Object<string, (string|number|boolean)>} [options.defines] -
+   *     Macros of the shader variant.
+   * @param {Array<string>} [options.features] - Feature flags of the shader
+   *     variant.
+   * @returns {GPUComputePipeline} Compute pipeline.
+   * @throws {Error} If renderer not initialized or preprocessing fails.
+   */
+  createComputePipeline(name, computeShader, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized.');
+    }
+
+    const shader = this.shaderPreprocessor_.process(computeShader, {
+      name,
+      defines: options.defines,
+      features: options.features,
+      language: ShaderLanguage.WGSL,
+      program: name,
+    });
+    const shaderModule = this.getShaderModule_(shader.code, shader);
+    const pipeline = this.device_.createComputePipeline({
+      label: name,
+      layout: 'auto',
+      compute: {
+        module: shaderModule,
+        entryPoint: 'main',
+      },
+    });
+
+    this.computePipelines_.set(name, pipeline);
+    this.emit('computePipelineCreated', { name });
+
+    return pipeline;
+  }
+
+  /**
+   * Dispatches a compute shader.
+   * @param {string} pipelineName - Compute pipeline name.
+   * @param {Object} config - Dispatch configuration.
+   * @param {number} config.workgroupCountX - X workgroup count.
+   * @param {number} [config.workgroupCountY=1] - Y workgroup count.
+   * @param {number} [config.workgroupCountZ=1] - Z workgroup count.
+   * @param {Object} [config.bindGroups] - Bind groups to set.
+   */
+  dispatchCompute(pipelineName, config) {
+    const pipeline = this.computePipelines_.get(pipelineName);
+    if (!pipeline) {
+      throw new Error(`Compute pipeline "${pipelineName}" not found.`);
+    }
+
+    const encoder = this.device_.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+
+    pass.setPipeline(pipeline);
+
+    // Set bind groups if provided
+    if (config.bindGroups) {
+      Object.entries(config.bindGroups).forEach(([index, bindGroupName]) => {
+        const bindGroup = this.bindGroups_.get(bindGroupName);
+        if (bindGroup) {
+          pass.setBindGroup(parseInt(index), bindGroup);
+        }
+      });
+    }
+
+    pass.dispatchWorkgroups(
+      config.workgroupCountX,
+      config.workgroupCountY || 1,
+      config.workgroupCountZ || 1
+    );
+
+    pass.end();
+    this.device_.queue.submit([encoder.finish()]);
+
+    this.emit('computeDispatched', {
+      pipelineName,
+      workgroupCountX: config.workgroupCountX,
+      workgroupCountY: config.workgroupCountY,
+      workgroupCountZ: config.workgroupCountZ,
+    });
+  }
+
+  /**
+   * Creates a render pipeline. Render state is taken from the config (falling
+   * back to the setBlendState(), setDepthState() and setCullMode() defaults at
+   * creation time), so later state changes do not affect existing pipelines.
+   * GPU pipelines are built per target format and sample count on demand and
+   * cached, so setMSAA() and render targets never use a stale pipeline.
+   * @param {string} name - Pipeline name.
+   * @param {PipelineConfig} config - Pipeline configuration.
+   * @returns {GPURenderPipeline} Variant for the current render target.
+   * @throws {Error} If renderer is not initialized.
+   */
+  createPipeline(name, config) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized. Call initialize() first.');
+    }
+
+    const shader = this.shaderPreprocessor_.process(
+      [
+        { name: `${name}.vertex`, source: config.shaders.vertex },
+        { name: `${name}.fragment`, source: config.shaders.fragment },
+      ],
+      {
+        defines: config.defines ?? config.shaders.defines,
+        features: config.features ?? config.shaders.features,
+        language: ShaderLanguage.WGSL,
+        program: name,
+      }
+    );
+    const module = this.getShaderModule_(shader.code, shader);
+    const layout = config.bindGroupLayouts
+      ? this.getPipelineLayout_(config.bindGroupLayouts)
+      : 'auto';
+
+    const blend =
+      config.blend !== undefined
+        ? config.blend
+        : this.blendEnabled_
+        ? this.blendState_
+        : null;
+
+    let depthStencil =
+      config.depthStencil !== undefined
+        ? config.depthStencil
+        : this.depthEnabled_
+        ? this.depthStencilState_
+        : null;
+    if (depthStencil) {
+      // The format belongs to the pass, not the pipeline
+      const { format, ...state } = depthStencil;
+      depthStencil = state;
+    }
+
+    const primitive = {
+      topology: 'triangle-list',
+      cullMode: this.cullMode_,
+      ...config.primitive,
+    };
+
+    const vertexBuffers = config.vertexBuffers || [];
+    const stateKey = [
+      this.objectId_(module),
+      layout === 'auto' ? 'auto' : this.objectId_(layout),
+      JSON.stringify({ vertexBuffers, primitive, blend, depthStencil }),
+    ].join('|');
+
+    const record = {
+      module,
+      layout,
+      vertexBuffers,
+      primitive,
+      blend,
+      depthStencil,
+      stateKey,
+    };
+    this.pipelines_.set(name, record);
+
+    // Build the variant for the current target now so errors surface here
+    const pipeline = this.getPipelineVariant_(
+      name,
+      this.getTargetFormats_(this.currentRenderTarget_)
+    );
+
+    this.emit('pipelineCreated', {
+      name,
+      config,
+      hasExplicitLayout: !!config.bindGroupLayouts,
+    });
+    return pipeline;
+  }
+
+  /**
+   * Returns the GPU pipeline of a pipeline record for the given attachments,
+   * creating and caching it if needed.
+   * @param {string} name - Pipeline name.
+   * @param {TargetFormats} formats - Attachment formats.
+   * @returns {GPURenderPipeline} Pipeline variant.
+   * @throws {Error} If the pipeline does not exist.
+   * @private
+   */
+  getPipelineVariant_(name, formats) {
+    const record = this.pipelines_.get(name);
+    if (!record) {
+      throw new Error(`Pipeline "${name}" not found.`);
+    }
+
+    const key = [
+      record.stateKey,
+      formats.sampleCount,
+      formats.colorFormats.join(','),
+      formats.depthStencilFormat || '',
+    ].join('|');
+
+    let pipeline = this.pipelineCache_.get(key);
+    if (!pipeline) {
+      pipeline = this.device_.createRenderPipeline(
+        this.createPipelineDescriptor_(name, record, formats)
+      );
+      this.pipelineCache_.set(key, pipeline);
+      this.emit('pipelineVariantCreated', { name, ...formats });
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Builds the render pipeline descriptor of a variant.
+   * @param {string} name - Pipeline name.
+   * @param {PipelineRecord} record - Pipeline record.
+   * @param {TargetFormats} formats - Attachment formats.
+   * @returns {GPURenderPipelineDescriptor} Pipeline descriptor.
+   * @private
+   */
+  createPipelineDescriptor_(name, record, formats) {
+    let depthStencil;
+    if (formats.depthStencilFormat) {
+      // Pipelines without depth state still have to match the pass
+      depthStencil = record.depthStencil
+        ? { ...record.depthStencil, format: formats.depthStencilFormat }
+        : {
+            format: formats.depthStencilFormat,
+            depthWriteEnabled: false,
+            depthCompare: 'always',
+          };
+    }
+
+    return {
+      label: `${name} pipeline`,
+      layout: record.layout,
+      vertex: {
+        module: record.module,
+        entryPoint: 'vs_main',
+        buffers: record.vertexBuffers,
+      },
+      fragment: {
+        module: record.module,
+        entryPoint: 'fs_main',
+        targets: formats.colorFormats.map(format => ({
+          format,
+          blend: record.blend || undefined,
+        })),
+      },
+      primitive: record.primitive,
+      depthStencil,
+      multisample: {
+        count: formats.sampleCount,
+      },
+    };
+  }
+
+  /**
+   * Returns the attachment formats of a render target or the canvas.
+   * @param {?string} target - Render target name or null for the canvas.
+   * @returns {TargetFormats} Attachment formats.
+   * @private
+   */
+  getTargetFormats_(target) {
+    const rtMetadata = target ? this.renderTargets_.get(target) : null;
+    const depthAttachment = this.getDepthAttachment_(target);
+    const depth = depthAttachment ? depthAttachment.format : undefined;
+
+    return {
+      colorFormats: rtMetadata
+        ? rtMetadata.colorAttachments.map(attachment => attachment.format)
+        : [this.format_],
+      depthStencilFormat: depth,
+      sampleCount: rtMetadata ? rtMetadata.sampleCount : this.msaaSampleCount_,
+    };
+  }
+
+  /**
+   * Returns the depth/stencil attachment used when drawing into a target.
+   * Render targets only use their own; the canvas-sized renderer depth
+   * texture is used for the canvas while depth is enabled.
+   * @param {?string} target - Render target name or null for the canvas.
+   * @returns {?{view: GPUTextureView, format: GPUTextureFormat}} Attachment.
+   * @private
+   */
+  getDepthAttachment_(target) {
+    if (target) {
+      return this.renderTargets_.get(target)?.depthStencil || null;
+    }
+    return this.depthEnabled_ ? this.depthStencilTexture_ : null;
+  }
+
+  /**
+   * Returns a pipeline layout for bind group layouts, reusing an existing one
+   * for the same layouts so pipelines can share cached variants.
+   * @param {GPUBindGroupLayout[]} bindGroupLayouts - Bind group layouts.
+   * @returns {GPUPipelineLayout} Pipeline layout.
+   * @private
+   */
+  getPipelineLayout_(bindGroupLayouts) {
+    const key = bindGroupLayouts
+      .map(layout => this.objectId_(layout))
+      .join(',');
+    if (!this.pipelineLayouts_.has(key)) {
+      this.pipelineLayouts_.set(
+        key,
+        this.device_.createPipelineLayout({ bindGroupLayouts })
+      );
+    }
+    return this.pipelineLayouts_.get(key);
+  }
+
+  /**
+   * Returns a stable id for a GPU object, used in cache keys.
+   * @param {Object} object - GPU object.
+   * @returns {number} Object id.
+   * @private
+   */
+  objectId_(object) {
+    if (!this.objectIds_.has(object)) {
+      this.objectIds_.set(object, this.nextObjectId_++);
+    }
+    return this.objectIds_.get(object);
+  }
+
+  /**
+   * Sets the current clearColor.
+   * @override
+   * @param {number} r - Red cleaning color component (0-1).
+   * @param {number} g - Green cleaning color component (0-1).
+   * @param {number} b - Blue cleaning color component (0-1).
+   * @param {number} a - Alpha cleaning color component (0-1).
+   */
+  setClearColor(r, g, b, a) {
+    this.clearColor_ = { r, g, b, a };
+  }
+
+  /**
+   * Sets the current pipeline for rendering.
+   * @param {string} name - Pipeline name.
+   */
+  setPipeline(name) {
+    if (this.pipelines_.has(name)) {
+      this.currentPipeline_ = name;
+      this.emit('pipelineSet', { name });
+    }
+  }
+
+  /**
+   * Enables or disables MSAA.
+   * @param {boolean} enabled - If true then enable MSAA, else disable.
+   * @returns {boolean} True if MSAA was successfully enabled, false otherwise.
+   */
+  setMSAA(enabled) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return false;
+    }
+
+    this.msaaSampleCount_ = enabled ? 4 : 1;
+
+    // The depth buffer must match the new sample count
+    if (this.depthStencilTexture_) {
+      this.depthStencilTexture_.texture.destroy();
+      this.createDepthStencilTexture();
+    }
+
+    // Recreate MSAA texture if needed (sample count > 1)
+    if (this.msaaSampleCount_ > 1) {
+      this.createMSAATexture();
+    } else if (this.msaaTexture_) {
+      // Clean up MSAA texture if disabling MSAA
+      this.msaaTexture_.texture.destroy();
+      this.msaaTexture_ = null;
+    }
+
+    this.emit('msaaChanged', { samples: this.msaaSampleCount_ });
+    return true;
+  }
+
+  /**
+   * Begins a render pass. Draws recorded with drawMesh() until endPass() go
+   * into this pass, and all passes until submit() share one command encoder.
+   * The render target is captured when the pass begins.
+   * @override
+   * @param {PassOptions} [options] - Pass options.
+   * @throws {Error} If renderer not initialized or a pass is already open.
+   */
+  beginPass(options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Renderer not initialized. Call initialize() first.');
+    }
+
+    if (this.currentPass_) {
+      throw new Error(
+        `Render pass "${this.currentPass_.label}" is still open. Call endPass() first.`
+      );
+    }
+
+    if (!this.commandEncoder_) {
+      this.commandEncoder_ = this.device_.createCommandEncoder({
+        label: `Frame ${this.frameCount_} command encoder`,
+      });
+    }
+
+    const label = options.label || `Render pass ${this.passCount_}`;
+    const target =
+      options.target !== undefined ? options.target : this.currentRenderTarget_;
+    if (target && !this.renderTargets_.has(target)) {
+      throw new Error(`Render target "${target}" not found.`);
+    }
+
+    const encoder = this.commandEncoder_.beginRenderPass(
+      this.createPassDescriptor_(label, target, options)
+    );
+
+    this.currentPass_ = {
+      encoder,
+      label,
+      target,
+      formats: this.getTargetFormats_(target),
+      pipeline: null,
+      vertexBuffers: {},
+      bindGroups: {},
+      indexBuffer: null,
+      drawCount: 0,
+    };
+
+    this.emit('passBegan', { label, target });
+  }
+
+  /**
+   * Builds the render pass descriptor for a pass.
+   * @param {string} label - Pass label.
+   * @param {?string} target - Render target name or null for the canvas.
+   * @param {PassOptions} options - Pass options.
+   * @returns {GPURenderPassDescriptor} Render pass descriptor.
+   * @private
+   */
+  createPassDescriptor_(label, target, options) {
+    const loadOp = options.loadOp || 'clear';
+    const clearValue = options.clearColor
+      ? {
+          r: options.clearColor[0],
+          g: options.clearColor[1],
+          b: options.clearColor[2],
+          a: options.clearColor[3] ?? 1.0,
+        }
+      : this.clearColor_;
+
+    const storeOp = options.storeOp || 'store';
+    const rtMetadata = target ? this.renderTargets_.get(target) : null;
+    let colorAttachments;
+
+    if (rtMetadata) {
+      // Multisampled render targets resolve into their resolve textures
+      colorAttachments = rtMetadata.colorAttachments.map(attachment => ({
+        view: attachment.view,
+        resolveTarget: attachment.resolveView || undefined,
+        clearValue,
+        loadOp,
+        storeOp,
+      }));
+    } else {
+      // The canvas is resolved from the shared MSAA texture
+      const resolve = this.msaaSampleCount_ > 1;
+      colorAttachments = [
+        {
+          view: resolve
+            ? this.msaaTexture_.view
+            : this.context_.getCurrentTexture().createView(),
+          resolveTarget: resolve
+            ? this.context_.getCurrentTexture().createView()
+            : undefined,
+          clearValue,
+          loadOp,
+          storeOp,
+        },
+      ];
+    }
+
+    const descriptor = {
+      label,
+      colorAttachments,
+    };
+
+    const depthAttachment = this.getDepthAttachment_(target);
+    if (depthAttachment) {
+      const depthLoadOp = options.depthLoadOp || loadOp;
+      const depthStoreOp = options.depthStoreOp || 'store';
+      descriptor.depthStencilAttachment = {
+        view: depthAttachment.view,
+        depthClearValue: options.clearDepth ?? this.clearDepth_,
+        depthLoadOp,
+        depthStoreOp,
+      };
+      // Stencil operations are only allowed for formats with a stencil aspect
+      if (depthAttachment.format.includes('stencil')) {
+        Object.assign(descriptor.depthStencilAttachment, {
+          stencilClearValue: this.clearStencil_,
+          stencilLoadOp: depthLoadOp,
+          stencilStoreOp: depthStoreOp,
+        });
+      }
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Records a draw into a render pass, binding only the state that changed
+   * since the previous draw of the pass. Vertex buffers and bind groups set
+   * with setVertexBuffer() and setBindGroup() are used for slots the draw
+   * call does not name.
+   * @param {ActivePass} pass - Render pass.
+   * @param {MeshDrawCall} drawCall - Draw call configuration.
+   * @private
+   */
+  encodeDraw_(pass, drawCall) {
+    if (!this.currentPipeline_) {
+      throw new Error('No pipeline set. Call setPipeline() first.');
+    }
+
+    const pipeline = this.getPipelineVariant_(
+      this.currentPipeline_,
+      pass.formats
+    );
+    if (pass.pipeline !== pipeline) {
+      pass.encoder.setPipeline(pipeline);
+      pass.pipeline = pipeline;
+    }
+
+    // Set vertex buffers
+    const vertexBuffers = { ...this.currentVertexBuffers_ };
+    Object.entries(drawCall.vertexBuffers || {}).forEach(
+      ([slot, bufferName]) => {
+        const bufferMetadata = this.buffers_.get(bufferName);
+        if (bufferMetadata) {
+          vertexBuffers[slot] = { buffer: bufferMetadata.buffer, offset: 0 };
+        }
+      }
+    );
+    Object.entries(vertexBuffers).forEach(([slot, { buffer, offset }]) => {
+      const bound = pass.vertexBuffers[slot];
+      if (!bound || bound.buffer !== buffer || bound.offset !== offset) {
+        pass.encoder.setVertexBuffer(parseInt(slot), buffer, offset);
+        pass.vertexBuffers[slot] = { buffer, offset };
+      }
+    });
+
+    // Set bind groups
+    const bindGroups = { ...this.currentBindGroups_ };
+    Object.entries(drawCall.bindGroups || {}).forEach(
+      ([index, bindGroupName]) => {
+        const bindGroup = this.bindGroups_.get(bindGroupName);
+        if (bindGroup) {
+          bindGroups[index] = bindGroup;
+        }
+      }
+    );
+    Object.entries(bindGroups).forEach(([index, group]) => {
+      const bindGroup = this.getBindGroupVariant_(group, pipeline, index);
+      if (pass.bindGroups[index] !== bindGroup) {
+        pass.encoder.setBindGroup(parseInt(index), bindGroup);
+        pass.bindGroups[index] = bindGroup;
+      }
+    });
+
+    // Draw call
+    if (drawCall.indexBuffer && this.buffers_.has(drawCall.indexBuffer)) {
+      const bufferMetadata = this.buffers_.get(drawCall.indexBuffer);
+      const format = bufferMetadata.indexFormat || 'uint16'; // Use stored format or default
+      if (
+        !pass.indexBuffer ||
+        pass.indexBuffer.buffer !== bufferMetadata.buffer ||
+        pass.indexBuffer.format !== format
+      ) {
+        pass.encoder.setIndexBuffer(bufferMetadata.buffer, format);
+        pass.indexBuffer = { buffer: bufferMetadata.buffer, format };
+      }
+      pass.encoder.drawIndexed(
+        drawCall.indexCount || 0,
+        drawCall.instanceCount || 1,
+        drawCall.firstIndex || 0,
+        drawCall.baseVertex || 0,
+        drawCall.firstInstance || 0
+      );
+    } else if (drawCall.vertexCount) {
+      pass.encoder.draw(
+        drawCall.vertexCount,
+        drawCall.instanceCount || 1,
+        drawCall.firstVertex || 0,
+        drawCall.firstInstance || 0
+      );
+    }
+
+    pass.drawCount++;
+  }
+
+  /**
+   * Returns the copy of a bind group created without a layout that fits a
+   * pipeline variant at a group index, creating it if needed. Bind groups
+   * with an explicit layout are returned as they are.
+   * @param {GPUBindGroup} bindGroup - Bind group from createBindGroup().
+   * @param {GPURenderPipeline} pipeline - Pipeline variant.
+   * @param {number|string} index - Bind group index.
+   * @returns {GPUBindGroup} Bind group for the variant.
+   * @private
+   */
+  getBindGroupVariant_(bindGroup, pipeline, index) {
+    const auto = this.autoBindGroups_.get(bindGroup);
+    if (!auto) {
+      return bindGroup;
+    }
+
+    const key = `${this.objectId_(pipeline)}/${index}`;
+    let variant = auto.variants.get(key);
+    if (!variant) {
+      variant = this.device_.createBindGroup({
+        layout: pipeline.getBindGroupLayout(parseInt(index)),
+        entries: auto.entries,
+      });
+      auto.variants.set(key, variant);
+    }
+    return variant;
+  }
+
+  /**
+   * Ends the current render pass.
+   * @override
+   * @throws {Error} If no render pass is open.
+   */
+  endPass() {
+    if (!this.currentPass_) {
+      throw new Error('No render pass open. Call beginPass() first.');
+    }
+
+    const { encoder, label, drawCount } = this.currentPass_;
+    encoder.end();
+    this.currentPass_ = null;
+    this.passCount_++;
+
+    this.emit('passEnded', { label, drawCount });
+  }
+
+  /**
+   * Submits all passes recorded since the last submit in one queue
+   * submission. An open pass is ended first.
+   * @override
+   */
+  submit() {
+    this.submitFrame_();
+  }
+
+  /**
+   * Draws a scene mesh. The scene uniforms live in a uniform buffer per mesh
+   * bound at group 0, binding 0 with the layout
+   * `struct SceneUniforms { model: mat4x4f, view: mat4x4f,
+   * projection: mat4x4f, normalMatrix: mat3x3f }`; the material bind groups
+   * use the other indices. Buffers are written with queue.writeBuffer(),
+   * which takes effect before the submitted passes run, so each draw of a
+   * mesh before submit() (e.g. renderScene() with `submit: false` for a
+   * reflection, then the main view) gets a buffer of its own.
+   * @override
+   * @protected
+   * @param {Mesh} mesh - Mesh to draw.
+   * @param {SceneCamera} camera - Scene camera.
+   */
+  drawSceneMesh_(mesh, camera) {
+    const { material } = mesh;
+
+    let resources = this.sceneMeshes_.get(mesh.id);
+    if (!resources) {
+      resources = { slots: [], frame: -1, used: 0 };
+      this.sceneMeshes_.set(mesh.id, resources);
+    }
+    if (resources.frame !== this.frameCount_) {
+      resources.frame = this.frameCount_;
+      resources.used = 0;
+    }
+
+    let slot = resources.slots[resources.used];
+    if (!slot) {
+      const index = resources.slots.length;
+      const buffer = `mesh${mesh.id}.sceneUniforms${index ? `.${index}` : ''}`;
+      slot = { buffer, bindGroup: buffer };
+      this.createBuffer({
+        name: buffer,
+        data: new Float32Array(SCENE_UNIFORMS_SIZE / 4),
+        usage: BufferUsage.UNIFORM,
+      });
+      this.createBindGroup({
+        name: slot.bindGroup,
+        entries: [{ binding: 0, resource: { buffer: this.getBuffer(buffer) } }],
+      });
+      resources.slots.push(slot);
+    }
+    resources.used++;
+
+    const data = new Float32Array(SCENE_UNIFORMS_SIZE / 4);
+    data.set(mesh.getWorldMatrix(), 0);
+    data.set(camera.viewMatrix, 16);
+    data.set(camera.projectionMatrix, 32);
+    const normalMatrix = mesh.getNormalMatrix();
+    for (let column = 0; column < 3; column++) {
+      data.set(
+        normalMatrix.subarray(column * 3, column * 3 + 3),
+        48 + column * 4
+      );
+    }
+    this.updateBuffer(slot.buffer, data);
+
+    this.drawMesh({
+      ...mesh.geometry,
+      bindGroups: { ...material.bindGroups, 0: slot.bindGroup },
+    });
+  }
+
+  /**
+   * Destroys the resources renderScene() created for a mesh. Call it when a
+   * mesh is removed from the scene for good.
+   * @param {Mesh} mesh - Mesh whose resources to destroy.
+   */
+  releaseMesh(mesh) {
+    const resources = this.sceneMeshes_.get(mesh.id);
+    if (!resources) {
+      return;
+    }
+    resources.slots.forEach(slot => {
+      this.bindGroups_.delete(slot.bindGroup);
+      this.destroyBuffer(slot.buffer);
+    });
+    this.sceneMeshes_.delete(mesh.id);
+  }
+
+  /**
+   * Ends the open pass, submits the command encoder and counts the frame.
+   * @param {Object} [details] - Extra data for the "frameRendered" event.
+   * @private
+   */
+  submitFrame_(details = {}) {
+    if (this.currentPass_) {
+      this.endPass();
+    }
+
+    if (!this.commandEncoder_) {
+      return;
+    }
+
+    this.device_.queue.submit([this.commandEncoder_.finish()]);
+    this.commandEncoder_ = null;
+
+    const passCount = this.passCount_;
+    this.passCount_ = 0;
+    this.beginFrame();
+
+    this.emit('frameRendered', {
+      frameCount: this.frameCount_,
+      passCount,
+      ...details,
+    });
+  }
+
+  /**
+   * Renders a single draw call in its own pass and submits it.
+   * The pass clears its target; use beginPass()/drawMesh()/endPass()/submit()
+   * to record several draws into one pass.
+   * @param {MeshDrawCall} [drawCall] - Draw call configuration.
+   * @throws {Error} If no pipeline is set or a pass is open.
+   */
+  render(drawCall = {}) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return;
+    }
+
+    if (!this.currentPipeline_) {
+      throw new Error('No pipeline set. Call setPipeline() first.');
+    }
+
+    if (this.currentPass_) {
+      throw new Error(
+        'render() cannot be used while a render pass is open. Use drawMesh() instead.'
+      );
+    }
+
+    const resolve = !this.currentRenderTarget_ && this.msaaSampleCount_ > 1;
+
+    this.beginPass({
+      label: 'Render pass',
+      storeOp: resolve ? 'discard' : 'store',
+    });
+    this.encodeDraw_(this.currentPass_, drawCall);
+    this.submitFrame_({ drawCall });
+  }
+
+  /**
+   * Draws a mesh with the current pipeline.
+   * Inside beginPass()/endPass() the draw is recorded into the open pass;
+   * otherwise it is rendered in its own pass like render().
+   * @override
+   * @param {MeshDrawCall} drawCall - Draw call configuration.
+   */
+  drawMesh(drawCall) {
+    if (!this.currentPass_) {
+      this.render(drawCall);
+      return;
+    }
+
+    this.encodeDraw_(this.currentPass_, drawCall);
+    this.emit('draw', { drawCall });
+  }
+
+  /**
+   * Sets the size of the rendering viewport.
+   * @override
+   * @param {number} width - Width in pixels.
+   * @param {number} height - Height in pixels.
+   */
+  setSize(width, height) {
+    if (!this.isInitialized) {
+      console.warn('Renderer not initialized. Call initialize() first.');
+      return;
+    }
+
+    const actualWidth = Math.max(1, width);
+    const actualHeight = Math.max(1, height);
+
+    // The canvas size decides the size of the swap chain textures
+    this.canvas.width = actualWidth;
+    this.canvas.height = actualHeight;
+
+    // Reconfigure WebGPU context with new size
+    if (this.context_) {
+      this.context_.configure({
+        device: this.device_,
+        format: this.format_,
+        alphaMode: 'premultiplied',
+        size: [actualWidth, actualHeight],
+      });
+    }
+
+    // Recreate MSAA texture if it exists
+    if (this.msaaSampleCount_ > 1) {
+      this.createMSAATexture();
+    }
+
+    // Recreate depth texture if it exists
+    if (this.depthStencilTexture_) {
+      this.depthStencilTexture_.texture.destroy();
+      this.createDepthStencilTexture();
+    }
+
+    this.emit('resize', { width: actualWidth, height: actualHeight });
+  }
+
+  /**
+   * Backend identifier reported by createRenderer() and the "initialized" event.
+   * @type {string}
+   */
+  static get backend() {
+    return 'webgpu';
+  }
+
+  /**
+   * Checks if WebGPU is supported in the current environment.
+   * @override
+   * @returns {boolean} True if WebGPU is supported, otherwise false.
+   */
+  static isSupported() {
+    return (
+      typeof navigator !== 'undefined' &&
+      navigator.gpu !== undefined &&
+      typeof GPUAdapter !== 'undefined' &&
+      typeof GPUDevice !== 'undefined'
+    );
+  }
+
+  // Enhanced getters that return metadata or buffers as appropriate
+  getBuffer(name) {
+    const metadata = this.buffers_.get(name);
+    return metadata ? metadata.buffer : null;
+  }
+
+  getBufferMetadata(name) {
+    return this.buffers_.get(name) || null;
+  }
+
+  getPipeline(name) {
+    if (!this.pipelines_.has(name)) {
+      return null;
+    }
+    return this.getPipelineVariant_(
+      name,
+      this.getTargetFormats_(this.currentRenderTarget_)
+    );
+  }
+
+  getTexture(name) {
+    const metadata = this.textures_.get(name);
+    return metadata ? metadata.texture : null;
+  }
+
+  getTextureView(name) {
+    const metadata = this.textures_.get(name);
+    return metadata ? metadata.view : null;
+  }
+
+  getTextureMetadata(name) {
+    return this.textures_.get(name) || null;
+  }
+
+  getSampler(name) {
+    return this.samplers_.get(name) || null;
+  }
+
+  getMSAASampleCount() {
+    return this.msaaSampleCount_;
+  }
+
+  getBindGroup(name) {
+    return this.bindGroups_.get(name) || null;
+  }
+
+  getRenderTarget(name, index = 0) {
+    const attachment = this.renderTargets_.get(name)?.colorAttachments[index];
+    return attachment ? attachment.resolveTexture || attachment.texture : null;
+  }
+
+  getRenderTargetView(name, index = 0) {
+    const attachment = this.renderTargets_.get(name)?.colorAttachments[index];
+    return attachment ? attachment.resolveView || attachment.view : null;
+  }
+
+  getRenderTargetDepthView(name) {
+    const metadata = this.renderTargets_.get(name);
+    return metadata && metadata.depthStencil
+      ? metadata.depthStencil.view
+      : null;
+  }
+
+  getRenderTargetMetadata(name) {
+    return this.renderTargets_.get(name) || null;
+  }
+
+  getIndexFormat(bufferName) {
+    const metadata = this.buffers_.get(bufferName);
+    return metadata?.indexFormat || 'uint16';
+  }
+
+  /**
+   * Helper method to create index buffers with explicit format.
+   * @param {string} name - Buffer name.
+   * @param {Uint16Array|Uint32Array} indices - Index data.
+   * @returns {GPUBuffer} Created index buffer.
+   */
+  createIndexBuffer(name, indices) {
+    const indexFormat = indices instanceof Uint32Array ? 'uint32' : 'uint16';
+
+    return this.createBuffer({
+      name,
+      data: indices,
+      usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST,
+      indexFormat, // Explicitly store the format
+    });
+  }
+
+  /**
+   * Helper method to create vertex buffers.
+   * @param {string} name - Buffer name.
+   * @param {Float32Array} vertices - Vertex data.
+   * @returns {GPUBuffer} Created vertex buffer.
+   */
+  createVertexBuffer(name, vertices) {
+    return this.createBuffer({
+      name,
+      data: vertices,
+      usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+    });
+  }
+
+  /**
+   * Helper method to create uniform buffers.
+   * @param {string} name - Buffer name.
+   * @param {ArrayBufferView} data - Uniform data.
+   * @returns {GPUBuffer} Created uniform buffer.
+   */
+  createUniformBuffer(name, data) {
+    return this.createBuffer({
+      name,
+      data,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+  }
+}
+
+/** Returns HTML template for the error message
+ *
+ * Insert into the DOM when catched the error
+ *
+ * @param {string} error - Catched error
+ * @returns {string}
+ */
+export function HTMLWGPUErrorMessage(error) {
+  return `
+    <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
+      <h2>WebGPU Error</h2>
+      <p>Probably rendering code is broken.</p>
+      <p style="color: #ff6b6b; margin-top: 20px;">Error info for developers: ${error.message}</p>
+      <div style="margin-top: 30px;">
+        <a href="https://developer.chrome.com/docs/web-platform/webgpu"
+           target="_blank"
+           style="color: #4ecdc4; text-decoration: none;">
+           Learn more about WebGPU
+        </a>
+      </div>
+    </div>
+  `;
+}
+
+/** Returns HTML template for the error message
+ *
+ * Insert into the DOM when isSupported() failed.
+ *
+ * @param {string} error - Catched error
+ * @returns {string}
+ */
+export function HTMLWGPUUnsupportedMessage(msg) {
+  return `
+    <div style="color: white; font-family: Arial; text-align: center; padding: 50px;">
+      <h2>WebGPU Not Supported</h2>
+      <p>Your browser does not support WebGPU or it's disabled.</p>
+      <p>Please use Chrome 113+ or Firefox 141+ with WebGPU enabled.</p>
+      <p style="color: #6d6d6dff; margin-top: 20px;">Developer's note: ${msg}</p>
+      <div style="margin-top: 30px;">
+        <a href="https://developer.chrome.com/docs/web-platform/webgpu"
+          target="_blank"
+          style="color: #4ecdc4; text-decoration: none;">
+          Learn more about WebGPU
+        </a>
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,1075 @@
+/**
+ * @fileoverview glTF 2.0 loader for .gltf (JSON) and .glb (binary) assets.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import * as quat from '../math/quat.js';
+import { createGeometry } from '../Geometry.js';
+import { Mesh, Node, Scene } from '../Scene.js';
+import {
+  OrthographicCamera,
+  PerspectiveCamera,
+  depthRangeForBackend,
+} from '../Camera.js';
+import { decodeImage, fetchBytes, resolveUri } from './LoaderUtils.js';
+
+/**
+ * GLB header magic ("glTF").
+ * @type {number}
+ */
+const GLB_MAGIC = 0x46546c67;
+
+/**
+ * GLB chunk types.
+ * @enum {number}
+ */
+const GLBChunkType = Object.freeze({
+  JSON: 0x4e4f534a,
+  BIN: 0x004e4942,
+});
+
+/**
+ * Typed arrays by accessor component type.
+ * @type {Object<number, Function>}
+ */
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+/**
+ * DataView getters by accessor component type, for strided data.
+ * @type {Object<number, string>}
+ */
+const COMPONENT_GETTERS = {
+  5120: 'getInt8',
+  5121: 'getUint8',
+  5122: 'getInt16',
+  5123: 'getUint16',
+  5125: 'getUint32',
+  5126: 'getFloat32',
+};
+
+/**
+ * Divisors mapping normalized integer components to -1..1 or 0..1.
+ * @type {Object<number, number>}
+ */
+const NORMALIZE_DIVISORS = {
+  5120: 127,
+  5121: 255,
+  5122: 32767,
+  5123: 65535,
+};
+
+/**
+ * Components per accessor element by accessor type.
+ * @type {Object<string, number>}
+ */
+const TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+/**
+ * Portable address modes by glTF wrap mode.
+ * @type {Object<number, string>}
+ */
+const WRAP_MODES = {
+  33071: 'clamp-to-edge',
+  33648: 'mirror-repeat',
+  10497: 'repeat',
+};
+
+/**
+ * Portable filters by glTF filter. Minification filters also name the
+ * mipmap filter; null means mip levels are not used.
+ * @type {Object<number, {filter: string, mipmapFilter: ?string}>}
+ */
+const FILTER_MODES = {
+  9728: { filter: 'nearest', mipmapFilter: null },
+  9729: { filter: 'linear', mipmapFilter: null },
+  9984: { filter: 'nearest', mipmapFilter: 'nearest' },
+  9985: { filter: 'linear', mipmapFilter: 'nearest' },
+  9986: { filter: 'nearest', mipmapFilter: 'linear' },
+  9987: { filter: 'linear', mipmapFilter: 'linear' },
+};
+
+/**
+ * Primitive modes.
+ * @enum {number}
+ */
+const PrimitiveMode = Object.freeze({
+  TRIANGLES: 4,
+  TRIANGLE_STRIP: 5,
+  TRIANGLE_FAN: 6,
+});
+
+/**
+ * Extensions the loader understands. Assets requiring others are rejected.
+ * @type {Set<string>}
+ */
+const SUPPORTED_EXTENSIONS = new Set([
+  'KHR_mesh_quantization',
+  'KHR_materials_emissive_strength',
+]);
+
+/**
+ * Texture reference of a material.
+ * @typedef {Object} GLTFTextureRef
+ * @property {string} texture - Renderer texture name.
+ * @property {string} sampler - Renderer sampler name.
+ * @property {number} texCoord - UV set index.
+ * @property {number} [scale] - Normal map scale (normalTexture only).
+ * @property {number} [strength] - Occlusion strength (occlusionTexture
+ *     only).
+ */
+
+/**
+ * PBR metallic-roughness material as described by the asset. Color
+ * textures (base color, emissive) are sRGB textures, the others linear.
+ * @typedef {Object} GLTFMaterial
+ * @property {string} name - Material name.
+ * @property {Float32Array} baseColorFactor - Linear RGBA base color.
+ * @property {?GLTFTextureRef} baseColorTexture - Base color texture.
+ * @property {number} metallicFactor - Metalness.
+ * @property {number} roughnessFactor - Roughness.
+ * @property {?GLTFTextureRef} metallicRoughnessTexture - Roughness (G) and
+ *     metalness (B) texture.
+ * @property {?GLTFTextureRef} normalTexture - Tangent-space normal map.
+ * @property {?GLTFTextureRef} occlusionTexture - Occlusion (R) texture.
+ * @property {?GLTFTextureRef} emissiveTexture - Emissive texture.
+ * @property {Float32Array} emissiveFactor - Linear RGB emission.
+ * @property {('OPAQUE'|'MASK'|'BLEND')} alphaMode - Alpha mode.
+ * @property {number} alphaCutoff - Alpha threshold in MASK mode.
+ * @property {boolean} doubleSided - Whether back faces are drawn.
+ */
+
+/**
+ * Decoded vertex attribute.
+ * @typedef {Object} GLTFAttribute
+ * @property {Float32Array} array - Values, normalized integers converted
+ *     to floats.
+ * @property {number} itemSize - Components per vertex.
+ */
+
+/**
+ * Mesh primitive uploaded to the renderer.
+ * @typedef {Object} GLTFPrimitive
+ * @property {SceneGeometry} geometry - Buffers in the Geometry layout
+ *     (a_position, a_normal, a_uv, a_tangent).
+ * @property {SceneMaterial} material - Scene material.
+ * @property {?number} materialIndex - Index into GLTFAsset.materials.
+ * @property {Object<string, GLTFAttribute>} attributes - All decoded
+ *     attributes by glTF name, including those not in the vertex buffer
+ *     (TEXCOORD_1, COLOR_0, JOINTS_0, ...).
+ */
+
+/**
+ * Loaded glTF asset. Nodes with a mesh get one Mesh child per primitive;
+ * nodes with a camera get a camera child.
+ * @typedef {Object} GLTFAsset
+ * @property {string} name - Resource name prefix.
+ * @property {?Scene} scene - Default scene.
+ * @property {Array<Scene>} scenes - All scenes.
+ * @property {Array<Node>} nodes - Nodes by glTF index.
+ * @property {Array<{name: string, primitives: Array<GLTFPrimitive>}>} meshes
+ *     - Meshes by glTF index.
+ * @property {Array<GLTFMaterial>} materials - Materials by glTF index.
+ * @property {Array<Camera>} cameras - Camera nodes created for the scene.
+ * @property {Object} json - Parsed glTF JSON.
+ * @property {function(): void} destroy - Destroys the renderer resources
+ *     and detaches the cameras.
+ */
+
+/**
+ * Next default asset name suffix.
+ * @type {number}
+ */
+let nextAssetId = 1;
+
+/**
+ * Returns the default scene material: the factors as uniforms of the
+ * configured pipeline.
+ * @param {GLTFMaterial} material - Material.
+ * @param {string} pipeline - Pipeline name.
+ * @returns {SceneMaterial} Scene material.
+ */
+function createMaterialDefault(material, pipeline) {
+  return {
+    pipeline,
+    uniforms: {
+      u_baseColorFactor: material.baseColorFactor,
+      u_metallicFactor: material.metallicFactor,
+      u_roughnessFactor: material.roughnessFactor,
+      u_emissiveFactor: material.emissiveFactor,
+      u_alphaCutoff: material.alphaMode === 'MASK' ? material.alphaCutoff : 0,
+    },
+    transparent: material.alphaMode === 'BLEND',
+  };
+}
+
+/**
+ * Splits a GLB container into its JSON and binary chunks.
+ * @param {Uint8Array} bytes - GLB file.
+ * @returns {{json: Object, bin: ?Uint8Array}} Chunks.
+ * @throws {Error} If the container is malformed.
+ */
+function parseGLB(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error(`Unsupported GLB version ${version}.`);
+  }
+  const length = Math.min(view.getUint32(8, true), bytes.byteLength);
+
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= length; ) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+    if (chunkType === GLBChunkType.JSON) {
+      json = JSON.parse(new TextDecoder().decode(chunk));
+    } else if (chunkType === GLBChunkType.BIN && !bin) {
+      bin = chunk;
+    }
+    offset += 8 + chunkLength;
+  }
+
+  if (!json) {
+    throw new Error('GLB file has no JSON chunk.');
+  }
+  return { json, bin };
+}
+
+/**
+ * Loads glTF 2.0 assets into renderer buffers, textures and samplers, and
+ * builds scene graphs from them. Vertex data is converted to the Geometry
+ * layout, so one pipeline made with Geometry#getVertexBufferLayout() draws
+ * every primitive; missing normals and tangents are generated.
+ *
+ * Skins, morph targets and animations are not loaded. Only triangle
+ * primitives are drawn (strips and fans are converted).
+ */
+export class GLTFLoader {
+  /**
+   * Creates a loader.
+   * @param {Renderer} renderer - Renderer receiving the resources.
+   * @param {Object} [options] - Loader options.
+   * @param {string} [options.pipeline='gltf'] - Pipeline of the default
+   *     scene materials.
+   * @param {function(GLTFMaterial, GLTFLoader): SceneMaterial} [options.createMaterial]
+   *     Maps materials to scene materials, e.g. to create WebGPU bind
+   *     groups. Defaults to the pipeline with the factors as uniforms
+   *     (u_baseColorFactor, u_metallicFactor, u_roughnessFactor,
+   *     u_emissiveFactor, u_alphaCutoff).
+   * @param {function(Uint8Array, string): Promise<DecodedImage>} [options.decodeImage]
+   *     Image decoder. Defaults to createImageBitmap() and an
+   *     OffscreenCanvas.
+   */
+  constructor(renderer, options = {}) {
+    /**
+     * Renderer receiving the resources.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Pipeline of the default scene materials.
+     * @type {string}
+     * @private
+     */
+    this.pipeline_ = options.pipeline || 'gltf';
+
+    /**
+     * Material mapper.
+     * @type {function(GLTFMaterial, GLTFLoader): SceneMaterial}
+     * @private
+     */
+    this.createMaterial_ =
+      options.createMaterial ||
+      (material => createMaterialDefault(material, this.pipeline_));
+
+    /**
+     * Image decoder.
+     * @type {function(Uint8Array, string): Promise<DecodedImage>}
+     * @private
+     */
+    this.decodeImage_ = options.decodeImage || decodeImage;
+  }
+
+  /**
+   * Fetches and loads a .gltf or .glb file. External buffers and images
+   * are resolved relative to it.
+   * @param {string} url - Asset URL.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.name] - Resource name prefix. Defaults to a
+   *     unique "gltfN".
+   * @returns {Promise<GLTFAsset>} Loaded asset.
+   * @throws {Error} If the file or one of its resources cannot be loaded.
+   */
+  async load(url, options = {}) {
+    const bytes = await fetchBytes(url);
+    return this.parse(bytes, {
+      ...options,
+      baseUrl: url.slice(0, url.lastIndexOf('/') + 1),
+    });
+  }
+
+  /**
+   * Loads an asset from memory.
+   * @param {ArrayBuffer|ArrayBufferView|string|Object} data - GLB bytes,
+   *     glTF JSON bytes or text, or parsed glTF JSON.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.baseUrl=''] - Directory external URIs are
+   *     relative to, with a trailing slash.
+   * @param {string} [options.name] - Resource name prefix. Defaults to a
+   *     unique "gltfN".
+   * @returns {Promise<GLTFAsset>} Loaded asset.
+   * @throws {Error} If the asset is invalid, needs an unsupported extension
+   *     or a resource cannot be loaded.
+   */
+  async parse(data, options = {}) {
+    const baseUrl = options.baseUrl || '';
+    const name = options.name || `gltf${nextAssetId++}`;
+
+    let json = data;
+    let bin = null;
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+      const bytes =
+        data instanceof ArrayBuffer
+          ? new Uint8Array(data)
+          : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const isGLB =
+        bytes.byteLength >= 12 &&
+        new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) ===
+          GLB_MAGIC;
+      if (isGLB) {
+        ({ json, bin } = parseGLB(bytes));
+      } else {
+        json = JSON.parse(new TextDecoder().decode(bytes));
+      }
+    } else if (typeof data === 'string') {
+      json = JSON.parse(data);
+    }
+
+    const version = json.asset?.version;
+    if (!version || !version.startsWith('2.')) {
+      throw new Error(`Unsupported glTF version "${version}".`);
+    }
+    const unsupported = (json.extensionsRequired || []).filter(
+      extension => !SUPPORTED_EXTENSIONS.has(extension)
+    );
+    if (unsupported.length > 0) {
+      throw new Error(
+        `glTF asset requires unsupported extensions: ${unsupported.join(', ')}.`
+      );
+    }
+
+    const context = new GLTFLoadContext(this, json, bin, baseUrl, name);
+    try {
+      return await context.load();
+    } catch (error) {
+      context.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the scene material for a glTF material.
+   * @param {GLTFMaterial} material - Material.
+   * @returns {SceneMaterial} Scene material.
+   * @package
+   */
+  createMaterial(material) {
+    return this.createMaterial_(material, this);
+  }
+
+  /**
+   * Decodes an image.
+   * @param {Uint8Array} bytes - Encoded image.
+   * @param {string} mimeType - Image MIME type.
+   * @returns {Promise<DecodedImage>} Decoded image.
+   * @package
+   */
+  decodeImage(bytes, mimeType) {
+    return this.decodeImage_(bytes, mimeType);
+  }
+}
+
+/**
+ * State of one parse() call: the asset JSON, its loaded binary data and
+ * the renderer resources created so far.
+ */
+class GLTFLoadContext {
+  /**
+   * Creates a load context.
+   * @param {GLTFLoader} loader - Owning loader.
+   * @param {Object} json - glTF JSON.
+   * @param {?Uint8Array} bin - GLB binary chunk.
+   * @param {string} baseUrl - Directory external URIs are relative to.
+   * @param {string} name - Resource name prefix.
+   */
+  constructor(loader, json, bin, baseUrl, name) {
+    /** @type {GLTFLoader} */
+    this.loader = loader;
+    /** @type {Renderer} */
+    this.renderer = loader.renderer;
+    /** @type {Object} */
+    this.json = json;
+    /** @type {?Uint8Array} */
+    this.bin = bin;
+    /** @type {string} */
+    this.baseUrl = baseUrl;
+    /** @type {string} */
+    this.name = name;
+
+    /**
+     * Loaded buffers by index.
+     * @type {Array<Uint8Array>}
+     */
+    this.buffers = [];
+
+    /**
+     * Decoded images by index.
+     * @type {Map<number, Promise<DecodedImage>>}
+     */
+    this.images = new Map();
+
+    /**
+     * Renderer texture names by "image:colorSpace".
+     * @type {Map<string, Promise<string>>}
+     */
+    this.textures = new Map();
+
+    /**
+     * Renderer sampler names by glTF sampler index (-1 for the default).
+     * @type {Map<number, string>}
+     */
+    this.samplers = new Map();
+
+    /**
+     * Created renderer buffer name prefixes, for cleanup.
+     * @type {Array<string>}
+     */
+    this.geometryNames = [];
+
+    /**
+     * Created cameras, for cleanup.
+     * @type {Array<Camera>}
+     */
+    this.cameras = [];
+  }
+
+  /**
+   * Loads buffers, materials and meshes, then builds the scenes.
+   * @returns {Promise<GLTFAsset>} Loaded asset.
+   */
+  async load() {
+    const json = this.json;
+    this.buffers = await Promise.all(
+      (json.buffers || []).map((buffer, index) => {
+        if (buffer.uri === undefined) {
+          if (!this.bin) {
+            throw new Error(`Buffer ${index} has no data.`);
+          }
+          return this.bin;
+        }
+        return fetchBytes(resolveUri(buffer.uri, this.baseUrl));
+      })
+    );
+
+    const materials = await Promise.all(
+      (json.materials || []).map(material => this.loadMaterial(material))
+    );
+    const sceneMaterials = materials.map(material =>
+      this.loader.createMaterial(material)
+    );
+    let defaultMaterial = null;
+    const getMaterial = index => {
+      if (index !== undefined) {
+        return sceneMaterials[index];
+      }
+      defaultMaterial ||= this.loader.createMaterial(
+        this.createMaterialData({})
+      );
+      return defaultMaterial;
+    };
+
+    const meshes = (json.meshes || []).map((mesh, meshIndex) => ({
+      name: mesh.name || `mesh${meshIndex}`,
+      primitives: mesh.primitives
+        .map((primitive, primitiveIndex) =>
+          this.loadPrimitive(
+            primitive,
+            `${this.name}.mesh${meshIndex}.${primitiveIndex}`,
+            getMaterial(primitive.material)
+          )
+        )
+        .filter(Boolean),
+    }));
+
+    const nodes = (json.nodes || []).map((node, index) =>
+      this.createNode(node, index, meshes)
+    );
+    (json.nodes || []).forEach((node, index) =>
+      (node.children || []).forEach(child => nodes[index].add(nodes[child]))
+    );
+
+    const scenes = (json.scenes || []).map((scene, index) => {
+      const root = new Scene(scene.name || `scene${index}`);
+      (scene.nodes || []).forEach(node => root.add(nodes[node]));
+      return root;
+    });
+
+    return {
+      name: this.name,
+      scene: scenes[json.scene ?? 0] || null,
+      scenes,
+      nodes,
+      meshes,
+      materials,
+      cameras: this.cameras,
+      json,
+      destroy: () => this.destroy(),
+    };
+  }
+
+  /**
+   * Destroys the renderer resources created so far.
+   */
+  destroy() {
+    this.geometryNames.forEach(name => {
+      this.renderer.destroyBuffer(`${name}.vertices`);
+      this.renderer.destroyBuffer(`${name}.indices`);
+    });
+    this.textures.forEach(texture =>
+      texture.then(
+        name => this.renderer.destroyTexture(name),
+        () => {}
+      )
+    );
+    this.cameras.forEach(camera => camera.detach());
+    this.geometryNames = [];
+    this.textures.clear();
+  }
+
+  /**
+   * Returns the bytes of a buffer view.
+   * @param {number} index - Buffer view index.
+   * @returns {Uint8Array} Bytes.
+   */
+  getBufferView(index) {
+    const view = this.json.bufferViews[index];
+    const buffer = this.buffers[view.buffer];
+    return buffer.subarray(
+      view.byteOffset || 0,
+      (view.byteOffset || 0) + view.byteLength
+    );
+  }
+
+  /**
+   * Reads an accessor into a tightly packed array of its component type,
+   * applying byte strides and sparse substitution.
+   * @param {number} index - Accessor index.
+   * @returns {{array: ArrayBufferView, itemSize: number, normalized: boolean, componentType: number}}
+   *     Accessor data.
+   * @throws {Error} If the component type is invalid.
+   */
+  readAccessor(index) {
+    const accessor = this.json.accessors[index];
+    const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+    const itemSize = TYPE_SIZES[accessor.type];
+    if (!ArrayType || !itemSize) {
+      throw new Error(
+        `Accessor ${index} has an invalid type ${accessor.type}/${accessor.componentType}.`
+      );
+    }
+
+    const length = accessor.count * itemSize;
+    let array;
+    if (accessor.bufferView === undefined) {
+      array = new ArrayType(length);
+    } else {
+      const bytes = this.getBufferView(accessor.bufferView);
+      const elementSize = ArrayType.BYTES_PER_ELEMENT;
+      const stride =
+        this.json.bufferViews[accessor.bufferView].byteStride ||
+        elementSize * itemSize;
+      array = readComponents(
+        bytes,
+        accessor.byteOffset || 0,
+        stride,
+        accessor.count,
+        itemSize,
+        accessor.componentType
+      );
+    }
+
+    if (accessor.sparse) {
+      const { count, indices, values } = accessor.sparse;
+      const indexArray = readComponents(
+        this.getBufferView(indices.bufferView),
+        indices.byteOffset || 0,
+        COMPONENT_ARRAYS[indices.componentType].BYTES_PER_ELEMENT,
+        count,
+        1,
+        indices.componentType
+      );
+      const valueArray = readComponents(
+        this.getBufferView(values.bufferView),
+        values.byteOffset || 0,
+        ArrayType.BYTES_PER_ELEMENT * itemSize,
+        count,
+        itemSize,
+        accessor.componentType
+      );
+      indexArray.forEach((target, i) =>
+        array.set(
+          valueArray.subarray(i * itemSize, (i + 1) * itemSize),
+          target * itemSize
+        )
+      );
+    }
+
+    return {
+      array,
+      itemSize,
+      normalized: !!accessor.normalized,
+      componentType: accessor.componentType,
+    };
+  }
+
+  /**
+   * Reads an accessor as floats, converting normalized integers.
+   * @param {number} index - Accessor index.
+   * @returns {GLTFAttribute} Attribute.
+   */
+  readFloatAccessor(index) {
+    const { array, itemSize, normalized, componentType } =
+      this.readAccessor(index);
+    if (array instanceof Float32Array) {
+      return { array, itemSize };
+    }
+    const floats = Float32Array.from(array);
+    if (normalized) {
+      const divisor = NORMALIZE_DIVISORS[componentType];
+      floats.forEach((value, i) => {
+        floats[i] = Math.max(value / divisor, -1);
+      });
+    }
+    return { array: floats, itemSize };
+  }
+
+  /**
+   * Maps a glTF material to GLTFMaterial, creating its textures.
+   * @param {Object} material - glTF material.
+   * @returns {Promise<GLTFMaterial>} Material.
+   */
+  async loadMaterial(material) {
+    const pbr = material.pbrMetallicRoughness || {};
+    const [
+      baseColorTexture,
+      metallicRoughnessTexture,
+      normalTexture,
+      occlusionTexture,
+      emissiveTexture,
+    ] = await Promise.all([
+      this.loadTextureRef(pbr.baseColorTexture, true),
+      this.loadTextureRef(pbr.metallicRoughnessTexture, false),
+      this.loadTextureRef(material.normalTexture, false),
+      this.loadTextureRef(material.occlusionTexture, false),
+      this.loadTextureRef(material.emissiveTexture, true),
+    ]);
+    if (normalTexture) {
+      normalTexture.scale = material.normalTexture.scale ?? 1;
+    }
+    if (occlusionTexture) {
+      occlusionTexture.strength = material.occlusionTexture.strength ?? 1;
+    }
+    return this.createMaterialData(material, {
+      baseColorTexture,
+      metallicRoughnessTexture,
+      normalTexture,
+      occlusionTexture,
+      emissiveTexture,
+    });
+  }
+
+  /**
+   * Fills in GLTFMaterial defaults.
+   * @param {Object} material - glTF material.
+   * @param {Object<string, ?GLTFTextureRef>} [textures] - Loaded textures.
+   * @returns {GLTFMaterial} Material.
+   */
+  createMaterialData(material, textures = {}) {
+    const pbr = material.pbrMetallicRoughness || {};
+    const emissiveStrength =
+      material.extensions?.KHR_materials_emissive_strength?.emissiveStrength ??
+      1;
+    return {
+      name: material.name || '',
+      baseColorFactor: new Float32Array(pbr.baseColorFactor || [1, 1, 1, 1]),
+      baseColorTexture: textures.baseColorTexture || null,
+      metallicFactor: pbr.metallicFactor ?? 1,
+      roughnessFactor: pbr.roughnessFactor ?? 1,
+      metallicRoughnessTexture: textures.metallicRoughnessTexture || null,
+      normalTexture: textures.normalTexture || null,
+      occlusionTexture: textures.occlusionTexture || null,
+      emissiveTexture: textures.emissiveTexture || null,
+      emissiveFactor: new Float32Array(
+        (material.emissiveFactor || [0, 0, 0]).map(
+          value => value * emissiveStrength
+        )
+      ),
+      alphaMode: material.alphaMode || 'OPAQUE',
+      alphaCutoff: material.alphaCutoff ?? 0.5,
+      doubleSided: !!material.doubleSided,
+    };
+  }
+
+  /**
+   * Loads the texture of a material texture info.
+   * @param {?Object} info - glTF textureInfo.
+   * @param {boolean} srgb - Whether the texture holds colors.
+   * @returns {Promise<?GLTFTextureRef>} Texture reference, or null without
+   *     info or image.
+   */
+  async loadTextureRef(info, srgb) {
+    if (!info) {
+      return null;
+    }
+    const texture = this.json.textures[info.index];
+    if (texture.source === undefined) {
+      return null;
+    }
+    return {
+      texture: await this.loadTexture(texture.source, srgb),
+      sampler: this.getSampler(texture.sampler),
+      texCoord: info.texCoord || 0,
+    };
+  }
+
+  /**
+   * Creates the renderer texture of an image, once per color space.
+   * @param {number} imageIndex - Image index.
+   * @param {boolean} srgb - Whether to create an sRGB texture.
+   * @returns {Promise<string>} Renderer texture name.
+   */
+  loadTexture(imageIndex, srgb) {
+    const key = `${imageIndex}:${srgb ? 'srgb' : 'linear'}`;
+    if (!this.textures.has(key)) {
+      const name = `${this.name}.image${imageIndex}${srgb ? '.srgb' : ''}`;
+      this.textures.set(
+        key,
+        this.loadImage(imageIndex).then(image => {
+          this.renderer.createTexture({
+            name,
+            width: image.width,
+            height: image.height,
+            format: srgb ? 'rgba8unorm-srgb' : 'rgba8unorm',
+            data: image.data,
+            mipmaps: true,
+          });
+          return name;
+        })
+      );
+    }
+    return this.textures.get(key);
+  }
+
+  /**
+   * Decodes an image from a buffer view, data URI or external file.
+   * @param {number} index - Image index.
+   * @returns {Promise<DecodedImage>} Decoded image.
+   */
+  loadImage(index) {
+    if (!this.images.has(index)) {
+      const image = this.json.images[index];
+      const bytes =
+        image.bufferView !== undefined
+          ? Promise.resolve(this.getBufferView(image.bufferView))
+          : fetchBytes(resolveUri(image.uri, this.baseUrl));
+      const mimeType =
+        image.mimeType ||
+        image.uri?.match(/^data:([^;,]+)/)?.[1] ||
+        (/\.jpe?g$/i.test(image.uri || '') ? 'image/jpeg' : 'image/png');
+      this.images.set(
+        index,
+        bytes.then(data => this.loader.decodeImage(data, mimeType))
+      );
+    }
+    return this.images.get(index);
+  }
+
+  /**
+   * Creates a renderer sampler for a glTF sampler, once.
+   * @param {number} [index] - Sampler index. Undefined uses the default
+   *     repeating trilinear sampler.
+   * @returns {string} Renderer sampler name.
+   */
+  getSampler(index = -1) {
+    if (!this.samplers.has(index)) {
+      const sampler = index >= 0 ? this.json.samplers[index] : {};
+      const name =
+        index >= 0 ? `${this.name}.sampler${index}` : `${this.name}.sampler`;
+      const minFilter = FILTER_MODES[sampler.minFilter] || FILTER_MODES[9987];
+      this.renderer.createSampler({
+        name,
+        addressModeU: WRAP_MODES[sampler.wrapS] || 'repeat',
+        addressModeV: WRAP_MODES[sampler.wrapT] || 'repeat',
+        magFilter: FILTER_MODES[sampler.magFilter]?.filter || 'linear',
+        minFilter: minFilter.filter,
+        mipmapFilter: minFilter.mipmapFilter || 'nearest',
+        // Non-mipmap filters sample level 0 only
+        lodMaxClamp: minFilter.mipmapFilter ? 32 : 0,
+      });
+      this.samplers.set(index, name);
+    }
+    return this.samplers.get(index);
+  }
+
+  /**
+   * Decodes a primitive and uploads it in the Geometry layout.
+   * @param {Object} primitive - glTF primitive.
+   * @param {string} name - Buffer name prefix.
+   * @param {SceneMaterial} material - Scene material.
+   * @returns {?GLTFPrimitive} Primitive, or null if it is not made of
+   *     triangles.
+   */
+  loadPrimitive(primitive, name, material) {
+    const mode = primitive.mode ?? PrimitiveMode.TRIANGLES;
+    if (!Object.values(PrimitiveMode).includes(mode)) {
+      console.warn(`Skipping glTF primitive "${name}" with mode ${mode}.`);
+      return null;
+    }
+    if (primitive.attributes.POSITION === undefined) {
+      console.warn(`Skipping glTF primitive "${name}" without positions.`);
+      return null;
+    }
+
+    const attributes = {};
+    Object.entries(primitive.attributes).forEach(([semantic, accessor]) => {
+      attributes[semantic] = this.readFloatAccessor(accessor);
+    });
+
+    const vertexCount = attributes.POSITION.array.length / 3;
+    let indices =
+      primitive.indices !== undefined
+        ? this.readAccessor(primitive.indices).array
+        : Array.from({ length: vertexCount }, (_, i) => i);
+    indices = toTriangleList(indices, mode);
+
+    const geometry = createGeometry(
+      {
+        positions: attributes.POSITION.array,
+        normals: attributes.NORMAL?.array,
+        uvs: attributes.TEXCOORD_0?.array,
+        tangents: attributes.TANGENT?.array,
+        indices,
+      },
+      name
+    );
+    const buffers = geometry.upload(this.renderer);
+    this.geometryNames.push(name);
+
+    return {
+      geometry: buffers,
+      material,
+      materialIndex: primitive.material ?? null,
+      attributes,
+    };
+  }
+
+  /**
+   * Creates the scene node of a glTF node, with Mesh children for its
+   * primitives and a camera child for its camera.
+   * @param {Object} node - glTF node.
+   * @param {number} index - Node index.
+   * @param {Array<{name: string, primitives: Array<GLTFPrimitive>}>} meshes
+   *     Loaded meshes.
+   * @returns {Node} Scene node.
+   */
+  createNode(node, index, meshes) {
+    const result = new Node(node.name || `node${index}`);
+    if (node.matrix) {
+      decomposeMatrix(node.matrix, result);
+    } else {
+      if (node.translation) {
+        result.position.set(node.translation);
+      }
+      if (node.rotation) {
+        result.rotation.set(node.rotation);
+      }
+      if (node.scale) {
+        result.scale.set(node.scale);
+      }
+      result.markDirty();
+    }
+
+    if (node.mesh !== undefined) {
+      const mesh = meshes[node.mesh];
+      mesh.primitives.forEach((primitive, primitiveIndex) =>
+        result.add(
+          new Mesh(
+            primitive.geometry,
+            primitive.material,
+            `${mesh.name}.${primitiveIndex}`
+          )
+        )
+      );
+    }
+
+    if (node.camera !== undefined) {
+      result.add(this.createCamera(node.camera));
+    }
+    return result;
+  }
+
+  /**
+   * Creates a camera from a glTF camera. Cameras without an aspect ratio
+   * follow the renderer size.
+   * @param {number} index - Camera index.
+   * @returns {Camera} Camera node.
+   */
+  createCamera(index) {
+    const camera = this.json.cameras[index];
+    const name = camera.name || `camera${index}`;
+    let result;
+    if (camera.type === 'orthographic') {
+      const { xmag, ymag, znear, zfar } = camera.orthographic;
+      result = new OrthographicCamera({
+        left: -xmag,
+        right: xmag,
+        bottom: -ymag,
+        top: ymag,
+        near: znear,
+        far: zfar,
+        name,
+      });
+    } else {
+      const { yfov, aspectRatio, znear, zfar } = camera.perspective;
+      result = new PerspectiveCamera({
+        fov: yfov,
+        near: znear,
+        far: zfar ?? Infinity,
+        name,
+      });
+      if (aspectRatio === undefined) {
+        result.attach(this.renderer);
+      } else {
+        result.aspect = aspectRatio;
+      }
+    }
+    result.depthRange = depthRangeForBackend(this.renderer.constructor.backend);
+    this.cameras.push(result);
+    return result;
+  }
+}
+
+/**
+ * Reads strided components into a packed typed array.
+ * @param {Uint8Array} bytes - Source bytes.
+ * @param {number} byteOffset - Offset of the first element.
+ * @param {number} byteStride - Bytes between elements.
+ * @param {number} count - Number of elements.
+ * @param {number} itemSize - Components per element.
+ * @param {number} componentType - Component type.
+ * @returns {ArrayBufferView} Packed components.
+ */
+function readComponents(
+  bytes,
+  byteOffset,
+  byteStride,
+  count,
+  itemSize,
+  componentType
+) {
+  const ArrayType = COMPONENT_ARRAYS[componentType];
+  const elementSize = ArrayType.BYTES_PER_ELEMENT;
+  const start = bytes.byteOffset + byteOffset;
+
+  // Packed and aligned data can be copied in one go
+  if (byteStride === elementSize * itemSize && start % elementSize === 0) {
+    return new ArrayType(bytes.buffer, start, count * itemSize).slice();
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const getter = COMPONENT_GETTERS[componentType];
+  const array = new ArrayType(count * itemSize);
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < itemSize; k++) {
+      array[i * itemSize + k] = view[getter](
+        byteOffset + i * byteStride + k * elementSize,
+        true
+      );
+    }
+  }
+  return array;
+}
+
+/**
+ * Converts strip or fan indices to a triangle list.
+ * @param {ArrayLike<number>} indices - Indices.
+ * @param {number} mode - Primitive mode.
+ * @returns {ArrayLike<number>} Triangle list indices.
+ */
+function toTriangleList(indices, mode) {
+  if (mode === PrimitiveMode.TRIANGLES) {
+    return indices;
+  }
+  const triangles = [];
+  for (let i = 2; i < indices.length; i++) {
+    if (mode === PrimitiveMode.TRIANGLE_FAN) {
+      triangles.push(indices[0], indices[i - 1], indices[i]);
+    } else if (i % 2 === 0) {
+      triangles.push(indices[i - 2], indices[i - 1], indices[i]);
+    } else {
+      // Every other strip triangle is flipped to keep the winding
+      triangles.push(indices[i - 1], indices[i - 2], indices[i]);
+    }
+  }
+  return triangles;
+}
+
+/**
+ * Splits a column-major TRS matrix into a node's position, rotation and
+ * scale.
+ * @param {number[]} m - Matrix.
+ * @param {Node} node - Receiving node.
+ */
+function decomposeMatrix(m, node) {
+  node.position.set([m[12], m[13], m[14]]);
+  const scale = [0, 4, 8].map(column =>
+    Math.hypot(m[column], m[column + 1], m[column + 2])
+  );
+  const determinant =
+    m[0] * (m[5] * m[10] - m[6] * m[9]) -
+    m[4] * (m[1] * m[10] - m[2] * m[9]) +
+    m[8] * (m[1] * m[6] - m[2] * m[5]);
+  if (determinant < 0) {
+    scale[0] = -scale[0];
+  }
+  node.scale.set(scale);
+
+  const rotation = new Float32Array(16);
+  [0, 4, 8].forEach((column, axis) => {
+    for (let row = 0; row < 3; row++) {
+      rotation[column + row] = scale[axis] ? m[column + row] / scale[axis] : 0;
+    }
+  });
+  rotation[15] = 1;
+  quat.fromMat4(rotation, node.rotation);
+  node.markDirty();
+}
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Radiance HDR (.hdr, RGBE) image loader. Decodes flat and
+ * run-length encoded scanlines to float texels for rgba16float and
+ * rgba32float textures, such as equirectangular environment maps.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { fetchBytes } from './LoaderUtils.js';
+
+/**
+ * Float texture formats HDR images upload to, in order of preference:
+ * half floats take half the memory and are filterable on every backend.
+ * @type {Array<string>}
+ */
+const HDR_FORMATS = ['rgba16float', 'rgba32float'];
+
+/**
+ * Decoded Radiance HDR image.
+ * @typedef {Object} HDRImage
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Float32Array} data - Linear RGBA texels, top row first, with
+ *     alpha 1.
+ * @property {number} exposure - Product of the EXPOSURE header values; the
+ *     texels are the original radiance times this.
+ * @property {number} gamma - GAMMA header value (1 if absent).
+ * @property {Object<string, string>} header - Header variables by name.
+ */
+
+/**
+ * Loaded HDR texture.
+ * @typedef {Object} HDRAsset
+ * @property {string} name - Texture name.
+ * @property {string} format - Texture format.
+ * @property {number} width - Texture width.
+ * @property {number} height - Texture height.
+ * @property {number} exposure - EXPOSURE of the image.
+ * @property {function(): void} destroy - Destroys the texture.
+ */
+
+/**
+ * Reads one header line, without its line feed.
+ * @param {Uint8Array} bytes - File bytes.
+ * @param {{offset: number}} cursor - Read position, advanced past the line.
+ * @returns {string} Line text.
+ * @throws {Error} If the data ends before the line does.
+ */
+function readLine(bytes, cursor) {
+  const end = bytes.indexOf(0x0a, cursor.offset);
+  if (end < 0) {
+    throw new Error('HDR header is truncated.');
+  }
+  let line = '';
+  for (let i = cursor.offset; i < end; i++) {
+    line += String.fromCharCode(bytes[i]);
+  }
+  cursor.offset = end + 1;
+  return line;
+}
+
+/**
+ * Decodes one scanline of RGBE pixels, flat or run-length encoded.
+ * @param {Uint8Array} bytes - File bytes.
+ * @param {{offset: number}} cursor - Read position, advanced past the
+ *     scanline.
+ * @param {Uint8Array} scanline - Receives width * 4 RGBE bytes.
+ * @param {number} width - Scanline width.
+ * @throws {Error} If the scanline is truncated or malformed.
+ */
+function readScanline(bytes, cursor, scanline, width) {
+  let offset = cursor.offset;
+  if (offset + 4 > bytes.length) {
+    throw new Error('HDR pixel data is truncated.');
+  }
+
+  const isRunLength =
+    width >= 8 &&
+    width < 0x8000 &&
+    bytes[offset] === 2 &&
+    bytes[offset + 1] === 2 &&
+    !(bytes[offset + 2] & 0x80);
+  if (!isRunLength) {
+    readFlatScanline(bytes, cursor, scanline, width);
+    return;
+  }
+
+  if (((bytes[offset + 2] << 8) | bytes[offset + 3]) !== width) {
+    throw new Error('HDR scanline width does not match the image width.');
+  }
+  offset += 4;
+
+  // Each channel is run-length encoded separately
+  for (let channel = 0; channel < 4; channel++) {
+    let x = 0;
+    while (x < width) {
+      if (offset >= bytes.length) {
+        throw new Error('HDR pixel data is truncated.');
+      }
+      let count = bytes[offset++];
+      const isRun = count > 128;
+      if (isRun) {
+        count -= 128;
+      }
+      if (count === 0 || x + count > width) {
+        throw new Error('HDR scanline has a bad run length.');
+      }
+      if (offset + (isRun ? 1 : count) > bytes.length) {
+        throw new Error('HDR pixel data is truncated.');
+      }
+      if (isRun) {
+        const value = bytes[offset++];
+        for (let i = 0; i < count; i++) {
+          scanline[x++ * 4 + channel] = value;
+        }
+      } else {
+        for (let i = 0; i < count; i++) {
+          scanline[x++ * 4 + channel] = bytes[offset++];
+        }
+      }
+    }
+  }
+  cursor.offset = offset;
+}
+
+/**
+ * Decodes a scanline of flat RGBE pixels, expanding the repeat pixels
+ * (1, 1, 1, count) of the original Radiance run-length encoding.
+ * @param {Uint8Array} bytes - File bytes.
+ * @param {{offset: number}} cursor - Read position, advanced past the
+ *     scanline.
+ * @param {Uint8Array} scanline - Receives width * 4 RGBE bytes.
+ * @param {number} width - Scanline width.
+ * @throws {Error} If the scanline is truncated or malformed.
+ */
+function readFlatScanline(bytes, cursor, scanline, width) {
+  let offset = cursor.offset;
+  let shift = 0;
+  let x = 0;
+  while (x < width) {
+    if (offset + 4 > bytes.length) {
+      throw new Error('HDR pixel data is truncated.');
+    }
+    if (
+      bytes[offset] === 1 &&
+      bytes[offset + 1] === 1 &&
+      bytes[offset + 2] === 1
+    ) {
+      if (x === 0) {
+        throw new Error('HDR scanline repeats a pixel before the first one.');
+      }
+      const count = bytes[offset + 3] << shift;
+      if (x + count > width) {
+        throw new Error('HDR scanline has a bad run length.');
+      }
+      for (let i = 0; i < count; i++, x++) {
+        scanline.copyWithin(x * 4, (x - 1) * 4, x * 4);
+      }
+      shift += 8;
+    } else {
+      scanline.set(bytes.subarray(offset, offset + 4), x * 4);
+      x++;
+      shift = 0;
+    }
+    offset += 4;
+  }
+  cursor.offset = offset;
+}
+
+/**
+ * Parses a Radiance HDR image. Supports the 32-bit_rle_rgbe format with the
+ * standard (-Y h +X w) and bottom-up (+Y h +X w) orientations.
+ * @param {ArrayBuffer|Uint8Array} data - HDR file bytes.
+ * @returns {HDRImage} Decoded image.
+ * @throws {Error} If the data is not a valid or supported HDR file.
+ */
+export function parseHDR(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const cursor = { offset: 0 };
+
+  const signature = readLine(bytes, cursor);
+  if (signature !== '#?RADIANCE' && signature !== '#?RGBE') {
+    throw new Error('Not a Radiance HDR file.');
+  }
+
+  const header = {};
+  let exposure = 1;
+  let line;
+  while ((line = readLine(bytes, cursor)) !== '') {
+    const separator = line.indexOf('=');
+    if (line[0] !== '#' && separator > 0) {
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      header[key] = value;
+      if (key === 'EXPOSURE') {
+        exposure *= parseFloat(value) || 1;
+      }
+    }
+  }
+  if (header.FORMAT && header.FORMAT !== '32-bit_rle_rgbe') {
+    throw new Error(`HDR format "${header.FORMAT}" is not supported.`);
+  }
+
+  const resolution = readLine(bytes, cursor).trim();
+  const match = /^([-+])Y\s+(\d+)\s+\+X\s+(\d+)$/.exec(resolution);
+  if (!match) {
+    throw new Error(`HDR orientation "${resolution}" is not supported.`);
+  }
+  const bottomUp = match[1] === '+';
+  const height = parseInt(match[2], 10);
+  const width = parseInt(match[3], 10);
+  if (width === 0 || height === 0) {
+    throw new Error('HDR image is empty.');
+  }
+
+  const texels = new Float32Array(width * height * 4);
+  const scanline = new Uint8Array(width * 4);
+  for (let y = 0; y < height; y++) {
+    readScanline(bytes, cursor, scanline, width);
+    const row = bottomUp ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const source = x * 4;
+      const target = (row * width + x) * 4;
+      const exponent = scanline[source + 3];
+      texels[target + 3] = 1;
+      if (exponent === 0) {
+        continue;
+      }
+      // Mantissas are in 1/256 units of 2^(exponent - 128), at their center
+      const scale = 2 ** (exponent - 136);
+      texels[target] = (scanline[source] + 0.5) * scale;
+      texels[target + 1] = (scanline[source + 1] + 0.5) * scale;
+      texels[target + 2] = (scanline[source + 2] + 0.5) * scale;
+    }
+  }
+
+  return {
+    width,
+    height,
+    data: texels,
+    exposure,
+    gamma: parseFloat(header.GAMMA) || 1,
+    header,
+  };
+}
+
+/**
+ * Sequence of loaded assets, used for default texture names.
+ * @type {number}
+ */
+let nextAssetId = 1;
+
+/**
+ * Loads Radiance HDR images into float textures. Equirectangular
+ * panoramas can then be turned into environment cubes with
+ * Renderer#createCubeTextureFromEquirect().
+ */
+export class HDRLoader {
+  /**
+   * Creates a loader.
+   * @param {Renderer} renderer - Renderer receiving the textures.
+   */
+  constructor(renderer) {
+    /**
+     * Renderer receiving the textures.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+  }
+
+  /**
+   * Fetches and loads an HDR texture.
+   * @param {string} url - HDR URL.
+   * @param {Object} [options] - Load options, see parse().
+   * @returns {Promise<HDRAsset>} Loaded texture.
+   * @throws {Error} If the file cannot be loaded, parsed or uploaded.
+   */
+  async load(url, options = {}) {
+    return this.parse(await fetchBytes(url), options);
+  }
+
+  /**
+   * Loads an HDR texture from bytes.
+   * @param {ArrayBuffer|Uint8Array} data - HDR file bytes.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.name] - Texture name. Defaults to a unique
+   *     "hdrN".
+   * @param {string} [options.format] - 'rgba16float' or 'rgba32float'.
+   *     Defaults to the first of them the renderer supports.
+   * @param {boolean} [options.mipmaps=false] - Whether to generate mipmaps.
+   * @returns {Promise<HDRAsset>} Loaded texture.
+   * @throws {Error} If the file is invalid, or the renderer supports no
+   *     float texture format (the renderer's capability error).
+   */
+  async parse(data, options = {}) {
+    const image = parseHDR(data);
+    const name = options.name || `hdr${nextAssetId++}`;
+    const format =
+      options.format ||
+      HDR_FORMATS.find(candidate =>
+        this.renderer.supportsTextureFormat(candidate)
+      ) ||
+      HDR_FORMATS[0];
+    if (!HDR_FORMATS.includes(format)) {
+      throw new Error(
+        `HDR texture "${name}" needs a float format, got "${format}".`
+      );
+    }
+
+    this.renderer.createTexture({
+      name,
+      format,
+      width: image.width,
+      height: image.height,
+      data: image.data,
+      mipmaps: !!options.mipmaps,
+    });
+
+    return {
+      name,
+      format,
+      width: image.width,
+      height: image.height,
+      exposure: image.exposure,
+      destroy: () => this.renderer.destroyTexture(name),
+    };
+  }
+}
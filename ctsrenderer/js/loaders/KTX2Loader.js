@@ -0,0 +1,421 @@
+/**
+ * @fileoverview KTX2 texture container loader. Uploads uncompressed and
+ * BC/ETC2/ASTC block-compressed 2D textures with their mip levels.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { COMPRESSED_TEXTURE_FORMATS } from '../Renderer.js';
+import { fetchBytes } from './LoaderUtils.js';
+
+/**
+ * KTX2 file identifier.
+ * @type {Array<number>}
+ */
+const KTX2_IDENTIFIER = [
+  0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a,
+];
+
+/**
+ * KTX2 supercompression schemes.
+ * @enum {number}
+ */
+export const KTX2Supercompression = {
+  NONE: 0,
+  BASISLZ: 1,
+  ZSTD: 2,
+  ZLIB: 3,
+};
+
+/**
+ * Data format descriptor color model of UASTC textures.
+ * @type {number}
+ */
+const KHR_DF_MODEL_UASTC = 166;
+
+/**
+ * Data format descriptor transfer function of sRGB textures.
+ * @type {number}
+ */
+const KHR_DF_TRANSFER_SRGB = 2;
+
+/**
+ * Portable texture formats of Vulkan formats. Block-compressed formats use
+ * the COMPRESSED_TEXTURE_FORMATS order: BC from 131, ETC2/EAC from 147 and
+ * ASTC unorm/sRGB pairs from 157.
+ * @type {Object<number, string>}
+ */
+const VK_FORMATS = {
+  9: 'r8unorm',
+  16: 'rg8unorm',
+  37: 'rgba8unorm',
+  43: 'rgba8unorm-srgb',
+  97: 'rgba16float',
+  109: 'rgba32float',
+  // BC1 RGB has no portable format; its blocks decode the same as RGBA
+  131: 'bc1-rgba-unorm',
+  132: 'bc1-rgba-unorm-srgb',
+  133: 'bc1-rgba-unorm',
+  134: 'bc1-rgba-unorm-srgb',
+  135: 'bc2-rgba-unorm',
+  136: 'bc2-rgba-unorm-srgb',
+  137: 'bc3-rgba-unorm',
+  138: 'bc3-rgba-unorm-srgb',
+  139: 'bc4-r-unorm',
+  140: 'bc4-r-snorm',
+  141: 'bc5-rg-unorm',
+  142: 'bc5-rg-snorm',
+  143: 'bc6h-rgb-ufloat',
+  144: 'bc6h-rgb-float',
+  145: 'bc7-rgba-unorm',
+  146: 'bc7-rgba-unorm-srgb',
+  147: 'etc2-rgb8unorm',
+  148: 'etc2-rgb8unorm-srgb',
+  149: 'etc2-rgb8a1unorm',
+  150: 'etc2-rgb8a1unorm-srgb',
+  151: 'etc2-rgba8unorm',
+  152: 'etc2-rgba8unorm-srgb',
+  153: 'eac-r11unorm',
+  154: 'eac-r11snorm',
+  155: 'eac-rg11unorm',
+  156: 'eac-rg11snorm',
+  ...Object.fromEntries(
+    COMPRESSED_TEXTURE_FORMATS.filter(format => format.startsWith('astc-')).map(
+      (format, i) => [157 + i, format]
+    )
+  ),
+};
+
+/**
+ * Mip level of a KTX2 container, as stored.
+ * @typedef {Object} KTX2Level
+ * @property {Uint8Array} data - Level bytes, supercompressed if the
+ *     container is.
+ * @property {number} uncompressedByteLength - Byte length after
+ *     supercompression is removed.
+ */
+
+/**
+ * Parsed KTX2 container.
+ * @typedef {Object} KTX2Container
+ * @property {number} vkFormat - Vulkan format (0 for Basis Universal).
+ * @property {?string} format - Portable texture format, or null if the
+ *     Vulkan format has none.
+ * @property {number} typeSize - Size of the data type in bytes.
+ * @property {number} width - Width of level 0.
+ * @property {number} height - Height of level 0.
+ * @property {number} depth - Depth of level 0 (0 for 2D textures).
+ * @property {number} layerCount - Array layers (0 if not an array).
+ * @property {number} faceCount - Faces (6 for cubemaps).
+ * @property {number} levelCount - Mip levels (0 asks for generation).
+ * @property {KTX2Supercompression} supercompressionScheme - Supercompression.
+ * @property {{colorModel: number, colorPrimaries: number, transferFunction: number, flags: number}} dfd
+ *     Basic data format descriptor block.
+ * @property {boolean} srgb - Whether the transfer function is sRGB.
+ * @property {Object<string, (string|Uint8Array)>} keyValue - Key/value data.
+ *     Values ending in a NUL byte are decoded as strings.
+ * @property {Uint8Array} globalData - Supercompression global data.
+ * @property {Array<KTX2Level>} levels - Mip levels, level 0 first.
+ */
+
+/**
+ * Loaded KTX2 texture.
+ * @typedef {Object} KTX2Asset
+ * @property {string} name - Texture name.
+ * @property {string} format - Texture format.
+ * @property {number} width - Width of level 0.
+ * @property {number} height - Height of level 0.
+ * @property {number} levelCount - Uploaded mip levels.
+ * @property {KTX2Container} container - Parsed container.
+ * @property {function(): void} destroy - Destroys the texture.
+ */
+
+/**
+ * Parses a KTX2 container without decoding its levels.
+ * @param {ArrayBuffer|Uint8Array} data - KTX2 bytes.
+ * @returns {KTX2Container} Parsed container.
+ * @throws {Error} If the data is not a valid KTX2 file.
+ */
+export function parseKTX2(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (
+    bytes.byteLength < 80 ||
+    KTX2_IDENTIFIER.some((byte, i) => bytes[i] !== byte)
+  ) {
+    throw new Error('Not a KTX2 file.');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const u32 = offset => view.getUint32(offset, true);
+  const u64 = offset => Number(view.getBigUint64(offset, true));
+
+  const vkFormat = u32(12);
+  const levelCount = u32(40);
+  const dfdOffset = u32(48);
+  const kvdOffset = u32(56);
+  const kvdLength = u32(60);
+  const sgdOffset = u64(64);
+  const sgdLength = u64(72);
+
+  const levels = [];
+  for (let i = 0; i < Math.max(1, levelCount); i++) {
+    const offset = 80 + i * 24;
+    const byteOffset = u64(offset);
+    const byteLength = u64(offset + 8);
+    if (byteOffset + byteLength > bytes.byteLength) {
+      throw new Error(`KTX2 level ${i} is out of bounds.`);
+    }
+    levels.push({
+      data: bytes.subarray(byteOffset, byteOffset + byteLength),
+      uncompressedByteLength: u64(offset + 16),
+    });
+  }
+
+  // The basic descriptor block follows the total size
+  const dfd = {
+    colorModel: bytes[dfdOffset + 12],
+    colorPrimaries: bytes[dfdOffset + 13],
+    transferFunction: bytes[dfdOffset + 14],
+    flags: bytes[dfdOffset + 15],
+  };
+
+  return {
+    vkFormat,
+    format: VK_FORMATS[vkFormat] || null,
+    typeSize: u32(16),
+    width: u32(20),
+    height: u32(24),
+    depth: u32(28),
+    layerCount: u32(32),
+    faceCount: u32(36),
+    levelCount,
+    supercompressionScheme: u32(44),
+    dfd,
+    srgb: dfd.transferFunction === KHR_DF_TRANSFER_SRGB,
+    keyValue: parseKeyValueData(
+      bytes.subarray(kvdOffset, kvdOffset + kvdLength)
+    ),
+    globalData: bytes.subarray(sgdOffset, sgdOffset + sgdLength),
+    levels,
+  };
+}
+
+/**
+ * Parses KTX2 key/value data.
+ * @param {Uint8Array} bytes - Key/value data.
+ * @returns {Object<string, (string|Uint8Array)>} Values by key.
+ */
+function parseKeyValueData(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  let offset = 0;
+  while (offset + 4 <= bytes.byteLength) {
+    const length = view.getUint32(offset, true);
+    const entry = bytes.subarray(offset + 4, offset + 4 + length);
+    const keyEnd = entry.indexOf(0);
+    if (keyEnd >= 0) {
+      const value = entry.subarray(keyEnd + 1);
+      entries[decoder.decode(entry.subarray(0, keyEnd))] =
+        value[value.length - 1] === 0
+          ? decoder.decode(value.subarray(0, -1))
+          : value;
+    }
+    // Entries are padded to 4 bytes
+    offset += 4 + Math.ceil(length / 4) * 4;
+  }
+  return entries;
+}
+
+/**
+ * Inflates a zlib stream.
+ * @param {Uint8Array} bytes - Compressed bytes.
+ * @returns {Promise<Uint8Array>} Inflated bytes.
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Views level bytes with the array type texture uploads expect for the
+ * format. Copies if the bytes are not aligned for it.
+ * @param {Uint8Array} bytes - Level bytes.
+ * @param {string} format - Texture format.
+ * @returns {ArrayBufferView} Level data.
+ */
+function toLevelData(bytes, format) {
+  const ArrayType =
+    format === 'rgba32float'
+      ? Float32Array
+      : format === 'rgba16float'
+      ? Uint16Array
+      : null;
+  if (!ArrayType) {
+    return bytes;
+  }
+  const aligned =
+    bytes.byteOffset % ArrayType.BYTES_PER_ELEMENT === 0
+      ? bytes
+      : bytes.slice();
+  return new ArrayType(
+    aligned.buffer,
+    aligned.byteOffset,
+    aligned.byteLength / ArrayType.BYTES_PER_ELEMENT
+  );
+}
+
+/**
+ * Sequence of loaded assets, used for default texture names.
+ * @type {number}
+ */
+let nextAssetId = 1;
+
+/**
+ * Loads KTX2 textures into a renderer. Block-compressed data is uploaded
+ * as is, so the device must support its format: see
+ * Renderer#supportsTextureFormat(). Zlib supercompression is inflated with
+ * DecompressionStream; Zstandard needs options.decodeZstd. Basis Universal
+ * (BasisLZ/UASTC) textures need transcoding and are not supported.
+ */
+export class KTX2Loader {
+  /**
+   * Creates a loader.
+   * @param {Renderer} renderer - Renderer receiving the textures.
+   * @param {Object} [options] - Loader options.
+   * @param {function(Uint8Array, number): (Uint8Array|Promise<Uint8Array>)} [options.decodeZstd]
+   *     Zstandard decoder, called with the level bytes and their
+   *     uncompressed length.
+   */
+  constructor(renderer, options = {}) {
+    /**
+     * Renderer receiving the textures.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Zstandard decoder.
+     * @type {?function(Uint8Array, number): (Uint8Array|Promise<Uint8Array>)}
+     * @private
+     */
+    this.decodeZstd_ = options.decodeZstd || null;
+  }
+
+  /**
+   * Fetches and loads a KTX2 texture.
+   * @param {string} url - KTX2 URL.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.name] - Texture name. Defaults to a unique
+   *     "ktx2N".
+   * @returns {Promise<KTX2Asset>} Loaded texture.
+   * @throws {Error} If the file cannot be loaded, parsed or uploaded.
+   */
+  async load(url, options = {}) {
+    return this.parse(await fetchBytes(url), options);
+  }
+
+  /**
+   * Loads a KTX2 texture from bytes.
+   * @param {ArrayBuffer|Uint8Array} data - KTX2 bytes.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.name] - Texture name. Defaults to a unique
+   *     "ktx2N".
+   * @returns {Promise<KTX2Asset>} Loaded texture.
+   * @throws {Error} If the file is invalid or unsupported, or the device
+   *     cannot sample its format. Unsupported formats throw the renderer's
+   *     capability error, with supportedFormats listing what can be used.
+   */
+  async parse(data, options = {}) {
+    const container = parseKTX2(data);
+    const name = options.name || `ktx2${nextAssetId++}`;
+
+    if (
+      container.supercompressionScheme === KTX2Supercompression.BASISLZ ||
+      container.dfd.colorModel === KHR_DF_MODEL_UASTC
+    ) {
+      throw new Error(
+        `KTX2 texture "${name}" uses Basis Universal, which needs transcoding and is not supported.`
+      );
+    }
+    if (!container.format) {
+      throw new Error(
+        `KTX2 texture "${name}" has unsupported Vulkan format ${container.vkFormat}.`
+      );
+    }
+    if (
+      container.depth > 0 ||
+      container.layerCount > 0 ||
+      container.faceCount !== 1
+    ) {
+      throw new Error(
+        `KTX2 texture "${name}" is not a 2D texture; only 2D textures are supported.`
+      );
+    }
+    if (container.levelCount === 0) {
+      throw new Error(
+        `KTX2 texture "${name}" asks for generated mip levels, which is not supported.`
+      );
+    }
+
+    const levels = await Promise.all(
+      container.levels.map(async level =>
+        toLevelData(
+          await this.decodeLevel_(container, level, name),
+          container.format
+        )
+      )
+    );
+
+    this.renderer.createTexture({
+      name,
+      format: container.format,
+      width: container.width,
+      height: container.height,
+      levels,
+    });
+
+    return {
+      name,
+      format: container.format,
+      width: container.width,
+      height: container.height,
+      levelCount: levels.length,
+      container,
+      destroy: () => this.renderer.destroyTexture(name),
+    };
+  }
+
+  /**
+   * Removes the supercompression of a level.
+   * @param {KTX2Container} container - Parsed container.
+   * @param {KTX2Level} level - Level to decode.
+   * @param {string} name - Texture name, for errors.
+   * @returns {Promise<Uint8Array>} Level bytes.
+   * @throws {Error} If the scheme is unsupported.
+   * @private
+   */
+  async decodeLevel_(container, level, name) {
+    switch (container.supercompressionScheme) {
+      case KTX2Supercompression.NONE:
+        return level.data;
+      case KTX2Supercompression.ZLIB:
+        return inflate(level.data);
+      case KTX2Supercompression.ZSTD:
+        if (!this.decodeZstd_) {
+          throw new Error(
+            `KTX2 texture "${name}" is Zstandard supercompressed; pass a decodeZstd option to load it.`
+          );
+        }
+        return this.decodeZstd_(level.data, level.uncompressedByteLength);
+      default:
+        throw new Error(
+          `KTX2 texture "${name}" has unsupported supercompression scheme ${container.supercompressionScheme}.`
+        );
+    }
+  }
+}
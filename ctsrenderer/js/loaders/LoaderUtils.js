@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Shared helpers of the asset loaders: URI resolution,
+ * fetching and image decoding.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Decoded RGBA8 image.
+ * @typedef {Object} DecodedImage
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Uint8Array} data - Pixels, 4 bytes each, rows top to bottom.
+ */
+
+/**
+ * Resolves a URI relative to the asset location. Data URIs and absolute
+ * URLs are returned unchanged.
+ * @param {string} uri - URI from the asset.
+ * @param {string} baseUrl - Directory of the asset, with a trailing slash.
+ * @returns {string} Resolved URI.
+ */
+export function resolveUri(uri, baseUrl) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('/')) {
+    return uri;
+  }
+  return baseUrl + uri;
+}
+
+/**
+ * Fetches a resource as bytes.
+ * @param {string} url - Resource URL (data URIs included).
+ * @returns {Promise<Uint8Array>} Resource bytes.
+ * @throws {Error} If the request fails.
+ */
+export async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load "${url.slice(0, 64)}": ${response.status} ${
+        response.statusText
+      }`
+    );
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Decodes a PNG or JPEG with the browser image decoder.
+ * @param {Uint8Array} bytes - Encoded image.
+ * @param {string} mimeType - Image MIME type.
+ * @returns {Promise<DecodedImage>} Decoded image.
+ */
+export async function decodeImage(bytes, mimeType) {
+  const bitmap = await createImageBitmap(
+    new Blob([bytes], { type: mimeType }),
+    {
+      colorSpaceConversion: 'none',
+      premultiplyAlpha: 'none',
+    }
+  );
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const { data } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  bitmap.close();
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    data: new Uint8Array(data.buffer),
+  };
+}
@@ -0,0 +1,737 @@
+/**
+ * @fileoverview Wavefront OBJ and MTL loader.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { createGeometry } from '../Geometry.js';
+import { Mesh, Node } from '../Scene.js';
+import { decodeImage, fetchBytes, resolveUri } from './LoaderUtils.js';
+
+/**
+ * Number of values following each MTL texture option.
+ * @type {Object<string, number>}
+ */
+const TEXTURE_OPTION_ARITY = {
+  '-blendu': 1,
+  '-blendv': 1,
+  '-boost': 1,
+  '-bm': 1,
+  '-cc': 1,
+  '-clamp': 1,
+  '-imfchan': 1,
+  '-mm': 2,
+  '-o': 3,
+  '-s': 3,
+  '-t': 3,
+  '-texres': 1,
+  '-type': 1,
+};
+
+/**
+ * Texture map of an MTL material.
+ * @typedef {Object} OBJTextureMap
+ * @property {string} path - Image path as written in the MTL file.
+ * @property {Float32Array} offset - UV offset (-o).
+ * @property {Float32Array} scale - UV scale (-s).
+ * @property {boolean} clamp - Whether UVs are clamped instead of repeated
+ *     (-clamp on).
+ * @property {number} bumpMultiplier - Bump strength (-bm), 1 by default.
+ * @property {?string} texture - Renderer texture name, set by OBJLoader
+ *     once the image is loaded.
+ * @property {?string} sampler - Renderer sampler name, set by OBJLoader.
+ */
+
+/**
+ * MTL material. Colors are linear RGB as written in the file.
+ * @typedef {Object} OBJMaterial
+ * @property {string} name - Material name.
+ * @property {Float32Array} ambientColor - Ka.
+ * @property {Float32Array} diffuseColor - Kd.
+ * @property {Float32Array} specularColor - Ks.
+ * @property {Float32Array} emissiveColor - Ke.
+ * @property {number} shininess - Specular exponent (Ns).
+ * @property {number} opacity - Opacity (d, or 1 - Tr).
+ * @property {number} illum - Illumination model.
+ * @property {?OBJTextureMap} diffuseMap - map_Kd.
+ * @property {?OBJTextureMap} specularMap - map_Ks.
+ * @property {?OBJTextureMap} emissiveMap - map_Ke.
+ * @property {?OBJTextureMap} alphaMap - map_d.
+ * @property {?OBJTextureMap} bumpMap - map_Bump, bump or norm.
+ */
+
+/**
+ * Mesh parsed from an OBJ file: the faces of one object or group using one
+ * material.
+ * @typedef {Object} OBJMesh
+ * @property {string} name - Group name, else object name.
+ * @property {string} object - Object name (o), or ''.
+ * @property {string} group - Group name (g), or ''.
+ * @property {?string} material - Material name (usemtl), or null.
+ * @property {Geometry} geometry - Indexed geometry in the Geometry layout.
+ */
+
+/**
+ * Result of parseOBJ().
+ * @typedef {Object} OBJData
+ * @property {Array<OBJMesh>} meshes - Meshes in file order.
+ * @property {Array<string>} materialLibraries - MTL files (mtllib).
+ */
+
+/**
+ * Loaded OBJ asset.
+ * @typedef {Object} OBJAsset
+ * @property {string} name - Resource name prefix.
+ * @property {Node} root - Node with one Mesh child per mesh.
+ * @property {Array<OBJMesh & {buffers: SceneGeometry}>} meshes - Meshes
+ *     with their uploaded buffers.
+ * @property {Object<string, OBJMaterial>} materials - Materials by name.
+ * @property {function(): void} destroy - Destroys the renderer resources.
+ */
+
+/**
+ * Next default asset name suffix.
+ * @type {number}
+ */
+let nextAssetId = 1;
+
+/**
+ * Decodes text input.
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Text or UTF-8 bytes.
+ * @returns {string} Text.
+ */
+function toText(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+/**
+ * Splits a file into statements: comments removed, backslash continuations
+ * joined and keywords separated from their arguments.
+ * @param {string} text - File contents.
+ * @returns {Array<{keyword: string, args: Array<string>, rest: string, line: number}>}
+ *     Statements.
+ */
+function tokenize(text) {
+  const statements = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 1;
+    let content = lines[i];
+    while (content.endsWith('\\') && i + 1 < lines.length) {
+      content = content.slice(0, -1) + ' ' + lines[++i];
+    }
+    content = content.replace(/#.*/, '').trim();
+    if (!content) {
+      continue;
+    }
+    const [keyword] = content.split(/\s+/, 1);
+    const rest = content.slice(keyword.length).trim();
+    statements.push({
+      keyword,
+      args: rest ? rest.split(/\s+/) : [],
+      rest,
+      line,
+    });
+  }
+  return statements;
+}
+
+/**
+ * Parses an OBJ file. Polygons are triangulated as fans; vertices are
+ * de-duplicated per position/UV/normal triple. Faces without normals get
+ * normals averaged over their smoothing group (s), or flat normals when
+ * smoothing is off. UVs are flipped to a top-left origin to match the
+ * other loaders and the geometry generators.
+ * @param {string|ArrayBuffer|ArrayBufferView} data - OBJ text or bytes.
+ * @param {Object} [options] - Parse options.
+ * @param {string} [options.name='obj'] - Geometry name prefix; geometries
+ *     are named "<name>.<index>".
+ * @returns {OBJData} Parsed meshes.
+ * @throws {Error} If a face references a missing vertex.
+ */
+export function parseOBJ(data, options = {}) {
+  const prefix = options.name || 'obj';
+  const positions = [];
+  const uvs = [];
+  const normals = [];
+  const materialLibraries = [];
+  const chunks = [];
+
+  let object = '';
+  let group = '';
+  let material = null;
+  let smoothing = 0;
+  let chunk = null;
+
+  const currentChunk = () => {
+    if (
+      !chunk ||
+      chunk.object !== object ||
+      chunk.group !== group ||
+      chunk.material !== material
+    ) {
+      if (chunk && chunk.faces.length === 0) {
+        chunks.pop();
+      }
+      chunk = { object, group, material, faces: [] };
+      chunks.push(chunk);
+    }
+    return chunk;
+  };
+
+  const resolveIndex = (value, count, kind, line) => {
+    if (value === undefined || value === '') {
+      return -1;
+    }
+    const index = parseInt(value, 10);
+    const resolved = index < 0 ? count + index : index - 1;
+    if (!(resolved >= 0 && resolved < count)) {
+      throw new Error(`OBJ line ${line}: ${kind} index ${value} out of range.`);
+    }
+    return resolved;
+  };
+
+  for (const { keyword, args, rest, line } of tokenize(toText(data))) {
+    switch (keyword) {
+      case 'v':
+        positions.push(+args[0], +args[1], +args[2]);
+        break;
+      case 'vt':
+        uvs.push(+args[0], 1 - (+args[1] || 0));
+        break;
+      case 'vn':
+        normals.push(+args[0], +args[1], +args[2]);
+        break;
+      case 'f': {
+        if (args.length < 3) {
+          break;
+        }
+        const corners = args.map(arg => {
+          const [v, vt, vn] = arg.split('/');
+          return {
+            v: resolveIndex(v, positions.length / 3, 'vertex', line),
+            vt: resolveIndex(vt, uvs.length / 2, 'texture coordinate', line),
+            vn: resolveIndex(vn, normals.length / 3, 'normal', line),
+          };
+        });
+        currentChunk().faces.push({ corners, smoothing });
+        break;
+      }
+      case 'o':
+        object = rest;
+        break;
+      case 'g':
+        group = rest;
+        break;
+      case 'usemtl':
+        material = rest || null;
+        break;
+      case 's':
+        smoothing = rest === 'off' ? 0 : parseInt(rest, 10) || 0;
+        break;
+      case 'mtllib':
+        materialLibraries.push(...args);
+        break;
+      default:
+        // Lines, points, curves and free-form surfaces are not supported
+        break;
+    }
+  }
+  if (chunk && chunk.faces.length === 0) {
+    chunks.pop();
+  }
+
+  const meshes = chunks.map((chunk, index) => ({
+    name: chunk.group || chunk.object || `mesh${index}`,
+    object: chunk.object,
+    group: chunk.group,
+    material: chunk.material,
+    geometry: buildGeometry(
+      chunk.faces,
+      positions,
+      uvs,
+      normals,
+      `${prefix}.${index}`
+    ),
+  }));
+  return { meshes, materialLibraries };
+}
+
+/**
+ * Triangulates faces and de-duplicates their vertices into a geometry.
+ * @param {Array<{corners: Array<{v: number, vt: number, vn: number}>, smoothing: number}>} faces
+ *     Faces with resolved 0-based indices (-1 when absent).
+ * @param {Array<number>} positions - All positions.
+ * @param {Array<number>} uvs - All UVs.
+ * @param {Array<number>} normals - All normals.
+ * @param {string} name - Geometry name.
+ * @returns {Geometry} Geometry.
+ */
+function buildGeometry(faces, positions, uvs, normals, name) {
+  // Area-weighted face normals, summed per smoothing group and position
+  const faceNormals = faces.map(({ corners }) => {
+    const normal = [0, 0, 0];
+    const a = corners[0].v * 3;
+    for (let i = 2; i < corners.length; i++) {
+      const b = corners[i - 1].v * 3;
+      const c = corners[i].v * 3;
+      const e1 = [0, 1, 2].map(k => positions[b + k] - positions[a + k]);
+      const e2 = [0, 1, 2].map(k => positions[c + k] - positions[a + k]);
+      normal[0] += e1[1] * e2[2] - e1[2] * e2[1];
+      normal[1] += e1[2] * e2[0] - e1[0] * e2[2];
+      normal[2] += e1[0] * e2[1] - e1[1] * e2[0];
+    }
+    return normal;
+  });
+  const smoothNormals = new Map();
+  faces.forEach(({ corners, smoothing }, face) => {
+    if (smoothing === 0) {
+      return;
+    }
+    corners.forEach(({ v, vn }) => {
+      if (vn >= 0) {
+        return;
+      }
+      const key = `${smoothing}:${v}`;
+      const sum = smoothNormals.get(key) || [0, 0, 0];
+      faceNormals[face].forEach((value, k) => (sum[k] += value));
+      smoothNormals.set(key, sum);
+    });
+  });
+
+  const hasUVs = faces.some(({ corners }) => corners.some(({ vt }) => vt >= 0));
+  const outPositions = [];
+  const outNormals = [];
+  const outUVs = [];
+  const indices = [];
+  const vertexIndices = new Map();
+
+  const addVertex = ({ v, vt, vn }, face, smoothing) => {
+    const normalKey =
+      vn >= 0 ? `n${vn}` : smoothing ? `s${smoothing}` : `f${face}`;
+    const key = `${v}/${vt}/${normalKey}`;
+    let index = vertexIndices.get(key);
+    if (index === undefined) {
+      index = outPositions.length / 3;
+      vertexIndices.set(key, index);
+      outPositions.push(
+        positions[v * 3],
+        positions[v * 3 + 1],
+        positions[v * 3 + 2]
+      );
+      if (vt >= 0) {
+        outUVs.push(uvs[vt * 2], uvs[vt * 2 + 1]);
+      } else {
+        outUVs.push(0, 0);
+      }
+      const normal =
+        vn >= 0
+          ? normals.slice(vn * 3, vn * 3 + 3)
+          : smoothing
+          ? smoothNormals.get(`${smoothing}:${v}`)
+          : faceNormals[face];
+      const length = Math.hypot(...normal);
+      if (length > 0) {
+        outNormals.push(
+          normal[0] / length,
+          normal[1] / length,
+          normal[2] / length
+        );
+      } else {
+        outNormals.push(0, 1, 0);
+      }
+    }
+    return index;
+  };
+
+  faces.forEach(({ corners, smoothing }, face) => {
+    const first = addVertex(corners[0], face, smoothing);
+    let previous = addVertex(corners[1], face, smoothing);
+    for (let i = 2; i < corners.length; i++) {
+      const current = addVertex(corners[i], face, smoothing);
+      indices.push(first, previous, current);
+      previous = current;
+    }
+  });
+
+  return createGeometry(
+    {
+      positions: outPositions,
+      normals: outNormals,
+      uvs: hasUVs ? outUVs : undefined,
+      indices,
+    },
+    name
+  );
+}
+
+/**
+ * Parses the arguments of an MTL texture statement.
+ * @param {Array<string>} args - Statement arguments.
+ * @returns {?OBJTextureMap} Texture map, or null without a path.
+ */
+function parseTextureMap(args) {
+  const map = {
+    path: '',
+    offset: new Float32Array([0, 0, 0]),
+    scale: new Float32Array([1, 1, 1]),
+    clamp: false,
+    bumpMultiplier: 1,
+    texture: null,
+    sampler: null,
+  };
+  let i = 0;
+  while (i < args.length && args[i] in TEXTURE_OPTION_ARITY) {
+    const option = args[i++];
+    const values = [];
+    // -o, -s and -t take one to three numbers
+    const arity = TEXTURE_OPTION_ARITY[option];
+    while (
+      values.length < arity &&
+      i < args.length &&
+      (values.length === 0 || !isNaN(parseFloat(args[i])))
+    ) {
+      values.push(args[i++]);
+    }
+    if (option === '-o' || option === '-s') {
+      values.forEach(
+        (value, k) => (map[option === '-o' ? 'offset' : 'scale'][k] = +value)
+      );
+    } else if (option === '-clamp') {
+      map.clamp = values[0] === 'on';
+    } else if (option === '-bm') {
+      map.bumpMultiplier = +values[0];
+    }
+  }
+  map.path = args.slice(i).join(' ').replace(/\\/g, '/');
+  return map.path ? map : null;
+}
+
+/**
+ * Parses an MTL material library.
+ * @param {string|ArrayBuffer|ArrayBufferView} data - MTL text or bytes.
+ * @returns {Object<string, OBJMaterial>} Materials by name.
+ */
+export function parseMTL(data) {
+  const materials = {};
+  let material = null;
+  const color = args =>
+    new Float32Array([+args[0], +(args[1] ?? args[0]), +(args[2] ?? args[0])]);
+
+  for (const { keyword, args, rest } of tokenize(toText(data))) {
+    if (keyword === 'newmtl') {
+      material = {
+        name: rest,
+        ambientColor: new Float32Array([0, 0, 0]),
+        diffuseColor: new Float32Array([1, 1, 1]),
+        specularColor: new Float32Array([0, 0, 0]),
+        emissiveColor: new Float32Array([0, 0, 0]),
+        shininess: 0,
+        opacity: 1,
+        illum: 2,
+        diffuseMap: null,
+        specularMap: null,
+        emissiveMap: null,
+        alphaMap: null,
+        bumpMap: null,
+      };
+      materials[rest] = material;
+      continue;
+    }
+    if (!material) {
+      continue;
+    }
+    switch (keyword) {
+      case 'Ka':
+        material.ambientColor = color(args);
+        break;
+      case 'Kd':
+        material.diffuseColor = color(args);
+        break;
+      case 'Ks':
+        material.specularColor = color(args);
+        break;
+      case 'Ke':
+        material.emissiveColor = color(args);
+        break;
+      case 'Ns':
+        material.shininess = +args[0];
+        break;
+      case 'd':
+        material.opacity = +args[args.length - 1];
+        break;
+      case 'Tr':
+        material.opacity = 1 - +args[0];
+        break;
+      case 'illum':
+        material.illum = +args[0];
+        break;
+      case 'map_Kd':
+        material.diffuseMap = parseTextureMap(args);
+        break;
+      case 'map_Ks':
+        material.specularMap = parseTextureMap(args);
+        break;
+      case 'map_Ke':
+        material.emissiveMap = parseTextureMap(args);
+        break;
+      case 'map_d':
+        material.alphaMap = parseTextureMap(args);
+        break;
+      case 'map_Bump':
+      case 'map_bump':
+      case 'bump':
+      case 'norm':
+        material.bumpMap = parseTextureMap(args);
+        break;
+      default:
+        break;
+    }
+  }
+  return materials;
+}
+
+/**
+ * Returns the default scene material: the MTL colors as uniforms of the
+ * configured pipeline.
+ * @param {?OBJMaterial} material - Material, or null for faces without one.
+ * @param {string} pipeline - Pipeline name.
+ * @returns {SceneMaterial} Scene material.
+ */
+function createMaterialDefault(material, pipeline) {
+  const opacity = material ? material.opacity : 1;
+  return {
+    pipeline,
+    uniforms: {
+      u_diffuseColor: material
+        ? material.diffuseColor
+        : new Float32Array([1, 1, 1]),
+      u_specularColor: material
+        ? material.specularColor
+        : new Float32Array([0, 0, 0]),
+      u_shininess: material ? material.shininess : 0,
+      u_opacity: opacity,
+    },
+    transparent: opacity < 1,
+  };
+}
+
+/**
+ * Loads OBJ files with their MTL libraries and textures into renderer
+ * buffers and a scene node. The parsing itself is done by parseOBJ() and
+ * parseMTL(), which need no renderer or browser.
+ */
+export class OBJLoader {
+  /**
+   * Creates a loader.
+   * @param {Renderer} renderer - Renderer receiving the resources.
+   * @param {Object} [options] - Loader options.
+   * @param {string} [options.pipeline='obj'] - Pipeline of the default
+   *     scene materials.
+   * @param {function(?OBJMaterial, OBJLoader): SceneMaterial} [options.createMaterial]
+   *     Maps materials to scene materials. Defaults to the pipeline with
+   *     u_diffuseColor, u_specularColor, u_shininess and u_opacity
+   *     uniforms.
+   * @param {function(Uint8Array, string): Promise<DecodedImage>} [options.decodeImage]
+   *     Image decoder. Defaults to createImageBitmap() and an
+   *     OffscreenCanvas.
+   */
+  constructor(renderer, options = {}) {
+    /**
+     * Renderer receiving the resources.
+     * @type {Renderer}
+     */
+    this.renderer = renderer;
+
+    /**
+     * Pipeline of the default scene materials.
+     * @type {string}
+     * @private
+     */
+    this.pipeline_ = options.pipeline || 'obj';
+
+    /**
+     * Material mapper.
+     * @type {function(?OBJMaterial, OBJLoader): SceneMaterial}
+     * @private
+     */
+    this.createMaterial_ =
+      options.createMaterial ||
+      (material => createMaterialDefault(material, this.pipeline_));
+
+    /**
+     * Image decoder.
+     * @type {function(Uint8Array, string): Promise<DecodedImage>}
+     * @private
+     */
+    this.decodeImage_ = options.decodeImage || decodeImage;
+  }
+
+  /**
+   * Fetches and loads an OBJ file. Material libraries and textures are
+   * resolved relative to it.
+   * @param {string} url - OBJ URL.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.name] - Resource name prefix. Defaults to a
+   *     unique "objN".
+   * @returns {Promise<OBJAsset>} Loaded asset.
+   * @throws {Error} If the OBJ file cannot be loaded or parsed.
+   */
+  async load(url, options = {}) {
+    const bytes = await fetchBytes(url);
+    return this.parse(bytes, {
+      ...options,
+      baseUrl: url.slice(0, url.lastIndexOf('/') + 1),
+    });
+  }
+
+  /**
+   * Loads an OBJ file from memory. Missing material libraries and
+   * textures are reported with console.warn() and left out.
+   * @param {string|ArrayBuffer|ArrayBufferView} data - OBJ text or bytes.
+   * @param {Object} [options] - Load options.
+   * @param {string} [options.baseUrl=''] - Directory material libraries
+   *     and textures are relative to, with a trailing slash.
+   * @param {string} [options.name] - Resource name prefix. Defaults to a
+   *     unique "objN".
+   * @param {Object<string, OBJMaterial>} [options.materials] - Materials
+   *     to use instead of loading the file's material libraries.
+   * @returns {Promise<OBJAsset>} Loaded asset.
+   * @throws {Error} If the OBJ file cannot be parsed.
+   */
+  async parse(data, options = {}) {
+    const baseUrl = options.baseUrl || '';
+    const name = options.name || `obj${nextAssetId++}`;
+    const { meshes, materialLibraries } = parseOBJ(data, { name });
+
+    let materials = options.materials;
+    if (!materials) {
+      const libraries = await Promise.all(
+        materialLibraries.map(library =>
+          fetchBytes(resolveUri(library, baseUrl)).then(parseMTL, error => {
+            console.warn(`Skipping OBJ material library: ${error.message}`);
+            return {};
+          })
+        )
+      );
+      materials = Object.assign({}, ...libraries);
+    }
+
+    const textures = await this.loadTextures_(materials, baseUrl, name);
+
+    const root = new Node(name);
+    const sceneMaterials = new Map();
+    const loaded = meshes.map(mesh => {
+      const material = materials[mesh.material] || null;
+      if (!sceneMaterials.has(material)) {
+        sceneMaterials.set(material, this.createMaterial_(material, this));
+      }
+      const buffers = mesh.geometry.upload(this.renderer);
+      root.add(new Mesh(buffers, sceneMaterials.get(material), mesh.name));
+      return { ...mesh, buffers };
+    });
+
+    return {
+      name,
+      root,
+      meshes: loaded,
+      materials,
+      destroy: () => {
+        loaded.forEach(mesh => mesh.geometry.destroy(this.renderer));
+        textures.forEach(texture => this.renderer.destroyTexture(texture));
+      },
+    };
+  }
+
+  /**
+   * Creates the textures of the material maps and assigns them, with a
+   * repeating or clamping sampler, to the maps. Diffuse and emissive maps
+   * are sRGB textures, the others linear.
+   * @param {Object<string, OBJMaterial>} materials - Materials.
+   * @param {string} baseUrl - Directory the map paths are relative to.
+   * @param {string} name - Resource name prefix.
+   * @returns {Promise<Array<string>>} Created texture names.
+   * @private
+   */
+  async loadTextures_(materials, baseUrl, name) {
+    const textures = new Map();
+    const samplers = new Map();
+    const created = [];
+
+    const getSampler = clamp => {
+      if (!samplers.has(clamp)) {
+        const samplerName = `${name}.sampler${clamp ? '.clamp' : ''}`;
+        const addressMode = clamp ? 'clamp-to-edge' : 'repeat';
+        this.renderer.createSampler({
+          name: samplerName,
+          addressModeU: addressMode,
+          addressModeV: addressMode,
+          magFilter: 'linear',
+          minFilter: 'linear',
+          mipmapFilter: 'linear',
+        });
+        samplers.set(clamp, samplerName);
+      }
+      return samplers.get(clamp);
+    };
+
+    const loadTexture = (path, srgb) => {
+      const key = `${path}:${srgb ? 'srgb' : 'linear'}`;
+      if (!textures.has(key)) {
+        const url = resolveUri(path, baseUrl);
+        const mimeType = /\.jpe?g$/i.test(path) ? 'image/jpeg' : 'image/png';
+        const textureName = `${name}.${path}${srgb ? '.srgb' : ''}`;
+        textures.set(
+          key,
+          fetchBytes(url)
+            .then(bytes => this.decodeImage_(bytes, mimeType))
+            .then(
+              image => {
+                this.renderer.createTexture({
+                  name: textureName,
+                  width: image.width,
+                  height: image.height,
+                  format: srgb ? 'rgba8unorm-srgb' : 'rgba8unorm',
+                  data: image.data,
+                  mipmaps: true,
+                });
+                created.push(textureName);
+                return textureName;
+              },
+              error => {
+                console.warn(
+                  `Skipping OBJ texture "${path}": ${error.message}`
+                );
+                return null;
+              }
+            )
+        );
+      }
+      return textures.get(key);
+    };
+
+    const maps = [];
+    Object.values(materials).forEach(material => {
+      [
+        ['diffuseMap', true],
+        ['specularMap', false],
+        ['emissiveMap', true],
+        ['alphaMap', false],
+        ['bumpMap', false],
+      ].forEach(([key, srgb]) => {
+        const map = material[key];
+        if (map) {
+          maps.push(
+            loadTexture(map.path, srgb).then(texture => {
+              map.texture = texture;
+              map.sampler = texture ? getSampler(map.clamp) : null;
+            })
+          );
+        }
+      });
+    });
+    await Promise.all(maps);
+    return created;
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Axis-aligned bounding box.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Axis-aligned box given by its min and max corners. New boxes are empty
+ * (min > max) until points are added.
+ */
+export class AABB {
+  /**
+   * Creates a box.
+   * @param {Vec3} [min] - Min corner. Defaults to +Infinity (empty).
+   * @param {Vec3} [max] - Max corner. Defaults to -Infinity (empty).
+   */
+  constructor(
+    min = [Infinity, Infinity, Infinity],
+    max = [-Infinity, -Infinity, -Infinity]
+  ) {
+    /**
+     * Min corner.
+     * @type {Float32Array}
+     */
+    this.min = new Float32Array(min);
+
+    /**
+     * Max corner.
+     * @type {Float32Array}
+     */
+    this.max = new Float32Array(max);
+  }
+
+  /**
+   * Sets the corners.
+   * @param {Vec3} min - Min corner.
+   * @param {Vec3} max - Max corner.
+   * @returns {AABB} This box.
+   */
+  set(min, max) {
+    for (let axis = 0; axis < 3; axis++) {
+      this.min[axis] = min[axis];
+      this.max[axis] = max[axis];
+    }
+    return this;
+  }
+
+  /**
+   * Makes the box empty.
+   * @returns {AABB} This box.
+   */
+  makeEmpty() {
+    this.min.fill(Infinity);
+    this.max.fill(-Infinity);
+    return this;
+  }
+
+  /**
+   * Returns whether the box is empty.
+   * @returns {boolean} True if empty.
+   */
+  isEmpty() {
+    return (
+      this.max[0] < this.min[0] ||
+      this.max[1] < this.min[1] ||
+      this.max[2] < this.min[2]
+    );
+  }
+
+  /**
+   * Sets the box to enclose a list of points, e.g. the positions of an
+   * interleaved vertex buffer.
+   * @param {ArrayLike<number>} positions - Packed point coordinates.
+   * @param {number} [stride=3] - Numbers between consecutive points.
+   * @param {number} [offset=0] - Index of the first coordinate.
+   * @returns {AABB} This box.
+   */
+  setFromPoints(positions, stride = 3, offset = 0) {
+    this.makeEmpty();
+    for (let i = offset; i + 2 < positions.length; i += stride) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = positions[i + axis];
+        if (value < this.min[axis]) this.min[axis] = value;
+        if (value > this.max[axis]) this.max[axis] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Grows the box to include a point.
+   * @param {Vec3} point - Point.
+   * @returns {AABB} This box.
+   */
+  expandByPoint(point) {
+    for (let axis = 0; axis < 3; axis++) {
+      this.min[axis] = Math.min(this.min[axis], point[axis]);
+      this.max[axis] = Math.max(this.max[axis], point[axis]);
+    }
+    return this;
+  }
+
+  /**
+   * Grows the box to include another box.
+   * @param {AABB} box - Other box.
+   * @returns {AABB} This box.
+   */
+  union(box) {
+    for (let axis = 0; axis < 3; axis++) {
+      this.min[axis] = Math.min(this.min[axis], box.min[axis]);
+      this.max[axis] = Math.max(this.max[axis], box.max[axis]);
+    }
+    return this;
+  }
+
+  /**
+   * Returns the center of the box.
+   * @param {Vec3} [dst] - Receiving vector.
+   * @returns {Vec3} dst.
+   */
+  getCenter(dst = new Float32Array(3)) {
+    for (let axis = 0; axis < 3; axis++) {
+      dst[axis] = (this.min[axis] + this.max[axis]) / 2;
+    }
+    return dst;
+  }
+
+  /**
+   * Returns the size of the box.
+   * @param {Vec3} [dst] - Receiving vector.
+   * @returns {Vec3} dst.
+   */
+  getSize(dst = new Float32Array(3)) {
+    for (let axis = 0; axis < 3; axis++) {
+      dst[axis] = Math.max(0, this.max[axis] - this.min[axis]);
+    }
+    return dst;
+  }
+
+  /**
+   * Returns whether a point is inside the box.
+   * @param {Vec3} point - Point.
+   * @returns {boolean} True if inside or on the boundary.
+   */
+  containsPoint(point) {
+    return (
+      point[0] >= this.min[0] &&
+      point[0] <= this.max[0] &&
+      point[1] >= this.min[1] &&
+      point[1] <= this.max[1] &&
+      point[2] >= this.min[2] &&
+      point[2] <= this.max[2]
+    );
+  }
+
+  /**
+   * Returns whether two boxes overlap.
+   * @param {AABB} box - Other box.
+   * @returns {boolean} True if they overlap or touch.
+   */
+  intersectsAABB(box) {
+    return (
+      box.max[0] >= this.min[0] &&
+      box.min[0] <= this.max[0] &&
+      box.max[1] >= this.min[1] &&
+      box.min[1] <= this.max[1] &&
+      box.max[2] >= this.min[2] &&
+      box.min[2] <= this.max[2]
+    );
+  }
+
+  /**
+   * Returns whether the box overlaps a sphere.
+   * @param {Sphere} sphere - Sphere.
+   * @returns {boolean} True if they overlap or touch.
+   */
+  intersectsSphere(sphere) {
+    let distanceSq = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      const value = sphere.center[axis];
+      const clamped = Math.min(Math.max(value, this.min[axis]), this.max[axis]);
+      distanceSq += (value - clamped) * (value - clamped);
+    }
+    return distanceSq <= sphere.radius * sphere.radius;
+  }
+
+  /**
+   * Transforms the box by a 4x4 matrix and replaces it with the box
+   * enclosing the result.
+   * @param {Mat4} m - Affine matrix.
+   * @returns {AABB} This box.
+   */
+  applyMatrix4(m) {
+    if (this.isEmpty()) {
+      return this;
+    }
+
+    // Each output axis is the translation plus the extreme contributions
+    // of every input axis (Arvo's method)
+    const min = [m[12], m[13], m[14]];
+    const max = [m[12], m[13], m[14]];
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        const a = m[column * 4 + row] * this.min[column];
+        const b = m[column * 4 + row] * this.max[column];
+        min[row] += Math.min(a, b);
+        max[row] += Math.max(a, b);
+      }
+    }
+    return this.set(min, max);
+  }
+
+  /**
+   * Writes the sphere enclosing the box.
+   * @param {Sphere} sphere - Receiving sphere.
+   * @returns {Sphere} sphere.
+   */
+  getBoundingSphere(sphere) {
+    if (this.isEmpty()) {
+      return sphere.makeEmpty();
+    }
+    this.getCenter(sphere.center);
+    sphere.radius =
+      Math.hypot(
+        this.max[0] - this.min[0],
+        this.max[1] - this.min[1],
+        this.max[2] - this.min[2]
+      ) / 2;
+    return sphere;
+  }
+
+  /**
+   * Copies another box.
+   * @param {AABB} box - Source box.
+   * @returns {AABB} This box.
+   */
+  copy(box) {
+    return this.set(box.min, box.max);
+  }
+
+  /**
+   * Returns a copy of the box.
+   * @returns {AABB} New box.
+   */
+  clone() {
+    return new AABB(this.min, this.max);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview View frustum for culling.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { DepthRange } from './common.js';
+import { Plane } from './Plane.js';
+
+/**
+ * Frustum as six planes facing inwards: left, right, bottom, top, near,
+ * far.
+ */
+export class Frustum {
+  /**
+   * Creates a frustum. All planes pass through the origin until set.
+   */
+  constructor() {
+    /**
+     * Planes: left, right, bottom, top, near, far.
+     * @type {Array<Plane>}
+     */
+    this.planes = Array.from({ length: 6 }, () => new Plane());
+  }
+
+  /**
+   * Extracts the planes from a projection or view-projection matrix
+   * (Gribb-Hartmann). With a view-projection matrix the planes are in
+   * world space, with a projection matrix in view space.
+   * @param {Mat4} m - Projection * view matrix.
+   * @param {DepthRange} [depthRange=DepthRange.ZERO_TO_ONE] - Depth range
+   *     of the projection.
+   * @returns {Frustum} This frustum.
+   */
+  setFromMatrix(m, depthRange = DepthRange.ZERO_TO_ONE) {
+    // Rows of the column-major matrix
+    const row = i => [m[i], m[4 + i], m[8 + i], m[12 + i]];
+    const [r0, r1, r2, r3] = [row(0), row(1), row(2), row(3)];
+    const combine = (plane, a, sign, b) =>
+      plane
+        .set(
+          a[0] + sign * b[0],
+          a[1] + sign * b[1],
+          a[2] + sign * b[2],
+          a[3] + sign * b[3]
+        )
+        .normalize();
+
+    combine(this.planes[0], r3, 1, r0);
+    combine(this.planes[1], r3, -1, r0);
+    combine(this.planes[2], r3, 1, r1);
+    combine(this.planes[3], r3, -1, r1);
+    if (depthRange === DepthRange.ZERO_TO_ONE) {
+      this.planes[4].set(r2[0], r2[1], r2[2], r2[3]).normalize();
+    } else {
+      combine(this.planes[4], r3, 1, r2);
+    }
+    combine(this.planes[5], r3, -1, r2);
+    return this;
+  }
+
+  /**
+   * Returns whether a point is inside the frustum.
+   * @param {Vec3} point - Point.
+   * @returns {boolean} True if inside or on the boundary.
+   */
+  containsPoint(point) {
+    return this.planes.every(plane => plane.distanceToPoint(point) >= 0);
+  }
+
+  /**
+   * Returns whether a sphere is at least partly inside the frustum. Spheres
+   * near a corner outside it may be reported inside (conservative).
+   * @param {Sphere} sphere - Sphere.
+   * @returns {boolean} True if not fully outside.
+   */
+  intersectsSphere(sphere) {
+    return this.planes.every(
+      plane => plane.distanceToPoint(sphere.center) >= -sphere.radius
+    );
+  }
+
+  /**
+   * Returns whether a box is at least partly inside the frustum
+   * (conservative like intersectsSphere()).
+   * @param {AABB} box - Box.
+   * @returns {boolean} True if not fully outside.
+   */
+  intersectsAABB(box) {
+    // Test the corner farthest along each plane normal
+    return this.planes.every(plane => {
+      const n = plane.normal;
+      return (
+        n[0] * (n[0] > 0 ? box.max[0] : box.min[0]) +
+          n[1] * (n[1] > 0 ? box.max[1] : box.min[1]) +
+          n[2] * (n[2] > 0 ? box.max[2] : box.min[2]) +
+          plane.constant >=
+        0
+      );
+    });
+  }
+
+  /**
+   * Copies another frustum.
+   * @param {Frustum} frustum - Source frustum.
+   * @returns {Frustum} This frustum.
+   */
+  copy(frustum) {
+    this.planes.forEach((plane, i) => plane.copy(frustum.planes[i]));
+    return this;
+  }
+}
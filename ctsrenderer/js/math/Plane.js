@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Plane: points p with dot(normal, p) + constant = 0.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Infinite plane. The normal points to the positive (front) side.
+ */
+export class Plane {
+  /**
+   * Creates a plane.
+   * @param {Vec3} [normal=[0, 1, 0]] - Unit normal.
+   * @param {number} [constant=0] - Negated distance from the origin along
+   *     the normal.
+   */
+  constructor(normal = [0, 1, 0], constant = 0) {
+    /**
+     * Unit normal.
+     * @type {Float32Array}
+     */
+    this.normal = new Float32Array(normal);
+
+    /**
+     * Plane constant.
+     * @type {number}
+     */
+    this.constant = constant;
+  }
+
+  /**
+   * Sets the plane coefficients a*x + b*y + c*z + d = 0 (not normalized).
+   * @param {number} a - Normal X.
+   * @param {number} b - Normal Y.
+   * @param {number} c - Normal Z.
+   * @param {number} d - Constant.
+   * @returns {Plane} This plane.
+   */
+  set(a, b, c, d) {
+    this.normal[0] = a;
+    this.normal[1] = b;
+    this.normal[2] = c;
+    this.constant = d;
+    return this;
+  }
+
+  /**
+   * Sets the plane from a normal and a point on it.
+   * @param {Vec3} normal - Unit normal.
+   * @param {Vec3} point - Point on the plane.
+   * @returns {Plane} This plane.
+   */
+  setFromNormalAndPoint(normal, point) {
+    return this.set(
+      normal[0],
+      normal[1],
+      normal[2],
+      -(normal[0] * point[0] + normal[1] * point[1] + normal[2] * point[2])
+    );
+  }
+
+  /**
+   * Sets the plane through three points. The normal faces the side from
+   * which they appear counter-clockwise.
+   * @param {Vec3} a - First point.
+   * @param {Vec3} b - Second point.
+   * @param {Vec3} c - Third point.
+   * @returns {Plane} This plane.
+   */
+  setFromPoints(a, b, c) {
+    const ux = b[0] - a[0];
+    const uy = b[1] - a[1];
+    const uz = b[2] - a[2];
+    const vx = c[0] - a[0];
+    const vy = c[1] - a[1];
+    const vz = c[2] - a[2];
+    this.normal[0] = uy * vz - uz * vy;
+    this.normal[1] = uz * vx - ux * vz;
+    this.normal[2] = ux * vy - uy * vx;
+    const len = Math.hypot(...this.normal) || 1;
+    this.normal[0] /= len;
+    this.normal[1] /= len;
+    this.normal[2] /= len;
+    return this.setFromNormalAndPoint(this.normal, a);
+  }
+
+  /**
+   * Scales the coefficients so the normal has unit length.
+   * @returns {Plane} This plane.
+   */
+  normalize() {
+    const len = Math.hypot(this.normal[0], this.normal[1], this.normal[2]);
+    if (len > 0) {
+      this.normal[0] /= len;
+      this.normal[1] /= len;
+      this.normal[2] /= len;
+      this.constant /= len;
+    }
+    return this;
+  }
+
+  /**
+   * Returns the signed distance of a point: positive in front of the plane.
+   * @param {Vec3} point - Point.
+   * @returns {number} Signed distance.
+   */
+  distanceToPoint(point) {
+    return (
+      this.normal[0] * point[0] +
+      this.normal[1] * point[1] +
+      this.normal[2] * point[2] +
+      this.constant
+    );
+  }
+
+  /**
+   * Projects a point onto the plane.
+   * @param {Vec3} point - Point.
+   * @param {Vec3} [dst] - Receiving vector.
+   * @returns {Vec3} dst.
+   */
+  projectPoint(point, dst = new Float32Array(3)) {
+    const distance = this.distanceToPoint(point);
+    dst[0] = point[0] - this.normal[0] * distance;
+    dst[1] = point[1] - this.normal[1] * distance;
+    dst[2] = point[2] - this.normal[2] * distance;
+    return dst;
+  }
+
+  /**
+   * Copies another plane.
+   * @param {Plane} plane - Source plane.
+   * @returns {Plane} This plane.
+   */
+  copy(plane) {
+    this.normal.set(plane.normal);
+    this.constant = plane.constant;
+    return this;
+  }
+
+  /**
+   * Returns a copy of the plane.
+   * @returns {Plane} New plane.
+   */
+  clone() {
+    return new Plane(this.normal, this.constant);
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Ray with intersection tests against planes, spheres, boxes
+ * and triangles.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { DepthRange, EPSILON } from './common.js';
+import { transformMat4 } from './vec3.js';
+
+/**
+ * Half-line from an origin along a direction. Intersection methods return
+ * the distance t along the direction to the closest hit in front of the
+ * origin (at(t) is the hit point), or null when there is none.
+ */
+export class Ray {
+  /**
+   * Creates a ray.
+   * @param {Vec3} [origin=[0, 0, 0]] - Origin.
+   * @param {Vec3} [direction=[0, 0, -1]] - Unit direction.
+   */
+  constructor(origin = [0, 0, 0], direction = [0, 0, -1]) {
+    /**
+     * Origin.
+     * @type {Float32Array}
+     */
+    this.origin = new Float32Array(origin);
+
+    /**
+     * Unit direction.
+     * @type {Float32Array}
+     */
+    this.direction = new Float32Array(direction);
+  }
+
+  /**
+   * Sets the origin and direction.
+   * @param {Vec3} origin - Origin.
+   * @param {Vec3} direction - Unit direction.
+   * @returns {Ray} This ray.
+   */
+  set(origin, direction) {
+    for (let axis = 0; axis < 3; axis++) {
+      this.origin[axis] = origin[axis];
+      this.direction[axis] = direction[axis];
+    }
+    return this;
+  }
+
+  /**
+   * Sets the ray through a point given in normalized device coordinates,
+   * e.g. for picking: it starts on the near plane and points away from the
+   * camera.
+   * @param {number} x - NDC x (-1 left to 1 right).
+   * @param {number} y - NDC y (-1 bottom to 1 top).
+   * @param {Mat4} inverseViewProjection - Inverse of projection * view.
+   * @param {DepthRange} [depthRange=DepthRange.ZERO_TO_ONE] - Depth range
+   *     of the projection.
+   * @returns {Ray} This ray.
+   */
+  setFromNDC(x, y, inverseViewProjection, depthRange = DepthRange.ZERO_TO_ONE) {
+    const nearZ = depthRange === DepthRange.ZERO_TO_ONE ? 0 : -1;
+    transformMat4([x, y, nearZ], inverseViewProjection, this.origin);
+    transformMat4([x, y, 1], inverseViewProjection, this.direction);
+    for (let axis = 0; axis < 3; axis++) {
+      this.direction[axis] -= this.origin[axis];
+    }
+    const len = Math.hypot(...this.direction) || 1;
+    for (let axis = 0; axis < 3; axis++) {
+      this.direction[axis] /= len;
+    }
+    return this;
+  }
+
+  /**
+   * Returns the point at a distance along the ray.
+   * @param {number} t - Distance.
+   * @param {Vec3} [dst] - Receiving vector.
+   * @returns {Vec3} dst.
+   */
+  at(t, dst = new Float32Array(3)) {
+    for (let axis = 0; axis < 3; axis++) {
+      dst[axis] = this.origin[axis] + this.direction[axis] * t;
+    }
+    return dst;
+  }
+
+  /**
+   * Intersects the ray with a plane.
+   * @param {Plane} plane - Plane.
+   * @returns {?number} Hit distance or null.
+   */
+  intersectPlane(plane) {
+    const n = plane.normal;
+    const denominator =
+      n[0] * this.direction[0] +
+      n[1] * this.direction[1] +
+      n[2] * this.direction[2];
+    if (Math.abs(denominator) < EPSILON) {
+      return plane.distanceToPoint(this.origin) === 0 ? 0 : null;
+    }
+    const t = -plane.distanceToPoint(this.origin) / denominator;
+    return t >= 0 ? t : null;
+  }
+
+  /**
+   * Intersects the ray with a sphere. A ray starting inside hits the far
+   * side.
+   * @param {Sphere} sphere - Sphere.
+   * @returns {?number} Hit distance or null.
+   */
+  intersectSphere(sphere) {
+    const ox = sphere.center[0] - this.origin[0];
+    const oy = sphere.center[1] - this.origin[1];
+    const oz = sphere.center[2] - this.origin[2];
+    const tca =
+      ox * this.direction[0] + oy * this.direction[1] + oz * this.direction[2];
+    const d2 = ox * ox + oy * oy + oz * oz - tca * tca;
+    const radius2 = sphere.radius * sphere.radius;
+    if (d2 > radius2) {
+      return null;
+    }
+    const thc = Math.sqrt(radius2 - d2);
+    const t0 = tca - thc;
+    const t1 = tca + thc;
+    if (t1 < 0) {
+      return null;
+    }
+    return t0 < 0 ? t1 : t0;
+  }
+
+  /**
+   * Intersects the ray with a box (slab method). A ray starting inside
+   * gives 0.
+   * @param {AABB} box - Box.
+   * @returns {?number} Hit distance or null.
+   */
+  intersectAABB(box) {
+    let tMin = -Infinity;
+    let tMax = Infinity;
+    for (let axis = 0; axis < 3; axis++) {
+      const inverse = 1 / this.direction[axis];
+      let t0 = (box.min[axis] - this.origin[axis]) * inverse;
+      let t1 = (box.max[axis] - this.origin[axis]) * inverse;
+      if (inverse < 0) {
+        [t0, t1] = [t1, t0];
+      }
+      // NaN comes from 0 * Infinity: the ray runs along a slab boundary
+      if (t0 > tMin) tMin = t0;
+      if (t1 < tMax) tMax = t1;
+    }
+    if (tMax < Math.max(tMin, 0)) {
+      return null;
+    }
+    return Math.max(tMin, 0);
+  }
+
+  /**
+   * Intersects the ray with a triangle (Möller–Trumbore).
+   * @param {Vec3} a - First vertex.
+   * @param {Vec3} b - Second vertex.
+   * @param {Vec3} c - Third vertex.
+   * @param {boolean} [cullBackFace=false] - Whether to ignore triangles
+   *     seen from behind (clockwise).
+   * @returns {?number} Hit distance or null.
+   */
+  intersectTriangle(a, b, c, cullBackFace = false) {
+    const d = this.direction;
+    const e1x = b[0] - a[0];
+    const e1y = b[1] - a[1];
+    const e1z = b[2] - a[2];
+    const e2x = c[0] - a[0];
+    const e2y = c[1] - a[1];
+    const e2z = c[2] - a[2];
+
+    const px = d[1] * e2z - d[2] * e2y;
+    const py = d[2] * e2x - d[0] * e2z;
+    const pz = d[0] * e2y - d[1] * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (cullBackFace ? det < EPSILON : Math.abs(det) < EPSILON) {
+      return null;
+    }
+    const invDet = 1 / det;
+
+    const tx = this.origin[0] - a[0];
+    const ty = this.origin[1] - a[1];
+    const tz = this.origin[2] - a[2];
+    const u = (tx * px + ty * py + tz * pz) * invDet;
+    if (u < 0 || u > 1) {
+      return null;
+    }
+
+    const qx = ty * e1z - tz * e1y;
+    const qy = tz * e1x - tx * e1z;
+    const qz = tx * e1y - ty * e1x;
+    const v = (d[0] * qx + d[1] * qy + d[2] * qz) * invDet;
+    if (v < 0 || u + v > 1) {
+      return null;
+    }
+
+    const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+    return t >= 0 ? t : null;
+  }
+
+  /**
+   * Transforms the ray by a 4x4 matrix, e.g. into a mesh's local space with
+   * the inverse world matrix. The direction is renormalized, so hit
+   * distances are in the new space.
+   * @param {Mat4} m - Affine matrix.
+   * @returns {Ray} This ray.
+   */
+  applyMatrix4(m) {
+    const [x, y, z] = this.direction;
+    transformMat4(this.origin, m, this.origin);
+    this.direction[0] = m[0] * x + m[4] * y + m[8] * z;
+    this.direction[1] = m[1] * x + m[5] * y + m[9] * z;
+    this.direction[2] = m[2] * x + m[6] * y + m[10] * z;
+    const len = Math.hypot(...this.direction) || 1;
+    for (let axis = 0; axis < 3; axis++) {
+      this.direction[axis] /= len;
+    }
+    return this;
+  }
+
+  /**
+   * Copies another ray.
+   * @param {Ray} ray - Source ray.
+   * @returns {Ray} This ray.
+   */
+  copy(ray) {
+    return this.set(ray.origin, ray.direction);
+  }
+
+  /**
+   * Returns a copy of the ray.
+   * @returns {Ray} New ray.
+   */
+  clone() {
+    return new Ray(this.origin, this.direction);
+  }
+}
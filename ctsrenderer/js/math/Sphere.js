@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Bounding sphere.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Sphere given by its center and radius. A negative radius is empty.
+ */
+export class Sphere {
+  /**
+   * Creates a sphere.
+   * @param {Vec3} [center=[0, 0, 0]] - Center.
+   * @param {number} [radius=-1] - Radius.
+   */
+  constructor(center = [0, 0, 0], radius = -1) {
+    /**
+     * Center.
+     * @type {Float32Array}
+     */
+    this.center = new Float32Array(center);
+
+    /**
+     * Radius.
+     * @type {number}
+     */
+    this.radius = radius;
+  }
+
+  /**
+   * Sets the center and radius.
+   * @param {Vec3} center - Center.
+   * @param {number} radius - Radius.
+   * @returns {Sphere} This sphere.
+   */
+  set(center, radius) {
+    this.center[0] = center[0];
+    this.center[1] = center[1];
+    this.center[2] = center[2];
+    this.radius = radius;
+    return this;
+  }
+
+  /**
+   * Sets the sphere to enclose a list of points, centered on their bounding
+   * box.
+   * @param {ArrayLike<number>} positions - Packed point coordinates.
+   * @param {number} [stride=3] - Numbers between consecutive points.
+   * @param {number} [offset=0] - Index of the first coordinate.
+   * @returns {Sphere} This sphere.
+   */
+  setFromPoints(positions, stride = 3, offset = 0) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = offset; i + 2 < positions.length; i += stride) {
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], positions[i + axis]);
+        max[axis] = Math.max(max[axis], positions[i + axis]);
+      }
+    }
+    if (min[0] > max[0]) {
+      return this.makeEmpty();
+    }
+
+    for (let axis = 0; axis < 3; axis++) {
+      this.center[axis] = (min[axis] + max[axis]) / 2;
+    }
+    let maxDistanceSq = 0;
+    for (let i = offset; i + 2 < positions.length; i += stride) {
+      const dx = positions[i] - this.center[0];
+      const dy = positions[i + 1] - this.center[1];
+      const dz = positions[i + 2] - this.center[2];
+      maxDistanceSq = Math.max(maxDistanceSq, dx * dx + dy * dy + dz * dz);
+    }
+    this.radius = Math.sqrt(maxDistanceSq);
+    return this;
+  }
+
+  /**
+   * Makes the sphere empty.
+   * @returns {Sphere} This sphere.
+   */
+  makeEmpty() {
+    this.center.fill(0);
+    this.radius = -1;
+    return this;
+  }
+
+  /**
+   * Returns whether the sphere is empty.
+   * @returns {boolean} True if empty.
+   */
+  isEmpty() {
+    return this.radius < 0;
+  }
+
+  /**
+   * Returns whether a point is inside the sphere.
+   * @param {Vec3} point - Point.
+   * @returns {boolean} True if inside or on the surface.
+   */
+  containsPoint(point) {
+    const dx = point[0] - this.center[0];
+    const dy = point[1] - this.center[1];
+    const dz = point[2] - this.center[2];
+    return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+  }
+
+  /**
+   * Returns whether two spheres overlap.
+   * @param {Sphere} sphere - Other sphere.
+   * @returns {boolean} True if they overlap or touch.
+   */
+  intersectsSphere(sphere) {
+    const radiusSum = this.radius + sphere.radius;
+    const dx = sphere.center[0] - this.center[0];
+    const dy = sphere.center[1] - this.center[1];
+    const dz = sphere.center[2] - this.center[2];
+    return dx * dx + dy * dy + dz * dz <= radiusSum * radiusSum;
+  }
+
+  /**
+   * Transforms the sphere by a 4x4 matrix. The radius is scaled by the
+   * largest axis scale, so the result encloses the transformed sphere.
+   * @param {Mat4} m - Matrix.
+   * @returns {Sphere} This sphere.
+   */
+  applyMatrix4(m) {
+    const [x, y, z] = this.center;
+    this.center[0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    this.center[1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    this.center[2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    this.radius *= Math.sqrt(
+      Math.max(
+        m[0] * m[0] + m[1] * m[1] + m[2] * m[2],
+        m[4] * m[4] + m[5] * m[5] + m[6] * m[6],
+        m[8] * m[8] + m[9] * m[9] + m[10] * m[10]
+      )
+    );
+    return this;
+  }
+
+  /**
+   * Copies another sphere.
+   * @param {Sphere} sphere - Source sphere.
+   * @returns {Sphere} This sphere.
+   */
+  copy(sphere) {
+    return this.set(sphere.center, sphere.radius);
+  }
+
+  /**
+   * Returns a copy of the sphere.
+   * @returns {Sphere} New sphere.
+   */
+  clone() {
+    return new Sphere(this.center, this.radius);
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Shared math constants, types and scalar helpers.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * 2-component vector.
+ * @typedef {Float32Array|number[]} Vec2
+ */
+
+/**
+ * 3-component vector.
+ * @typedef {Float32Array|number[]} Vec3
+ */
+
+/**
+ * 4-component vector.
+ * @typedef {Float32Array|number[]} Vec4
+ */
+
+/**
+ * Quaternion (x, y, z, w).
+ * @typedef {Float32Array|number[]} Quat
+ */
+
+/**
+ * Column-major 3x3 matrix.
+ * @typedef {Float32Array|number[]} Mat3
+ */
+
+/**
+ * Column-major 4x4 matrix.
+ * @typedef {Float32Array|number[]} Mat4
+ */
+
+/**
+ * Clip-space depth range of a projection.
+ * @enum {string}
+ */
+export const DepthRange = Object.freeze({
+  /** WebGPU (and software renderer) clip space: depth 0..1. */
+  ZERO_TO_ONE: 'zero-to-one',
+  /** WebGL clip space: depth -1..1. */
+  NEGATIVE_ONE_TO_ONE: 'negative-one-to-one',
+});
+
+/**
+ * Tolerance of approximate comparisons.
+ * @type {number}
+ */
+export const EPSILON = 0.000001;
+
+/**
+ * Converts degrees to radians.
+ * @param {number} degrees - Angle in degrees.
+ * @returns {number} Angle in radians.
+ */
+export function degToRad(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Converts radians to degrees.
+ * @param {number} radians - Angle in radians.
+ * @returns {number} Angle in degrees.
+ */
+export function radToDeg(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+/**
+ * Clamps a value to a range.
+ * @param {number} value - Value.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number} Clamped value.
+ */
+export function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Linearly interpolates between two values.
+ * @param {number} a - Start value.
+ * @param {number} b - End value.
+ * @param {number} t - Interpolation factor.
+ * @returns {number} Interpolated value.
+ */
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Returns whether two numbers are equal within EPSILON, relative to their
+ * magnitude.
+ * @param {number} a - First value.
+ * @param {number} b - Second value.
+ * @returns {boolean} True if approximately equal.
+ */
+export function approxEquals(a, b) {
+  return Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Scratch storage reinterpreting float32 values as their bits.
+ * @type {Float32Array}
+ */
+const floatView = new Float32Array(1);
+
+/**
+ * Bits of floatView.
+ * @type {Uint32Array}
+ */
+const floatBits = new Uint32Array(floatView.buffer);
+
+/**
+ * Converts a number to IEEE 754 half precision bits, rounding to nearest
+ * even. Values beyond the half range become infinity.
+ * @param {number} value - Value.
+ * @returns {number} Half float bits (0..0xffff).
+ */
+export function toHalfFloat(value) {
+  floatView[0] = value;
+  const bits = floatBits[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = (bits >>> 23) & 0xff;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent === 0xff) {
+    // Infinity, or NaN keeping a mantissa bit set
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  const halfExponent = exponent - 127 + 15;
+  if (halfExponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+  if (halfExponent <= 0) {
+    if (halfExponent < -10) {
+      return sign;
+    }
+    // Subnormal: shift the mantissa with its implicit bit into place
+    const full = mantissa | 0x800000;
+    const shift = 14 - halfExponent;
+    const halfway = 1 << (shift - 1);
+    const remainder = full & ((halfway << 1) - 1);
+    let half = full >>> shift;
+    if (remainder > halfway || (remainder === halfway && half & 1)) {
+      half++;
+    }
+    return sign | half;
+  }
+  let half = (halfExponent << 10) | (mantissa >>> 13);
+  const remainder = mantissa & 0x1fff;
+  if (remainder > 0x1000 || (remainder === 0x1000 && half & 1)) {
+    // May carry into the exponent, up to infinity, which is correct
+    half++;
+  }
+  return sign | half;
+}
+
+/**
+ * Converts IEEE 754 half precision bits to a number.
+ * @param {number} bits - Half float bits (0..0xffff).
+ * @returns {number} Value.
+ */
+export function fromHalfFloat(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >>> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+  if (exponent === 0) {
+    return sign * mantissa * 2 ** -24;
+  }
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Column-major 3x3 matrix functions.
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals } from './common.js';
+
+/**
+ * Creates an identity matrix.
+ * @returns {Float32Array} New matrix.
+ */
+export function create() {
+  return identity();
+}
+
+/**
+ * Sets a matrix to identity.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function identity(dst = new Float32Array(9)) {
+  dst[0] = 1;
+  dst[1] = 0;
+  dst[2] = 0;
+  dst[3] = 0;
+  dst[4] = 1;
+  dst[5] = 0;
+  dst[6] = 0;
+  dst[7] = 0;
+  dst[8] = 1;
+  return dst;
+}
+
+/**
+ * Copies a matrix.
+ * @param {Mat3} m - Source matrix.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function copy(m, dst = new Float32Array(9)) {
+  for (let i = 0; i < 9; i++) {
+    dst[i] = m[i];
+  }
+  return dst;
+}
+
+/**
+ * Copies the upper 3x3 of a 4x4 matrix.
+ * @param {Mat4} m - 4x4 matrix.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function fromMat4(m, dst = new Float32Array(9)) {
+  dst[0] = m[0];
+  dst[1] = m[1];
+  dst[2] = m[2];
+  dst[3] = m[4];
+  dst[4] = m[5];
+  dst[5] = m[6];
+  dst[6] = m[8];
+  dst[7] = m[9];
+  dst[8] = m[10];
+  return dst;
+}
+
+/**
+ * Creates a rotation matrix from a unit quaternion.
+ * @param {Quat} q - Rotation quaternion.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function fromQuat(q, dst = new Float32Array(9)) {
+  const x = q[0];
+  const y = q[1];
+  const z = q[2];
+  const w = q[3];
+  const x2 = x + x;
+  const y2 = y + y;
+  const z2 = z + z;
+  const xx = x * x2;
+  const yx = y * x2;
+  const yy = y * y2;
+  const zx = z * x2;
+  const zy = z * y2;
+  const zz = z * z2;
+  const wx = w * x2;
+  const wy = w * y2;
+  const wz = w * z2;
+
+  dst[0] = 1 - yy - zz;
+  dst[1] = yx + wz;
+  dst[2] = zx - wy;
+  dst[3] = yx - wz;
+  dst[4] = 1 - xx - zz;
+  dst[5] = zy + wx;
+  dst[6] = zx + wy;
+  dst[7] = zy - wx;
+  dst[8] = 1 - xx - yy;
+  return dst;
+}
+
+/**
+ * Multiplies two matrices (a * b).
+ * @param {Mat3} a - Left matrix.
+ * @param {Mat3} b - Right matrix.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(9)) {
+  const a00 = a[0],
+    a01 = a[1],
+    a02 = a[2];
+  const a10 = a[3],
+    a11 = a[4],
+    a12 = a[5];
+  const a20 = a[6],
+    a21 = a[7],
+    a22 = a[8];
+  const b00 = b[0],
+    b01 = b[1],
+    b02 = b[2];
+  const b10 = b[3],
+    b11 = b[4],
+    b12 = b[5];
+  const b20 = b[6],
+    b21 = b[7],
+    b22 = b[8];
+
+  dst[0] = b00 * a00 + b01 * a10 + b02 * a20;
+  dst[1] = b00 * a01 + b01 * a11 + b02 * a21;
+  dst[2] = b00 * a02 + b01 * a12 + b02 * a22;
+  dst[3] = b10 * a00 + b11 * a10 + b12 * a20;
+  dst[4] = b10 * a01 + b11 * a11 + b12 * a21;
+  dst[5] = b10 * a02 + b11 * a12 + b12 * a22;
+  dst[6] = b20 * a00 + b21 * a10 + b22 * a20;
+  dst[7] = b20 * a01 + b21 * a11 + b22 * a21;
+  dst[8] = b20 * a02 + b21 * a12 + b22 * a22;
+  return dst;
+}
+
+/**
+ * Transposes a matrix.
+ * @param {Mat3} m - Matrix.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function transpose(m, dst = new Float32Array(9)) {
+  const m01 = m[1];
+  const m02 = m[2];
+  const m12 = m[5];
+  dst[0] = m[0];
+  dst[1] = m[3];
+  dst[2] = m[6];
+  dst[3] = m01;
+  dst[4] = m[4];
+  dst[5] = m[7];
+  dst[6] = m02;
+  dst[7] = m12;
+  dst[8] = m[8];
+  return dst;
+}
+
+/**
+ * Returns the determinant of a matrix.
+ * @param {Mat3} m - Matrix.
+ * @returns {number} Determinant.
+ */
+export function determinant(m) {
+  return (
+    m[0] * (m[4] * m[8] - m[7] * m[5]) -
+    m[3] * (m[1] * m[8] - m[7] * m[2]) +
+    m[6] * (m[1] * m[5] - m[4] * m[2])
+  );
+}
+
+/**
+ * Inverts a matrix. Singular matrices give a zero matrix.
+ * @param {Mat3} m - Matrix.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function invert(m, dst = new Float32Array(9)) {
+  const a00 = m[0],
+    a01 = m[1],
+    a02 = m[2];
+  const a10 = m[3],
+    a11 = m[4],
+    a12 = m[5];
+  const a20 = m[6],
+    a21 = m[7],
+    a22 = m[8];
+
+  const b01 = a22 * a11 - a12 * a21;
+  const b11 = -a22 * a10 + a12 * a20;
+  const b21 = a21 * a10 - a11 * a20;
+  const det = a00 * b01 + a01 * b11 + a02 * b21;
+  if (!det) {
+    dst.fill(0);
+    return dst;
+  }
+  const invDet = 1 / det;
+
+  dst[0] = b01 * invDet;
+  dst[1] = (-a22 * a01 + a02 * a21) * invDet;
+  dst[2] = (a12 * a01 - a02 * a11) * invDet;
+  dst[3] = b11 * invDet;
+  dst[4] = (a22 * a00 - a02 * a20) * invDet;
+  dst[5] = (-a12 * a00 + a02 * a10) * invDet;
+  dst[6] = b21 * invDet;
+  dst[7] = (-a21 * a00 + a01 * a20) * invDet;
+  dst[8] = (a11 * a00 - a01 * a10) * invDet;
+  return dst;
+}
+
+/**
+ * Writes the normal matrix of a 4x4 matrix: the inverse transpose of its
+ * upper 3x3. Singular matrices give a zero matrix.
+ * @param {Mat4} m - 4x4 matrix (usually a model or model-view matrix).
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function normalFromMat4(m, dst = new Float32Array(9)) {
+  return transpose(invert(fromMat4(m, dst), dst), dst);
+}
+
+/**
+ * Creates a 2D translation matrix.
+ * @param {Vec2} v - Translation.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function translation(v, dst = new Float32Array(9)) {
+  identity(dst);
+  dst[6] = v[0];
+  dst[7] = v[1];
+  return dst;
+}
+
+/**
+ * Creates a 2D rotation matrix.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function rotation(angle, dst = new Float32Array(9)) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  identity(dst);
+  dst[0] = c;
+  dst[1] = s;
+  dst[3] = -s;
+  dst[4] = c;
+  return dst;
+}
+
+/**
+ * Creates a 2D scaling matrix.
+ * @param {Vec2} v - Scale factors.
+ * @param {Mat3} [dst] - Receiving matrix.
+ * @returns {Mat3} dst.
+ */
+export function scaling(v, dst = new Float32Array(9)) {
+  identity(dst);
+  dst[0] = v[0];
+  dst[4] = v[1];
+  return dst;
+}
+
+/**
+ * Returns whether two matrices are approximately equal.
+ * @param {Mat3} a - First matrix.
+ * @param {Mat3} b - Second matrix.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  for (let i = 0; i < 9; i++) {
+    if (!approxEquals(a[i], b[i])) {
+      return false;
+    }
+  }
+  return true;
+}
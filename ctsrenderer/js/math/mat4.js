@@ -0,0 +1,845 @@
+/**
+ * @fileoverview Column-major 4x4 matrix functions, including projections
+ * for both clip-space depth conventions: the ZO variants map depth to 0..1
+ * (WebGPU, software renderer), the NO variants to -1..1 (WebGL).
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals, DepthRange } from './common.js';
+
+/**
+ * Creates an identity matrix.
+ * @returns {Float32Array} New matrix.
+ */
+export function create() {
+  return identity();
+}
+
+/**
+ * Sets a matrix to identity.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function identity(dst = new Float32Array(16)) {
+  for (let i = 0; i < 16; i++) {
+    dst[i] = i % 5 === 0 ? 1 : 0;
+  }
+  return dst;
+}
+
+/**
+ * Copies a matrix.
+ * @param {Mat4} m - Source matrix.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function copy(m, dst = new Float32Array(16)) {
+  for (let i = 0; i < 16; i++) {
+    dst[i] = m[i];
+  }
+  return dst;
+}
+
+/**
+ * Multiplies two matrices (a * b: b is applied first).
+ * @param {Mat4} a - Left matrix.
+ * @param {Mat4} b - Right matrix.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(16)) {
+  const a00 = a[0],
+    a01 = a[1],
+    a02 = a[2],
+    a03 = a[3];
+  const a10 = a[4],
+    a11 = a[5],
+    a12 = a[6],
+    a13 = a[7];
+  const a20 = a[8],
+    a21 = a[9],
+    a22 = a[10],
+    a23 = a[11];
+  const a30 = a[12],
+    a31 = a[13],
+    a32 = a[14],
+    a33 = a[15];
+
+  // Columns of b may alias dst, so each is read before it is written
+  for (let column = 0; column < 4; column++) {
+    const b0 = b[column * 4];
+    const b1 = b[column * 4 + 1];
+    const b2 = b[column * 4 + 2];
+    const b3 = b[column * 4 + 3];
+    dst[column * 4] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
+    dst[column * 4 + 1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
+    dst[column * 4 + 2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
+    dst[column * 4 + 3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
+  }
+  return dst;
+}
+
+/**
+ * Transposes a matrix.
+ * @param {Mat4} m - Matrix.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function transpose(m, dst = new Float32Array(16)) {
+  if (dst === m) {
+    for (let column = 0; column < 4; column++) {
+      for (let row = column + 1; row < 4; row++) {
+        const value = m[column * 4 + row];
+        dst[column * 4 + row] = m[row * 4 + column];
+        dst[row * 4 + column] = value;
+      }
+    }
+    return dst;
+  }
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      dst[column * 4 + row] = m[row * 4 + column];
+    }
+  }
+  return dst;
+}
+
+/**
+ * Returns the determinant of a matrix.
+ * @param {Mat4} m - Matrix.
+ * @returns {number} Determinant.
+ */
+export function determinant(m) {
+  const a00 = m[0],
+    a01 = m[1],
+    a02 = m[2],
+    a03 = m[3];
+  const a10 = m[4],
+    a11 = m[5],
+    a12 = m[6],
+    a13 = m[7];
+  const a20 = m[8],
+    a21 = m[9],
+    a22 = m[10],
+    a23 = m[11];
+  const a30 = m[12],
+    a31 = m[13],
+    a32 = m[14],
+    a33 = m[15];
+
+  const b0 = a00 * a11 - a01 * a10;
+  const b1 = a00 * a12 - a02 * a10;
+  const b2 = a01 * a12 - a02 * a11;
+  const b3 = a20 * a31 - a21 * a30;
+  const b4 = a20 * a32 - a22 * a30;
+  const b5 = a21 * a32 - a22 * a31;
+  const b6 = a00 * a13 - a03 * a10;
+  const b7 = a01 * a13 - a03 * a11;
+  const b8 = a02 * a13 - a03 * a12;
+  const b9 = a20 * a33 - a23 * a30;
+  const b10 = a21 * a33 - a23 * a31;
+  const b11 = a22 * a33 - a23 * a32;
+  return b0 * b11 - b1 * b10 + b2 * b9 + b6 * b5 - b7 * b4 + b8 * b3;
+}
+
+/**
+ * Inverts a matrix. Singular matrices give a zero matrix.
+ * @param {Mat4} m - Matrix.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function invert(m, dst = new Float32Array(16)) {
+  const a00 = m[0],
+    a01 = m[1],
+    a02 = m[2],
+    a03 = m[3];
+  const a10 = m[4],
+    a11 = m[5],
+    a12 = m[6],
+    a13 = m[7];
+  const a20 = m[8],
+    a21 = m[9],
+    a22 = m[10],
+    a23 = m[11];
+  const a30 = m[12],
+    a31 = m[13],
+    a32 = m[14],
+    a33 = m[15];
+
+  const b00 = a00 * a11 - a01 * a10;
+  const b01 = a00 * a12 - a02 * a10;
+  const b02 = a00 * a13 - a03 * a10;
+  const b03 = a01 * a12 - a02 * a11;
+  const b04 = a01 * a13 - a03 * a11;
+  const b05 = a02 * a13 - a03 * a12;
+  const b06 = a20 * a31 - a21 * a30;
+  const b07 = a20 * a32 - a22 * a30;
+  const b08 = a20 * a33 - a23 * a30;
+  const b09 = a21 * a32 - a22 * a31;
+  const b10 = a21 * a33 - a23 * a31;
+  const b11 = a22 * a33 - a23 * a32;
+
+  const det =
+    b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+  if (!det) {
+    dst.fill(0);
+    return dst;
+  }
+  const invDet = 1 / det;
+
+  dst[0] = (a11 * b11 - a12 * b10 + a13 * b09) * invDet;
+  dst[1] = (a02 * b10 - a01 * b11 - a03 * b09) * invDet;
+  dst[2] = (a31 * b05 - a32 * b04 + a33 * b03) * invDet;
+  dst[3] = (a22 * b04 - a21 * b05 - a23 * b03) * invDet;
+  dst[4] = (a12 * b08 - a10 * b11 - a13 * b07) * invDet;
+  dst[5] = (a00 * b11 - a02 * b08 + a03 * b07) * invDet;
+  dst[6] = (a32 * b02 - a30 * b05 - a33 * b01) * invDet;
+  dst[7] = (a20 * b05 - a22 * b02 + a23 * b01) * invDet;
+  dst[8] = (a10 * b10 - a11 * b08 + a13 * b06) * invDet;
+  dst[9] = (a01 * b08 - a00 * b10 - a03 * b06) * invDet;
+  dst[10] = (a30 * b04 - a31 * b02 + a33 * b00) * invDet;
+  dst[11] = (a21 * b02 - a20 * b04 - a23 * b00) * invDet;
+  dst[12] = (a11 * b07 - a10 * b09 - a12 * b06) * invDet;
+  dst[13] = (a00 * b09 - a01 * b07 + a02 * b06) * invDet;
+  dst[14] = (a31 * b01 - a30 * b03 - a32 * b00) * invDet;
+  dst[15] = (a20 * b03 - a21 * b01 + a22 * b00) * invDet;
+  return dst;
+}
+
+/**
+ * Creates a translation matrix.
+ * @param {Vec3} v - Translation.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function translation(v, dst = new Float32Array(16)) {
+  identity(dst);
+  dst[12] = v[0];
+  dst[13] = v[1];
+  dst[14] = v[2];
+  return dst;
+}
+
+/**
+ * Translates a matrix (m * translation(v)).
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} v - Translation.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function translate(m, v, dst = new Float32Array(16)) {
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  if (dst !== m) {
+    for (let i = 0; i < 12; i++) {
+      dst[i] = m[i];
+    }
+  }
+  for (let row = 0; row < 4; row++) {
+    dst[12 + row] = m[row] * x + m[4 + row] * y + m[8 + row] * z + m[12 + row];
+  }
+  return dst;
+}
+
+/**
+ * Creates a scaling matrix.
+ * @param {Vec3} v - Scale factors.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function scaling(v, dst = new Float32Array(16)) {
+  identity(dst);
+  dst[0] = v[0];
+  dst[5] = v[1];
+  dst[10] = v[2];
+  return dst;
+}
+
+/**
+ * Scales a matrix (m * scaling(v)).
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} v - Scale factors.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function scale(m, v, dst = new Float32Array(16)) {
+  for (let row = 0; row < 4; row++) {
+    dst[row] = m[row] * v[0];
+    dst[4 + row] = m[4 + row] * v[1];
+    dst[8 + row] = m[8 + row] * v[2];
+    dst[12 + row] = m[12 + row];
+  }
+  return dst;
+}
+
+/**
+ * Creates a rotation matrix around an axis.
+ * @param {Vec3} axis - Rotation axis (normalized internally).
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function axisRotation(axis, angle, dst = new Float32Array(16)) {
+  let x = axis[0];
+  let y = axis[1];
+  let z = axis[2];
+  const len = Math.hypot(x, y, z);
+  if (len > 0) {
+    x /= len;
+    y /= len;
+    z /= len;
+  }
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+
+  dst[0] = x * x * t + c;
+  dst[1] = y * x * t + z * s;
+  dst[2] = z * x * t - y * s;
+  dst[3] = 0;
+  dst[4] = x * y * t - z * s;
+  dst[5] = y * y * t + c;
+  dst[6] = z * y * t + x * s;
+  dst[7] = 0;
+  dst[8] = x * z * t + y * s;
+  dst[9] = y * z * t - x * s;
+  dst[10] = z * z * t + c;
+  dst[11] = 0;
+  dst[12] = 0;
+  dst[13] = 0;
+  dst[14] = 0;
+  dst[15] = 1;
+  return dst;
+}
+
+/**
+ * Rotates a matrix around an axis (m * axisRotation(axis, angle)).
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} axis - Rotation axis.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotate(m, axis, angle, dst = new Float32Array(16)) {
+  const r = axisRotation(axis, angle, rotationScratch);
+  return multiply(m, r, dst);
+}
+
+/**
+ * Zero translation of fromQuat().
+ * @type {Float32Array}
+ */
+const ZERO = new Float32Array([0, 0, 0]);
+
+/**
+ * Unit scale of fromQuat().
+ * @type {Float32Array}
+ */
+const ONE = new Float32Array([1, 1, 1]);
+
+/**
+ * Scratch matrix of rotate().
+ * @type {Float32Array}
+ */
+const rotationScratch = new Float32Array(16);
+
+/**
+ * Creates a rotation matrix around the X axis.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotationX(angle, dst = new Float32Array(16)) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  identity(dst);
+  dst[5] = c;
+  dst[6] = s;
+  dst[9] = -s;
+  dst[10] = c;
+  return dst;
+}
+
+/**
+ * Creates a rotation matrix around the Y axis.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotationY(angle, dst = new Float32Array(16)) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  identity(dst);
+  dst[0] = c;
+  dst[2] = -s;
+  dst[8] = s;
+  dst[10] = c;
+  return dst;
+}
+
+/**
+ * Creates a rotation matrix around the Z axis.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotationZ(angle, dst = new Float32Array(16)) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  identity(dst);
+  dst[0] = c;
+  dst[1] = s;
+  dst[4] = -s;
+  dst[5] = c;
+  return dst;
+}
+
+/**
+ * Rotates a matrix around the X axis (m * rotationX(angle)).
+ * @param {Mat4} m - Matrix.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotateX(m, angle, dst = new Float32Array(16)) {
+  return rotateColumns(m, 4, 8, angle, dst);
+}
+
+/**
+ * Rotates a matrix around the Y axis (m * rotationY(angle)).
+ * @param {Mat4} m - Matrix.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotateY(m, angle, dst = new Float32Array(16)) {
+  return rotateColumns(m, 8, 0, angle, dst);
+}
+
+/**
+ * Rotates a matrix around the Z axis (m * rotationZ(angle)).
+ * @param {Mat4} m - Matrix.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function rotateZ(m, angle, dst = new Float32Array(16)) {
+  return rotateColumns(m, 0, 4, angle, dst);
+}
+
+/**
+ * Mixes two columns of a matrix like a rotation in their plane does; the
+ * other columns are copied.
+ * @param {Mat4} m - Matrix.
+ * @param {number} u - Offset of the first column.
+ * @param {number} v - Offset of the second column.
+ * @param {number} angle - Angle in radians.
+ * @param {Mat4} dst - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+function rotateColumns(m, u, v, angle, dst) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  if (dst !== m) {
+    for (let i = 0; i < 16; i++) {
+      dst[i] = m[i];
+    }
+  }
+  for (let row = 0; row < 4; row++) {
+    const mu = m[u + row];
+    const mv = m[v + row];
+    dst[u + row] = mu * c + mv * s;
+    dst[v + row] = mv * c - mu * s;
+  }
+  return dst;
+}
+
+/**
+ * Creates a rotation matrix from a unit quaternion.
+ * @param {Quat} q - Rotation quaternion.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function fromQuat(q, dst = new Float32Array(16)) {
+  return fromRotationTranslationScale(q, ZERO, ONE, dst);
+}
+
+/**
+ * Creates the matrix translation * rotation * scale.
+ * @param {Quat} q - Rotation quaternion.
+ * @param {Vec3} t - Translation.
+ * @param {Vec3} s - Scale.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function fromRotationTranslationScale(
+  q,
+  t,
+  s,
+  dst = new Float32Array(16)
+) {
+  const x = q[0];
+  const y = q[1];
+  const z = q[2];
+  const w = q[3];
+  const x2 = x + x;
+  const y2 = y + y;
+  const z2 = z + z;
+  const xx = x * x2;
+  const xy = x * y2;
+  const xz = x * z2;
+  const yy = y * y2;
+  const yz = y * z2;
+  const zz = z * z2;
+  const wx = w * x2;
+  const wy = w * y2;
+  const wz = w * z2;
+
+  dst[0] = (1 - (yy + zz)) * s[0];
+  dst[1] = (xy + wz) * s[0];
+  dst[2] = (xz - wy) * s[0];
+  dst[3] = 0;
+  dst[4] = (xy - wz) * s[1];
+  dst[5] = (1 - (xx + zz)) * s[1];
+  dst[6] = (yz + wx) * s[1];
+  dst[7] = 0;
+  dst[8] = (xz + wy) * s[2];
+  dst[9] = (yz - wx) * s[2];
+  dst[10] = (1 - (xx + yy)) * s[2];
+  dst[11] = 0;
+  dst[12] = t[0];
+  dst[13] = t[1];
+  dst[14] = t[2];
+  dst[15] = 1;
+  return dst;
+}
+
+/**
+ * Returns the translation of a matrix.
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function getTranslation(m, dst = new Float32Array(3)) {
+  dst[0] = m[12];
+  dst[1] = m[13];
+  dst[2] = m[14];
+  return dst;
+}
+
+/**
+ * Returns the scale of a matrix (lengths of its first three columns).
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function getScaling(m, dst = new Float32Array(3)) {
+  dst[0] = Math.hypot(m[0], m[1], m[2]);
+  dst[1] = Math.hypot(m[4], m[5], m[6]);
+  dst[2] = Math.hypot(m[8], m[9], m[10]);
+  return dst;
+}
+
+/**
+ * Creates a view matrix for a camera at eye looking at target. The camera
+ * looks down its -Z axis with +Y up (right-handed).
+ * @param {Vec3} eye - Camera position.
+ * @param {Vec3} target - Point to look at.
+ * @param {Vec3} up - Up direction.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function lookAt(eye, target, up, dst = new Float32Array(16)) {
+  targetTo(eye, target, up, dst);
+  return invertRigid(dst, dst);
+}
+
+/**
+ * Creates the world matrix of an object at eye facing target: its -Z axis
+ * points at target. This is the inverse of lookAt().
+ * @param {Vec3} eye - Object position.
+ * @param {Vec3} target - Point to face.
+ * @param {Vec3} up - Up direction.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function targetTo(eye, target, up, dst = new Float32Array(16)) {
+  const ex = eye[0];
+  const ey = eye[1];
+  const ez = eye[2];
+
+  // Z axis points from the target to the eye
+  let zx = ex - target[0];
+  let zy = ey - target[1];
+  let zz = ez - target[2];
+  let len = Math.hypot(zx, zy, zz);
+  if (len > 0) {
+    zx /= len;
+    zy /= len;
+    zz /= len;
+  } else {
+    zz = 1;
+  }
+
+  let xx = up[1] * zz - up[2] * zy;
+  let xy = up[2] * zx - up[0] * zz;
+  let xz = up[0] * zy - up[1] * zx;
+  len = Math.hypot(xx, xy, xz);
+  if (len > 0) {
+    xx /= len;
+    xy /= len;
+    xz /= len;
+  } else {
+    // up is parallel to the view direction; use another up axis
+    if (Math.abs(zz) < 0.9) {
+      xx = -zy;
+      xy = zx;
+      xz = 0;
+    } else {
+      xx = 0;
+      xy = -zz;
+      xz = zy;
+    }
+    len = Math.hypot(xx, xy, xz);
+    xx /= len;
+    xy /= len;
+    xz /= len;
+  }
+
+  dst[0] = xx;
+  dst[1] = xy;
+  dst[2] = xz;
+  dst[3] = 0;
+  dst[4] = zy * xz - zz * xy;
+  dst[5] = zz * xx - zx * xz;
+  dst[6] = zx * xy - zy * xx;
+  dst[7] = 0;
+  dst[8] = zx;
+  dst[9] = zy;
+  dst[10] = zz;
+  dst[11] = 0;
+  dst[12] = ex;
+  dst[13] = ey;
+  dst[14] = ez;
+  dst[15] = 1;
+  return dst;
+}
+
+/**
+ * Inverts a rotation + translation matrix (no scale) by transposing the
+ * rotation.
+ * @param {Mat4} m - Rigid transform.
+ * @param {Mat4} dst - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+function invertRigid(m, dst) {
+  const tx = m[12];
+  const ty = m[13];
+  const tz = m[14];
+  transpose(m, dst);
+  dst[3] = 0;
+  dst[7] = 0;
+  dst[11] = 0;
+  dst[12] = -(dst[0] * tx + dst[4] * ty + dst[8] * tz);
+  dst[13] = -(dst[1] * tx + dst[5] * ty + dst[9] * tz);
+  dst[14] = -(dst[2] * tx + dst[6] * ty + dst[10] * tz);
+  dst[15] = 1;
+  return dst;
+}
+
+/**
+ * Creates a perspective projection with depth 0..1 (WebGPU). far may be
+ * Infinity.
+ * @param {number} fovy - Vertical field of view in radians.
+ * @param {number} aspect - Width / height.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function perspectiveZO(fovy, aspect, near, far, dst) {
+  return perspectiveWithDepthRange(
+    fovy,
+    aspect,
+    near,
+    far,
+    DepthRange.ZERO_TO_ONE,
+    dst
+  );
+}
+
+/**
+ * Creates a perspective projection with depth -1..1 (WebGL). far may be
+ * Infinity.
+ * @param {number} fovy - Vertical field of view in radians.
+ * @param {number} aspect - Width / height.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function perspectiveNO(fovy, aspect, near, far, dst) {
+  return perspectiveWithDepthRange(
+    fovy,
+    aspect,
+    near,
+    far,
+    DepthRange.NEGATIVE_ONE_TO_ONE,
+    dst
+  );
+}
+
+/**
+ * Creates a perspective projection for a depth range.
+ * @param {number} fovy - Vertical field of view in radians.
+ * @param {number} aspect - Width / height.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {DepthRange} depthRange - Clip-space depth range.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function perspectiveWithDepthRange(
+  fovy,
+  aspect,
+  near,
+  far,
+  depthRange,
+  dst = new Float32Array(16)
+) {
+  const f = 1 / Math.tan(fovy / 2);
+  dst.fill(0);
+  dst[0] = f / aspect;
+  dst[5] = f;
+  dst[11] = -1;
+
+  const zeroToOne = depthRange === DepthRange.ZERO_TO_ONE;
+  if (far === Infinity) {
+    dst[10] = -1;
+    dst[14] = zeroToOne ? -near : -2 * near;
+  } else {
+    const rangeInv = 1 / (near - far);
+    dst[10] = zeroToOne ? far * rangeInv : (far + near) * rangeInv;
+    dst[14] = zeroToOne ? far * near * rangeInv : 2 * far * near * rangeInv;
+  }
+  return dst;
+}
+
+/**
+ * Creates an orthographic projection with depth 0..1 (WebGPU).
+ * @param {number} left - Left plane.
+ * @param {number} right - Right plane.
+ * @param {number} bottom - Bottom plane.
+ * @param {number} top - Top plane.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function orthoZO(left, right, bottom, top, near, far, dst) {
+  return orthoWithDepthRange(
+    left,
+    right,
+    bottom,
+    top,
+    near,
+    far,
+    DepthRange.ZERO_TO_ONE,
+    dst
+  );
+}
+
+/**
+ * Creates an orthographic projection with depth -1..1 (WebGL).
+ * @param {number} left - Left plane.
+ * @param {number} right - Right plane.
+ * @param {number} bottom - Bottom plane.
+ * @param {number} top - Top plane.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function orthoNO(left, right, bottom, top, near, far, dst) {
+  return orthoWithDepthRange(
+    left,
+    right,
+    bottom,
+    top,
+    near,
+    far,
+    DepthRange.NEGATIVE_ONE_TO_ONE,
+    dst
+  );
+}
+
+/**
+ * Creates an orthographic projection for a depth range.
+ * @param {number} left - Left plane.
+ * @param {number} right - Right plane.
+ * @param {number} bottom - Bottom plane.
+ * @param {number} top - Top plane.
+ * @param {number} near - Near plane distance.
+ * @param {number} far - Far plane distance.
+ * @param {DepthRange} depthRange - Clip-space depth range.
+ * @param {Mat4} [dst] - Receiving matrix.
+ * @returns {Mat4} dst.
+ */
+export function orthoWithDepthRange(
+  left,
+  right,
+  bottom,
+  top,
+  near,
+  far,
+  depthRange,
+  dst = new Float32Array(16)
+) {
+  const rangeInv = 1 / (near - far);
+  dst.fill(0);
+  dst[0] = 2 / (right - left);
+  dst[5] = 2 / (top - bottom);
+  dst[12] = (right + left) / (left - right);
+  dst[13] = (top + bottom) / (bottom - top);
+  dst[15] = 1;
+  if (depthRange === DepthRange.ZERO_TO_ONE) {
+    dst[10] = rangeInv;
+    dst[14] = near * rangeInv;
+  } else {
+    dst[10] = 2 * rangeInv;
+    dst[14] = (far + near) * rangeInv;
+  }
+  return dst;
+}
+
+/**
+ * Perspective projection with depth 0..1, like wgpu-matrix.
+ * @type {function(number, number, number, number, Mat4=): Mat4}
+ */
+export const perspective = perspectiveZO;
+
+/**
+ * Orthographic projection with depth 0..1, like wgpu-matrix.
+ * @type {function(number, number, number, number, number, number, Mat4=): Mat4}
+ */
+export const ortho = orthoZO;
+
+/**
+ * Returns whether two matrices are approximately equal.
+ * @param {Mat4} a - First matrix.
+ * @param {Mat4} b - Second matrix.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  for (let i = 0; i < 16; i++) {
+    if (!approxEquals(a[i], b[i])) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Quaternion functions. Quaternions are (x, y, z, w).
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals } from './common.js';
+
+/**
+ * Creates an identity quaternion.
+ * @returns {Float32Array} New quaternion.
+ */
+export function create() {
+  const dst = new Float32Array(4);
+  dst[3] = 1;
+  return dst;
+}
+
+/**
+ * Sets a quaternion to identity.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function identity(dst = new Float32Array(4)) {
+  dst[0] = 0;
+  dst[1] = 0;
+  dst[2] = 0;
+  dst[3] = 1;
+  return dst;
+}
+
+/**
+ * Sets the components of a quaternion.
+ * @param {number} x - X component.
+ * @param {number} y - Y component.
+ * @param {number} z - Z component.
+ * @param {number} w - W component.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function set(x, y, z, w, dst = new Float32Array(4)) {
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+  dst[3] = w;
+  return dst;
+}
+
+/**
+ * Copies a quaternion.
+ * @param {Quat} q - Source quaternion.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function copy(q, dst = new Float32Array(4)) {
+  dst[0] = q[0];
+  dst[1] = q[1];
+  dst[2] = q[2];
+  dst[3] = q[3];
+  return dst;
+}
+
+/**
+ * Creates a rotation around an axis.
+ * @param {Vec3} axis - Unit rotation axis.
+ * @param {number} angle - Angle in radians.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function fromAxisAngle(axis, angle, dst = new Float32Array(4)) {
+  const s = Math.sin(angle / 2);
+  dst[0] = axis[0] * s;
+  dst[1] = axis[1] * s;
+  dst[2] = axis[2] * s;
+  dst[3] = Math.cos(angle / 2);
+  return dst;
+}
+
+/**
+ * Creates a rotation from Euler angles, applied in X, Y, Z order.
+ * @param {number} x - Rotation around X in radians.
+ * @param {number} y - Rotation around Y in radians.
+ * @param {number} z - Rotation around Z in radians.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function fromEuler(x, y, z, dst = new Float32Array(4)) {
+  const cx = Math.cos(x / 2);
+  const sx = Math.sin(x / 2);
+  const cy = Math.cos(y / 2);
+  const sy = Math.sin(y / 2);
+  const cz = Math.cos(z / 2);
+  const sz = Math.sin(z / 2);
+
+  // q = qz * qy * qx, so X is applied first
+  dst[0] = sx * cy * cz - cx * sy * sz;
+  dst[1] = cx * sy * cz + sx * cy * sz;
+  dst[2] = cx * cy * sz - sx * sy * cz;
+  dst[3] = cx * cy * cz + sx * sy * sz;
+  return dst;
+}
+
+/**
+ * Creates a quaternion from the rotation part of a 4x4 matrix. The upper
+ * 3x3 must be a pure rotation.
+ * @param {Mat4} m - Rotation matrix.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function fromMat4(m, dst = new Float32Array(4)) {
+  const m00 = m[0],
+    m01 = m[4],
+    m02 = m[8];
+  const m10 = m[1],
+    m11 = m[5],
+    m12 = m[9];
+  const m20 = m[2],
+    m21 = m[6],
+    m22 = m[10];
+  const trace = m00 + m11 + m22;
+
+  // Branch on the largest diagonal term for numerical stability
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    dst[3] = 0.25 / s;
+    dst[0] = (m21 - m12) * s;
+    dst[1] = (m02 - m20) * s;
+    dst[2] = (m10 - m01) * s;
+  } else if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    dst[3] = (m21 - m12) / s;
+    dst[0] = 0.25 * s;
+    dst[1] = (m01 + m10) / s;
+    dst[2] = (m02 + m20) / s;
+  } else if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    dst[3] = (m02 - m20) / s;
+    dst[0] = (m01 + m10) / s;
+    dst[1] = 0.25 * s;
+    dst[2] = (m12 + m21) / s;
+  } else {
+    const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    dst[3] = (m10 - m01) / s;
+    dst[0] = (m02 + m20) / s;
+    dst[1] = (m12 + m21) / s;
+    dst[2] = 0.25 * s;
+  }
+  return dst;
+}
+
+/**
+ * Multiplies two quaternions (a * b: b is applied first).
+ * @param {Quat} a - First quaternion.
+ * @param {Quat} b - Second quaternion.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(4)) {
+  const ax = a[0];
+  const ay = a[1];
+  const az = a[2];
+  const aw = a[3];
+  const bx = b[0];
+  const by = b[1];
+  const bz = b[2];
+  const bw = b[3];
+  dst[0] = ax * bw + aw * bx + ay * bz - az * by;
+  dst[1] = ay * bw + aw * by + az * bx - ax * bz;
+  dst[2] = az * bw + aw * bz + ax * by - ay * bx;
+  dst[3] = aw * bw - ax * bx - ay * by - az * bz;
+  return dst;
+}
+
+/**
+ * Rotates a quaternion around the local X axis.
+ * @param {Quat} q - Quaternion.
+ * @param {number} angle - Angle in radians.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function rotateX(q, angle, dst = new Float32Array(4)) {
+  const [x, y, z, w] = q;
+  const s = Math.sin(angle / 2);
+  const c = Math.cos(angle / 2);
+  dst[0] = x * c + w * s;
+  dst[1] = y * c + z * s;
+  dst[2] = z * c - y * s;
+  dst[3] = w * c - x * s;
+  return dst;
+}
+
+/**
+ * Rotates a quaternion around the local Y axis.
+ * @param {Quat} q - Quaternion.
+ * @param {number} angle - Angle in radians.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function rotateY(q, angle, dst = new Float32Array(4)) {
+  const [x, y, z, w] = q;
+  const s = Math.sin(angle / 2);
+  const c = Math.cos(angle / 2);
+  dst[0] = x * c - z * s;
+  dst[1] = y * c + w * s;
+  dst[2] = z * c + x * s;
+  dst[3] = w * c - y * s;
+  return dst;
+}
+
+/**
+ * Rotates a quaternion around the local Z axis.
+ * @param {Quat} q - Quaternion.
+ * @param {number} angle - Angle in radians.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function rotateZ(q, angle, dst = new Float32Array(4)) {
+  const [x, y, z, w] = q;
+  const s = Math.sin(angle / 2);
+  const c = Math.cos(angle / 2);
+  dst[0] = x * c + y * s;
+  dst[1] = y * c - x * s;
+  dst[2] = z * c + w * s;
+  dst[3] = w * c - z * s;
+  return dst;
+}
+
+/**
+ * Returns the conjugate of a quaternion (the inverse of a unit quaternion).
+ * @param {Quat} q - Quaternion.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function conjugate(q, dst = new Float32Array(4)) {
+  dst[0] = -q[0];
+  dst[1] = -q[1];
+  dst[2] = -q[2];
+  dst[3] = q[3];
+  return dst;
+}
+
+/**
+ * Inverts a quaternion. Zero quaternions give zero.
+ * @param {Quat} q - Quaternion.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function invert(q, dst = new Float32Array(4)) {
+  const lengthSq = dot(q, q);
+  const inv = lengthSq > 0 ? 1 / lengthSq : 0;
+  dst[0] = -q[0] * inv;
+  dst[1] = -q[1] * inv;
+  dst[2] = -q[2] * inv;
+  dst[3] = q[3] * inv;
+  return dst;
+}
+
+/**
+ * Returns the dot product of two quaternions.
+ * @param {Quat} a - First quaternion.
+ * @param {Quat} b - Second quaternion.
+ * @returns {number} Dot product.
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Returns the length of a quaternion.
+ * @param {Quat} q - Quaternion.
+ * @returns {number} Length.
+ */
+export function length(q) {
+  return Math.hypot(q[0], q[1], q[2], q[3]);
+}
+
+/**
+ * Normalizes a quaternion. Zero quaternions become identity.
+ * @param {Quat} q - Quaternion.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function normalize(q, dst = new Float32Array(4)) {
+  const len = length(q);
+  if (len === 0) {
+    return identity(dst);
+  }
+  dst[0] = q[0] / len;
+  dst[1] = q[1] / len;
+  dst[2] = q[2] / len;
+  dst[3] = q[3] / len;
+  return dst;
+}
+
+/**
+ * Spherically interpolates between two unit quaternions along the shortest
+ * arc.
+ * @param {Quat} a - Start quaternion.
+ * @param {Quat} b - End quaternion.
+ * @param {number} t - Interpolation factor.
+ * @param {Quat} [dst] - Receiving quaternion.
+ * @returns {Quat} dst.
+ */
+export function slerp(a, b, t, dst = new Float32Array(4)) {
+  let bx = b[0];
+  let by = b[1];
+  let bz = b[2];
+  let bw = b[3];
+  let cosOmega = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+
+  // q and -q are the same rotation; take the shorter way
+  if (cosOmega < 0) {
+    cosOmega = -cosOmega;
+    bx = -bx;
+    by = -by;
+    bz = -bz;
+    bw = -bw;
+  }
+
+  let scaleA;
+  let scaleB;
+  if (1 - cosOmega > 0.000001) {
+    const omega = Math.acos(cosOmega);
+    const sinOmega = Math.sin(omega);
+    scaleA = Math.sin((1 - t) * omega) / sinOmega;
+    scaleB = Math.sin(t * omega) / sinOmega;
+  } else {
+    // Nearly parallel: linear interpolation avoids dividing by ~0
+    scaleA = 1 - t;
+    scaleB = t;
+  }
+
+  dst[0] = scaleA * a[0] + scaleB * bx;
+  dst[1] = scaleA * a[1] + scaleB * by;
+  dst[2] = scaleA * a[2] + scaleB * bz;
+  dst[3] = scaleA * a[3] + scaleB * bw;
+  return dst;
+}
+
+/**
+ * Returns whether two quaternions are approximately equal component-wise.
+ * @param {Quat} a - First quaternion.
+ * @param {Quat} b - Second quaternion.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  return (
+    approxEquals(a[0], b[0]) &&
+    approxEquals(a[1], b[1]) &&
+    approxEquals(a[2], b[2]) &&
+    approxEquals(a[3], b[3])
+  );
+}
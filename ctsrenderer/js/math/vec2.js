@@ -0,0 +1,239 @@
+/**
+ * @fileoverview 2-component vector functions.
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals } from './common.js';
+
+/**
+ * Creates a vector.
+ * @param {number} [x=0] - X component.
+ * @param {number} [y=0] - Y component.
+ * @returns {Float32Array} New vector.
+ */
+export function create(x = 0, y = 0) {
+  const dst = new Float32Array(2);
+  dst[0] = x;
+  dst[1] = y;
+  return dst;
+}
+
+/**
+ * Sets the components of a vector.
+ * @param {number} x - X component.
+ * @param {number} y - Y component.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function set(x, y, dst = new Float32Array(2)) {
+  dst[0] = x;
+  dst[1] = y;
+  return dst;
+}
+
+/**
+ * Copies a vector.
+ * @param {Vec2} v - Source vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function copy(v, dst = new Float32Array(2)) {
+  dst[0] = v[0];
+  dst[1] = v[1];
+  return dst;
+}
+
+/**
+ * Adds two vectors.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function add(a, b, dst = new Float32Array(2)) {
+  dst[0] = a[0] + b[0];
+  dst[1] = a[1] + b[1];
+  return dst;
+}
+
+/**
+ * Subtracts b from a.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function subtract(a, b, dst = new Float32Array(2)) {
+  dst[0] = a[0] - b[0];
+  dst[1] = a[1] - b[1];
+  return dst;
+}
+
+/**
+ * Multiplies two vectors component-wise.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(2)) {
+  dst[0] = a[0] * b[0];
+  dst[1] = a[1] * b[1];
+  return dst;
+}
+
+/**
+ * Scales a vector.
+ * @param {Vec2} v - Vector.
+ * @param {number} s - Scale factor.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function scale(v, s, dst = new Float32Array(2)) {
+  dst[0] = v[0] * s;
+  dst[1] = v[1] * s;
+  return dst;
+}
+
+/**
+ * Negates a vector.
+ * @param {Vec2} v - Vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function negate(v, dst = new Float32Array(2)) {
+  dst[0] = -v[0];
+  dst[1] = -v[1];
+  return dst;
+}
+
+/**
+ * Returns the component-wise minimum of two vectors.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function min(a, b, dst = new Float32Array(2)) {
+  dst[0] = Math.min(a[0], b[0]);
+  dst[1] = Math.min(a[1], b[1]);
+  return dst;
+}
+
+/**
+ * Returns the component-wise maximum of two vectors.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function max(a, b, dst = new Float32Array(2)) {
+  dst[0] = Math.max(a[0], b[0]);
+  dst[1] = Math.max(a[1], b[1]);
+  return dst;
+}
+
+/**
+ * Returns the dot product of two vectors.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @returns {number} Dot product.
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1];
+}
+
+/**
+ * Returns the z component of the cross product of two vectors.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @returns {number} Cross product.
+ */
+export function cross(a, b) {
+  return a[0] * b[1] - a[1] * b[0];
+}
+
+/**
+ * Returns the length of a vector.
+ * @param {Vec2} v - Vector.
+ * @returns {number} Length.
+ */
+export function length(v) {
+  return Math.hypot(v[0], v[1]);
+}
+
+/**
+ * Returns the squared length of a vector.
+ * @param {Vec2} v - Vector.
+ * @returns {number} Squared length.
+ */
+export function lengthSquared(v) {
+  return v[0] * v[0] + v[1] * v[1];
+}
+
+/**
+ * Returns the distance between two points.
+ * @param {Vec2} a - First point.
+ * @param {Vec2} b - Second point.
+ * @returns {number} Distance.
+ */
+export function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * Normalizes a vector. Zero vectors stay zero.
+ * @param {Vec2} v - Vector.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function normalize(v, dst = new Float32Array(2)) {
+  const len = length(v);
+  const inv = len > 0 ? 1 / len : 0;
+  dst[0] = v[0] * inv;
+  dst[1] = v[1] * inv;
+  return dst;
+}
+
+/**
+ * Linearly interpolates between two vectors.
+ * @param {Vec2} a - Start vector.
+ * @param {Vec2} b - End vector.
+ * @param {number} t - Interpolation factor.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function lerp(a, b, t, dst = new Float32Array(2)) {
+  dst[0] = a[0] + (b[0] - a[0]) * t;
+  dst[1] = a[1] + (b[1] - a[1]) * t;
+  return dst;
+}
+
+/**
+ * Transforms a point by a 3x3 matrix (homogeneous 2D transform).
+ * @param {Vec2} v - Point.
+ * @param {Mat3} m - Matrix.
+ * @param {Vec2} [dst] - Receiving vector.
+ * @returns {Vec2} dst.
+ */
+export function transformMat3(v, m, dst = new Float32Array(2)) {
+  const x = v[0];
+  const y = v[1];
+  dst[0] = m[0] * x + m[3] * y + m[6];
+  dst[1] = m[1] * x + m[4] * y + m[7];
+  return dst;
+}
+
+/**
+ * Returns whether two vectors are approximately equal.
+ * @param {Vec2} a - First vector.
+ * @param {Vec2} b - Second vector.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  return approxEquals(a[0], b[0]) && approxEquals(a[1], b[1]);
+}
@@ -0,0 +1,359 @@
+/**
+ * @fileoverview 3-component vector functions.
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals } from './common.js';
+
+/**
+ * Creates a vector.
+ * @param {number} [x=0] - X component.
+ * @param {number} [y=0] - Y component.
+ * @param {number} [z=0] - Z component.
+ * @returns {Float32Array} New vector.
+ */
+export function create(x = 0, y = 0, z = 0) {
+  const dst = new Float32Array(3);
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+  return dst;
+}
+
+/**
+ * Sets the components of a vector.
+ * @param {number} x - X component.
+ * @param {number} y - Y component.
+ * @param {number} z - Z component.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function set(x, y, z, dst = new Float32Array(3)) {
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+  return dst;
+}
+
+/**
+ * Copies a vector.
+ * @param {Vec3} v - Source vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function copy(v, dst = new Float32Array(3)) {
+  dst[0] = v[0];
+  dst[1] = v[1];
+  dst[2] = v[2];
+  return dst;
+}
+
+/**
+ * Adds two vectors.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function add(a, b, dst = new Float32Array(3)) {
+  dst[0] = a[0] + b[0];
+  dst[1] = a[1] + b[1];
+  dst[2] = a[2] + b[2];
+  return dst;
+}
+
+/**
+ * Subtracts b from a.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function subtract(a, b, dst = new Float32Array(3)) {
+  dst[0] = a[0] - b[0];
+  dst[1] = a[1] - b[1];
+  dst[2] = a[2] - b[2];
+  return dst;
+}
+
+/**
+ * Multiplies two vectors component-wise.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(3)) {
+  dst[0] = a[0] * b[0];
+  dst[1] = a[1] * b[1];
+  dst[2] = a[2] * b[2];
+  return dst;
+}
+
+/**
+ * Scales a vector.
+ * @param {Vec3} v - Vector.
+ * @param {number} s - Scale factor.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function scale(v, s, dst = new Float32Array(3)) {
+  dst[0] = v[0] * s;
+  dst[1] = v[1] * s;
+  dst[2] = v[2] * s;
+  return dst;
+}
+
+/**
+ * Adds b scaled by s to a.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Vector to scale.
+ * @param {number} s - Scale factor.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function addScaled(a, b, s, dst = new Float32Array(3)) {
+  dst[0] = a[0] + b[0] * s;
+  dst[1] = a[1] + b[1] * s;
+  dst[2] = a[2] + b[2] * s;
+  return dst;
+}
+
+/**
+ * Negates a vector.
+ * @param {Vec3} v - Vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function negate(v, dst = new Float32Array(3)) {
+  dst[0] = -v[0];
+  dst[1] = -v[1];
+  dst[2] = -v[2];
+  return dst;
+}
+
+/**
+ * Returns the component-wise minimum of two vectors.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function min(a, b, dst = new Float32Array(3)) {
+  dst[0] = Math.min(a[0], b[0]);
+  dst[1] = Math.min(a[1], b[1]);
+  dst[2] = Math.min(a[2], b[2]);
+  return dst;
+}
+
+/**
+ * Returns the component-wise maximum of two vectors.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function max(a, b, dst = new Float32Array(3)) {
+  dst[0] = Math.max(a[0], b[0]);
+  dst[1] = Math.max(a[1], b[1]);
+  dst[2] = Math.max(a[2], b[2]);
+  return dst;
+}
+
+/**
+ * Returns the dot product of two vectors.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @returns {number} Dot product.
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Returns the cross product of two vectors.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function cross(a, b, dst = new Float32Array(3)) {
+  const ax = a[0];
+  const ay = a[1];
+  const az = a[2];
+  const bx = b[0];
+  const by = b[1];
+  const bz = b[2];
+  dst[0] = ay * bz - az * by;
+  dst[1] = az * bx - ax * bz;
+  dst[2] = ax * by - ay * bx;
+  return dst;
+}
+
+/**
+ * Returns the length of a vector.
+ * @param {Vec3} v - Vector.
+ * @returns {number} Length.
+ */
+export function length(v) {
+  return Math.hypot(v[0], v[1], v[2]);
+}
+
+/**
+ * Returns the squared length of a vector.
+ * @param {Vec3} v - Vector.
+ * @returns {number} Squared length.
+ */
+export function lengthSquared(v) {
+  return v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+}
+
+/**
+ * Returns the distance between two points.
+ * @param {Vec3} a - First point.
+ * @param {Vec3} b - Second point.
+ * @returns {number} Distance.
+ */
+export function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Returns the squared distance between two points.
+ * @param {Vec3} a - First point.
+ * @param {Vec3} b - Second point.
+ * @returns {number} Squared distance.
+ */
+export function distanceSquared(a, b) {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Normalizes a vector. Zero vectors stay zero.
+ * @param {Vec3} v - Vector.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function normalize(v, dst = new Float32Array(3)) {
+  const len = length(v);
+  const inv = len > 0 ? 1 / len : 0;
+  dst[0] = v[0] * inv;
+  dst[1] = v[1] * inv;
+  dst[2] = v[2] * inv;
+  return dst;
+}
+
+/**
+ * Linearly interpolates between two vectors.
+ * @param {Vec3} a - Start vector.
+ * @param {Vec3} b - End vector.
+ * @param {number} t - Interpolation factor.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function lerp(a, b, t, dst = new Float32Array(3)) {
+  dst[0] = a[0] + (b[0] - a[0]) * t;
+  dst[1] = a[1] + (b[1] - a[1]) * t;
+  dst[2] = a[2] + (b[2] - a[2]) * t;
+  return dst;
+}
+
+/**
+ * Transforms a point by a 4x4 matrix, dividing by the resulting w (so
+ * projection matrices give normalized device coordinates).
+ * @param {Vec3} v - Point.
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function transformMat4(v, m, dst = new Float32Array(3)) {
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1;
+  dst[0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+  dst[1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+  dst[2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+  return dst;
+}
+
+/**
+ * Transforms a direction by the upper 3x3 of a 4x4 matrix (no translation).
+ * @param {Vec3} v - Direction.
+ * @param {Mat4} m - Matrix.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function transformDirection(v, m, dst = new Float32Array(3)) {
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  dst[0] = m[0] * x + m[4] * y + m[8] * z;
+  dst[1] = m[1] * x + m[5] * y + m[9] * z;
+  dst[2] = m[2] * x + m[6] * y + m[10] * z;
+  return dst;
+}
+
+/**
+ * Transforms a vector by a 3x3 matrix.
+ * @param {Vec3} v - Vector.
+ * @param {Mat3} m - Matrix.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function transformMat3(v, m, dst = new Float32Array(3)) {
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  dst[0] = m[0] * x + m[3] * y + m[6] * z;
+  dst[1] = m[1] * x + m[4] * y + m[7] * z;
+  dst[2] = m[2] * x + m[5] * y + m[8] * z;
+  return dst;
+}
+
+/**
+ * Rotates a vector by a quaternion.
+ * @param {Vec3} v - Vector.
+ * @param {Quat} q - Unit quaternion.
+ * @param {Vec3} [dst] - Receiving vector.
+ * @returns {Vec3} dst.
+ */
+export function transformQuat(v, q, dst = new Float32Array(3)) {
+  const qx = q[0];
+  const qy = q[1];
+  const qz = q[2];
+  const qw = q[3];
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+
+  // t = 2 * cross(q.xyz, v); v' = v + w * t + cross(q.xyz, t)
+  const tx = 2 * (qy * z - qz * y);
+  const ty = 2 * (qz * x - qx * z);
+  const tz = 2 * (qx * y - qy * x);
+  dst[0] = x + qw * tx + qy * tz - qz * ty;
+  dst[1] = y + qw * ty + qz * tx - qx * tz;
+  dst[2] = z + qw * tz + qx * ty - qy * tx;
+  return dst;
+}
+
+/**
+ * Returns whether two vectors are approximately equal.
+ * @param {Vec3} a - First vector.
+ * @param {Vec3} b - Second vector.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  return (
+    approxEquals(a[0], b[0]) &&
+    approxEquals(a[1], b[1]) &&
+    approxEquals(a[2], b[2])
+  );
+}
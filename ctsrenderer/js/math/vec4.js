@@ -0,0 +1,203 @@
+/**
+ * @fileoverview 4-component vector functions.
+ * Functions write to the optional last argument `dst` and return it; a new
+ * Float32Array is allocated when it is omitted. dst may alias the inputs.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { approxEquals } from './common.js';
+
+/**
+ * Creates a vector.
+ * @param {number} [x=0] - X component.
+ * @param {number} [y=0] - Y component.
+ * @param {number} [z=0] - Z component.
+ * @param {number} [w=0] - W component.
+ * @returns {Float32Array} New vector.
+ */
+export function create(x = 0, y = 0, z = 0, w = 0) {
+  const dst = new Float32Array(4);
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+  dst[3] = w;
+  return dst;
+}
+
+/**
+ * Sets the components of a vector.
+ * @param {number} x - X component.
+ * @param {number} y - Y component.
+ * @param {number} z - Z component.
+ * @param {number} w - W component.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function set(x, y, z, w, dst = new Float32Array(4)) {
+  dst[0] = x;
+  dst[1] = y;
+  dst[2] = z;
+  dst[3] = w;
+  return dst;
+}
+
+/**
+ * Copies a vector.
+ * @param {Vec4} v - Source vector.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function copy(v, dst = new Float32Array(4)) {
+  dst[0] = v[0];
+  dst[1] = v[1];
+  dst[2] = v[2];
+  dst[3] = v[3];
+  return dst;
+}
+
+/**
+ * Adds two vectors.
+ * @param {Vec4} a - First vector.
+ * @param {Vec4} b - Second vector.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function add(a, b, dst = new Float32Array(4)) {
+  dst[0] = a[0] + b[0];
+  dst[1] = a[1] + b[1];
+  dst[2] = a[2] + b[2];
+  dst[3] = a[3] + b[3];
+  return dst;
+}
+
+/**
+ * Subtracts b from a.
+ * @param {Vec4} a - First vector.
+ * @param {Vec4} b - Second vector.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function subtract(a, b, dst = new Float32Array(4)) {
+  dst[0] = a[0] - b[0];
+  dst[1] = a[1] - b[1];
+  dst[2] = a[2] - b[2];
+  dst[3] = a[3] - b[3];
+  return dst;
+}
+
+/**
+ * Multiplies two vectors component-wise.
+ * @param {Vec4} a - First vector.
+ * @param {Vec4} b - Second vector.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function multiply(a, b, dst = new Float32Array(4)) {
+  dst[0] = a[0] * b[0];
+  dst[1] = a[1] * b[1];
+  dst[2] = a[2] * b[2];
+  dst[3] = a[3] * b[3];
+  return dst;
+}
+
+/**
+ * Scales a vector.
+ * @param {Vec4} v - Vector.
+ * @param {number} s - Scale factor.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function scale(v, s, dst = new Float32Array(4)) {
+  dst[0] = v[0] * s;
+  dst[1] = v[1] * s;
+  dst[2] = v[2] * s;
+  dst[3] = v[3] * s;
+  return dst;
+}
+
+/**
+ * Returns the dot product of two vectors.
+ * @param {Vec4} a - First vector.
+ * @param {Vec4} b - Second vector.
+ * @returns {number} Dot product.
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Returns the length of a vector.
+ * @param {Vec4} v - Vector.
+ * @returns {number} Length.
+ */
+export function length(v) {
+  return Math.hypot(v[0], v[1], v[2], v[3]);
+}
+
+/**
+ * Normalizes a vector. Zero vectors stay zero.
+ * @param {Vec4} v - Vector.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function normalize(v, dst = new Float32Array(4)) {
+  const len = length(v);
+  const inv = len > 0 ? 1 / len : 0;
+  dst[0] = v[0] * inv;
+  dst[1] = v[1] * inv;
+  dst[2] = v[2] * inv;
+  dst[3] = v[3] * inv;
+  return dst;
+}
+
+/**
+ * Linearly interpolates between two vectors.
+ * @param {Vec4} a - Start vector.
+ * @param {Vec4} b - End vector.
+ * @param {number} t - Interpolation factor.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function lerp(a, b, t, dst = new Float32Array(4)) {
+  dst[0] = a[0] + (b[0] - a[0]) * t;
+  dst[1] = a[1] + (b[1] - a[1]) * t;
+  dst[2] = a[2] + (b[2] - a[2]) * t;
+  dst[3] = a[3] + (b[3] - a[3]) * t;
+  return dst;
+}
+
+/**
+ * Transforms a vector by a 4x4 matrix.
+ * @param {Vec4} v - Vector.
+ * @param {Mat4} m - Matrix.
+ * @param {Vec4} [dst] - Receiving vector.
+ * @returns {Vec4} dst.
+ */
+export function transformMat4(v, m, dst = new Float32Array(4)) {
+  const x = v[0];
+  const y = v[1];
+  const z = v[2];
+  const w = v[3];
+  dst[0] = m[0] * x + m[4] * y + m[8] * z + m[12] * w;
+  dst[1] = m[1] * x + m[5] * y + m[9] * z + m[13] * w;
+  dst[2] = m[2] * x + m[6] * y + m[10] * z + m[14] * w;
+  dst[3] = m[3] * x + m[7] * y + m[11] * z + m[15] * w;
+  return dst;
+}
+
+/**
+ * Returns whether two vectors are approximately equal.
+ * @param {Vec4} a - First vector.
+ * @param {Vec4} b - Second vector.
+ * @returns {boolean} True if approximately equal.
+ */
+export function equals(a, b) {
+  return (
+    approxEquals(a[0], b[0]) &&
+    approxEquals(a[1], b[1]) &&
+    approxEquals(a[2], b[2]) &&
+    approxEquals(a[3], b[3])
+  );
+}
@@ -0,0 +1,3014 @@
+/**
+ * @fileoverview Recording WebGL and WebGL2 context stand-ins for Node tests.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Recorded context call.
+ * @typedef {Object} RecordedCall
+ * @property {string} name - Method name.
+ * @property {Array<*>} args - Call arguments.
+ */
+
+/**
+ * Mock context options.
+ * @typedef {Object} MockWebGLOptions
+ * @property {string[]} [extensions] - Supported extension names (defaults to a
+ *     common desktop set).
+ * @property {boolean} [throwOnError=true] - Throw on validation errors instead
+ *     of only recording them for getError().
+ * @property {number} [width=300] - Drawing buffer width.
+ * @property {number} [height=150] - Drawing buffer height.
+ */
+
+/**
+ * WebGL1 constants.
+ * @type {Object<string, number>}
+ */
+const GL_CONSTANTS = {
+  DEPTH_BUFFER_BIT: 0x0100,
+  STENCIL_BUFFER_BIT: 0x0400,
+  COLOR_BUFFER_BIT: 0x4000,
+  POINTS: 0x0000,
+  LINES: 0x0001,
+  LINE_LOOP: 0x0002,
+  LINE_STRIP: 0x0003,
+  TRIANGLES: 0x0004,
+  TRIANGLE_STRIP: 0x0005,
+  TRIANGLE_FAN: 0x0006,
+  ZERO: 0,
+  ONE: 1,
+  SRC_COLOR: 0x0300,
+  ONE_MINUS_SRC_COLOR: 0x0301,
+  SRC_ALPHA: 0x0302,
+  ONE_MINUS_SRC_ALPHA: 0x0303,
+  DST_ALPHA: 0x0304,
+  ONE_MINUS_DST_ALPHA: 0x0305,
+  DST_COLOR: 0x0306,
+  ONE_MINUS_DST_COLOR: 0x0307,
+  SRC_ALPHA_SATURATE: 0x0308,
+  CONSTANT_COLOR: 0x8001,
+  ONE_MINUS_CONSTANT_COLOR: 0x8002,
+  CONSTANT_ALPHA: 0x8003,
+  ONE_MINUS_CONSTANT_ALPHA: 0x8004,
+  FUNC_ADD: 0x8006,
+  FUNC_SUBTRACT: 0x800a,
+  FUNC_REVERSE_SUBTRACT: 0x800b,
+  ARRAY_BUFFER: 0x8892,
+  ELEMENT_ARRAY_BUFFER: 0x8893,
+  ARRAY_BUFFER_BINDING: 0x8894,
+  ELEMENT_ARRAY_BUFFER_BINDING: 0x8895,
+  STREAM_DRAW: 0x88e0,
+  STATIC_DRAW: 0x88e4,
+  DYNAMIC_DRAW: 0x88e8,
+  BUFFER_SIZE: 0x8764,
+  BUFFER_USAGE: 0x8765,
+  FRONT: 0x0404,
+  BACK: 0x0405,
+  FRONT_AND_BACK: 0x0408,
+  CULL_FACE: 0x0b44,
+  BLEND: 0x0be2,
+  DITHER: 0x0bd0,
+  STENCIL_TEST: 0x0b90,
+  DEPTH_TEST: 0x0b71,
+  SCISSOR_TEST: 0x0c11,
+  POLYGON_OFFSET_FILL: 0x8037,
+  SAMPLE_ALPHA_TO_COVERAGE: 0x809e,
+  SAMPLE_COVERAGE: 0x80a0,
+  NO_ERROR: 0,
+  INVALID_ENUM: 0x0500,
+  INVALID_VALUE: 0x0501,
+  INVALID_OPERATION: 0x0502,
+  OUT_OF_MEMORY: 0x0505,
+  INVALID_FRAMEBUFFER_OPERATION: 0x0506,
+  CW: 0x0900,
+  CCW: 0x0901,
+  VIEWPORT: 0x0ba2,
+  MAX_TEXTURE_SIZE: 0x0d33,
+  MAX_VIEWPORT_DIMS: 0x0d3a,
+  UNPACK_ALIGNMENT: 0x0cf5,
+  PACK_ALIGNMENT: 0x0d05,
+  DONT_CARE: 0x1100,
+  FASTEST: 0x1101,
+  NICEST: 0x1102,
+  GENERATE_MIPMAP_HINT: 0x8192,
+  BYTE: 0x1400,
+  UNSIGNED_BYTE: 0x1401,
+  SHORT: 0x1402,
+  UNSIGNED_SHORT: 0x1403,
+  INT: 0x1404,
+  UNSIGNED_INT: 0x1405,
+  FLOAT: 0x1406,
+  DEPTH_COMPONENT: 0x1902,
+  ALPHA: 0x1906,
+  RGB: 0x1907,
+  RGBA: 0x1908,
+  LUMINANCE: 0x1909,
+  LUMINANCE_ALPHA: 0x190a,
+  UNSIGNED_SHORT_4_4_4_4: 0x8033,
+  UNSIGNED_SHORT_5_5_5_1: 0x8034,
+  UNSIGNED_SHORT_5_6_5: 0x8363,
+  FRAGMENT_SHADER: 0x8b30,
+  VERTEX_SHADER: 0x8b31,
+  MAX_VERTEX_ATTRIBS: 0x8869,
+  MAX_VERTEX_UNIFORM_VECTORS: 0x8dfb,
+  MAX_VARYING_VECTORS: 0x8dfc,
+  MAX_COMBINED_TEXTURE_IMAGE_UNITS: 0x8b4d,
+  MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8b4c,
+  MAX_TEXTURE_IMAGE_UNITS: 0x8872,
+  MAX_FRAGMENT_UNIFORM_VECTORS: 0x8dfd,
+  SHADER_TYPE: 0x8b4f,
+  DELETE_STATUS: 0x8b80,
+  LINK_STATUS: 0x8b82,
+  VALIDATE_STATUS: 0x8b83,
+  ATTACHED_SHADERS: 0x8b85,
+  ACTIVE_UNIFORMS: 0x8b86,
+  ACTIVE_ATTRIBUTES: 0x8b89,
+  SHADING_LANGUAGE_VERSION: 0x8b8c,
+  CURRENT_PROGRAM: 0x8b8d,
+  COMPILE_STATUS: 0x8b81,
+  NEVER: 0x0200,
+  LESS: 0x0201,
+  EQUAL: 0x0202,
+  LEQUAL: 0x0203,
+  GREATER: 0x0204,
+  NOTEQUAL: 0x0205,
+  GEQUAL: 0x0206,
+  ALWAYS: 0x0207,
+  KEEP: 0x1e00,
+  REPLACE: 0x1e01,
+  INCR: 0x1e02,
+  DECR: 0x1e03,
+  INVERT: 0x150a,
+  INCR_WRAP: 0x8507,
+  DECR_WRAP: 0x8508,
+  VENDOR: 0x1f00,
+  RENDERER: 0x1f01,
+  VERSION: 0x1f02,
+  NEAREST: 0x2600,
+  LINEAR: 0x2601,
+  NEAREST_MIPMAP_NEAREST: 0x2700,
+  LINEAR_MIPMAP_NEAREST: 0x2701,
+  NEAREST_MIPMAP_LINEAR: 0x2702,
+  LINEAR_MIPMAP_LINEAR: 0x2703,
+  TEXTURE_MAG_FILTER: 0x2800,
+  TEXTURE_MIN_FILTER: 0x2801,
+  TEXTURE_WRAP_S: 0x2802,
+  TEXTURE_WRAP_T: 0x2803,
+  TEXTURE_2D: 0x0de1,
+  TEXTURE: 0x1702,
+  TEXTURE_CUBE_MAP: 0x8513,
+  TEXTURE_BINDING_2D: 0x8069,
+  TEXTURE_BINDING_CUBE_MAP: 0x8514,
+  TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+  TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+  TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+  TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+  TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+  TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851a,
+  MAX_CUBE_MAP_TEXTURE_SIZE: 0x851c,
+  TEXTURE0: 0x84c0,
+  ACTIVE_TEXTURE: 0x84e0,
+  REPEAT: 0x2901,
+  CLAMP_TO_EDGE: 0x812f,
+  MIRRORED_REPEAT: 0x8370,
+  FLOAT_VEC2: 0x8b50,
+  FLOAT_VEC3: 0x8b51,
+  FLOAT_VEC4: 0x8b52,
+  INT_VEC2: 0x8b53,
+  INT_VEC3: 0x8b54,
+  INT_VEC4: 0x8b55,
+  BOOL: 0x8b56,
+  BOOL_VEC2: 0x8b57,
+  BOOL_VEC3: 0x8b58,
+  BOOL_VEC4: 0x8b59,
+  FLOAT_MAT2: 0x8b5a,
+  FLOAT_MAT3: 0x8b5b,
+  FLOAT_MAT4: 0x8b5c,
+  SAMPLER_2D: 0x8b5e,
+  SAMPLER_CUBE: 0x8b60,
+  VERTEX_ATTRIB_ARRAY_ENABLED: 0x8622,
+  VERTEX_ATTRIB_ARRAY_SIZE: 0x8623,
+  VERTEX_ATTRIB_ARRAY_STRIDE: 0x8624,
+  VERTEX_ATTRIB_ARRAY_TYPE: 0x8625,
+  VERTEX_ATTRIB_ARRAY_NORMALIZED: 0x886a,
+  VERTEX_ATTRIB_ARRAY_POINTER: 0x8645,
+  VERTEX_ATTRIB_ARRAY_BUFFER_BINDING: 0x889f,
+  FRAMEBUFFER: 0x8d40,
+  RENDERBUFFER: 0x8d41,
+  RGBA4: 0x8056,
+  RGB5_A1: 0x8057,
+  RGB565: 0x8d62,
+  DEPTH_COMPONENT16: 0x81a5,
+  STENCIL_INDEX8: 0x8d48,
+  DEPTH_STENCIL: 0x84f9,
+  RENDERBUFFER_WIDTH: 0x8d42,
+  RENDERBUFFER_HEIGHT: 0x8d43,
+  RENDERBUFFER_INTERNAL_FORMAT: 0x8d44,
+  COLOR_ATTACHMENT0: 0x8ce0,
+  DEPTH_ATTACHMENT: 0x8d00,
+  STENCIL_ATTACHMENT: 0x8d20,
+  DEPTH_STENCIL_ATTACHMENT: 0x821a,
+  NONE: 0,
+  FRAMEBUFFER_COMPLETE: 0x8cd5,
+  FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8cd6,
+  FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT: 0x8cd7,
+  FRAMEBUFFER_INCOMPLETE_DIMENSIONS: 0x8cd9,
+  FRAMEBUFFER_UNSUPPORTED: 0x8cdd,
+  FRAMEBUFFER_BINDING: 0x8ca6,
+  RENDERBUFFER_BINDING: 0x8ca7,
+  MAX_RENDERBUFFER_SIZE: 0x84e8,
+  UNPACK_FLIP_Y_WEBGL: 0x9240,
+  UNPACK_PREMULTIPLY_ALPHA_WEBGL: 0x9241,
+  CONTEXT_LOST_WEBGL: 0x9242,
+  UNPACK_COLORSPACE_CONVERSION_WEBGL: 0x9243,
+  BROWSER_DEFAULT_WEBGL: 0x9244,
+};
+
+/**
+ * Constants added by WebGL2.
+ * @type {Object<string, number>}
+ */
+const GL2_CONSTANTS = {
+  READ_BUFFER: 0x0c02,
+  MIN: 0x8007,
+  MAX: 0x8008,
+  UNPACK_ROW_LENGTH: 0x0cf2,
+  UNPACK_SKIP_ROWS: 0x0cf3,
+  UNPACK_SKIP_PIXELS: 0x0cf4,
+  PACK_ROW_LENGTH: 0x0d02,
+  TEXTURE_BINDING_3D: 0x806a,
+  TEXTURE_3D: 0x806f,
+  TEXTURE_2D_ARRAY: 0x8c1a,
+  TEXTURE_WRAP_R: 0x8072,
+  TEXTURE_MIN_LOD: 0x813a,
+  TEXTURE_MAX_LOD: 0x813b,
+  TEXTURE_BASE_LEVEL: 0x813c,
+  TEXTURE_MAX_LEVEL: 0x813d,
+  TEXTURE_COMPARE_MODE: 0x884c,
+  TEXTURE_COMPARE_FUNC: 0x884d,
+  COMPARE_REF_TO_TEXTURE: 0x884e,
+  TEXTURE_IMMUTABLE_FORMAT: 0x912f,
+  TEXTURE_IMMUTABLE_LEVELS: 0x82df,
+  RED: 0x1903,
+  RG: 0x8227,
+  RED_INTEGER: 0x8d94,
+  RG_INTEGER: 0x8228,
+  RGB_INTEGER: 0x8d98,
+  RGBA_INTEGER: 0x8d99,
+  R8: 0x8229,
+  RG8: 0x822b,
+  R16F: 0x822d,
+  R32F: 0x822e,
+  RG16F: 0x822f,
+  RG32F: 0x8230,
+  R8UI: 0x8232,
+  R32UI: 0x8236,
+  RGB8: 0x8051,
+  RGBA8: 0x8058,
+  RGB10_A2: 0x8059,
+  RGBA32F: 0x8814,
+  RGB32F: 0x8815,
+  RGBA16F: 0x881a,
+  RGB16F: 0x881b,
+  R11F_G11F_B10F: 0x8c3a,
+  RGB9_E5: 0x8c3d,
+  SRGB: 0x8c40,
+  SRGB8: 0x8c41,
+  SRGB8_ALPHA8: 0x8c43,
+  RGBA8UI: 0x8d7c,
+  DEPTH_COMPONENT24: 0x81a6,
+  DEPTH_COMPONENT32F: 0x8cac,
+  DEPTH24_STENCIL8: 0x88f0,
+  DEPTH32F_STENCIL8: 0x8cad,
+  HALF_FLOAT: 0x140b,
+  UNSIGNED_INT_24_8: 0x84fa,
+  FLOAT_32_UNSIGNED_INT_24_8_REV: 0x8dad,
+  UNSIGNED_INT_2_10_10_10_REV: 0x8368,
+  UNSIGNED_INT_10F_11F_11F_REV: 0x8c3b,
+  UNSIGNED_INT_5_9_9_9_REV: 0x8c3e,
+  UNIFORM_BUFFER: 0x8a11,
+  UNIFORM_BUFFER_BINDING: 0x8a28,
+  UNIFORM_BUFFER_START: 0x8a29,
+  UNIFORM_BUFFER_SIZE: 0x8a2a,
+  MAX_VERTEX_UNIFORM_BLOCKS: 0x8a2b,
+  MAX_FRAGMENT_UNIFORM_BLOCKS: 0x8a2d,
+  MAX_COMBINED_UNIFORM_BLOCKS: 0x8a2e,
+  MAX_UNIFORM_BUFFER_BINDINGS: 0x8a2f,
+  MAX_UNIFORM_BLOCK_SIZE: 0x8a30,
+  UNIFORM_BUFFER_OFFSET_ALIGNMENT: 0x8a34,
+  ACTIVE_UNIFORM_BLOCKS: 0x8a36,
+  UNIFORM_TYPE: 0x8a37,
+  UNIFORM_SIZE: 0x8a38,
+  UNIFORM_BLOCK_INDEX: 0x8a3a,
+  UNIFORM_OFFSET: 0x8a3b,
+  UNIFORM_ARRAY_STRIDE: 0x8a3c,
+  UNIFORM_MATRIX_STRIDE: 0x8a3d,
+  UNIFORM_IS_ROW_MAJOR: 0x8a3e,
+  UNIFORM_BLOCK_BINDING: 0x8a3f,
+  UNIFORM_BLOCK_DATA_SIZE: 0x8a40,
+  UNIFORM_BLOCK_ACTIVE_UNIFORMS: 0x8a42,
+  UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES: 0x8a43,
+  UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER: 0x8a44,
+  UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER: 0x8a46,
+  INVALID_INDEX: 0xffffffff,
+  COPY_READ_BUFFER: 0x8f36,
+  COPY_WRITE_BUFFER: 0x8f37,
+  PIXEL_PACK_BUFFER: 0x88eb,
+  PIXEL_UNPACK_BUFFER: 0x88ec,
+  TRANSFORM_FEEDBACK_BUFFER: 0x8c8e,
+  STREAM_READ: 0x88e1,
+  STREAM_COPY: 0x88e2,
+  STATIC_READ: 0x88e5,
+  STATIC_COPY: 0x88e6,
+  DYNAMIC_READ: 0x88e9,
+  DYNAMIC_COPY: 0x88ea,
+  READ_FRAMEBUFFER: 0x8ca8,
+  DRAW_FRAMEBUFFER: 0x8ca9,
+  READ_FRAMEBUFFER_BINDING: 0x8caa,
+  DRAW_FRAMEBUFFER_BINDING: 0x8ca6,
+  RENDERBUFFER_SAMPLES: 0x8cab,
+  MAX_COLOR_ATTACHMENTS: 0x8cdf,
+  MAX_DRAW_BUFFERS: 0x8824,
+  DRAW_BUFFER0: 0x8825,
+  MAX_SAMPLES: 0x8d57,
+  FRAMEBUFFER_INCOMPLETE_MULTISAMPLE: 0x8d56,
+  COLOR: 0x1800,
+  DEPTH: 0x1801,
+  STENCIL: 0x1802,
+  BACK_LEFT: 0x0402,
+  SAMPLER_3D: 0x8b5f,
+  SAMPLER_2D_SHADOW: 0x8b62,
+  SAMPLER_2D_ARRAY: 0x8dc1,
+  SAMPLER_2D_ARRAY_SHADOW: 0x8dc4,
+  SAMPLER_CUBE_SHADOW: 0x8dc5,
+  UNSIGNED_INT_VEC2: 0x8dc6,
+  UNSIGNED_INT_VEC3: 0x8dc7,
+  UNSIGNED_INT_VEC4: 0x8dc8,
+  INT_SAMPLER_2D: 0x8dca,
+  INT_SAMPLER_3D: 0x8dcb,
+  INT_SAMPLER_CUBE: 0x8dcc,
+  INT_SAMPLER_2D_ARRAY: 0x8dcf,
+  UNSIGNED_INT_SAMPLER_2D: 0x8dd2,
+  UNSIGNED_INT_SAMPLER_3D: 0x8dd3,
+  UNSIGNED_INT_SAMPLER_CUBE: 0x8dd4,
+  UNSIGNED_INT_SAMPLER_2D_ARRAY: 0x8dd7,
+  FLOAT_MAT2x3: 0x8b65,
+  FLOAT_MAT2x4: 0x8b66,
+  FLOAT_MAT3x2: 0x8b67,
+  FLOAT_MAT3x4: 0x8b68,
+  FLOAT_MAT4x2: 0x8b69,
+  FLOAT_MAT4x3: 0x8b6a,
+  VERTEX_ARRAY_BINDING: 0x85b5,
+  VERTEX_ATTRIB_ARRAY_DIVISOR: 0x88fe,
+  VERTEX_ATTRIB_ARRAY_INTEGER: 0x88fd,
+  MAX_ELEMENT_INDEX: 0x8d6b,
+  SAMPLER_BINDING: 0x8919,
+};
+
+/**
+ * COLOR_ATTACHMENT1..15 (WebGL2 and WEBGL_draw_buffers).
+ */
+for (let i = 1; i < 16; i++) {
+  GL2_CONSTANTS[`COLOR_ATTACHMENT${i}`] = 0x8ce0 + i;
+  GL2_CONSTANTS[`DRAW_BUFFER${i}`] = 0x8825 + i;
+}
+
+/**
+ * GLSL type names with their GL type enum name and component count.
+ * @type {Object<string, {type: string, components: number}>}
+ */
+const GLSL_TYPES = {
+  float: { type: 'FLOAT', components: 1 },
+  vec2: { type: 'FLOAT_VEC2', components: 2 },
+  vec3: { type: 'FLOAT_VEC3', components: 3 },
+  vec4: { type: 'FLOAT_VEC4', components: 4 },
+  int: { type: 'INT', components: 1 },
+  ivec2: { type: 'INT_VEC2', components: 2 },
+  ivec3: { type: 'INT_VEC3', components: 3 },
+  ivec4: { type: 'INT_VEC4', components: 4 },
+  uint: { type: 'UNSIGNED_INT', components: 1 },
+  uvec2: { type: 'UNSIGNED_INT_VEC2', components: 2 },
+  uvec3: { type: 'UNSIGNED_INT_VEC3', components: 3 },
+  uvec4: { type: 'UNSIGNED_INT_VEC4', components: 4 },
+  bool: { type: 'BOOL', components: 1 },
+  bvec2: { type: 'BOOL_VEC2', components: 2 },
+  bvec3: { type: 'BOOL_VEC3', components: 3 },
+  bvec4: { type: 'BOOL_VEC4', components: 4 },
+  mat2: { type: 'FLOAT_MAT2', components: 4 },
+  mat3: { type: 'FLOAT_MAT3', components: 9 },
+  mat4: { type: 'FLOAT_MAT4', components: 16 },
+  mat2x3: { type: 'FLOAT_MAT2x3', components: 6 },
+  mat2x4: { type: 'FLOAT_MAT2x4', components: 8 },
+  mat3x2: { type: 'FLOAT_MAT3x2', components: 6 },
+  mat3x4: { type: 'FLOAT_MAT3x4', components: 12 },
+  mat4x2: { type: 'FLOAT_MAT4x2', components: 8 },
+  mat4x3: { type: 'FLOAT_MAT4x3', components: 12 },
+  sampler2D: { type: 'SAMPLER_2D', components: 1 },
+  samplerCube: { type: 'SAMPLER_CUBE', components: 1 },
+  sampler3D: { type: 'SAMPLER_3D', components: 1 },
+  sampler2DArray: { type: 'SAMPLER_2D_ARRAY', components: 1 },
+  sampler2DShadow: { type: 'SAMPLER_2D_SHADOW', components: 1 },
+  samplerCubeShadow: { type: 'SAMPLER_CUBE_SHADOW', components: 1 },
+  isampler2D: { type: 'INT_SAMPLER_2D', components: 1 },
+  usampler2D: { type: 'UNSIGNED_INT_SAMPLER_2D', components: 1 },
+};
+
+/**
+ * Uniform setters and the GLSL types they may target.
+ * @type {Object<string, string[]>}
+ */
+const UNIFORM_SETTER_TYPES = {
+  uniform1f: ['float', 'bool'],
+  uniform2f: ['vec2', 'bvec2'],
+  uniform3f: ['vec3', 'bvec3'],
+  uniform4f: ['vec4', 'bvec4'],
+  uniform1i: [
+    'int',
+    'bool',
+    'sampler2D',
+    'samplerCube',
+    'sampler3D',
+    'sampler2DArray',
+    'sampler2DShadow',
+    'samplerCubeShadow',
+    'isampler2D',
+    'usampler2D',
+  ],
+  uniform2i: ['ivec2', 'bvec2'],
+  uniform3i: ['ivec3', 'bvec3'],
+  uniform4i: ['ivec4', 'bvec4'],
+  uniform1ui: ['uint', 'bool'],
+  uniform2ui: ['uvec2', 'bvec2'],
+  uniform3ui: ['uvec3', 'bvec3'],
+  uniform4ui: ['uvec4', 'bvec4'],
+  uniformMatrix2fv: ['mat2'],
+  uniformMatrix3fv: ['mat3'],
+  uniformMatrix4fv: ['mat4'],
+  uniformMatrix2x3fv: ['mat2x3'],
+  uniformMatrix2x4fv: ['mat2x4'],
+  uniformMatrix3x2fv: ['mat3x2'],
+  uniformMatrix3x4fv: ['mat3x4'],
+  uniformMatrix4x2fv: ['mat4x2'],
+  uniformMatrix4x3fv: ['mat4x3'],
+};
+
+/**
+ * Extensions reported by default.
+ * @type {string[]}
+ */
+const DEFAULT_EXTENSIONS = [
+  'ANGLE_instanced_arrays',
+  'EXT_blend_minmax',
+  'OES_element_index_uint',
+  'OES_standard_derivatives',
+  'OES_texture_float',
+  'OES_texture_float_linear',
+  'OES_texture_half_float',
+  'OES_texture_half_float_linear',
+  'OES_vertex_array_object',
+  'WEBGL_depth_texture',
+  'WEBGL_draw_buffers',
+  'EXT_color_buffer_float',
+  'EXT_color_buffer_half_float',
+  'EXT_sRGB',
+  'EXT_texture_filter_anisotropic',
+];
+
+/**
+ * Base class of mock WebGL objects (buffers, textures, programs, etc.).
+ */
+export class MockWebGLObject {
+  /**
+   * Creates a mock WebGL object.
+   * @param {string} kind - Object kind ('buffer', 'texture', etc.).
+   * @param {number} id - Unique id within the context.
+   */
+  constructor(kind, id) {
+    /**
+     * Object kind.
+     * @type {string}
+     */
+    this.kind = kind;
+
+    /**
+     * Unique id within the context.
+     * @type {number}
+     */
+    this.id = id;
+
+    /**
+     * Whether the object was deleted.
+     * @type {boolean}
+     */
+    this.deleted = false;
+  }
+}
+
+/**
+ * Mock uniform location.
+ */
+export class MockWebGLUniformLocation {
+  /**
+   * Creates a mock uniform location.
+   * @param {MockWebGLObject} program - Owning program.
+   * @param {string} name - Uniform name (array element names included).
+   * @param {Object} uniform - Reflected uniform the location belongs to.
+   * @param {number} element - Array element index.
+   */
+  constructor(program, name, uniform, element) {
+    this.program = program;
+    this.name = name;
+    this.uniform = uniform;
+    this.element = element;
+  }
+}
+
+/**
+ * Strips comments from GLSL source.
+ * @param {string} source - GLSL source.
+ * @returns {string} Source without comments.
+ */
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Parses GLSL struct declarations.
+ * @param {string} source - GLSL source without comments.
+ * @returns {Object<string, Array<{type: string, name: string, arraySize: number}>>} Structs by name.
+ */
+function parseStructs(source) {
+  const structs = {};
+  const regex = /\bstruct\s+(\w+)\s*\{([^}]*)\}\s*;/g;
+  let match;
+  while ((match = regex.exec(source))) {
+    structs[match[1]] = parseMembers(match[2]);
+  }
+  return structs;
+}
+
+/**
+ * Parses member declarations ("vec3 a; float b[4];").
+ * @param {string} body - Declarations.
+ * @returns {Array<{type: string, name: string, arraySize: number}>} Members.
+ */
+function parseMembers(body) {
+  const members = [];
+  body
+    .split(';')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .forEach(line => {
+      const words = line
+        .replace(/\b(lowp|mediump|highp|layout\s*\([^)]*\))\s*/g, '')
+        .trim();
+      const match = /^(\w+)\s+(.+)$/.exec(words);
+      if (!match) {
+        return;
+      }
+      match[2].split(',').forEach(declarator => {
+        const parts = /^\s*(\w+)\s*(?:\[\s*(\d+)\s*\])?\s*$/.exec(declarator);
+        if (parts) {
+          members.push({
+            type: match[1],
+            name: parts[1],
+            arraySize: parts[2] ? parseInt(parts[2]) : 0,
+          });
+        }
+      });
+    });
+  return members;
+}
+
+/**
+ * Parses global declarations with a storage qualifier.
+ * Uniform blocks are returned separately.
+ * @param {string} source - GLSL source without comments.
+ * @param {string} qualifier - 'attribute', 'in' or 'uniform'.
+ * @returns {{declarations: Array<Object>, blocks: Array<Object>}} Declarations.
+ */
+function parseGlobals(source, qualifier) {
+  const blocks = [];
+  const withoutBlocks = source.replace(
+    new RegExp(
+      `(?:layout\\s*\\([^)]*\\)\\s*)?\\b${qualifier}\\s+(\\w+)\\s*\\{([^}]*)\\}\\s*(\\w*)\\s*;`,
+      'g'
+    ),
+    (_, blockName, body, instanceName) => {
+      blocks.push({
+        name: blockName,
+        instanceName,
+        members: parseMembers(body),
+      });
+      return '';
+    }
+  );
+
+  const declarations = [];
+  const regex = new RegExp(
+    `(?:layout\\s*\\(\\s*location\\s*=\\s*(\\d+)\\s*\\)\\s*)?(?:\\b(?:flat|smooth|centroid)\\s+)?\\b${qualifier}\\s+([^;{}]+);`,
+    'g'
+  );
+  let match;
+  while ((match = regex.exec(withoutBlocks))) {
+    parseMembers(match[2]).forEach(member => {
+      declarations.push({
+        ...member,
+        location: match[1] !== undefined ? parseInt(match[1]) : undefined,
+      });
+    });
+  }
+
+  return { declarations, blocks };
+}
+
+/**
+ * Expands declarations into active uniforms the way GL reports them:
+ * arrays of basic types become "name[0]" with a size, struct members
+ * become dotted names.
+ * @param {Array<Object>} declarations - Declarations.
+ * @param {Object} structs - Structs by name.
+ * @param {string} [prefix=''] - Name prefix.
+ * @returns {Array<{name: string, baseName: string, glslType: string, size: number}>} Active uniforms.
+ */
+function expandUniforms(declarations, structs, prefix = '') {
+  const uniforms = [];
+
+  declarations.forEach(declaration => {
+    const name = prefix + declaration.name;
+    const struct = structs[declaration.type];
+
+    if (struct) {
+      const count = declaration.arraySize || 1;
+      for (let i = 0; i < count; i++) {
+        const elementName = declaration.arraySize ? `${name}[${i}]` : name;
+        uniforms.push(...expandUniforms(struct, structs, `${elementName}.`));
+      }
+      return;
+    }
+
+    uniforms.push({
+      name: declaration.arraySize ? `${name}[0]` : name,
+      baseName: name,
+      glslType: declaration.type,
+      size: declaration.arraySize || 1,
+    });
+  });
+
+  return uniforms;
+}
+
+/**
+ * Lays out uniform block members with the std140 rules and expands them into
+ * active uniforms the way GL reports them, with their offsets and strides.
+ * @param {Array<Object>} members - Member declarations.
+ * @param {Object} structs - Structs by name.
+ * @param {string} prefix - Name prefix ("Block." for named instances).
+ * @param {number} start - Byte offset of the first member.
+ * @returns {{uniforms: Array<Object>, end: number}} Active uniforms and the
+ *     byte offset after the last member.
+ */
+function layoutBlockMembers(members, structs, prefix, start) {
+  const uniforms = [];
+  const alignTo = (value, alignment) =>
+    Math.ceil(value / alignment) * alignment;
+  let offset = start;
+
+  members.forEach(member => {
+    const name = prefix + member.name;
+    const struct = structs[member.type];
+
+    if (struct) {
+      // Structs align to 16 bytes and pad their size to 16 bytes
+      const count = member.arraySize || 1;
+      for (let i = 0; i < count; i++) {
+        const elementName = member.arraySize ? `${name}[${i}]` : name;
+        const element = layoutBlockMembers(
+          struct,
+          structs,
+          `${elementName}.`,
+          alignTo(offset, 16)
+        );
+        uniforms.push(...element.uniforms);
+        offset = alignTo(element.end, 16);
+      }
+      return;
+    }
+
+    const type = GLSL_TYPES[member.type];
+    if (!type) {
+      return;
+    }
+    // Matrices are arrays of column vectors, each padded to a vec4
+    const matrix = /^mat(\d)(?:x(\d))?$/.exec(member.type);
+    const columns = matrix ? parseInt(matrix[1]) : 1;
+    const rows = matrix ? parseInt(matrix[2] || matrix[1]) : type.components;
+    const elementSize = matrix ? columns * 16 : rows * 4;
+    const alignment =
+      matrix || member.arraySize ? 16 : rows === 1 ? 4 : rows === 2 ? 8 : 16;
+    const arrayStride = member.arraySize ? alignTo(elementSize, 16) : 0;
+
+    offset = alignTo(offset, alignment);
+    uniforms.push({
+      name: member.arraySize ? `${name}[0]` : name,
+      baseName: name,
+      glslType: member.type,
+      size: member.arraySize || 1,
+      offset,
+      arrayStride,
+      matrixStride: matrix ? 16 : 0,
+    });
+    offset += member.arraySize ? arrayStride * member.arraySize : elementSize;
+  });
+
+  return { uniforms, end: offset };
+}
+
+/**
+ * Recording stand-in for WebGLRenderingContext.
+ * Every method call is appended to calls; invalid calls throw (or record a GL
+ * error when throwOnError is false).
+ */
+export class MockWebGLRenderingContext {
+  /**
+   * Creates a mock WebGL context.
+   * @param {MockWebGLOptions} [options] - Mock options.
+   */
+  constructor(options = {}) {
+    Object.assign(this, GL_CONSTANTS);
+
+    /**
+     * Recorded calls.
+     * @type {Array<RecordedCall>}
+     */
+    this.calls = [];
+
+    /**
+     * Validation errors recorded so far.
+     * @type {Array<{code: number, message: string}>}
+     */
+    this.errors = [];
+
+    /**
+     * Mock options.
+     * @type {MockWebGLOptions}
+     * @private
+     */
+    this.options_ = {
+      extensions: DEFAULT_EXTENSIONS,
+      throwOnError: true,
+      ...options,
+    };
+
+    this.drawingBufferWidth = this.options_.width || 300;
+    this.drawingBufferHeight = this.options_.height || 150;
+    this.canvas = {
+      width: this.drawingBufferWidth,
+      height: this.drawingBufferHeight,
+    };
+
+    /**
+     * Next object id.
+     * @type {number}
+     * @private
+     */
+    this.nextId_ = 1;
+
+    /**
+     * Extension objects already returned.
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this.extensions_ = new Map();
+
+    /**
+     * Context state.
+     * @type {Object}
+     */
+    this.state = {
+      buffers: new Map(),
+      textureUnits: [],
+      activeTexture: 0,
+      program: null,
+      framebuffer: null,
+      renderbuffer: null,
+      enabled: new Set(),
+      vertexArray: this.createVertexArrayState_(),
+      pixelStore: {},
+      viewport: [0, 0, this.drawingBufferWidth, this.drawingBufferHeight],
+      clearColor: [0, 0, 0, 0],
+      depthFunc: GL_CONSTANTS.LESS,
+      depthMask: true,
+      cullFace: GL_CONSTANTS.BACK,
+      frontFace: GL_CONSTANTS.CCW,
+      blendFunc: [GL_CONSTANTS.ONE, GL_CONSTANTS.ZERO],
+    };
+
+    this.recordCalls_();
+  }
+
+  /**
+   * Wraps every public method so its calls are recorded.
+   * @private
+   */
+  recordCalls_() {
+    const skip = new Set([
+      'constructor',
+      'clearCalls',
+      'findCalls',
+      'callNames',
+    ]);
+    let proto = Object.getPrototypeOf(this);
+    const seen = new Set();
+
+    while (proto && proto !== Object.prototype) {
+      Object.getOwnPropertyNames(proto).forEach(name => {
+        if (skip.has(name) || name.endsWith('_') || seen.has(name)) {
+          return;
+        }
+        const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+        if (typeof descriptor.value !== 'function') {
+          return;
+        }
+        seen.add(name);
+        const method = descriptor.value;
+        this[name] = (...args) => {
+          this.calls.push({ name, args });
+          return method.apply(this, args);
+        };
+      });
+      proto = Object.getPrototypeOf(proto);
+    }
+  }
+
+  /**
+   * Removes all recorded calls.
+   */
+  clearCalls() {
+    this.calls.length = 0;
+  }
+
+  /**
+   * Returns recorded calls of one method.
+   * @param {string} name - Method name.
+   * @returns {Array<RecordedCall>} Matching calls.
+   */
+  findCalls(name) {
+    return this.calls.filter(call => call.name === name);
+  }
+
+  /**
+   * Returns the names of all recorded calls in order.
+   * @returns {string[]} Method names.
+   */
+  callNames() {
+    return this.calls.map(call => call.name);
+  }
+
+  /**
+   * Records a validation error.
+   * @param {number} code - GL error code.
+   * @param {string} message - Error description.
+   * @private
+   */
+  fail_(code, message) {
+    this.errors.push({ code, message });
+    if (this.options_.throwOnError) {
+      throw new Error(`MockWebGL: ${message}`);
+    }
+  }
+
+  /**
+   * Validates that an object is a live object of the given kind.
+   * @param {*} object - Object to check.
+   * @param {string} kind - Expected kind.
+   * @param {string} method - Calling method.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  checkObject_(object, kind, method) {
+    if (!(object instanceof MockWebGLObject) || object.kind !== kind) {
+      this.fail_(this.INVALID_VALUE, `${method}: expected a ${kind}.`);
+      return false;
+    }
+    if (object.deleted) {
+      this.fail_(this.INVALID_OPERATION, `${method}: ${kind} was deleted.`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validates an enum value.
+   * @param {number} value - Value to check.
+   * @param {string[]} names - Allowed constant names.
+   * @param {string} method - Calling method.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  checkEnum_(value, names, method) {
+    if (!names.some(name => this[name] === value)) {
+      this.fail_(
+        this.INVALID_ENUM,
+        `${method}: invalid enum 0x${Number(value).toString(
+          16
+        )} (expected ${names.join(', ')}).`
+      );
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Creates a new mock object.
+   * @param {string} kind - Object kind.
+   * @returns {MockWebGLObject} Created object.
+   * @private
+   */
+  createObject_(kind) {
+    return new MockWebGLObject(kind, this.nextId_++);
+  }
+
+  /**
+   * Creates empty vertex array state.
+   * @returns {{attributes: Array<Object>, elementArrayBuffer: ?MockWebGLObject}} State.
+   * @private
+   */
+  createVertexArrayState_() {
+    return {
+      attributes: Array.from({ length: 16 }, () => ({
+        enabled: false,
+        buffer: null,
+        size: 4,
+        type: GL_CONSTANTS.FLOAT,
+        normalized: false,
+        stride: 0,
+        offset: 0,
+        divisor: 0,
+      })),
+      elementArrayBuffer: null,
+    };
+  }
+
+  /**
+   * Buffer binding targets accepted by this context.
+   * @returns {string[]} Target constant names.
+   * @private
+   */
+  bufferTargets_() {
+    return ['ARRAY_BUFFER', 'ELEMENT_ARRAY_BUFFER'];
+  }
+
+  /**
+   * Texture binding targets accepted by this context.
+   * @returns {string[]} Target constant names.
+   * @private
+   */
+  textureTargets_() {
+    return ['TEXTURE_2D', 'TEXTURE_CUBE_MAP'];
+  }
+
+  /**
+   * Returns the buffer bound to a target.
+   * @param {number} target - Buffer target.
+   * @returns {?MockWebGLObject} Bound buffer.
+   * @private
+   */
+  boundBuffer_(target) {
+    if (target === this.ELEMENT_ARRAY_BUFFER) {
+      return this.state.vertexArray.elementArrayBuffer;
+    }
+    return this.state.buffers.get(target) || null;
+  }
+
+  /**
+   * Returns the texture bound to a target on the active unit.
+   * @param {number} target - Texture target (cube faces map to TEXTURE_CUBE_MAP).
+   * @returns {?MockWebGLObject} Bound texture.
+   * @private
+   */
+  boundTexture_(target) {
+    const bindTarget =
+      target >= this.TEXTURE_CUBE_MAP_POSITIVE_X &&
+      target <= this.TEXTURE_CUBE_MAP_NEGATIVE_Z
+        ? this.TEXTURE_CUBE_MAP
+        : target;
+    const unit = this.state.textureUnits[this.state.activeTexture];
+    return (unit && unit.get(bindTarget)) || null;
+  }
+
+  // Context info
+
+  getContextAttributes() {
+    return { alpha: true, depth: true, stencil: false, antialias: true };
+  }
+
+  isContextLost() {
+    return false;
+  }
+
+  getSupportedExtensions() {
+    return [...this.options_.extensions];
+  }
+
+  getExtension(name) {
+    if (!this.options_.extensions.includes(name)) {
+      return null;
+    }
+    if (!this.extensions_.has(name)) {
+      this.extensions_.set(name, this.createExtension_(name));
+    }
+    return this.extensions_.get(name);
+  }
+
+  /**
+   * Creates a mock extension object.
+   * @param {string} name - Extension name.
+   * @returns {Object} Extension object.
+   * @private
+   */
+  createExtension_(name) {
+    switch (name) {
+      case 'ANGLE_instanced_arrays':
+        return {
+          VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE: 0x88fe,
+          vertexAttribDivisorANGLE: (index, divisor) => {
+            this.calls.push({
+              name: 'vertexAttribDivisorANGLE',
+              args: [index, divisor],
+            });
+            this.state.vertexArray.attributes[index].divisor = divisor;
+          },
+          drawArraysInstancedANGLE: (mode, first, count, instances) => {
+            this.calls.push({
+              name: 'drawArraysInstancedANGLE',
+              args: [mode, first, count, instances],
+            });
+            this.validateDraw_('drawArraysInstancedANGLE', mode);
+          },
+          drawElementsInstancedANGLE: (
+            mode,
+            count,
+            type,
+            offset,
+            instances
+          ) => {
+            this.calls.push({
+              name: 'drawElementsInstancedANGLE',
+              args: [mode, count, type, offset, instances],
+            });
+            this.validateDrawElements_(
+              'drawElementsInstancedANGLE',
+              mode,
+              count,
+              type,
+              offset
+            );
+          },
+        };
+      case 'WEBGL_draw_buffers': {
+        const extension = {
+          drawBuffersWEBGL: buffers => {
+            this.calls.push({ name: 'drawBuffersWEBGL', args: [buffers] });
+          },
+          MAX_COLOR_ATTACHMENTS_WEBGL: 0x8cdf,
+          MAX_DRAW_BUFFERS_WEBGL: 0x8824,
+        };
+        for (let i = 0; i < 16; i++) {
+          extension[`COLOR_ATTACHMENT${i}_WEBGL`] = 0x8ce0 + i;
+          extension[`DRAW_BUFFER${i}_WEBGL`] = 0x8825 + i;
+        }
+        return extension;
+      }
+      case 'OES_vertex_array_object':
+        return {
+          VERTEX_ARRAY_BINDING_OES: 0x85b5,
+          createVertexArrayOES: () => this.createVertexArray_(),
+          bindVertexArrayOES: vao => this.bindVertexArray_(vao),
+          deleteVertexArrayOES: vao => {
+            if (vao) vao.deleted = true;
+          },
+        };
+      case 'EXT_blend_minmax':
+        return { MIN_EXT: 0x8007, MAX_EXT: 0x8008 };
+      case 'OES_texture_half_float':
+        return { HALF_FLOAT_OES: 0x8d61 };
+      case 'WEBGL_depth_texture':
+        return { UNSIGNED_INT_24_8_WEBGL: 0x84fa };
+      case 'EXT_sRGB':
+        return {
+          SRGB_EXT: 0x8c40,
+          SRGB_ALPHA_EXT: 0x8c42,
+          SRGB8_ALPHA8_EXT: 0x8c43,
+        };
+      case 'EXT_texture_filter_anisotropic':
+        return {
+          TEXTURE_MAX_ANISOTROPY_EXT: 0x84fe,
+          MAX_TEXTURE_MAX_ANISOTROPY_EXT: 0x84ff,
+        };
+      default:
+        return {};
+    }
+  }
+
+  getParameter(pname) {
+    switch (pname) {
+      case this.MAX_VERTEX_ATTRIBS:
+        return 16;
+      case this.MAX_TEXTURE_IMAGE_UNITS:
+      case this.MAX_VERTEX_TEXTURE_IMAGE_UNITS:
+        return 16;
+      case this.MAX_COMBINED_TEXTURE_IMAGE_UNITS:
+        return 32;
+      case this.MAX_TEXTURE_SIZE:
+      case this.MAX_CUBE_MAP_TEXTURE_SIZE:
+      case this.MAX_RENDERBUFFER_SIZE:
+        return 4096;
+      case this.VIEWPORT:
+        return new Int32Array(this.state.viewport);
+      case this.CURRENT_PROGRAM:
+        return this.state.program;
+      case this.FRAMEBUFFER_BINDING:
+        return this.state.framebuffer;
+      case this.ACTIVE_TEXTURE:
+        return this.TEXTURE0 + this.state.activeTexture;
+      case this.VERSION:
+        return 'WebGL 1.0 (Mock)';
+      case this.SHADING_LANGUAGE_VERSION:
+        return 'WebGL GLSL ES 1.0 (Mock)';
+      default:
+        return null;
+    }
+  }
+
+  getError() {
+    const error = this.errors.shift();
+    return error ? error.code : this.NO_ERROR;
+  }
+
+  // State
+
+  enable(cap) {
+    if (this.checkEnum_(cap, this.capabilities_(), 'enable')) {
+      this.state.enabled.add(cap);
+    }
+  }
+
+  disable(cap) {
+    if (this.checkEnum_(cap, this.capabilities_(), 'disable')) {
+      this.state.enabled.delete(cap);
+    }
+  }
+
+  isEnabled(cap) {
+    return this.state.enabled.has(cap);
+  }
+
+  /**
+   * Capabilities accepted by enable/disable.
+   * @returns {string[]} Capability constant names.
+   * @private
+   */
+  capabilities_() {
+    return [
+      'BLEND',
+      'CULL_FACE',
+      'DEPTH_TEST',
+      'DITHER',
+      'POLYGON_OFFSET_FILL',
+      'SAMPLE_ALPHA_TO_COVERAGE',
+      'SAMPLE_COVERAGE',
+      'SCISSOR_TEST',
+      'STENCIL_TEST',
+    ];
+  }
+
+  viewport(x, y, width, height) {
+    if (width < 0 || height < 0) {
+      this.fail_(this.INVALID_VALUE, 'viewport: negative size.');
+      return;
+    }
+    this.state.viewport = [x, y, width, height];
+  }
+
+  scissor() {}
+
+  clearColor(r, g, b, a) {
+    this.state.clearColor = [r, g, b, a];
+  }
+
+  clearDepth() {}
+
+  clearStencil() {}
+
+  clear(mask) {
+    const all =
+      this.COLOR_BUFFER_BIT | this.DEPTH_BUFFER_BIT | this.STENCIL_BUFFER_BIT;
+    if (mask & ~all) {
+      this.fail_(this.INVALID_VALUE, 'clear: invalid mask.');
+    }
+  }
+
+  colorMask() {}
+
+  depthFunc(func) {
+    if (
+      this.checkEnum_(
+        func,
+        [
+          'NEVER',
+          'LESS',
+          'EQUAL',
+          'LEQUAL',
+          'GREATER',
+          'NOTEQUAL',
+          'GEQUAL',
+          'ALWAYS',
+        ],
+        'depthFunc'
+      )
+    ) {
+      this.state.depthFunc = func;
+    }
+  }
+
+  depthMask(flag) {
+    this.state.depthMask = !!flag;
+  }
+
+  depthRange() {}
+
+  cullFace(mode) {
+    if (
+      this.checkEnum_(mode, ['FRONT', 'BACK', 'FRONT_AND_BACK'], 'cullFace')
+    ) {
+      this.state.cullFace = mode;
+    }
+  }
+
+  frontFace(mode) {
+    if (this.checkEnum_(mode, ['CW', 'CCW'], 'frontFace')) {
+      this.state.frontFace = mode;
+    }
+  }
+
+  blendFunc(src, dst) {
+    this.state.blendFunc = [src, dst];
+  }
+
+  blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha) {
+    this.state.blendFunc = [srcRGB, dstRGB, srcAlpha, dstAlpha];
+  }
+
+  blendEquation() {}
+
+  blendEquationSeparate() {}
+
+  blendColor() {}
+
+  stencilFunc() {}
+
+  stencilOp() {}
+
+  stencilMask() {}
+
+  polygonOffset() {}
+
+  lineWidth() {}
+
+  hint() {}
+
+  pixelStorei(pname, param) {
+    this.state.pixelStore[pname] = param;
+  }
+
+  flush() {}
+
+  finish() {}
+
+  // Buffers
+
+  createBuffer() {
+    const buffer = this.createObject_('buffer');
+    buffer.size = 0;
+    buffer.usage = this.STATIC_DRAW;
+    buffer.target = null;
+    buffer.data = null;
+    return buffer;
+  }
+
+  deleteBuffer(buffer) {
+    if (buffer) {
+      buffer.deleted = true;
+    }
+  }
+
+  isBuffer(buffer) {
+    return buffer instanceof MockWebGLObject && buffer.kind === 'buffer';
+  }
+
+  bindBuffer(target, buffer) {
+    if (!this.checkEnum_(target, this.bufferTargets_(), 'bindBuffer')) {
+      return;
+    }
+    if (buffer !== null && !this.checkObject_(buffer, 'buffer', 'bindBuffer')) {
+      return;
+    }
+
+    if (buffer) {
+      const isElement = target === this.ELEMENT_ARRAY_BUFFER;
+      if (
+        buffer.target !== null &&
+        (buffer.target === this.ELEMENT_ARRAY_BUFFER) !== isElement
+      ) {
+        this.fail_(
+          this.INVALID_OPERATION,
+          'bindBuffer: buffers cannot switch between element and non-element targets.'
+        );
+        return;
+      }
+      buffer.target = target;
+    }
+
+    if (target === this.ELEMENT_ARRAY_BUFFER) {
+      this.state.vertexArray.elementArrayBuffer = buffer;
+    } else {
+      this.state.buffers.set(target, buffer);
+    }
+  }
+
+  bufferData(target, dataOrSize, usage) {
+    const buffer = this.boundBuffer_(target);
+    if (!buffer) {
+      this.fail_(this.INVALID_OPERATION, 'bufferData: no buffer bound.');
+      return;
+    }
+    if (
+      !this.checkEnum_(
+        usage,
+        [
+          'STREAM_DRAW',
+          'STATIC_DRAW',
+          'DYNAMIC_DRAW',
+          ...(this.STATIC_READ ? ['STATIC_READ', 'DYNAMIC_READ'] : []),
+          ...(this.STATIC_COPY ? ['STATIC_COPY', 'DYNAMIC_COPY'] : []),
+          ...(this.STREAM_READ ? ['STREAM_READ', 'STREAM_COPY'] : []),
+        ],
+        'bufferData'
+      )
+    ) {
+      return;
+    }
+
+    if (typeof dataOrSize === 'number') {
+      if (dataOrSize < 0) {
+        this.fail_(this.INVALID_VALUE, 'bufferData: negative size.');
+        return;
+      }
+      buffer.data = new Uint8Array(dataOrSize);
+    } else if (
+      dataOrSize instanceof ArrayBuffer ||
+      ArrayBuffer.isView(dataOrSize)
+    ) {
+      buffer.data =
+        dataOrSize instanceof ArrayBuffer
+          ? new Uint8Array(dataOrSize.slice(0))
+          : new Uint8Array(
+              dataOrSize.buffer.slice(
+                dataOrSize.byteOffset,
+                dataOrSize.byteOffset + dataOrSize.byteLength
+              )
+            );
+    } else {
+      this.fail_(this.INVALID_VALUE, 'bufferData: invalid data.');
+      return;
+    }
+
+    buffer.size = buffer.data.byteLength;
+    buffer.usage = usage;
+  }
+
+  bufferSubData(target, offset, data) {
+    const buffer = this.boundBuffer_(target);
+    if (!buffer) {
+      this.fail_(this.INVALID_OPERATION, 'bufferSubData: no buffer bound.');
+      return;
+    }
+    if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+      this.fail_(this.INVALID_VALUE, 'bufferSubData: invalid data.');
+      return;
+    }
+    if (offset < 0 || offset + data.byteLength > buffer.size) {
+      this.fail_(this.INVALID_VALUE, 'bufferSubData: data out of range.');
+      return;
+    }
+    const bytes =
+      data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    buffer.data.set(bytes, offset);
+  }
+
+  getBufferParameter(target, pname) {
+    const buffer = this.boundBuffer_(target);
+    if (!buffer) {
+      return null;
+    }
+    if (pname === this.BUFFER_SIZE) return buffer.size;
+    if (pname === this.BUFFER_USAGE) return buffer.usage;
+    return null;
+  }
+
+  // Vertex attributes
+
+  enableVertexAttribArray(index) {
+    if (this.checkAttributeIndex_(index, 'enableVertexAttribArray')) {
+      this.state.vertexArray.attributes[index].enabled = true;
+    }
+  }
+
+  disableVertexAttribArray(index) {
+    if (this.checkAttributeIndex_(index, 'disableVertexAttribArray')) {
+      this.state.vertexArray.attributes[index].enabled = false;
+    }
+  }
+
+  /**
+   * Validates a vertex attribute index.
+   * @param {number} index - Attribute index.
+   * @param {string} method - Calling method.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  checkAttributeIndex_(index, method) {
+    if (!Number.isInteger(index) || index < 0 || index >= 16) {
+      this.fail_(this.INVALID_VALUE, `${method}: invalid index ${index}.`);
+      return false;
+    }
+    return true;
+  }
+
+  vertexAttribPointer(index, size, type, normalized, stride, offset) {
+    if (!this.checkAttributeIndex_(index, 'vertexAttribPointer')) {
+      return;
+    }
+    if (size < 1 || size > 4) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `vertexAttribPointer: invalid size ${size}.`
+      );
+      return;
+    }
+    if (
+      !this.checkEnum_(
+        type,
+        [
+          'BYTE',
+          'UNSIGNED_BYTE',
+          'SHORT',
+          'UNSIGNED_SHORT',
+          'FLOAT',
+          ...(this.HALF_FLOAT ? ['HALF_FLOAT', 'INT', 'UNSIGNED_INT'] : []),
+        ],
+        'vertexAttribPointer'
+      )
+    ) {
+      return;
+    }
+    if (stride < 0 || stride > 255 || offset < 0) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'vertexAttribPointer: invalid stride or offset.'
+      );
+      return;
+    }
+    const buffer = this.state.buffers.get(this.ARRAY_BUFFER);
+    if (!buffer && offset !== 0) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'vertexAttribPointer: no ARRAY_BUFFER bound.'
+      );
+      return;
+    }
+
+    Object.assign(this.state.vertexArray.attributes[index], {
+      buffer: buffer || null,
+      size,
+      type,
+      normalized: !!normalized,
+      stride,
+      offset,
+    });
+  }
+
+  vertexAttrib1f() {}
+
+  vertexAttrib2f() {}
+
+  vertexAttrib3f() {}
+
+  vertexAttrib4f() {}
+
+  vertexAttrib4fv() {}
+
+  getVertexAttrib(index, pname) {
+    const attribute = this.state.vertexArray.attributes[index];
+    switch (pname) {
+      case this.VERTEX_ATTRIB_ARRAY_ENABLED:
+        return attribute.enabled;
+      case this.VERTEX_ATTRIB_ARRAY_SIZE:
+        return attribute.size;
+      case this.VERTEX_ATTRIB_ARRAY_TYPE:
+        return attribute.type;
+      case this.VERTEX_ATTRIB_ARRAY_STRIDE:
+        return attribute.stride;
+      case this.VERTEX_ATTRIB_ARRAY_NORMALIZED:
+        return attribute.normalized;
+      case this.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING:
+        return attribute.buffer;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Creates a vertex array object (WebGL2 / OES_vertex_array_object).
+   * @returns {MockWebGLObject} Vertex array.
+   * @private
+   */
+  createVertexArray_() {
+    const vao = this.createObject_('vertexArray');
+    vao.state = this.createVertexArrayState_();
+    return vao;
+  }
+
+  /**
+   * Binds a vertex array object (null binds the default one).
+   * @param {?MockWebGLObject} vao - Vertex array.
+   * @private
+   */
+  bindVertexArray_(vao) {
+    if (vao && !this.checkObject_(vao, 'vertexArray', 'bindVertexArray')) {
+      return;
+    }
+    if (!this.defaultVertexArray_) {
+      this.defaultVertexArray_ = this.state.vertexArray;
+    }
+    this.state.vertexArray = vao ? vao.state : this.defaultVertexArray_;
+  }
+
+  // Shaders and programs
+
+  createShader(type) {
+    if (
+      !this.checkEnum_(
+        type,
+        ['VERTEX_SHADER', 'FRAGMENT_SHADER'],
+        'createShader'
+      )
+    ) {
+      return null;
+    }
+    const shader = this.createObject_('shader');
+    shader.type = type;
+    shader.source = '';
+    shader.compiled = false;
+    shader.infoLog = '';
+    return shader;
+  }
+
+  deleteShader(shader) {
+    if (shader) {
+      shader.deleted = true;
+    }
+  }
+
+  shaderSource(shader, source) {
+    if (this.checkObject_(shader, 'shader', 'shaderSource')) {
+      shader.source = String(source);
+    }
+  }
+
+  /**
+   * Compiles a shader. Compilation fails for empty sources and sources with an
+   * "#error" directive, reporting the line in ANGLE info log format.
+   * @param {MockWebGLObject} shader - Shader.
+   */
+  compileShader(shader) {
+    if (!this.checkObject_(shader, 'shader', 'compileShader')) {
+      return;
+    }
+
+    const lines = shader.source.split('\n');
+    const errorLine = lines.findIndex(line => /^\s*#error\b/.test(line));
+
+    if (!shader.source.trim()) {
+      shader.compiled = false;
+      shader.infoLog = "ERROR: 0:1: '' : empty shader source\n";
+    } else if (errorLine !== -1) {
+      shader.compiled = false;
+      shader.infoLog = `ERROR: 0:${errorLine + 1}: '#error' : ${lines[errorLine]
+        .replace(/^\s*#error\s*/, '')
+        .trim()}\n`;
+    } else {
+      shader.compiled = true;
+      shader.infoLog = '';
+    }
+  }
+
+  getShaderParameter(shader, pname) {
+    if (pname === this.COMPILE_STATUS) return shader.compiled;
+    if (pname === this.SHADER_TYPE) return shader.type;
+    if (pname === this.DELETE_STATUS) return shader.deleted;
+    return null;
+  }
+
+  getShaderInfoLog(shader) {
+    return shader.infoLog;
+  }
+
+  getShaderSource(shader) {
+    return shader.source;
+  }
+
+  createProgram() {
+    const program = this.createObject_('program');
+    program.shaders = [];
+    program.linked = false;
+    program.infoLog = '';
+    program.boundAttributes = new Map();
+    program.attributes = [];
+    program.uniforms = [];
+    program.uniformBlocks = [];
+    program.uniformValues = new Map();
+    return program;
+  }
+
+  deleteProgram(program) {
+    if (program) {
+      program.deleted = true;
+    }
+  }
+
+  attachShader(program, shader) {
+    if (
+      this.checkObject_(program, 'program', 'attachShader') &&
+      this.checkObject_(shader, 'shader', 'attachShader')
+    ) {
+      if (program.shaders.some(other => other.type === shader.type)) {
+        this.fail_(
+          this.INVALID_OPERATION,
+          'attachShader: a shader of this type is already attached.'
+        );
+        return;
+      }
+      program.shaders.push(shader);
+    }
+  }
+
+  detachShader(program, shader) {
+    program.shaders = program.shaders.filter(other => other !== shader);
+  }
+
+  bindAttribLocation(program, index, name) {
+    if (!this.checkObject_(program, 'program', 'bindAttribLocation')) {
+      return;
+    }
+    if (!this.checkAttributeIndex_(index, 'bindAttribLocation')) {
+      return;
+    }
+    if (name.startsWith('gl_')) {
+      this.fail_(this.INVALID_OPERATION, 'bindAttribLocation: reserved name.');
+      return;
+    }
+    program.boundAttributes.set(name, index);
+  }
+
+  /**
+   * Links a program and reflects its attributes and uniforms from the GLSL
+   * sources. Every declared attribute and uniform is treated as active.
+   * @param {MockWebGLObject} program - Program.
+   */
+  linkProgram(program) {
+    if (!this.checkObject_(program, 'program', 'linkProgram')) {
+      return;
+    }
+
+    const vertex = program.shaders.find(s => s.type === this.VERTEX_SHADER);
+    const fragment = program.shaders.find(s => s.type === this.FRAGMENT_SHADER);
+
+    if (!vertex || !fragment || !vertex.compiled || !fragment.compiled) {
+      program.linked = false;
+      program.infoLog = 'Link error: missing or uncompiled shaders.';
+      return;
+    }
+
+    const vertexSource = stripComments(vertex.source);
+    const fragmentSource = stripComments(fragment.source);
+    const isES3 = /^\s*#version\s+300\s+es/m.test(vertexSource);
+
+    // Attributes
+    const { declarations: attributes } = parseGlobals(
+      vertexSource,
+      isES3 ? 'in' : 'attribute'
+    );
+    const usedLocations = new Set();
+    program.attributes = attributes.map(attribute => {
+      const location = program.boundAttributes.has(attribute.name)
+        ? program.boundAttributes.get(attribute.name)
+        : attribute.location;
+      if (location !== undefined) {
+        usedLocations.add(location);
+      }
+      return { ...attribute, location };
+    });
+    program.attributes.forEach(attribute => {
+      if (attribute.location === undefined) {
+        let location = 0;
+        while (usedLocations.has(location)) location++;
+        attribute.location = location;
+        usedLocations.add(location);
+      }
+    });
+
+    // Uniforms (vertex and fragment declarations are merged by name)
+    const structs = {
+      ...parseStructs(vertexSource),
+      ...parseStructs(fragmentSource),
+    };
+    const vertexUniforms = parseGlobals(vertexSource, 'uniform');
+    const fragmentUniforms = parseGlobals(fragmentSource, 'uniform');
+
+    const uniforms = new Map();
+    [
+      ...expandUniforms(vertexUniforms.declarations, structs),
+      ...expandUniforms(fragmentUniforms.declarations, structs),
+    ].forEach(uniform => {
+      if (!GLSL_TYPES[uniform.glslType]) {
+        return;
+      }
+      uniforms.set(uniform.name, { ...uniform, blockIndex: -1 });
+    });
+    program.uniforms = [...uniforms.values()];
+
+    // Block members are active uniforms without a location
+    const blocks = new Map();
+    [...vertexUniforms.blocks, ...fragmentUniforms.blocks].forEach(block => {
+      blocks.set(block.name, { ...block, binding: 0 });
+    });
+    program.uniformBlocks = [...blocks.values()];
+    program.uniformBlocks.forEach((block, blockIndex) => {
+      const { uniforms: members, end } = layoutBlockMembers(
+        block.members,
+        structs,
+        block.instanceName ? `${block.name}.` : '',
+        0
+      );
+      block.dataSize = Math.ceil(end / 16) * 16;
+      block.uniformIndices = members.map(
+        member => program.uniforms.push({ ...member, blockIndex }) - 1
+      );
+    });
+
+    program.uniformValues = new Map();
+    program.linked = true;
+    program.infoLog = '';
+  }
+
+  getProgramParameter(program, pname) {
+    switch (pname) {
+      case this.LINK_STATUS:
+        return program.linked;
+      case this.DELETE_STATUS:
+        return program.deleted;
+      case this.VALIDATE_STATUS:
+        return program.linked;
+      case this.ATTACHED_SHADERS:
+        return program.shaders.length;
+      case this.ACTIVE_ATTRIBUTES:
+        return program.attributes.length;
+      case this.ACTIVE_UNIFORMS:
+        return program.uniforms.length;
+      default:
+        if (pname === this.ACTIVE_UNIFORM_BLOCKS) {
+          return program.uniformBlocks.length;
+        }
+        return null;
+    }
+  }
+
+  getProgramInfoLog(program) {
+    return program.infoLog;
+  }
+
+  validateProgram() {}
+
+  useProgram(program) {
+    if (program !== null) {
+      if (!this.checkObject_(program, 'program', 'useProgram')) {
+        return;
+      }
+      if (!program.linked) {
+        this.fail_(this.INVALID_OPERATION, 'useProgram: program not linked.');
+        return;
+      }
+    }
+    this.state.program = program;
+  }
+
+  getAttribLocation(program, name) {
+    const attribute = program.attributes.find(a => a.name === name);
+    return attribute ? attribute.location : -1;
+  }
+
+  getActiveAttrib(program, index) {
+    const attribute = program.attributes[index];
+    if (!attribute) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `getActiveAttrib: invalid index ${index}.`
+      );
+      return null;
+    }
+    return {
+      name: attribute.name,
+      size: attribute.arraySize || 1,
+      type: this[GLSL_TYPES[attribute.type].type],
+    };
+  }
+
+  getActiveUniform(program, index) {
+    const uniform = program.uniforms[index];
+    if (!uniform) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `getActiveUniform: invalid index ${index}.`
+      );
+      return null;
+    }
+    return {
+      name: uniform.name,
+      size: uniform.size,
+      type: this[GLSL_TYPES[uniform.glslType].type],
+    };
+  }
+
+  getUniformLocation(program, name) {
+    if (!this.checkObject_(program, 'program', 'getUniformLocation')) {
+      return null;
+    }
+    if (!program.linked) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'getUniformLocation: program not linked.'
+      );
+      return null;
+    }
+
+    const match = /^(.*?)(?:\[(\d+)\])?$/.exec(name);
+    const baseName = match[1];
+    const element = match[2] !== undefined ? parseInt(match[2]) : 0;
+
+    const uniform = program.uniforms.find(
+      u => u.blockIndex === -1 && (u.name === name || u.baseName === baseName)
+    );
+    if (!uniform || element >= uniform.size) {
+      return null;
+    }
+
+    return new MockWebGLUniformLocation(program, name, uniform, element);
+  }
+
+  getUniform(program, location) {
+    return program.uniformValues.get(location.uniform.baseName) ?? null;
+  }
+
+  /**
+   * Validates and stores a uniform value.
+   * @param {string} method - Uniform setter name.
+   * @param {?MockWebGLUniformLocation} location - Uniform location.
+   * @param {Array<number>|ArrayLike<number>} values - Values.
+   * @param {boolean} isArray - Whether the setter is a "v" variant.
+   * @private
+   */
+  setUniform_(method, location, values, isArray) {
+    if (location === null) {
+      // Setting a null location is a silent no-op in WebGL
+      return;
+    }
+    if (!(location instanceof MockWebGLUniformLocation)) {
+      this.fail_(this.INVALID_VALUE, `${method}: invalid location.`);
+      return;
+    }
+    if (location.program !== this.state.program) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        `${method}: location does not belong to the current program.`
+      );
+      return;
+    }
+
+    const setterName = method.replace(/v$/, '');
+    const allowed =
+      UNIFORM_SETTER_TYPES[setterName] || UNIFORM_SETTER_TYPES[method];
+    const { uniform } = location;
+    if (!allowed || !allowed.includes(uniform.glslType)) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        `${method}: cannot set uniform "${uniform.name}" of type ${uniform.glslType}.`
+      );
+      return;
+    }
+
+    const components = GLSL_TYPES[uniform.glslType].components;
+    if (isArray) {
+      if (values.length === 0 || values.length % components !== 0) {
+        this.fail_(
+          this.INVALID_VALUE,
+          `${method}: value length ${values.length} is not a multiple of ${components}.`
+        );
+        return;
+      }
+      if (uniform.size === 1 && values.length > components) {
+        this.fail_(
+          this.INVALID_OPERATION,
+          `${method}: too many values for non-array uniform "${uniform.name}".`
+        );
+        return;
+      }
+    }
+
+    const program = location.program;
+    if (!program.uniformValues.has(uniform.baseName)) {
+      program.uniformValues.set(
+        uniform.baseName,
+        new Array(components * uniform.size).fill(0)
+      );
+    }
+    const stored = program.uniformValues.get(uniform.baseName);
+    const start = location.element * components;
+    const count = Math.min(values.length, stored.length - start);
+    for (let i = 0; i < count; i++) {
+      stored[start + i] = Number(values[i]);
+    }
+  }
+
+  uniform1f(location, x) {
+    this.setUniform_('uniform1f', location, [x], false);
+  }
+
+  uniform2f(location, x, y) {
+    this.setUniform_('uniform2f', location, [x, y], false);
+  }
+
+  uniform3f(location, x, y, z) {
+    this.setUniform_('uniform3f', location, [x, y, z], false);
+  }
+
+  uniform4f(location, x, y, z, w) {
+    this.setUniform_('uniform4f', location, [x, y, z, w], false);
+  }
+
+  uniform1i(location, x) {
+    this.setUniform_('uniform1i', location, [x], false);
+  }
+
+  uniform2i(location, x, y) {
+    this.setUniform_('uniform2i', location, [x, y], false);
+  }
+
+  uniform3i(location, x, y, z) {
+    this.setUniform_('uniform3i', location, [x, y, z], false);
+  }
+
+  uniform4i(location, x, y, z, w) {
+    this.setUniform_('uniform4i', location, [x, y, z, w], false);
+  }
+
+  uniform1fv(location, values) {
+    this.setUniform_('uniform1fv', location, values, true);
+  }
+
+  uniform2fv(location, values) {
+    this.setUniform_('uniform2fv', location, values, true);
+  }
+
+  uniform3fv(location, values) {
+    this.setUniform_('uniform3fv', location, values, true);
+  }
+
+  uniform4fv(location, values) {
+    this.setUniform_('uniform4fv', location, values, true);
+  }
+
+  uniform1iv(location, values) {
+    this.setUniform_('uniform1iv', location, values, true);
+  }
+
+  uniform2iv(location, values) {
+    this.setUniform_('uniform2iv', location, values, true);
+  }
+
+  uniform3iv(location, values) {
+    this.setUniform_('uniform3iv', location, values, true);
+  }
+
+  uniform4iv(location, values) {
+    this.setUniform_('uniform4iv', location, values, true);
+  }
+
+  uniformMatrix2fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix2fv', location, transpose, values);
+  }
+
+  uniformMatrix3fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix3fv', location, transpose, values);
+  }
+
+  uniformMatrix4fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix4fv', location, transpose, values);
+  }
+
+  /**
+   * Validates and stores a matrix uniform value.
+   * @param {string} method - Uniform setter name.
+   * @param {?MockWebGLUniformLocation} location - Uniform location.
+   * @param {boolean} transpose - Transpose flag.
+   * @param {ArrayLike<number>} values - Values.
+   * @private
+   */
+  setMatrixUniform_(method, location, transpose, values) {
+    if (transpose && !this.allowsTranspose_()) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `${method}: transpose must be false in WebGL1.`
+      );
+      return;
+    }
+    this.setUniform_(method, location, values, true);
+  }
+
+  /**
+   * Whether uniformMatrix*fv accepts transpose = true.
+   * @returns {boolean} False in WebGL1.
+   * @private
+   */
+  allowsTranspose_() {
+    return false;
+  }
+
+  // Textures
+
+  createTexture() {
+    const texture = this.createObject_('texture');
+    texture.target = null;
+    texture.levels = [];
+    texture.parameters = {};
+    return texture;
+  }
+
+  deleteTexture(texture) {
+    if (texture) {
+      texture.deleted = true;
+    }
+  }
+
+  isTexture(texture) {
+    return texture instanceof MockWebGLObject && texture.kind === 'texture';
+  }
+
+  activeTexture(unit) {
+    const index = unit - this.TEXTURE0;
+    if (index < 0 || index >= 32) {
+      this.fail_(
+        this.INVALID_ENUM,
+        `activeTexture: invalid unit 0x${unit.toString(16)}.`
+      );
+      return;
+    }
+    this.state.activeTexture = index;
+  }
+
+  bindTexture(target, texture) {
+    if (!this.checkEnum_(target, this.textureTargets_(), 'bindTexture')) {
+      return;
+    }
+    if (texture !== null) {
+      if (!this.checkObject_(texture, 'texture', 'bindTexture')) {
+        return;
+      }
+      if (texture.target !== null && texture.target !== target) {
+        this.fail_(
+          this.INVALID_OPERATION,
+          'bindTexture: texture was bound to another target before.'
+        );
+        return;
+      }
+      texture.target = target;
+    }
+
+    if (!this.state.textureUnits[this.state.activeTexture]) {
+      this.state.textureUnits[this.state.activeTexture] = new Map();
+    }
+    this.state.textureUnits[this.state.activeTexture].set(target, texture);
+  }
+
+  texParameteri(target, pname, param) {
+    const texture = this.boundTexture_(target);
+    if (!texture) {
+      this.fail_(this.INVALID_OPERATION, 'texParameteri: no texture bound.');
+      return;
+    }
+    texture.parameters[pname] = param;
+  }
+
+  texParameterf(target, pname, param) {
+    this.texParameteri(target, pname, param);
+  }
+
+  getTexParameter(target, pname) {
+    const texture = this.boundTexture_(target);
+    return texture ? texture.parameters[pname] ?? null : null;
+  }
+
+  /**
+   * Stores a texture level.
+   * @param {string} method - Calling method.
+   * @param {number} target - Texture target.
+   * @param {number} level - Mip level.
+   * @param {Object} description - Level description.
+   * @private
+   */
+  setTextureLevel_(method, target, level, description) {
+    const texture = this.boundTexture_(target);
+    if (!texture) {
+      this.fail_(this.INVALID_OPERATION, `${method}: no texture bound.`);
+      return;
+    }
+    if (level < 0) {
+      this.fail_(this.INVALID_VALUE, `${method}: negative level.`);
+      return;
+    }
+    if (!texture.faces) {
+      texture.faces = new Map();
+    }
+    if (!texture.faces.has(target)) {
+      texture.faces.set(target, []);
+    }
+    texture.faces.get(target)[level] = description;
+    if (target === texture.target) {
+      texture.levels[level] = description;
+    }
+  }
+
+  /**
+   * Uploads a texture level. Supports the raw-array overload
+   * (target, level, internalFormat, width, height, border, format, type, pixels)
+   * and the image-source overload (target, level, internalFormat, format, type, source).
+   */
+  texImage2D(...args) {
+    if (args.length === 6) {
+      const [target, level, internalFormat, format, type, source] = args;
+      if (!source || typeof source.width !== 'number') {
+        this.fail_(this.INVALID_VALUE, 'texImage2D: invalid image source.');
+        return;
+      }
+      this.setTextureLevel_('texImage2D', target, level, {
+        internalFormat,
+        width: source.width,
+        height: source.height,
+        format,
+        type,
+        source,
+      });
+      return;
+    }
+
+    const [
+      target,
+      level,
+      internalFormat,
+      width,
+      height,
+      border,
+      format,
+      type,
+      pixels,
+    ] = args;
+    if (border !== 0) {
+      this.fail_(this.INVALID_VALUE, 'texImage2D: border must be 0.');
+      return;
+    }
+    if (width < 0 || height < 0) {
+      this.fail_(this.INVALID_VALUE, 'texImage2D: negative size.');
+      return;
+    }
+    if (
+      pixels !== null &&
+      pixels !== undefined &&
+      !ArrayBuffer.isView(pixels)
+    ) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'texImage2D: pixels must be an ArrayBufferView.'
+      );
+      return;
+    }
+    this.setTextureLevel_('texImage2D', target, level, {
+      internalFormat,
+      width,
+      height,
+      format,
+      type,
+      pixels: pixels || null,
+    });
+  }
+
+  texSubImage2D(target) {
+    if (!this.boundTexture_(target)) {
+      this.fail_(this.INVALID_OPERATION, 'texSubImage2D: no texture bound.');
+    }
+  }
+
+  compressedTexImage2D(
+    target,
+    level,
+    internalFormat,
+    width,
+    height,
+    border,
+    data
+  ) {
+    if (border !== 0) {
+      this.fail_(this.INVALID_VALUE, 'compressedTexImage2D: border must be 0.');
+      return;
+    }
+    this.setTextureLevel_('compressedTexImage2D', target, level, {
+      internalFormat,
+      width,
+      height,
+      compressed: true,
+      byteLength: data ? data.byteLength : 0,
+    });
+  }
+
+  copyTexImage2D() {}
+
+  generateMipmap(target) {
+    const texture = this.boundTexture_(target);
+    const complete =
+      texture && target === this.TEXTURE_CUBE_MAP
+        ? [0, 1, 2, 3, 4, 5].every(
+            face =>
+              texture.faces &&
+              texture.faces.get(this.TEXTURE_CUBE_MAP_POSITIVE_X + face)?.[0]
+          )
+        : texture && texture.levels[0];
+    if (!complete) {
+      this.fail_(this.INVALID_OPERATION, 'generateMipmap: no texture level 0.');
+      return;
+    }
+    texture.mipmapsGenerated = true;
+  }
+
+  // Framebuffers and renderbuffers
+
+  createFramebuffer() {
+    const framebuffer = this.createObject_('framebuffer');
+    framebuffer.attachments = new Map();
+    return framebuffer;
+  }
+
+  deleteFramebuffer(framebuffer) {
+    if (framebuffer) {
+      framebuffer.deleted = true;
+    }
+  }
+
+  bindFramebuffer(target, framebuffer) {
+    if (
+      !this.checkEnum_(target, this.framebufferTargets_(), 'bindFramebuffer')
+    ) {
+      return;
+    }
+    if (
+      framebuffer !== null &&
+      !this.checkObject_(framebuffer, 'framebuffer', 'bindFramebuffer')
+    ) {
+      return;
+    }
+    this.state.framebuffer = framebuffer;
+  }
+
+  /**
+   * Framebuffer binding targets accepted by this context.
+   * @returns {string[]} Target constant names.
+   * @private
+   */
+  framebufferTargets_() {
+    return ['FRAMEBUFFER'];
+  }
+
+  framebufferTexture2D(target, attachment, textarget, texture, level) {
+    if (!this.state.framebuffer) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'framebufferTexture2D: no framebuffer bound.'
+      );
+      return;
+    }
+    if (
+      texture !== null &&
+      !this.checkObject_(texture, 'texture', 'framebufferTexture2D')
+    ) {
+      return;
+    }
+    this.state.framebuffer.attachments.set(attachment, {
+      texture,
+      textarget,
+      level,
+    });
+  }
+
+  framebufferRenderbuffer(
+    target,
+    attachment,
+    renderbufferTarget,
+    renderbuffer
+  ) {
+    if (!this.state.framebuffer) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'framebufferRenderbuffer: no framebuffer bound.'
+      );
+      return;
+    }
+    if (
+      renderbuffer !== null &&
+      !this.checkObject_(
+        renderbuffer,
+        'renderbuffer',
+        'framebufferRenderbuffer'
+      )
+    ) {
+      return;
+    }
+    this.state.framebuffer.attachments.set(attachment, { renderbuffer });
+  }
+
+  checkFramebufferStatus(target) {
+    const framebuffer = this.state.framebuffer;
+    if (!framebuffer) {
+      return this.FRAMEBUFFER_COMPLETE;
+    }
+    if (framebuffer.attachments.size === 0) {
+      return this.FRAMEBUFFER_INCOMPLETE_MISSING_ATTACHMENT;
+    }
+
+    const sizes = [...framebuffer.attachments.values()]
+      .map(({ texture, renderbuffer, level, textarget }) => {
+        if (renderbuffer) return renderbuffer.width + 'x' + renderbuffer.height;
+        const face = texture?.faces?.get(textarget);
+        const description = face ? face[level || 0] : null;
+        return description
+          ? description.width + 'x' + description.height
+          : null;
+      })
+      .filter(Boolean);
+
+    if (new Set(sizes).size > 1) {
+      return this.FRAMEBUFFER_INCOMPLETE_DIMENSIONS;
+    }
+    return this.FRAMEBUFFER_COMPLETE;
+  }
+
+  createRenderbuffer() {
+    const renderbuffer = this.createObject_('renderbuffer');
+    renderbuffer.width = 0;
+    renderbuffer.height = 0;
+    renderbuffer.internalFormat = this.RGBA4;
+    renderbuffer.samples = 0;
+    return renderbuffer;
+  }
+
+  deleteRenderbuffer(renderbuffer) {
+    if (renderbuffer) {
+      renderbuffer.deleted = true;
+    }
+  }
+
+  bindRenderbuffer(target, renderbuffer) {
+    if (!this.checkEnum_(target, ['RENDERBUFFER'], 'bindRenderbuffer')) {
+      return;
+    }
+    if (
+      renderbuffer !== null &&
+      !this.checkObject_(renderbuffer, 'renderbuffer', 'bindRenderbuffer')
+    ) {
+      return;
+    }
+    this.state.renderbuffer = renderbuffer;
+  }
+
+  renderbufferStorage(target, internalFormat, width, height) {
+    const renderbuffer = this.state.renderbuffer;
+    if (!renderbuffer) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'renderbufferStorage: no renderbuffer bound.'
+      );
+      return;
+    }
+    Object.assign(renderbuffer, { internalFormat, width, height, samples: 0 });
+  }
+
+  readPixels(x, y, width, height, format, type, pixels) {
+    if (!ArrayBuffer.isView(pixels)) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'readPixels: pixels must be an ArrayBufferView.'
+      );
+    }
+  }
+
+  // Drawing
+
+  /**
+   * Validates state shared by all draw calls.
+   * @param {string} method - Calling method.
+   * @param {number} mode - Primitive mode.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  validateDraw_(method, mode) {
+    if (
+      !this.checkEnum_(
+        mode,
+        [
+          'POINTS',
+          'LINES',
+          'LINE_LOOP',
+          'LINE_STRIP',
+          'TRIANGLES',
+          'TRIANGLE_STRIP',
+          'TRIANGLE_FAN',
+        ],
+        method
+      )
+    ) {
+      return false;
+    }
+
+    const program = this.state.program;
+    if (!program) {
+      this.fail_(this.INVALID_OPERATION, `${method}: no program in use.`);
+      return false;
+    }
+
+    for (const attribute of program.attributes) {
+      const state = this.state.vertexArray.attributes[attribute.location];
+      if (state && state.enabled && !state.buffer) {
+        this.fail_(
+          this.INVALID_OPERATION,
+          `${method}: attribute "${attribute.name}" is enabled without a buffer.`
+        );
+        return false;
+      }
+    }
+
+    if (
+      this.state.framebuffer &&
+      this.checkFramebufferStatus(this.FRAMEBUFFER) !==
+        this.FRAMEBUFFER_COMPLETE
+    ) {
+      this.fail_(
+        this.INVALID_FRAMEBUFFER_OPERATION,
+        `${method}: framebuffer incomplete.`
+      );
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validates an indexed draw call.
+   * @param {string} method - Calling method.
+   * @param {number} mode - Primitive mode.
+   * @param {number} count - Index count.
+   * @param {number} type - Index type.
+   * @param {number} offset - Byte offset.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  validateDrawElements_(method, mode, count, type, offset) {
+    if (!this.validateDraw_(method, mode)) {
+      return false;
+    }
+
+    const types = ['UNSIGNED_BYTE', 'UNSIGNED_SHORT'];
+    if (this.HALF_FLOAT || this.getExtension('OES_element_index_uint')) {
+      types.push('UNSIGNED_INT');
+    }
+    if (!this.checkEnum_(type, types, method)) {
+      return false;
+    }
+
+    const buffer = this.state.vertexArray.elementArrayBuffer;
+    if (!buffer) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        `${method}: no ELEMENT_ARRAY_BUFFER bound.`
+      );
+      return false;
+    }
+
+    const size =
+      type === this.UNSIGNED_INT ? 4 : type === this.UNSIGNED_SHORT ? 2 : 1;
+    if (offset % size !== 0) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        `${method}: offset not aligned to index type.`
+      );
+      return false;
+    }
+    if (count < 0 || offset + count * size > buffer.size) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        `${method}: index range out of buffer bounds.`
+      );
+      return false;
+    }
+    return true;
+  }
+
+  drawArrays(mode, first, count) {
+    if (first < 0 || count < 0) {
+      this.fail_(this.INVALID_VALUE, 'drawArrays: negative first or count.');
+      return;
+    }
+    this.validateDraw_('drawArrays', mode);
+  }
+
+  drawElements(mode, count, type, offset) {
+    this.validateDrawElements_('drawElements', mode, count, type, offset);
+  }
+}
+
+/**
+ * Recording stand-in for WebGL2RenderingContext.
+ * @extends MockWebGLRenderingContext
+ */
+export class MockWebGL2RenderingContext extends MockWebGLRenderingContext {
+  /**
+   * Creates a mock WebGL2 context.
+   * @param {MockWebGLOptions} [options] - Mock options.
+   */
+  constructor(options = {}) {
+    super({
+      extensions: [
+        'EXT_color_buffer_float',
+        'EXT_color_buffer_half_float',
+        'EXT_texture_filter_anisotropic',
+        'OES_texture_float_linear',
+      ],
+      ...options,
+    });
+    Object.assign(this, GL2_CONSTANTS);
+
+    this.state.uniformBufferBindings = [];
+  }
+
+  /** @override */
+  bufferTargets_() {
+    return [
+      ...super.bufferTargets_(),
+      'UNIFORM_BUFFER',
+      'COPY_READ_BUFFER',
+      'COPY_WRITE_BUFFER',
+      'PIXEL_PACK_BUFFER',
+      'PIXEL_UNPACK_BUFFER',
+      'TRANSFORM_FEEDBACK_BUFFER',
+    ];
+  }
+
+  /** @override */
+  textureTargets_() {
+    return [...super.textureTargets_(), 'TEXTURE_3D', 'TEXTURE_2D_ARRAY'];
+  }
+
+  /** @override */
+  framebufferTargets_() {
+    return ['FRAMEBUFFER', 'READ_FRAMEBUFFER', 'DRAW_FRAMEBUFFER'];
+  }
+
+  /** @override */
+  allowsTranspose_() {
+    return true;
+  }
+
+  /** @override */
+  getParameter(pname) {
+    switch (pname) {
+      case this.MAX_UNIFORM_BUFFER_BINDINGS:
+        return 24;
+      case this.MAX_UNIFORM_BLOCK_SIZE:
+        return 16384;
+      case this.UNIFORM_BUFFER_OFFSET_ALIGNMENT:
+        return 256;
+      case this.MAX_COLOR_ATTACHMENTS:
+      case this.MAX_DRAW_BUFFERS:
+        return 8;
+      case this.MAX_SAMPLES:
+        return 4;
+      case this.VERSION:
+        return 'WebGL 2.0 (Mock)';
+      case this.SHADING_LANGUAGE_VERSION:
+        return 'WebGL GLSL ES 3.00 (Mock)';
+      default:
+        return super.getParameter(pname);
+    }
+  }
+
+  createVertexArray() {
+    return this.createVertexArray_();
+  }
+
+  bindVertexArray(vao) {
+    this.bindVertexArray_(vao);
+  }
+
+  deleteVertexArray(vao) {
+    if (vao) {
+      vao.deleted = true;
+    }
+  }
+
+  vertexAttribDivisor(index, divisor) {
+    if (this.checkAttributeIndex_(index, 'vertexAttribDivisor')) {
+      this.state.vertexArray.attributes[index].divisor = divisor;
+    }
+  }
+
+  vertexAttribIPointer(index, size, type, stride, offset) {
+    this.vertexAttribPointer(index, size, type, false, stride, offset);
+  }
+
+  drawArraysInstanced(mode, first, count, instanceCount) {
+    if (first < 0 || count < 0 || instanceCount < 0) {
+      this.fail_(this.INVALID_VALUE, 'drawArraysInstanced: negative argument.');
+      return;
+    }
+    this.validateDraw_('drawArraysInstanced', mode);
+  }
+
+  drawElementsInstanced(mode, count, type, offset, instanceCount) {
+    if (instanceCount < 0) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'drawElementsInstanced: negative instance count.'
+      );
+      return;
+    }
+    this.validateDrawElements_(
+      'drawElementsInstanced',
+      mode,
+      count,
+      type,
+      offset
+    );
+  }
+
+  drawRangeElements(mode, start, end, count, type, offset) {
+    this.validateDrawElements_('drawRangeElements', mode, count, type, offset);
+  }
+
+  drawBuffers(buffers) {
+    if (!Array.isArray(buffers)) {
+      this.fail_(this.INVALID_VALUE, 'drawBuffers: expected an array.');
+      return;
+    }
+    if (this.state.framebuffer) {
+      this.state.framebuffer.drawBuffers = [...buffers];
+    }
+  }
+
+  readBuffer() {}
+
+  blitFramebuffer() {}
+
+  invalidateFramebuffer() {}
+
+  clearBufferfv() {}
+
+  clearBufferiv() {}
+
+  clearBufferuiv() {}
+
+  clearBufferfi() {}
+
+  renderbufferStorageMultisample(
+    target,
+    samples,
+    internalFormat,
+    width,
+    height
+  ) {
+    if (samples > 4) {
+      this.fail_(
+        this.INVALID_OPERATION,
+        'renderbufferStorageMultisample: too many samples.'
+      );
+      return;
+    }
+    this.renderbufferStorage(target, internalFormat, width, height);
+    if (this.state.renderbuffer) {
+      this.state.renderbuffer.samples = samples;
+    }
+  }
+
+  texStorage2D(target, levels, internalFormat, width, height) {
+    for (let level = 0; level < levels; level++) {
+      const description = {
+        internalFormat,
+        width: Math.max(1, width >> level),
+        height: Math.max(1, height >> level),
+        immutable: true,
+      };
+      if (target === this.TEXTURE_CUBE_MAP) {
+        for (let face = 0; face < 6; face++) {
+          this.setTextureLevel_(
+            'texStorage2D',
+            this.TEXTURE_CUBE_MAP_POSITIVE_X + face,
+            level,
+            description
+          );
+        }
+      }
+      this.setTextureLevel_('texStorage2D', target, level, description);
+    }
+  }
+
+  texImage3D() {}
+
+  texSubImage3D() {}
+
+  compressedTexSubImage2D() {}
+
+  uniform1ui(location, x) {
+    this.setUniform_('uniform1ui', location, [x], false);
+  }
+
+  uniform2ui(location, x, y) {
+    this.setUniform_('uniform2ui', location, [x, y], false);
+  }
+
+  uniform3ui(location, x, y, z) {
+    this.setUniform_('uniform3ui', location, [x, y, z], false);
+  }
+
+  uniform4ui(location, x, y, z, w) {
+    this.setUniform_('uniform4ui', location, [x, y, z, w], false);
+  }
+
+  uniform1uiv(location, values) {
+    this.setUniform_('uniform1uiv', location, values, true);
+  }
+
+  uniform2uiv(location, values) {
+    this.setUniform_('uniform2uiv', location, values, true);
+  }
+
+  uniform3uiv(location, values) {
+    this.setUniform_('uniform3uiv', location, values, true);
+  }
+
+  uniform4uiv(location, values) {
+    this.setUniform_('uniform4uiv', location, values, true);
+  }
+
+  uniformMatrix2x3fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix2x3fv', location, transpose, values);
+  }
+
+  uniformMatrix2x4fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix2x4fv', location, transpose, values);
+  }
+
+  uniformMatrix3x2fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix3x2fv', location, transpose, values);
+  }
+
+  uniformMatrix3x4fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix3x4fv', location, transpose, values);
+  }
+
+  uniformMatrix4x2fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix4x2fv', location, transpose, values);
+  }
+
+  uniformMatrix4x3fv(location, transpose, values) {
+    this.setMatrixUniform_('uniformMatrix4x3fv', location, transpose, values);
+  }
+
+  // Samplers
+
+  createSampler() {
+    const sampler = this.createObject_('sampler');
+    sampler.parameters = {};
+    return sampler;
+  }
+
+  deleteSampler(sampler) {
+    if (sampler) {
+      sampler.deleted = true;
+    }
+  }
+
+  bindSampler(unit, sampler) {
+    if (
+      sampler !== null &&
+      !this.checkObject_(sampler, 'sampler', 'bindSampler')
+    ) {
+      return;
+    }
+    if (!this.state.samplers) {
+      this.state.samplers = [];
+    }
+    this.state.samplers[unit] = sampler;
+  }
+
+  samplerParameteri(sampler, pname, param) {
+    if (this.checkObject_(sampler, 'sampler', 'samplerParameteri')) {
+      sampler.parameters[pname] = param;
+    }
+  }
+
+  samplerParameterf(sampler, pname, param) {
+    this.samplerParameteri(sampler, pname, param);
+  }
+
+  // Uniform buffers
+
+  bindBufferBase(target, index, buffer) {
+    this.bindBufferRange(target, index, buffer, 0, buffer ? buffer.size : 0);
+  }
+
+  bindBufferRange(target, index, buffer, offset, size) {
+    if (
+      !this.checkEnum_(
+        target,
+        ['UNIFORM_BUFFER', 'TRANSFORM_FEEDBACK_BUFFER'],
+        'bindBufferRange'
+      )
+    ) {
+      return;
+    }
+    if (index < 0 || index >= 24) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `bindBufferRange: invalid index ${index}.`
+      );
+      return;
+    }
+    if (
+      buffer !== null &&
+      !this.checkObject_(buffer, 'buffer', 'bindBufferRange')
+    ) {
+      return;
+    }
+    if (offset % 256 !== 0) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'bindBufferRange: offset must be a multiple of UNIFORM_BUFFER_OFFSET_ALIGNMENT.'
+      );
+      return;
+    }
+    if (buffer) {
+      buffer.target = buffer.target ?? target;
+    }
+    this.state.buffers.set(target, buffer);
+    this.state.uniformBufferBindings[index] = buffer
+      ? { buffer, offset, size }
+      : null;
+  }
+
+  getUniformBlockIndex(program, name) {
+    const index = program.uniformBlocks.findIndex(block => block.name === name);
+    return index === -1 ? this.INVALID_INDEX : index;
+  }
+
+  getActiveUniformBlockName(program, index) {
+    const block = program.uniformBlocks[index];
+    return block ? block.name : null;
+  }
+
+  getActiveUniformBlockParameter(program, index, pname) {
+    const block = program.uniformBlocks[index];
+    if (!block) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `getActiveUniformBlockParameter: invalid index ${index}.`
+      );
+      return null;
+    }
+    switch (pname) {
+      case this.UNIFORM_BLOCK_BINDING:
+        return block.binding;
+      case this.UNIFORM_BLOCK_DATA_SIZE:
+        return block.dataSize;
+      case this.UNIFORM_BLOCK_ACTIVE_UNIFORMS:
+        return block.uniformIndices.length;
+      case this.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES:
+        return Uint32Array.from(block.uniformIndices);
+      case this.UNIFORM_BLOCK_REFERENCED_BY_VERTEX_SHADER:
+      case this.UNIFORM_BLOCK_REFERENCED_BY_FRAGMENT_SHADER:
+        return true;
+      default:
+        return null;
+    }
+  }
+
+  getActiveUniforms(program, uniformIndices, pname) {
+    const uniforms = Array.from(
+      uniformIndices,
+      index => program.uniforms[index]
+    );
+    if (uniforms.some(uniform => !uniform)) {
+      this.fail_(
+        this.INVALID_VALUE,
+        'getActiveUniforms: invalid uniform index.'
+      );
+      return null;
+    }
+    // Uniforms of the default block report -1 for block layout queries
+    return uniforms.map(uniform => {
+      const inBlock = uniform.blockIndex !== -1;
+      switch (pname) {
+        case this.UNIFORM_TYPE:
+          return this[GLSL_TYPES[uniform.glslType].type];
+        case this.UNIFORM_SIZE:
+          return uniform.size;
+        case this.UNIFORM_BLOCK_INDEX:
+          return uniform.blockIndex;
+        case this.UNIFORM_OFFSET:
+          return inBlock ? uniform.offset : -1;
+        case this.UNIFORM_ARRAY_STRIDE:
+          return inBlock ? uniform.arrayStride : -1;
+        case this.UNIFORM_MATRIX_STRIDE:
+          return inBlock ? uniform.matrixStride : -1;
+        case this.UNIFORM_IS_ROW_MAJOR:
+          return false;
+        default:
+          return null;
+      }
+    });
+  }
+
+  uniformBlockBinding(program, index, binding) {
+    const block = program.uniformBlocks[index];
+    if (!block) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `uniformBlockBinding: invalid block index ${index}.`
+      );
+      return;
+    }
+    if (binding < 0 || binding >= 24) {
+      this.fail_(
+        this.INVALID_VALUE,
+        `uniformBlockBinding: invalid binding ${binding}.`
+      );
+      return;
+    }
+    block.binding = binding;
+  }
+
+  getIndexedParameter(target, index) {
+    if (target === this.UNIFORM_BUFFER_BINDING) {
+      return this.state.uniformBufferBindings[index]?.buffer || null;
+    }
+    return null;
+  }
+
+  copyBufferSubData() {}
+
+  getBufferSubData(target, srcByteOffset, dstData) {
+    const buffer = this.boundBuffer_(target);
+    if (!buffer) {
+      this.fail_(this.INVALID_OPERATION, 'getBufferSubData: no buffer bound.');
+      return;
+    }
+    const bytes = new Uint8Array(
+      dstData.buffer,
+      dstData.byteOffset,
+      dstData.byteLength
+    );
+    bytes.set(
+      buffer.data.subarray(srcByteOffset, srcByteOffset + bytes.length)
+    );
+  }
+}
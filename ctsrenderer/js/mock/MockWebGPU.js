@@ -0,0 +1,1454 @@
+/**
+ * @fileoverview Recording WebGPU stand-ins (GPU, adapter, device, canvas context) for Node tests.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+/**
+ * Recorded device call.
+ * @typedef {Object} RecordedCall
+ * @property {string} name - "object.method" name (e.g. "device.createBuffer",
+ *     "renderPass.draw").
+ * @property {Array<*>} args - Call arguments.
+ */
+
+/**
+ * Mock GPU options.
+ * @typedef {Object} MockGPUOptions
+ * @property {string[]} [features] - Adapter features (e.g. 'texture-compression-bc').
+ * @property {Object<string, number>} [limits] - Adapter limit overrides.
+ * @property {string} [preferredFormat='bgra8unorm'] - Preferred canvas format.
+ * @property {boolean} [throwOnError=true] - Throw on validation errors instead
+ *     of only recording them in device.errors.
+ */
+
+/**
+ * GPUBufferUsage flags.
+ * @type {Object<string, number>}
+ */
+export const MockGPUBufferUsage = Object.freeze({
+  MAP_READ: 0x0001,
+  MAP_WRITE: 0x0002,
+  COPY_SRC: 0x0004,
+  COPY_DST: 0x0008,
+  INDEX: 0x0010,
+  VERTEX: 0x0020,
+  UNIFORM: 0x0040,
+  STORAGE: 0x0080,
+  INDIRECT: 0x0100,
+  QUERY_RESOLVE: 0x0200,
+});
+
+/**
+ * GPUTextureUsage flags.
+ * @type {Object<string, number>}
+ */
+export const MockGPUTextureUsage = Object.freeze({
+  COPY_SRC: 0x01,
+  COPY_DST: 0x02,
+  TEXTURE_BINDING: 0x04,
+  STORAGE_BINDING: 0x08,
+  RENDER_ATTACHMENT: 0x10,
+});
+
+/**
+ * GPUShaderStage flags.
+ * @type {Object<string, number>}
+ */
+export const MockGPUShaderStage = Object.freeze({
+  VERTEX: 0x1,
+  FRAGMENT: 0x2,
+  COMPUTE: 0x4,
+});
+
+/**
+ * GPUMapMode flags.
+ * @type {Object<string, number>}
+ */
+export const MockGPUMapMode = Object.freeze({
+  READ: 0x0001,
+  WRITE: 0x0002,
+});
+
+/**
+ * GPUColorWrite flags.
+ * @type {Object<string, number>}
+ */
+export const MockGPUColorWrite = Object.freeze({
+  RED: 0x1,
+  GREEN: 0x2,
+  BLUE: 0x4,
+  ALPHA: 0x8,
+  ALL: 0xf,
+});
+
+/**
+ * Default adapter/device limits (WebGPU spec defaults).
+ * @type {Object<string, number>}
+ */
+const DEFAULT_LIMITS = {
+  maxTextureDimension1D: 8192,
+  maxTextureDimension2D: 8192,
+  maxTextureDimension3D: 2048,
+  maxTextureArrayLayers: 256,
+  maxBindGroups: 4,
+  maxBindingsPerBindGroup: 1000,
+  maxSampledTexturesPerShaderStage: 16,
+  maxSamplersPerShaderStage: 16,
+  maxUniformBuffersPerShaderStage: 12,
+  maxUniformBufferBindingSize: 65536,
+  maxStorageBufferBindingSize: 134217728,
+  minUniformBufferOffsetAlignment: 256,
+  minStorageBufferOffsetAlignment: 256,
+  maxVertexBuffers: 8,
+  maxBufferSize: 268435456,
+  maxVertexAttributes: 16,
+  maxVertexBufferArrayStride: 2048,
+  maxColorAttachments: 8,
+  maxColorAttachmentBytesPerSample: 32,
+  maxComputeWorkgroupSizeX: 256,
+  maxComputeWorkgroupSizeY: 256,
+  maxComputeWorkgroupSizeZ: 64,
+  maxComputeWorkgroupsPerDimension: 65535,
+};
+
+/**
+ * Depth/stencil texture formats.
+ * @type {Set<string>}
+ */
+const DEPTH_FORMATS = new Set([
+  'depth16unorm',
+  'depth24plus',
+  'depth24plus-stencil8',
+  'depth32float',
+  'depth32float-stencil8',
+  'stencil8',
+]);
+
+/**
+ * Wraps the methods of an object so their calls are recorded in the log.
+ * @param {Object} target - Object to wrap.
+ * @param {string} prefix - Name prefix for recorded calls.
+ * @param {Array<RecordedCall>} log - Call log.
+ */
+function recordCalls(target, prefix, log) {
+  let proto = Object.getPrototypeOf(target);
+  const seen = new Set();
+
+  while (proto && proto !== Object.prototype) {
+    Object.getOwnPropertyNames(proto).forEach(name => {
+      if (name === 'constructor' || name.endsWith('_') || seen.has(name)) {
+        return;
+      }
+      const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+      if (typeof descriptor.value !== 'function') {
+        return;
+      }
+      seen.add(name);
+      const method = descriptor.value;
+      target[name] = (...args) => {
+        log.push({ name: `${prefix}.${name}`, args });
+        return method.apply(target, args);
+      };
+    });
+    proto = Object.getPrototypeOf(proto);
+  }
+}
+
+/**
+ * Returns the block height of a texture format: 4 for BC/ETC2/EAC, the
+ * second ASTC dimension, 1 for uncompressed formats.
+ * @param {string} format - Texture format.
+ * @returns {number} Texel rows per block row.
+ */
+function blockHeightOf(format) {
+  const astc = /^astc-\d+x(\d+)/.exec(format || '');
+  if (astc) {
+    return Number(astc[1]);
+  }
+  return /^(bc|etc2|eac)/.test(format || '') ? 4 : 1;
+}
+
+/**
+ * Normalizes a GPUExtent3D (array or dictionary).
+ * @param {Array<number>|Object} size - Extent.
+ * @returns {{width: number, height: number, depthOrArrayLayers: number}} Extent.
+ */
+function normalizeExtent(size) {
+  if (Array.isArray(size)) {
+    return {
+      width: size[0],
+      height: size[1] ?? 1,
+      depthOrArrayLayers: size[2] ?? 1,
+    };
+  }
+  return {
+    width: size.width,
+    height: size.height ?? 1,
+    depthOrArrayLayers: size.depthOrArrayLayers ?? 1,
+  };
+}
+
+/**
+ * Mock GPUBuffer.
+ */
+export class MockGPUBuffer {
+  /**
+   * Creates a mock buffer.
+   * @param {MockGPUDevice} device - Owning device.
+   * @param {GPUBufferDescriptor} descriptor - Buffer descriptor.
+   */
+  constructor(device, descriptor) {
+    this.device_ = device;
+    this.label = descriptor.label || '';
+    this.size = descriptor.size;
+    this.usage = descriptor.usage;
+    this.mapState = descriptor.mappedAtCreation ? 'mapped' : 'unmapped';
+    this.destroyed = false;
+
+    /**
+     * Buffer contents.
+     * @type {Uint8Array}
+     */
+    this.data = new Uint8Array(descriptor.size);
+  }
+
+  getMappedRange(offset = 0, size = this.size - offset) {
+    if (this.mapState !== 'mapped') {
+      this.device_.fail_('GPUBuffer.getMappedRange: buffer is not mapped.');
+    }
+    return this.mappedRange_(offset, size);
+  }
+
+  /**
+   * Returns an ArrayBuffer view of the mapped range that writes back on unmap.
+   * @param {number} offset - Byte offset.
+   * @param {number} size - Byte size.
+   * @returns {ArrayBuffer} Mapped range.
+   * @private
+   */
+  mappedRange_(offset, size) {
+    const range = new ArrayBuffer(size);
+    new Uint8Array(range).set(this.data.subarray(offset, offset + size));
+    this.pendingRanges_ = this.pendingRanges_ || [];
+    this.pendingRanges_.push({ offset, range });
+    return range;
+  }
+
+  unmap() {
+    (this.pendingRanges_ || []).forEach(({ offset, range }) => {
+      this.data.set(new Uint8Array(range), offset);
+    });
+    this.pendingRanges_ = [];
+    this.mapState = 'unmapped';
+  }
+
+  async mapAsync() {
+    this.mapState = 'mapped';
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+/**
+ * Mock GPUTexture.
+ */
+export class MockGPUTexture {
+  /**
+   * Creates a mock texture.
+   * @param {MockGPUDevice} device - Owning device.
+   * @param {GPUTextureDescriptor} descriptor - Texture descriptor.
+   */
+  constructor(device, descriptor) {
+    const size = normalizeExtent(descriptor.size);
+    this.device_ = device;
+    this.label = descriptor.label || '';
+    this.width = size.width;
+    this.height = size.height;
+    this.depthOrArrayLayers = size.depthOrArrayLayers;
+    this.format = descriptor.format;
+    this.usage = descriptor.usage;
+    this.mipLevelCount = descriptor.mipLevelCount || 1;
+    this.sampleCount = descriptor.sampleCount || 1;
+    this.dimension = descriptor.dimension || '2d';
+    this.viewFormats = descriptor.viewFormats || [];
+    this.destroyed = false;
+
+    /**
+     * Writes received by this texture (queue.writeTexture and copies).
+     * @type {Array<Object>}
+     */
+    this.writes = [];
+  }
+
+  createView(descriptor = {}) {
+    if (this.destroyed) {
+      this.device_.fail_('GPUTexture.createView: texture was destroyed.');
+    }
+    return new MockGPUTextureView(this, descriptor);
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+/**
+ * Mock GPUTextureView.
+ */
+export class MockGPUTextureView {
+  /**
+   * Creates a mock texture view.
+   * @param {MockGPUTexture} texture - Viewed texture.
+   * @param {GPUTextureViewDescriptor} descriptor - View descriptor.
+   */
+  constructor(texture, descriptor) {
+    this.texture = texture;
+    this.label = descriptor.label || '';
+    this.format = descriptor.format || texture.format;
+    this.dimension =
+      descriptor.dimension ||
+      (texture.dimension === '2d' && texture.depthOrArrayLayers > 1
+        ? '2d-array'
+        : texture.dimension);
+    this.baseMipLevel = descriptor.baseMipLevel || 0;
+    this.mipLevelCount =
+      descriptor.mipLevelCount || texture.mipLevelCount - this.baseMipLevel;
+    this.baseArrayLayer = descriptor.baseArrayLayer || 0;
+    this.arrayLayerCount = descriptor.arrayLayerCount;
+  }
+
+  /**
+   * Size of the viewed mip level.
+   * @returns {{width: number, height: number}} Size in texels.
+   */
+  get size() {
+    return {
+      width: Math.max(1, this.texture.width >> this.baseMipLevel),
+      height: Math.max(1, this.texture.height >> this.baseMipLevel),
+    };
+  }
+}
+
+/**
+ * Mock of the simple descriptor-holding GPU objects (samplers, layouts, bind
+ * groups, query sets).
+ */
+export class MockGPUObject {
+  /**
+   * Creates a mock object.
+   * @param {string} kind - Object kind.
+   * @param {Object} descriptor - Descriptor it was created from.
+   */
+  constructor(kind, descriptor = {}) {
+    this.kind = kind;
+    this.label = descriptor.label || '';
+    this.descriptor = descriptor;
+  }
+}
+
+/**
+ * Mock GPUShaderModule.
+ * Compilation fails when the code contains a line with "@error", which makes
+ * it possible to test error reporting without a real WGSL compiler.
+ */
+export class MockGPUShaderModule {
+  /**
+   * Creates a mock shader module.
+   * @param {GPUShaderModuleDescriptor} descriptor - Module descriptor.
+   */
+  constructor(descriptor) {
+    this.label = descriptor.label || '';
+    this.code = descriptor.code;
+
+    const lines = String(descriptor.code).split('\n');
+    this.messages_ = [];
+    lines.forEach((line, index) => {
+      const column = line.indexOf('@error');
+      if (column !== -1) {
+        this.messages_.push({
+          type: 'error',
+          message: line.slice(column + 6).trim() || 'error',
+          lineNum: index + 1,
+          linePos: column + 1,
+          offset: 0,
+          length: line.length,
+        });
+      }
+    });
+
+    this.entryPoints = [
+      ...String(descriptor.code).matchAll(
+        /@(vertex|fragment|compute)[\s\S]*?fn\s+(\w+)/g
+      ),
+    ].map(match => ({ stage: match[1], name: match[2] }));
+  }
+
+  async getCompilationInfo() {
+    return { messages: [...this.messages_] };
+  }
+}
+
+/**
+ * Mock GPURenderPipeline / GPUComputePipeline.
+ */
+export class MockGPUPipeline {
+  /**
+   * Creates a mock pipeline.
+   * @param {MockGPUDevice} device - Owning device.
+   * @param {string} kind - 'render' or 'compute'.
+   * @param {Object} descriptor - Pipeline descriptor.
+   */
+  constructor(device, kind, descriptor) {
+    this.device_ = device;
+    this.kind = kind;
+    this.label = descriptor.label || '';
+    this.descriptor = descriptor;
+    this.autoLayouts_ = new Map();
+  }
+
+  getBindGroupLayout(index) {
+    if (this.descriptor.layout !== 'auto') {
+      const layouts = this.descriptor.layout.descriptor.bindGroupLayouts;
+      if (!layouts[index]) {
+        this.device_.fail_(
+          `GPUPipeline.getBindGroupLayout: no layout at index ${index}.`
+        );
+      }
+      return layouts[index];
+    }
+    if (!this.autoLayouts_.has(index)) {
+      const layout = new MockGPUObject('bindGroupLayout', {
+        label: `${this.label} auto layout ${index}`,
+      });
+      layout.pipeline = this;
+      layout.index = index;
+      this.autoLayouts_.set(index, layout);
+    }
+    return this.autoLayouts_.get(index);
+  }
+
+  /**
+   * Returns the bind group indices the pipeline uses: those of its explicit
+   * layout, or the @group() indices in the shader code for "auto" layouts.
+   * @returns {number[]} Bind group indices.
+   */
+  getBindGroupIndices() {
+    if (this.descriptor.layout !== 'auto') {
+      return this.descriptor.layout.descriptor.bindGroupLayouts.map(
+        (layout, index) => index
+      );
+    }
+    const { vertex, fragment, compute } = this.descriptor;
+    const indices = new Set();
+    [vertex, fragment, compute].forEach(stage => {
+      const code = String(stage?.module?.code || '');
+      for (const match of code.matchAll(/@group\((\d+)\)/g)) {
+        indices.add(parseInt(match[1], 10));
+      }
+    });
+    return [...indices].sort((a, b) => a - b);
+  }
+
+  /**
+   * Returns whether a bind group fits this pipeline at an index. Groups from
+   * an "auto" layout only fit the pipeline and index the layout came from;
+   * groups from explicit layouts fit layouts with the same entries.
+   * @param {MockGPUObject} bindGroup - Bind group.
+   * @param {number} index - Bind group index.
+   * @returns {boolean} True if compatible.
+   */
+  isBindGroupCompatible(bindGroup, index) {
+    const layout = bindGroup.descriptor.layout;
+    if (this.descriptor.layout === 'auto' || layout.pipeline) {
+      return layout.pipeline === this && layout.index === index;
+    }
+    const expected = this.descriptor.layout.descriptor.bindGroupLayouts[index];
+    return (
+      layout === expected ||
+      JSON.stringify(layout.descriptor.entries) ===
+        JSON.stringify(expected.descriptor.entries)
+    );
+  }
+}
+
+/**
+ * Mock GPUQueue.
+ */
+export class MockGPUQueue {
+  /**
+   * Creates a mock queue.
+   * @param {MockGPUDevice} device - Owning device.
+   */
+  constructor(device) {
+    this.device_ = device;
+
+    /**
+     * Command buffers submitted so far.
+     * @type {Array<MockGPUCommandBuffer>}
+     */
+    this.submitted = [];
+    recordCalls(this, 'queue', device.calls);
+  }
+
+  submit(commandBuffers) {
+    commandBuffers.forEach(commandBuffer => {
+      if (!(commandBuffer instanceof MockGPUCommandBuffer)) {
+        this.device_.fail_('GPUQueue.submit: expected command buffers.');
+        return;
+      }
+      if (commandBuffer.submitted) {
+        this.device_.fail_('GPUQueue.submit: command buffer submitted twice.');
+        return;
+      }
+      commandBuffer.submitted = true;
+      this.submitted.push(commandBuffer);
+    });
+  }
+
+  writeBuffer(buffer, bufferOffset, data, dataOffset = 0, size) {
+    if (buffer.destroyed) {
+      this.device_.fail_('GPUQueue.writeBuffer: buffer was destroyed.');
+      return;
+    }
+    if (!(buffer.usage & MockGPUBufferUsage.COPY_DST)) {
+      this.device_.fail_('GPUQueue.writeBuffer: buffer lacks COPY_DST usage.');
+      return;
+    }
+
+    const elementSize = ArrayBuffer.isView(data)
+      ? data.BYTES_PER_ELEMENT || 1
+      : 1;
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    const start = dataOffset * elementSize;
+    const length =
+      size !== undefined ? size * elementSize : bytes.byteLength - start;
+
+    if (bufferOffset % 4 !== 0 || length % 4 !== 0) {
+      this.device_.fail_(
+        'GPUQueue.writeBuffer: offset and size must be multiples of 4.'
+      );
+      return;
+    }
+    if (bufferOffset + length > buffer.size) {
+      this.device_.fail_('GPUQueue.writeBuffer: write out of buffer bounds.');
+      return;
+    }
+    buffer.data.set(bytes.subarray(start, start + length), bufferOffset);
+  }
+
+  writeTexture(destination, data, dataLayout, size) {
+    const { texture } = destination;
+    const extent = normalizeExtent(size);
+    if (!(texture.usage & MockGPUTextureUsage.COPY_DST)) {
+      this.device_.fail_(
+        'GPUQueue.writeTexture: texture lacks COPY_DST usage.'
+      );
+      return;
+    }
+    if (extent.height > 1 && dataLayout.bytesPerRow === undefined) {
+      this.device_.fail_(
+        'GPUQueue.writeTexture: bytesPerRow is required for multi-row copies.'
+      );
+      return;
+    }
+    const byteLength = data.byteLength;
+    const rows = Math.ceil(extent.height / blockHeightOf(texture.format));
+    const required =
+      (dataLayout.offset || 0) + (dataLayout.bytesPerRow || 0) * (rows - 1);
+    if (required > byteLength) {
+      this.device_.fail_('GPUQueue.writeTexture: data too small for copy.');
+      return;
+    }
+    texture.writes.push({
+      mipLevel: destination.mipLevel || 0,
+      origin: destination.origin || { x: 0, y: 0, z: 0 },
+      bytesPerRow: dataLayout.bytesPerRow,
+      rowsPerImage: dataLayout.rowsPerImage,
+      size: extent,
+      byteLength,
+    });
+  }
+
+  copyExternalImageToTexture(source, destination, copySize) {
+    const { texture } = destination;
+    const required =
+      MockGPUTextureUsage.COPY_DST | MockGPUTextureUsage.RENDER_ATTACHMENT;
+    if ((texture.usage & required) !== required) {
+      this.device_.fail_(
+        'GPUQueue.copyExternalImageToTexture: texture needs COPY_DST and RENDER_ATTACHMENT usage.'
+      );
+      return;
+    }
+    texture.writes.push({
+      mipLevel: destination.mipLevel || 0,
+      external: source.source,
+      flipY: !!source.flipY,
+      premultipliedAlpha: !!destination.premultipliedAlpha,
+      size: normalizeExtent(copySize),
+    });
+  }
+
+  async onSubmittedWorkDone() {}
+}
+
+/**
+ * Mock GPUCommandBuffer.
+ */
+export class MockGPUCommandBuffer {
+  /**
+   * Creates a mock command buffer.
+   * @param {Array<Object>} commands - Recorded commands.
+   */
+  constructor(commands) {
+    this.commands = commands;
+    this.submitted = false;
+  }
+}
+
+/**
+ * Shared base of the mock pass encoders.
+ */
+class MockGPUPassEncoder {
+  /**
+   * Creates a pass encoder.
+   * @param {MockGPUCommandEncoder} encoder - Parent command encoder.
+   * @param {string} prefix - Name prefix for recorded calls.
+   */
+  constructor(encoder, prefix) {
+    this.encoder_ = encoder;
+    this.device_ = encoder.device_;
+    this.pipeline_ = null;
+    this.bindGroups_ = [];
+    this.ended = false;
+    recordCalls(this, prefix, this.device_.calls);
+  }
+
+  /**
+   * Records a pass command after checking the pass is open.
+   * @param {string} name - Command name.
+   * @param {Array<*>} args - Command arguments.
+   * @private
+   */
+  command_(name, args) {
+    if (this.ended) {
+      this.device_.fail_(`${name}: pass already ended.`);
+    }
+    this.encoder_.commands.push({ name, args });
+  }
+
+  setBindGroup(index, bindGroup, dynamicOffsets) {
+    this.command_('setBindGroup', [index, bindGroup, dynamicOffsets]);
+    this.bindGroups_[index] = bindGroup;
+  }
+
+  pushDebugGroup() {}
+
+  popDebugGroup() {}
+
+  insertDebugMarker() {}
+
+  end() {
+    if (this.ended) {
+      this.device_.fail_('end: pass already ended.');
+      return;
+    }
+    this.ended = true;
+    this.encoder_.commands.push({ name: 'end', args: [] });
+    this.encoder_.openPass_ = null;
+  }
+}
+
+/**
+ * Mock GPURenderPassEncoder.
+ * Validates pipelines against the pass attachments and draw calls against the
+ * bound vertex and index buffers.
+ */
+export class MockGPURenderPassEncoder extends MockGPUPassEncoder {
+  /**
+   * Creates a render pass encoder.
+   * @param {MockGPUCommandEncoder} encoder - Parent command encoder.
+   * @param {GPURenderPassDescriptor} descriptor - Pass descriptor.
+   */
+  constructor(encoder, descriptor) {
+    super(encoder, 'renderPass');
+    this.descriptor = descriptor;
+    this.vertexBuffers_ = [];
+    this.indexBuffer_ = null;
+    this.validateAttachments_();
+  }
+
+  /**
+   * Validates the attachments of the pass descriptor.
+   * @private
+   */
+  validateAttachments_() {
+    const colorAttachments = (this.descriptor.colorAttachments || []).filter(
+      Boolean
+    );
+    const views = colorAttachments.map(attachment => attachment.view);
+    const depth = this.descriptor.depthStencilAttachment;
+    if (depth) {
+      views.push(depth.view);
+    }
+
+    if (views.length === 0) {
+      this.device_.fail_('beginRenderPass: pass has no attachments.');
+      return;
+    }
+
+    views.forEach(view => {
+      if (!(view instanceof MockGPUTextureView)) {
+        this.device_.fail_(
+          'beginRenderPass: attachment view is not a texture view.'
+        );
+        return;
+      }
+      if (view.texture.destroyed) {
+        this.device_.fail_(
+          'beginRenderPass: attachment texture was destroyed.'
+        );
+      }
+      if (!(view.texture.usage & MockGPUTextureUsage.RENDER_ATTACHMENT)) {
+        this.device_.fail_(
+          'beginRenderPass: attachment lacks RENDER_ATTACHMENT usage.'
+        );
+      }
+    });
+
+    const sizes = new Set(
+      views.map(view => `${view.size.width}x${view.size.height}`)
+    );
+    if (sizes.size > 1) {
+      this.device_.fail_(
+        `beginRenderPass: attachment sizes differ (${[...sizes].join(', ')}).`
+      );
+    }
+    const sampleCounts = new Set(views.map(view => view.texture.sampleCount));
+    if (sampleCounts.size > 1) {
+      this.device_.fail_('beginRenderPass: attachment sample counts differ.');
+    }
+
+    colorAttachments.forEach(attachment => {
+      if (!attachment.loadOp || !attachment.storeOp) {
+        this.device_.fail_('beginRenderPass: loadOp and storeOp are required.');
+      }
+      if (attachment.resolveTarget) {
+        const resolve = attachment.resolveTarget.texture;
+        if (
+          resolve.sampleCount !== 1 ||
+          attachment.view.texture.sampleCount === 1
+        ) {
+          this.device_.fail_(
+            'beginRenderPass: resolveTarget needs a multisampled view and a single-sampled target.'
+          );
+        }
+      }
+    });
+
+    this.colorFormats = colorAttachments.map(
+      attachment => attachment.view.format
+    );
+    this.depthStencilFormat = depth ? depth.view.format : undefined;
+    this.sampleCount = views[0].texture.sampleCount;
+  }
+
+  setPipeline(pipeline) {
+    this.command_('setPipeline', [pipeline]);
+    if (!(pipeline instanceof MockGPUPipeline) || pipeline.kind !== 'render') {
+      this.device_.fail_('setPipeline: expected a render pipeline.');
+      return;
+    }
+
+    const { fragment, depthStencil, multisample } = pipeline.descriptor;
+    const targetFormats = (fragment?.targets || []).map(
+      target => target?.format
+    );
+    const passFormats = this.colorFormats;
+    const mismatch =
+      targetFormats.length !== passFormats.length ||
+      targetFormats.some((format, i) => format !== passFormats[i]);
+    if (mismatch) {
+      this.device_.fail_(
+        `setPipeline: pipeline color targets [${targetFormats.join(
+          ', '
+        )}] do not match pass attachments [${passFormats.join(', ')}].`
+      );
+    }
+    if (depthStencil?.format !== this.depthStencilFormat) {
+      this.device_.fail_(
+        `setPipeline: pipeline depth format ${depthStencil?.format} does not match pass depth format ${this.depthStencilFormat}.`
+      );
+    }
+    if ((multisample?.count || 1) !== this.sampleCount) {
+      this.device_.fail_(
+        `setPipeline: pipeline sampleCount ${
+          multisample?.count || 1
+        } does not match pass sampleCount ${this.sampleCount}.`
+      );
+    }
+    this.pipeline_ = pipeline;
+  }
+
+  setVertexBuffer(slot, buffer, offset = 0, size) {
+    this.command_('setVertexBuffer', [slot, buffer, offset, size]);
+    if (buffer && !(buffer.usage & MockGPUBufferUsage.VERTEX)) {
+      this.device_.fail_('setVertexBuffer: buffer lacks VERTEX usage.');
+    }
+    this.vertexBuffers_[slot] = buffer;
+  }
+
+  setIndexBuffer(buffer, indexFormat, offset = 0, size) {
+    this.command_('setIndexBuffer', [buffer, indexFormat, offset, size]);
+    if (!(buffer.usage & MockGPUBufferUsage.INDEX)) {
+      this.device_.fail_('setIndexBuffer: buffer lacks INDEX usage.');
+    }
+    if (indexFormat !== 'uint16' && indexFormat !== 'uint32') {
+      this.device_.fail_(
+        `setIndexBuffer: invalid index format "${indexFormat}".`
+      );
+    }
+    this.indexBuffer_ = { buffer, indexFormat, offset };
+  }
+
+  setViewport() {}
+
+  setScissorRect() {}
+
+  setBlendConstant() {}
+
+  setStencilReference() {}
+
+  /**
+   * Validates state shared by draw calls.
+   * @param {string} name - Draw command name.
+   * @private
+   */
+  validateDraw_(name) {
+    if (!this.pipeline_) {
+      this.device_.fail_(`${name}: no pipeline set.`);
+      return;
+    }
+    const buffers = this.pipeline_.descriptor.vertex.buffers || [];
+    buffers.forEach((layout, slot) => {
+      if (layout && !this.vertexBuffers_[slot]) {
+        this.device_.fail_(`${name}: no vertex buffer set in slot ${slot}.`);
+      }
+    });
+    this.pipeline_.getBindGroupIndices().forEach(index => {
+      const bindGroup = this.bindGroups_[index];
+      if (!bindGroup) {
+        this.device_.fail_(`${name}: no bind group set at index ${index}.`);
+      } else if (!this.pipeline_.isBindGroupCompatible(bindGroup, index)) {
+        this.device_.fail_(
+          `${name}: bind group at index ${index} does not match the pipeline layout.`
+        );
+      }
+    });
+  }
+
+  draw(vertexCount, instanceCount = 1, firstVertex = 0, firstInstance = 0) {
+    this.command_('draw', [
+      vertexCount,
+      instanceCount,
+      firstVertex,
+      firstInstance,
+    ]);
+    this.validateDraw_('draw');
+  }
+
+  drawIndexed(
+    indexCount,
+    instanceCount = 1,
+    firstIndex = 0,
+    baseVertex = 0,
+    firstInstance = 0
+  ) {
+    this.command_('drawIndexed', [
+      indexCount,
+      instanceCount,
+      firstIndex,
+      baseVertex,
+      firstInstance,
+    ]);
+    this.validateDraw_('drawIndexed');
+    if (!this.indexBuffer_) {
+      this.device_.fail_('drawIndexed: no index buffer set.');
+      return;
+    }
+    const { buffer, indexFormat, offset } = this.indexBuffer_;
+    const size = indexFormat === 'uint32' ? 4 : 2;
+    if (offset + (firstIndex + indexCount) * size > buffer.size) {
+      this.device_.fail_('drawIndexed: index range out of buffer bounds.');
+    }
+  }
+
+  drawIndirect(indirectBuffer, indirectOffset) {
+    this.command_('drawIndirect', [indirectBuffer, indirectOffset]);
+    this.validateDraw_('drawIndirect');
+  }
+
+  executeBundles(bundles) {
+    this.command_('executeBundles', [bundles]);
+  }
+}
+
+/**
+ * Mock GPUComputePassEncoder.
+ */
+export class MockGPUComputePassEncoder extends MockGPUPassEncoder {
+  /**
+   * Creates a compute pass encoder.
+   * @param {MockGPUCommandEncoder} encoder - Parent command encoder.
+   */
+  constructor(encoder) {
+    super(encoder, 'computePass');
+  }
+
+  setPipeline(pipeline) {
+    this.command_('setPipeline', [pipeline]);
+    if (!(pipeline instanceof MockGPUPipeline) || pipeline.kind !== 'compute') {
+      this.device_.fail_('setPipeline: expected a compute pipeline.');
+      return;
+    }
+    this.pipeline_ = pipeline;
+  }
+
+  dispatchWorkgroups(x, y = 1, z = 1) {
+    this.command_('dispatchWorkgroups', [x, y, z]);
+    if (!this.pipeline_) {
+      this.device_.fail_('dispatchWorkgroups: no pipeline set.');
+    }
+  }
+}
+
+/**
+ * Mock GPUCommandEncoder.
+ */
+export class MockGPUCommandEncoder {
+  /**
+   * Creates a command encoder.
+   * @param {MockGPUDevice} device - Owning device.
+   * @param {GPUCommandEncoderDescriptor} descriptor - Encoder descriptor.
+   */
+  constructor(device, descriptor = {}) {
+    this.device_ = device;
+    this.label = descriptor.label || '';
+
+    /**
+     * Recorded commands.
+     * @type {Array<{name: string, args: Array<*>}>}
+     */
+    this.commands = [];
+    this.openPass_ = null;
+    this.finished_ = false;
+    recordCalls(this, 'commandEncoder', device.calls);
+  }
+
+  /**
+   * Fails if a pass is still open or the encoder was finished.
+   * @param {string} name - Command name.
+   * @private
+   */
+  checkOpen_(name) {
+    if (this.finished_) {
+      this.device_.fail_(`${name}: command encoder already finished.`);
+    }
+    if (this.openPass_) {
+      this.device_.fail_(`${name}: a pass is still open.`);
+    }
+  }
+
+  beginRenderPass(descriptor) {
+    this.checkOpen_('beginRenderPass');
+    this.commands.push({ name: 'beginRenderPass', args: [descriptor] });
+    this.openPass_ = new MockGPURenderPassEncoder(this, descriptor);
+    return this.openPass_;
+  }
+
+  beginComputePass(descriptor = {}) {
+    this.checkOpen_('beginComputePass');
+    this.commands.push({ name: 'beginComputePass', args: [descriptor] });
+    this.openPass_ = new MockGPUComputePassEncoder(this);
+    return this.openPass_;
+  }
+
+  copyBufferToBuffer(
+    source,
+    sourceOffset,
+    destination,
+    destinationOffset,
+    size
+  ) {
+    this.checkOpen_('copyBufferToBuffer');
+    this.commands.push({
+      name: 'copyBufferToBuffer',
+      args: [source, sourceOffset, destination, destinationOffset, size],
+    });
+  }
+
+  copyBufferToTexture(source, destination, copySize) {
+    this.checkOpen_('copyBufferToTexture');
+    this.commands.push({
+      name: 'copyBufferToTexture',
+      args: [source, destination, copySize],
+    });
+  }
+
+  copyTextureToBuffer(source, destination, copySize) {
+    this.checkOpen_('copyTextureToBuffer');
+    this.commands.push({
+      name: 'copyTextureToBuffer',
+      args: [source, destination, copySize],
+    });
+  }
+
+  copyTextureToTexture(source, destination, copySize) {
+    this.checkOpen_('copyTextureToTexture');
+    this.commands.push({
+      name: 'copyTextureToTexture',
+      args: [source, destination, copySize],
+    });
+    destination.texture.writes.push({
+      mipLevel: destination.mipLevel || 0,
+      copiedFrom: source.texture,
+      size: normalizeExtent(copySize),
+    });
+  }
+
+  clearBuffer(buffer, offset = 0, size = buffer.size - offset) {
+    this.checkOpen_('clearBuffer');
+    this.commands.push({ name: 'clearBuffer', args: [buffer, offset, size] });
+  }
+
+  finish() {
+    this.checkOpen_('finish');
+    this.finished_ = true;
+    return new MockGPUCommandBuffer(this.commands);
+  }
+}
+
+/**
+ * Mock GPUDevice.
+ */
+export class MockGPUDevice {
+  /**
+   * Creates a mock device.
+   * @param {MockGPUAdapter} adapter - Adapter the device was requested from.
+   * @param {GPUDeviceDescriptor} [descriptor] - Device descriptor.
+   */
+  constructor(adapter, descriptor = {}) {
+    /**
+     * Recorded calls on the device, queue, encoders and passes.
+     * @type {Array<RecordedCall>}
+     */
+    this.calls = [];
+
+    /**
+     * Validation errors recorded so far.
+     * @type {string[]}
+     */
+    this.errors = [];
+
+    this.adapter_ = adapter;
+    this.throwOnError_ = adapter.options_.throwOnError !== false;
+    this.label = descriptor.label || '';
+    this.features = new Set(descriptor.requiredFeatures || []);
+    this.limits = { ...adapter.limits, ...(descriptor.requiredLimits || {}) };
+    this.lost = new Promise(() => {});
+    this.errorScopes_ = [];
+
+    (descriptor.requiredFeatures || []).forEach(feature => {
+      if (!adapter.features.has(feature)) {
+        throw new TypeError(
+          `requestDevice: feature "${feature}" is not supported by the adapter.`
+        );
+      }
+    });
+
+    this.queue = new MockGPUQueue(this);
+    recordCalls(this, 'device', this.calls);
+  }
+
+  /**
+   * Records a validation error.
+   * @param {string} message - Error description.
+   * @private
+   */
+  fail_(message) {
+    this.errors.push(message);
+    if (this.errorScopes_.length > 0) {
+      const scope = this.errorScopes_[this.errorScopes_.length - 1];
+      scope.errors.push(message);
+      return;
+    }
+    if (this.throwOnError_) {
+      throw new Error(`MockWebGPU: ${message}`);
+    }
+  }
+
+  /**
+   * Removes all recorded calls.
+   */
+  clearCalls() {
+    this.calls.length = 0;
+  }
+
+  /**
+   * Returns recorded calls of one method.
+   * @param {string} name - "object.method" name, e.g. "renderPass.drawIndexed".
+   * @returns {Array<RecordedCall>} Matching calls.
+   */
+  findCalls(name) {
+    return this.calls.filter(call => call.name === name);
+  }
+
+  createBuffer(descriptor) {
+    if (!descriptor.usage) {
+      this.fail_('createBuffer: usage is required.');
+    }
+    if (descriptor.mappedAtCreation && descriptor.size % 4 !== 0) {
+      this.fail_('createBuffer: mapped buffers need a size multiple of 4.');
+    }
+    if (descriptor.size > this.limits.maxBufferSize) {
+      this.fail_('createBuffer: size exceeds maxBufferSize.');
+    }
+    return new MockGPUBuffer(this, descriptor);
+  }
+
+  createTexture(descriptor) {
+    const size = normalizeExtent(descriptor.size);
+    const max = this.limits.maxTextureDimension2D;
+    if (!descriptor.format) {
+      this.fail_('createTexture: format is required.');
+    }
+    if (!descriptor.usage) {
+      this.fail_('createTexture: usage is required.');
+    }
+    if (
+      size.width < 1 ||
+      size.height < 1 ||
+      size.width > max ||
+      size.height > max
+    ) {
+      this.fail_(`createTexture: invalid size ${size.width}x${size.height}.`);
+    }
+    const sampleCount = descriptor.sampleCount || 1;
+    if (sampleCount !== 1 && sampleCount !== 4) {
+      this.fail_(`createTexture: invalid sampleCount ${sampleCount}.`);
+    }
+    if (sampleCount > 1 && (descriptor.mipLevelCount || 1) > 1) {
+      this.fail_('createTexture: multisampled textures cannot have mipmaps.');
+    }
+    const maxLevels =
+      Math.floor(Math.log2(Math.max(size.width, size.height))) + 1;
+    if ((descriptor.mipLevelCount || 1) > maxLevels) {
+      this.fail_('createTexture: mipLevelCount exceeds the full chain.');
+    }
+    const compressed = /^(bc|etc2|eac|astc)/.exec(descriptor.format || '');
+    if (compressed) {
+      const feature = {
+        bc: 'texture-compression-bc',
+        etc2: 'texture-compression-etc2',
+        eac: 'texture-compression-etc2',
+        astc: 'texture-compression-astc',
+      }[compressed[1]];
+      if (!this.features.has(feature)) {
+        this.fail_(
+          `createTexture: format ${descriptor.format} requires feature "${feature}".`
+        );
+      }
+    }
+    return new MockGPUTexture(this, descriptor);
+  }
+
+  createSampler(descriptor = {}) {
+    if (
+      descriptor.maxAnisotropy > 1 &&
+      (descriptor.magFilter !== 'linear' ||
+        descriptor.minFilter !== 'linear' ||
+        descriptor.mipmapFilter !== 'linear')
+    ) {
+      this.fail_('createSampler: anisotropic filtering needs linear filters.');
+    }
+    return new MockGPUObject('sampler', descriptor);
+  }
+
+  createShaderModule(descriptor) {
+    if (typeof descriptor.code !== 'string') {
+      this.fail_('createShaderModule: code must be a string.');
+    }
+    return new MockGPUShaderModule(descriptor);
+  }
+
+  createBindGroupLayout(descriptor) {
+    return new MockGPUObject('bindGroupLayout', descriptor);
+  }
+
+  createPipelineLayout(descriptor) {
+    return new MockGPUObject('pipelineLayout', descriptor);
+  }
+
+  createBindGroup(descriptor) {
+    if (!descriptor.layout) {
+      this.fail_('createBindGroup: layout is required.');
+    }
+    const layoutEntries = descriptor.layout?.descriptor?.entries;
+    (descriptor.entries || []).forEach(entry => {
+      if (
+        layoutEntries &&
+        !layoutEntries.some(e => e.binding === entry.binding)
+      ) {
+        this.fail_(
+          `createBindGroup: binding ${entry.binding} is not in the layout.`
+        );
+      }
+      const { resource } = entry;
+      if (resource && resource.buffer && resource.buffer.destroyed) {
+        this.fail_(
+          `createBindGroup: buffer at binding ${entry.binding} was destroyed.`
+        );
+      }
+    });
+    return new MockGPUObject('bindGroup', descriptor);
+  }
+
+  /**
+   * Validates a programmable stage.
+   * @param {string} name - Calling method.
+   * @param {Object} stage - Stage descriptor.
+   * @param {string} stageName - 'vertex', 'fragment' or 'compute'.
+   * @private
+   */
+  validateStage_(name, stage, stageName) {
+    if (!(stage.module instanceof MockGPUShaderModule)) {
+      this.fail_(`${name}: ${stageName} module is not a shader module.`);
+      return;
+    }
+    const entryPoints = stage.module.entryPoints.filter(
+      entry => entry.stage === stageName
+    );
+    if (stage.entryPoint) {
+      if (
+        entryPoints.length > 0 &&
+        !entryPoints.some(entry => entry.name === stage.entryPoint)
+      ) {
+        this.fail_(
+          `${name}: ${stageName} entry point "${stage.entryPoint}" not found.`
+        );
+      }
+    } else if (entryPoints.length > 1) {
+      this.fail_(`${name}: ambiguous ${stageName} entry point.`);
+    }
+  }
+
+  createRenderPipeline(descriptor) {
+    if (!descriptor.layout) {
+      this.fail_('createRenderPipeline: layout is required.');
+    }
+    this.validateStage_('createRenderPipeline', descriptor.vertex, 'vertex');
+    if (descriptor.fragment) {
+      this.validateStage_(
+        'createRenderPipeline',
+        descriptor.fragment,
+        'fragment'
+      );
+      if (
+        descriptor.fragment.targets.length > this.limits.maxColorAttachments
+      ) {
+        this.fail_('createRenderPipeline: too many color targets.');
+      }
+    }
+    (descriptor.vertex.buffers || []).forEach((layout, slot) => {
+      if (!layout) return;
+      if (layout.arrayStride % 4 !== 0) {
+        this.fail_(
+          `createRenderPipeline: arrayStride of buffer ${slot} is not a multiple of 4.`
+        );
+      }
+    });
+    if (
+      descriptor.depthStencil &&
+      !DEPTH_FORMATS.has(descriptor.depthStencil.format)
+    ) {
+      this.fail_(
+        `createRenderPipeline: ${descriptor.depthStencil.format} is not a depth format.`
+      );
+    }
+    return new MockGPUPipeline(this, 'render', descriptor);
+  }
+
+  async createRenderPipelineAsync(descriptor) {
+    return this.createRenderPipeline(descriptor);
+  }
+
+  createComputePipeline(descriptor) {
+    if (!descriptor.layout) {
+      this.fail_('createComputePipeline: layout is required.');
+    }
+    this.validateStage_('createComputePipeline', descriptor.compute, 'compute');
+    return new MockGPUPipeline(this, 'compute', descriptor);
+  }
+
+  async createComputePipelineAsync(descriptor) {
+    return this.createComputePipeline(descriptor);
+  }
+
+  createCommandEncoder(descriptor = {}) {
+    return new MockGPUCommandEncoder(this, descriptor);
+  }
+
+  createQuerySet(descriptor) {
+    return new MockGPUObject('querySet', descriptor);
+  }
+
+  pushErrorScope(filter) {
+    this.errorScopes_.push({ filter, errors: [] });
+  }
+
+  async popErrorScope() {
+    const scope = this.errorScopes_.pop();
+    if (!scope) {
+      throw new Error('popErrorScope: no error scope.');
+    }
+    return scope.errors.length > 0 ? { message: scope.errors[0] } : null;
+  }
+
+  destroy() {}
+}
+
+/**
+ * Mock GPUAdapter.
+ */
+export class MockGPUAdapter {
+  /**
+   * Creates a mock adapter.
+   * @param {MockGPUOptions} options - Mock options.
+   */
+  constructor(options) {
+    this.options_ = options;
+    this.features = new Set(options.features || []);
+    this.limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+    this.info = { vendor: 'mock', architecture: 'mock' };
+    this.isFallbackAdapter = false;
+  }
+
+  async requestDevice(descriptor = {}) {
+    return new MockGPUDevice(this, descriptor);
+  }
+}
+
+/**
+ * Mock GPUCanvasContext.
+ */
+export class MockGPUCanvasContext {
+  /**
+   * Creates a mock canvas context.
+   * @param {{width: number, height: number}} [canvas] - Canvas (or size stand-in).
+   */
+  constructor(canvas = { width: 300, height: 150 }) {
+    this.canvas = canvas;
+    this.configuration_ = null;
+    this.currentTexture_ = null;
+  }
+
+  configure(configuration) {
+    if (!configuration.device || !configuration.format) {
+      throw new TypeError('configure: device and format are required.');
+    }
+    this.configuration_ = configuration;
+    this.currentTexture_ = null;
+  }
+
+  unconfigure() {
+    this.configuration_ = null;
+    this.currentTexture_ = null;
+  }
+
+  getConfiguration() {
+    return this.configuration_;
+  }
+
+  /**
+   * Returns the texture for the current frame. A new texture is created when
+   * the canvas size changed since the last call; call presentFrame() to
+   * emulate the browser presenting and starting a new frame.
+   * @returns {MockGPUTexture} Current texture.
+   */
+  getCurrentTexture() {
+    if (!this.configuration_) {
+      throw new Error('getCurrentTexture: context is not configured.');
+    }
+    const { width, height } = this.canvas;
+    if (
+      !this.currentTexture_ ||
+      this.currentTexture_.width !== width ||
+      this.currentTexture_.height !== height
+    ) {
+      this.currentTexture_ = new MockGPUTexture(this.configuration_.device, {
+        label: 'canvas texture',
+        size: [width, height],
+        format: this.configuration_.format,
+        usage:
+          this.configuration_.usage ?? MockGPUTextureUsage.RENDER_ATTACHMENT,
+      });
+    }
+    return this.currentTexture_;
+  }
+
+  /**
+   * Emulates the browser presenting the frame; the next getCurrentTexture()
+   * call returns a fresh texture.
+   */
+  presentFrame() {
+    this.currentTexture_ = null;
+  }
+}
+
+/**
+ * Mock GPU (navigator.gpu).
+ */
+export class MockGPU {
+  /**
+   * Creates a mock GPU.
+   * @param {MockGPUOptions} [options] - Mock options.
+   */
+  constructor(options = {}) {
+    this.options_ = { preferredFormat: 'bgra8unorm', ...options };
+    this.wgslLanguageFeatures = new Set();
+  }
+
+  async requestAdapter() {
+    return new MockGPUAdapter(this.options_);
+  }
+
+  getPreferredCanvasFormat() {
+    return this.options_.preferredFormat;
+  }
+}
+
+/**
+ * Installs the WebGPU flag globals (GPUBufferUsage, GPUTextureUsage,
+ * GPUShaderStage, GPUMapMode, GPUColorWrite) that the renderer relies on.
+ * Existing globals are left untouched.
+ * @param {Object} [target=globalThis] - Object to install the globals on.
+ */
+export function installMockGPUGlobals(target = globalThis) {
+  const globals = {
+    GPUBufferUsage: MockGPUBufferUsage,
+    GPUTextureUsage: MockGPUTextureUsage,
+    GPUShaderStage: MockGPUShaderStage,
+    GPUMapMode: MockGPUMapMode,
+    GPUColorWrite: MockGPUColorWrite,
+  };
+  Object.entries(globals).forEach(([name, value]) => {
+    if (target[name] === undefined) {
+      target[name] = value;
+    }
+  });
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Tests of the cameras attached to renderers of each backend.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PerspectiveCamera, OrthographicCamera } from '../js/Camera.js';
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import { WGL2Renderer } from '../js/WGL2Renderer.js';
+import { SWRenderer } from '../js/SWRenderer.js';
+import { DepthRange } from '../js/math/common.js';
+import * as vec4 from '../js/math/vec4.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+import { MockWebGL2RenderingContext } from '../js/mock/MockWebGL.js';
+import { assertClose } from './math/assertions.js';
+
+installMockGPUGlobals();
+
+/**
+ * Renderer factories per backend, with a 200x100 canvas where the backend
+ * has one.
+ * @type {Object<string, function(): Promise<Renderer>>}
+ */
+const RENDERERS = {
+  async webgpu() {
+    const canvas = { width: 200, height: 100 };
+    const renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    return renderer;
+  },
+  async webgl2() {
+    const canvas = { width: 200, height: 100 };
+    const renderer = new WGL2Renderer(canvas, {
+      context: new MockWebGL2RenderingContext({ width: 200, height: 100 }),
+    });
+    await renderer.initialize();
+    return renderer;
+  },
+  async software() {
+    const renderer = new SWRenderer(null, { width: 200, height: 100 });
+    await renderer.initialize();
+    return renderer;
+  },
+};
+
+/**
+ * Returns the normalized device depth of a view-space point.
+ * @param {Camera} camera - Camera.
+ * @param {number} z - View-space depth (negative in front of the camera).
+ * @returns {number} Depth after the perspective divide.
+ */
+function projectDepth(camera, z) {
+  const clip = vec4.transformMat4([0, 0, z, 1], camera.projectionMatrix);
+  return clip[2] / clip[3];
+}
+
+describe('Camera', () => {
+  [
+    ['webgpu', DepthRange.ZERO_TO_ONE, 0],
+    ['webgl2', DepthRange.NEGATIVE_ONE_TO_ONE, -1],
+    ['software', DepthRange.ZERO_TO_ONE, 0],
+  ].forEach(([backend, depthRange, nearDepth]) => {
+    it(`projects into the depth range of ${backend}`, async () => {
+      const renderer = await RENDERERS[backend]();
+      const perspective = new PerspectiveCamera({
+        near: 1,
+        far: 10,
+        renderer,
+      });
+      const orthographic = new OrthographicCamera({ near: 1, far: 10 });
+      orthographic.attach(renderer);
+
+      [perspective, orthographic].forEach(camera => {
+        assert.equal(camera.depthRange, depthRange);
+        assertClose(projectDepth(camera, -1), nearDepth);
+        assertClose(projectDepth(camera, -10), 1);
+      });
+    });
+  });
+
+  it('follows the canvas aspect on resize until detached', async () => {
+    const renderer = await RENDERERS.webgpu();
+    const perspective = new PerspectiveCamera({ renderer });
+    const orthographic = new OrthographicCamera({ renderer });
+
+    assert.equal(perspective.aspect, 2);
+    assert.deepEqual([orthographic.left, orthographic.right], [-2, 2]);
+
+    renderer.setSize(100, 400);
+    assert.equal(perspective.aspect, 0.25);
+    assert.deepEqual([orthographic.left, orthographic.right], [-0.25, 0.25]);
+
+    perspective.detach();
+    renderer.setSize(300, 100);
+    assert.equal(perspective.aspect, 0.25);
+    assert.deepEqual([orthographic.left, orthographic.right], [-3, 3]);
+  });
+
+  it('moves to the renderer it was attached to last', async () => {
+    const software = await RENDERERS.software();
+    const webgl2 = await RENDERERS.webgl2();
+    const camera = new PerspectiveCamera({ renderer: software });
+
+    camera.attach(webgl2);
+    software.setSize(50, 100);
+
+    assert.equal(camera.depthRange, DepthRange.NEGATIVE_ONE_TO_ONE);
+    assert.equal(camera.aspect, 2);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Cube texture and equirectangular conversion tests of the
+ * renderers against the mocks.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import { WGL2Renderer } from '../js/WGL2Renderer.js';
+import { SWRenderer } from '../js/SWRenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+import { MockWebGL2RenderingContext } from '../js/mock/MockWebGL.js';
+
+installMockGPUGlobals();
+
+/**
+ * Returns six RGBA8 faces, each filled with its index.
+ * @param {number} size - Face size.
+ * @returns {Array<Uint8Array>} Faces in +X, -X, +Y, -Y, +Z, -Z order.
+ */
+function createFaces(size) {
+  return Array.from({ length: 6 }, (_, face) =>
+    new Uint8Array(size * size * 4).fill(face)
+  );
+}
+
+describe('cube textures', () => {
+  describe('WGPURenderer', () => {
+    let renderer;
+    let device;
+
+    beforeEach(async () => {
+      const canvas = { width: 64, height: 64 };
+      renderer = new WGPURenderer(canvas, {
+        gpu: new MockGPU(),
+        context: new MockGPUCanvasContext(canvas),
+      });
+      await renderer.initialize();
+      device = renderer.device_;
+    });
+
+    it('uploads six faces into the layers of a cube texture', () => {
+      const texture = renderer.createTexture({
+        name: 'cube',
+        dimension: 'cube',
+        width: 2,
+        height: 2,
+        faces: createFaces(2),
+      });
+
+      assert.deepEqual(
+        [texture.width, texture.height, texture.depthOrArrayLayers],
+        [2, 2, 6]
+      );
+      assert.equal(renderer.getTextureView('cube').dimension, 'cube');
+      assert.deepEqual(
+        device
+          .findCalls('queue.writeTexture')
+          .map(({ args: [{ origin }, data] }) => [origin.z, data[0]]),
+        [
+          [0, 0],
+          [1, 1],
+          [2, 2],
+          [3, 3],
+          [4, 4],
+          [5, 5],
+        ]
+      );
+      assert.deepEqual(device.errors, []);
+    });
+
+    it('rejects faces that do not make a cube', () => {
+      assert.throws(
+        () =>
+          renderer.createTexture({
+            name: 'cube',
+            dimension: 'cube',
+            width: 4,
+            height: 2,
+          }),
+        /Cube texture "cube" faces must be square, got 4x2\./
+      );
+      assert.throws(
+        () =>
+          renderer.createTexture({
+            name: 'cube',
+            dimension: 'cube',
+            width: 2,
+            height: 2,
+            faces: createFaces(2).slice(1),
+          }),
+        /Cube texture "cube" needs six faces\./
+      );
+
+      renderer.createTexture({
+        name: 'cube',
+        dimension: 'cube',
+        width: 2,
+        height: 2,
+      });
+      assert.throws(
+        () => renderer.updateTexture('cube', createFaces(2)[0]),
+        /Cube texture "cube" needs six faces\./
+      );
+    });
+
+    it('renders each face of an equirectangular panorama', () => {
+      renderer.createTexture({
+        name: 'panorama',
+        width: 64,
+        height: 32,
+        format: 'rgba32float',
+      });
+
+      const texture = renderer.createCubeTextureFromEquirect({
+        name: 'environment',
+        equirect: 'panorama',
+        format: 'rgba16float',
+      });
+
+      assert.deepEqual([texture.width, texture.format], [16, 'rgba16float']);
+      const passes = device.findCalls('commandEncoder.beginRenderPass');
+      assert.deepEqual(
+        passes.map(({ args: [{ colorAttachments }] }) => [
+          colorAttachments[0].view.baseArrayLayer,
+          colorAttachments[0].view.texture,
+        ]),
+        Array.from({ length: 6 }, (_, face) => [face, texture])
+      );
+      assert.deepEqual(
+        device.findCalls('renderPass.draw').map(({ args }) => args[3]),
+        [0, 1, 2, 3, 4, 5]
+      );
+      // rgba32float is not filterable
+      assert.equal(
+        device.findCalls('device.createSampler').at(-1).args[0].magFilter,
+        'nearest'
+      );
+      assert.throws(
+        () =>
+          renderer.createCubeTextureFromEquirect({
+            name: 'missing',
+            equirect: 'missing',
+          }),
+        /Texture "missing" not found\./
+      );
+      assert.deepEqual(device.errors, []);
+    });
+  });
+
+  describe('WGL2Renderer', () => {
+    let renderer;
+    let gl;
+
+    beforeEach(async () => {
+      gl = new MockWebGL2RenderingContext({ width: 64, height: 64 });
+      renderer = new WGL2Renderer({ width: 64, height: 64 }, { context: gl });
+      await renderer.initialize();
+      gl.calls.length = 0;
+    });
+
+    it('uploads six faces to the cube map face targets', () => {
+      renderer.createTexture({
+        name: 'cube',
+        dimension: 'cube',
+        width: 2,
+        height: 2,
+        faces: createFaces(2),
+      });
+
+      assert.deepEqual(
+        gl.calls
+          .filter(({ name }) => name === 'texImage2D')
+          .map(({ args }) => [
+            args[0] - gl.TEXTURE_CUBE_MAP_POSITIVE_X,
+            args[8][0],
+          ]),
+        [
+          [0, 0],
+          [1, 1],
+          [2, 2],
+          [3, 3],
+          [4, 4],
+          [5, 5],
+        ]
+      );
+      assert.deepEqual(gl.errors, []);
+    });
+
+    it('renders each face of an equirectangular panorama', () => {
+      renderer.createTexture({
+        name: 'panorama',
+        width: 64,
+        height: 32,
+        format: 'rgba8unorm',
+      });
+      gl.calls.length = 0;
+
+      renderer.createCubeTextureFromEquirect({
+        name: 'environment',
+        equirect: 'panorama',
+        mipmaps: true,
+      });
+
+      const faces = gl.calls
+        .filter(({ name }) => name === 'framebufferTexture2D')
+        .map(({ args }) => args[2] - gl.TEXTURE_CUBE_MAP_POSITIVE_X);
+      const draws = gl.calls.filter(
+        ({ name }) => name === 'drawArraysInstanced'
+      );
+      const mipmaps = gl.calls.filter(({ name }) => name === 'generateMipmap');
+      assert.deepEqual(faces, [0, 1, 2, 3, 4, 5]);
+      assert.equal(draws.length, 6);
+      // Once when created, once the faces are rendered
+      assert.equal(mipmaps.length, 2);
+      assert.equal(mipmaps[1].args[0], gl.TEXTURE_CUBE_MAP);
+      assert.ok(gl.calls.indexOf(mipmaps[1]) > gl.calls.indexOf(draws[5]));
+      assert.deepEqual(
+        gl.calls.find(({ name }) => name === 'viewport').args,
+        [0, 0, 16, 16]
+      );
+      assert.deepEqual(gl.errors, []);
+    });
+  });
+
+  it('are not supported by SWRenderer', async () => {
+    const renderer = new SWRenderer(null, { width: 8, height: 8 });
+    await renderer.initialize();
+
+    assert.throws(
+      () =>
+        renderer.createTexture({
+          name: 'cube',
+          dimension: 'cube',
+          width: 2,
+          height: 2,
+        }),
+      /SWRenderer does not support cube textures\./
+    );
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests of the geometry builders and derived attributes.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Geometry,
+  createGeometry,
+  computeTangents,
+  createPlane,
+  createSphere,
+} from '../js/Geometry.js';
+import { assertClose } from './math/assertions.js';
+
+/**
+ * Returns the tangents of a geometry.
+ * @param {Geometry} geometry - Geometry.
+ * @returns {Array<Array<number>>} Tangent (x, y, z, w) per vertex.
+ */
+function readTangents(geometry) {
+  const stride = Geometry.VERTEX_STRIDE / 4;
+  return Array.from({ length: geometry.vertexCount }, (_, vertex) =>
+    Array.from(
+      geometry.vertices.subarray(vertex * stride + 8, vertex * stride + 12)
+    )
+  );
+}
+
+describe('createGeometry', () => {
+  it('uses 16-bit indices up to 0xffff vertices', () => {
+    const geometry = createGeometry({
+      positions: new Float32Array(0xffff * 3),
+    });
+
+    assert.ok(geometry.indices instanceof Uint16Array);
+    assert.equal(geometry.indices[geometry.indexCount - 1], 0xfffe);
+  });
+
+  it('switches to 32-bit indices from 0x10000 vertices', () => {
+    const geometry = createGeometry({
+      positions: new Float32Array(0x10000 * 3),
+    });
+    const plane = createPlane({ widthSegments: 255, depthSegments: 255 });
+
+    assert.ok(geometry.indices instanceof Uint32Array);
+    assert.equal(geometry.indices[geometry.indexCount - 1], 0xffff);
+    assert.equal(plane.vertexCount, 0x10000);
+    assert.ok(plane.indices instanceof Uint32Array);
+    assert.equal(
+      plane.indices.reduce((a, b) => Math.max(a, b)),
+      0xffff
+    );
+  });
+
+  it('fills in normals, UVs and tangents', () => {
+    const geometry = createGeometry(
+      { positions: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 2] },
+      'triangle'
+    );
+
+    assert.equal(geometry.name, 'triangle');
+    assert.deepEqual(
+      Array.from(geometry.vertices.subarray(12, 24)),
+      [1, 0, 0, 0, 0, 1, 0, 0, 1, 0, 0, 1]
+    );
+  });
+});
+
+describe('computeTangents', () => {
+  it('points tangents along increasing U', () => {
+    readTangents(createPlane({ widthSegments: 2, depthSegments: 2 })).forEach(
+      tangent => assertClose(tangent, [1, 0, 0, -1])
+    );
+    readTangents(createSphere({ widthSegments: 8, heightSegments: 4 })).forEach(
+      ([x, y, z, w]) => {
+        assertClose(Math.hypot(x, y, z), 1);
+        assert.ok(w === 1 || w === -1);
+      }
+    );
+  });
+
+  it('flips the handedness of mirrored UVs', () => {
+    const positions = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+    const normals = [0, 0, 1, 0, 0, 1, 0, 0, 1];
+    const indices = [0, 1, 2];
+
+    const tangents = computeTangents(
+      positions,
+      normals,
+      [0, 1, 1, 1, 0, 0],
+      indices
+    );
+    const mirrored = computeTangents(
+      positions,
+      normals,
+      [0, 0, 1, 0, 0, 1],
+      indices
+    );
+
+    assertClose(tangents.subarray(0, 4), [1, 0, 0, -1]);
+    assertClose(mirrored.subarray(0, 4), [1, 0, 0, 1]);
+  });
+
+  it('falls back to a perpendicular tangent without usable UVs', () => {
+    const tangents = computeTangents(
+      [0, 0, 0, 0, 1, 0, 0, 0, 1],
+      [1, 0, 0, 1, 0, 0, 1, 0, 0],
+      new Float32Array(6),
+      [0, 1, 2]
+    );
+
+    assertClose(tangents.subarray(0, 4), [0, 1, 0, 1]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Mipmap generation tests of WGPURenderer, WGLRenderer and
+ * WGL2Renderer against the mocks.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import { WGLRenderer } from '../js/WGLRenderer.js';
+import { WGL2Renderer } from '../js/WGL2Renderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+import {
+  MockWebGLRenderingContext,
+  MockWebGL2RenderingContext,
+} from '../js/mock/MockWebGL.js';
+
+installMockGPUGlobals();
+
+/**
+ * Creates an initialized WebGL renderer on a mock context.
+ * @param {typeof WGLRenderer} Renderer - WGLRenderer or WGL2Renderer.
+ * @param {typeof MockWebGLRenderingContext} Context - Matching mock context.
+ * @returns {Promise<{renderer: WGLRenderer, gl: MockWebGLRenderingContext}>}
+ *     Renderer and its context.
+ */
+async function createWGLRenderer(Renderer, Context) {
+  const gl = new Context({ width: 64, height: 64 });
+  const renderer = new Renderer({ width: 64, height: 64 }, { context: gl });
+  await renderer.initialize();
+  gl.calls.length = 0;
+  return { renderer, gl };
+}
+
+/**
+ * Returns the level 0 uploads and mipmap generations recorded by a mock
+ * WebGL context.
+ * @param {MockWebGLRenderingContext} gl - Context.
+ * @returns {Array<Array<*>>} ['texImage2D', width, height] and
+ *     ['generateMipmap'] entries in call order.
+ */
+function uploads(gl) {
+  return gl.calls
+    .filter(({ name }) => name === 'texImage2D' || name === 'generateMipmap')
+    .map(({ name, args }) =>
+      name === 'texImage2D' ? [name, args[3], args[4]] : [name]
+    );
+}
+
+describe('mipmaps', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('downsamples every level of a WebGPU texture', async () => {
+    const canvas = { width: 64, height: 64 };
+    const renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    const device = renderer.device_;
+
+    renderer.createTexture({
+      name: 'albedo',
+      width: 100,
+      height: 30,
+      format: 'rgba8unorm',
+      data: new Uint8Array(100 * 30 * 4),
+      mipmaps: true,
+    });
+
+    assert.equal(renderer.getTextureMetadata('albedo').mipLevelCount, 7);
+    assert.deepEqual(
+      device
+        .findCalls('commandEncoder.beginRenderPass')
+        .map(({ args: [{ colorAttachments }] }) => {
+          const { width, height } = colorAttachments[0].view.size;
+          return [width, height];
+        }),
+      [
+        [50, 15],
+        [25, 7],
+        [12, 3],
+        [6, 1],
+        [3, 1],
+        [1, 1],
+      ]
+    );
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('scales non-power-of-two RGBA8 data up on WebGL1', async () => {
+    const { renderer, gl } = await createWGLRenderer(
+      WGLRenderer,
+      MockWebGLRenderingContext
+    );
+
+    renderer.createTexture({
+      name: 'albedo',
+      width: 3,
+      height: 5,
+      format: 'rgba8unorm',
+      data: new Uint8Array(3 * 5 * 4).fill(255),
+      mipmaps: true,
+    });
+
+    assert.deepEqual(uploads(gl), [['texImage2D', 4, 8], ['generateMipmap']]);
+    const pixels = gl.calls.find(({ name }) => name === 'texImage2D').args[8];
+    assert.equal(pixels.length, 4 * 8 * 4);
+    assert.ok(pixels.every(value => value === 255));
+    assert.deepEqual(gl.errors, []);
+  });
+
+  it('disables mipmaps of non-power-of-two float data on WebGL1', async () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const { renderer, gl } = await createWGLRenderer(
+      WGLRenderer,
+      MockWebGLRenderingContext
+    );
+
+    renderer.createTexture({
+      name: 'heights',
+      width: 3,
+      height: 5,
+      format: 'rgba32float',
+      data: new Float32Array(3 * 5 * 4),
+      mipmaps: true,
+    });
+
+    assert.deepEqual(uploads(gl), [['texImage2D', 3, 5]]);
+    assert.equal(warn.mock.callCount(), 1);
+    const minFilter = gl.calls.findLast(
+      ({ name, args }) =>
+        name === 'texParameteri' && args[1] === gl.TEXTURE_MIN_FILTER
+    );
+    assert.equal(minFilter.args[2], gl.LINEAR);
+  });
+
+  it('mipmaps non-power-of-two textures as they are on WebGL2', async () => {
+    const { renderer, gl } = await createWGLRenderer(
+      WGL2Renderer,
+      MockWebGL2RenderingContext
+    );
+
+    renderer.createTexture({
+      name: 'albedo',
+      width: 3,
+      height: 5,
+      format: 'rgba8unorm',
+      data: new Uint8Array(3 * 5 * 4),
+      mipmaps: true,
+    });
+
+    assert.deepEqual(uploads(gl), [['texImage2D', 3, 5], ['generateMipmap']]);
+    assert.deepEqual(gl.errors, []);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Effect chain tests of PostProcessing with WGPURenderer
+ * against the WebGPU mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PostProcessing,
+  ShaderEffect,
+  GaussianBlurEffect,
+} from '../js/PostProcessing.js';
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+/**
+ * Returns an effect copying its input.
+ * @param {string} name - Effect name.
+ * @returns {ShaderEffect} Effect.
+ */
+function createCopyEffect(name) {
+  return new ShaderEffect(name, {
+    wgsl: `fn effect(uv: vec2f) -> vec4f {
+  return textureSampleLevel(inputTexture, postSampler, uv, 0.0);
+}
+`,
+  });
+}
+
+describe('PostProcessing', () => {
+  let renderer;
+  let post;
+  let passes;
+  let created;
+  let destroyed;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    post = new PostProcessing(renderer, { submit: false });
+
+    passes = [];
+    mock.method(renderer, 'beginPass', function (config) {
+      passes.push([config.label, config.target]);
+      return WGPURenderer.prototype.beginPass.call(this, config);
+    });
+    created = mock.method(renderer, 'createRenderTarget');
+    destroyed = mock.method(renderer, 'destroyRenderTarget');
+  });
+
+  it('ping-pongs between two targets and writes the last effect to the canvas', () => {
+    post.addEffect(createCopyEffect('a'));
+    post.addEffect(new GaussianBlurEffect({ scale: 0.5 }));
+    post.addEffect(createCopyEffect('b'));
+    post.addEffect(createCopyEffect('c'));
+    post.addEffect(createCopyEffect('disabled')).enabled = false;
+
+    post.render(() => {});
+
+    assert.deepEqual(passes, [
+      ['postProcessing scene', 'postProcessing.scene'],
+      ['postProcessing a.main', 'postProcessing.ping0'],
+      [
+        'postProcessing gaussianBlur.horizontal',
+        'postProcessing.gaussianBlur.horizontal',
+      ],
+      ['postProcessing gaussianBlur.vertical', 'postProcessing.ping1'],
+      ['postProcessing b.main', 'postProcessing.ping0'],
+      ['postProcessing c.main', null],
+    ]);
+    assert.deepEqual(
+      created.mock.calls.map(({ arguments: [config] }) => config.name),
+      [
+        'postProcessing.scene',
+        'postProcessing.ping0',
+        'postProcessing.ping1',
+        'postProcessing.gaussianBlur.horizontal',
+      ]
+    );
+    assert.deepEqual(renderer.device_.errors, []);
+  });
+
+  it('copies the scene to the canvas without enabled effects', () => {
+    post.addEffect(createCopyEffect('a')).enabled = false;
+
+    post.render(null, { target: null });
+
+    assert.deepEqual(passes, [['postProcessing copy.main', null]]);
+    assert.equal(created.mock.callCount(), 1);
+  });
+
+  it('recreates its targets at the canvas size after a resize', () => {
+    post.addEffect(createCopyEffect('a'));
+    post.addEffect(new GaussianBlurEffect({ scale: 0.5 }));
+    post.render(() => {});
+    const sizes = () => {
+      const calls = created.mock.calls.map(
+        ({ arguments: [{ name, width, height }] }) => [name, width, height]
+      );
+      created.mock.resetCalls();
+      return calls;
+    };
+    assert.deepEqual(sizes(), [
+      ['postProcessing.scene', 64, 64],
+      ['postProcessing.ping0', 64, 64],
+      ['postProcessing.gaussianBlur.horizontal', 32, 32],
+    ]);
+
+    renderer.setSize(100, 50);
+    assert.deepEqual(
+      destroyed.mock.calls.map(({ arguments: [name] }) => name),
+      [
+        'postProcessing.scene',
+        'postProcessing.ping0',
+        'postProcessing.gaussianBlur.horizontal',
+      ]
+    );
+    post.render(() => {});
+
+    assert.deepEqual(sizes(), [
+      ['postProcessing.scene', 100, 50],
+      ['postProcessing.ping0', 100, 50],
+      ['postProcessing.gaussianBlur.horizontal', 50, 25],
+    ]);
+
+    post.destroy();
+    renderer.setSize(64, 64);
+    assert.equal(destroyed.mock.callCount(), 6);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Scheduling and target allocation tests of RenderGraph with
+ * WGPURenderer against the WebGPU mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RenderGraph } from '../js/RenderGraph.js';
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+/**
+ * Adds passes forming a chain: each pass reads what the previous one wrote.
+ * @param {RenderGraph} graph - Graph.
+ * @param {string[]} resources - Resources written by the passes in order.
+ * @param {function(GraphPassContext): void} [execute] - Pass body.
+ */
+function addChain(graph, resources, execute = () => {}) {
+  resources.forEach((resource, index) => {
+    graph.addPass(`pass${index}`, {
+      reads: index > 0 ? [resources[index - 1]] : [],
+      writes: [resource],
+      execute,
+    });
+  });
+}
+
+describe('RenderGraph', () => {
+  let renderer;
+  let graph;
+  let created;
+  let destroyed;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    created = mock.method(renderer, 'createRenderTarget');
+    destroyed = mock.method(renderer, 'destroyRenderTarget');
+    graph = new RenderGraph(renderer, { submit: false });
+  });
+
+  it('shares one target between resources with disjoint lifetimes', () => {
+    ['a', 'b', 'c', 'd'].forEach(name => graph.addRenderTarget(name));
+    addChain(graph, ['a', 'b', 'c', 'd', RenderGraph.BACKBUFFER]);
+
+    const { order, targets } = graph.compile();
+
+    assert.deepEqual(order, ['pass0', 'pass1', 'pass2', 'pass3', 'pass4']);
+    assert.equal(created.mock.callCount(), 2);
+    assert.equal(targets.get('a'), targets.get('c'));
+    assert.equal(targets.get('b'), targets.get('d'));
+    assert.notEqual(targets.get('a'), targets.get('b'));
+    assert.equal(targets.get(RenderGraph.BACKBUFFER), null);
+  });
+
+  it('keeps resources of different sizes apart', () => {
+    graph.addRenderTarget('full');
+    graph.addRenderTarget('half', { scale: 0.5 });
+    graph.addRenderTarget('quarter', { width: 16, height: 16 });
+    addChain(graph, ['full', 'half', 'quarter', RenderGraph.BACKBUFFER]);
+
+    const { targets } = graph.compile();
+
+    assert.equal(
+      new Set(['full', 'half', 'quarter'].map(name => targets.get(name))).size,
+      3
+    );
+    assert.deepEqual(
+      created.mock.calls.map(({ arguments: [config] }) => [
+        config.width,
+        config.height,
+      ]),
+      [
+        [64, 64],
+        [32, 32],
+        [16, 16],
+      ]
+    );
+  });
+
+  it('never aliases the read and the write of one pass', () => {
+    const resources = ['a', 'b', 'c', RenderGraph.BACKBUFFER];
+    ['a', 'b', 'c'].forEach(name => graph.addRenderTarget(name));
+    const passTargets = [];
+    addChain(graph, resources, ({ pass, getTarget }) => {
+      const index = +pass.slice(4);
+      passTargets.push([
+        index > 0 ? getTarget(resources[index - 1]) : null,
+        getTarget(resources[index]),
+      ]);
+    });
+
+    graph.execute();
+
+    assert.equal(passTargets.length, 4);
+    passTargets.forEach(([read, write]) => assert.notEqual(read, write));
+    assert.throws(
+      () =>
+        graph.addPass('feedback', {
+          reads: ['a'],
+          writes: ['a'],
+          execute() {},
+        }),
+      /Render graph pass "feedback" cannot read the resource it writes\./
+    );
+  });
+
+  it('culls passes nothing uses', () => {
+    graph.addRenderTarget('scene');
+    graph.addRenderTarget('debug');
+    graph.addRenderTarget('overlay');
+    const executed = [];
+    const execute = ({ pass }) => executed.push(pass);
+    graph.addPass('scene', { writes: ['scene'], execute });
+    graph.addPass('debug', { reads: ['scene'], writes: ['debug'], execute });
+    graph.addPass('overlay', {
+      writes: ['overlay'],
+      sideEffects: true,
+      execute,
+    });
+    graph.addPass('present', {
+      reads: ['scene'],
+      writes: [RenderGraph.BACKBUFFER],
+      execute,
+    });
+
+    graph.execute();
+
+    assert.deepEqual(graph.compile().culled, ['debug']);
+    assert.deepEqual(executed, ['scene', 'overlay', 'present']);
+    assert.equal(graph.compile().targets.has('debug'), false);
+  });
+
+  it('recreates canvas-sized targets after setSize', () => {
+    graph.addRenderTarget('scene');
+    graph.addRenderTarget('lut', { width: 16, height: 16 });
+    graph.addPass('lut', { writes: ['lut'], execute() {} });
+    graph.addPass('scene', {
+      reads: ['lut'],
+      writes: ['scene'],
+      execute() {},
+    });
+    graph.addPass('present', {
+      reads: ['scene'],
+      writes: [RenderGraph.BACKBUFFER],
+      execute() {},
+    });
+    graph.execute();
+    const before = graph.compile().targets;
+
+    renderer.setSize(128, 32);
+    graph.execute();
+    const after = graph.compile().targets;
+
+    assert.deepEqual(
+      destroyed.mock.calls.map(({ arguments: [name] }) => name),
+      [before.get('scene')]
+    );
+    assert.notEqual(after.get('scene'), before.get('scene'));
+    assert.equal(after.get('lut'), before.get('lut'));
+    assert.deepEqual(
+      created.mock.calls.map(({ arguments: [config] }) => [
+        config.width,
+        config.height,
+      ]),
+      [
+        [16, 16],
+        [64, 64],
+        [128, 32],
+      ]
+    );
+
+    graph.destroy();
+    renderer.setSize(64, 64);
+    assert.equal(destroyed.mock.callCount(), 3);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Tests of the shared Renderer methods with WGPURenderer
+ * against the WebGPU mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+/**
+ * Records the events a renderer emits.
+ * @param {Renderer} renderer - Renderer.
+ * @param {string[]} names - Event names.
+ * @returns {Array<Array<*>>} Event name and payload pairs, filled as the
+ *     events arrive.
+ */
+function recordEvents(renderer, names) {
+  const events = [];
+  names.forEach(name => renderer.on(name, event => events.push([name, event])));
+  return events;
+}
+
+describe('Renderer', () => {
+  let renderer;
+  let device;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    device = renderer.device_;
+  });
+
+  describe('loadTexture', () => {
+    const EVENTS = ['textureLoadProgress', 'textureLoaded', 'textureLoadError'];
+    let decode;
+
+    beforeEach(() => {
+      globalThis.createImageBitmap = async blob => ({
+        width: 4,
+        height: 2,
+        blob,
+      });
+      decode = mock.method(globalThis, 'createImageBitmap');
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+      delete globalThis.createImageBitmap;
+    });
+
+    it('fetches, decodes and uploads an image URL', async () => {
+      mock.method(
+        globalThis,
+        'fetch',
+        async () =>
+          new Response(new Uint8Array(10), {
+            headers: { 'Content-Length': '10', 'Content-Type': 'image/png' },
+          })
+      );
+      const events = recordEvents(renderer, EVENTS);
+
+      const name = await renderer.loadTexture('images/albedo.png', {
+        srgb: true,
+        flipY: true,
+      });
+
+      const [blob, options] = decode.mock.calls[0].arguments;
+      assert.equal(name, 'images/albedo.png');
+      assert.equal(blob.size, 10);
+      assert.equal(blob.type, 'image/png');
+      assert.deepEqual(options, {
+        colorSpaceConversion: 'none',
+        premultiplyAlpha: 'none',
+      });
+      assert.deepEqual(events.at(-1), [
+        'textureLoaded',
+        { name, width: 4, height: 2 },
+      ]);
+      assert.deepEqual(events.at(-2), [
+        'textureLoadProgress',
+        { name, url: 'images/albedo.png', loaded: 10, total: 10 },
+      ]);
+      assert.ok(
+        events.slice(0, -1).every(([event]) => event === 'textureLoadProgress')
+      );
+
+      const metadata = renderer.getTextureMetadata(name);
+      const [source] = device.findCalls('queue.copyExternalImageToTexture')[0]
+        .args;
+      assert.equal(metadata.format, 'rgba8unorm-srgb');
+      assert.deepEqual([metadata.width, metadata.height], [4, 2]);
+      assert.equal(source.source.blob, blob);
+      assert.equal(source.flipY, true);
+    });
+
+    it('names other sources uniquely and uploads them as they are', async () => {
+      const image = { width: 8, height: 8 };
+
+      const first = await renderer.loadTexture(image);
+      const second = await renderer.loadTexture(new Blob([new Uint8Array(4)]), {
+        format: 'rgba16float',
+      });
+
+      assert.match(first, /^texture\d+$/);
+      assert.match(second, /^texture\d+$/);
+      assert.notEqual(first, second);
+      assert.equal(decode.mock.callCount(), 1);
+      assert.equal(renderer.getTextureMetadata(second).format, 'rgba16float');
+      assert.equal(
+        device.findCalls('queue.copyExternalImageToTexture')[0].args[0].source,
+        image
+      );
+    });
+
+    it('reports failed requests', async () => {
+      mock.method(
+        globalThis,
+        'fetch',
+        async () => new Response('', { status: 404, statusText: 'Not Found' })
+      );
+      const events = recordEvents(renderer, EVENTS);
+
+      await assert.rejects(
+        renderer.loadTexture('missing.png'),
+        /Failed to load "missing.png": 404 Not Found/
+      );
+      assert.deepEqual(
+        events.map(([event, { name }]) => [event, name]),
+        [['textureLoadError', 'missing.png']]
+      );
+      assert.equal(renderer.getTextureMetadata('missing.png'), null);
+    });
+  });
+});
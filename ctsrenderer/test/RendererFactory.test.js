@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Backend selection tests of createRenderer() with the mock
+ * contexts.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRenderer } from '../js/RendererFactory.js';
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUAdapter,
+  MockGPUDevice,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+import {
+  MockWebGLRenderingContext,
+  MockWebGL2RenderingContext,
+} from '../js/mock/MockWebGL.js';
+
+installMockGPUGlobals();
+
+/**
+ * Returns a canvas whose WebGL contexts are mocks. WebGPU is exposed by
+ * navigator.gpu but has no canvas context, so it fails to initialize.
+ * @returns {Object} Canvas.
+ */
+function createCanvas() {
+  return {
+    width: 64,
+    height: 64,
+    getContext(type) {
+      if (type === 'webgl2') {
+        return new MockWebGL2RenderingContext({ width: 64, height: 64 });
+      }
+      if (type === 'webgl') {
+        return new MockWebGLRenderingContext({ width: 64, height: 64 });
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Replaces globals, returning a function that restores them.
+ * @param {Object<string, *>} values - Global values by name.
+ * @returns {function(): void} Restores the previous globals.
+ */
+function replaceGlobals(values) {
+  const previous = Object.keys(values).map(name => [
+    name,
+    Object.getOwnPropertyDescriptor(globalThis, name),
+  ]);
+  Object.entries(values).forEach(([name, value]) => {
+    Object.defineProperty(globalThis, name, {
+      value,
+      configurable: true,
+      writable: true,
+    });
+  });
+  return () => {
+    previous.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+  };
+}
+
+describe('createRenderer', () => {
+  let restoreGlobals;
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    restoreGlobals?.();
+    restoreGlobals = null;
+    mock.restoreAll();
+  });
+
+  describe('in a browser-like environment', () => {
+    beforeEach(() => {
+      restoreGlobals = replaceGlobals({
+        navigator: { gpu: new MockGPU() },
+        GPUAdapter: MockGPUAdapter,
+        GPUDevice: MockGPUDevice,
+        document: { createElement: () => createCanvas() },
+        WebGLRenderingContext: MockWebGLRenderingContext,
+        WebGL2RenderingContext: MockWebGL2RenderingContext,
+      });
+    });
+
+    it('falls back to the next backend and destroys failed ones', async () => {
+      const destroy = mock.method(WGPURenderer.prototype, 'destroy');
+      const initialized = [];
+      const errors = [];
+
+      const { renderer, backend, skipped } = await createRenderer(
+        createCanvas(),
+        {
+          listeners: {
+            initialized: event => initialized.push(event.backend),
+            error: error => errors.push(error),
+          },
+        }
+      );
+
+      assert.equal(backend, 'webgl2');
+      assert.ok(renderer.isInitialized);
+      assert.deepEqual(
+        skipped.map(({ backend, reason, error }) => [
+          backend,
+          reason,
+          error.message,
+        ]),
+        [['webgpu', 'failed', 'Failed to get WebGPU context.']]
+      );
+      assert.equal(destroy.mock.callCount(), 1);
+      assert.deepEqual(initialized, ['webgl2']);
+      assert.deepEqual(errors, []);
+    });
+
+    it('follows prefer and skips forbidden backends', async () => {
+      const preferred = await createRenderer(createCanvas(), {
+        prefer: ['webgl'],
+      });
+      const allowed = await createRenderer(createCanvas(), {
+        forbid: ['webgpu', 'webgl2'],
+      });
+
+      assert.equal(preferred.backend, 'webgl');
+      assert.deepEqual(preferred.skipped, []);
+      assert.equal(allowed.backend, 'webgl');
+      assert.deepEqual(allowed.skipped, [
+        { backend: 'webgpu', reason: 'forbidden' },
+        { backend: 'webgl2', reason: 'forbidden' },
+      ]);
+    });
+
+    it('rejects unknown backend names', async () => {
+      await assert.rejects(
+        createRenderer(createCanvas(), { forbid: ['webgpu2'] }),
+        /Unknown renderer backend "webgpu2"\./
+      );
+      await assert.rejects(
+        createRenderer(createCanvas(), { prefer: ['gl'] }),
+        /Unknown renderer backend "gl"\./
+      );
+    });
+
+    it('reports candidate errors when no backend initializes', async () => {
+      const errors = [];
+
+      await assert.rejects(
+        createRenderer(createCanvas(), {
+          forbid: ['webgl2', 'webgl', 'software'],
+          listeners: { error: error => errors.push(error.message) },
+        }),
+        /No renderer backend available \(webgpu: failed, webgl2: forbidden/
+      );
+      assert.deepEqual(errors, ['Failed to get WebGPU context.']);
+    });
+  });
+
+  it('reports unsupported backends outside the browser', async () => {
+    const error = await createRenderer(null, {
+      forbid: ['software'],
+    }).catch(error => error);
+
+    assert.deepEqual(
+      error.skipped.map(({ backend, reason }) => [backend, reason]),
+      [
+        ['webgpu', 'unsupported'],
+        ['webgl2', 'unsupported'],
+        ['webgl', 'unsupported'],
+        ['software', 'forbidden'],
+      ]
+    );
+  });
+});
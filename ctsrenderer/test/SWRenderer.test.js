@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Rasterization tests of SWRenderer.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SWRenderer } from '../js/SWRenderer.js';
+import { BufferUsage } from '../js/Renderer.js';
+
+/**
+ * Returns the distinct red values of the framebuffer.
+ * @param {SWRenderer} renderer - Renderer.
+ * @returns {number[]} Sorted red values.
+ */
+function redValues(renderer) {
+  const pixels = renderer.readPixels();
+  const values = new Set();
+  for (let i = 0; i < pixels.length; i += 4) {
+    values.add(pixels[i]);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+describe('SWRenderer', () => {
+  let renderer;
+
+  /**
+   * Draws triangles with a constant color and blend state.
+   * @param {number[]} positions - xy NDC positions, three vertices per
+   *     triangle.
+   * @param {number[]} color - Fragment color.
+   * @param {GPUBlendState} blend - Blend state.
+   */
+  const drawTriangles = (positions, color, blend) => {
+    renderer.createBuffer({
+      name: 'positions',
+      usage: BufferUsage.VERTEX,
+      data: new Float32Array(positions),
+    });
+    renderer.createPipeline('flat', {
+      shaders: {
+        vertex: attributes => ({
+          position: [...attributes.a_position, 0, 1],
+          varyings: [],
+        }),
+        fragment: () => color,
+      },
+      vertexBuffers: [
+        {
+          arrayStride: 8,
+          attributes: [
+            {
+              format: 'float32x2',
+              offset: 0,
+              shaderLocation: 0,
+              name: 'a_position',
+            },
+          ],
+        },
+      ],
+      blend,
+    });
+    renderer.setPipeline('flat');
+    renderer.drawMesh({
+      vertexBuffers: { 0: 'positions' },
+      vertexCount: positions.length / 2,
+    });
+  };
+
+  beforeEach(async () => {
+    renderer = new SWRenderer(null, { width: 8, height: 8 });
+    await renderer.initialize();
+    renderer.clear(0, 0, 0, 1);
+  });
+
+  it('blends a quad split along its diagonal once per pixel', () => {
+    drawTriangles([-1, -1, 1, -1, 1, 1, -1, -1, 1, 1, -1, 1], [1, 1, 1, 0.5], {
+      color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+      alpha: { srcFactor: 'one', dstFactor: 'zero' },
+    });
+
+    assert.deepEqual(redValues(renderer), [128]);
+  });
+
+  it('covers each pixel of a fan once, whatever the winding', () => {
+    // Four triangles around the center, alternating winding, with edges
+    // through pixel centers and a vertex on a pixel corner
+    drawTriangles(
+      [
+        ...[0, 0, -1, -1, 1, -1],
+        ...[0, 0, 1, 1, 1, -1],
+        ...[0, 0, 1, 1, -1, 1],
+        ...[0, 0, -1, -1, -1, 1],
+      ],
+      [0.25, 0.25, 0.25, 1],
+      {
+        color: { srcFactor: 'one', dstFactor: 'one' },
+        alpha: { srcFactor: 'one', dstFactor: 'zero' },
+      }
+    );
+
+    assert.deepEqual(redValues(renderer), [64]);
+  });
+});
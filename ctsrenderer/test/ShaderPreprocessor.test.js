@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Tests of the shader preprocessor.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ShaderPreprocessor,
+  ShaderLanguage,
+} from '../js/ShaderPreprocessor.js';
+
+describe('ShaderPreprocessor', () => {
+  let preprocessor;
+
+  /**
+   * Preprocesses lines and returns the code lines.
+   * @param {string[]} lines - Source lines.
+   * @param {ShaderPreprocessOptions} [options] - Options.
+   * @returns {string[]} Output lines.
+   */
+  const process = (lines, options) =>
+    preprocessor.process(lines.join('\n'), options).code.split('\n');
+
+  beforeEach(() => {
+    preprocessor = new ShaderPreprocessor();
+  });
+
+  it('includes chunks once and maps lines back to them', () => {
+    preprocessor.registerChunk('common', 'const PI = 3.14;');
+    const result = preprocessor.process(
+      '#include <common>\n#include <common>\nfn main() {}',
+      { name: 'main' }
+    );
+
+    assert.equal(result.code, 'const PI = 3.14;\nfn main() {}');
+    assert.deepEqual(result.lineMap, [
+      { source: 'common', line: 1 },
+      { source: 'main', line: 3 },
+    ]);
+  });
+
+  it('ignores comments in directives', () => {
+    assert.deepEqual(
+      process([
+        '#define X 1 // note',
+        '#define Y 2 /* note */',
+        '#if X /* open',
+        'close */',
+        'X Y // X',
+        '#endif',
+      ]),
+      [' ', '1 2 // 1']
+    );
+  });
+
+  it('skips directives inside block comments', () => {
+    assert.deepEqual(process(['/*', '#error no', '*/', 'A']), [
+      '/*',
+      '#error no',
+      '*/',
+      'A',
+    ]);
+  });
+
+  it('expands function-like macros', () => {
+    assert.deepEqual(
+      process([
+        '#define SAT(x) clamp(x, 0.0, 1.0)',
+        '#define ADD(a, b) (a + b)',
+        '#define ONE() 1',
+        'SAT(f(a, b)) ADD(ONE(), ADD(2, 3)) SAT',
+        '#if ADD(ONE(), 1) == 2',
+        'two',
+        '#endif',
+      ]),
+      ['clamp(f(a, b), 0.0, 1.0) (1 + (2 + 3)) SAT', 'two']
+    );
+  });
+
+  it('rejects calls with the wrong number of arguments', () => {
+    assert.throws(
+      () => process(['#define ADD(a, b) (a + b)', 'ADD(1)']),
+      /shader:2: Macro "ADD" takes 2 arguments, got 1\./
+    );
+  });
+
+  it('predefines GL_ES and __VERSION__ from #version in GLSL', () => {
+    const source = [
+      '// Comment before the version',
+      '#version 300 es',
+      '#if __VERSION__ >= 300 && GL_ES',
+      'es3',
+      '#else',
+      'es1',
+      '#endif',
+    ];
+
+    assert.deepEqual(process(source), [source[0], source[1], 'es3']);
+    assert.deepEqual(
+      process(source.slice(2), { language: ShaderLanguage.GLSL }),
+      ['es1']
+    );
+    assert.deepEqual(process(source.slice(2)), ['es1']);
+  });
+
+  it('applies defines and feature flags', () => {
+    assert.deepEqual(
+      process(['#ifdef SHADOWS', 'shadows', '#endif', 'COUNT'], {
+        defines: { COUNT: 4 },
+        features: ['SHADOWS'],
+      }),
+      ['shadows', '4']
+    );
+  });
+
+  it('does not take Object.prototype names for macros or operators', () => {
+    assert.deepEqual(
+      process(
+        [
+          '#if defined(constructor) || defined toString',
+          'inherited',
+          '#endif',
+          '#ifdef __proto__',
+          'proto',
+          '#endif',
+        ],
+        { features: ['__proto__'] }
+      ),
+      ['proto']
+    );
+    assert.throws(
+      () => process(['#if 1 constructor 1', '#endif']),
+      /shader:1: Unexpected "constructor" in #if 1 constructor 1\./
+    );
+  });
+
+  it('rejects division by zero and non-integer literals', () => {
+    assert.deepEqual(process(['#if 7 / 2 == 3 && 7 % 2 == 1', 'c', '#endif']), [
+      'c',
+    ]);
+    assert.throws(
+      () => process(['#define N 0', '#if 1 / N', '#endif']),
+      /shader:2: Division by zero in #if 1 \/ N\./
+    );
+    assert.throws(
+      () => process(['#if 1 % (2 - 2)', '#endif']),
+      /shader:1: Division by zero in #if 1 % \(2 - 2\)\./
+    );
+    assert.throws(
+      () => process(['#if 1.5 > 1', '#endif']),
+      /shader:1: #if 1\.5 > 1 uses non-integer "1\.5"\./
+    );
+  });
+
+  it('caches results per program until the program is evicted', () => {
+    const source = '#ifdef A\na\n#endif';
+    const first = preprocessor.process(source, {
+      program: 'p',
+      features: ['A'],
+    });
+    const other = preprocessor.process(source, { program: 'p' });
+
+    assert.equal(
+      preprocessor.process(source, { program: 'p', features: ['A'] }),
+      first
+    );
+    assert.notEqual(other, first);
+    assert.notEqual(
+      preprocessor.process(source, { program: 'q', features: ['A'] }),
+      first
+    );
+    assert.notEqual(
+      preprocessor.process(source, { features: ['A'] }),
+      preprocessor.process(source, { features: ['A'] })
+    );
+
+    preprocessor.evict('p');
+    const again = preprocessor.process(source, {
+      program: 'p',
+      features: ['A'],
+    });
+    assert.notEqual(again, first);
+    assert.deepEqual(again, first);
+
+    preprocessor.registerChunk('chunk', '');
+    assert.notEqual(
+      preprocessor.process(source, { program: 'p', features: ['A'] }),
+      again
+    );
+  });
+});
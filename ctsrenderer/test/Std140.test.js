@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests of the std140 uniform block layout.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Std140Layout } from '../js/Std140.js';
+
+describe('Std140Layout', () => {
+  it('packs a float into the padding after a vec3', () => {
+    const layout = new Std140Layout({ position: 'vec3', exposure: 'float' });
+    const data = new Float32Array(
+      layout.pack({ position: [1, 2, 3], exposure: 4 })
+    );
+
+    assert.equal(layout.size, 16);
+    assert.equal(layout.getField('exposure').offset, 12);
+    assert.deepEqual(Array.from(data), [1, 2, 3, 4]);
+  });
+
+  it('aligns array elements and matrix columns to 16 bytes', () => {
+    const layout = new Std140Layout({
+      weights: 'float[3]',
+      normalMatrix: 'mat3',
+      offset: 'vec2',
+    });
+    const data = new Float32Array(
+      layout.pack({
+        weights: [1, 2, 3],
+        normalMatrix: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+      })
+    );
+
+    assert.deepEqual(
+      layout.fields.map(({ name, offset, stride }) => [name, offset, stride]),
+      [
+        ['weights', 0, 16],
+        ['normalMatrix', 48, 48],
+        ['offset', 96, 8],
+      ]
+    );
+    assert.equal(layout.size, 112);
+    assert.deepEqual(
+      Array.from(data.subarray(0, 12)),
+      [1, 0, 0, 0, 2, 0, 0, 0, 3, 0, 0, 0]
+    );
+    assert.deepEqual(
+      Array.from(data.subarray(12, 24)),
+      [1, 2, 3, 0, 4, 5, 6, 0, 7, 8, 9, 0]
+    );
+  });
+
+  it('pads structs and struct arrays to 16 bytes', () => {
+    const light = { color: 'vec3', intensity: 'float', enabled: 'bool' };
+    const layout = new Std140Layout({
+      ambient: 'float',
+      lights: [light, 2],
+      count: 'int',
+    });
+    const view = new DataView(
+      layout.pack({
+        lights: [{ color: [1, 1, 1], intensity: 2, enabled: true }, {}],
+        count: 2,
+      })
+    );
+
+    assert.deepEqual(
+      layout.fields.map(({ name, offset }) => [name, offset]),
+      [
+        ['ambient', 0],
+        ['lights[0].color', 16],
+        ['lights[0].intensity', 28],
+        ['lights[0].enabled', 32],
+        ['lights[1].color', 48],
+        ['lights[1].intensity', 60],
+        ['lights[1].enabled', 64],
+        ['count', 80],
+      ]
+    );
+    assert.equal(layout.size, 96);
+    assert.equal(view.getFloat32(28, true), 2);
+    assert.equal(view.getUint32(32, true), 1);
+    assert.equal(view.getInt32(80, true), 2);
+  });
+
+  it('keeps the bytes of members without a value', () => {
+    const layout = new Std140Layout({ a: 'float', b: 'float' });
+    const data = layout.pack({ a: 1, b: 2 });
+    layout.pack({ b: 3 }, data);
+
+    assert.deepEqual(Array.from(new Float32Array(data, 0, 2)), [1, 3]);
+  });
+
+  it('rejects unknown members and values of the wrong size', () => {
+    const layout = new Std140Layout({ color: 'vec3', weights: 'float[2]' });
+
+    assert.throws(
+      () => layout.pack({ colour: [1, 1, 1] }),
+      /std140 block has no member "colour"\./
+    );
+    assert.throws(
+      () => layout.pack({ color: [1, 1] }),
+      /std140 member "color" has type vec3, got 2 values\./
+    );
+    assert.throws(
+      () => layout.pack({ weights: [1, 2, 3] }),
+      /std140 member "weights" has type float\[2\], got 3 values\./
+    );
+    assert.throws(
+      () => new Std140Layout({ sampler: 'sampler2D' }),
+      /unsupported type "sampler2D"/
+    );
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Uniform buffer tests of WGL2Renderer against the WebGL mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGL2Renderer } from '../js/WGL2Renderer.js';
+import { Std140Layout } from '../js/Std140.js';
+import { MockWebGL2RenderingContext } from '../js/mock/MockWebGL.js';
+
+/**
+ * Returns the shaders of a program reading the given uniform blocks.
+ * @param {string[]} blocks - Uniform block names.
+ * @returns {{vertex: string, fragment: string}} Shaders.
+ */
+function createShaders(blocks) {
+  const declarations = blocks
+    .map(block => `layout(std140) uniform ${block} { vec4 ${block}Value; };`)
+    .join('\n');
+  return {
+    vertex: `#version 300 es
+${declarations}
+in vec2 a_position;
+void main() { gl_Position = vec4(a_position, 0.0, 1.0); }`,
+    fragment: `#version 300 es
+precision highp float;
+out vec4 color;
+void main() { color = vec4(1.0); }`,
+  };
+}
+
+describe('WGL2Renderer', () => {
+  let renderer;
+  let gl;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    gl = new MockWebGL2RenderingContext({ width: 64, height: 64 });
+    renderer = new WGL2Renderer(canvas, { context: gl });
+    await renderer.initialize();
+  });
+
+  it('creates and updates uniform buffers packed with std140', () => {
+    const layout = new Std140Layout({ position: 'vec3', exposure: 'float' });
+    const buffer = renderer.createUniformBuffer({
+      name: 'camera',
+      layout,
+      values: { position: [1, 2, 3], exposure: 1 },
+      binding: 'Camera',
+    });
+
+    renderer.updateUniformBuffer('camera', { exposure: 0.5 });
+
+    assert.deepEqual(
+      Array.from(
+        new Float32Array(buffer.data.buffer, buffer.data.byteOffset, 4)
+      ),
+      [1, 2, 3, 0.5]
+    );
+    assert.equal(gl.getIndexedParameter(gl.UNIFORM_BUFFER_BINDING, 0), buffer);
+    assert.equal(renderer.getUniformBufferBinding(0), 'camera');
+    assert.throws(
+      () => renderer.updateUniformBuffer('missing', {}),
+      /Uniform buffer "missing" not found\./
+    );
+  });
+
+  it('shares the binding point of a block name between programs', () => {
+    renderer.createProgram('lit', createShaders(['Camera', 'Lights']));
+    renderer.createProgram('unlit', createShaders(['Lights']));
+
+    const lit = renderer.getProgramReflection('lit').uniformBlocks;
+    const unlit = renderer.getProgramReflection('unlit').uniformBlocks;
+    assert.equal(lit.Camera.binding, 0);
+    assert.equal(lit.Lights.binding, 1);
+    assert.equal(unlit.Lights.binding, 1);
+    assert.equal(renderer.getUniformBlockBinding('Material'), 2);
+  });
+
+  it('reserves binding points set on a single program', () => {
+    renderer.createProgram('lit', createShaders(['Camera', 'Lights']));
+
+    renderer.setUniformBlockBinding('lit', 'Lights', 2);
+    assert.equal(renderer.getUniformBlockBinding('Material'), 3);
+    assert.equal(renderer.getUniformBlockBinding('Fog'), 4);
+
+    assert.throws(
+      () => renderer.setUniformBlockBinding('lit', 'Lights', 0),
+      /Uniform buffer binding 0 is used by uniform block "Camera"\./
+    );
+    assert.throws(
+      () => renderer.setUniformBlockBinding('lit', 'Camera', 2),
+      /Uniform buffer binding 2 is used by uniform block "Lights"\./
+    );
+    assert.throws(
+      () => renderer.setUniformBlockBinding('lit', 'Camera', 24),
+      /Uniform buffer binding 24 is out of range \(0-23\)\./
+    );
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Command stream tests of WGL2Renderer against the WebGL mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGL2Renderer } from '../js/WGL2Renderer.js';
+import { BufferUsage } from '../js/Renderer.js';
+import { MockWebGL2RenderingContext } from '../js/mock/MockWebGL.js';
+
+const SHADERS = {
+  vertex: `#version 300 es
+in vec2 a_position;
+void main() { gl_Position = vec4(a_position, 0.0, 1.0); }`,
+  fragment: `#version 300 es
+precision highp float;
+uniform sampler2D u_texture;
+out vec4 color;
+void main() { color = texture(u_texture, vec2(0.5)); }`,
+};
+
+const VERTEX_BUFFERS = [
+  {
+    arrayStride: 8,
+    attributes: [
+      { format: 'float32x2', offset: 0, shaderLocation: 0, name: 'a_position' },
+    ],
+  },
+];
+
+describe('WGL2Renderer', () => {
+  let renderer;
+  let gl;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    gl = new MockWebGL2RenderingContext({ width: 64, height: 64 });
+    renderer = new WGL2Renderer(canvas, { context: gl });
+    await renderer.initialize();
+
+    renderer.createBuffer({
+      name: 'triangle',
+      usage: BufferUsage.VERTEX,
+      data: new Float32Array(6),
+    });
+    renderer.createTexture({
+      name: 'texture',
+      width: 2,
+      height: 2,
+      format: 'rgba8unorm',
+    });
+    renderer.createSampler({
+      name: 'nearest',
+      magFilter: 'nearest',
+      minFilter: 'nearest',
+    });
+    renderer.createSampler({
+      name: 'linear',
+      magFilter: 'linear',
+      minFilter: 'linear',
+    });
+  });
+
+  it('reflects attributes, uniforms and uniform blocks', () => {
+    renderer.createProgram('reflected', {
+      vertex: `#version 300 es
+struct Light { vec3 color; float intensity; };
+layout(std140) uniform Camera { mat4 view; vec3 position; } camera;
+uniform Light u_light;
+uniform vec3 u_offsets[4];
+in vec3 a_position;
+in mat4 a_instance;
+void main() { gl_Position = camera.view * vec4(a_position, 1.0); }`,
+      fragment: `#version 300 es
+precision highp float;
+uniform sampler2D u_textures[2];
+out vec4 color;
+void main() { color = texture(u_textures[1], vec2(0.5)); }`,
+    });
+    const { attributes, uniforms, uniformBlocks } =
+      renderer.getProgramReflection('reflected');
+
+    assert.deepEqual(
+      Object.values(attributes).map(({ name, glslType, size, locations }) => [
+        name,
+        glslType,
+        size,
+        locations,
+      ]),
+      [
+        ['a_position', 'vec3', 1, 1],
+        ['a_instance', 'mat4', 1, 4],
+      ]
+    );
+    assert.deepEqual(
+      Object.values(uniforms).map(({ name, glslType, size, isArray, unit }) => [
+        name,
+        glslType,
+        size,
+        isArray,
+        unit,
+      ]),
+      [
+        ['u_light.color', 'vec3', 1, false, null],
+        ['u_light.intensity', 'float', 1, false, null],
+        ['u_offsets', 'vec3', 4, true, null],
+        ['u_textures', 'sampler2D', 2, true, 0],
+      ]
+    );
+    assert.ok(Object.values(uniforms).every(uniform => uniform.location));
+    assert.deepEqual(uniformBlocks, {
+      Camera: {
+        name: 'Camera',
+        index: 0,
+        binding: 0,
+        size: 80,
+        uniforms: ['Camera.view', 'Camera.position'],
+      },
+    });
+  });
+
+  it('applies the sampler of a program again when it draws', () => {
+    ['nearest', 'linear'].forEach(sampler => {
+      renderer.createPipeline(sampler, {
+        shaders: SHADERS,
+        vertexBuffers: VERTEX_BUFFERS,
+      });
+      renderer.setUniform(sampler, 'u_texture', {
+        texture: 'texture',
+        sampler,
+      });
+    });
+
+    renderer.setPipeline('nearest');
+    const start = gl.calls.length;
+    renderer.drawMesh({ vertexBuffers: ['triangle'], vertexCount: 3 });
+
+    const filters = gl.calls
+      .slice(start)
+      .filter(
+        call =>
+          call.name === 'texParameteri' &&
+          call.args[1] === gl.TEXTURE_MAG_FILTER
+      )
+      .map(call => call.args[2]);
+    assert.deepEqual(filters, [gl.NEAREST]);
+    assert.deepEqual(gl.errors, []);
+  });
+
+  it('evicts the preprocessed shaders of destroyed programs', () => {
+    const preprocessor = renderer.shaderPreprocessor_;
+    ['first', 'second'].forEach(name =>
+      renderer.createPipeline(name, {
+        shaders: SHADERS,
+        vertexBuffers: VERTEX_BUFFERS,
+      })
+    );
+    assert.equal(preprocessor.cache_.get('first').size, 2);
+
+    renderer.destroyPipeline('first');
+    assert.deepEqual([...preprocessor.cache_.keys()], ['second']);
+
+    renderer.destroy();
+    assert.equal(preprocessor.cache_.size, 0);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Command stream tests of WGPURenderer against the WebGPU mock.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WGPURenderer } from '../js/WGPURenderer.js';
+import { BufferUsage } from '../js/Renderer.js';
+import { Scene, Mesh } from '../js/Scene.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+const SHADERS = {
+  vertex: `
+struct SceneUniforms { model: mat4x4f, view: mat4x4f, projection: mat4x4f, normalMatrix: mat3x3f }
+@group(0) @binding(0) var<uniform> scene: SceneUniforms;
+@vertex fn vs_main(@location(0) p: vec3f) -> @builtin(position) vec4f {
+  return scene.projection * scene.view * scene.model * vec4f(p, 1.0);
+}`,
+  fragment:
+    '@fragment fn fs_main() -> @location(0) vec4f { return vec4f(1.0); }',
+};
+
+const VERTEX_BUFFERS = [
+  {
+    arrayStride: 12,
+    attributes: [{ format: 'float32x3', offset: 0, shaderLocation: 0 }],
+  },
+];
+
+/**
+ * Returns a camera whose view matrix translates along x.
+ * @param {number} x - Translation.
+ * @returns {SceneCamera} Camera.
+ */
+function createCamera(x) {
+  const viewMatrix = new Float32Array(16);
+  viewMatrix[0] = viewMatrix[5] = viewMatrix[10] = viewMatrix[15] = 1;
+  viewMatrix[12] = x;
+  return { viewMatrix, projectionMatrix: viewMatrix.slice().fill(0, 12, 15) };
+}
+
+describe('WGPURenderer', () => {
+  let renderer;
+  let device;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    device = renderer.device_;
+
+    renderer.createBuffer({
+      name: 'triangle',
+      usage: BufferUsage.VERTEX,
+      data: new Float32Array(9),
+    });
+    renderer.createBuffer({
+      name: 'uniforms',
+      usage: BufferUsage.UNIFORM,
+      data: new Float32Array(60),
+    });
+    renderer.createPipeline('main', {
+      shaders: SHADERS,
+      vertexBuffers: VERTEX_BUFFERS,
+    });
+    renderer.createRenderTarget({ name: 'target', width: 32, height: 32 });
+    renderer.setPipeline('main');
+    device.clearCalls();
+  });
+
+  it('records one pass with the state set once per pass', () => {
+    renderer.createBindGroup({
+      name: 'uniforms',
+      entries: [
+        { binding: 0, resource: { buffer: renderer.getBuffer('uniforms') } },
+      ],
+    });
+    renderer.setBindGroup('uniforms');
+
+    renderer.beginPass();
+    renderer.drawMesh({ vertexBuffers: { 0: 'triangle' }, vertexCount: 3 });
+    renderer.drawMesh({ vertexBuffers: { 0: 'triangle' }, vertexCount: 3 });
+    renderer.endPass();
+    renderer.submit();
+
+    const names = device.calls
+      .map(call => call.name)
+      .filter(name => name.startsWith('renderPass.'));
+    assert.deepEqual(names, [
+      'renderPass.setPipeline',
+      'renderPass.setVertexBuffer',
+      'renderPass.setBindGroup',
+      'renderPass.draw',
+      'renderPass.draw',
+      'renderPass.end',
+    ]);
+    assert.equal(device.findCalls('queue.submit').length, 1);
+  });
+
+  it('uses bind groups without a layout with every pipeline variant', () => {
+    renderer.createBindGroup({
+      name: 'uniforms',
+      entries: [
+        { binding: 0, resource: { buffer: renderer.getBuffer('uniforms') } },
+      ],
+    });
+    renderer.setBindGroup('uniforms');
+    const drawCall = { vertexBuffers: { 0: 'triangle' }, vertexCount: 3 };
+
+    renderer.drawMesh(drawCall);
+    renderer.setMSAA(true);
+    renderer.drawMesh(drawCall);
+    renderer.setRenderTarget('target');
+    renderer.drawMesh(drawCall);
+
+    const pipelines = device
+      .findCalls('renderPass.setPipeline')
+      .map(call => call.args[0]);
+    const layouts = device
+      .findCalls('renderPass.setBindGroup')
+      .map(call => call.args[1].descriptor.layout);
+    assert.equal(new Set(pipelines).size, 3);
+    layouts.forEach((layout, i) => assert.equal(layout.pipeline, pipelines[i]));
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('renders a scene into targets with other formats and sample counts', () => {
+    const scene = new Scene();
+    scene.add(
+      new Mesh(
+        { vertexBuffers: ['triangle'], vertexCount: 3 },
+        { pipeline: 'main' }
+      )
+    );
+    renderer.setMSAA(true);
+
+    renderer.renderScene(scene, createCamera(0));
+    renderer.renderScene(scene, createCamera(0), { target: 'target' });
+
+    assert.equal(device.findCalls('renderPass.draw').length, 2);
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('keeps the camera of each scene pass in one submit', () => {
+    const scene = new Scene();
+    const mesh = scene.add(
+      new Mesh(
+        { vertexBuffers: ['triangle'], vertexCount: 3 },
+        { pipeline: 'main' }
+      )
+    );
+
+    renderer.renderScene(scene, createCamera(1), {
+      target: 'target',
+      submit: false,
+    });
+    renderer.renderScene(scene, createCamera(2));
+
+    const writes = device.findCalls('queue.writeBuffer');
+    const buffers = writes.map(call => call.args[0]);
+    const bound = device
+      .findCalls('renderPass.setBindGroup')
+      .map(call => call.args[1].descriptor.entries[0].resource.buffer);
+    assert.equal(new Set(buffers).size, 2);
+    assert.deepEqual(bound, buffers);
+    assert.deepEqual(
+      buffers.map(buffer => new Float32Array(buffer.data.buffer)[16 + 12]),
+      [1, 2]
+    );
+
+    // The next submission reuses the first buffer
+    device.clearCalls();
+    renderer.renderScene(scene, createCamera(3));
+    assert.equal(device.findCalls('queue.writeBuffer')[0].args[0], buffers[0]);
+
+    renderer.releaseMesh(mesh);
+    assert.ok(buffers.every(buffer => buffer.destroyed));
+  });
+
+  it('evicts the preprocessed shaders of destroyed pipelines', () => {
+    const preprocessor = renderer.shaderPreprocessor_;
+    renderer.createComputePipeline(
+      'compute',
+      '@compute @workgroup_size(1) fn main() {}'
+    );
+    assert.ok(preprocessor.cache_.has('main'));
+    assert.ok(preprocessor.cache_.has('compute'));
+
+    renderer.destroyPipeline('main');
+    assert.ok(!preprocessor.cache_.has('main'));
+
+    renderer.destroy();
+    assert.equal(preprocessor.cache_.size, 0);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Tests of the Radiance HDR decoder and loader.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseHDR, HDRLoader } from '../../js/loaders/HDRLoader.js';
+import { WGPURenderer } from '../../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+/**
+ * Builds an HDR file.
+ * @param {string} resolution - Resolution line, e.g. "-Y 2 +X 8".
+ * @param {Array<number>} pixels - Encoded pixel bytes.
+ * @param {Array<string>} [header] - Header lines after the signature.
+ * @returns {Uint8Array} File bytes.
+ */
+function createHDR(resolution, pixels, header = ['FORMAT=32-bit_rle_rgbe']) {
+  const text = ['#?RADIANCE', ...header, '', resolution, ''].join('\n');
+  return new Uint8Array([...new TextEncoder().encode(text), ...pixels]);
+}
+
+/**
+ * Returns the float value of an RGBE mantissa.
+ * @param {number} mantissa - Mantissa byte.
+ * @param {number} exponent - Exponent byte.
+ * @returns {number} Value at the center of the mantissa step.
+ */
+function decode(mantissa, exponent) {
+  return (mantissa + 0.5) * 2 ** (exponent - 136);
+}
+
+/**
+ * Returns the RGB values of every pixel.
+ * @param {HDRImage} image - Decoded image.
+ * @returns {Array<Array<number>>} Red, green and blue per pixel.
+ */
+function readPixels(image) {
+  return Array.from({ length: image.width * image.height }, (_, i) =>
+    Array.from(image.data.subarray(i * 4, i * 4 + 3))
+  );
+}
+
+describe('parseHDR', () => {
+  it('decodes run-length encoded scanlines channel by channel', () => {
+    const image = parseHDR(
+      createHDR(
+        '-Y 2 +X 8',
+        [
+          // Scanline 0: a red run, green literals, a blue run and literals,
+          // one exponent run
+          2, 2, 0, 8, 0x88, 128, 0x08, 0, 16, 32, 48, 64, 80, 96, 112, 0x84, 64,
+          0x04, 1, 2, 3, 4, 0x88, 129,
+          // Scanline 1: zero exponent (black)
+          2, 2, 0, 8, 0x88, 255, 0x88, 255, 0x88, 255, 0x88, 0,
+        ]
+      )
+    );
+
+    assert.deepEqual([image.width, image.height], [8, 2]);
+    assert.deepEqual(
+      readPixels(image).slice(0, 8),
+      [
+        [128, 0, 64],
+        [128, 16, 64],
+        [128, 32, 64],
+        [128, 48, 64],
+        [128, 64, 1],
+        [128, 80, 2],
+        [128, 96, 3],
+        [128, 112, 4],
+      ].map(pixel => pixel.map(mantissa => decode(mantissa, 129)))
+    );
+    assert.deepEqual(readPixels(image).slice(8), Array(8).fill([0, 0, 0]));
+    assert.ok(image.data.filter((_, i) => i % 4 === 3).every(a => a === 1));
+  });
+
+  it('expands the repeat pixels of flat scanlines', () => {
+    const image = parseHDR(
+      createHDR(
+        '-Y 1 +X 259',
+        [
+          10, 20, 30, 128,
+          // Repeat once, then 1 << 8 times: consecutive counts shift
+          1, 1, 1, 1, 1, 1, 1, 1, 40, 50, 60, 128,
+        ]
+      )
+    );
+    const pixels = readPixels(image);
+
+    assert.deepEqual(
+      pixels.slice(0, 258),
+      Array(258).fill([10, 20, 30].map(mantissa => decode(mantissa, 128)))
+    );
+    assert.deepEqual(
+      pixels[258],
+      [40, 50, 60].map(mantissa => decode(mantissa, 128))
+    );
+  });
+
+  it('flips bottom-up images and reads exposure and gamma', () => {
+    const image = parseHDR(
+      createHDR(
+        '+Y 2 +X 1',
+        [1, 0, 0, 136, 2, 0, 0, 136],
+        ['# comment', 'EXPOSURE=2', 'EXPOSURE=0.5e1', 'GAMMA=2.2']
+      )
+    );
+
+    assert.deepEqual(
+      readPixels(image).map(([red]) => red),
+      [2.5, 1.5]
+    );
+    assert.equal(image.exposure, 10);
+    assert.equal(image.gamma, 2.2);
+  });
+
+  it('rejects malformed files', () => {
+    const rle = (...pixels) => createHDR('-Y 1 +X 8', [2, 2, 0, 8, ...pixels]);
+    [
+      [new TextEncoder().encode('P6\n'), /Not a Radiance HDR file\./],
+      [
+        createHDR('-Y 1 +X 1', [], ['FORMAT=32-bit_rle_xyze']),
+        /HDR format "32-bit_rle_xyze" is not supported\./,
+      ],
+      [
+        createHDR('+X 1 -Y 1', []),
+        /HDR orientation "\+X 1 -Y 1" is not supported\./,
+      ],
+      [createHDR('-Y 0 +X 8', []), /HDR image is empty\./],
+      [
+        createHDR('-Y 1 +X 8', [2, 2, 0, 9]),
+        /HDR scanline width does not match the image width\./,
+      ],
+      [rle(0x89, 1), /HDR scanline has a bad run length\./],
+      [rle(0x00), /HDR scanline has a bad run length\./],
+      [rle(0x88), /HDR pixel data is truncated\./],
+      [rle(0x08, 1, 2, 3), /HDR pixel data is truncated\./],
+      [
+        createHDR('-Y 1 +X 2', [1, 1, 1, 1, 0, 0, 0, 0]),
+        /HDR scanline repeats a pixel before the first one\./,
+      ],
+      [
+        createHDR('-Y 1 +X 2', [5, 5, 5, 128, 1, 1, 1, 2]),
+        /HDR scanline has a bad run length\./,
+      ],
+      [createHDR('-Y 2 +X 1', [5, 5, 5, 128]), /HDR pixel data is truncated\./],
+    ].forEach(([bytes, error]) => assert.throws(() => parseHDR(bytes), error));
+  });
+});
+
+describe('HDRLoader', () => {
+  it('uploads the image into a float texture', async () => {
+    const canvas = { width: 64, height: 64 };
+    const renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    const loader = new HDRLoader(renderer);
+
+    const asset = await loader.parse(
+      createHDR('-Y 1 +X 1', [0, 0, 0, 0], ['EXPOSURE=2']),
+      { name: 'sky' }
+    );
+
+    assert.deepEqual(
+      [asset.name, asset.format, asset.width, asset.height, asset.exposure],
+      ['sky', 'rgba16float', 1, 1, 2]
+    );
+    assert.equal(renderer.getTextureMetadata('sky').format, 'rgba16float');
+    await assert.rejects(
+      loader.parse(createHDR('-Y 1 +X 1', [0, 0, 0, 0]), {
+        name: 'ldr',
+        format: 'rgba8unorm',
+      }),
+      /HDR texture "ldr" needs a float format, got "rgba8unorm"\./
+    );
+  });
+});
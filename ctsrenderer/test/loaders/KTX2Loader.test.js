@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Tests of the KTX2 container parser and loader.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+
+import {
+  parseKTX2,
+  KTX2Loader,
+  KTX2Supercompression,
+} from '../../js/loaders/KTX2Loader.js';
+import { WGPURenderer } from '../../js/WGPURenderer.js';
+import {
+  MockGPU,
+  MockGPUCanvasContext,
+  installMockGPUGlobals,
+} from '../../js/mock/MockWebGPU.js';
+
+installMockGPUGlobals();
+
+/**
+ * Vulkan format numbers used by the tests.
+ * @enum {number}
+ */
+const VkFormat = {
+  R8G8B8A8_UNORM: 37,
+  R16G16B16A16_SFLOAT: 97,
+  BC7_UNORM_BLOCK: 145,
+  UNKNOWN: 1000,
+};
+
+/**
+ * Builds a KTX2 file. Level data is stored smallest level first, as the
+ * specification recommends, so the level index is not in file order.
+ * @param {Object} options - File contents.
+ * @param {number} options.vkFormat - Vulkan format.
+ * @param {number} options.width - Width of level 0.
+ * @param {number} options.height - Height of level 0.
+ * @param {Array<Uint8Array>} options.levels - Stored bytes per level.
+ * @param {Array<number>} [options.uncompressedLengths] - Uncompressed byte
+ *     length per level. Defaults to the stored length.
+ * @param {number} [options.levelCount] - Level count written to the header.
+ * @param {number} [options.supercompression=0] - Supercompression scheme.
+ * @param {number} [options.colorModel=1] - DFD color model (1 is RGBSDA).
+ * @param {number} [options.transferFunction=1] - DFD transfer function.
+ * @param {Object<string, string>} [options.keyValue] - Key/value data.
+ * @param {number} [options.faceCount=1] - Face count.
+ * @returns {Uint8Array} File bytes.
+ */
+function createKTX2(options) {
+  const { levels } = options;
+  const encoder = new TextEncoder();
+  const keyValue = Object.entries(options.keyValue || {}).map(([key, value]) =>
+    encoder.encode(`${key}\0${value}\0`)
+  );
+  const kvdLength = keyValue.reduce(
+    (length, entry) => length + 4 + Math.ceil(entry.length / 4) * 4,
+    0
+  );
+  const dfdOffset = 80 + levels.length * 24;
+  const dfdLength = 44;
+  const kvdOffset = dfdOffset + dfdLength;
+  const dataOffset = Math.ceil((kvdOffset + kvdLength) / 16) * 16;
+  const totalLength =
+    dataOffset + levels.reduce((length, level) => length + level.length, 0);
+
+  const bytes = new Uint8Array(totalLength);
+  const view = new DataView(bytes.buffer);
+  bytes.set([
+    0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a,
+  ]);
+  [
+    options.vkFormat,
+    1,
+    options.width,
+    options.height,
+    0,
+    0,
+    options.faceCount ?? 1,
+    options.levelCount ?? levels.length,
+    options.supercompression ?? 0,
+    dfdOffset,
+    dfdLength,
+    kvdOffset,
+    kvdLength,
+  ].forEach((value, i) => view.setUint32(12 + i * 4, value, true));
+
+  let offset = totalLength;
+  levels.forEach((level, i) => {
+    offset -= level.length;
+    bytes.set(level, offset);
+    view.setBigUint64(80 + i * 24, BigInt(offset), true);
+    view.setBigUint64(80 + i * 24 + 8, BigInt(level.length), true);
+    view.setBigUint64(
+      80 + i * 24 + 16,
+      BigInt(options.uncompressedLengths?.[i] ?? level.length),
+      true
+    );
+  });
+
+  view.setUint32(dfdOffset, dfdLength, true);
+  bytes[dfdOffset + 12] = options.colorModel ?? 1;
+  bytes[dfdOffset + 13] = 1;
+  bytes[dfdOffset + 14] = options.transferFunction ?? 1;
+
+  let kvd = kvdOffset;
+  keyValue.forEach(entry => {
+    view.setUint32(kvd, entry.length, true);
+    bytes.set(entry, kvd + 4);
+    kvd += 4 + Math.ceil(entry.length / 4) * 4;
+  });
+  return bytes;
+}
+
+/**
+ * Returns RGBA8 levels of a mip chain, each filled with its level number.
+ * @param {number} width - Width of level 0.
+ * @param {number} height - Height of level 0.
+ * @param {number} count - Level count.
+ * @returns {Array<Uint8Array>} Levels.
+ */
+function createRGBA8Levels(width, height, count) {
+  return Array.from({ length: count }, (_, level) =>
+    new Uint8Array(
+      Math.max(1, width >> level) * Math.max(1, height >> level) * 4
+    ).fill(level)
+  );
+}
+
+describe('parseKTX2', () => {
+  it('reads the header, data format descriptor and key/value data', () => {
+    const container = parseKTX2(
+      createKTX2({
+        vkFormat: VkFormat.R8G8B8A8_UNORM,
+        width: 4,
+        height: 2,
+        levels: createRGBA8Levels(4, 2, 3),
+        transferFunction: 2,
+        keyValue: { KTXorientation: 'rd', KTXwriter: 'ctsrenderer test' },
+      })
+    );
+
+    assert.deepEqual(
+      {
+        vkFormat: container.vkFormat,
+        format: container.format,
+        width: container.width,
+        height: container.height,
+        levelCount: container.levelCount,
+        faceCount: container.faceCount,
+        supercompressionScheme: container.supercompressionScheme,
+        srgb: container.srgb,
+      },
+      {
+        vkFormat: VkFormat.R8G8B8A8_UNORM,
+        format: 'rgba8unorm',
+        width: 4,
+        height: 2,
+        levelCount: 3,
+        faceCount: 1,
+        supercompressionScheme: KTX2Supercompression.NONE,
+        srgb: true,
+      }
+    );
+    assert.deepEqual(container.keyValue, {
+      KTXorientation: 'rd',
+      KTXwriter: 'ctsrenderer test',
+    });
+  });
+
+  it('finds each level through the level index', () => {
+    const { levels } = parseKTX2(
+      createKTX2({
+        vkFormat: VkFormat.R8G8B8A8_UNORM,
+        width: 4,
+        height: 2,
+        levels: createRGBA8Levels(4, 2, 3),
+        uncompressedLengths: [32, 8, 4],
+      })
+    );
+
+    assert.deepEqual(
+      levels.map(({ data, uncompressedByteLength }) => [
+        data.length,
+        uncompressedByteLength,
+        data.every(value => value === data[0]) ? data[0] : null,
+      ]),
+      [
+        [32, 32, 0],
+        [8, 8, 1],
+        [4, 4, 2],
+      ]
+    );
+  });
+
+  it('rejects other files and levels past the end', () => {
+    const bytes = createKTX2({
+      vkFormat: VkFormat.R8G8B8A8_UNORM,
+      width: 1,
+      height: 1,
+      levels: createRGBA8Levels(1, 1, 1),
+    });
+
+    assert.throws(() => parseKTX2(new Uint8Array(128)), /Not a KTX2 file\./);
+    assert.throws(
+      () => parseKTX2(bytes.subarray(0, bytes.length - 1)),
+      /KTX2 level 0 is out of bounds\./
+    );
+  });
+});
+
+describe('KTX2Loader', () => {
+  let renderer;
+  let device;
+  let loader;
+
+  beforeEach(async () => {
+    const canvas = { width: 64, height: 64 };
+    renderer = new WGPURenderer(canvas, {
+      gpu: new MockGPU(),
+      context: new MockGPUCanvasContext(canvas),
+    });
+    await renderer.initialize();
+    device = renderer.device_;
+    loader = new KTX2Loader(renderer);
+  });
+
+  it('uploads every level of the container', async () => {
+    const asset = await loader.parse(
+      createKTX2({
+        vkFormat: VkFormat.R8G8B8A8_UNORM,
+        width: 4,
+        height: 2,
+        levels: createRGBA8Levels(4, 2, 3),
+      }),
+      { name: 'albedo' }
+    );
+
+    assert.deepEqual(
+      [asset.name, asset.format, asset.width, asset.height, asset.levelCount],
+      ['albedo', 'rgba8unorm', 4, 2, 3]
+    );
+    assert.deepEqual(
+      device
+        .findCalls('queue.writeTexture')
+        .map(({ args: [destination, data, , size] }) => [
+          destination.mipLevel,
+          data[0],
+          size,
+        ]),
+      [
+        [0, 0, [4, 2, 1]],
+        [1, 1, [2, 1, 1]],
+        [2, 2, [1, 1, 1]],
+      ]
+    );
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('inflates zlib levels and views half floats as Uint16Array', async () => {
+    const half = new Uint16Array([0x3c00, 0x4000, 0x4200, 0x4400]);
+    const asset = await loader.parse(
+      createKTX2({
+        vkFormat: VkFormat.R16G16B16A16_SFLOAT,
+        width: 1,
+        height: 1,
+        levels: [deflateSync(new Uint8Array(half.buffer))],
+        uncompressedLengths: [8],
+        supercompression: KTX2Supercompression.ZLIB,
+      })
+    );
+
+    const [, data] = device.findCalls('queue.writeTexture')[0].args;
+    assert.equal(asset.format, 'rgba16float');
+    assert.ok(data instanceof Uint16Array);
+    assert.deepEqual(Array.from(data), Array.from(half));
+  });
+
+  it('passes Zstandard levels to the decoder', async () => {
+    const bytes = createKTX2({
+      vkFormat: VkFormat.R8G8B8A8_UNORM,
+      width: 1,
+      height: 1,
+      levels: [new Uint8Array([1, 2])],
+      uncompressedLengths: [4],
+      supercompression: KTX2Supercompression.ZSTD,
+    });
+    const calls = [];
+    const zstd = new KTX2Loader(renderer, {
+      decodeZstd: (data, length) => {
+        calls.push([Array.from(data), length]);
+        return new Uint8Array(length).fill(7);
+      },
+    });
+
+    await assert.rejects(
+      loader.parse(bytes, { name: 'packed' }),
+      /KTX2 texture "packed" is Zstandard supercompressed; pass a decodeZstd option to load it\./
+    );
+    await zstd.parse(bytes);
+
+    assert.deepEqual(calls, [[[1, 2], 4]]);
+    assert.deepEqual(
+      Array.from(device.findCalls('queue.writeTexture')[0].args[1]),
+      [7, 7, 7, 7]
+    );
+  });
+
+  it('rejects textures it cannot upload', async () => {
+    const level = createRGBA8Levels(4, 4, 1);
+    const load = options =>
+      loader.parse(
+        createKTX2({ width: 4, height: 4, levels: level, ...options }),
+        { name: 'texture' }
+      );
+
+    await assert.rejects(
+      load({ vkFormat: 0, supercompression: KTX2Supercompression.BASISLZ }),
+      /KTX2 texture "texture" uses Basis Universal/
+    );
+    await assert.rejects(
+      load({ vkFormat: VkFormat.UNKNOWN }),
+      /KTX2 texture "texture" has unsupported Vulkan format 1000\./
+    );
+    await assert.rejects(
+      load({ vkFormat: VkFormat.R8G8B8A8_UNORM, faceCount: 6 }),
+      /KTX2 texture "texture" is not a 2D texture/
+    );
+    await assert.rejects(
+      load({ vkFormat: VkFormat.R8G8B8A8_UNORM, levelCount: 0 }),
+      /asks for generated mip levels/
+    );
+    await assert.rejects(load({ vkFormat: VkFormat.BC7_UNORM_BLOCK }), error =>
+      Array.isArray(error.supportedFormats)
+    );
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Tests of the OBJ and MTL parsers.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseOBJ, parseMTL } from '../../js/loaders/OBJLoader.js';
+
+/**
+ * Returns one attribute of every vertex of a geometry.
+ * @param {Geometry} geometry - Geometry with interleaved vertices.
+ * @param {number} offset - Attribute offset in floats.
+ * @param {number} size - Attribute size in floats.
+ * @returns {Array<Array<number>>} Attribute values per vertex.
+ */
+function readAttribute(geometry, offset, size) {
+  const stride = geometry.vertices.length / geometry.vertexCount;
+  return Array.from({ length: geometry.vertexCount }, (_, vertex) =>
+    Array.from(
+      geometry.vertices.subarray(
+        vertex * stride + offset,
+        vertex * stride + offset + size
+      )
+    )
+  );
+}
+
+const TRIANGLE = `v 0 0 0
+v 1 0 0
+v 0 1 0
+`;
+
+describe('parseOBJ', () => {
+  it('resolves negative indices relative to the last vertex', () => {
+    const { meshes } = parseOBJ(`v 9 9 9
+${TRIANGLE}f -3 -2 -1`);
+    const { geometry } = meshes[0];
+
+    assert.deepEqual(readAttribute(geometry, 0, 3), [
+      [0, 0, 0],
+      [1, 0, 0],
+      [0, 1, 0],
+    ]);
+    assert.throws(
+      () => parseOBJ(`${TRIANGLE}f 1 2 -4`),
+      /OBJ line 4: vertex index -4 out of range\./
+    );
+    assert.throws(
+      () => parseOBJ(`${TRIANGLE}f 1 2 4`),
+      /OBJ line 4: vertex index 4 out of range\./
+    );
+  });
+
+  it('reads v/t/n and v//n corners', () => {
+    const { meshes } = parseOBJ(`${TRIANGLE}vt 0.25 0.75
+vn 0 0 -1
+f 1/1/1 2/1/1 3/1/1
+f 3//1 2//1 1//1`);
+    const { geometry } = meshes[0];
+
+    assert.equal(geometry.vertexCount, 6);
+    assert.deepEqual(readAttribute(geometry, 3, 3), Array(6).fill([0, 0, -1]));
+    assert.deepEqual(readAttribute(geometry, 6, 2), [
+      [0.25, 0.25],
+      [0.25, 0.25],
+      [0.25, 0.25],
+      [0, 0],
+      [0, 0],
+      [0, 0],
+    ]);
+    assert.throws(
+      () => parseOBJ(`${TRIANGLE}f 1//2 2//2 3//2`),
+      /OBJ line 4: normal index 2 out of range\./
+    );
+  });
+
+  it('triangulates polygons as fans', () => {
+    const { meshes } = parseOBJ(`v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+v -1 1 0
+f 1 2 3 4
+s 1
+f 1 2 3 4 5
+f 1 3 4`);
+    const { geometry } = meshes[0];
+
+    // Flat faces keep their own vertices, smoothed faces share them
+    assert.equal(geometry.vertexCount, 9);
+    assert.deepEqual(
+      Array.from(geometry.indices),
+      [0, 1, 2, 0, 2, 3, 4, 5, 6, 4, 6, 7, 4, 7, 8, 4, 6, 7]
+    );
+    assert.deepEqual(readAttribute(geometry, 3, 3), Array(9).fill([0, 0, 1]));
+    assert.ok(geometry.indices instanceof Uint16Array);
+  });
+
+  it('splits meshes by group and material', () => {
+    const { meshes, materialLibraries } = parseOBJ(
+      `mtllib a.mtl b.mtl
+${TRIANGLE}o body
+g front
+usemtl red
+f 1 2 3
+usemtl blue
+usemtl green
+f 3 2 1
+g back
+f 1 3 2
+g
+usemtl
+f 1 2 3`,
+      { name: 'model' }
+    );
+
+    assert.deepEqual(materialLibraries, ['a.mtl', 'b.mtl']);
+    assert.deepEqual(
+      meshes.map(({ name, object, group, material, geometry }) => [
+        name,
+        object,
+        group,
+        material,
+        geometry.name,
+        geometry.indexCount,
+      ]),
+      [
+        ['front', 'body', 'front', 'red', 'model.0', 3],
+        ['front', 'body', 'front', 'green', 'model.1', 3],
+        ['back', 'body', 'back', 'green', 'model.2', 3],
+        ['body', 'body', '', null, 'model.3', 3],
+      ]
+    );
+  });
+});
+
+describe('parseMTL', () => {
+  it('reads colors, scalars and texture maps', () => {
+    const materials = parseMTL(`# two materials
+newmtl red paint
+Ka 0.1
+Kd 1 0 0
+Ks 0.5 0.5 0.5
+Ns 32
+Tr 0.25
+illum 1
+map_Kd -s 2 2 1 -clamp on textures\\red paint.png
+bump -bm 0.5 normal.png
+
+newmtl glass
+d -halo 0.4
+map_d alpha.png`);
+    const red = materials['red paint'];
+    const glass = materials.glass;
+
+    assert.deepEqual(Object.keys(materials), ['red paint', 'glass']);
+    assert.deepEqual(
+      Array.from(red.ambientColor),
+      [0.1, 0.1, 0.1].map(Math.fround)
+    );
+    assert.deepEqual(Array.from(red.diffuseColor), [1, 0, 0]);
+    assert.deepEqual(Array.from(red.specularColor), [0.5, 0.5, 0.5]);
+    assert.equal(red.shininess, 32);
+    assert.equal(red.opacity, 0.75);
+    assert.equal(red.illum, 1);
+    assert.equal(red.diffuseMap.path, 'textures/red paint.png');
+    assert.deepEqual(Array.from(red.diffuseMap.scale), [2, 2, 1]);
+    assert.equal(red.diffuseMap.clamp, true);
+    assert.equal(red.bumpMap.path, 'normal.png');
+    assert.equal(red.bumpMap.bumpMultiplier, 0.5);
+
+    assert.deepEqual(Array.from(glass.diffuseColor), [1, 1, 1]);
+    assert.equal(glass.opacity, 0.4);
+    assert.equal(glass.illum, 2);
+    assert.equal(glass.alphaMap.path, 'alpha.png');
+    assert.equal(glass.diffuseMap, null);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Tests of AABB.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AABB } from '../../js/math/AABB.js';
+import { Sphere } from '../../js/math/Sphere.js';
+import * as mat4 from '../../js/math/mat4.js';
+import { assertClose } from './assertions.js';
+
+describe('AABB', () => {
+  it('starts empty', () => {
+    const box = new AABB();
+    assert.ok(box.isEmpty());
+    assertClose(box.getSize(), [0, 0, 0]);
+  });
+
+  it('is built from interleaved positions', () => {
+    // Positions with a stride of 5 floats (xyz + uv)
+    const data = [1, 2, 3, 0, 0, -1, 5, 0, 0, 0];
+    const box = new AABB().setFromPoints(data, 5);
+    assertClose(box.min, [-1, 2, 0]);
+    assertClose(box.max, [1, 5, 3]);
+    assertClose(box.getCenter(), [0, 3.5, 1.5]);
+    assertClose(box.getSize(), [2, 3, 3]);
+  });
+
+  it('grows by points and boxes', () => {
+    const box = new AABB().expandByPoint([1, 1, 1]);
+    assert.ok(!box.isEmpty());
+    box.union(new AABB([-1, 0, 0], [0, 2, 0]));
+    assertClose(box.min, [-1, 0, 0]);
+    assertClose(box.max, [1, 2, 1]);
+  });
+
+  it('tests containment and intersections', () => {
+    const box = new AABB([0, 0, 0], [2, 2, 2]);
+    assert.ok(box.containsPoint([2, 1, 0]));
+    assert.ok(!box.containsPoint([2.1, 1, 0]));
+    assert.ok(box.intersectsAABB(new AABB([2, 2, 2], [3, 3, 3])));
+    assert.ok(!box.intersectsAABB(new AABB([2.5, 0, 0], [3, 1, 1])));
+    assert.ok(box.intersectsSphere(new Sphere([3, 1, 1], 1)));
+    assert.ok(!box.intersectsSphere(new Sphere([3, 3, 3], 1.5)));
+  });
+
+  it('transforms to the box around the transformed corners', () => {
+    const box = new AABB([-1, -1, -1], [1, 1, 1]);
+    box.applyMatrix4(
+      mat4.multiply(mat4.translation([10, 0, 0]), mat4.rotationZ(Math.PI / 4))
+    );
+    assertClose(box.min, [10 - Math.SQRT2, -Math.SQRT2, -1]);
+    assertClose(box.max, [10 + Math.SQRT2, Math.SQRT2, 1]);
+    assert.ok(new AABB().applyMatrix4(mat4.translation([1, 0, 0])).isEmpty());
+  });
+
+  it('returns its bounding sphere', () => {
+    const sphere = new AABB([0, 0, 0], [2, 2, 2]).getBoundingSphere(
+      new Sphere()
+    );
+    assertClose(sphere.center, [1, 1, 1]);
+    assertClose(sphere.radius, Math.sqrt(3));
+    assert.ok(new AABB().getBoundingSphere(new Sphere()).isEmpty());
+  });
+
+  it('copies and clones', () => {
+    const box = new AABB([0, 0, 0], [1, 1, 1]);
+    const clone = box.clone();
+    assert.notEqual(clone.min, box.min);
+    assertClose(new AABB().copy(box).max, [1, 1, 1]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests of Frustum.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Frustum } from '../../js/math/Frustum.js';
+import { AABB } from '../../js/math/AABB.js';
+import { Sphere } from '../../js/math/Sphere.js';
+import { DepthRange } from '../../js/math/common.js';
+import * as mat4 from '../../js/math/mat4.js';
+import { assertClose } from './assertions.js';
+
+describe('Frustum', () => {
+  const view = mat4.lookAt([0, 0, 0], [0, 0, -1], [0, 1, 0]);
+  const variants = [
+    ['ZO', mat4.perspectiveZO, DepthRange.ZERO_TO_ONE],
+    ['NO', mat4.perspectiveNO, DepthRange.NEGATIVE_ONE_TO_ONE],
+  ];
+
+  variants.forEach(([name, perspective, depthRange]) => {
+    describe(name, () => {
+      const frustum = new Frustum().setFromMatrix(
+        mat4.multiply(perspective(Math.PI / 2, 1, 1, 10), view),
+        depthRange
+      );
+
+      it('finds the near and far planes', () => {
+        assertClose(frustum.planes[4].normal, [0, 0, -1]);
+        assertClose(frustum.planes[4].constant, -1, 1e-4);
+        assertClose(frustum.planes[5].normal, [0, 0, 1]);
+        assertClose(frustum.planes[5].constant, 10, 1e-4);
+      });
+
+      it('contains points between the planes', () => {
+        assert.ok(frustum.containsPoint([0, 0, -5]));
+        assert.ok(frustum.containsPoint([4.9, 0, -5]));
+        assert.ok(!frustum.containsPoint([5.1, 0, -5]));
+        assert.ok(!frustum.containsPoint([0, 0, -0.5]));
+        assert.ok(!frustum.containsPoint([0, 0, -11]));
+        assert.ok(!frustum.containsPoint([0, 0, 5]));
+      });
+
+      it('intersects spheres and boxes', () => {
+        assert.ok(frustum.intersectsSphere(new Sphere([0, 0, -11], 2)));
+        assert.ok(!frustum.intersectsSphere(new Sphere([0, 0, 3], 1)));
+        assert.ok(frustum.intersectsAABB(new AABB([5, -1, -6], [7, 1, -4])));
+        assert.ok(!frustum.intersectsAABB(new AABB([7, -1, -6], [9, 1, -4])));
+        assert.ok(
+          !frustum.intersectsAABB(new AABB([-1, -1, -20], [1, 1, -12]))
+        );
+      });
+    });
+  });
+
+  it('is built from orthographic matrices', () => {
+    const frustum = new Frustum().setFromMatrix(
+      mat4.orthoZO(-1, 1, -1, 1, 0, 5)
+    );
+    assert.ok(frustum.containsPoint([0.99, -0.99, -4.99]));
+    assert.ok(!frustum.containsPoint([1.01, 0, -1]));
+    assert.ok(!frustum.containsPoint([0, 0, 0.01]));
+  });
+
+  it('copies', () => {
+    const frustum = new Frustum().setFromMatrix(
+      mat4.perspectiveZO(1, 1, 1, 10)
+    );
+    const copy = new Frustum().copy(frustum);
+    copy.planes.forEach((plane, i) => {
+      assert.notEqual(plane, frustum.planes[i]);
+      assertClose(plane.normal, frustum.planes[i].normal);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Tests of Plane.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Plane } from '../../js/math/Plane.js';
+import { assertClose } from './assertions.js';
+
+describe('Plane', () => {
+  it('measures signed distances', () => {
+    const plane = new Plane([0, 1, 0], -2);
+    assert.equal(plane.distanceToPoint([5, 3, 1]), 1);
+    assert.equal(plane.distanceToPoint([5, 0, 1]), -2);
+  });
+
+  it('is built from a normal and a point', () => {
+    const plane = new Plane().setFromNormalAndPoint([0, 0, 1], [4, 5, 6]);
+    assert.equal(plane.constant, -6);
+    assert.equal(plane.distanceToPoint([0, 0, 6]), 0);
+  });
+
+  it('is built from counterclockwise points', () => {
+    const plane = new Plane().setFromPoints([0, 0, 1], [1, 0, 1], [0, 1, 1]);
+    assertClose(plane.normal, [0, 0, 1]);
+    assertClose(plane.constant, -1);
+  });
+
+  it('normalizes the equation', () => {
+    const plane = new Plane().set(0, 3, 4, 10).normalize();
+    assertClose(plane.normal, [0, 0.6, 0.8]);
+    assertClose(plane.constant, 2);
+  });
+
+  it('projects points onto the plane', () => {
+    const plane = new Plane([0, 1, 0], -1);
+    assertClose(plane.projectPoint([3, 7, -2]), [3, 1, -2]);
+  });
+
+  it('copies and clones', () => {
+    const plane = new Plane([1, 0, 0], 3);
+    const clone = plane.clone();
+    assert.notEqual(clone.normal, plane.normal);
+    assertClose(clone.normal, [1, 0, 0]);
+    assert.equal(new Plane().copy(plane).constant, 3);
+  });
+});
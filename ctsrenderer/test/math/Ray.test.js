@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests of Ray.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Ray } from '../../js/math/Ray.js';
+import { Plane } from '../../js/math/Plane.js';
+import { Sphere } from '../../js/math/Sphere.js';
+import { AABB } from '../../js/math/AABB.js';
+import { DepthRange } from '../../js/math/common.js';
+import * as mat4 from '../../js/math/mat4.js';
+import { assertClose } from './assertions.js';
+
+describe('Ray', () => {
+  it('returns points along the ray', () => {
+    const ray = new Ray([1, 2, 3], [0, 0, -1]);
+    assertClose(ray.at(2), [1, 2, 1]);
+  });
+
+  it('unprojects NDC coordinates for both depth ranges', () => {
+    const view = mat4.lookAt([0, 0, 5], [0, 0, 0], [0, 1, 0]);
+    [
+      [mat4.perspectiveZO, DepthRange.ZERO_TO_ONE],
+      [mat4.perspectiveNO, DepthRange.NEGATIVE_ONE_TO_ONE],
+    ].forEach(([perspective, depthRange]) => {
+      const projection = perspective(Math.PI / 2, 1, 1, 100);
+      const inverse = mat4.invert(mat4.multiply(projection, view));
+      const ray = new Ray().setFromNDC(0, 0, inverse, depthRange);
+      assertClose(ray.origin, [0, 0, 4], 1e-4);
+      assertClose(ray.direction, [0, 0, -1]);
+
+      // The right edge of the screen is 45 degrees off the view axis
+      ray.setFromNDC(1, 0, inverse, depthRange);
+      assertClose(ray.direction, [Math.SQRT1_2, 0, -Math.SQRT1_2], 1e-4);
+    });
+  });
+
+  it('intersects planes', () => {
+    const ray = new Ray([0, 5, 0], [0, -1, 0]);
+    assert.equal(ray.intersectPlane(new Plane([0, 1, 0], 0)), 5);
+    assert.equal(ray.intersectPlane(new Plane([0, 1, 0], -10)), null);
+    assert.equal(
+      new Ray([0, 5, 0], [1, 0, 0]).intersectPlane(new Plane()),
+      null
+    );
+    assert.equal(new Ray([0, 0, 0], [1, 0, 0]).intersectPlane(new Plane()), 0);
+  });
+
+  it('intersects spheres from outside and inside', () => {
+    const sphere = new Sphere([0, 0, -10], 2);
+    assertClose(new Ray().intersectSphere(sphere), 8);
+    assertClose(new Ray([0, 0, -10]).intersectSphere(sphere), 2);
+    assert.equal(new Ray([0, 5, 0]).intersectSphere(sphere), null);
+    assert.equal(new Ray([0, 0, -20]).intersectSphere(sphere), null);
+  });
+
+  it('intersects boxes', () => {
+    const box = new AABB([-1, -1, -6], [1, 1, -4]);
+    assertClose(new Ray().intersectAABB(box), 4);
+    assert.equal(new Ray([0, 0, -5]).intersectAABB(box), 0);
+    assert.equal(new Ray([3, 0, 0]).intersectAABB(box), null);
+    assert.equal(new Ray([0, 0, -10]).intersectAABB(box), null);
+    // Axis-aligned rays divide by zero on the other axes
+    assertClose(new Ray([0.5, 0.5, 0]).intersectAABB(box), 4);
+  });
+
+  it('intersects triangles, optionally culling back faces', () => {
+    const a = [-1, -1, -5];
+    const b = [1, -1, -5];
+    const c = [0, 1, -5];
+    const ray = new Ray();
+    assertClose(ray.intersectTriangle(a, b, c), 5);
+    assertClose(ray.intersectTriangle(a, b, c, true), 5);
+    assertClose(ray.intersectTriangle(a, c, b), 5);
+    assert.equal(ray.intersectTriangle(a, c, b, true), null);
+    assert.equal(new Ray([5, 0, 0]).intersectTriangle(a, b, c), null);
+    assert.equal(new Ray([0, 0, -10]).intersectTriangle(a, b, c), null);
+  });
+
+  it('transforms by matrices and keeps a unit direction', () => {
+    const ray = new Ray([1, 0, 0], [1, 0, 0]);
+    ray.applyMatrix4(
+      mat4.multiply(mat4.translation([0, 0, 2]), mat4.scaling([3, 3, 3]))
+    );
+    assertClose(ray.origin, [3, 0, 2]);
+    assertClose(ray.direction, [1, 0, 0]);
+  });
+
+  it('copies and clones', () => {
+    const ray = new Ray([1, 2, 3], [0, 1, 0]);
+    const clone = ray.clone();
+    assert.notEqual(clone.origin, ray.origin);
+    assertClose(clone.origin, ray.origin);
+    assertClose(new Ray().copy(ray).direction, [0, 1, 0]);
+  });
+});
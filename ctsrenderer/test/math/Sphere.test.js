@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Tests of Sphere.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Sphere } from '../../js/math/Sphere.js';
+import * as mat4 from '../../js/math/mat4.js';
+import { assertClose } from './assertions.js';
+
+describe('Sphere', () => {
+  it('starts empty', () => {
+    assert.ok(new Sphere().isEmpty());
+    assert.ok(!new Sphere([0, 0, 0], 0).isEmpty());
+  });
+
+  it('is built around the bounds of the points', () => {
+    const sphere = new Sphere().setFromPoints([-1, 0, 0, 3, 0, 0, 0, 2, 0]);
+    assertClose(sphere.center, [1, 1, 0]);
+    assertClose(sphere.radius, Math.sqrt(5));
+    assert.ok(new Sphere([1, 1, 1], 1).setFromPoints([]).isEmpty());
+  });
+
+  it('tests containment and intersections', () => {
+    const sphere = new Sphere([0, 0, 0], 2);
+    assert.ok(sphere.containsPoint([0, 2, 0]));
+    assert.ok(!sphere.containsPoint([0, 2.1, 0]));
+    assert.ok(sphere.intersectsSphere(new Sphere([3, 0, 0], 1)));
+    assert.ok(!sphere.intersectsSphere(new Sphere([3.5, 0, 0], 1)));
+  });
+
+  it('transforms with the largest axis scale', () => {
+    const sphere = new Sphere([1, 0, 0], 1).applyMatrix4(
+      mat4.multiply(mat4.translation([0, 5, 0]), mat4.scaling([2, 3, 1]))
+    );
+    assertClose(sphere.center, [2, 5, 0]);
+    assertClose(sphere.radius, 3);
+  });
+
+  it('copies and clones', () => {
+    const sphere = new Sphere([1, 2, 3], 4);
+    const clone = sphere.clone();
+    assert.notEqual(clone.center, sphere.center);
+    assert.equal(new Sphere().copy(sphere).radius, 4);
+    assert.ok(sphere.makeEmpty().isEmpty());
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Approximate comparisons shared by the math tests.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import assert from 'node:assert/strict';
+
+/**
+ * Asserts that two numbers or arrays of numbers are equal within a
+ * tolerance, which float32 storage needs.
+ * @param {number|ArrayLike<number>} actual - Actual value.
+ * @param {number|ArrayLike<number>} expected - Expected value.
+ * @param {number} [tolerance=1e-5] - Largest allowed difference.
+ */
+export function assertClose(actual, expected, tolerance = 1e-5) {
+  if (typeof expected === 'number') {
+    assert.ok(
+      Math.abs(actual - expected) <= tolerance,
+      `expected ${actual} to be close to ${expected}`
+    );
+    return;
+  }
+  assert.equal(actual.length, expected.length, 'lengths differ');
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) <= tolerance,
+      `expected [${Array.from(actual)}] to be close to [${Array.from(
+        expected
+      )}] (index ${i})`
+    );
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Tests of the mat3 functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as mat3 from '../../js/math/mat3.js';
+import * as mat4 from '../../js/math/mat4.js';
+import * as quat from '../../js/math/quat.js';
+import * as vec3 from '../../js/math/vec3.js';
+import { assertClose } from './assertions.js';
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+describe('mat3', () => {
+  it('creates identity matrices', () => {
+    assertClose(mat3.create(), IDENTITY);
+    assertClose(mat3.identity(), IDENTITY);
+  });
+
+  it('multiplies column-major matrices', () => {
+    const a = [1, 2, 3, 4, 5, 6, 7, 8, 10];
+    assertClose(mat3.multiply(a, IDENTITY), a);
+    assertClose(mat3.multiply(IDENTITY, a), a);
+    // Translate after scaling: the translation is not scaled
+    const m = mat3.multiply(mat3.translation([1, 2]), mat3.scaling([2, 3]));
+    assertClose(m, [2, 0, 0, 0, 3, 0, 1, 2, 1]);
+  });
+
+  it('transposes and inverts', () => {
+    const a = [1, 2, 3, 4, 5, 6, 7, 8, 10];
+    assertClose(mat3.transpose(a), [1, 4, 7, 2, 5, 8, 3, 6, 10]);
+    assert.equal(mat3.determinant(a), -3);
+    assertClose(mat3.multiply(a, mat3.invert(a)), IDENTITY);
+  });
+
+  it('inverts singular matrices to zero', () => {
+    assertClose(mat3.invert([1, 2, 3, 2, 4, 6, 0, 0, 1]), new Array(9).fill(0));
+  });
+
+  it('takes the upper-left 3x3 of a 4x4 matrix', () => {
+    const m = mat4.multiply(mat4.translation([4, 5, 6]), mat4.rotationY(0.3));
+    assertClose(
+      mat3.fromMat4(m),
+      mat3.fromQuat(quat.fromAxisAngle([0, 1, 0], 0.3))
+    );
+  });
+
+  it('computes normal matrices that keep normals perpendicular', () => {
+    const m = mat4.scaling([2, 1, 1]);
+    const normal = vec3.normalize(
+      vec3.transformMat3(vec3.normalize([1, 1, 0]), mat3.normalFromMat4(m))
+    );
+    const tangent = vec3.transformDirection([1, -1, 0], m);
+    assertClose(vec3.dot(normal, tangent), 0);
+  });
+
+  it('rotates 2D points counterclockwise', () => {
+    assertClose(mat3.rotation(Math.PI / 2), [0, 1, 0, -1, 0, 0, 0, 0, 1]);
+  });
+
+  it('compares approximately', () => {
+    assert.ok(mat3.equals(IDENTITY, mat3.copy(IDENTITY)));
+    assert.ok(!mat3.equals(IDENTITY, mat3.scaling([2, 1])));
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests of the mat4 functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as mat4 from '../../js/math/mat4.js';
+import * as quat from '../../js/math/quat.js';
+import * as vec3 from '../../js/math/vec3.js';
+import { DepthRange } from '../../js/math/common.js';
+import { assertClose } from './assertions.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Returns the clip-space depth of a view-space point after the perspective
+ * divide.
+ * @param {Mat4} projection - Projection matrix.
+ * @param {number} z - View-space z.
+ * @returns {number} Normalized depth.
+ */
+function depthAt(projection, z) {
+  return vec3.transformMat4([0, 0, z], projection)[2];
+}
+
+describe('mat4', () => {
+  it('multiplies, transposes and inverts', () => {
+    const m = mat4.fromRotationTranslationScale(
+      quat.fromEuler(0.1, 0.2, 0.3),
+      [1, 2, 3],
+      [2, 3, 4]
+    );
+    assertClose(mat4.multiply(m, mat4.identity()), m);
+    assertClose(mat4.multiply(m, mat4.invert(m)), IDENTITY);
+    assertClose(mat4.transpose(mat4.transpose(m)), m);
+    assertClose(mat4.determinant(m), 24, 1e-4);
+    assertClose(mat4.invert(mat4.scaling([1, 0, 1])), new Array(16).fill(0));
+  });
+
+  it('composes translation, rotation and scale', () => {
+    const q = quat.fromAxisAngle([0, 0, 1], Math.PI / 2);
+    const m = mat4.fromRotationTranslationScale(q, [1, 2, 3], [2, 2, 2]);
+    assertClose(vec3.transformMat4([1, 0, 0], m), [1, 4, 3]);
+    assertClose(mat4.getTranslation(m), [1, 2, 3]);
+    assertClose(mat4.getScaling(m), [2, 2, 2]);
+    assertClose(
+      m,
+      mat4.scale(
+        mat4.rotateZ(mat4.translation([1, 2, 3]), Math.PI / 2),
+        [2, 2, 2]
+      )
+    );
+  });
+
+  it('builds rotations that agree with each other', () => {
+    const angle = 0.4;
+    assertClose(mat4.rotationX(angle), mat4.axisRotation([1, 0, 0], angle));
+    assertClose(mat4.rotationY(angle), mat4.axisRotation([0, 1, 0], angle));
+    assertClose(mat4.rotationZ(angle), mat4.axisRotation([0, 0, 1], angle));
+    assertClose(
+      mat4.rotate(mat4.identity(), [0, 1, 0], angle),
+      mat4.fromQuat(quat.fromAxisAngle([0, 1, 0], angle))
+    );
+    assertClose(
+      vec3.transformMat4([1, 0, 0], mat4.rotationZ(Math.PI / 2)),
+      [0, 1, 0]
+    );
+  });
+
+  it('builds view matrices looking down -z', () => {
+    const view = mat4.lookAt([0, 0, 5], [0, 0, 0], [0, 1, 0]);
+    assertClose(vec3.transformMat4([0, 0, 0], view), [0, 0, -5]);
+    assertClose(
+      mat4.invert(view),
+      mat4.targetTo([0, 0, 5], [0, 0, 0], [0, 1, 0])
+    );
+
+    // An up vector along the view direction still gives a valid basis
+    const down = mat4.lookAt([0, 5, 0], [0, 0, 0], [0, 1, 0]);
+    assertClose(mat4.determinant(down), 1);
+    assertClose(vec3.transformMat4([0, 0, 0], down), [0, 0, -5]);
+  });
+
+  describe('perspective', () => {
+    it('maps near and far to 0..1 (ZO)', () => {
+      const projection = mat4.perspectiveZO(Math.PI / 2, 2, 0.5, 100);
+      assertClose(depthAt(projection, -0.5), 0);
+      assertClose(depthAt(projection, -100), 1);
+      assertClose(
+        vec3.transformMat4([2, 1, -1], projection),
+        [1, 1, 0.5025125],
+        1e-4
+      );
+      assert.equal(mat4.perspective, mat4.perspectiveZO);
+    });
+
+    it('maps near and far to -1..1 (NO)', () => {
+      const projection = mat4.perspectiveNO(Math.PI / 2, 1, 0.5, 100);
+      assertClose(depthAt(projection, -0.5), -1);
+      assertClose(depthAt(projection, -100), 1);
+    });
+
+    it('supports an infinite far plane', () => {
+      const zo = mat4.perspectiveZO(Math.PI / 2, 1, 1, Infinity);
+      const no = mat4.perspectiveNO(Math.PI / 2, 1, 1, Infinity);
+      assertClose(depthAt(zo, -1), 0);
+      assertClose(depthAt(no, -1), -1);
+      assertClose(depthAt(zo, -1e6), 1);
+      assertClose(depthAt(no, -1e6), 1);
+    });
+
+    it('selects the variant by depth range', () => {
+      assertClose(
+        mat4.perspectiveWithDepthRange(
+          1,
+          1.5,
+          0.1,
+          50,
+          DepthRange.NEGATIVE_ONE_TO_ONE
+        ),
+        mat4.perspectiveNO(1, 1.5, 0.1, 50)
+      );
+      assertClose(
+        mat4.perspectiveWithDepthRange(1, 1.5, 0.1, 50, DepthRange.ZERO_TO_ONE),
+        mat4.perspectiveZO(1, 1.5, 0.1, 50)
+      );
+    });
+  });
+
+  describe('ortho', () => {
+    it('maps the box to 0..1 depth (ZO)', () => {
+      const projection = mat4.orthoZO(-2, 2, -1, 1, 1, 11);
+      assertClose(vec3.transformMat4([-2, -1, -1], projection), [-1, -1, 0]);
+      assertClose(vec3.transformMat4([2, 1, -11], projection), [1, 1, 1]);
+      assert.equal(mat4.ortho, mat4.orthoZO);
+    });
+
+    it('maps the box to -1..1 depth (NO)', () => {
+      const projection = mat4.orthoNO(0, 4, 0, 2, 1, 11);
+      assertClose(vec3.transformMat4([0, 0, -1], projection), [-1, -1, -1]);
+      assertClose(vec3.transformMat4([4, 2, -11], projection), [1, 1, 1]);
+      assertClose(vec3.transformMat4([2, 1, -6], projection), [0, 0, 0]);
+    });
+
+    it('selects the variant by depth range', () => {
+      assertClose(
+        mat4.orthoWithDepthRange(
+          -1,
+          1,
+          -1,
+          1,
+          0,
+          10,
+          DepthRange.NEGATIVE_ONE_TO_ONE
+        ),
+        mat4.orthoNO(-1, 1, -1, 1, 0, 10)
+      );
+    });
+  });
+
+  it('compares approximately', () => {
+    assert.ok(mat4.equals(IDENTITY, mat4.copy(IDENTITY)));
+    assert.ok(!mat4.equals(IDENTITY, mat4.translation([0, 0, 0.01])));
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Tests of the quat functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as quat from '../../js/math/quat.js';
+import * as mat4 from '../../js/math/mat4.js';
+import * as vec3 from '../../js/math/vec3.js';
+import { assertClose } from './assertions.js';
+
+describe('quat', () => {
+  it('creates identity rotations', () => {
+    assertClose(quat.create(), [0, 0, 0, 1]);
+    assertClose(quat.identity(), [0, 0, 0, 1]);
+  });
+
+  it('builds rotations from an axis and angle', () => {
+    const q = quat.fromAxisAngle([0, 0, 1], Math.PI / 2);
+    assertClose(q, [0, 0, Math.SQRT1_2, Math.SQRT1_2]);
+    assertClose(vec3.transformQuat([1, 0, 0], q), [0, 1, 0]);
+  });
+
+  it('applies Euler angles in X, Y, Z order', () => {
+    const q = quat.fromEuler(0.3, -0.5, 1.1);
+    const m = mat4.multiply(
+      mat4.rotationZ(1.1),
+      mat4.multiply(mat4.rotationY(-0.5), mat4.rotationX(0.3))
+    );
+    assertClose(mat4.fromQuat(q), m);
+  });
+
+  it('round-trips through rotation matrices', () => {
+    const q = quat.normalize([0.2, -0.4, 0.1, 0.9]);
+    const back = quat.fromMat4(mat4.fromQuat(q));
+    // q and -q are the same rotation
+    assertClose(Math.abs(quat.dot(q, back)), 1);
+  });
+
+  it('composes like matrices', () => {
+    const a = quat.fromAxisAngle([1, 0, 0], 0.5);
+    const b = quat.fromAxisAngle([0, 1, 0], 0.8);
+    assertClose(
+      mat4.fromQuat(quat.multiply(a, b)),
+      mat4.multiply(mat4.fromQuat(a), mat4.fromQuat(b))
+    );
+    assertClose(quat.rotateX(b, 0.5), quat.multiply(b, a));
+    assertClose(quat.rotateY(a, 0.8), quat.multiply(a, b));
+    assertClose(
+      quat.rotateZ(quat.identity(), 0.2),
+      quat.fromAxisAngle([0, 0, 1], 0.2)
+    );
+  });
+
+  it('inverts rotations', () => {
+    const q = quat.fromEuler(0.1, 0.2, 0.3);
+    assertClose(quat.multiply(q, quat.invert(q)), [0, 0, 0, 1]);
+    assertClose(quat.conjugate(q), quat.invert(q));
+    assertClose(quat.invert([0, 0, 0, 2]), [0, 0, 0, 0.5]);
+  });
+
+  it('measures and normalizes', () => {
+    assert.equal(quat.length([1, 2, 2, 4]), 5);
+    assertClose(quat.normalize([0, 0, 0, 2]), [0, 0, 0, 1]);
+  });
+
+  it('slerps along the shortest arc', () => {
+    const a = quat.identity();
+    const b = quat.fromAxisAngle([0, 1, 0], Math.PI / 2);
+    assertClose(quat.slerp(a, b, 0), a);
+    assertClose(quat.slerp(a, b, 1), b);
+    assertClose(
+      quat.slerp(a, b, 0.5),
+      quat.fromAxisAngle([0, 1, 0], Math.PI / 4)
+    );
+
+    // -b is the same rotation, so the result must not take the long way
+    const negated = b.map(value => -value);
+    const half = quat.slerp(a, negated, 0.5);
+    assertClose(
+      Math.abs(quat.dot(half, quat.fromAxisAngle([0, 1, 0], Math.PI / 4))),
+      1
+    );
+  });
+
+  it('compares approximately', () => {
+    assert.ok(quat.equals([0, 0, 0, 1], quat.identity()));
+    assert.ok(!quat.equals([0, 0, 0, 1], [0, 0, 0.1, 1]));
+  });
+});
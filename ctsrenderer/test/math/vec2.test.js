@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests of the vec2 functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as vec2 from '../../js/math/vec2.js';
+import * as mat3 from '../../js/math/mat3.js';
+import { assertClose } from './assertions.js';
+
+describe('vec2', () => {
+  it('creates float32 vectors', () => {
+    const v = vec2.create(1, 2);
+    assert.ok(v instanceof Float32Array);
+    assert.deepEqual(Array.from(v), [1, 2]);
+    assert.deepEqual(Array.from(vec2.create()), [0, 0]);
+  });
+
+  it('does component-wise arithmetic', () => {
+    const a = [1, 2];
+    const b = [3, -4];
+    assertClose(vec2.add(a, b), [4, -2]);
+    assertClose(vec2.subtract(a, b), [-2, 6]);
+    assertClose(vec2.multiply(a, b), [3, -8]);
+    assertClose(vec2.scale(a, 3), [3, 6]);
+    assertClose(vec2.negate(a), [-1, -2]);
+    assertClose(vec2.min(a, b), [1, -4]);
+    assertClose(vec2.max(a, b), [3, 2]);
+    assertClose(vec2.lerp(a, b, 0.5), [2, -1]);
+  });
+
+  it('writes into dst, which may alias an input', () => {
+    const a = vec2.create(1, 2);
+    assert.equal(vec2.add(a, [1, 1], a), a);
+    assertClose(a, [2, 3]);
+  });
+
+  it('computes products, lengths and distances', () => {
+    assert.equal(vec2.dot([1, 2], [3, 4]), 11);
+    assert.equal(vec2.cross([1, 0], [0, 1]), 1);
+    assert.equal(vec2.length([3, 4]), 5);
+    assert.equal(vec2.lengthSquared([3, 4]), 25);
+    assert.equal(vec2.distance([1, 1], [4, 5]), 5);
+    assertClose(vec2.normalize([3, 4]), [0.6, 0.8]);
+    assertClose(vec2.normalize([0, 0]), [0, 0]);
+  });
+
+  it('transforms points by 3x3 matrices', () => {
+    const m = mat3.multiply(
+      mat3.translation([2, 3]),
+      mat3.rotation(Math.PI / 2)
+    );
+    assertClose(vec2.transformMat3([1, 0], m), [2, 4]);
+  });
+
+  it('compares approximately', () => {
+    assert.ok(vec2.equals([1, 2], [1 + 1e-7, 2]));
+    assert.ok(!vec2.equals([1, 2], [1.001, 2]));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests of the vec3 functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as vec3 from '../../js/math/vec3.js';
+import * as mat3 from '../../js/math/mat3.js';
+import * as mat4 from '../../js/math/mat4.js';
+import * as quat from '../../js/math/quat.js';
+import { assertClose } from './assertions.js';
+
+describe('vec3', () => {
+  it('does component-wise arithmetic', () => {
+    const a = [1, 2, 3];
+    const b = [4, -5, 6];
+    assertClose(vec3.add(a, b), [5, -3, 9]);
+    assertClose(vec3.subtract(a, b), [-3, 7, -3]);
+    assertClose(vec3.multiply(a, b), [4, -10, 18]);
+    assertClose(vec3.scale(a, 2), [2, 4, 6]);
+    assertClose(vec3.addScaled(a, b, 2), [9, -8, 15]);
+    assertClose(vec3.negate(a), [-1, -2, -3]);
+    assertClose(vec3.min(a, b), [1, -5, 3]);
+    assertClose(vec3.max(a, b), [4, 2, 6]);
+    assertClose(vec3.lerp(a, b, 0.25), [1.75, 0.25, 3.75]);
+  });
+
+  it('computes products, lengths and distances', () => {
+    assert.equal(vec3.dot([1, 2, 3], [4, 5, 6]), 32);
+    assertClose(vec3.cross([1, 0, 0], [0, 1, 0]), [0, 0, 1]);
+    assertClose(vec3.cross([0, 1, 0], [1, 0, 0]), [0, 0, -1]);
+    assert.equal(vec3.length([2, 3, 6]), 7);
+    assert.equal(vec3.lengthSquared([2, 3, 6]), 49);
+    assert.equal(vec3.distance([1, 1, 1], [3, 4, 7]), 7);
+    assert.equal(vec3.distanceSquared([1, 1, 1], [3, 4, 7]), 49);
+    assertClose(vec3.normalize([0, 3, 4]), [0, 0.6, 0.8]);
+    assertClose(vec3.normalize([0, 0, 0]), [0, 0, 0]);
+  });
+
+  it('cross product may alias an input', () => {
+    const a = vec3.create(1, 0, 0);
+    vec3.cross(a, [0, 1, 0], a);
+    assertClose(a, [0, 0, 1]);
+  });
+
+  it('transforms points with perspective divide', () => {
+    const m = mat4.translation([1, 2, 3]);
+    assertClose(vec3.transformMat4([1, 1, 1], m), [2, 3, 4]);
+
+    const projection = mat4.perspectiveZO(Math.PI / 2, 1, 1, 10);
+    assertClose(vec3.transformMat4([0, 0, -1], projection), [0, 0, 0]);
+    assertClose(vec3.transformMat4([0, 0, -10], projection), [0, 0, 1]);
+  });
+
+  it('transforms directions without translation', () => {
+    const m = mat4.multiply(
+      mat4.translation([5, 5, 5]),
+      mat4.rotationZ(Math.PI / 2)
+    );
+    assertClose(vec3.transformDirection([1, 0, 0], m), [0, 1, 0]);
+    assertClose(vec3.transformMat3([1, 0, 0], mat3.fromMat4(m)), [0, 1, 0]);
+  });
+
+  it('rotates by quaternions like the matching matrix', () => {
+    const axis = vec3.normalize([1, 2, 3]);
+    const q = quat.fromAxisAngle(axis, 0.7);
+    const m = mat4.axisRotation(axis, 0.7);
+    const v = [0.5, -1, 2];
+    assertClose(vec3.transformQuat(v, q), vec3.transformMat4(v, m));
+  });
+
+  it('compares approximately', () => {
+    assert.ok(vec3.equals([1, 2, 3], [1, 2, 3 + 1e-7]));
+    assert.ok(!vec3.equals([1, 2, 3], [1, 2, 3.01]));
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Tests of the vec4 functions.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as vec4 from '../../js/math/vec4.js';
+import * as mat4 from '../../js/math/mat4.js';
+import { assertClose } from './assertions.js';
+
+describe('vec4', () => {
+  it('does component-wise arithmetic', () => {
+    const a = [1, 2, 3, 4];
+    const b = [5, 6, 7, 8];
+    assertClose(vec4.add(a, b), [6, 8, 10, 12]);
+    assertClose(vec4.subtract(a, b), [-4, -4, -4, -4]);
+    assertClose(vec4.multiply(a, b), [5, 12, 21, 32]);
+    assertClose(vec4.scale(a, 0.5), [0.5, 1, 1.5, 2]);
+    assertClose(vec4.lerp(a, b, 0.5), [3, 4, 5, 6]);
+    assertClose(vec4.copy(a), a);
+    assertClose(vec4.set(1, 2, 3, 4), a);
+  });
+
+  it('computes dot products, lengths and normals', () => {
+    assert.equal(vec4.dot([1, 2, 3, 4], [5, 6, 7, 8]), 70);
+    assert.equal(vec4.length([1, 1, 1, 1]), 2);
+    assertClose(vec4.normalize([2, 0, 0, 0]), [1, 0, 0, 0]);
+    assertClose(vec4.normalize([0, 0, 0, 0]), [0, 0, 0, 0]);
+  });
+
+  it('transforms by 4x4 matrices without dividing by w', () => {
+    const m = mat4.translation([1, 2, 3]);
+    assertClose(vec4.transformMat4([1, 1, 1, 1], m), [2, 3, 4, 1]);
+    assertClose(vec4.transformMat4([1, 1, 1, 0], m), [1, 1, 1, 0]);
+
+    const projection = mat4.perspectiveNO(Math.PI / 2, 1, 1, 10);
+    assertClose(vec4.transformMat4([0, 0, -2, 1], projection)[3], 2);
+  });
+
+  it('compares approximately', () => {
+    assert.ok(vec4.equals([1, 2, 3, 4], [1, 2, 3, 4 + 1e-7]));
+    assert.ok(!vec4.equals([1, 2, 3, 4], [1, 2, 3, 4.1]));
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Tests of the WebGL mock validation and program reflection.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MockWebGLRenderingContext,
+  MockWebGL2RenderingContext,
+} from '../../js/mock/MockWebGL.js';
+
+const VERTEX_SHADER = `#version 300 es
+struct Light { vec3 color; float intensity; };
+layout(std140) uniform Camera {
+  mat4 view;
+  vec3 position;
+  float exposure;
+  vec2 jitter[2];
+  Light lights[2];
+} camera;
+uniform mat4 u_model;
+in vec3 a_position;
+void main() { gl_Position = camera.view * u_model * vec4(a_position, 1.0); }`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform vec4 u_colors[3];
+out vec4 color;
+void main() { color = u_colors[0]; }`;
+
+/**
+ * Compiles and links a program.
+ * @param {MockWebGLRenderingContext} gl - Context.
+ * @param {string} vertex - Vertex shader source.
+ * @param {string} fragment - Fragment shader source.
+ * @returns {WebGLProgram} Linked program.
+ */
+function createProgram(gl, vertex, fragment) {
+  const program = gl.createProgram();
+  [
+    [gl.VERTEX_SHADER, vertex],
+    [gl.FRAGMENT_SHADER, fragment],
+  ].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  return program;
+}
+
+describe('MockWebGL', () => {
+  let gl;
+
+  beforeEach(() => {
+    gl = new MockWebGL2RenderingContext({ throwOnError: false });
+  });
+
+  it('records calls and reports errors through getError()', () => {
+    gl.viewport(0, 0, -1, 1);
+
+    assert.deepEqual(gl.calls[0], { name: 'viewport', args: [0, 0, -1, 1] });
+    assert.equal(gl.errors[0].message, 'viewport: negative size.');
+    assert.equal(gl.getError(), gl.INVALID_VALUE);
+    assert.equal(gl.getError(), gl.NO_ERROR);
+  });
+
+  it('throws on validation errors by default', () => {
+    const strict = new MockWebGLRenderingContext();
+
+    assert.throws(
+      () => strict.bufferData(strict.ARRAY_BUFFER, 4, strict.STATIC_DRAW),
+      /MockWebGL: bufferData: no buffer bound\./
+    );
+  });
+
+  it('reflects attributes and default block uniforms', () => {
+    const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    const uniforms = Array.from(
+      { length: gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) },
+      (_, index) => gl.getActiveUniform(program, index)
+    );
+
+    assert.deepEqual(gl.getActiveAttrib(program, 0), {
+      name: 'a_position',
+      size: 1,
+      type: gl.FLOAT_VEC3,
+    });
+    assert.deepEqual(uniforms.slice(0, 2), [
+      { name: 'u_model', size: 1, type: gl.FLOAT_MAT4 },
+      { name: 'u_colors[0]', size: 3, type: gl.FLOAT_VEC4 },
+    ]);
+    assert.ok(gl.getUniformLocation(program, 'u_colors[2]'));
+    assert.equal(gl.getUniformLocation(program, 'Camera.view'), null);
+  });
+
+  it('lays out uniform block members with std140 rules', () => {
+    const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    const block = gl.getUniformBlockIndex(program, 'Camera');
+    const indices = gl.getActiveUniformBlockParameter(
+      program,
+      block,
+      gl.UNIFORM_BLOCK_ACTIVE_UNIFORM_INDICES
+    );
+    const query = pname => gl.getActiveUniforms(program, indices, pname);
+
+    assert.deepEqual(
+      Array.from(indices, index => gl.getActiveUniform(program, index).name),
+      [
+        'Camera.view',
+        'Camera.position',
+        'Camera.exposure',
+        'Camera.jitter[0]',
+        'Camera.lights[0].color',
+        'Camera.lights[0].intensity',
+        'Camera.lights[1].color',
+        'Camera.lights[1].intensity',
+      ]
+    );
+    assert.deepEqual(
+      query(gl.UNIFORM_OFFSET),
+      [0, 64, 76, 80, 112, 124, 128, 140]
+    );
+    assert.deepEqual(query(gl.UNIFORM_ARRAY_STRIDE), [0, 0, 0, 16, 0, 0, 0, 0]);
+    assert.deepEqual(
+      query(gl.UNIFORM_MATRIX_STRIDE),
+      [16, 0, 0, 0, 0, 0, 0, 0]
+    );
+    assert.deepEqual(query(gl.UNIFORM_BLOCK_INDEX), Array(8).fill(block));
+    assert.equal(
+      gl.getActiveUniformBlockParameter(
+        program,
+        block,
+        gl.UNIFORM_BLOCK_DATA_SIZE
+      ),
+      144
+    );
+    assert.deepEqual(gl.getActiveUniforms(program, [0], gl.UNIFORM_OFFSET), [
+      -1,
+    ]);
+  });
+
+  it('rejects draws without a program or with unbound attributes', () => {
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    gl.useProgram(program);
+    gl.enableVertexAttribArray(0);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+    assert.deepEqual(
+      gl.errors.map(error => error.message),
+      [
+        'drawArrays: no program in use.',
+        'drawArrays: attribute "a_position" is enabled without a buffer.',
+      ]
+    );
+  });
+
+  it('rejects uniform setters that do not match the uniform type', () => {
+    const program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+    gl.useProgram(program);
+    gl.uniform3fv(gl.getUniformLocation(program, 'u_colors'), [1, 2, 3]);
+
+    assert.match(gl.errors[0].message, /cannot set uniform "u_colors\[0\]"/);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Tests of the WebGPU mock validation.
+ * @copyright 2025–present Catsgold
+ * @license GPL-3.0-or-later
+ * You must credit Catsgold (me) if you use or modify this code.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MockGPU,
+  MockGPUBufferUsage,
+  MockGPUTextureUsage,
+} from '../../js/mock/MockWebGPU.js';
+
+const SHADER = `
+@group(0) @binding(0) var<uniform> color: vec4f;
+@vertex fn vs_main(@location(0) p: vec2f) -> @builtin(position) vec4f {
+  return vec4f(p, 0.0, 1.0);
+}
+@fragment fn fs_main() -> @location(0) vec4f { return color; }
+`;
+
+/**
+ * Creates a mock device that records errors instead of throwing.
+ * @returns {Promise<MockGPUDevice>} Device.
+ */
+async function createDevice() {
+  const adapter = await new MockGPU({ throwOnError: false }).requestAdapter();
+  return adapter.requestDevice();
+}
+
+describe('MockWebGPU', () => {
+  let device;
+  let module;
+  let vertexBuffer;
+  let uniformBuffer;
+
+  /**
+   * Creates a render pipeline drawing into rgba8unorm.
+   * @param {Object} [overrides] - Descriptor overrides.
+   * @returns {MockGPUPipeline} Pipeline.
+   */
+  const createPipeline = (overrides = {}) =>
+    device.createRenderPipeline({
+      layout: 'auto',
+      vertex: {
+        module,
+        entryPoint: 'vs_main',
+        buffers: [
+          {
+            arrayStride: 8,
+            attributes: [{ format: 'float32x2', offset: 0, shaderLocation: 0 }],
+          },
+        ],
+      },
+      fragment: {
+        module,
+        entryPoint: 'fs_main',
+        targets: [{ format: 'rgba8unorm' }],
+      },
+      ...overrides,
+    });
+
+  /**
+   * Begins a pass into a new rgba8unorm texture.
+   * @param {GPUCommandEncoder} encoder - Command encoder.
+   * @param {number} [sampleCount=1] - Attachment sample count.
+   * @returns {GPURenderPassEncoder} Pass.
+   */
+  const beginPass = (encoder, sampleCount = 1) =>
+    encoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: device
+            .createTexture({
+              size: [4, 4],
+              format: 'rgba8unorm',
+              sampleCount,
+              usage: MockGPUTextureUsage.RENDER_ATTACHMENT,
+            })
+            .createView(),
+          loadOp: 'clear',
+          storeOp: 'store',
+        },
+      ],
+    });
+
+  beforeEach(async () => {
+    device = await createDevice();
+    module = device.createShaderModule({ code: SHADER });
+    vertexBuffer = device.createBuffer({
+      size: 24,
+      usage: MockGPUBufferUsage.VERTEX,
+    });
+    uniformBuffer = device.createBuffer({
+      size: 16,
+      usage: MockGPUBufferUsage.UNIFORM,
+    });
+  });
+
+  it('records calls by object and method', () => {
+    const encoder = device.createCommandEncoder();
+    const pass = beginPass(encoder);
+    pass.end();
+
+    assert.equal(device.findCalls('device.createBuffer').length, 2);
+    assert.equal(device.findCalls('commandEncoder.beginRenderPass').length, 1);
+    assert.equal(device.findCalls('renderPass.end').length, 1);
+  });
+
+  it('throws on validation errors by default', async () => {
+    const adapter = await new MockGPU().requestAdapter();
+    const strict = await adapter.requestDevice();
+
+    assert.throws(
+      () => strict.createBuffer({ size: 4 }),
+      /MockWebGPU: createBuffer: usage is required\./
+    );
+  });
+
+  it('accepts a draw with matching pipeline, buffers and bind groups', () => {
+    const pipeline = createPipeline();
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
+    });
+
+    const pass = beginPass(device.createCommandEncoder());
+    pass.setPipeline(pipeline);
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+    pass.end();
+
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('rejects pipelines whose targets do not match the pass', () => {
+    const pass = beginPass(device.createCommandEncoder(), 4);
+    pass.setPipeline(createPipeline());
+
+    assert.match(device.errors[0], /pipeline sampleCount 1 does not match/);
+  });
+
+  it('rejects draws without vertex buffers or bind groups', () => {
+    const pass = beginPass(device.createCommandEncoder());
+    pass.setPipeline(createPipeline());
+    pass.draw(3);
+
+    assert.deepEqual(device.errors, [
+      'draw: no vertex buffer set in slot 0.',
+      'draw: no bind group set at index 0.',
+    ]);
+  });
+
+  it('rejects bind groups from the auto layout of another pipeline', () => {
+    const other = createPipeline({
+      multisample: { count: 4 },
+    });
+    const bindGroup = device.createBindGroup({
+      layout: other.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
+    });
+
+    const pass = beginPass(device.createCommandEncoder());
+    pass.setPipeline(createPipeline());
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+
+    assert.deepEqual(device.errors, [
+      'draw: bind group at index 0 does not match the pipeline layout.',
+    ]);
+  });
+
+  it('accepts bind groups from explicit layouts with the same entries', () => {
+    const entries = [
+      { binding: 0, visibility: 3, buffer: { type: 'uniform' } },
+    ];
+    const layout = device.createPipelineLayout({
+      bindGroupLayouts: [device.createBindGroupLayout({ entries })],
+    });
+    const bindGroup = device.createBindGroup({
+      layout: device.createBindGroupLayout({ entries }),
+      entries: [{ binding: 0, resource: { buffer: uniformBuffer } }],
+    });
+
+    const pass = beginPass(device.createCommandEncoder());
+    pass.setPipeline(createPipeline({ layout }));
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+
+    assert.deepEqual(device.errors, []);
+  });
+
+  it('rejects commands on ended passes', () => {
+    const pass = beginPass(device.createCommandEncoder());
+    pass.end();
+    pass.draw(3);
+
+    assert.equal(device.errors[0], 'draw: pass already ended.');
+  });
+});